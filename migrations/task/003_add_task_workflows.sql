@@ -0,0 +1,8 @@
+-- Statuses are defined by configurable workflows and enforced by the
+-- application's workflow engine, so the tasks table has no fixed status list
+
+-- Add project reference used to select a per-project workflow
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS project_id VARCHAR(100);
+
+-- Create indexes for project scoping
+CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON tasks(project_id);
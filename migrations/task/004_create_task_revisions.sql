@@ -0,0 +1,24 @@
+-- Create task_revisions table
+-- Each row is an AuditLog entry (same columns and signature scheme) tied to a task revision
+CREATE TABLE IF NOT EXISTS task_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL,
+    revision INTEGER NOT NULL CHECK (revision > 0),
+    timestamp TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    event_type VARCHAR(50) NOT NULL,
+    event_subtype VARCHAR(50) NOT NULL,
+    user_id VARCHAR(255),
+    severity VARCHAR(20) NOT NULL DEFAULT 'info',
+    message TEXT NOT NULL,
+    metadata TEXT NOT NULL,
+    signature_hash VARCHAR(128) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_task_revisions_task_revision UNIQUE (task_id, revision)
+);
+
+-- Revisions outlive deleted tasks, so task_id intentionally has no foreign key
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_task_revisions_task_id ON task_revisions(task_id);
+CREATE INDEX IF NOT EXISTS idx_task_revisions_user_id ON task_revisions(user_id);
+CREATE INDEX IF NOT EXISTS idx_task_revisions_timestamp ON task_revisions(timestamp);
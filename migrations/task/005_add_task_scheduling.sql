@@ -0,0 +1,23 @@
+-- Add scheduling fields: due date, priority and estimate (in minutes)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_date TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority VARCHAR(20) NOT NULL DEFAULT 'medium';
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS estimate INTEGER;
+
+-- Add constraints (checked first to keep the migration re-runnable)
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_tasks_priority') THEN
+        ALTER TABLE tasks ADD CONSTRAINT chk_tasks_priority
+            CHECK (priority IN ('low', 'medium', 'high', 'critical'));
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_tasks_estimate') THEN
+        ALTER TABLE tasks ADD CONSTRAINT chk_tasks_estimate
+            CHECK (estimate IS NULL OR estimate >= 0);
+    END IF;
+END
+$$;
+
+-- Create indexes for due date filtering and the reminder job
+CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date) WHERE due_date IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks(priority);
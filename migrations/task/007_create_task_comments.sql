@@ -0,0 +1,18 @@
+-- Create task_comments table
+-- Replies reference their parent comment and are deleted with it
+CREATE TABLE IF NOT EXISTS task_comments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES task_comments(id) ON DELETE CASCADE,
+    author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    mentions JSONB NOT NULL DEFAULT '[]'::jsonb,
+    edits JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_task_comments_body_length CHECK (char_length(body) BETWEEN 1 AND 5000)
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_task_comments_task_id ON task_comments(task_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_task_comments_parent_id ON task_comments(parent_id) WHERE parent_id IS NOT NULL;
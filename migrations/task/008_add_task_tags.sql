@@ -0,0 +1,8 @@
+-- Add free-form tags (lower-cased by the application)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+-- Create indexes for tag filters ("tags in (...)" uses array overlap)
+CREATE INDEX IF NOT EXISTS idx_tasks_tags ON tasks USING GIN (tags);
+
+-- Keyset pagination orders by (created_at, id) by default
+CREATE INDEX IF NOT EXISTS idx_tasks_created_at_id ON tasks(created_at DESC, id);
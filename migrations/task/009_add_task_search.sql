@@ -0,0 +1,14 @@
+-- Trigram similarity for misspelled search words
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Add a weighted full-text document (titles rank above descriptions); being
+-- generated, it is kept current on every insert and update
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', title), 'A') ||
+        setweight(to_tsvector('english', description), 'B')
+    ) STORED;
+
+-- Create indexes for full-text and fuzzy search
+CREATE INDEX IF NOT EXISTS idx_tasks_search_vector ON tasks USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_tasks_search_trgm ON tasks USING GIN ((title || ' ' || description) gin_trgm_ops);
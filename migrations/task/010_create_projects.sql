@@ -0,0 +1,19 @@
+-- Create projects table
+-- Members, board columns and labels are JSONB; tasks reference projects
+-- through tasks.project_id, which also keys per-project workflows
+CREATE TABLE IF NOT EXISTS projects (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    description TEXT DEFAULT '',
+    columns JSONB,
+    labels JSONB NOT NULL DEFAULT '[]'::jsonb,
+    members JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_projects_name_not_empty CHECK (char_length(trim(name)) > 0)
+);
+
+-- Create indexes for membership lookups ("members @> [{userId}]")
+CREATE INDEX IF NOT EXISTS idx_projects_members ON projects USING GIN (members jsonb_path_ops);
+CREATE INDEX IF NOT EXISTS idx_projects_name ON projects(name);
@@ -0,0 +1,9 @@
+-- Add recurrence rules and series links
+-- A task with a recurrence rule is a series template; generated instances
+-- reference it and become standalone tasks when it is deleted
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence JSONB;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS template_id UUID REFERENCES tasks(id) ON DELETE SET NULL;
+
+-- Create indexes for series lookups and the recurrence job
+CREATE INDEX IF NOT EXISTS idx_tasks_template_id ON tasks(template_id) WHERE template_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_recurring ON tasks(id) WHERE recurrence IS NOT NULL;
@@ -0,0 +1,7 @@
+-- Add external IDs for imported tasks
+-- The ID a task has in the tool it was imported from; re-importing a row
+-- with the same external ID updates the task instead of creating a new one
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS external_id VARCHAR(255);
+
+-- Create index for import lookups
+CREATE INDEX IF NOT EXISTS idx_tasks_external_id ON tasks(external_id) WHERE external_id IS NOT NULL;
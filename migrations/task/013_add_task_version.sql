@@ -0,0 +1,13 @@
+-- Add task versions for optimistic concurrency control
+-- Every update increments the version; ETag / If-Match compare against it
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- Add constraints (checked first to keep the migration re-runnable)
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_tasks_version') THEN
+        ALTER TABLE tasks ADD CONSTRAINT chk_tasks_version
+            CHECK (version >= 1);
+    END IF;
+END
+$$;
@@ -0,0 +1,7 @@
+-- Add soft delete for tasks
+-- Deleted tasks stay in the table with deleted_at set until the retention
+-- job purges them; every query for live tasks filters on deleted_at IS NULL
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Create index for the trash view and the retention job
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL;
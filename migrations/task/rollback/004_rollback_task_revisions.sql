@@ -0,0 +1,7 @@
+-- Drop indexes
+DROP INDEX IF EXISTS idx_task_revisions_timestamp;
+DROP INDEX IF EXISTS idx_task_revisions_user_id;
+DROP INDEX IF EXISTS idx_task_revisions_task_id;
+
+-- Drop tables
+DROP TABLE IF EXISTS task_revisions;
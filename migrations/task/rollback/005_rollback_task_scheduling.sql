@@ -0,0 +1,12 @@
+-- Drop indexes
+DROP INDEX IF EXISTS idx_tasks_priority;
+DROP INDEX IF EXISTS idx_tasks_due_date;
+
+-- Drop constraints
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS chk_tasks_estimate;
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS chk_tasks_priority;
+
+-- Drop columns
+ALTER TABLE tasks DROP COLUMN IF EXISTS estimate;
+ALTER TABLE tasks DROP COLUMN IF EXISTS priority;
+ALTER TABLE tasks DROP COLUMN IF EXISTS due_date;
@@ -0,0 +1,10 @@
+-- Drop task_dependencies table
+DROP INDEX IF EXISTS idx_task_dependencies_blocked_id;
+DROP TABLE IF EXISTS task_dependencies;
+
+-- Drop indexes
+DROP INDEX IF EXISTS idx_tasks_parent_id;
+
+-- Drop columns
+ALTER TABLE tasks DROP COLUMN IF EXISTS checklist;
+ALTER TABLE tasks DROP COLUMN IF EXISTS parent_id;
@@ -0,0 +1,6 @@
+-- Drop indexes
+DROP INDEX IF EXISTS idx_task_comments_parent_id;
+DROP INDEX IF EXISTS idx_task_comments_task_id;
+
+-- Drop task_comments table
+DROP TABLE IF EXISTS task_comments;
@@ -0,0 +1,6 @@
+-- Drop indexes
+DROP INDEX IF EXISTS idx_tasks_created_at_id;
+DROP INDEX IF EXISTS idx_tasks_tags;
+
+-- Drop columns
+ALTER TABLE tasks DROP COLUMN IF EXISTS tags;
@@ -0,0 +1,8 @@
+-- Drop indexes
+DROP INDEX IF EXISTS idx_tasks_search_trgm;
+DROP INDEX IF EXISTS idx_tasks_search_vector;
+
+-- Drop columns
+ALTER TABLE tasks DROP COLUMN IF EXISTS search_vector;
+
+-- pg_trgm is left installed; other database objects may depend on it
@@ -0,0 +1,6 @@
+-- Drop indexes
+DROP INDEX IF EXISTS idx_projects_name;
+DROP INDEX IF EXISTS idx_projects_members;
+
+-- Drop projects table
+DROP TABLE IF EXISTS projects;
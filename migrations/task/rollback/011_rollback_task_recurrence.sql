@@ -0,0 +1,7 @@
+-- Drop indexes
+DROP INDEX IF EXISTS idx_tasks_recurring;
+DROP INDEX IF EXISTS idx_tasks_template_id;
+
+-- Drop columns
+ALTER TABLE tasks DROP COLUMN IF EXISTS template_id;
+ALTER TABLE tasks DROP COLUMN IF EXISTS recurrence;
@@ -0,0 +1,5 @@
+-- Drop index
+DROP INDEX IF EXISTS idx_tasks_external_id;
+
+-- Drop column
+ALTER TABLE tasks DROP COLUMN IF EXISTS external_id;
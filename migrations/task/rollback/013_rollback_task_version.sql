@@ -0,0 +1,5 @@
+-- Drop constraints
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS chk_tasks_version;
+
+-- Drop column
+ALTER TABLE tasks DROP COLUMN IF EXISTS version;
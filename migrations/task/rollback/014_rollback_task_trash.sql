@@ -0,0 +1,8 @@
+-- Purge tasks in the trash so they don't come back as live tasks
+DELETE FROM tasks WHERE deleted_at IS NOT NULL;
+
+-- Drop index
+DROP INDEX IF EXISTS idx_tasks_deleted_at;
+
+-- Drop column
+ALTER TABLE tasks DROP COLUMN IF EXISTS deleted_at;
@@ -7,6 +7,7 @@ const express = require('express');
 const winston = require('winston');
 const { SecurityMetricsCalculator } = require('../../security/metrics/SecurityMetricsCalculator');
 const { MetricsReporter } = require('../../security/metrics/MetricsReporter');
+const { convertToCSV } = require('../../utils/csv');
 
 class MetricsController {
   constructor(config = {}) {
@@ -731,20 +732,7 @@ class MetricsController {
   }
 
   convertToCSV(data) {
-    // Simplified CSV conversion
-    let csv = 'Category,Metric,Value,Unit,Timestamp\n';
-
-    Object.entries(data).forEach(([category, categoryData]) => {
-      if (typeof categoryData === 'object' && categoryData !== null) {
-        Object.entries(categoryData).forEach(([metric, value]) => {
-          if (typeof value === 'number') {
-            csv += `${category},${metric},${value},number,${new Date().toISOString()}\n`;
-          }
-        });
-      }
-    });
-
-    return csv;
+    return convertToCSV(data);
   }
 
   convertToExcel(data) {
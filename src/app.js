@@ -4,18 +4,26 @@ const cors = require('cors');
 const session = require('express-session');
 const passport = require('passport');
 const config = require('./shared/config/environment');
-const oAuthService = require('./auth/services/oauthService');
+const oAuthService = require('./auth/services/oAuthService');
 const securityMiddleware = require('./auth/middleware/securityMiddleware');
+const authService = require('./auth/services/authService');
+const signingKeyService = require('./auth/services/signingKeyService');
+const SecurityIntegration = require('./integration/auth/SecurityIntegration');
+const AuthEventMonitor = require('./integration/auth/AuthEventMonitor');
 
 // Import routes
 const healthRoutes = require('./routes/health');
 const taskRoutes = require('./routes/tasks');
+const projectRoutes = require('./routes/projects');
+const webhookRoutes = require('./routes/webhooks');
 const authRoutes = require('./auth/routes/authRoutes');
 const oauthRoutes = require('./auth/routes/oauthRoutes');
 const userRoutes = require('./auth/routes/userRoutes');
 const preferencesRoutes = require('./routes/preferences');
 const profileRoutes = require('./routes/profileRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
+const openapiRoutes = require('./routes/openapi');
+const wellKnownRoutes = require('./routes/wellKnown');
 // const notificationsRoutes = require('./routes/notifications'); // Temporarily disabled due to Redis dependency
 // const adminRoutes = require('./routes/admin'); // Temporarily disabled due to notificationService dependency
 
@@ -63,8 +71,9 @@ app.use(securityMiddleware.createIpBlocker());
 app.use(cors({
   origin: config.security.corsOrigin,
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'If-None-Match', 'Idempotency-Key', 'X-Reauth-Token'],
+  exposedHeaders: ['ETag', 'Idempotent-Replayed']
 }));
 
 // Apply general rate limiting
@@ -80,7 +89,7 @@ app.use(validateApiKey);
 app.use(morgan('combined'));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true }));
 
 // Input sanitization
@@ -95,11 +104,20 @@ app.use('/health', healthRoutes);
 // API routes with stricter rate limiting for task operations
 app.use('/tasks', taskRateLimit, taskRoutes);
 
+// Projects group tasks, with members, boards and labels
+app.use('/projects', projectRoutes);
+
+// Webhook subscriptions for task and profile events (admins only)
+app.use('/webhooks', webhookRoutes);
+
 // Authentication routes
 app.use('/auth', authRoutes);
 app.use('/oauth', oauthRoutes);
 app.use('/user', userRoutes);
 
+// Public keys that verify access tokens (RS256/ES256)
+app.use('/.well-known', wellKnownRoutes);
+
 // Notification preferences routes
 app.use('/api/preferences', preferencesRoutes);
 
@@ -109,6 +127,9 @@ app.use('/api/profiles', profileRoutes);
 // File upload routes
 app.use('/api/upload', uploadRoutes);
 
+// OpenAPI document generated from the routes above
+app.use('/api', openapiRoutes);
+
 // Notification management routes
 // app.use('/api/notifications', notificationsRoutes); // Temporarily disabled due to Redis dependency
 
@@ -133,34 +154,96 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
+// Scheduled jobs, each loaded only when enabled: several load the
+// Redis-backed notification service or message queue
+const backgroundJobs = [];
+
+const startBackgroundJobs = () => {
+  // Task due date reminders
+  if (config.tasks.reminders.enabled) {
+    backgroundJobs.push(require('./services/taskReminderService'));
+  }
+
+  // Recurring task instances
+  if (config.tasks.recurrence.enabled) {
+    backgroundJobs.push(require('./services/taskRecurrenceService'));
+  }
+
+  // Purging tasks kept in the trash past the retention period
+  if (config.tasks.trash.enabled) {
+    backgroundJobs.push(require('./services/taskTrashService'));
+  }
+
+  // Webhook deliveries
+  if (config.webhooks.enabled) {
+    backgroundJobs.push(require('./services/webhookDeliveryService'));
+  }
+
+  backgroundJobs.forEach(job => {
+    Promise.resolve(job.start()).catch(error => {
+      console.error('❌ Background job failed to start:', error.message);
+    });
+  });
+};
+
+const stopBackgroundJobs = () => {
+  backgroundJobs.forEach(job => job.stop());
+};
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopBackgroundJobs();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopBackgroundJobs();
   process.exit(0);
 });
 
+// Security monitoring of authentication events: failed logins and account
+// lockouts raise the risk score of the account
+const securityIntegration = new SecurityIntegration();
+securityIntegration.initialize(authService).catch(error => {
+  console.error('❌ Security integration failed to start:', error.message);
+});
+
+// Real-time detection on authentication events: brute force, credential
+// stuffing and replayed refresh tokens raise security alerts
+const authEventMonitor = new AuthEventMonitor();
+authEventMonitor.initialize(authService).catch(error => {
+  console.error('❌ Authentication event monitor failed to start:', error.message);
+});
+
 // Start server
 const PORT = config.server.port || 3000;
-const server = app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📍 Environment: ${config.server.nodeEnv}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔐 Auth endpoints: http://localhost:${PORT}/auth`);
-  console.log(`🌐 OAuth endpoints: http://localhost:${PORT}/oauth`);
-});
+const startServer = () => {
+  const server = app.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📍 Environment: ${config.server.nodeEnv}`);
+    console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+    console.log(`🔐 Auth endpoints: http://localhost:${PORT}/auth`);
+    console.log(`🌐 OAuth endpoints: http://localhost:${PORT}/oauth`);
+  });
 
-// Handle server errors
-server.on('error', (error) => {
-  if (error.code === 'EADDRINUSE') {
-    console.error(`❌ Port ${PORT} is already in use`);
-  } else {
-    console.error('❌ Server error:', error);
-  }
+  startBackgroundJobs();
+
+  // Handle server errors
+  server.on('error', (error) => {
+    if (error.code === 'EADDRINUSE') {
+      console.error(`❌ Port ${PORT} is already in use`);
+    } else {
+      console.error('❌ Server error:', error);
+    }
+    process.exit(1);
+  });
+};
+
+// Tokens can't be signed with RS256/ES256 before the signing keys are loaded
+signingKeyService.initialize().then(startServer).catch(error => {
+  console.error('❌ JWT signing keys failed to load:', error.message);
   process.exit(1);
 });
 
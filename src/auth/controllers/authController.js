@@ -1,7 +1,29 @@
 const authService = require('../services/authService');
 const tokenService = require('../services/tokenService');
+const webauthnService = require('../services/webauthnService');
 const logger = require('../../shared/utils/logger');
 
+// Messages of the errors a passkey ceremony fails with when the client's
+// response doesn't check out, as opposed to server errors
+const PASSKEY_CEREMONY_ERRORS = [
+  'client data',
+  'origin',
+  'passkey challenge',
+  'attestation',
+  'Attestation',
+  'Credential ID',
+  'credential public key',
+  'Authenticator data',
+  'relying party',
+  'User verification',
+  'passkey signature',
+  'sign counter',
+  'not registered',
+  'does not belong'
+];
+
+const isPasskeyCeremonyError = error => PASSKEY_CEREMONY_ERRORS.some(message => error.message.includes(message));
+
 class AuthController {
   // Register new user
   async register(req, res) {
@@ -49,10 +71,27 @@ class AuthController {
 
   // Login user
   async login(req, res) {
+    const { email, password } = req.body;
+
     try {
-      const { email, password } = req.body;
+      const result = await authService.login(email, password, {
+        deviceInfo: req.deviceInfo || {},
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
 
-      const result = await authService.login(email, password);
+      if (result.mfaRequired) {
+        return res.status(200).json({
+          success: true,
+          message: result.mfaEnrollmentRequired
+            ? 'Two-factor authentication must be set up to complete login'
+            : 'Two-factor authentication required',
+          mfaRequired: true,
+          mfaEnrollmentRequired: result.mfaEnrollmentRequired,
+          mfaToken: result.mfaToken,
+          expiresIn: result.expiresIn
+        });
+      }
 
       res.status(200).json({
         success: true,
@@ -65,6 +104,24 @@ class AuthController {
     } catch (error) {
       logger.error('Login endpoint error:', { email, error: error.message });
 
+      if (error.message.includes('temporarily locked')) {
+        return res.status(423).json({
+          success: false,
+          error: 'AccountLocked',
+          message: 'Account is temporarily locked after too many failed login attempts. Use the unlock link we emailed you or try again later.',
+          retryAfter: error.retryAfter
+        });
+      }
+
+      if (error.message.includes('Too many failed login attempts')) {
+        return res.status(429).json({
+          success: false,
+          error: 'LoginThrottled',
+          message: 'Too many failed login attempts. Please wait before trying again.',
+          retryAfter: error.retryAfter
+        });
+      }
+
       if (error.message.includes('Invalid email or password')) {
         return res.status(401).json({
           success: false,
@@ -81,6 +138,267 @@ class AuthController {
     }
   }
 
+  // Complete a login with a two-factor code or recovery code
+  async verifyMfa(req, res) {
+    try {
+      const { mfaToken, code, recoveryCode } = req.body;
+
+      const result = await authService.completeMfaLogin(mfaToken, { code, recoveryCode }, {
+        deviceInfo: req.deviceInfo || {},
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        user: result.user,
+        tokens: result.tokens,
+        requiresEmailVerification: result.requiresEmailVerification,
+        ...(result.recoveryCodes && { recoveryCodes: result.recoveryCodes })
+      });
+
+    } catch (error) {
+      logger.error('Two-factor verification endpoint error:', { error: error.message });
+
+      if (error.message.includes('temporarily locked')) {
+        return res.status(423).json({
+          success: false,
+          error: 'AccountLocked',
+          message: 'Account is temporarily locked after too many failed login attempts. Use the unlock link we emailed you or try again later.',
+          retryAfter: error.retryAfter
+        });
+      }
+
+      if (error.message.includes('Too many failed login attempts')) {
+        return res.status(429).json({
+          success: false,
+          error: 'LoginThrottled',
+          message: 'Too many failed login attempts. Please wait before trying again.',
+          retryAfter: error.retryAfter
+        });
+      }
+
+      if (error.message.includes('two-factor token')) {
+        return res.status(401).json({
+          success: false,
+          error: 'TokenError',
+          message: 'Two-factor token is invalid or expired. Please login again.'
+        });
+      }
+
+      if (error.message.includes('Invalid two-factor code')) {
+        return res.status(401).json({
+          success: false,
+          error: 'MfaVerificationError',
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      if (error.message.includes('has not been set up')) {
+        return res.status(400).json({
+          success: false,
+          error: 'MfaSetupRequiredError',
+          message: 'Set up two-factor authentication with /auth/mfa/setup first'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'LoginError',
+        message: 'Login failed. Please try again.'
+      });
+    }
+  }
+
+  // Set up two-factor authentication during a login that requires it
+  async setupMfa(req, res) {
+    try {
+      const { mfaToken } = req.body;
+
+      const result = await authService.startMfaEnrollment(mfaToken);
+
+      res.status(200).json({
+        success: true,
+        message: 'Scan the QR code or enter the secret in your authenticator app, then verify a code',
+        secret: result.secret,
+        otpauthUri: result.otpauthUri
+      });
+
+    } catch (error) {
+      logger.error('Two-factor setup endpoint error:', { error: error.message });
+
+      if (error.message.includes('two-factor token')) {
+        return res.status(401).json({
+          success: false,
+          error: 'TokenError',
+          message: 'Two-factor token is invalid or expired. Please login again.'
+        });
+      }
+
+      if (error.message.includes('already enabled')) {
+        return res.status(409).json({
+          success: false,
+          error: 'MfaAlreadyEnabledError',
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'MfaSetupError',
+        message: 'Failed to set up two-factor authentication. Please try again.'
+      });
+    }
+  }
+
+  // Options for registering a passkey on the logged-in account
+  async webauthnRegistrationOptions(req, res) {
+    try {
+      const options = await webauthnService.generateRegistrationOptions(req.user);
+
+      res.status(200).json({
+        success: true,
+        options
+      });
+
+    } catch (error) {
+      logger.error('Passkey registration options endpoint error:', { error: error.message });
+
+      res.status(500).json({
+        success: false,
+        error: 'PasskeyRegistrationError',
+        message: 'Failed to start passkey registration. Please try again.'
+      });
+    }
+  }
+
+  // Store the passkey the authenticator created for the options
+  async verifyWebauthnRegistration(req, res) {
+    try {
+      const { credential, name } = req.body;
+
+      const passkey = await webauthnService.verifyRegistration(req.user, credential, { name });
+
+      res.status(201).json({
+        success: true,
+        message: 'Passkey registered successfully',
+        passkey: passkey.toJSON()
+      });
+
+    } catch (error) {
+      logger.error('Passkey registration endpoint error:', { error: error.message });
+
+      if (error.message.includes('already registered')) {
+        return res.status(409).json({
+          success: false,
+          error: 'PasskeyAlreadyRegistered',
+          message: 'This passkey is already registered'
+        });
+      }
+
+      if (isPasskeyCeremonyError(error)) {
+        return res.status(400).json({
+          success: false,
+          error: 'PasskeyRegistrationError',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'PasskeyRegistrationError',
+        message: 'Failed to register passkey. Please try again.'
+      });
+    }
+  }
+
+  // Options for logging in with a passkey
+  async webauthnLoginOptions(req, res) {
+    try {
+      const options = await webauthnService.generateAuthenticationOptions({ email: req.body.email });
+
+      res.status(200).json({
+        success: true,
+        options
+      });
+
+    } catch (error) {
+      logger.error('Passkey login options endpoint error:', { error: error.message });
+
+      res.status(500).json({
+        success: false,
+        error: 'LoginError',
+        message: 'Failed to start passkey login. Please try again.'
+      });
+    }
+  }
+
+  // Login with the passkey assertion for the login options
+  async webauthnLogin(req, res) {
+    try {
+      const result = await authService.loginWithPasskey(req.body.credential, {
+        deviceInfo: req.deviceInfo || {},
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        user: result.user,
+        tokens: result.tokens,
+        requiresEmailVerification: result.requiresEmailVerification
+      });
+
+    } catch (error) {
+      logger.error('Passkey login endpoint error:', { error: error.message });
+
+      if (isPasskeyCeremonyError(error)) {
+        return res.status(401).json({
+          success: false,
+          error: 'AuthenticationError',
+          message: 'Passkey could not be verified'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'LoginError',
+        message: 'Login failed. Please try again.'
+      });
+    }
+  }
+
+  // Unlock an account with the token of the emailed unlock link
+  async unlockAccount(req, res) {
+    try {
+      await authService.unlockAccount(req.body.token);
+
+      res.status(200).json({
+        success: true,
+        message: 'Account unlocked. You can login again.'
+      });
+
+    } catch (error) {
+      logger.error('Account unlock endpoint error:', { error: error.message });
+
+      if (error.message.includes('Invalid or expired unlock token')) {
+        return res.status(400).json({
+          success: false,
+          error: 'TokenError',
+          message: 'Unlock link is invalid or has expired'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'UnlockAccountError',
+        message: 'Failed to unlock account. Please try again.'
+      });
+    }
+  }
+
   // Verify email
   async verifyEmail(req, res) {
     try {
@@ -327,7 +645,11 @@ class AuthController {
         });
       }
 
-      const result = await tokenService.refreshAccessToken(refreshToken);
+      const result = await authService.refreshTokens(refreshToken, {
+        deviceInfo: req.deviceInfo || {},
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
 
       res.status(200).json({
         success: true,
@@ -338,6 +660,14 @@ class AuthController {
     } catch (error) {
       logger.error('Token refresh endpoint error:', error);
 
+      if (error.message.includes('reuse detected')) {
+        return res.status(401).json({
+          success: false,
+          error: 'TokenReuseError',
+          message: 'Refresh token was already used. The session has been signed out; please login again.'
+        });
+      }
+
       if (error.message.includes('expired') || error.message.includes('invalid')) {
         return res.status(401).json({
           success: false,
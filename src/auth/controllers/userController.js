@@ -1,4 +1,7 @@
 const authService = require('../services/authService');
+const mfaService = require('../services/mfaService');
+const webauthnService = require('../services/webauthnService');
+const accountLockoutService = require('../services/accountLockoutService');
 const { canAccessResource } = require('../middleware/rbacMiddleware');
 const logger = require('../../shared/utils/logger');
 const User = require('../models/User');
@@ -80,7 +83,7 @@ class UserController {
       const { name, avatar_url, bio } = req.body;
 
       // Validate input
-      const allowedFields = ['name', 'avatar_url', 'bio'];
+      const allowedFields = ['name', 'username', 'avatar_url', 'bio'];
       const updates = {};
 
       for (const [key, value] of Object.entries(req.body)) {
@@ -115,6 +118,15 @@ class UserController {
 
     } catch (error) {
       logger.error('Failed to update user profile:', error);
+
+      if (error.message === 'Username is already taken') {
+        return res.status(409).json({
+          success: false,
+          error: 'UsernameTaken',
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: 'UpdateProfileError',
@@ -490,6 +502,348 @@ class UserController {
       });
     }
   }
+
+  // Re-enter the password (and second factor) before a sensitive change
+  async reauthenticate(req, res) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+
+      const result = await authService.reauthenticate(req.user.id, { password, code, recoveryCode }, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.json({
+        success: true,
+        message: 'Re-authentication successful',
+        data: {
+          reauthToken: result.reauthToken,
+          expiresIn: result.expiresIn
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to re-authenticate:', error);
+
+      if (error.message.includes('temporarily locked')) {
+        return res.status(423).json({
+          success: false,
+          error: 'AccountLocked',
+          message: 'Account is temporarily locked after too many failed login attempts. Use the unlock link we emailed you or try again later.',
+          retryAfter: error.retryAfter
+        });
+      }
+
+      if (error.message.includes('Too many failed login attempts')) {
+        return res.status(429).json({
+          success: false,
+          error: 'LoginThrottled',
+          message: 'Too many failed login attempts. Please wait before trying again.',
+          retryAfter: error.retryAfter
+        });
+      }
+
+      if (error.message.includes('Password is incorrect')) {
+        return res.status(400).json({
+          success: false,
+          error: 'IncorrectPassword',
+          message: 'Password is incorrect'
+        });
+      }
+
+      if (error.message.includes('Two-factor code is required')) {
+        return res.status(400).json({
+          success: false,
+          error: 'MfaCodeRequired',
+          message: 'A two-factor code or recovery code is required'
+        });
+      }
+
+      if (error.message.includes('Invalid two-factor code')) {
+        return res.status(400).json({
+          success: false,
+          error: 'InvalidMfaCode',
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'ReauthenticationError',
+        message: 'Failed to re-authenticate'
+      });
+    }
+  }
+
+  // Get two-factor authentication status
+  async getMfaStatus(req, res) {
+    try {
+      const status = await mfaService.getStatus(req.user.id);
+
+      res.json({
+        success: true,
+        data: status
+      });
+
+    } catch (error) {
+      logger.error('Failed to get two-factor status:', error);
+      res.status(500).json({
+        success: false,
+        error: 'GetMfaStatusError',
+        message: 'Failed to retrieve two-factor authentication status'
+      });
+    }
+  }
+
+  // Start two-factor enrollment: the secret and its provisioning URI
+  async setupMfa(req, res) {
+    try {
+      const result = await mfaService.beginEnrollment(req.user);
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code or enter the secret in your authenticator app, then confirm a code',
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Failed to set up two-factor authentication:', error);
+
+      if (error.message.includes('already enabled')) {
+        return res.status(409).json({
+          success: false,
+          error: 'MfaAlreadyEnabled',
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'MfaSetupError',
+        message: 'Failed to set up two-factor authentication'
+      });
+    }
+  }
+
+  // Confirm enrollment with a code; responds with the recovery codes
+  async enableMfa(req, res) {
+    try {
+      const result = await mfaService.confirmEnrollment(req.user.id, req.body.code);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are only shown once.',
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Failed to enable two-factor authentication:', error);
+
+      if (error.message.includes('already enabled')) {
+        return res.status(409).json({
+          success: false,
+          error: 'MfaAlreadyEnabled',
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (error.message.includes('has not been set up') || error.message.includes('Invalid two-factor code')) {
+        return res.status(400).json({
+          success: false,
+          error: 'InvalidMfaCode',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'EnableMfaError',
+        message: 'Failed to enable two-factor authentication'
+      });
+    }
+  }
+
+  // Turn two-factor authentication off
+  async disableMfa(req, res) {
+    try {
+      await mfaService.disable(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      logger.error('Failed to disable two-factor authentication:', error);
+
+      if (error.message.includes('required for this account')) {
+        return res.status(403).json({
+          success: false,
+          error: 'MfaRequired',
+          message: 'Two-factor authentication is required for this account'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'DisableMfaError',
+        message: 'Failed to disable two-factor authentication'
+      });
+    }
+  }
+
+  // Replace the recovery codes
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const result = await mfaService.regenerateRecoveryCodes(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Recovery codes regenerated. The previous codes no longer work.',
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Failed to regenerate recovery codes:', error);
+
+      if (error.message.includes('not enabled')) {
+        return res.status(409).json({
+          success: false,
+          error: 'MfaNotEnabled',
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'RegenerateRecoveryCodesError',
+        message: 'Failed to regenerate recovery codes'
+      });
+    }
+  }
+
+  // Passkeys registered on the account
+  async listPasskeys(req, res) {
+    try {
+      const passkeys = await webauthnService.listCredentials(req.user.id);
+
+      res.json({
+        success: true,
+        data: passkeys.map(passkey => passkey.toJSON())
+      });
+
+    } catch (error) {
+      logger.error('Failed to list passkeys:', error);
+      res.status(500).json({
+        success: false,
+        error: 'GetPasskeysError',
+        message: 'Failed to retrieve passkeys'
+      });
+    }
+  }
+
+  // Revoke a passkey; it can no longer be used to login
+  async revokePasskey(req, res) {
+    try {
+      await webauthnService.revokeCredential(req.user.id, req.params.passkeyId);
+
+      res.json({
+        success: true,
+        message: 'Passkey revoked successfully'
+      });
+
+    } catch (error) {
+      logger.error('Failed to revoke passkey:', error);
+
+      if (error.message.includes('Passkey not found')) {
+        return res.status(404).json({
+          success: false,
+          error: 'PasskeyNotFound',
+          message: 'Passkey not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'RevokePasskeyError',
+        message: 'Failed to revoke passkey'
+      });
+    }
+  }
+
+  // Unlock an account locked after failed logins (admins only)
+  async unlockAccount(req, res) {
+    try {
+      const { userId } = req.params;
+      await accountLockoutService.unlock(userId);
+
+      logger.info('Account unlocked by admin', {
+        adminId: req.user.id,
+        userId
+      });
+
+      res.json({
+        success: true,
+        message: 'Account unlocked successfully'
+      });
+
+    } catch (error) {
+      logger.error('Failed to unlock account:', error);
+
+      if (error.message.includes('User not found')) {
+        return res.status(404).json({
+          success: false,
+          error: 'UserNotFound',
+          message: 'User not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'UnlockAccountError',
+        message: 'Failed to unlock account'
+      });
+    }
+  }
+
+  // Require two-factor authentication for an account (admins only)
+  async setMfaRequirement(req, res) {
+    try {
+      const { userId } = req.params;
+      const result = await mfaService.setRequired(userId, req.body.required);
+
+      logger.info('Two-factor requirement updated', {
+        adminId: req.user.id,
+        userId,
+        required: req.body.required
+      });
+
+      res.json({
+        success: true,
+        message: req.body.required
+          ? 'Two-factor authentication is now required for this account'
+          : 'Two-factor authentication is no longer required for this account',
+        data: { userId, ...result }
+      });
+
+    } catch (error) {
+      logger.error('Failed to update two-factor requirement:', error);
+
+      if (error.message.includes('User not found')) {
+        return res.status(404).json({
+          success: false,
+          error: 'UserNotFound',
+          message: 'User not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'MfaRequirementError',
+        message: 'Failed to update two-factor requirement'
+      });
+    }
+  }
 }
 
-module.exports = new UserController();
\ No newline at end of file
+module.exports = new UserController();
@@ -3,6 +3,7 @@ const { promisify } = require('util');
 const tokenService = require('../services/tokenService');
 const authService = require('../services/authService');
 const sessionService = require('../services/sessionService');
+const signingKeyService = require('../services/signingKeyService');
 const logger = require('../../shared/utils/logger');
 
 /**
@@ -61,6 +62,28 @@ class JWTVerifier {
    */
   async verifyToken(token, secret = this.jwtSecret) {
     try {
+      // Tokens signed with a key pair (RS256/ES256) name their key by kid
+      const decoded = jwt.decode(token, { complete: true });
+      const kid = decoded && decoded.header.kid;
+
+      if (kid) {
+        const verificationKey = signingKeyService.getVerificationKey(kid);
+        if (!verificationKey) {
+          throw new Error('Invalid token');
+        }
+
+        return await this.verifyAsync(token, verificationKey.publicKey, {
+          ...this.verifyOptions,
+          algorithms: [verificationKey.algorithm]
+        });
+      }
+
+      // Access tokens signed with the secret stop verifying at the legacy
+      // token cutoff after a switch to a key pair algorithm
+      if (secret === this.jwtSecret && !signingKeyService.acceptsLegacyTokens()) {
+        throw new Error('Invalid token');
+      }
+
       return await this.verifyAsync(token, secret, this.verifyOptions);
     } catch (error) {
       // Re-throw with more descriptive error
@@ -139,6 +162,17 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Only access tokens authenticate requests; the two-factor login and
+    // re-authentication tokens are short-lived tokens of another type
+    if (decoded.type && decoded.type !== 'access') {
+      return res.status(401).json({
+        success: false,
+        error: 'InvalidTokenError',
+        message: 'Invalid access token',
+        code: 'INVALID_TOKEN_TYPE'
+      });
+    }
+
     // Get user information from database to ensure user still exists and is active
     const user = await authService.getUserById(decoded.sub);
 
@@ -384,6 +418,44 @@ const authorizeSelfOrAdmin = (getUserIdFromParams) => {
   };
 };
 
+/**
+ * Step-up Re-authentication Middleware
+ * Requires the X-Reauth-Token header with a token from
+ * POST /user/reauthenticate, issued to the authenticated user within the
+ * last few minutes
+ */
+const requireReauthentication = (req, res, next) => {
+  const reauthToken = req.get('X-Reauth-Token');
+
+  try {
+    if (!reauthToken) {
+      throw new Error('Re-authentication token is required');
+    }
+
+    const decoded = tokenService.verifyToken(reauthToken, 'reauth');
+    if (!req.user || decoded.sub !== req.user.id) {
+      throw new Error('Re-authentication token belongs to another user');
+    }
+
+    next();
+
+  } catch (error) {
+    logger.warn('Step-up re-authentication failed', {
+      userId: req.user?.id,
+      error: error.message,
+      path: req.path,
+      method: req.method
+    });
+
+    return res.status(403).json({
+      success: false,
+      error: 'ReauthenticationRequired',
+      message: 'Confirm your password with POST /user/reauthenticate and send the token in the X-Reauth-Token header',
+      code: 'REAUTHENTICATION_REQUIRED'
+    });
+  }
+};
+
 /**
  * API Key Middleware (alternative to JWT)
  * For service-to-service authentication
@@ -527,6 +599,7 @@ module.exports = {
   optionalAuthenticate,
   authorize,
   authorizeSelfOrAdmin,
+  requireReauthentication,
   authenticateApiKey,
   deviceDetection,
   validateSession
@@ -12,6 +12,14 @@ const ROLE_HIERARCHY = {
   'super_admin': 4
 };
 
+// Project role hierarchy - roles a user holds within a single project
+const PROJECT_ROLE_HIERARCHY = {
+  'viewer': 1,
+  'member': 2,
+  'manager': 3,
+  'owner': 4
+};
+
 /**
  * Check if user has sufficient role level
  */
@@ -362,6 +370,71 @@ const requirePermission = (permission, getResource = null) => {
   };
 };
 
+/**
+ * Get the role a user holds in a project (null for non-members)
+ */
+const getProjectRole = (user, project) => {
+  if (!user || !project) {
+    return null;
+  }
+
+  const membership = (project.members || []).find(member => member.userId === user.id);
+  return membership ? membership.role : null;
+};
+
+/**
+ * Check if user holds at least the given role in a project. Admins and
+ * above pass every project check.
+ */
+const hasProjectRole = (user, project, minRole) => {
+  if (!user || !project) {
+    return false;
+  }
+
+  if (hasRoleLevel(user.roles || [], ROLE_HIERARCHY.admin)) {
+    return true;
+  }
+
+  const role = getProjectRole(user, project);
+  return Boolean(role) && PROJECT_ROLE_HIERARCHY[role] >= PROJECT_ROLE_HIERARCHY[minRole];
+};
+
+/**
+ * Middleware factory for project role authorization. Expects the project
+ * to be loaded into req.project by an earlier middleware.
+ */
+const requireProjectRole = (minRole) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'AuthenticationRequired',
+        message: 'Authentication required to access this resource'
+      });
+    }
+
+    if (!hasProjectRole(req.user, req.project, minRole)) {
+      logger.warn('Access denied: insufficient project role', {
+        userId: req.user.id,
+        projectId: req.project ? req.project.id : null,
+        projectRole: getProjectRole(req.user, req.project),
+        requiredRole: minRole,
+        path: req.path,
+        method: req.method,
+        ip: req.ip
+      });
+
+      return res.status(403).json({
+        success: false,
+        error: 'InsufficientPermissions',
+        message: `Access denied. Required project role: ${minRole}`
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Check if user can perform action on resource
  */
@@ -402,6 +475,7 @@ const canPerformAction = (user, action, resource) => {
 
 module.exports = {
   ROLE_HIERARCHY,
+  PROJECT_ROLE_HIERARCHY,
   hasRole,
   hasAnyRole,
   hasAllRoles,
@@ -416,5 +490,8 @@ module.exports = {
   requireOwnership,
   hasPermission,
   requirePermission,
+  getProjectRole,
+  hasProjectRole,
+  requireProjectRole,
   canPerformAction
 };
\ No newline at end of file
@@ -309,9 +309,10 @@ class SecurityMiddleware {
     };
   }
 
-  // Input validation middleware
+  // Input validation middleware. The zod schemas stay readable on the
+  // returned middleware for the OpenAPI document.
   validateInput(schemas) {
-    return (req, res, next) => {
+    const validator = (req, res, next) => {
       try {
         const { body, query, params } = schemas;
 
@@ -349,6 +350,9 @@ class SecurityMiddleware {
         });
       }
     };
+
+    validator.schemas = schemas;
+    return validator;
   }
 
   // Password strength validation
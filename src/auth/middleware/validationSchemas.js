@@ -86,6 +86,15 @@ const updateProfileSchema = z.object({
     .regex(/^[a-zA-Z\s'-]+$/, 'Name can only contain letters, spaces, hyphens, and apostrophes')
     .optional(),
 
+  // The handle @mentions resolve to; stored lower-case
+  username: z.string()
+    .trim()
+    .toLowerCase()
+    .min(3, 'Username must be at least 3 characters')
+    .max(30, 'Username is too long')
+    .regex(/^[a-z0-9_][a-z0-9_.-]*[a-z0-9_]$/, 'Username can only contain letters, numbers, underscores, dots and hyphens, and cannot start or end with a dot or hyphen')
+    .optional(),
+
   avatar_url: z.string()
     .url('Invalid avatar URL')
     .optional()
@@ -139,6 +148,111 @@ const userIdParamSchema = z.object({
     .min(1, 'User ID is required')
 });
 
+// Two-factor code fields: a 6-digit TOTP code or a recovery code
+const mfaCode = z.string()
+  .regex(/^\d{6}$/, 'Code must be 6 digits');
+
+const recoveryCode = z.string()
+  .min(1, 'Recovery code is required')
+  .max(20, 'Recovery code is too long');
+
+// Second step of a two-factor login
+const mfaLoginSchema = z.object({
+  mfaToken: z.string()
+    .min(1, 'Two-factor token is required'),
+
+  code: mfaCode.optional(),
+
+  recoveryCode: recoveryCode.optional()
+}).refine((data) => Boolean(data.code) !== Boolean(data.recoveryCode), {
+  message: 'Provide either a code or a recovery code',
+  path: ['code']
+});
+
+// Two-factor enrollment during login validation schema
+const mfaSetupSchema = z.object({
+  mfaToken: z.string()
+    .min(1, 'Two-factor token is required')
+});
+
+// Two-factor enrollment confirmation validation schema
+const enableMfaSchema = z.object({
+  code: mfaCode
+});
+
+// Step-up re-authentication validation schema
+const reauthenticateSchema = z.object({
+  password: z.string()
+    .min(1, 'Password is required'),
+
+  code: mfaCode.optional(),
+
+  recoveryCode: recoveryCode.optional()
+}).refine((data) => !(data.code && data.recoveryCode), {
+  message: 'Provide either a code or a recovery code, not both',
+  path: ['code']
+});
+
+// Two-factor requirement validation schema (admins)
+const mfaRequirementSchema = z.object({
+  required: z.boolean()
+});
+
+// Account unlock validation schema
+const unlockAccountSchema = z.object({
+  token: z.string()
+    .min(1, 'Unlock token is required')
+});
+
+// Passkey (WebAuthn) fields: the browser's binary values, base64url encoded
+const base64url = z.string()
+  .min(1, 'Value is required')
+  .regex(/^[A-Za-z0-9_-]+$/, 'Must be base64url encoded');
+
+const publicKeyCredential = response => z.object({
+  id: base64url,
+  rawId: base64url.optional(),
+  type: z.literal('public-key'),
+  response
+});
+
+// Passkey registration validation schema
+const passkeyRegistrationSchema = z.object({
+  name: z.string()
+    .min(1, 'Name is required')
+    .max(100, 'Name is too long')
+    .optional(),
+
+  credential: publicKeyCredential(z.object({
+    clientDataJSON: base64url,
+    attestationObject: base64url,
+    transports: z.array(z.string().max(20)).max(10).optional()
+  }))
+});
+
+// Passkey login options validation schema
+const passkeyLoginOptionsSchema = z.object({
+  email: z.string()
+    .email('Invalid email address')
+    .optional()
+});
+
+// Passkey login validation schema
+const passkeyLoginSchema = z.object({
+  credential: publicKeyCredential(z.object({
+    clientDataJSON: base64url,
+    authenticatorData: base64url,
+    signature: base64url,
+    userHandle: base64url.nullable().optional()
+  }))
+});
+
+// Passkey ID parameter validation schema
+const passkeyIdParamSchema = z.object({
+  passkeyId: z.string()
+    .uuid('Invalid passkey ID')
+});
+
 // OAuth state validation schema
 const oauthStateSchema = z.object({
   state: z.string()
@@ -199,6 +313,16 @@ module.exports = {
   deleteAccountSchema,
   revokeSessionSchema,
   userIdParamSchema,
+  mfaLoginSchema,
+  mfaSetupSchema,
+  enableMfaSchema,
+  reauthenticateSchema,
+  mfaRequirementSchema,
+  unlockAccountSchema,
+  passkeyRegistrationSchema,
+  passkeyLoginOptionsSchema,
+  passkeyLoginSchema,
+  passkeyIdParamSchema,
   oauthStateSchema,
   paginationSchema,
   searchSchema
@@ -14,6 +14,8 @@ class RefreshToken {
     this.lastUsedAt = data.lastUsedAt || new Date();
     this.revokedAt = data.revokedAt || null;
     this.revokedReason = data.revokedReason || null;
+    this.familyId = data.familyId || uuidv4();
+    this.usedAt = data.usedAt || null;
   }
 
   // Static method to create from database row
@@ -30,7 +32,9 @@ class RefreshToken {
       expiresAt: row.expires_at,
       lastUsedAt: row.last_used_at,
       revokedAt: row.revoked_at,
-      revokedReason: row.revoked_reason
+      revokedReason: row.revoked_reason,
+      familyId: row.family_id,
+      usedAt: row.used_at
     });
   }
 
@@ -48,7 +52,9 @@ class RefreshToken {
       expires_at: this.expiresAt,
       last_used_at: this.lastUsedAt,
       revoked_at: this.revokedAt,
-      revoked_reason: this.revokedReason
+      revoked_reason: this.revokedReason,
+      family_id: this.familyId,
+      used_at: this.usedAt
     };
   }
 
@@ -62,9 +68,14 @@ class RefreshToken {
     return this.revokedAt !== null;
   }
 
-  // Check if token is valid (not expired and not revoked)
+  // Check if token was already exchanged for a new one
+  isConsumed() {
+    return this.usedAt !== null;
+  }
+
+  // Check if token is valid (not expired, revoked or consumed)
   isValid() {
-    return !this.isExpired() && !this.isRevoked() && this.isActive;
+    return !this.isExpired() && !this.isRevoked() && !this.isConsumed() && this.isActive;
   }
 
   // Revoke token
@@ -129,6 +140,8 @@ class RefreshToken {
       lastUsedAt: this.lastUsedAt,
       revokedAt: this.revokedAt,
       revokedReason: this.revokedReason,
+      familyId: this.familyId,
+      usedAt: this.usedAt,
       isExpired: this.isExpired(),
       isRevoked: this.isRevoked(),
       isValid: this.isValid(),
@@ -8,12 +8,15 @@ class User {
   constructor(data = {}) {
     this.id = data.id || uuidv4();
     this.email = data.email?.toLowerCase().trim();
+    this.username = data.username || null; // Assigned by the database when unset
     this.emailVerified = data.emailVerified || false;
     this.passwordHash = data.passwordHash || null;
     this.name = data.name?.trim();
     this.avatarUrl = data.avatarUrl || null;
     this.roles = data.roles || ['user'];
     this.isActive = data.isActive !== false; // default true
+    this.mfaEnabled = data.mfaEnabled || false;
+    this.mfaRequired = data.mfaRequired || false;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
     this.lastLoginAt = data.lastLoginAt || null;
@@ -24,12 +27,15 @@ class User {
     return new User({
       id: row.id,
       email: row.email,
+      username: row.username,
       emailVerified: row.email_verified,
       passwordHash: row.password_hash,
       name: row.name,
       avatarUrl: row.avatar_url,
       roles: row.roles,
       isActive: row.is_active,
+      mfaEnabled: row.mfa_enabled,
+      mfaRequired: row.mfa_required,
       createdAt: row.created_at,
       updatedAt: row.updated_at,
       lastLoginAt: row.last_login_at
@@ -139,12 +145,15 @@ class User {
     return {
       id: this.id,
       email: this.email,
+      username: this.username,
       email_verified: this.emailVerified,
       password_hash: this.passwordHash,
       name: this.name,
       avatar_url: this.avatarUrl,
       roles: this.roles,
       is_active: this.isActive,
+      mfa_enabled: this.mfaEnabled,
+      mfa_required: this.mfaRequired,
       created_at: this.createdAt,
       updated_at: this.updatedAt,
       last_login_at: this.lastLoginAt
@@ -156,11 +165,14 @@ class User {
     return {
       id: this.id,
       email: this.email,
+      username: this.username,
       emailVerified: this.emailVerified,
       name: this.name,
       avatarUrl: this.avatarUrl,
       roles: this.roles,
       isActive: this.isActive,
+      mfaEnabled: this.mfaEnabled,
+      mfaRequired: this.mfaRequired,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       lastLoginAt: this.lastLoginAt
@@ -0,0 +1,94 @@
+const { v4: uuidv4 } = require('uuid');
+
+class WebAuthnCredential {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.userId = data.userId;
+    this.credentialId = data.credentialId;
+    this.publicKey = data.publicKey;
+    this.algorithm = data.algorithm;
+    this.signCount = data.signCount || 0;
+    this.transports = data.transports || [];
+    this.name = data.name || null;
+    this.aaguid = data.aaguid || null;
+    this.backupEligible = data.backupEligible === true;
+    this.backedUp = data.backedUp === true;
+    this.createdAt = data.createdAt || new Date();
+    this.lastUsedAt = data.lastUsedAt || null;
+    this.revokedAt = data.revokedAt || null;
+    this.revokedReason = data.revokedReason || null;
+  }
+
+  // Static method to create from database row
+  static fromDBRow(row) {
+    return new WebAuthnCredential({
+      id: row.id,
+      userId: row.user_id,
+      credentialId: row.credential_id,
+      publicKey: row.public_key,
+      algorithm: row.algorithm,
+      // BIGINT columns come back as strings
+      signCount: parseInt(row.sign_count) || 0,
+      transports: row.transports || [],
+      name: row.name,
+      aaguid: row.aaguid,
+      backupEligible: row.backup_eligible,
+      backedUp: row.backed_up,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at,
+      revokedReason: row.revoked_reason
+    });
+  }
+
+  // Convert to database-friendly object
+  toDBRow() {
+    return {
+      id: this.id,
+      user_id: this.userId,
+      credential_id: this.credentialId,
+      public_key: this.publicKey,
+      algorithm: this.algorithm,
+      sign_count: this.signCount,
+      transports: this.transports,
+      name: this.name,
+      aaguid: this.aaguid,
+      backup_eligible: this.backupEligible,
+      backed_up: this.backedUp,
+      created_at: this.createdAt,
+      last_used_at: this.lastUsedAt,
+      revoked_at: this.revokedAt,
+      revoked_reason: this.revokedReason
+    };
+  }
+
+  // Check if the passkey is revoked
+  isRevoked() {
+    return this.revokedAt !== null;
+  }
+
+  // Descriptor for excludeCredentials and allowCredentials
+  toDescriptor() {
+    return {
+      type: 'public-key',
+      id: this.credentialId,
+      transports: this.transports
+    };
+  }
+
+  // Convert to safe JSON (the public key and counter stay on the server)
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      credentialId: this.credentialId,
+      transports: this.transports,
+      aaguid: this.aaguid,
+      backedUp: this.backedUp,
+      createdAt: this.createdAt,
+      lastUsedAt: this.lastUsedAt
+    };
+  }
+}
+
+module.exports = WebAuthnCredential;
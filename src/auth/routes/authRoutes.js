@@ -5,7 +5,8 @@ const {
   authenticate,
   authorizeSelfOrAdmin,
   validateSession,
-  optionalAuthenticate
+  optionalAuthenticate,
+  requireReauthentication
 } = require('../middleware/authMiddleware');
 const {
   registerSchema,
@@ -14,7 +15,13 @@ const {
   requestPasswordResetSchema,
   resetPasswordSchema,
   verifyEmailSchema,
-  updateProfileSchema
+  updateProfileSchema,
+  mfaLoginSchema,
+  mfaSetupSchema,
+  unlockAccountSchema,
+  passkeyRegistrationSchema,
+  passkeyLoginOptionsSchema,
+  passkeyLoginSchema
 } = require('../middleware/validationSchemas');
 
 const router = express.Router();
@@ -50,6 +57,54 @@ router.post('/login',
   authController.login
 );
 
+// Two-factor login routes; both take the mfaToken the login responded with
+router.post('/mfa/verify',
+  securityMiddleware.createAuthLimiter(),
+  securityMiddleware.validateInput({ body: mfaLoginSchema }),
+  authController.verifyMfa
+);
+
+router.post('/mfa/setup',
+  securityMiddleware.createAuthLimiter(),
+  securityMiddleware.validateInput({ body: mfaSetupSchema }),
+  authController.setupMfa
+);
+
+// Unlock link emailed when an account is locked after failed logins
+router.post('/unlock-account',
+  securityMiddleware.createStrictLimiter({ max: 5 }),
+  securityMiddleware.validateInput({ body: unlockAccountSchema }),
+  authController.unlockAccount
+);
+
+// Passkey (WebAuthn) routes. Registering a passkey adds a way to login,
+// so it needs a recent re-authentication like other credential changes.
+router.post('/webauthn/register/options',
+  authenticate,
+  securityMiddleware.createStrictLimiter({ max: 10 }),
+  requireReauthentication,
+  authController.webauthnRegistrationOptions
+);
+
+router.post('/webauthn/register/verify',
+  authenticate,
+  securityMiddleware.createStrictLimiter({ max: 10 }),
+  securityMiddleware.validateInput({ body: passkeyRegistrationSchema }),
+  authController.verifyWebauthnRegistration
+);
+
+router.post('/webauthn/login/options',
+  securityMiddleware.createAuthLimiter(),
+  securityMiddleware.validateInput({ body: passkeyLoginOptionsSchema }),
+  authController.webauthnLoginOptions
+);
+
+router.post('/webauthn/login/verify',
+  securityMiddleware.createAuthLimiter(),
+  securityMiddleware.validateInput({ body: passkeyLoginSchema }),
+  authController.webauthnLogin
+);
+
 router.post('/logout',
   authenticate,
   authController.logout
@@ -4,13 +4,19 @@ const path = require('path');
 const fs = require('fs');
 const userController = require('../controllers/userController');
 const securityMiddleware = require('../middleware/securityMiddleware');
-const { authenticate } = require('../middleware/authMiddleware');
+const { authenticate, requireReauthentication } = require('../middleware/authMiddleware');
+const { ROLE_HIERARCHY, requireMinRoleLevel } = require('../middleware/rbacMiddleware');
 const {
   updateProfileSchema,
   changePasswordSchema,
   updatePreferencesSchema,
   deleteAccountSchema,
-  revokeSessionSchema
+  revokeSessionSchema,
+  userIdParamSchema,
+  enableMfaSchema,
+  reauthenticateSchema,
+  mfaRequirementSchema,
+  passkeyIdParamSchema
 } = require('../middleware/validationSchemas');
 
 const router = express.Router();
@@ -71,14 +77,75 @@ router.post('/profile/avatar',
   userController.uploadAvatar
 );
 
+// Step-up re-authentication: the token it returns goes in the
+// X-Reauth-Token header of the routes that require it
+router.post('/reauthenticate',
+  securityMiddleware.createStrictLimiter({ max: 5 }),
+  securityMiddleware.validateInput({ body: reauthenticateSchema }),
+  userController.reauthenticate
+);
+
 // Password management routes
 router.post('/change-password',
   securityMiddleware.createStrictLimiter({ max: 5 }),
+  requireReauthentication,
   securityMiddleware.validateInput({ body: changePasswordSchema }),
   securityMiddleware.validatePasswordStrength,
   userController.changePassword
 );
 
+// Two-factor authentication routes
+router.get('/mfa', userController.getMfaStatus);
+
+router.post('/mfa/setup',
+  securityMiddleware.createStrictLimiter({ max: 5 }),
+  requireReauthentication,
+  userController.setupMfa
+);
+
+router.post('/mfa/enable',
+  securityMiddleware.createStrictLimiter({ max: 5 }),
+  requireReauthentication,
+  securityMiddleware.validateInput({ body: enableMfaSchema }),
+  userController.enableMfa
+);
+
+router.delete('/mfa',
+  securityMiddleware.createStrictLimiter({ max: 3 }),
+  requireReauthentication,
+  userController.disableMfa
+);
+
+router.post('/mfa/recovery-codes',
+  securityMiddleware.createStrictLimiter({ max: 3 }),
+  requireReauthentication,
+  userController.regenerateRecoveryCodes
+);
+
+// Passkey routes; passkeys are registered through /auth/webauthn
+router.get('/passkeys', userController.listPasskeys);
+
+router.delete('/passkeys/:passkeyId',
+  securityMiddleware.createStrictLimiter({ max: 5 }),
+  requireReauthentication,
+  securityMiddleware.validateInput({ params: passkeyIdParamSchema }),
+  userController.revokePasskey
+);
+
+// Admins can require two-factor authentication for an account
+router.put('/:userId/mfa-requirement',
+  requireMinRoleLevel(ROLE_HIERARCHY.admin),
+  securityMiddleware.validateInput({ params: userIdParamSchema, body: mfaRequirementSchema }),
+  userController.setMfaRequirement
+);
+
+// Admins can unlock an account locked after failed logins
+router.post('/:userId/unlock',
+  requireMinRoleLevel(ROLE_HIERARCHY.admin),
+  securityMiddleware.validateInput({ params: userIdParamSchema }),
+  userController.unlockAccount
+);
+
 // Preferences routes
 router.get('/preferences', userController.getPreferences);
 
@@ -101,6 +168,7 @@ router.delete('/sessions',
 // Account management routes
 router.delete('/account',
   securityMiddleware.createStrictLimiter({ max: 1 }),
+  requireReauthentication,
   securityMiddleware.validateInput({ body: deleteAccountSchema }),
   userController.deleteAccount
 );
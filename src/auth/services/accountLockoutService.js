@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const dbConnection = require('../../database/connection');
+const config = require('../../shared/config/environment');
+const logger = require('../../shared/utils/logger');
+
+// Resets the unlock link of a users row
+const CLEAR_UNLOCK_TOKEN = `
+  unlock_token_hash = NULL,
+  unlock_token_expires_at = NULL
+`;
+
+const hashUnlockToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Whole seconds from `now` until `date`, at least 1
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((new Date(date).getTime() - now) / 1000));
+
+const normalizeEmail = email => String(email).toLowerCase();
+
+// Clear the unlock link of the matching accounts and forget the failed
+// logins with their email addresses, in one statement. Resolves to the
+// IDs of the accounts.
+const unlockAccounts = async (condition, params) => {
+  const result = await dbConnection.query(`
+    WITH unlocked AS (
+      UPDATE users
+      SET ${CLEAR_UNLOCK_TOKEN}
+      WHERE ${condition}
+      RETURNING id, email
+    ), forgotten AS (
+      DELETE FROM login_failures
+      WHERE email IN (SELECT LOWER(email) FROM unlocked)
+    )
+    SELECT id FROM unlocked
+  `, params);
+
+  return result.rows.map(row => row.id);
+};
+
+// Failed logins are counted per submitted email address, whether or not an
+// account has it, so that unknown addresses get throttled and locked the
+// same way and the answers don't tell which accounts exist
+class AccountLockoutService {
+  // Seconds an address waits before its next login attempt after the
+  // given number of consecutive failures
+  getThrottleDelay(failedAttempts) {
+    const { throttleAfter, baseDelaySeconds, maxDelaySeconds } = config.lockout;
+
+    if (failedAttempts < throttleAfter) {
+      return 0;
+    }
+
+    return Math.min(baseDelaySeconds * 2 ** (failedAttempts - throttleAfter), maxDelaySeconds);
+  }
+
+  // Throws when logins with the email address are locked or still have to
+  // wait after the last failed one, before the password is checked. The
+  // error carries retryAfter in seconds.
+  async assertLoginAllowed(email) {
+    const result = await dbConnection.query(`
+      SELECT locked_until, throttled_until
+      FROM login_failures
+      WHERE email = $1
+    `, [normalizeEmail(email)]);
+
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    const { locked_until: lockedUntil, throttled_until: throttledUntil } = result.rows[0];
+    const now = Date.now();
+
+    if (lockedUntil && new Date(lockedUntil).getTime() > now) {
+      const error = new Error('Account is temporarily locked');
+      error.retryAfter = secondsUntil(lockedUntil, now);
+      throw error;
+    }
+
+    if (throttledUntil && new Date(throttledUntil).getTime() > now) {
+      const error = new Error('Too many failed login attempts');
+      error.retryAfter = secondsUntil(throttledUntil, now);
+      throw error;
+    }
+  }
+
+  // Count a failed login with the email address. From the throttle
+  // threshold on the address has to wait before its next attempt; at the
+  // maximum it is locked. Locking the address of an account stores the
+  // token of its unlock link, only hashed, and the result carries it.
+  // Locking starts the count over.
+  async recordFailedLogin(email, userId = null) {
+    const now = Date.now();
+    const { maxFailedAttempts, durationMinutes, resetAfterMinutes, unlockTokenExpiresMinutes } = config.lockout;
+    const resetBefore = new Date(now - resetAfterMinutes * 60 * 1000);
+    const address = normalizeEmail(email);
+
+    // Failures that stopped counting, of addresses that aren't locked
+    await dbConnection.query(`
+      DELETE FROM login_failures
+      WHERE last_failed_at < $1 AND (locked_until IS NULL OR locked_until <= $2)
+    `, [resetBefore, new Date(now)]);
+
+    const result = await dbConnection.query(`
+      INSERT INTO login_failures (email, failed_attempts, last_failed_at)
+      VALUES ($3, 1, $1)
+      ON CONFLICT (email) DO UPDATE
+      SET failed_attempts = CASE
+            WHEN login_failures.last_failed_at < $2 THEN 1
+            ELSE login_failures.failed_attempts + 1
+          END,
+          last_failed_at = $1
+      RETURNING failed_attempts
+    `, [new Date(now), resetBefore, address]);
+
+    const failedAttempts = result.rows[0].failed_attempts;
+
+    if (failedAttempts >= maxFailedAttempts) {
+      const lockedUntil = new Date(now + durationMinutes * 60 * 1000);
+
+      const locked = await dbConnection.query(`
+        UPDATE login_failures
+        SET failed_attempts = 0, throttled_until = NULL, locked_until = $1
+        WHERE email = $2 AND (locked_until IS NULL OR locked_until <= $3)
+        RETURNING email
+      `, [lockedUntil, address, new Date(now)]);
+
+      // A concurrent failed login locked the address first
+      if (locked.rows.length === 0) {
+        return { failedAttempts, locked: false, retryAfter: 0 };
+      }
+
+      let unlockToken;
+      if (userId) {
+        unlockToken = crypto.randomBytes(32).toString('hex');
+
+        await dbConnection.query(`
+          UPDATE users
+          SET unlock_token_hash = $1, unlock_token_expires_at = $2
+          WHERE id = $3
+        `, [hashUnlockToken(unlockToken), new Date(now + unlockTokenExpiresMinutes * 60 * 1000), userId]);
+      }
+
+      logger.warn('Logins locked after failed attempts', { userId, failedAttempts, lockedUntil });
+
+      return { failedAttempts, locked: true, lockedUntil, unlockToken, retryAfter: durationMinutes * 60 };
+    }
+
+    const retryAfter = this.getThrottleDelay(failedAttempts);
+    if (retryAfter > 0) {
+      await dbConnection.query(`
+        UPDATE login_failures
+        SET throttled_until = $1
+        WHERE email = $2
+      `, [new Date(now + retryAfter * 1000), address]);
+
+      logger.info('Logins throttled after failed attempts', { userId, failedAttempts, retryAfter });
+    }
+
+    return { failedAttempts, locked: false, retryAfter };
+  }
+
+  // After a successful login
+  async clearFailedLogins(email, userId) {
+    await dbConnection.query(`
+      DELETE FROM login_failures
+      WHERE email = $1
+    `, [normalizeEmail(email)]);
+
+    await dbConnection.query(`
+      UPDATE users
+      SET ${CLEAR_UNLOCK_TOKEN}
+      WHERE id = $1 AND unlock_token_hash IS NOT NULL
+    `, [userId]);
+  }
+
+  // Unlock with the token of the emailed link, which works once. Returns
+  // the ID of the unlocked account.
+  async unlockWithToken(token) {
+    const [userId] = await unlockAccounts(
+      'unlock_token_hash = $1 AND unlock_token_expires_at > $2',
+      [hashUnlockToken(token), new Date(Date.now())]
+    );
+
+    if (!userId) {
+      throw new Error('Invalid or expired unlock token');
+    }
+
+    logger.info('Account unlocked with the emailed link', { userId });
+    return userId;
+  }
+
+  // Unlock an account and forget its failed logins (admins)
+  async unlock(userId) {
+    const [unlocked] = await unlockAccounts('id = $1', [userId]);
+
+    if (!unlocked) {
+      throw new Error('User not found');
+    }
+
+    logger.info('Account unlocked', { userId });
+  }
+}
+
+const accountLockoutService = new AccountLockoutService();
+
+module.exports = accountLockoutService;
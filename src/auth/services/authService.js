@@ -1,12 +1,22 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const bcrypt = require('bcrypt');
 const User = require('../models/User');
 const dbConnection = require('../../database/connection');
 const emailService = require('./emailService');
 const tokenService = require('./tokenService');
-const { utils: securityUtils } = require('../../shared/config/security');
+const mfaService = require('./mfaService');
+const webauthnService = require('./webauthnService');
+const accountLockoutService = require('./accountLockoutService');
+const config = require('../../shared/config/environment');
+const { config: securityConfig } = require('../../shared/config/security');
 const logger = require('../../shared/utils/logger');
 
-class AuthService {
+// Emits 'loginFailed', 'accountLocked' and 'refreshTokenReused' for the
+// security integration and the auth event monitor
+class AuthService extends EventEmitter {
   constructor() {
+    super();
     this.verificationTokens = new Map(); // In development, use Map for token storage
     this.passwordResetTokens = new Map(); // In production, use database
   }
@@ -35,7 +45,7 @@ class AuthService {
       const insertUserQuery = `
         INSERT INTO users (email, email_verified, password_hash, name, roles, is_active)
         VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING id, email, email_verified, name, roles, created_at, updated_at
+        RETURNING id, email, username, email_verified, name, roles, created_at, updated_at
       `;
 
       const userResult = await client.query(insertUserQuery, [
@@ -79,19 +89,30 @@ class AuthService {
     }
   }
 
-  // Login user
-  async login(email, password) {
+  // Login user. Accounts with two-factor authentication (or required to
+  // set it up) get a short-lived mfa_pending token instead of the token
+  // pair; completeMfaLogin exchanges it for the tokens.
+  async login(email, password, metadata = {}) {
     try {
       // Find user by email
       const userQuery = `
-        SELECT id, email, email_verified, password_hash, name, roles, is_active, last_login_at, created_at, updated_at
+        SELECT id, email, username, email_verified, password_hash, name, roles, is_active, mfa_enabled, mfa_required,
+               last_login_at, created_at, updated_at
         FROM users
         WHERE email = $1 AND is_active = true
       `;
 
       const userResult = await dbConnection.query(userQuery, [email.toLowerCase()]);
 
+      // Locked and throttled addresses fail before the password is checked,
+      // whether an account has them or not
+      await accountLockoutService.assertLoginAllowed(email);
+
       if (userResult.rows.length === 0) {
+        // Take as long as checking a password, and count the failure like
+        // one, so that unknown addresses answer the same as accounts
+        await bcrypt.compare(String(password), await this.getDummyPasswordHash());
+        await this.recordFailedLogin({ id: null, email }, 'unknown_email', metadata);
         throw new Error('Invalid email or password');
       }
 
@@ -100,6 +121,7 @@ class AuthService {
       // Verify password
       const isValidPassword = await user.verifyPassword(password);
       if (!isValidPassword) {
+        await this.recordFailedLogin(user, 'invalid_password', metadata);
         throw new Error('Invalid email or password');
       }
 
@@ -109,27 +131,264 @@ class AuthService {
         // You might want to allow login but show a verification reminder
       }
 
-      // Update last login time
-      await this.updateLastLogin(user.id);
+      if (user.mfaEnabled || user.mfaRequired) {
+        logger.info('Password accepted, two-factor authentication pending', { userId: user.id });
 
-      // Generate JWT tokens
-      const tokens = await tokenService.generateTokenPair(user, {
-        deviceInfo: req.deviceInfo || {},
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent')
-      });
+        return {
+          success: true,
+          mfaRequired: true,
+          mfaEnrollmentRequired: !user.mfaEnabled,
+          mfaToken: tokenService.createMfaPendingToken(user),
+          expiresIn: config.mfa.pendingTokenExpiresIn
+        };
+      }
+
+      return await this.issueLoginTokens(user, metadata);
+
+    } catch (error) {
+      logger.error('User login failed:', { email, error: error.message });
+      throw error;
+    }
+  }
+
+  // Finish a login with the second factor: a TOTP code or a recovery code.
+  // For an account that has to enroll, the code confirms the secret from
+  // startMfaEnrollment and the result carries the new recovery codes.
+  async completeMfaLogin(mfaToken, { code, recoveryCode } = {}, metadata = {}) {
+    try {
+      const user = await this.getUserForMfaToken(mfaToken);
+      let recoveryCodes;
 
-      logger.info('User logged in successfully', { userId: user.id, email: user.email });
+      await accountLockoutService.assertLoginAllowed(user.email);
+
+      try {
+        if (user.mfaEnabled) {
+          await mfaService.verify(user.id, { code, recoveryCode });
+        } else {
+          ({ recoveryCodes } = await mfaService.confirmEnrollment(user.id, code));
+          user.mfaEnabled = true;
+        }
+      } catch (error) {
+        if (error.message.includes('Invalid two-factor code')) {
+          await this.recordFailedLogin(user, 'invalid_mfa_code', metadata);
+        }
+        throw error;
+      }
+
+      // The pending token finishes one login only
+      tokenService.blacklistToken(mfaToken);
+
+      const result = await this.issueLoginTokens(user, metadata);
+      return recoveryCodes ? { ...result, recoveryCodes } : result;
+
+    } catch (error) {
+      logger.error('Two-factor login failed:', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Login with a passkey assertion. Passkeys are only accepted with user
+  // verification, so they stand in for both the password and the second
+  // factor.
+  async loginWithPasskey(credential, metadata = {}) {
+    try {
+      const { userId } = await webauthnService.verifyAuthentication(credential);
+
+      const user = await this.getUserById(userId);
+      if (!user) {
+        throw new Error('Passkey is not registered');
+      }
+
+      return await this.issueLoginTokens(user, metadata);
+
+    } catch (error) {
+      logger.error('Passkey login failed:', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Secret and provisioning URI for an account that has to set up
+  // two-factor authentication before its login completes
+  async startMfaEnrollment(mfaToken) {
+    const user = await this.getUserForMfaToken(mfaToken);
+
+    if (user.mfaEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    return mfaService.beginEnrollment(user);
+  }
+
+  async getUserForMfaToken(mfaToken) {
+    let decoded;
+    try {
+      decoded = tokenService.verifyToken(mfaToken, 'mfa_pending');
+    } catch (error) {
+      throw new Error('Invalid or expired two-factor token');
+    }
+
+    const user = await this.getUserById(decoded.sub);
+    if (!user) {
+      throw new Error('Invalid or expired two-factor token');
+    }
+
+    return user;
+  }
+
+  // Hash that passwords of unknown addresses are checked against
+  async getDummyPasswordHash() {
+    if (!this.dummyPasswordHash) {
+      this.dummyPasswordHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), config.security.bcryptRounds);
+    }
+    return this.dummyPasswordHash;
+  }
+
+  // Count a failed password or second factor against the email address
+  // (user has a null id for unknown addresses). Locking the address of an
+  // account emails the user an unlock link and emits 'accountLocked'.
+  async recordFailedLogin(user, reason, metadata = {}) {
+    const timestamp = Date.now();
+
+    this.emit('loginFailed', {
+      userId: user.id,
+      username: user.email,
+      ipAddress: metadata.ipAddress,
+      userAgent: metadata.userAgent,
+      reason,
+      timestamp
+    });
+
+    const result = await accountLockoutService.recordFailedLogin(user.email, user.id);
+    if (!result.locked || !user.id) {
+      return;
+    }
+
+    await emailService.sendSecurityAlert(user, 'ACCOUNT_LOCKED', {
+      unlockUrl: `${config.frontend.url}/auth/unlock-account?token=${result.unlockToken}`
+    });
+
+    this.emit('accountLocked', {
+      userId: user.id,
+      reason: 'too_many_failed_logins',
+      failedAttempts: result.failedAttempts,
+      lockedUntil: result.lockedUntil,
+      ipAddress: metadata.ipAddress,
+      timestamp
+    });
+  }
+
+  // Unlock an account with the token of the emailed link
+  async unlockAccount(token) {
+    return accountLockoutService.unlockWithToken(token);
+  }
+
+  // Exchange a refresh token for new tokens. Replaying a consumed refresh
+  // token revokes its whole family; the user is emailed when that signs out
+  // a live session, and 'refreshTokenReused' is emitted either way.
+  async refreshTokens(refreshToken, metadata = {}) {
+    try {
+      return await tokenService.refreshAccessToken(refreshToken, metadata);
+    } catch (error) {
+      if (error.reuse) {
+        await this.reportRefreshTokenReuse(error.reuse, metadata);
+      }
+      throw error;
+    }
+  }
+
+  async reportRefreshTokenReuse({ userId, familyId, revokedCount }, metadata = {}) {
+    const timestamp = Date.now();
+
+    if (revokedCount > 0) {
+      const user = await this.getUserById(userId);
+      if (user) {
+        await emailService.sendSecurityAlert(user, 'REFRESH_TOKEN_REUSE', {
+          ipAddress: metadata.ipAddress,
+          userAgent: metadata.userAgent
+        });
+      }
+    }
+
+    this.emit('refreshTokenReused', {
+      userId,
+      familyId,
+      revokedSessions: revokedCount,
+      ipAddress: metadata.ipAddress,
+      userAgent: metadata.userAgent,
+      timestamp
+    });
+  }
+
+  async issueLoginTokens(user, metadata = {}) {
+    // Update last login time and forget earlier failed logins
+    await this.updateLastLogin(user.id);
+    await accountLockoutService.clearFailedLogins(user.email, user.id);
+
+    // Generate JWT tokens
+    const tokens = await tokenService.generateTokenPair(user, metadata);
+
+    logger.info('User logged in successfully', { userId: user.id, email: user.email });
+
+    return {
+      success: true,
+      user: user.toJSON(),
+      tokens,
+      requiresEmailVerification: !user.emailVerified
+    };
+  }
+
+  // Step-up re-authentication: check the password, and the second factor
+  // when the account has one, then issue a short-lived reauth token
+  // Wrong passwords and second factors count toward the login lockout, so
+  // a stolen session can't be used to guess the password.
+  async reauthenticate(userId, { password, code, recoveryCode } = {}, metadata = {}) {
+    try {
+      const userQuery = `
+        SELECT id, email, password_hash, name, mfa_enabled, mfa_required
+        FROM users
+        WHERE id = $1 AND is_active = true
+      `;
+
+      const userResult = await dbConnection.query(userQuery, [userId]);
+
+      if (userResult.rows.length === 0) {
+        throw new Error('User not found');
+      }
+
+      const user = User.fromDBRow(userResult.rows[0]);
+
+      await accountLockoutService.assertLoginAllowed(user.email);
+
+      const isValidPassword = await user.verifyPassword(password);
+      if (!isValidPassword) {
+        await this.recordFailedLogin(user, 'invalid_password', metadata);
+        throw new Error('Password is incorrect');
+      }
+
+      if (user.mfaEnabled) {
+        if (!code && !recoveryCode) {
+          throw new Error('Two-factor code is required');
+        }
+        try {
+          await mfaService.verify(user.id, { code, recoveryCode });
+        } catch (error) {
+          if (error.message.includes('Invalid two-factor code')) {
+            await this.recordFailedLogin(user, 'invalid_mfa_code', metadata);
+          }
+          throw error;
+        }
+      }
+
+      logger.info('User re-authenticated', { userId });
 
       return {
         success: true,
-        user: user.toJSON(),
-        tokens,
-        requiresEmailVerification: !user.emailVerified
+        reauthToken: tokenService.createReauthToken(user),
+        expiresIn: config.mfa.reauthTokenExpiresIn
       };
 
     } catch (error) {
-      logger.error('User login failed:', { email, error: error.message });
+      logger.error('Re-authentication failed:', { userId, error: error.message });
       throw error;
     }
   }
@@ -369,7 +628,7 @@ class AuthService {
   async getUserByEmail(email) {
     try {
       const userQuery = `
-        SELECT id, email, email_verified, name, avatar_url, roles, is_active, last_login_at, created_at, updated_at
+        SELECT id, email, username, email_verified, name, avatar_url, roles, is_active, mfa_enabled, mfa_required, last_login_at, created_at, updated_at
         FROM users
         WHERE email = $1 AND is_active = true
       `;
@@ -392,7 +651,7 @@ class AuthService {
   async getUserById(userId) {
     try {
       const userQuery = `
-        SELECT id, email, email_verified, name, avatar_url, roles, is_active, last_login_at, created_at, updated_at
+        SELECT id, email, username, email_verified, name, avatar_url, roles, is_active, mfa_enabled, mfa_required, last_login_at, created_at, updated_at
         FROM users
         WHERE id = $1 AND is_active = true
       `;
@@ -411,6 +670,30 @@ class AuthService {
     }
   }
 
+  // Get users by username (case-insensitive). Usernames are unique, so each
+  // one matches at most one user.
+  async getUsersByUsernames(usernames) {
+    if (!usernames || usernames.length === 0) {
+      return [];
+    }
+
+    try {
+      const userQuery = `
+        SELECT id, email, username, email_verified, name, avatar_url, roles, is_active, mfa_enabled, mfa_required, last_login_at, created_at, updated_at
+        FROM users
+        WHERE LOWER(username) = ANY($1) AND is_active = true
+      `;
+
+      const userResult = await dbConnection.query(userQuery, [usernames.map(username => username.toLowerCase())]);
+
+      return userResult.rows.map(row => User.fromDBRow(row));
+
+    } catch (error) {
+      logger.error('Failed to get users by username:', { usernames, error: error.message });
+      throw error;
+    }
+  }
+
   // Update user profile
   async updateProfile(userId, profileData) {
     try {
@@ -420,7 +703,7 @@ class AuthService {
       }
 
       // Update allowed fields
-      const allowedFields = ['name', 'avatar_url'];
+      const allowedFields = ['name', 'username', 'avatar_url'];
       const updates = [];
       const values = [];
       let paramIndex = 1;
@@ -445,10 +728,18 @@ class AuthService {
         UPDATE users
         SET ${updates.join(', ')}
         WHERE id = $${paramIndex}
-        RETURNING id, email, email_verified, name, avatar_url, roles, updated_at
+        RETURNING id, email, username, email_verified, name, avatar_url, roles, updated_at
       `;
 
-      const result = await dbConnection.query(updateQuery, values);
+      let result;
+      try {
+        result = await dbConnection.query(updateQuery, values);
+      } catch (error) {
+        if (error.code === '23505' && error.constraint === 'idx_users_username') {
+          throw new Error('Username is already taken');
+        }
+        throw error;
+      }
 
       if (result.rows.length === 0) {
         throw new Error('Failed to update profile');
@@ -307,7 +307,17 @@ class EmailService {
       'ACCOUNT_LOCKED': {
         title: 'Account Locked',
         message: 'Your account has been temporarily locked due to multiple failed login attempts.',
-        details: `If this wasn't you, please reset your password immediately.<br>Time: ${new Date().toLocaleString()}`
+        details: `${details.unlockUrl ? `If it was you, <a href="${details.unlockUrl}">unlock your account</a> now.<br>` : ''}If this wasn't you, please reset your password immediately.<br>Time: ${new Date().toLocaleString()}`
+      },
+      'PASSKEY_CLONE_DETECTED': {
+        title: 'Passkey Revoked',
+        message: 'A sign-in used a copy of one of your passkeys, so we revoked it.',
+        details: `Passkey: ${details.passkey || 'Unknown'}<br>If you still have the device, register it again after reviewing your account security.<br>Time: ${new Date().toLocaleString()}`
+      },
+      'REFRESH_TOKEN_REUSE': {
+        title: 'Session Signed Out',
+        message: 'A session token of your account was used after it had been replaced, which happens when it is copied, so we signed that session out everywhere.',
+        details: `IP address: ${details.ipAddress || 'Unknown'}<br>Device: ${details.userAgent || 'Unknown'}<br>Log in again to continue.<br>Time: ${new Date().toLocaleString()}`
       }
     };
 
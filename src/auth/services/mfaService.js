@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const dbConnection = require('../../database/connection');
+const config = require('../../shared/config/environment');
+const totp = require('../../utils/totp');
+const logger = require('../../shared/utils/logger');
+
+const SECRET_CIPHER = 'aes-256-gcm';
+
+// Recovery codes are 8 base32 characters, shown as XXXX-XXXX
+const RECOVERY_CODE_BYTES = 5;
+
+const encryptionKey = () => crypto.createHash('sha256').update(String(config.mfa.encryptionKey)).digest();
+
+// "<iv>:<auth tag>:<ciphertext>", all hex
+const encryptSecret = secret => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(SECRET_CIPHER, encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = stored => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv(SECRET_CIPHER, encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes are compared without their dash and case
+const hashRecoveryCode = code => crypto
+  .createHash('sha256')
+  .update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''))
+  .digest('hex');
+
+const generateRecoveryCode = () => {
+  const code = totp.base32Encode(crypto.randomBytes(RECOVERY_CODE_BYTES));
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+};
+
+class MfaService {
+  // Two-factor state of an account
+  async getStatus(userId) {
+    const result = await dbConnection.query(`
+      SELECT u.mfa_enabled, u.mfa_required, u.mfa_enabled_at,
+             COUNT(c.id) FILTER (WHERE c.used_at IS NULL) AS recovery_codes_remaining
+      FROM users u
+      LEFT JOIN user_mfa_recovery_codes c ON c.user_id = u.id
+      WHERE u.id = $1 AND u.is_active = true
+      GROUP BY u.id
+    `, [userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const row = result.rows[0];
+    return {
+      enabled: row.mfa_enabled === true,
+      required: row.mfa_required === true,
+      enabledAt: row.mfa_enabled_at || null,
+      recoveryCodesRemaining: row.mfa_enabled ? parseInt(row.recovery_codes_remaining) : 0
+    };
+  }
+
+  // Start enrollment with a new secret. Two-factor authentication stays off
+  // until confirmEnrollment receives a code generated from it; starting
+  // again replaces a secret that was never confirmed.
+  async beginEnrollment(user) {
+    const secret = totp.generateSecret();
+
+    const result = await dbConnection.query(`
+      UPDATE users
+      SET mfa_secret = $1, mfa_last_used_step = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND is_active = true AND mfa_enabled = false
+      RETURNING id
+    `, [encryptSecret(secret), user.id]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    logger.info('Two-factor enrollment started', { userId: user.id });
+
+    return {
+      secret,
+      otpauthUri: totp.buildProvisioningUri({ secret, accountName: user.email, issuer: config.mfa.issuer })
+    };
+  }
+
+  // Turn two-factor authentication on with the first code from the
+  // authenticator app. Returns the recovery codes, which are only stored
+  // hashed and can't be shown again.
+  async confirmEnrollment(userId, code) {
+    const state = await this.getSecretState(userId);
+
+    if (state.enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!state.secret) {
+      throw new Error('Two-factor authentication has not been set up');
+    }
+
+    return dbConnection.transaction(async () => {
+      await this.acceptTotpCode(userId, state.secret, code);
+
+      await dbConnection.query(`
+        UPDATE users
+        SET mfa_enabled = true, mfa_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [userId]);
+
+      const recoveryCodes = await this.replaceRecoveryCodes(userId);
+
+      logger.info('Two-factor authentication enabled', { userId });
+      return { recoveryCodes };
+    });
+  }
+
+  // Check the second factor of an account with two-factor authentication:
+  // a TOTP code, or an unused recovery code, which is used up
+  async verify(userId, { code, recoveryCode } = {}) {
+    const state = await this.getSecretState(userId);
+
+    if (!state.enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (recoveryCode) {
+      const result = await dbConnection.query(`
+        UPDATE user_mfa_recovery_codes
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        RETURNING id
+      `, [userId, hashRecoveryCode(recoveryCode)]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      logger.info('Recovery code used', { userId });
+      return { method: 'recovery_code' };
+    }
+
+    await this.acceptTotpCode(userId, state.secret, code);
+    return { method: 'totp' };
+  }
+
+  // Turn two-factor authentication off, unless an admin requires it
+  async disable(userId) {
+    const result = await dbConnection.query(`
+      UPDATE users
+      SET mfa_enabled = false, mfa_secret = NULL, mfa_enabled_at = NULL, mfa_last_used_step = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_active = true AND mfa_required = false
+      RETURNING id
+    `, [userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Two-factor authentication is required for this account');
+    }
+
+    await dbConnection.query('DELETE FROM user_mfa_recovery_codes WHERE user_id = $1', [userId]);
+
+    logger.info('Two-factor authentication disabled', { userId });
+    return { success: true };
+  }
+
+  // New recovery codes; the previous ones stop working
+  async regenerateRecoveryCodes(userId) {
+    const state = await this.getSecretState(userId);
+
+    if (!state.enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    const recoveryCodes = await dbConnection.transaction(() => this.replaceRecoveryCodes(userId));
+
+    logger.info('Recovery codes regenerated', { userId });
+    return { recoveryCodes };
+  }
+
+  // Require (or stop requiring) two-factor authentication for an account.
+  // An account without it has to enroll during its next login.
+  async setRequired(userId, required) {
+    const result = await dbConnection.query(`
+      UPDATE users
+      SET mfa_required = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND is_active = true
+      RETURNING id, mfa_enabled, mfa_required
+    `, [required, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('User not found');
+    }
+
+    logger.info('Two-factor requirement changed', { userId, required });
+    return { enabled: result.rows[0].mfa_enabled === true, required: result.rows[0].mfa_required === true };
+  }
+
+  async getSecretState(userId) {
+    const result = await dbConnection.query(
+      'SELECT mfa_enabled, mfa_secret FROM users WHERE id = $1 AND is_active = true',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const row = result.rows[0];
+    return { enabled: row.mfa_enabled === true, secret: row.mfa_secret ? decryptSecret(row.mfa_secret) : null };
+  }
+
+  // Accept a TOTP code once: recording its time step refuses the same code,
+  // and older ones, on a second attempt
+  async acceptTotpCode(userId, secret, code) {
+    const step = totp.verifyCode(secret, code);
+
+    if (step === null) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    const result = await dbConnection.query(`
+      UPDATE users
+      SET mfa_last_used_step = $1
+      WHERE id = $2 AND (mfa_last_used_step IS NULL OR mfa_last_used_step < $1)
+      RETURNING id
+    `, [step, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Invalid two-factor code');
+    }
+  }
+
+  async replaceRecoveryCodes(userId) {
+    const recoveryCodes = Array.from({ length: config.mfa.recoveryCodeCount }, generateRecoveryCode);
+
+    await dbConnection.query('DELETE FROM user_mfa_recovery_codes WHERE user_id = $1', [userId]);
+    await dbConnection.query(`
+      INSERT INTO user_mfa_recovery_codes (user_id, code_hash)
+      SELECT $1, UNNEST($2::varchar[])
+    `, [userId, recoveryCodes.map(hashRecoveryCode)]);
+
+    return recoveryCodes;
+  }
+}
+
+// Create singleton instance
+const mfaService = new MfaService();
+
+module.exports = mfaService;
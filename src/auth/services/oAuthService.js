@@ -196,7 +196,7 @@ class OAuthService {
       const userQuery = `
         INSERT INTO users (email, email_verified, name, avatar_url, roles, is_active)
         VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING id, email, email_verified, name, avatar_url, roles, created_at, updated_at
+        RETURNING id, email, username, email_verified, name, avatar_url, roles, created_at, updated_at
       `;
 
       const userResult = await client.query(userQuery, [
@@ -258,7 +258,7 @@ class OAuthService {
       const userQuery = `
         INSERT INTO users (email, email_verified, name, avatar_url, roles, is_active)
         VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING id, email, email_verified, name, avatar_url, roles, created_at, updated_at
+        RETURNING id, email, username, email_verified, name, avatar_url, roles, created_at, updated_at
       `;
 
       const userResult = await client.query(userQuery, [
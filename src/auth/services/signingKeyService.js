@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const dbConnection = require('../../database/connection');
+const config = require('../../shared/config/environment');
+const logger = require('../../shared/utils/logger');
+
+const PRIVATE_KEY_CIPHER = 'aes-256-gcm';
+
+// Key pair options of the asymmetric algorithms
+const KEY_PAIR_OPTIONS = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }]
+};
+
+// JWK members that identify a public key, for its RFC 7638 thumbprint
+const THUMBPRINT_MEMBERS = {
+  RSA: ['e', 'kty', 'n'],
+  EC: ['crv', 'kty', 'x', 'y']
+};
+
+// Serializes the rotation of every instance sharing the database
+const ROTATION_LOCK_ID = 0x6a776b73; // 'jwks'
+
+const encryptionKey = () => crypto.createHash('sha256').update(String(config.jwtKeys.encryptionKey)).digest();
+
+// "<iv>:<auth tag>:<ciphertext>", all hex
+const encryptPrivateKey = pem => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(PRIVATE_KEY_CIPHER, encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptPrivateKey = stored => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv(PRIVATE_KEY_CIPHER, encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const thumbprint = jwk => {
+  const members = THUMBPRINT_MEMBERS[jwk.kty].map(name => `"${name}":"${jwk[name]}"`).join(',');
+  return crypto.createHash('sha256').update(`{${members}}`).digest('base64url');
+};
+
+const toTime = date => (date ? new Date(date).getTime() : null);
+
+const isExpired = (key, now) => key.expiresAt !== null && key.expiresAt <= now;
+
+class SigningKeyService {
+  constructor() {
+    this.keys = new Map(); // kid -> loaded key
+    this.rotationTimer = null;
+  }
+
+  // Whether tokens are signed with key pairs rather than the access token secret
+  isAsymmetric() {
+    return config.jwtKeys.algorithm !== 'HS256';
+  }
+
+  // Whether tokens without a kid, signed with the access token secret, still
+  // verify: always under HS256, and after a switch to a key pair algorithm
+  // until the configured cutoff
+  acceptsLegacyTokens() {
+    const { acceptLegacyUntil } = config.jwtKeys;
+    return !this.isAsymmetric() || (acceptLegacyUntil !== null && Date.now() < acceptLegacyUntil);
+  }
+
+  // Load the keys, creating the first one, and check for a due rotation every
+  // check interval. Nothing to do under HS256.
+  async initialize() {
+    if (!this.isAsymmetric()) {
+      return;
+    }
+
+    if (!KEY_PAIR_OPTIONS[config.jwtKeys.algorithm]) {
+      throw new Error(`Unsupported JWT algorithm: ${config.jwtKeys.algorithm}`);
+    }
+
+    if (!config.jwtKeys.encryptionKey) {
+      throw new Error(`JWT_KEY_ENCRYPTION_KEY is required with ${config.jwtKeys.algorithm}`);
+    }
+
+    if (!dbConnection.isConnected) {
+      await dbConnection.initialize();
+    }
+
+    await this.rotateIfDue();
+
+    this.rotationTimer = setInterval(() => {
+      this.rotateIfDue().catch(error => {
+        logger.error('JWT signing key rotation failed:', error);
+      });
+    }, config.jwtKeys.checkIntervalMs);
+    this.rotationTimer.unref();
+
+    logger.info('JWT signing keys loaded', { algorithm: config.jwtKeys.algorithm, keys: this.keys.size });
+  }
+
+  stop() {
+    clearInterval(this.rotationTimer);
+    this.rotationTimer = null;
+  }
+
+  // Reload the keys other instances created, and publish the next key when
+  // the one signing now is older than the rotation interval or uses another
+  // algorithm than the configured one
+  async rotateIfDue() {
+    await dbConnection.transaction(async () => {
+      await dbConnection.query('SELECT pg_advisory_xact_lock($1)', [ROTATION_LOCK_ID]);
+
+      await dbConnection.query(`
+        DELETE FROM jwt_signing_keys
+        WHERE expires_at <= $1
+      `, [new Date(Date.now())]);
+
+      await this.reload();
+
+      const now = Date.now();
+      const keys = [...this.keys.values()];
+      if (keys.some(key => key.activatesAt > now)) {
+        return; // The next key is already published
+      }
+
+      const current = this.getCurrentKey();
+      const rotationMs = config.jwtKeys.rotationDays * 24 * 60 * 60 * 1000;
+
+      if (!current) {
+        // Nothing signs yet, so nothing has to wait for the new key
+        await this.createKey(now);
+      } else if (current.algorithm !== config.jwtKeys.algorithm || current.activatesAt <= now - rotationMs) {
+        // Every instance reloads the keys within a check interval, so they all
+        // know the new key before tokens signed with it reach them
+        await this.createKey(now + 2 * config.jwtKeys.checkIntervalMs);
+      }
+    });
+  }
+
+  // Publish a new key that signs from `activatesAt` on. The keys before it
+  // expire the grace period after that.
+  async createKey(activatesAt) {
+    const algorithm = config.jwtKeys.algorithm;
+    const [type, options] = KEY_PAIR_OPTIONS[algorithm];
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+    const kid = thumbprint(publicKey.export({ format: 'jwk' }));
+
+    await dbConnection.query(`
+      UPDATE jwt_signing_keys
+      SET expires_at = $1
+      WHERE expires_at IS NULL
+    `, [new Date(activatesAt + config.jwtKeys.gracePeriodHours * 60 * 60 * 1000)]);
+
+    await dbConnection.query(`
+      INSERT INTO jwt_signing_keys (kid, algorithm, public_key, private_key, created_at, activates_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [
+      kid,
+      algorithm,
+      publicKey.export({ type: 'spki', format: 'pem' }),
+      encryptPrivateKey(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+      new Date(Date.now()),
+      new Date(activatesAt)
+    ]);
+
+    await this.reload();
+
+    logger.info('JWT signing key created', { kid, algorithm, activatesAt: new Date(activatesAt) });
+    return kid;
+  }
+
+  async reload() {
+    const result = await dbConnection.query(`
+      SELECT kid, algorithm, public_key, private_key, activates_at, expires_at
+      FROM jwt_signing_keys
+      WHERE expires_at IS NULL OR expires_at > $1
+      ORDER BY activates_at
+    `, [new Date(Date.now())]);
+
+    this.keys = new Map(result.rows.map(row => [row.kid, {
+      kid: row.kid,
+      algorithm: row.algorithm,
+      publicKey: crypto.createPublicKey(row.public_key),
+      encryptedPrivateKey: row.private_key,
+      activatesAt: toTime(row.activates_at),
+      expiresAt: toTime(row.expires_at)
+    }]));
+  }
+
+  // The newest key that already signs
+  getCurrentKey() {
+    const now = Date.now();
+
+    return [...this.keys.values()]
+      .filter(key => key.activatesAt <= now && !isExpired(key, now))
+      .reduce((newest, key) => (!newest || key.activatesAt > newest.activatesAt ? key : newest), null);
+  }
+
+  // Key to sign a token with: { kid, algorithm, privateKey }
+  getSigningKey() {
+    const key = this.getCurrentKey();
+
+    if (!key) {
+      throw new Error('No JWT signing key is loaded');
+    }
+
+    if (!key.privateKey) {
+      key.privateKey = crypto.createPrivateKey(decryptPrivateKey(key.encryptedPrivateKey));
+    }
+
+    return { kid: key.kid, algorithm: key.algorithm, privateKey: key.privateKey };
+  }
+
+  // Key to verify a token with the given kid: { kid, algorithm, publicKey },
+  // or null when it is unknown or past its grace period
+  getVerificationKey(kid) {
+    const key = this.keys.get(kid);
+
+    if (!key || isExpired(key, Date.now())) {
+      return null;
+    }
+
+    return { kid: key.kid, algorithm: key.algorithm, publicKey: key.publicKey };
+  }
+
+  // JSON Web Key Set of every key that verifies tokens, including the next
+  // key before it signs and the previous one during its grace period
+  getJwks() {
+    const now = Date.now();
+
+    return {
+      keys: [...this.keys.values()]
+        .filter(key => !isExpired(key, now))
+        .map(key => ({
+          ...key.publicKey.export({ format: 'jwk' }),
+          kid: key.kid,
+          alg: key.algorithm,
+          use: 'sig'
+        }))
+    };
+  }
+}
+
+const signingKeyService = new SigningKeyService();
+
+module.exports = signingKeyService;
@@ -5,6 +5,7 @@ const { config: securityConfig } = require('../../shared/config/security');
 const logger = require('../../shared/utils/logger');
 const RefreshToken = require('../models/RefreshToken');
 const dbConnection = require('../../database/connection');
+const signingKeyService = require('./signingKeyService');
 
 class TokenService {
   constructor() {
@@ -24,8 +25,7 @@ class TokenService {
         aud: securityConfig.jwt.audience
       };
 
-      const token = jwt.sign(payload, config.jwt.accessSecret, {
-        algorithm: securityConfig.jwt.algorithm,
+      const token = this.signToken(payload, {
         expiresIn: config.jwt.accessExpiresIn
       });
 
@@ -38,7 +38,8 @@ class TokenService {
     }
   }
 
-  // Generate JWT refresh token
+  // Generate JWT refresh token. A login starts a new token family; rotation
+  // passes the family of the consumed token in metadata.familyId.
   async generateRefreshToken(user, metadata = {}) {
     try {
       const sessionId = this.generateSessionId();
@@ -65,6 +66,7 @@ class TokenService {
         deviceInfo: metadata.deviceInfo || {},
         ipAddress: metadata.ipAddress,
         userAgent: metadata.userAgent,
+        familyId: metadata.familyId,
         expiresAt: new Date(Date.now() + this.parseExpirationTime(config.jwt.refreshExpiresIn))
       });
 
@@ -92,15 +94,66 @@ class TokenService {
     };
   }
 
+  // Sign every token but refresh tokens: with the current signing key and
+  // its kid under RS256/ES256, with the access token secret under HS256
+  signToken(payload, options) {
+    if (!signingKeyService.isAsymmetric()) {
+      return jwt.sign(payload, config.jwt.accessSecret, {
+        ...options,
+        algorithm: securityConfig.jwt.algorithm
+      });
+    }
+
+    const { kid, algorithm, privateKey } = signingKeyService.getSigningKey();
+
+    return jwt.sign(payload, privateKey, { ...options, algorithm, keyid: kid });
+  }
+
+  // Audience of a token type. The special-purpose tokens are signed with the
+  // published keys as well, so each type gets an audience of its own: a
+  // service that checks the audience of access tokens never accepts them.
+  getAudience(tokenType) {
+    return ['access', 'refresh'].includes(tokenType)
+      ? securityConfig.jwt.audience
+      : `${securityConfig.jwt.audience}:${tokenType}`;
+  }
+
+  // Key and algorithm that verify a token, selected by the kid of its header.
+  // Tokens without a kid were signed with the access token secret; after a
+  // switch to RS256/ES256 they only verify until JWT_ACCEPT_LEGACY_UNTIL.
+  getVerificationKey(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded && decoded.header.kid;
+
+    if (!kid) {
+      if (!signingKeyService.acceptsLegacyTokens()) {
+        logger.warn('Token without a kid past the legacy token cutoff');
+        throw new Error('Invalid token');
+      }
+
+      return { key: config.jwt.accessSecret, algorithm: securityConfig.jwt.algorithm };
+    }
+
+    const verificationKey = signingKeyService.getVerificationKey(kid);
+    if (!verificationKey) {
+      logger.warn('Token signed with an unknown or expired key', { kid });
+      throw new Error('Invalid token');
+    }
+
+    return { key: verificationKey.publicKey, algorithm: verificationKey.algorithm };
+  }
+
   // Verify and decode JWT token
   verifyToken(token, tokenType = 'access') {
     try {
-      const secret = tokenType === 'refresh' ? config.jwt.refreshSecret : config.jwt.accessSecret;
+      const { key, algorithm } = tokenType === 'refresh'
+        ? { key: config.jwt.refreshSecret, algorithm: securityConfig.jwt.algorithm }
+        : this.getVerificationKey(token);
 
-      const decoded = jwt.verify(token, secret, {
-        algorithms: [securityConfig.jwt.algorithm],
+      const decoded = jwt.verify(token, key, {
+        algorithms: [algorithm],
         issuer: securityConfig.jwt.issuer,
-        audience: securityConfig.jwt.audience
+        audience: this.getAudience(tokenType)
       });
 
       // Check if token is blacklisted
@@ -128,18 +181,35 @@ class TokenService {
     }
   }
 
-  // Refresh access token using refresh token
+  // Refresh access token using refresh token. Each refresh token is
+  // exchanged once for a new one of the same family; presenting a consumed
+  // token again means it was copied, so the whole family is revoked and the
+  // error carries `reuse` for the caller to report.
   async refreshAccessToken(refreshToken, metadata = {}) {
     try {
       // Verify refresh token
-      const decoded = this.verifyToken(refreshToken, 'refresh');
+      let decoded;
+      try {
+        decoded = this.verifyToken(refreshToken, 'refresh');
+      } catch (error) {
+        throw new Error('Invalid or expired refresh token');
+      }
 
       // Check if refresh token exists in database and is valid
       const storedToken = await this.getRefreshToken(refreshToken);
+      if (storedToken && storedToken.isConsumed()) {
+        await this.handleRefreshTokenReuse(storedToken);
+      }
       if (!storedToken || !storedToken.isValid()) {
         throw new Error('Invalid or expired refresh token');
       }
 
+      // Consume it before issuing its successor, so that of two concurrent
+      // requests with the same token only one succeeds
+      if (!await this.consumeRefreshToken(storedToken.id)) {
+        await this.handleRefreshTokenReuse(storedToken);
+      }
+
       // Get user information
       const user = {
         id: decoded.sub,
@@ -150,19 +220,17 @@ class TokenService {
       // Generate new access token
       const newAccessToken = this.generateAccessToken(user);
 
-      // Rotate refresh token (security best practice)
-      const newRefreshToken = await this.generateRefreshToken(user, metadata);
-
-      // Revoke old refresh token
-      await this.revokeRefreshToken(storedToken.id, 'Token rotation');
-
-      // Update last used timestamp for the old token
-      await this.updateRefreshTokenLastUsed(storedToken.id);
+      // Rotate refresh token within its family
+      const newRefreshToken = await this.generateRefreshToken(user, {
+        ...metadata,
+        familyId: storedToken.familyId
+      });
 
       logger.info('Token refresh successful', {
         userId: user.id,
         oldTokenId: storedToken.id,
-        newTokenId: decoded.jti
+        newTokenId: decoded.jti,
+        familyId: storedToken.familyId
       });
 
       return {
@@ -174,10 +242,37 @@ class TokenService {
 
     } catch (error) {
       logger.error('Token refresh failed:', error);
+
+      // Replayed, forged, expired and revoked tokens are the client's to
+      // handle; anything else is ours
+      if (error.reuse || error.message === 'Invalid or expired refresh token') {
+        throw error;
+      }
       throw new Error('Token refresh failed');
     }
   }
 
+  // Revoke the family of a replayed refresh token and throw
+  async handleRefreshTokenReuse(storedToken) {
+    const revokedCount = await this.revokeRefreshTokenFamily(storedToken.familyId, 'Refresh token reuse detected');
+
+    logger.warn('Refresh token reuse detected', {
+      userId: storedToken.userId,
+      tokenId: storedToken.id,
+      familyId: storedToken.familyId,
+      revokedCount
+    });
+
+    const error = new Error('Refresh token reuse detected');
+    error.reuse = {
+      userId: storedToken.userId,
+      tokenId: storedToken.id,
+      familyId: storedToken.familyId,
+      revokedCount
+    };
+    throw error;
+  }
+
   // Add token to blacklist
   blacklistToken(token) {
     try {
@@ -328,11 +423,10 @@ class TokenService {
         type: 'email_verification',
         iat: Math.floor(Date.now() / 1000),
         iss: securityConfig.jwt.issuer,
-        aud: securityConfig.jwt.audience
+        aud: this.getAudience('email_verification')
       };
 
-      const token = jwt.sign(payload, config.jwt.accessSecret, {
-        algorithm: securityConfig.jwt.algorithm,
+      const token = this.signToken(payload, {
         expiresIn: securityConfig.email.verificationToken.expiresIn
       });
 
@@ -353,11 +447,10 @@ class TokenService {
         type: 'password_reset',
         iat: Math.floor(Date.now() / 1000),
         iss: securityConfig.jwt.issuer,
-        aud: securityConfig.jwt.audience
+        aud: this.getAudience('password_reset')
       };
 
-      const token = jwt.sign(payload, config.jwt.accessSecret, {
-        algorithm: securityConfig.jwt.algorithm,
+      const token = this.signToken(payload, {
         expiresIn: securityConfig.email.passwordResetToken.expiresIn
       });
 
@@ -369,16 +462,44 @@ class TokenService {
     }
   }
 
-  // Verify special purpose tokens (email verification, password reset)
-  verifySpecialToken(token, expectedType) {
+  // Create token for the two-factor step of a login. It is no access token:
+  // it only lets POST /auth/mfa/verify and /auth/mfa/setup finish the login.
+  createMfaPendingToken(user) {
+    return this.createShortLivedToken(user, 'mfa_pending', config.mfa.pendingTokenExpiresIn);
+  }
+
+  // Create token proving the user just entered their password (and second
+  // factor) again, for step-up re-authentication
+  createReauthToken(user) {
+    return this.createShortLivedToken(user, 'reauth', config.mfa.reauthTokenExpiresIn);
+  }
+
+  createShortLivedToken(user, type, expiresIn) {
     try {
-      const decoded = this.verifyToken(token, 'access');
+      const payload = {
+        sub: user.id,
+        email: user.email,
+        type,
+        iat: Math.floor(Date.now() / 1000),
+        iss: securityConfig.jwt.issuer,
+        aud: this.getAudience(type)
+      };
 
-      if (decoded.type !== expectedType) {
-        throw new Error(`Invalid token type. Expected ${expectedType}, got ${decoded.type}`);
-      }
+      return this.signToken(payload, {
+        expiresIn,
+        jwtid: this.generateSessionId()
+      });
 
-      return decoded;
+    } catch (error) {
+      logger.error(`Failed to create ${type} token:`, error);
+      throw new Error('Token generation failed');
+    }
+  }
+
+  // Verify special purpose tokens (email verification, password reset)
+  verifySpecialToken(token, expectedType) {
+    try {
+      return this.verifyToken(token, expectedType);
 
     } catch (error) {
       logger.error('Special token verification failed:', error);
@@ -410,8 +531,8 @@ class TokenService {
       const query = `
         INSERT INTO refresh_tokens (
           user_id, token, device_info, ip_address, user_agent,
-          is_active, created_at, expires_at, last_used_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          is_active, created_at, expires_at, last_used_at, family_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
         RETURNING id, created_at, expires_at
       `;
 
@@ -424,7 +545,8 @@ class TokenService {
         refreshToken.isActive,
         refreshToken.createdAt,
         refreshToken.expiresAt,
-        refreshToken.lastUsedAt
+        refreshToken.lastUsedAt,
+        refreshToken.familyId
       ];
 
       const result = await dbConnection.query(query, values);
@@ -442,7 +564,7 @@ class TokenService {
       const query = `
         SELECT id, user_id, token, device_info, ip_address, user_agent,
                is_active, created_at, expires_at, last_used_at,
-               revoked_at, revoked_reason
+               revoked_at, revoked_reason, family_id, used_at
         FROM refresh_tokens
         WHERE token = $1
         LIMIT 1
@@ -479,6 +601,54 @@ class TokenService {
     }
   }
 
+  // Mark a refresh token as exchanged for its successor. False when it was
+  // already consumed or revoked.
+  async consumeRefreshToken(tokenId) {
+    try {
+      const query = `
+        UPDATE refresh_tokens
+        SET is_active = false,
+            used_at = CURRENT_TIMESTAMP,
+            last_used_at = CURRENT_TIMESTAMP,
+            revoked_at = CURRENT_TIMESTAMP,
+            revoked_reason = 'Token rotation'
+        WHERE id = $1
+        AND used_at IS NULL
+        AND revoked_at IS NULL
+        RETURNING id
+      `;
+
+      const result = await dbConnection.query(query, [tokenId]);
+      return result.rowCount > 0;
+
+    } catch (error) {
+      logger.error('Failed to consume refresh token:', error);
+      throw error;
+    }
+  }
+
+  // Revoke every token of a refresh token family that is still active
+  async revokeRefreshTokenFamily(familyId, reason) {
+    try {
+      const query = `
+        UPDATE refresh_tokens
+        SET is_active = false,
+            revoked_at = CURRENT_TIMESTAMP,
+            revoked_reason = $1
+        WHERE family_id = $2
+        AND revoked_at IS NULL
+        RETURNING id
+      `;
+
+      const result = await dbConnection.query(query, [reason, familyId]);
+      return result.rowCount;
+
+    } catch (error) {
+      logger.error('Failed to revoke refresh token family:', error);
+      throw error;
+    }
+  }
+
   // Revoke refresh token
   async revokeRefreshToken(tokenId, reason = 'Token rotation') {
     try {
@@ -506,7 +676,7 @@ class TokenService {
       const query = `
         SELECT id, user_id, token, device_info, ip_address, user_agent,
                is_active, created_at, expires_at, last_used_at,
-               revoked_at, revoked_reason
+               revoked_at, revoked_reason, family_id, used_at
         FROM refresh_tokens
         WHERE user_id = $1
         AND is_active = true
@@ -551,11 +721,15 @@ class TokenService {
 
   // Health check for token service
   healthCheck() {
+    const signingKey = signingKeyService.isAsymmetric() ? signingKeyService.getCurrentKey() : null;
+
     return {
       status: 'healthy',
       timestamp: new Date().toISOString(),
       blacklistedTokens: this.getBlacklistedTokensCount(),
-      secretsConfigured: !!(config.jwt.accessSecret && config.jwt.refreshSecret)
+      secretsConfigured: !!(config.jwt.accessSecret && config.jwt.refreshSecret),
+      signingAlgorithm: config.jwtKeys.algorithm,
+      signingKeyId: signingKey ? signingKey.kid : null
     };
   }
 }
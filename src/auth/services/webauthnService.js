@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const dbConnection = require('../../database/connection');
+const config = require('../../shared/config/environment');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const emailService = require('./emailService');
+const cbor = require('../../utils/cbor');
+const webauthn = require('../../utils/webauthn');
+const logger = require('../../shared/utils/logger');
+
+const CHALLENGE_BYTES = 32;
+
+const CREDENTIAL_COLUMNS = `
+  id, user_id, credential_id, public_key, algorithm, sign_count, transports, name, aaguid,
+  backup_eligible, backed_up, created_at, last_used_at, revoked_at, revoked_reason
+`;
+
+class WebAuthnService {
+  // PublicKeyCredentialCreationOptions for navigator.credentials.create().
+  // Passkeys the user already has are excluded so an authenticator isn't
+  // registered twice.
+  async generateRegistrationOptions(user) {
+    const existing = await this.listCredentials(user.id);
+    const challenge = await this.createChallenge('registration', user.id);
+
+    return {
+      challenge,
+      rp: {
+        id: config.webauthn.rpId,
+        name: config.webauthn.rpName
+      },
+      user: {
+        id: webauthn.toBase64Url(Buffer.from(user.id)),
+        name: user.email,
+        displayName: user.name || user.email
+      },
+      pubKeyCredParams: Object.values(webauthn.COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+      timeout: config.webauthn.challengeTimeoutMs,
+      attestation: 'none',
+      authenticatorSelection: {
+        residentKey: 'required',
+        userVerification: 'required'
+      },
+      excludeCredentials: existing.map(credential => credential.toDescriptor())
+    };
+  }
+
+  // Check the authenticator's response to the registration options and
+  // store the new passkey
+  async verifyRegistration(user, credential, { name } = {}) {
+    const { response } = credential;
+
+    await this.consumeChallenge(response.clientDataJSON, 'webauthn.create', 'registration', user.id);
+
+    let attestation;
+    try {
+      attestation = cbor.decode(webauthn.fromBase64Url(response.attestationObject));
+    } catch (error) {
+      throw new Error('Invalid attestation object');
+    }
+
+    // Attestation statements are not verified ('none' was requested), so
+    // only the authenticator data is used
+    const authData = attestation instanceof Map && attestation.get('authData');
+    if (!Buffer.isBuffer(authData)) {
+      throw new Error('Invalid attestation object');
+    }
+
+    const parsed = this.checkAuthenticatorData(authData);
+    if (!parsed.credentialId) {
+      throw new Error('Attestation is missing the credential public key');
+    }
+
+    const credentialId = webauthn.toBase64Url(parsed.credentialId);
+    if (credential.id !== credentialId) {
+      throw new Error('Credential ID does not match the authenticator data');
+    }
+
+    const { publicKey, algorithm } = webauthn.coseKeyToPublicKey(parsed.credentialPublicKey);
+
+    const result = await dbConnection.query(`
+      INSERT INTO webauthn_credentials (
+        user_id, credential_id, public_key, algorithm, sign_count, transports, name, aaguid, backup_eligible, backed_up
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (credential_id) DO NOTHING
+      RETURNING ${CREDENTIAL_COLUMNS}
+    `, [
+      user.id,
+      credentialId,
+      publicKey,
+      algorithm,
+      parsed.signCount,
+      response.transports || [],
+      name || 'Passkey',
+      parsed.aaguid,
+      parsed.flags.backupEligible,
+      parsed.flags.backedUp
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Passkey is already registered');
+    }
+
+    logger.info('Passkey registered', { userId: user.id, credentialId });
+
+    return WebAuthnCredential.fromDBRow(result.rows[0]);
+  }
+
+  // PublicKeyCredentialRequestOptions for navigator.credentials.get().
+  // Without an email the browser offers the passkeys it has for the
+  // relying party (discoverable credentials).
+  async generateAuthenticationOptions({ email } = {}) {
+    let allowCredentials = [];
+
+    if (email) {
+      const result = await dbConnection.query(`
+        SELECT c.credential_id, c.transports
+        FROM webauthn_credentials c
+        JOIN users u ON u.id = c.user_id
+        WHERE u.email = $1 AND u.is_active = true AND c.revoked_at IS NULL
+      `, [email.toLowerCase()]);
+
+      allowCredentials = result.rows.map(row => WebAuthnCredential.fromDBRow(row).toDescriptor());
+    }
+
+    return {
+      challenge: await this.createChallenge('authentication'),
+      rpId: config.webauthn.rpId,
+      timeout: config.webauthn.challengeTimeoutMs,
+      userVerification: 'required',
+      allowCredentials
+    };
+  }
+
+  // Check an assertion and return the ID of the user it logs in. A sign
+  // counter that did not increase means the passkey was copied to another
+  // authenticator: the passkey is revoked and the user alerted.
+  async verifyAuthentication(credential) {
+    const { response } = credential;
+
+    const result = await dbConnection.query(`
+      SELECT c.*, u.email, u.name AS user_name
+      FROM webauthn_credentials c
+      JOIN users u ON u.id = c.user_id
+      WHERE c.credential_id = $1 AND c.revoked_at IS NULL AND u.is_active = true
+    `, [credential.id]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Passkey is not registered');
+    }
+
+    const row = result.rows[0];
+    const stored = WebAuthnCredential.fromDBRow(row);
+
+    await this.consumeChallenge(response.clientDataJSON, 'webauthn.get', 'authentication');
+
+    const authData = webauthn.fromBase64Url(response.authenticatorData);
+    const parsed = this.checkAuthenticatorData(authData);
+
+    if (response.userHandle && webauthn.fromBase64Url(response.userHandle).toString('utf8') !== stored.userId) {
+      throw new Error('Passkey does not belong to this user');
+    }
+
+    const validSignature = webauthn.verifyAssertionSignature({
+      publicKey: stored.publicKey,
+      algorithm: stored.algorithm,
+      authenticatorData: authData,
+      clientDataJSON: webauthn.fromBase64Url(response.clientDataJSON),
+      signature: webauthn.fromBase64Url(response.signature)
+    });
+
+    if (!validSignature) {
+      throw new Error('Invalid passkey signature');
+    }
+
+    // Authenticators without a counter always report 0
+    if ((parsed.signCount > 0 || stored.signCount > 0) && parsed.signCount <= stored.signCount) {
+      await this.handleClonedCredential(stored, { email: row.email, name: row.user_name }, parsed.signCount);
+      throw new Error('Passkey sign counter did not increase');
+    }
+
+    const updated = await dbConnection.query(`
+      UPDATE webauthn_credentials
+      SET sign_count = $1::bigint, backed_up = $2, last_used_at = CURRENT_TIMESTAMP
+      WHERE id = $3 AND revoked_at IS NULL AND (sign_count < $1::bigint OR $1::bigint = 0)
+      RETURNING id
+    `, [parsed.signCount, parsed.flags.backedUp, stored.id]);
+
+    // Another login with the same signature counter won the race
+    if (updated.rows.length === 0) {
+      throw new Error('Passkey sign counter did not increase');
+    }
+
+    logger.info('Passkey assertion verified', { userId: stored.userId, credentialId: stored.credentialId });
+
+    return { userId: stored.userId, credential: stored };
+  }
+
+  // Active passkeys of a user, newest first
+  async listCredentials(userId) {
+    const result = await dbConnection.query(`
+      SELECT ${CREDENTIAL_COLUMNS}
+      FROM webauthn_credentials
+      WHERE user_id = $1 AND revoked_at IS NULL
+      ORDER BY created_at DESC
+    `, [userId]);
+
+    return result.rows.map(row => WebAuthnCredential.fromDBRow(row));
+  }
+
+  async revokeCredential(userId, id, reason = 'Revoked by user') {
+    const result = await dbConnection.query(`
+      UPDATE webauthn_credentials
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+      WHERE id = $2 AND user_id = $3 AND revoked_at IS NULL
+      RETURNING id
+    `, [reason, id, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Passkey not found');
+    }
+
+    logger.info('Passkey revoked', { userId, passkeyId: id, reason });
+  }
+
+  async handleClonedCredential(credential, user, signCount) {
+    logger.warn('Passkey sign counter did not increase, possible cloned authenticator', {
+      userId: credential.userId,
+      credentialId: credential.credentialId,
+      storedSignCount: credential.signCount,
+      signCount
+    });
+
+    await this.revokeCredential(credential.userId, credential.id, 'Sign counter did not increase');
+    await emailService.sendSecurityAlert(user, 'PASSKEY_CLONE_DETECTED', { passkey: credential.name });
+  }
+
+  // Rejects data for another relying party and, since passkeys replace the
+  // password and second factor, authenticators that did not verify the user
+  checkAuthenticatorData(authData) {
+    const parsed = webauthn.parseAuthenticatorData(authData);
+
+    if (!parsed.rpIdHash.equals(webauthn.sha256(config.webauthn.rpId))) {
+      throw new Error('Passkey is for another relying party');
+    }
+    if (!parsed.flags.userPresent || !parsed.flags.userVerified) {
+      throw new Error('User verification is required');
+    }
+
+    return parsed;
+  }
+
+  // Store a challenge for the ceremony timeout. Challenges live in the
+  // database, so the instance that verifies the ceremony needn't be the one
+  // that started it.
+  async createChallenge(type, userId = null) {
+    const now = Date.now();
+
+    // Drop the challenges of ceremonies that were never finished
+    await dbConnection.query(`
+      DELETE FROM webauthn_challenges
+      WHERE expires_at <= $1
+    `, [new Date(now)]);
+
+    const challenge = webauthn.toBase64Url(crypto.randomBytes(CHALLENGE_BYTES));
+    await dbConnection.query(`
+      INSERT INTO webauthn_challenges (challenge, type, user_id, expires_at)
+      VALUES ($1, $2, $3, $4)
+    `, [challenge, type, userId, new Date(now + config.webauthn.challengeTimeoutMs)]);
+
+    return challenge;
+  }
+
+  // Check the client data of a ceremony and use up its challenge, which
+  // works once
+  async consumeChallenge(clientDataJSON, expectedType, challengeType, userId = null) {
+    const clientData = webauthn.parseClientData(clientDataJSON);
+
+    if (clientData.type !== expectedType) {
+      throw new Error('Invalid client data type');
+    }
+    if (!config.webauthn.origins.includes(clientData.origin)) {
+      throw new Error('Passkey ceremony came from an unexpected origin');
+    }
+
+    // Deleting the row uses the challenge up, so of two requests with the
+    // same challenge only one gets it
+    const result = await dbConnection.query(`
+      DELETE FROM webauthn_challenges
+      WHERE challenge = $1 AND type = $2 AND user_id IS NOT DISTINCT FROM $3 AND expires_at > $4
+      RETURNING challenge
+    `, [clientData.challenge, challengeType, userId, new Date(Date.now())]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Invalid or expired passkey challenge');
+    }
+
+    return clientData;
+  }
+}
+
+const webauthnService = new WebAuthnService();
+
+module.exports = webauthnService;
@@ -0,0 +1,32 @@
+/**
+ * Task workflow definitions
+ *
+ * `default` applies to tasks without a project. Entries in `projects` are
+ * keyed by project ID and replace the default workflow for that project.
+ *
+ * A transition may list guard names (see WorkflowEngine built-in guards);
+ * every guard must pass before the transition is allowed.
+ *
+ * `completedStates` marks the states that count as finished work (no due
+ * date reminders are sent for tasks in them).
+ */
+const workflows = {
+  default: {
+    name: 'default',
+    initialState: 'pending',
+    states: ['pending', 'in-progress', 'completed'],
+    completedStates: ['completed'],
+    transitions: [
+      { from: 'pending', to: 'in-progress', guards: ['descriptionRequired'] },
+      { from: 'pending', to: 'completed' },
+      { from: 'in-progress', to: 'pending' },
+      { from: 'in-progress', to: 'completed' },
+      // Completed work can only be reopened, never sent back to the backlog
+      { from: 'completed', to: 'in-progress' }
+    ]
+  },
+
+  projects: {}
+};
+
+module.exports = workflows;
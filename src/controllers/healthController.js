@@ -1,17 +1,24 @@
 const logger = require('../shared/utils/logger');
+const healthCheckService = require('../services/healthCheckService');
+
+// Overall dependency status -> status reported by the endpoints
+const HEALTH_STATUSES = { healthy: 'OK', degraded: 'DEGRADED', unhealthy: 'UNHEALTHY' };
+const READINESS_STATUSES = { healthy: 'READY', degraded: 'DEGRADED', unhealthy: 'NOT_READY' };
 
 class HealthController {
   static async checkHealth(req, res) {
     try {
       const startTime = process.hrtime();
+      const { status, checks } = await healthCheckService.checkAll();
 
       const healthData = {
-        status: 'OK',
+        status: HEALTH_STATUSES[status],
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         version: process.env.npm_package_version || '1.0.0',
         environment: process.env.NODE_ENV || 'development',
         memory: process.memoryUsage(),
+        dependencies: checks,
         responseTime: null
       };
 
@@ -22,13 +29,28 @@ class HealthController {
       logger.info('Health check accessed', {
         ip: req.ip,
         userAgent: req.get('User-Agent'),
-        responseTime: healthData.responseTime
+        responseTime: healthData.responseTime,
+        status: healthData.status
       });
 
+      // A degraded service still works, so only a critical dependency
+      // being down fails the check
+      if (status === 'unhealthy') {
+        return res.status(503).json({
+          success: false,
+          error: {
+            code: 'SERVICE_UNHEALTHY',
+            message: 'A critical dependency is unavailable',
+            details: healthData
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
       res.status(200).json({
         success: true,
         data: healthData,
-        message: 'Service is healthy',
+        message: status === 'degraded' ? 'Service is degraded' : 'Service is healthy',
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -46,24 +68,34 @@ class HealthController {
   }
 
   static async checkReadiness(req, res) {
-    // Check if all dependencies are ready
-    const isReady = true; // In a real app, check database, external services, etc.
+    // Ready while every critical dependency is up; non-critical ones being
+    // down is reported as DEGRADED but still accepts traffic
+    const { status, checks } = await healthCheckService.checkAll();
 
-    if (isReady) {
+    if (status !== 'unhealthy') {
       res.status(200).json({
         success: true,
         data: {
-          status: 'READY',
+          status: READINESS_STATUSES[status],
+          checks,
           timestamp: new Date().toISOString()
         },
         message: 'Service is ready to accept traffic'
       });
     } else {
+      logger.warn('Readiness check failed', {
+        down: Object.keys(checks).filter(name => checks[name].status === 'down')
+      });
+
       res.status(503).json({
         success: false,
         error: {
           code: 'SERVICE_NOT_READY',
-          message: 'Service is not ready to accept traffic'
+          message: 'Service is not ready to accept traffic',
+          details: {
+            status: READINESS_STATUSES[status],
+            checks
+          }
         }
       });
     }
@@ -0,0 +1,223 @@
+const ProjectService = require('../services/projectService');
+const { logger } = require('../utils/logger');
+
+class ProjectController {
+  // Route middleware: load the :projectId project into req.project, or
+  // respond 404 when it doesn't exist or the user isn't a member
+  static async loadProject(req, res, next) {
+    try {
+      req.project = await ProjectService.getAccessibleProject(req.params.projectId, req.user);
+      next();
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROJECT_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      logger.error('Project lookup failed in controller', {
+        error: error.message,
+        projectId: req.params.projectId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PROJECT_RETRIEVAL_FAILED',
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Send the error response for a failed project operation
+  static sendError(res, error, code) {
+    let status = 400;
+    let errorCode = code;
+
+    if (error.message.includes('not found')) {
+      status = 404;
+      errorCode = error.message.startsWith('Member') ? 'PROJECT_MEMBER_NOT_FOUND' : 'PROJECT_NOT_FOUND';
+    } else if (error.message.includes('Access denied')) {
+      status = 403;
+      errorCode = 'PROJECT_ACCESS_DENIED';
+    } else if (error.message.includes('at least one owner')) {
+      status = 409;
+      errorCode = 'PROJECT_OWNER_REQUIRED';
+    } else if (error.message.includes('still has')) {
+      status = 409;
+      errorCode = 'PROJECT_NOT_EMPTY';
+    }
+
+    res.status(status).json({
+      success: false,
+      error: {
+        code: errorCode,
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // List the user's projects
+  static async getAllProjects(req, res) {
+    try {
+      const result = await ProjectService.listProjects(req.user);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get all projects failed in controller', { error: error.message });
+
+      ProjectController.sendError(res, error, 'PROJECT_RETRIEVAL_FAILED');
+    }
+  }
+
+  // Create a new project
+  static async createProject(req, res) {
+    try {
+      const { name, description, columns, labels } = req.body;
+
+      const result = await ProjectService.createProject({ name, description, columns, labels }, req.user);
+
+      res.status(201).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Project creation failed in controller', {
+        error: error.message,
+        body: req.body
+      });
+
+      ProjectController.sendError(res, error, 'PROJECT_CREATION_FAILED');
+    }
+  }
+
+  // Get a project
+  static async getProjectById(req, res) {
+    res.status(200).json({
+      success: true,
+      data: req.project.toJSON(),
+      message: 'Project retrieved successfully',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Update a project
+  static async updateProject(req, res) {
+    try {
+      const result = await ProjectService.updateProject(req.project, req.body);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Project update failed in controller', {
+        error: error.message,
+        projectId: req.params.projectId
+      });
+
+      ProjectController.sendError(res, error, 'PROJECT_UPDATE_FAILED');
+    }
+  }
+
+  // Delete a project
+  static async deleteProject(req, res) {
+    try {
+      const result = await ProjectService.deleteProject(req.project);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Project deletion failed in controller', {
+        error: error.message,
+        projectId: req.params.projectId
+      });
+
+      ProjectController.sendError(res, error, 'PROJECT_DELETION_FAILED');
+    }
+  }
+
+  // List a project's members
+  static async getProjectMembers(req, res) {
+    res.status(200).json({
+      success: true,
+      data: req.project.toJSON().members,
+      message: 'Project members retrieved successfully',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Add a member or change a member's role
+  static async setProjectMember(req, res) {
+    try {
+      const result = await ProjectService.setMember(req.project, req.params.userId, req.body.role, req.user);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Project member update failed in controller', {
+        error: error.message,
+        projectId: req.params.projectId,
+        userId: req.params.userId
+      });
+
+      ProjectController.sendError(res, error, 'PROJECT_MEMBER_UPDATE_FAILED');
+    }
+  }
+
+  // Remove a member (or leave the project)
+  static async removeProjectMember(req, res) {
+    try {
+      const result = await ProjectService.removeMember(req.project, req.params.userId, req.user);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Project member removal failed in controller', {
+        error: error.message,
+        projectId: req.params.projectId,
+        userId: req.params.userId
+      });
+
+      ProjectController.sendError(res, error, 'PROJECT_MEMBER_UPDATE_FAILED');
+    }
+  }
+
+  // Get the project's Kanban board
+  static async getProjectBoard(req, res) {
+    try {
+      const result = await ProjectService.getBoard(req.project);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Project board retrieval failed in controller', {
+        error: error.message,
+        projectId: req.params.projectId
+      });
+
+      ProjectController.sendError(res, error, 'PROJECT_BOARD_FAILED');
+    }
+  }
+}
+
+module.exports = ProjectController;
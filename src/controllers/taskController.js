@@ -1,11 +1,26 @@
 const TaskService = require('../services/taskService');
+const TaskBulkService = require('../services/taskBulkService');
+const TaskAnalyticsService = require('../services/taskAnalyticsService');
+const TaskExportService = require('../services/taskExportService');
+const TaskImportService = require('../services/taskImportService');
+const { WorkflowTransitionError, TaskDependencyError, PreconditionFailedError } = require('../middleware/errorHandler');
+const { formatETag, parseETags, matchesETag } = require('../utils/etag');
 const { logger } = require('../utils/logger');
 
+// Error codes for failed bulk operations, by operation type (the codes of the
+// matching single-task endpoints)
+const BULK_FAILURE_CODES = {
+  create: 'TASK_CREATION_FAILED',
+  update: 'TASK_UPDATE_FAILED',
+  status: 'TASK_UPDATE_FAILED',
+  delete: 'TASK_DELETION_FAILED'
+};
+
 class TaskController {
   // Create a new task
   static async createTask(req, res) {
     try {
-      const { title, description, status } = req.body;
+      const { title, description, status, assigneeId, projectId, dueDate, priority, estimate, parentId, checklist, tags, recurrence, externalId } = req.body;
 
       // Validate required fields
       if (!title) {
@@ -22,10 +37,20 @@ class TaskController {
       const result = await TaskService.createTask({
         title: title.trim(),
         description: description ? description.trim() : '',
-        status: status || 'pending'
-      });
+        status,
+        assigneeId: assigneeId || null,
+        projectId: projectId || null,
+        dueDate: dueDate || null,
+        priority,
+        estimate,
+        parentId: parentId || null,
+        checklist,
+        tags,
+        recurrence,
+        externalId
+      }, req.user);
 
-      res.status(201).json({
+      res.status(201).set('ETag', formatETag(result.data.version)).json({
         ...result,
         timestamp: new Date().toISOString()
       });
@@ -35,14 +60,46 @@ class TaskController {
         body: req.body
       });
 
-      res.status(400).json({
-        success: false,
-        error: {
-          code: 'TASK_CREATION_FAILED',
-          message: error.message
-        },
-        timestamp: new Date().toISOString()
-      });
+      if (error instanceof WorkflowTransitionError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message,
+            details: error.details
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.startsWith('Project with ID')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROJECT_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json({
+          success: false,
+          error: {
+            code: 'TASK_ACCESS_DENIED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_CREATION_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
     }
   }
 
@@ -64,8 +121,10 @@ class TaskController {
         page: pageNum,
         limit: limitNum,
         status,
-        search
-      });
+        search,
+        projectId: req.projectFilter,
+        ...req.taskFilters
+      }, req.user);
 
       res.status(200).json({
         ...result,
@@ -77,6 +136,17 @@ class TaskController {
         query: req.query
       });
 
+      if (error.message.startsWith('Project with ID')) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROJECT_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
       res.status(400).json({
         success: false,
         error: {
@@ -104,9 +174,17 @@ class TaskController {
         });
       }
 
-      const result = await TaskService.getTaskById(id);
+      const result = await TaskService.getTaskById(id, req.user);
+      const etag = formatETag(result.data.version);
 
-      res.status(200).json({
+      // The client's copy is still current
+      const ifNoneMatch = req.get('If-None-Match');
+      const tags = ifNoneMatch ? parseETags(ifNoneMatch) : null;
+      if (tags && matchesETag(tags, result.data.version, { weak: true })) {
+        return res.status(304).set('ETag', etag).end();
+      }
+
+      res.status(200).set('ETag', etag).json({
         ...result,
         timestamp: new Date().toISOString()
       });
@@ -138,45 +216,130 @@ class TaskController {
     }
   }
 
-  // Update task by ID
-  static async updateTask(req, res) {
+  // Get revision history of a task
+  static async getTaskHistory(req, res) {
     try {
       const { id } = req.params;
-      const updateData = req.body;
 
-      if (!id) {
-        return res.status(400).json({
+      const result = await TaskService.getTaskHistory(id, req.user);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get task history failed in controller', {
+        error: error.message,
+        taskId: req.params.id
+      });
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
           success: false,
           error: {
-            code: 'VALIDATION_ERROR',
-            message: 'Task ID is required'
+            code: 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_HISTORY_RETRIEVAL_FAILED',
+            message: error.message
           },
           timestamp: new Date().toISOString()
         });
       }
+    }
+  }
 
-      if (!updateData || Object.keys(updateData).length === 0) {
-        return res.status(400).json({
+  // Restore a task to a prior revision
+  static async restoreTaskRevision(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await TaskService.restoreTaskRevision(id, req.revision, req.user);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Task revision restore failed in controller', {
+        error: error.message,
+        taskId: req.params.id,
+        revision: req.params.revision
+      });
+
+      if (error instanceof WorkflowTransitionError) {
+        return res.status(error.statusCode).json({
           success: false,
           error: {
-            code: 'VALIDATION_ERROR',
-            message: 'Update data is required'
+            code: error.code,
+            message: error.message,
+            details: error.details
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: error.message.startsWith('Revision') ? 'TASK_REVISION_NOT_FOUND' : 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else if (error.message.includes('integrity verification')) {
+        res.status(409).json({
+          success: false,
+          error: {
+            code: 'TASK_REVISION_INTEGRITY_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json({
+          success: false,
+          error: {
+            code: 'TASK_ACCESS_DENIED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_RESTORE_FAILED',
+            message: error.message
           },
           timestamp: new Date().toISOString()
         });
       }
+    }
+  }
 
-      const result = await TaskService.updateTask(id, updateData);
+  // Get workflow transitions available to a task
+  static async getTaskTransitions(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await TaskService.getTaskTransitions(id, req.user);
 
       res.status(200).json({
         ...result,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      logger.error('Task update failed in controller', {
+      logger.error('Get task transitions failed in controller', {
         error: error.message,
-        taskId: req.params.id,
-        updateData: req.body
+        taskId: req.params.id
       });
 
       if (error.message.includes('not found')) {
@@ -192,7 +355,7 @@ class TaskController {
         res.status(400).json({
           success: false,
           error: {
-            code: 'TASK_UPDATE_FAILED',
+            code: 'TASK_RETRIEVAL_FAILED',
             message: error.message
           },
           timestamp: new Date().toISOString()
@@ -201,10 +364,12 @@ class TaskController {
     }
   }
 
-  // Delete task by ID
-  static async deleteTask(req, res) {
+  // Update task by ID: PUT sets the given fields, PATCH applies a JSON
+  // Merge Patch. With If-Match, only while the task is at a matching version.
+  static async updateTask(req, res) {
     try {
       const { id } = req.params;
+      const updateData = req.body;
 
       if (!id) {
         return res.status(400).json({
@@ -217,18 +382,45 @@ class TaskController {
         });
       }
 
-      const result = await TaskService.deleteTask(id);
+      if (!updateData || Object.keys(updateData).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Update data is required'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const options = { scope: req.updateScope, expectedVersions: req.expectedVersions };
+      const result = req.method === 'PATCH'
+        ? await TaskService.patchTask(id, updateData, req.user, options)
+        : await TaskService.updateTask(id, updateData, req.user, options);
 
-      res.status(200).json({
+      res.status(200).set('ETag', formatETag(result.data.version)).json({
         ...result,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      logger.error('Task deletion failed in controller', {
+      logger.error('Task update failed in controller', {
         error: error.message,
-        taskId: req.params.id
+        taskId: req.params.id,
+        updateData: req.body
       });
 
+      if (error instanceof WorkflowTransitionError || error instanceof PreconditionFailedError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message,
+            details: error.details
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
       if (error.message.includes('not found')) {
         res.status(404).json({
           success: false,
@@ -238,11 +430,20 @@ class TaskController {
           },
           timestamp: new Date().toISOString()
         });
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json({
+          success: false,
+          error: {
+            code: 'TASK_ACCESS_DENIED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
       } else {
         res.status(400).json({
           success: false,
           error: {
-            code: 'TASK_DELETION_FAILED',
+            code: 'TASK_UPDATE_FAILED',
             message: error.message
           },
           timestamp: new Date().toISOString()
@@ -251,69 +452,1124 @@ class TaskController {
     }
   }
 
-  // Get task statistics
-  static async getStatistics(req, res) {
+  // Get the recurring series a task belongs to
+  static async getTaskSeries(req, res) {
     try {
-      const result = await TaskService.getStatistics();
+      const { id } = req.params;
+
+      const result = await TaskService.getTaskSeries(id, req.user);
 
       res.status(200).json({
         ...result,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      logger.error('Get statistics failed in controller', {
-        error: error.message
+      logger.error('Get task series failed in controller', {
+        error: error.message,
+        taskId: req.params.id
       });
 
-      res.status(500).json({
-        success: false,
-        error: {
-          code: 'STATISTICS_RETRIEVAL_FAILED',
-          message: error.message
-        },
-        timestamp: new Date().toISOString()
-      });
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_SERIES_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
     }
   }
 
-  // Search tasks
-  static async searchTasks(req, res) {
-    try {
-      const { q } = req.query;
+  // Route handler for a series action (pause, resume or skip)
+  static changeTaskSeries(action) {
+    return async (req, res) => {
+      try {
+        const { id } = req.params;
 
-      if (!q) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: 'VALIDATION_ERROR',
-            message: 'Search query is required'
-          },
+        const result = await TaskService.changeTaskSeries(id, action, req.user);
+
+        res.status(200).json({
+          ...result,
           timestamp: new Date().toISOString()
         });
+      } catch (error) {
+        logger.error('Change task series failed in controller', {
+          error: error.message,
+          taskId: req.params.id,
+          action
+        });
+
+        if (error.message.includes('not found')) {
+          res.status(404).json({
+            success: false,
+            error: {
+              code: 'TASK_NOT_FOUND',
+              message: error.message
+            },
+            timestamp: new Date().toISOString()
+          });
+        } else if (error.message.includes('Access denied')) {
+          res.status(403).json({
+            success: false,
+            error: {
+              code: 'TASK_ACCESS_DENIED',
+              message: error.message
+            },
+            timestamp: new Date().toISOString()
+          });
+        } else {
+          res.status(400).json({
+            success: false,
+            error: {
+              code: 'TASK_SERIES_FAILED',
+              message: error.message
+            },
+            timestamp: new Date().toISOString()
+          });
+        }
       }
+    };
+  }
 
-      const {
-        page = 1,
-        limit = 10,
-        status
-      } = req.query;
+  // Get subtasks of a task
+  static async getSubtasks(req, res) {
+    try {
+      const { id } = req.params;
 
-      const result = await TaskService.searchTasks(q, {
-        page: parseInt(page, 10),
-        limit: parseInt(limit, 10),
-        status
-      });
+      const result = await TaskService.getSubtasks(id, req.user);
 
       res.status(200).json({
         ...result,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      logger.error('Task search failed in controller', {
+      logger.error('Get subtasks failed in controller', {
         error: error.message,
-        query: req.query
+        taskId: req.params.id
       });
 
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'SUBTASK_RETRIEVAL_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // Create a subtask under a task
+  static async createSubtask(req, res) {
+    try {
+      const { id } = req.params;
+      const { title, description, status, assigneeId, projectId, dueDate, priority, estimate, checklist, tags } = req.body;
+
+      const result = await TaskService.createSubtask(id, {
+        title: title.trim(),
+        description: description ? description.trim() : '',
+        status,
+        assigneeId: assigneeId || null,
+        projectId: projectId || null,
+        dueDate: dueDate || null,
+        priority,
+        estimate,
+        checklist,
+        tags
+      }, req.user);
+
+      res.status(201).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Subtask creation failed in controller', {
+        error: error.message,
+        taskId: req.params.id,
+        body: req.body
+      });
+
+      if (error instanceof WorkflowTransitionError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message,
+            details: error.details
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json({
+          success: false,
+          error: {
+            code: 'TASK_ACCESS_DENIED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'SUBTASK_CREATION_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // Get tasks blocking and blocked by a task
+  static async getTaskDependencies(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await TaskService.getTaskDependencies(id, req.user);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get task dependencies failed in controller', {
+        error: error.message,
+        taskId: req.params.id
+      });
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_DEPENDENCY_RETRIEVAL_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // Add a blocks / blocked-by dependency
+  static async addTaskDependency(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await TaskService.addTaskDependency(id, req.dependency, req.user);
+
+      res.status(201).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Add task dependency failed in controller', {
+        error: error.message,
+        taskId: req.params.id,
+        body: req.body
+      });
+
+      if (error instanceof TaskDependencyError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message,
+            details: error.details
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json({
+          success: false,
+          error: {
+            code: 'TASK_ACCESS_DENIED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_DEPENDENCY_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // Remove a dependency between two tasks
+  static async removeTaskDependency(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await TaskService.removeTaskDependency(id, req.dependencyTaskId, req.user);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Remove task dependency failed in controller', {
+        error: error.message,
+        taskId: req.params.id,
+        dependencyId: req.params.dependencyId
+      });
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: error.message.startsWith('Dependency') ? 'TASK_DEPENDENCY_NOT_FOUND' : 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json({
+          success: false,
+          error: {
+            code: 'TASK_ACCESS_DENIED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_DEPENDENCY_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // Get a task's comment threads
+  static async getTaskComments(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await TaskService.getTaskComments(id, req.user);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get task comments failed in controller', {
+        error: error.message,
+        taskId: req.params.id
+      });
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_COMMENT_RETRIEVAL_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // Add a comment or reply to a task
+  static async addTaskComment(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await TaskService.addTaskComment(id, req.comment, req.user);
+
+      res.status(201).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Add task comment failed in controller', {
+        error: error.message,
+        taskId: req.params.id
+      });
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: error.message.startsWith('Comment') ? 'TASK_COMMENT_NOT_FOUND' : 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_COMMENT_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // Edit a comment
+  static async updateTaskComment(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await TaskService.updateTaskComment(id, req.commentId, req.comment.body, req.user);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Update task comment failed in controller', {
+        error: error.message,
+        taskId: req.params.id,
+        commentId: req.params.commentId
+      });
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: error.message.startsWith('Comment') ? 'TASK_COMMENT_NOT_FOUND' : 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json({
+          success: false,
+          error: {
+            code: 'TASK_COMMENT_ACCESS_DENIED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_COMMENT_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // Delete a comment and its replies
+  static async deleteTaskComment(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await TaskService.deleteTaskComment(id, req.commentId, req.user);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Delete task comment failed in controller', {
+        error: error.message,
+        taskId: req.params.id,
+        commentId: req.params.commentId
+      });
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: error.message.startsWith('Comment') ? 'TASK_COMMENT_NOT_FOUND' : 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json({
+          success: false,
+          error: {
+            code: 'TASK_COMMENT_ACCESS_DENIED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_COMMENT_DELETION_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // Get a comment's edit history
+  static async getTaskCommentHistory(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await TaskService.getTaskCommentHistory(id, req.commentId, req.user);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get task comment history failed in controller', {
+        error: error.message,
+        taskId: req.params.id,
+        commentId: req.params.commentId
+      });
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: error.message.startsWith('Comment') ? 'TASK_COMMENT_NOT_FOUND' : 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_COMMENT_RETRIEVAL_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // Delete task by ID
+  static async deleteTask(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Task ID is required'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const result = await TaskService.deleteTask(id, req.user, { expectedVersions: req.expectedVersions });
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Task deletion failed in controller', {
+        error: error.message,
+        taskId: req.params.id
+      });
+
+      if (error instanceof PreconditionFailedError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message,
+            details: error.details
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json({
+          success: false,
+          error: {
+            code: 'TASK_ACCESS_DENIED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_DELETION_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // List deleted tasks
+  static async getDeletedTasks(req, res) {
+    try {
+      const { cursor } = req.query;
+
+      const result = await TaskService.getDeletedTasks({
+        ...req.pagination,
+        ...(cursor && { cursor }),
+        projectId: req.projectFilter
+      }, req.user);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get deleted tasks failed in controller', {
+        error: error.message,
+        query: req.query
+      });
+
+      if (error.message.startsWith('Project with ID')) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROJECT_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(400).json({
+        success: false,
+        error: {
+          code: 'TASK_RETRIEVAL_FAILED',
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Restore a deleted task from the trash
+  static async restoreTask(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await TaskService.restoreTask(id, req.user, { expectedVersions: req.expectedVersions });
+
+      res.status(200).set('ETag', formatETag(result.data.version)).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Task restore from trash failed in controller', {
+        error: error.message,
+        taskId: req.params.id
+      });
+
+      if (error instanceof PreconditionFailedError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message,
+            details: error.details
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: 'TASK_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json({
+          success: false,
+          error: {
+            code: 'TASK_ACCESS_DENIED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: {
+            code: 'TASK_RESTORE_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // Status and error code a failed bulk operation gets: the same as its
+  // single-task endpoint would respond with
+  static bulkError(op, error) {
+    if (error instanceof WorkflowTransitionError) {
+      return { status: error.statusCode, code: error.code, message: error.message, details: error.details };
+    }
+
+    if (op !== 'create' && error.message.includes('not found')) {
+      return { status: 404, code: 'TASK_NOT_FOUND', message: error.message };
+    }
+
+    if (error.message.includes('Access denied')) {
+      return { status: 403, code: 'TASK_ACCESS_DENIED', message: error.message };
+    }
+
+    return { status: 400, code: BULK_FAILURE_CODES[op], message: error.message };
+  }
+
+  // Shape one bulk operation result for the response
+  static formatBulkResult(result, failedIndex) {
+    const { index, op, id } = result;
+
+    switch (result.outcome) {
+      case 'succeeded':
+        return { index, op, id, success: true, status: op === 'create' ? 201 : 200, data: result.data };
+      case 'failed': {
+        const { status, ...error } = TaskController.bulkError(op, result.error);
+        return { index, op, id, success: false, status, error };
+      }
+      default:
+        // Rolled back or skipped because another operation of an atomic
+        // batch failed
+        return {
+          index,
+          op,
+          id,
+          success: false,
+          status: 424,
+          error: {
+            code: result.outcome === 'rolled_back' ? 'TASK_BULK_ROLLED_BACK' : 'TASK_BULK_SKIPPED',
+            message: result.outcome === 'rolled_back'
+              ? `Rolled back because operation ${failedIndex} failed`
+              : `Not attempted because operation ${failedIndex} failed`
+          }
+        };
+    }
+  }
+
+  // Run a batch of task operations
+  static async bulkTasks(req, res) {
+    try {
+      const { operations, atomic } = req.bulk;
+
+      const result = await TaskBulkService.execute(operations, { atomic }, req.user);
+
+      const failed = result.results.find(item => item.outcome === 'failed');
+      const results = result.results.map(item => TaskController.formatBulkResult(item, failed ? failed.index : null));
+      const data = {
+        atomic: result.atomic,
+        committed: result.committed,
+        summary: result.summary,
+        results
+      };
+
+      // An atomic batch that failed responds like its failed operation
+      if (!result.committed) {
+        return res.status(results[failed.index].status).json({
+          success: false,
+          error: {
+            code: 'TASK_BULK_ROLLED_BACK',
+            message: `Operation ${failed.index} failed; no changes were applied`,
+            details: { index: failed.index, error: results[failed.index].error }
+          },
+          data,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(failed ? 207 : 200).json({
+        success: !failed,
+        data,
+        message: failed
+          ? `${result.summary.succeeded} of ${result.summary.total} operations succeeded`
+          : 'All operations succeeded',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Bulk task operations failed in controller', {
+        error: error.message,
+        operationCount: req.bulk ? req.bulk.operations.length : 0
+      });
+
+      res.status(400).json({
+        success: false,
+        error: {
+          code: 'TASK_BULK_FAILED',
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Export tasks as a CSV, JSON or iCalendar download
+  static async exportTasks(req, res) {
+    try {
+      const { format, status } = req.query;
+
+      const result = await TaskExportService.exportTasks(format, {
+        status,
+        projectId: req.projectFilter,
+        ...req.taskFilters
+      }, req.user);
+
+      res
+        .status(200)
+        .type(result.contentType)
+        .attachment(result.filename)
+        .set('X-Total-Count', String(result.count))
+        .send(result.body);
+    } catch (error) {
+      logger.error('Export tasks failed in controller', {
+        error: error.message,
+        query: req.query
+      });
+
+      if (error.message.startsWith('Project with ID')) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROJECT_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'TASK_EXPORT_FAILED',
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Shape one import row result for the response; failed rows get the error
+  // their create or update would have responded with
+  static formatImportResult(result) {
+    const { index, externalId, outcome, id = null, op, errors } = result;
+
+    switch (outcome) {
+      case 'invalid':
+        return { index, externalId, outcome, errors };
+      case 'failed': {
+        const { status, ...error } = TaskController.bulkError(op, result.error);
+        return { index, externalId, outcome, id, status, error };
+      }
+      default:
+        return { index, externalId, outcome, id };
+    }
+  }
+
+  // Import tasks from CSV or JSON rows, or preview the import with dryRun
+  static async importTasks(req, res) {
+    try {
+      const result = await TaskImportService.importTasks(req.taskImport, req.user);
+      const { summary } = result;
+      const problems = summary.invalid + summary.failed;
+
+      res.status(problems > 0 && !result.dryRun ? 207 : 200).json({
+        success: problems === 0,
+        data: {
+          dryRun: result.dryRun,
+          summary,
+          results: result.results.map(TaskController.formatImportResult)
+        },
+        message: result.dryRun
+          ? `Preview: ${summary.created} to create, ${summary.updated} to update, ${problems} with errors`
+          : `${summary.created} created, ${summary.updated} updated, ${problems} with errors`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Import tasks failed in controller', {
+        error: error.message,
+        format: req.taskImport ? req.taskImport.format : null
+      });
+
+      if (error.message.startsWith('Project with ID')) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROJECT_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'PROJECT_ACCESS_DENIED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(400).json({
+        success: false,
+        error: {
+          code: 'TASK_IMPORT_FAILED',
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Get task statistics
+  static async getStatistics(req, res) {
+    try {
+      const result = await TaskService.getStatistics(req.user, { projectId: req.projectFilter });
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get statistics failed in controller', {
+        error: error.message
+      });
+
+      if (error.message.startsWith('Project with ID')) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROJECT_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'STATISTICS_RETRIEVAL_FAILED',
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Get one analytics report (see TaskAnalyticsService), as JSON or as a
+  // CSV download
+  static getTaskAnalytics(metric) {
+    return async (req, res) => {
+      try {
+        const { from, to, format } = req.analyticsQuery;
+
+        const result = await TaskAnalyticsService.getReport(metric, {
+          from,
+          to,
+          projectId: req.projectFilter
+        }, req.user);
+
+        if (format === 'csv') {
+          const { data } = result;
+
+          return res
+            .status(200)
+            .type('text/csv')
+            .attachment(`task-${metric}-${data.from}-to-${data.to}.csv`)
+            .send(TaskAnalyticsService.toCSV(data));
+        }
+
+        res.status(200).json({
+          ...result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Get task analytics failed in controller', {
+          error: error.message,
+          metric
+        });
+
+        if (error.message.startsWith('Project with ID')) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              code: 'PROJECT_NOT_FOUND',
+              message: error.message
+            },
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        if (error.message.startsWith('Analytics')) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'INVALID_ANALYTICS_RANGE',
+              message: error.message
+            },
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        res.status(500).json({
+          success: false,
+          error: {
+            code: 'ANALYTICS_RETRIEVAL_FAILED',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    };
+  }
+
+  // Search tasks
+  static async searchTasks(req, res) {
+    try {
+      const { q } = req.query;
+
+      if (!q) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Search query is required'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const {
+        page = 1,
+        limit = 10,
+        status
+      } = req.query;
+
+      const result = await TaskService.searchTasks(req.searchQuery || q, {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        status,
+        projectId: req.projectFilter,
+        ...req.taskFilters
+      }, req.user);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Task search failed in controller', {
+        error: error.message,
+        query: req.query
+      });
+
+      if (error.message.startsWith('Project with ID')) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROJECT_NOT_FOUND',
+            message: error.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
       res.status(400).json({
         success: false,
         error: {
@@ -0,0 +1,168 @@
+const WebhookService = require('../services/webhookService');
+const { logger } = require('../utils/logger');
+
+class WebhookController {
+  // Send the error response for a failed webhook operation
+  static sendError(res, error, code) {
+    let status = 400;
+    let errorCode = code;
+
+    if (error.message.includes('not found')) {
+      status = 404;
+      errorCode = error.message.startsWith('Webhook delivery') ? 'WEBHOOK_DELIVERY_NOT_FOUND' : 'WEBHOOK_NOT_FOUND';
+    } else if (error.message.includes('still pending')) {
+      status = 409;
+      errorCode = 'WEBHOOK_DELIVERY_PENDING';
+    } else if (error.message.includes('is inactive')) {
+      status = 409;
+      errorCode = 'WEBHOOK_INACTIVE';
+    } else if (error.message.includes('not running')) {
+      status = 503;
+      errorCode = 'WEBHOOK_DELIVERY_UNAVAILABLE';
+    }
+
+    res.status(status).json({
+      success: false,
+      error: {
+        code: errorCode,
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // List all webhooks
+  static async getAllWebhooks(req, res) {
+    try {
+      const result = await WebhookService.listWebhooks();
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get all webhooks failed in controller', { error: error.message });
+
+      WebhookController.sendError(res, error, 'WEBHOOK_RETRIEVAL_FAILED');
+    }
+  }
+
+  // Create a webhook
+  static async createWebhook(req, res) {
+    try {
+      const { url, events, description, active } = req.body;
+
+      const result = await WebhookService.createWebhook({ url, events, description, active }, req.user);
+
+      res.status(201).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Webhook creation failed in controller', {
+        error: error.message,
+        url: req.body.url
+      });
+
+      WebhookController.sendError(res, error, 'WEBHOOK_CREATION_FAILED');
+    }
+  }
+
+  // Get a webhook
+  static async getWebhookById(req, res) {
+    try {
+      const result = await WebhookService.getWebhookById(req.params.webhookId);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get webhook failed in controller', {
+        error: error.message,
+        webhookId: req.params.webhookId
+      });
+
+      WebhookController.sendError(res, error, 'WEBHOOK_RETRIEVAL_FAILED');
+    }
+  }
+
+  // Update a webhook
+  static async updateWebhook(req, res) {
+    try {
+      const result = await WebhookService.updateWebhook(req.params.webhookId, req.body);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Webhook update failed in controller', {
+        error: error.message,
+        webhookId: req.params.webhookId
+      });
+
+      WebhookController.sendError(res, error, 'WEBHOOK_UPDATE_FAILED');
+    }
+  }
+
+  // Delete a webhook
+  static async deleteWebhook(req, res) {
+    try {
+      const result = await WebhookService.deleteWebhook(req.params.webhookId);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Webhook deletion failed in controller', {
+        error: error.message,
+        webhookId: req.params.webhookId
+      });
+
+      WebhookController.sendError(res, error, 'WEBHOOK_DELETION_FAILED');
+    }
+  }
+
+  // List a webhook's deliveries
+  static async getWebhookDeliveries(req, res) {
+    try {
+      const result = await WebhookService.getDeliveries(req.params.webhookId, req.deliveryQuery);
+
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get webhook deliveries failed in controller', {
+        error: error.message,
+        webhookId: req.params.webhookId
+      });
+
+      WebhookController.sendError(res, error, 'WEBHOOK_DELIVERY_RETRIEVAL_FAILED');
+    }
+  }
+
+  // Send a delivery again
+  static async redeliverWebhookDelivery(req, res) {
+    try {
+      const result = await WebhookService.redeliver(req.params.webhookId, req.params.deliveryId);
+
+      res.status(202).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Webhook redelivery failed in controller', {
+        error: error.message,
+        webhookId: req.params.webhookId,
+        deliveryId: req.params.deliveryId
+      });
+
+      WebhookController.sendError(res, error, 'WEBHOOK_REDELIVERY_FAILED');
+    }
+  }
+}
+
+module.exports = WebhookController;
@@ -1,3 +1,4 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const { Pool } = require('pg');
 const config = require('../shared/config/environment');
 const logger = require('../shared/utils/logger');
@@ -6,6 +7,9 @@ class DatabaseConnection {
   constructor() {
     this.pool = null;
     this.isConnected = false;
+    // Client of the transaction the current async call chain runs in, so
+    // query() calls made inside transaction() join it
+    this.transactionContext = new AsyncLocalStorage();
   }
 
   async initialize() {
@@ -64,7 +68,8 @@ class DatabaseConnection {
 
     const start = Date.now();
     try {
-      const result = await this.pool.query(text, params);
+      const client = this.transactionContext.getStore() || this.pool;
+      const result = await client.query(text, params);
       const duration = Date.now() - start;
 
       logger.debug('Database query executed', {
@@ -91,10 +96,17 @@ class DatabaseConnection {
   }
 
   async transaction(callback) {
+    // A nested transaction joins the outer one, which commits or rolls back
+    // everything together
+    const activeClient = this.transactionContext.getStore();
+    if (activeClient) {
+      return callback(activeClient);
+    }
+
     const client = await this.getClient();
     try {
       await client.query('BEGIN');
-      const result = await callback(client);
+      const result = await this.transactionContext.run(client, () => callback(client));
       await client.query('COMMIT');
       return result;
     } catch (error) {
@@ -0,0 +1,32 @@
+-- Migration: Add two-factor authentication
+-- Description: Adds TOTP two-factor authentication columns to users and a table of hashed recovery codes
+
+-- Add two-factor columns to users
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_required BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_last_used_step BIGINT;
+
+-- Create recovery codes table
+CREATE TABLE IF NOT EXISTS user_mfa_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_users_mfa_required ON users(mfa_required) WHERE mfa_required = true;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_mfa_recovery_codes_user_hash ON user_mfa_recovery_codes(user_id, code_hash);
+
+-- Add comments for documentation
+COMMENT ON COLUMN users.mfa_enabled IS 'Whether logins require a TOTP code';
+COMMENT ON COLUMN users.mfa_required IS 'Set by an admin: the user has to enroll before the next login completes';
+COMMENT ON COLUMN users.mfa_secret IS 'TOTP secret, AES-256-GCM encrypted; set at enrollment before it is confirmed';
+COMMENT ON COLUMN users.mfa_enabled_at IS 'When two-factor authentication was confirmed';
+COMMENT ON COLUMN users.mfa_last_used_step IS 'Time step of the last accepted TOTP code, so a code only works once';
+COMMENT ON TABLE user_mfa_recovery_codes IS 'One-time recovery codes for accounts with two-factor authentication';
+COMMENT ON COLUMN user_mfa_recovery_codes.code_hash IS 'SHA-256 of the normalized recovery code';
+COMMENT ON COLUMN user_mfa_recovery_codes.used_at IS 'When the code was used; used codes no longer work';
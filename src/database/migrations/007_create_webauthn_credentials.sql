@@ -0,0 +1,35 @@
+-- Migration: Create WebAuthn credentials table
+-- Description: Stores the passkeys users register, with the sign counter used to detect cloned authenticators
+
+-- Create WebAuthn credentials table
+CREATE TABLE IF NOT EXISTS webauthn_credentials (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credential_id VARCHAR(1400) NOT NULL UNIQUE,
+    public_key TEXT NOT NULL,
+    algorithm INTEGER NOT NULL,
+    sign_count BIGINT NOT NULL DEFAULT 0,
+    transports TEXT[] DEFAULT '{}',
+    name VARCHAR(100),
+    aaguid VARCHAR(36),
+    backup_eligible BOOLEAN DEFAULT FALSE,
+    backed_up BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(255)
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user_id ON webauthn_credentials(user_id) WHERE revoked_at IS NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE webauthn_credentials IS 'Passkeys (WebAuthn public key credentials) registered by users';
+COMMENT ON COLUMN webauthn_credentials.credential_id IS 'Credential ID chosen by the authenticator, base64url encoded';
+COMMENT ON COLUMN webauthn_credentials.public_key IS 'Credential public key as an SPKI PEM';
+COMMENT ON COLUMN webauthn_credentials.algorithm IS 'COSE algorithm of the public key (-7 ES256, -8 EdDSA, -257 RS256)';
+COMMENT ON COLUMN webauthn_credentials.sign_count IS 'Last signature counter reported by the authenticator; a counter that does not increase means a cloned authenticator';
+COMMENT ON COLUMN webauthn_credentials.transports IS 'Transports the browser reported, passed back as hints at login';
+COMMENT ON COLUMN webauthn_credentials.aaguid IS 'Authenticator model identifier from the attested credential data';
+COMMENT ON COLUMN webauthn_credentials.backed_up IS 'Whether the passkey is synced to other devices';
+COMMENT ON COLUMN webauthn_credentials.revoked_at IS 'When the passkey was revoked; revoked passkeys no longer log in';
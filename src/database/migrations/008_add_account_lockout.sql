@@ -0,0 +1,29 @@
+-- Migration: Add account lockout
+-- Description: Counts failed logins per submitted email address, whether or not an account has it, for progressive
+-- throttling and temporary lockouts that answer the same for unknown addresses, and adds emailed unlock links to accounts
+
+-- Create login failures table
+CREATE TABLE IF NOT EXISTS login_failures (
+    email VARCHAR(255) PRIMARY KEY,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    last_failed_at TIMESTAMP NOT NULL,
+    throttled_until TIMESTAMP,
+    locked_until TIMESTAMP
+);
+
+-- The unlock link stays on the account it was emailed to
+ALTER TABLE users ADD COLUMN IF NOT EXISTS unlock_token_hash VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS unlock_token_expires_at TIMESTAMP;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_login_failures_last_failed_at ON login_failures(last_failed_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_unlock_token_hash ON users(unlock_token_hash) WHERE unlock_token_hash IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE login_failures IS 'Consecutive failed logins (wrong password or second factor) per submitted email address';
+COMMENT ON COLUMN login_failures.email IS 'Lowercased email address the logins were attempted with';
+COMMENT ON COLUMN login_failures.last_failed_at IS 'When the last failed login happened; rows that stopped counting are deleted when new failures are recorded';
+COMMENT ON COLUMN login_failures.throttled_until IS 'No login attempts are checked before this time';
+COMMENT ON COLUMN login_failures.locked_until IS 'Logins with the address are locked until this time, or until the account is unlocked';
+COMMENT ON COLUMN users.unlock_token_hash IS 'SHA-256 of the token in the emailed unlock link';
+COMMENT ON COLUMN users.unlock_token_expires_at IS 'When the emailed unlock link stops working';
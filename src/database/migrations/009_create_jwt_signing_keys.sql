@@ -0,0 +1,27 @@
+-- Migration: Create JWT signing keys
+-- Description: Key pairs that sign access tokens with RS256 or ES256, shared by every instance and published as a JWKS
+
+-- Create jwt_signing_keys table
+CREATE TABLE IF NOT EXISTS jwt_signing_keys (
+    kid VARCHAR(64) PRIMARY KEY,
+    algorithm VARCHAR(10) NOT NULL,
+    public_key TEXT NOT NULL,
+    private_key TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    activates_at TIMESTAMP NOT NULL,
+    expires_at TIMESTAMP,
+
+    CONSTRAINT jwt_signing_keys_algorithm_check CHECK (algorithm IN ('RS256', 'ES256'))
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_jwt_signing_keys_activates_at ON jwt_signing_keys(activates_at);
+CREATE INDEX IF NOT EXISTS idx_jwt_signing_keys_expires_at ON jwt_signing_keys(expires_at) WHERE expires_at IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE jwt_signing_keys IS 'Asymmetric keys that sign access tokens, identified by the kid of the token header';
+COMMENT ON COLUMN jwt_signing_keys.kid IS 'RFC 7638 JWK thumbprint of the public key';
+COMMENT ON COLUMN jwt_signing_keys.public_key IS 'SPKI PEM, published at /.well-known/jwks.json';
+COMMENT ON COLUMN jwt_signing_keys.private_key IS 'PKCS#8 PEM encrypted with AES-256-GCM as <iv>:<auth tag>:<ciphertext>';
+COMMENT ON COLUMN jwt_signing_keys.activates_at IS 'Tokens are signed with the newest active key; new keys are published a while before they sign';
+COMMENT ON COLUMN jwt_signing_keys.expires_at IS 'Set when the next key takes over; tokens of this key stop verifying after the grace period';
@@ -0,0 +1,13 @@
+-- Migration: Add refresh token families
+-- Description: Groups rotated refresh tokens into families so that replaying a consumed token revokes every token of its login
+
+-- Add family columns to refresh_tokens; existing tokens each start a family of their own
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS family_id UUID NOT NULL DEFAULT gen_random_uuid();
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS used_at TIMESTAMP;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+
+-- Add comments for documentation
+COMMENT ON COLUMN refresh_tokens.family_id IS 'Login the token descends from; every rotation keeps the family of the consumed token';
+COMMENT ON COLUMN refresh_tokens.used_at IS 'When the token was exchanged for a new one; presenting it again revokes its family';
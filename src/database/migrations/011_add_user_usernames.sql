@@ -0,0 +1,77 @@
+-- Migration: Add usernames
+-- Description: Unique, case-insensitive usernames that @mentions resolve to.
+-- Users without one get the local part of their email address, with a number
+-- appended when another user already has it.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS username VARCHAR(30);
+
+-- Next free username derived from an email address
+CREATE OR REPLACE FUNCTION generate_user_username(user_email TEXT)
+RETURNS VARCHAR AS $$
+DECLARE
+    base VARCHAR(30);
+    candidate VARCHAR(30);
+    suffix INTEGER := 1;
+BEGIN
+    -- Keep the characters a mention can contain, starting with a letter,
+    -- digit or underscore and not ending in '.' or '-'
+    base := regexp_replace(LOWER(SPLIT_PART(user_email, '@', 1)), '[^a-z0-9_.-]', '', 'g');
+    base := regexp_replace(LEFT(regexp_replace(base, '^[.-]+', ''), 24), '[.-]+$', '');
+
+    IF char_length(base) < 3 THEN
+        base := 'user' || base;
+    END IF;
+
+    -- Serialize concurrent sign-ups competing for the same username
+    PERFORM pg_advisory_xact_lock(hashtext('users.username:' || base));
+
+    candidate := base;
+    WHILE EXISTS (SELECT 1 FROM users WHERE LOWER(username) = candidate) LOOP
+        suffix := suffix + 1;
+        candidate := base || suffix;
+    END LOOP;
+
+    RETURN candidate;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Backfill existing users, oldest first so they keep the unsuffixed name
+DO $$
+DECLARE
+    existing RECORD;
+BEGIN
+    FOR existing IN SELECT id, email FROM users WHERE username IS NULL ORDER BY created_at, id LOOP
+        UPDATE users SET username = generate_user_username(existing.email) WHERE id = existing.id;
+    END LOOP;
+END
+$$;
+
+ALTER TABLE users ALTER COLUMN username SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username ON users(LOWER(username));
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_users_username_format') THEN
+        ALTER TABLE users ADD CONSTRAINT chk_users_username_format
+            CHECK (username ~ '^[a-z0-9_][a-z0-9_.-]{1,28}[a-z0-9_]$');
+    END IF;
+END
+$$;
+
+-- Assign a username to users created without one
+CREATE OR REPLACE FUNCTION set_user_username()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.username IS NULL THEN
+        NEW.username := generate_user_username(NEW.email);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_users_username ON users;
+CREATE TRIGGER set_users_username
+    BEFORE INSERT ON users
+    FOR EACH ROW
+    EXECUTE FUNCTION set_user_username();
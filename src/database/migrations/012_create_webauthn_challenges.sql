@@ -0,0 +1,20 @@
+-- Migration: Create WebAuthn challenges table
+-- Description: Challenges of passkey ceremonies in progress, shared by every instance
+
+-- Create WebAuthn challenges table
+CREATE TABLE IF NOT EXISTS webauthn_challenges (
+    challenge VARCHAR(64) PRIMARY KEY,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('registration', 'authentication')),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_webauthn_challenges_expires_at ON webauthn_challenges(expires_at);
+
+-- Add comments for documentation
+COMMENT ON TABLE webauthn_challenges IS 'Challenges of passkey registrations and logins that have not finished yet; each works once';
+COMMENT ON COLUMN webauthn_challenges.challenge IS 'Random challenge the authenticator signs, base64url encoded';
+COMMENT ON COLUMN webauthn_challenges.user_id IS 'User registering a passkey; NULL for logins, where the passkey names the user';
+COMMENT ON COLUMN webauthn_challenges.expires_at IS 'End of the ceremony timeout; expired challenges are deleted when new ones are created';
@@ -38,10 +38,15 @@ class AuthEventMonitor extends EventEmitter {
       successfulLogins: 0,
       failedLogins: 0,
       accountLocks: 0,
+      refreshTokenReuses: 0,
       suspiciousActivities: 0,
       securityAlerts: 0
     };
 
+    // Authentication service whose events are monitored
+    this.authService = null;
+    this.authEventListeners = new Map(); // event name -> listener
+
     this.isRunning = false;
     this.monitoringTimer = null;
 
@@ -51,12 +56,16 @@ class AuthEventMonitor extends EventEmitter {
   }
 
   /**
-   * Initialize the auth event monitor
+   * Initialize the auth event monitor, optionally with the authentication
+   * service whose events it processes
    */
-  async initialize() {
+  async initialize(authService) {
     try {
       logger.info('Initializing Authentication Event Monitor');
 
+      this.authService = authService || null;
+      this.setupEventListeners();
+
       // Start periodic monitoring
       this.startMonitoring();
 
@@ -69,6 +78,27 @@ class AuthEventMonitor extends EventEmitter {
     }
   }
 
+  /**
+   * Process the events the authentication service emits
+   */
+  setupEventListeners() {
+    if (!this.authService) return;
+
+    const eventTypes = {
+      loginFailed: 'login_failed',
+      accountLocked: 'account_locked',
+      refreshTokenReused: 'refresh_token_reused'
+    };
+
+    for (const [eventName, eventType] of Object.entries(eventTypes)) {
+      const listener = event => this.processAuthEvent({ ...event, eventType });
+      this.authEventListeners.set(eventName, listener);
+      this.authService.on(eventName, listener);
+    }
+
+    logger.debug('Authentication event listeners set up');
+  }
+
   /**
    * Initialize default security monitors
    */
@@ -146,6 +176,17 @@ class AuthEventMonitor extends EventEmitter {
           passwordChangeThreshold: 0.8,
           action: 'alert_and_block'
         }
+      },
+      {
+        id: 'refresh_token_reuse_detection',
+        name: 'Refresh Token Reuse Detection',
+        enabled: true,
+        type: 'pattern_based',
+        description: 'Detects replayed refresh tokens, whose token family the token service revoked',
+        config: {
+          severity: 'critical',
+          action: 'alert_and_terminate'
+        }
       }
     ];
 
@@ -430,6 +471,9 @@ class AuthEventMonitor extends EventEmitter {
       case 'account_locked':
         this.statistics.accountLocks++;
         break;
+      case 'refresh_token_reused':
+        this.statistics.refreshTokenReuses++;
+        break;
     }
   }
 
@@ -494,6 +538,11 @@ class AuthEventMonitor extends EventEmitter {
         details = { ipAddress: event.ipAddress, failedUsers: this.getUniqueFailedUsers(event.ipAddress, config.timeWindow) };
         break;
 
+      case 'refresh_token_reuse_detection':
+        detected = event.eventType === 'refresh_token_reused';
+        details = { userId: event.userId, familyId: event.familyId, ipAddress: event.ipAddress, revokedSessions: event.revokedSessions };
+        break;
+
       default:
         return { detected: false, reason: 'Unknown pattern-based monitor' };
     }
@@ -1151,6 +1200,15 @@ class AuthEventMonitor extends EventEmitter {
       // Stop monitoring
       this.stopMonitoring();
 
+      // Stop listening to the authentication service
+      if (this.authService) {
+        for (const [eventName, listener] of this.authEventListeners.entries()) {
+          this.authService.off(eventName, listener);
+        }
+        this.authEventListeners.clear();
+        this.authService = null;
+      }
+
       // Clear data structures
       this.authEvents = [];
       this.activeMonitors.clear();
@@ -1166,6 +1224,7 @@ class AuthEventMonitor extends EventEmitter {
         successfulLogins: 0,
         failedLogins: 0,
         accountLocks: 0,
+        refreshTokenReuses: 0,
         suspiciousActivities: 0,
         securityAlerts: 0
       };
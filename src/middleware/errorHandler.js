@@ -26,6 +26,36 @@ class ConflictError extends Error {
   }
 }
 
+class WorkflowTransitionError extends Error {
+  constructor(message, code = 'INVALID_STATUS_TRANSITION', details = {}) {
+    super(message);
+    this.name = 'WorkflowTransitionError';
+    this.code = code;
+    this.details = details;
+    this.statusCode = 409;
+  }
+}
+
+class TaskDependencyError extends Error {
+  constructor(message, code = 'TASK_DEPENDENCY_CYCLE', details = {}) {
+    super(message);
+    this.name = 'TaskDependencyError';
+    this.code = code;
+    this.details = details;
+    this.statusCode = 409;
+  }
+}
+
+class PreconditionFailedError extends Error {
+  constructor(message, code = 'TASK_VERSION_MISMATCH', details = {}) {
+    super(message);
+    this.name = 'PreconditionFailedError';
+    this.code = code;
+    this.details = details;
+    this.statusCode = 412;
+  }
+}
+
 class RateLimitError extends Error {
   constructor(message = 'Too many requests') {
     super(message);
@@ -88,6 +118,16 @@ const errorHandler = (err, req, res, next) => {
     return res.status(409).json(errorResponse);
   }
 
+  if (err instanceof WorkflowTransitionError || err instanceof TaskDependencyError ||
+      err instanceof PreconditionFailedError) {
+    errorResponse.error = {
+      code: err.code,
+      message: err.message,
+      details: err.details
+    };
+    return res.status(err.statusCode).json(errorResponse);
+  }
+
   if (err instanceof RateLimitError) {
     errorResponse.error = {
       code: 'RATE_LIMIT_EXCEEDED',
@@ -222,5 +262,8 @@ module.exports = {
   ValidationError,
   NotFoundError,
   ConflictError,
-  RateLimitError
+  RateLimitError,
+  WorkflowTransitionError,
+  TaskDependencyError,
+  PreconditionFailedError
 };
\ No newline at end of file
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const config = require('../shared/config/environment');
+const idempotencyStore = require('../repositories/idempotency/idempotencyStore');
+const { logger } = require('../utils/logger');
+
+// Methods whose responses are stored for replay
+const IDEMPOTENT_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Keys are 1-255 printable ASCII characters, e.g. a UUID
+const IDEMPOTENCY_KEY_PATTERN = /^[\x20-\x7e]{1,255}$/;
+
+// Response headers stored and replayed along with the body
+const REPLAYED_HEADERS = ['content-type', 'etag', 'location'];
+
+// Client errors that may go away on a retry: timeouts, conflicts and rate
+// limits. Like server errors they are not stored.
+const TRANSIENT_STATUSES = [408, 409, 429];
+
+// Successful responses and client errors the same request gets again
+const isStorable = statusCode =>
+  (statusCode >= 200 && statusCode < 300) ||
+  (statusCode >= 400 && statusCode < 500 && !TRANSIENT_STATUSES.includes(statusCode));
+
+const sendError = (res, status, code, message) => res.status(status).json({
+  success: false,
+  error: {
+    code,
+    message
+  },
+  timestamp: new Date().toISOString()
+});
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// Keys are scoped to the authenticated user, so two users can't see each
+// other's responses by picking the same key, and a retry with a refreshed
+// access token still finds its key. Without a user, the API key or the
+// client IP scopes them.
+const storeKey = (req, key) => {
+  const scope = req.user ? `user:${req.user.id}` : sha256(req.get('X-API-Key') || req.ip);
+  return `${scope}:${key}`;
+};
+
+// Identifies the request a key was first used for. Multipart uploads are
+// parsed later by their routes, so only their length is compared.
+const fingerprint = (req) => {
+  const body = req.is('multipart/form-data')
+    ? `multipart:${req.get('Content-Length')}`
+    : JSON.stringify(req.body === undefined ? null : req.body);
+
+  return sha256(`${req.method} ${req.originalUrl}\n${body}`);
+};
+
+// Send a stored response again
+const replay = (res, response) => {
+  res.set(response.headers);
+  res.set('Idempotent-Replayed', 'true');
+  res.status(response.statusCode).send(response.encoding === 'base64'
+    ? Buffer.from(response.body, 'base64')
+    : response.body);
+};
+
+/**
+ * Idempotency-Key support for mutating requests. The first response to a
+ * key is stored for IDEMPOTENCY_TTL_HOURS and replayed, with an
+ * `Idempotent-Replayed: true` header, when the request is retried with the
+ * same key. Reusing a key for a different request is rejected with 422, and
+ * a retry that arrives while the first request is still running with 409.
+ * Server errors and transient client errors (408, 409, 429) are not stored,
+ * so those requests can be retried. Mounted by the routers of the resources
+ * it protects, after their authentication; never on routes whose responses
+ * carry tokens or secrets, which must not be kept.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined || !IDEMPOTENT_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return sendError(res, 400, 'INVALID_IDEMPOTENCY_KEY', 'Idempotency-Key must be 1-255 printable ASCII characters');
+  }
+
+  const ttlSeconds = config.idempotency.ttlHours * 60 * 60;
+  const scopedKey = storeKey(req, key);
+  const requestFingerprint = fingerprint(req);
+
+  let existing;
+  try {
+    existing = await idempotencyStore.reserve(scopedKey, { fingerprint: requestFingerprint, response: null }, ttlSeconds);
+  } catch (error) {
+    // Without the store the request is handled as if it carried no key
+    logger.error('Idempotency key reservation failed', { error: error.message, path: req.originalUrl });
+    return next();
+  }
+
+  if (existing) {
+    if (existing.fingerprint !== requestFingerprint) {
+      return sendError(res, 422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used for a different request');
+    }
+
+    if (!existing.response) {
+      res.set('Retry-After', '1');
+      return sendError(res, 409, 'IDEMPOTENCY_KEY_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed');
+    }
+
+    logger.info('Idempotent response replayed', {
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: existing.response.statusCode
+    });
+
+    return replay(res, existing.response);
+  }
+
+  // res.json() ends in res.send(), so this sees every body sent
+  let body;
+  const send = res.send;
+  res.send = function (chunk) {
+    body = chunk;
+    return send.call(this, chunk);
+  };
+
+  let settled = false;
+  const settle = (stored) => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+
+    const operation = stored
+      ? idempotencyStore.complete(scopedKey, { fingerprint: requestFingerprint, response: stored }, ttlSeconds)
+      : idempotencyStore.release(scopedKey);
+
+    operation.catch(error => logger.error('Failed to store idempotent response', {
+      error: error.message,
+      path: req.originalUrl
+    }));
+  };
+
+  res.on('finish', () => {
+    if (!isStorable(res.statusCode)) {
+      return settle(null);
+    }
+
+    const headers = {};
+    for (const name of REPLAYED_HEADERS) {
+      if (res.get(name) !== undefined) {
+        headers[name] = res.get(name);
+      }
+    }
+
+    const isBuffer = Buffer.isBuffer(body);
+
+    settle({
+      statusCode: res.statusCode,
+      headers,
+      body: isBuffer ? body.toString('base64') : (body === undefined ? '' : String(body)),
+      encoding: isBuffer ? 'base64' : 'utf8'
+    });
+  });
+
+  // The connection closed before a response was sent
+  res.on('close', () => settle(null));
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
@@ -149,12 +149,16 @@ const validateApiKey = (req, res, next) => {
   next();
 };
 
-// Content type validation middleware
+// Content type validation middleware (PATCH bodies may also be JSON Merge
+// Patch documents)
 const validateContentType = (req, res, next) => {
-  if (req.method === 'POST' || req.method === 'PUT') {
+  if (req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH') {
     const contentType = req.get('Content-Type');
+    const allowed = req.method === 'PATCH'
+      ? ['application/json', 'application/merge-patch+json']
+      : ['application/json'];
 
-    if (!contentType || !contentType.includes('application/json')) {
+    if (!contentType || !allowed.some(type => contentType.includes(type))) {
       logger.warn('Invalid content type', {
         ip: req.ip,
         url: req.url,
@@ -167,7 +171,7 @@ const validateContentType = (req, res, next) => {
         success: false,
         error: {
           code: 'INVALID_CONTENT_TYPE',
-          message: 'Content-Type must be application/json'
+          message: `Content-Type must be ${allowed.join(' or ')}`
         },
         timestamp: new Date().toISOString()
       });
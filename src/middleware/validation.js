@@ -1,10 +1,23 @@
 const TaskValidator = require('../utils/validators');
+const { TASK_PRIORITIES, TASK_SORT_FIELDS, MAX_BULK_OPERATIONS, EXPORT_FORMATS, IMPORT_FORMATS, IMPORT_FIELDS } = require('../utils/validators');
+const workflowEngine = require('../services/workflow/WorkflowEngine');
+const { TaskQueryError, parseFilter, parseSort, resolveSort, decodeCursor, parseFields } = require('../utils/taskQuery');
+const { parseSearchQuery } = require('../utils/textSearch');
+const { parseETags, expectedVersions } = require('../utils/etag');
+const { isObject } = require('../utils/mergePatch');
+const { DELIVERY_STATUSES } = require('../models/WebhookDelivery');
 const { logger } = require('../utils/logger');
 
+// Scopes of a task update: the task alone, or its whole recurring series
+const UPDATE_SCOPES = ['task', 'series'];
+
+// Response formats of the task analytics endpoints
+const ANALYTICS_FORMATS = ['json', 'csv'];
+
 // Validation middleware for task creation
 const validateTaskCreation = (req, res, next) => {
   try {
-    const { title, description, status } = req.body;
+    const { title, description, status, assigneeId, projectId, dueDate, priority, estimate, parentId, checklist, recurrence, externalId } = req.body;
 
     // Basic field validation
     if (!title) {
@@ -22,7 +35,16 @@ const validateTaskCreation = (req, res, next) => {
     const validation = TaskValidator.validateTaskData({
       title,
       description,
-      status
+      status,
+      assigneeId,
+      projectId,
+      dueDate,
+      priority,
+      estimate,
+      parentId,
+      checklist,
+      recurrence,
+      externalId
     });
 
     if (!validation.isValid) {
@@ -33,7 +55,7 @@ const validateTaskCreation = (req, res, next) => {
 
       logger.warn('Task creation validation failed', {
         errors: formattedErrors,
-        body: { title, description, status }
+        body: { title, description, status, projectId }
       });
 
       return res.status(400).json({
@@ -51,7 +73,16 @@ const validateTaskCreation = (req, res, next) => {
     req.validatedData = TaskValidator.sanitizeTaskData({
       title,
       description,
-      status
+      status,
+      assigneeId,
+      projectId,
+      dueDate,
+      priority,
+      estimate,
+      parentId,
+      checklist,
+      recurrence,
+      externalId
     });
 
     next();
@@ -114,8 +145,22 @@ const validateTaskUpdate = (req, res, next) => {
       });
     }
 
+    // "series" applies the update to the task's whole recurring series
+    const { scope = 'task' } = req.query;
+    if (!UPDATE_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Scope must be one of: ${UPDATE_SCOPES.join(', ')}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Attach validated data to request
     req.validatedData = updateData;
+    req.updateScope = scope;
 
     next();
   } catch (error) {
@@ -135,6 +180,60 @@ const validateTaskUpdate = (req, res, next) => {
   }
 };
 
+// Validation middleware for JSON Merge Patch task updates. The patch is
+// validated as update data once it has been merged into the task.
+const validateTaskPatch = (req, res, next) => {
+  const patch = req.body;
+
+  if (!isObject(patch) || Object.keys(patch).length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Patch must be a JSON object with at least one field'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const { scope = 'task' } = req.query;
+  if (!UPDATE_SCOPES.includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: `Scope must be one of: ${UPDATE_SCOPES.join(', ')}`
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.updateScope = scope;
+  next();
+};
+
+// Validation middleware for the If-Match precondition of task changes.
+// Sets req.expectedVersions to the versions the task must be at (null when
+// any version will do).
+const validateIfMatch = (req, res, next) => {
+  const header = req.get('If-Match');
+  const tags = header === undefined ? null : parseETags(header);
+
+  if (header !== undefined && !tags) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'If-Match must be * or a list of entity tags such as "3"'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.expectedVersions = expectedVersions(tags);
+  next();
+};
+
 // Validation middleware for task ID
 const validateTaskId = (req, res, next) => {
   try {
@@ -183,152 +282,983 @@ const validateTaskId = (req, res, next) => {
   }
 };
 
-// Validation middleware for pagination parameters
-const validatePagination = (req, res, next) => {
+// Validation middleware for adding a dependency. The body names the other
+// task as either { "blockedBy": id } or { "blocks": id }.
+const validateDependency = (req, res, next) => {
   try {
-    const { page = '1', limit = '10' } = req.query;
-
-    const pageNum = parseInt(page, 10);
-    const limitNum = parseInt(limit, 10);
+    const { blockedBy, blocks } = req.body || {};
 
-    // Validate page number
-    if (isNaN(pageNum) || pageNum < 1) {
+    if ((blockedBy === undefined) === (blocks === undefined)) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'Page must be a positive integer'
+          message: 'Exactly one of blockedBy or blocks is required'
         },
         timestamp: new Date().toISOString()
       });
     }
 
-    // Validate limit
-    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+    const otherId = blockedBy !== undefined ? blockedBy : blocks;
+    if (otherId === null || !TaskValidator.validateTaskReference(otherId).isValid) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'Limit must be between 1 and 100'
+          message: 'Dependency task ID must be a valid UUID'
         },
         timestamp: new Date().toISOString()
       });
     }
 
-    req.pagination = {
-      page: pageNum,
-      limit: limitNum
-    };
+    req.dependency = blockedBy !== undefined ? { blockedBy } : { blocks };
+    next();
+  } catch (error) {
+    logger.error('Dependency validation error', {
+      error: error.message,
+      body: req.body
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Dependency validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for the dependency task ID path parameter
+const validateDependencyId = (req, res, next) => {
+  try {
+    const { dependencyId } = req.params;
+
+    if (!dependencyId || !TaskValidator.validateTaskReference(dependencyId).isValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid dependency task ID format'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
 
+    req.dependencyTaskId = dependencyId;
     next();
   } catch (error) {
-    logger.error('Pagination validation error', {
+    logger.error('Dependency ID validation error', {
       error: error.message,
-      query: req.query
+      dependencyId: req.params.dependencyId
     });
 
     res.status(500).json({
       success: false,
       error: {
         code: 'VALIDATION_ERROR',
-        message: 'Pagination validation failed'
+        message: 'Dependency ID validation failed'
       },
       timestamp: new Date().toISOString()
     });
   }
 };
 
-// Validation middleware for search query
-const validateSearchQuery = (req, res, next) => {
+// Validation middleware for comments: a body and, for replies, the parent
+// comment ID
+const validateComment = (req, res, next) => {
   try {
-    const { q } = req.query;
+    const { body, parentId } = req.body || {};
 
-    if (!q || typeof q !== 'string' || q.trim().length === 0) {
+    const bodyValidation = TaskValidator.validateCommentBody(body);
+    if (!bodyValidation.isValid) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'Search query is required'
+          message: bodyValidation.error
         },
         timestamp: new Date().toISOString()
       });
     }
 
-    // Validate search query length
-    if (q.trim().length < 2) {
+    if (!TaskValidator.validateTaskReference(parentId).isValid) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'Search query must be at least 2 characters long'
+          message: 'Parent comment ID must be a valid UUID'
         },
         timestamp: new Date().toISOString()
       });
     }
 
-    if (q.trim().length > 100) {
+    req.comment = { body, parentId: parentId || null };
+    next();
+  } catch (error) {
+    logger.error('Comment validation error', {
+      error: error.message,
+      body: req.body
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Comment validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for the comment ID path parameter
+const validateCommentId = (req, res, next) => {
+  try {
+    const { commentId } = req.params;
+
+    if (!commentId || !TaskValidator.validateTaskReference(commentId).isValid) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'Search query must be 100 characters or less'
+          message: 'Invalid comment ID format'
         },
         timestamp: new Date().toISOString()
       });
     }
 
-    req.searchQuery = q.trim();
+    req.commentId = commentId;
     next();
   } catch (error) {
-    logger.error('Search query validation error', {
+    logger.error('Comment ID validation error', {
       error: error.message,
-      query: req.query
+      commentId: req.params.commentId
     });
 
     res.status(500).json({
       success: false,
       error: {
         code: 'VALIDATION_ERROR',
-        message: 'Search query validation failed'
+        message: 'Comment ID validation failed'
       },
       timestamp: new Date().toISOString()
     });
   }
 };
 
-// Validation middleware for status filter
-const validateStatusFilter = (req, res, next) => {
+// Validation middleware for task revision numbers
+const validateRevision = (req, res, next) => {
   try {
-    const { status } = req.query;
+    const { revision } = req.params;
+    const revisionNum = Number(revision);
 
-    if (status) {
-      const validStatuses = ['pending', 'in-progress', 'completed'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: 'VALIDATION_ERROR',
-            message: `Status must be one of: ${validStatuses.join(', ')}`
-          },
-          timestamp: new Date().toISOString()
-        });
+    if (!Number.isInteger(revisionNum) || revisionNum < 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Revision must be a positive integer'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.revision = revisionNum;
+    next();
+  } catch (error) {
+    logger.error('Revision validation error', {
+      error: error.message,
+      revision: req.params.revision
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Revision validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for bulk task operations. Malformed operations
+// reject the whole batch; invalid task data only fails its own operation.
+const validateBulkOperations = (req, res, next) => {
+  try {
+    const { operations, atomic = false } = req.body || {};
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'operations must be a non-empty array'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (operations.length > MAX_BULK_OPERATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `A batch can have at most ${MAX_BULK_OPERATIONS} operations`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (typeof atomic !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'atomic must be a boolean'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const errors = operations
+      .map((operation, index) => ({ index, validation: TaskValidator.validateBulkOperation(operation) }))
+      .filter(({ validation }) => !validation.isValid)
+      .map(({ index, validation }) => ({ index, error: validation.error }));
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid bulk operations',
+          details: errors
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.bulk = { operations, atomic };
+    next();
+  } catch (error) {
+    logger.error('Bulk operation validation error', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Bulk operation validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for the task export format
+const validateTaskExport = (req, res, next) => {
+  const { format } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+};
+
+// Validation middleware for task imports: the format and shape of the data,
+// the column mapping and options. Rows are validated one by one during the
+// import so each can fail on its own.
+const validateTaskImport = (req, res, next) => {
+  try {
+    const { format, data, mapping = {}, projectId = null, dryRun = false } = req.body || {};
+    const errors = [];
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      errors.push(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    } else if (format === 'csv' && (typeof data !== 'string' || data.trim() === '')) {
+      errors.push('data must be the CSV text for csv imports');
+    } else if (format === 'json' && (!Array.isArray(data) ||
+        data.some(row => !row || typeof row !== 'object' || Array.isArray(row)))) {
+      errors.push('data must be an array of objects for json imports');
+    }
+
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      errors.push('mapping must be an object of column names to task fields');
+    } else {
+      const unknown = Object.values(mapping).filter(field => field !== null && !IMPORT_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        errors.push(`mapping can only map columns to: ${IMPORT_FIELDS.join(', ')}`);
       }
+    }
 
-      req.statusFilter = status;
+    if (projectId !== null && !TaskValidator.validateProjectId(projectId).isValid) {
+      errors.push('projectId must be a non-empty string of 100 characters or less');
     }
 
+    if (typeof dryRun !== 'boolean') {
+      errors.push('dryRun must be a boolean');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: errors.join('; ')
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.taskImport = { format, data, mapping, projectId, dryRun };
     next();
   } catch (error) {
-    logger.error('Status filter validation error', {
-      error: error.message,
-      query: req.query
+    logger.error('Task import validation error', {
+      error: error.message
     });
 
     res.status(500).json({
       success: false,
       error: {
         code: 'VALIDATION_ERROR',
-        message: 'Status filter validation failed'
+        message: 'Task import validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for pagination parameters
+const validatePagination = (req, res, next) => {
+  try {
+    const { page = '1', limit = '10', cursor } = req.query;
+
+    // A cursor replaces the page number (it's checked against the sort in
+    // validateTaskFilters)
+    if (cursor !== undefined && (req.query.page !== undefined || typeof cursor !== 'string' || cursor === '')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: req.query.page !== undefined
+            ? 'Use either page or cursor, not both'
+            : 'Cursor must be a non-empty string'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    // Validate page number
+    if (isNaN(pageNum) || pageNum < 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Page must be a positive integer'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Validate limit
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Limit must be between 1 and 100'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.pagination = {
+      page: pageNum,
+      limit: limitNum
+    };
+
+    next();
+  } catch (error) {
+    logger.error('Pagination validation error', {
+      error: error.message,
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Pagination validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for search query
+const validateSearchQuery = (req, res, next) => {
+  try {
+    const { q } = req.query;
+
+    if (!q || typeof q !== 'string' || q.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Search query is required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Validate search query length
+    if (q.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Search query must be at least 2 characters long'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (q.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Search query must be 100 characters or less'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!parseSearchQuery(q)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Search query must contain at least one searchable word'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Relevance ranks can't be resumed from a cursor, only explicit sorts
+    const { cursor, sort, sortBy, sortOrder } = req.query;
+    if (cursor !== undefined && sort === undefined && sortBy === undefined && sortOrder === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Search results are ranked by relevance; pass sort to page with a cursor'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.searchQuery = q.trim();
+    next();
+  } catch (error) {
+    logger.error('Search query validation error', {
+      error: error.message,
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Search query validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for status filter
+const validateStatusFilter = (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    if (status) {
+      const validStatuses = workflowEngine.getKnownStates();
+      if (!validStatuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `Status must be one of: ${validStatuses.join(', ')}`
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      req.statusFilter = status;
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Status filter validation error', {
+      error: error.message,
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Status filter validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for task list query parameters: priority and due
+// date shortcuts, the filter expression, sort, sparse fields and cursor
+// (see src/utils/taskQuery.js for the syntax)
+const validateTaskFilters = (req, res, next) => {
+  try {
+    const { priority, dueBefore, dueAfter, sortBy, sortOrder, filter, sort, fields, cursor } = req.query;
+    const errors = [];
+    const parsed = {};
+
+    // Collect syntax errors from the query language instead of failing fast
+    const parseParam = (name, value, parse) => {
+      if (value === undefined) return;
+      try {
+        parsed[name] = parse(value);
+      } catch (error) {
+        if (!(error instanceof TaskQueryError)) throw error;
+        errors.push(name === 'filter' ? `Invalid filter: ${error.message}` : error.message);
+      }
+    };
+
+    if (priority !== undefined && !TaskValidator.validatePriority(priority).isValid) {
+      errors.push(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`);
+    }
+
+    [['dueBefore', dueBefore], ['dueAfter', dueAfter]].forEach(([name, value]) => {
+      if (value !== undefined && (value === '' || !TaskValidator.validateDueDate(value).isValid)) {
+        errors.push(`${name} must be a valid ISO 8601 date`);
+      }
+    });
+
+    if (sortBy !== undefined && !TASK_SORT_FIELDS.includes(sortBy)) {
+      errors.push(`sortBy must be one of: ${TASK_SORT_FIELDS.join(', ')}`);
+    }
+
+    if (sortOrder !== undefined && !['asc', 'desc'].includes(sortOrder)) {
+      errors.push('sortOrder must be asc or desc');
+    }
+
+    if (sort !== undefined && (sortBy !== undefined || sortOrder !== undefined)) {
+      errors.push('Use either sort or sortBy/sortOrder, not both');
+    }
+
+    parseParam('filter', filter, parseFilter);
+    parseParam('sort', sort, parseSort);
+    parseParam('fields', fields, parseFields);
+
+    // sortBy/sortOrder are shorthand for a single-field sort
+    if (!parsed.sort && (sortBy !== undefined || sortOrder !== undefined)) {
+      parsed.sort = [{ field: sortBy || 'createdAt', order: sortOrder || 'desc' }];
+    }
+
+    // Cursors encode the sort they were issued for
+    if (cursor !== undefined && errors.length === 0) {
+      parseParam('cursor', cursor, value => {
+        decodeCursor(value, resolveSort(parsed.sort));
+        return value;
+      });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: errors.join('; ')
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.taskFilters = {
+      ...(priority && { priority }),
+      ...(dueBefore && { dueBefore: TaskValidator.normalizeDueDate(dueBefore) }),
+      ...(dueAfter && { dueAfter: TaskValidator.normalizeDueDate(dueAfter) }),
+      ...parsed
+    };
+
+    next();
+  } catch (error) {
+    logger.error('Task filter validation error', {
+      error: error.message,
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Task filter validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for the projectId query parameter that scopes task
+// lists, search and statistics to one project
+const validateProjectFilter = (req, res, next) => {
+  try {
+    const { projectId } = req.query;
+
+    if (projectId !== undefined && (projectId === '' || !TaskValidator.validateProjectId(projectId).isValid)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'projectId must be a non-empty string of 100 characters or less'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.projectFilter = projectId;
+    next();
+  } catch (error) {
+    logger.error('Project filter validation error', {
+      error: error.message,
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Project filter validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for the date range and format of task analytics.
+// Range length and order are checked by TaskAnalyticsService.
+const validateAnalyticsQuery = (req, res, next) => {
+  try {
+    const { from, to, format = 'json' } = req.query;
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value !== undefined && (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) ||
+          Number.isNaN(new Date(`${value}T00:00:00.000Z`).getTime()))) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `${name} must be a date in YYYY-MM-DD format`
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    if (!ANALYTICS_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Format must be one of: ${ANALYTICS_FORMATS.join(', ')}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.analyticsQuery = { from, to, format };
+    next();
+  } catch (error) {
+    logger.error('Analytics query validation error', {
+      error: error.message,
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Analytics query validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for project creation and updates. Updates only
+// check the fields present; board columns are checked against the
+// project's workflow.
+const validateProjectData = partial => (req, res, next) => {
+  try {
+    const validation = TaskValidator.validateProjectData(req.body || {}, {
+      partial,
+      projectId: req.params.projectId || null
+    });
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid project data',
+          details: validation.errors
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Project validation error', {
+      error: error.message,
+      body: req.body
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Project validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+const validateProject = validateProjectData(false);
+const validateProjectUpdate = validateProjectData(true);
+
+// Validation middleware for the project ID path parameter
+const validateProjectId = (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!projectId || !TaskValidator.validateTaskReference(projectId).isValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid project ID format'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Project ID validation error', {
+      error: error.message,
+      projectId: req.params.projectId
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Project ID validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for project membership changes: the member's user
+// ID in the path and, when adding or changing a member, their role
+const validateProjectMember = (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const errors = [];
+
+    if (!userId || !TaskValidator.validateTaskReference(userId).isValid) {
+      errors.push('Invalid user ID format');
+    }
+
+    if (req.method === 'PUT') {
+      const roleValidation = TaskValidator.validateProjectRole((req.body || {}).role);
+      if (!roleValidation.isValid) {
+        errors.push(roleValidation.error);
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: errors.join('; ')
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Project member validation error', {
+      error: error.message,
+      userId: req.params.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Project member validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for webhook creation and updates. Updates only
+// check the fields present.
+const validateWebhookData = partial => (req, res, next) => {
+  try {
+    const validation = TaskValidator.validateWebhookData(req.body || {}, { partial });
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid webhook data',
+          details: validation.errors
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Webhook validation error', {
+      error: error.message,
+      body: req.body
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Webhook validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+const validateWebhook = validateWebhookData(false);
+const validateWebhookUpdate = validateWebhookData(true);
+
+// Validation middleware for the webhook ID and, on delivery routes, the
+// delivery ID path parameters
+const validateWebhookId = (req, res, next) => {
+  try {
+    const { webhookId, deliveryId } = req.params;
+    const errors = [];
+
+    if (!webhookId || !TaskValidator.validateTaskReference(webhookId).isValid) {
+      errors.push('Invalid webhook ID format');
+    }
+
+    if (deliveryId !== undefined && !TaskValidator.validateTaskReference(deliveryId).isValid) {
+      errors.push('Invalid delivery ID format');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: errors.join('; ')
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Webhook ID validation error', {
+      error: error.message,
+      webhookId: req.params.webhookId
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Webhook ID validation failed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Validation middleware for the delivery log query: an optional status and
+// a limit of 1-100 deliveries (default 50)
+const validateDeliveryQuery = (req, res, next) => {
+  try {
+    const { status, limit = '50' } = req.query;
+    const limitNum = parseInt(limit, 10);
+    const errors = [];
+
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      errors.push(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+    }
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      errors.push('Limit must be between 1 and 100');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: errors.join('; ')
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.deliveryQuery = { status, limit: limitNum };
+
+    next();
+  } catch (error) {
+    logger.error('Delivery query validation error', {
+      error: error.message,
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Delivery query validation failed'
       },
       timestamp: new Date().toISOString()
     });
@@ -338,8 +1268,29 @@ const validateStatusFilter = (req, res, next) => {
 module.exports = {
   validateTaskCreation,
   validateTaskUpdate,
+  validateTaskPatch,
+  validateIfMatch,
   validateTaskId,
+  validateRevision,
+  validateDependency,
+  validateDependencyId,
+  validateComment,
+  validateCommentId,
+  validateBulkOperations,
+  validateTaskExport,
+  validateTaskImport,
   validatePagination,
   validateSearchQuery,
-  validateStatusFilter
+  validateStatusFilter,
+  validateTaskFilters,
+  validateProjectFilter,
+  validateAnalyticsQuery,
+  validateProject,
+  validateProjectUpdate,
+  validateProjectId,
+  validateProjectMember,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookId,
+  validateDeliveryQuery
 };
\ No newline at end of file
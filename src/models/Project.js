@@ -0,0 +1,168 @@
+const TaskValidator = require('../utils/validators');
+const workflowEngine = require('../services/workflow/WorkflowEngine');
+const { PROJECT_ROLE_HIERARCHY } = require('../auth/middleware/rbacMiddleware');
+
+class Project {
+  constructor(data) {
+    // Generate ID if not provided
+    this.id = data.id || TaskValidator.generateId();
+
+    const validation = TaskValidator.validateProjectData(data, { projectId: this.id });
+    if (!validation.isValid) {
+      const errorMessages = validation.errors.map(err => `${err.field}: ${err.error}`).join(', ');
+      throw new Error(`Validation failed: ${errorMessages}`);
+    }
+
+    this.name = data.name.trim();
+    this.description = data.description ? data.description.trim() : '';
+
+    // Board columns; null means one column per workflow state
+    this.columns = Project.normalizeColumns(data.columns);
+
+    // Color-coded labels; tasks in the project may only be tagged with these
+    this.labels = Project.normalizeLabels(data.labels);
+
+    // Members and their project roles
+    this.members = Array.isArray(data.members) ? data.members.map(member => ({ ...member })) : [];
+
+    // Set ownership and timestamps
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || TaskValidator.getCurrentTimestamp();
+    this.updatedAt = data.updatedAt || this.createdAt;
+  }
+
+  static normalizeColumns(columns) {
+    if (!columns) {
+      return null;
+    }
+
+    return columns.map(column => ({ name: column.name.trim(), statuses: [...column.statuses] }));
+  }
+
+  static normalizeLabels(labels) {
+    return (labels || []).map(label => ({ name: label.name.toLowerCase(), color: label.color.toLowerCase() }));
+  }
+
+  // Board columns, defaulting to one column per state of the project's workflow
+  getColumns() {
+    if (this.columns) {
+      return this.columns.map(column => ({ name: column.name, statuses: [...column.statuses] }));
+    }
+
+    return workflowEngine.getWorkflow(this.id).states.map(state => ({ name: state, statuses: [state] }));
+  }
+
+  // Get a label by name, or null
+  getLabel(name) {
+    return this.labels.find(label => label.name === name) || null;
+  }
+
+  // Get a member's project role, or null for non-members
+  getMemberRole(userId) {
+    const membership = this.members.find(member => member.userId === userId);
+    return membership ? membership.role : null;
+  }
+
+  getOwners() {
+    return this.members.filter(member => member.role === 'owner');
+  }
+
+  // Add a member, or change an existing member's role
+  setMember(userId, role) {
+    const roleValidation = TaskValidator.validateProjectRole(role);
+    if (!roleValidation.isValid) {
+      throw new Error(`Invalid role: ${roleValidation.error}`);
+    }
+
+    const membership = this.members.find(member => member.userId === userId);
+
+    if (membership) {
+      membership.role = role;
+    } else {
+      this.members.push({ userId, role, addedAt: TaskValidator.getCurrentTimestamp() });
+    }
+
+    this.updatedAt = TaskValidator.getCurrentTimestamp();
+    return this;
+  }
+
+  removeMember(userId) {
+    this.members = this.members.filter(member => member.userId !== userId);
+    this.updatedAt = TaskValidator.getCurrentTimestamp();
+    return this;
+  }
+
+  // Update project fields
+  update(updateData) {
+    const validation = Project.validateUpdate(updateData, this.id);
+    if (!validation.isValid) {
+      const errorMessages = validation.errors.map(err => `${err.field}: ${err.error}`).join(', ');
+      throw new Error(`Validation failed: ${errorMessages}`);
+    }
+
+    if (updateData.name !== undefined) {
+      this.name = updateData.name.trim();
+    }
+
+    if (updateData.description !== undefined) {
+      this.description = updateData.description ? updateData.description.trim() : '';
+    }
+
+    // null resets the board to one column per workflow state
+    if (updateData.columns !== undefined) {
+      this.columns = Project.normalizeColumns(updateData.columns);
+    }
+
+    if (updateData.labels !== undefined) {
+      this.labels = Project.normalizeLabels(updateData.labels);
+    }
+
+    this.updatedAt = TaskValidator.getCurrentTimestamp();
+
+    return this;
+  }
+
+  // Convert project to plain object
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      columns: this.getColumns(),
+      labels: this.labels.map(label => ({ ...label })),
+      members: this.members
+        .map(member => ({ ...member }))
+        .sort((a, b) => PROJECT_ROLE_HIERARCHY[b.role] - PROJECT_ROLE_HIERARCHY[a.role]),
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Static method to create project from database row
+  static fromDbRow(row) {
+    return new Project({
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      columns: row.columns,
+      labels: row.labels,
+      members: row.members,
+      createdBy: row.created_by,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString()
+    });
+  }
+
+  // Static method to validate project data
+  static validate(data) {
+    return TaskValidator.validateProjectData(data);
+  }
+
+  // Static method to validate update data
+  static validateUpdate(data, projectId = null) {
+    return TaskValidator.validateProjectData(data, { partial: true, projectId });
+  }
+}
+
+module.exports = Project;
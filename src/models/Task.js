@@ -1,4 +1,6 @@
 const TaskValidator = require('../utils/validators');
+const workflowEngine = require('../services/workflow/WorkflowEngine');
+const { PreconditionFailedError } = require('../middleware/errorHandler');
 
 class Task {
   constructor(data) {
@@ -22,12 +24,99 @@ class Task {
       this.description = data.description.trim();
     }
 
-    // Set and validate status
+    // Set project (selects the workflow the task follows)
+    const projectValidation = TaskValidator.validateProjectId(data.projectId);
+    if (!projectValidation.isValid) {
+      throw new Error(`Invalid projectId: ${projectValidation.error}`);
+    }
+    this.projectId = data.projectId || null;
+
+    // Set and validate status, defaulting to the workflow's initial state
     const statusValidation = TaskValidator.validateStatus(data.status);
     if (!statusValidation.isValid) {
       throw new Error(`Invalid status: ${statusValidation.error}`);
     }
-    this.status = data.status;
+    this.status = data.status || workflowEngine.getInitialState(this.projectId);
+
+    // Set ownership (creator is fixed, assignee can change)
+    const createdByValidation = TaskValidator.validateUserId(data.createdBy);
+    if (!createdByValidation.isValid) {
+      throw new Error(`Invalid createdBy: ${createdByValidation.error}`);
+    }
+    this.createdBy = data.createdBy || null;
+
+    const assigneeValidation = TaskValidator.validateUserId(data.assigneeId);
+    if (!assigneeValidation.isValid) {
+      throw new Error(`Invalid assigneeId: ${assigneeValidation.error}`);
+    }
+    this.assigneeId = data.assigneeId || null;
+
+    // Set scheduling fields (due date, priority, estimate in minutes)
+    const dueDateValidation = TaskValidator.validateDueDate(data.dueDate);
+    if (!dueDateValidation.isValid) {
+      throw new Error(`Invalid dueDate: ${dueDateValidation.error}`);
+    }
+    this.dueDate = TaskValidator.normalizeDueDate(data.dueDate);
+
+    const priorityValidation = TaskValidator.validatePriority(data.priority);
+    if (!priorityValidation.isValid) {
+      throw new Error(`Invalid priority: ${priorityValidation.error}`);
+    }
+    this.priority = data.priority || 'medium';
+
+    const estimateValidation = TaskValidator.validateEstimate(data.estimate);
+    if (!estimateValidation.isValid) {
+      throw new Error(`Invalid estimate: ${estimateValidation.error}`);
+    }
+    this.estimate = data.estimate !== undefined ? data.estimate : null;
+
+    // Set structure (parent task for subtasks, inline checklist)
+    const parentValidation = TaskValidator.validateTaskReference(data.parentId);
+    if (!parentValidation.isValid) {
+      throw new Error(`Invalid parentId: ${parentValidation.error}`);
+    }
+    this.parentId = data.parentId || null;
+
+    const checklistValidation = TaskValidator.validateChecklist(data.checklist);
+    if (!checklistValidation.isValid) {
+      throw new Error(`Invalid checklist: ${checklistValidation.error}`);
+    }
+    this.checklist = TaskValidator.normalizeChecklist(data.checklist);
+
+    // Set tags
+    const tagsValidation = TaskValidator.validateTags(data.tags);
+    if (!tagsValidation.isValid) {
+      throw new Error(`Invalid tags: ${tagsValidation.error}`);
+    }
+    this.tags = TaskValidator.normalizeTags(data.tags);
+
+    // Set recurrence (recurring tasks are series templates; generated
+    // instances link back to their template)
+    const recurrenceValidation = TaskValidator.validateRecurrence(data.recurrence);
+    if (!recurrenceValidation.isValid) {
+      throw new Error(`Invalid recurrence: ${recurrenceValidation.error}`);
+    }
+    this.recurrence = TaskValidator.normalizeRecurrence(data.recurrence);
+
+    const templateValidation = TaskValidator.validateTaskReference(data.templateId);
+    if (!templateValidation.isValid) {
+      throw new Error(`Invalid templateId: ${templateValidation.error}`);
+    }
+    this.templateId = data.templateId || null;
+
+    // Set external ID (the task's ID in the tool it was imported from)
+    const externalIdValidation = TaskValidator.validateExternalId(data.externalId);
+    if (!externalIdValidation.isValid) {
+      throw new Error(`Invalid externalId: ${externalIdValidation.error}`);
+    }
+    this.externalId = data.externalId ? data.externalId.trim() : null;
+
+    // Set version (starts at 1 and goes up with every update; clients send
+    // it back in If-Match to detect concurrent changes)
+    this.version = data.version || 1;
+
+    // Set deletion time (set while the task is in the trash)
+    this.deletedAt = data.deletedAt || null;
 
     // Set timestamps
     this.createdAt = data.createdAt || TaskValidator.getCurrentTimestamp();
@@ -42,6 +131,16 @@ class Task {
       throw new Error(`Validation failed: ${errorMessages}`);
     }
 
+    // Check the status transition against the task as it will look after
+    // this update, so guards see e.g. a description set in the same request
+    if (updateData.status !== undefined) {
+      workflowEngine.assertTransition(
+        { ...this.toJSON(), ...updateData, status: this.status },
+        updateData.status,
+        this.projectId
+      );
+    }
+
     // Update title if provided
     if (updateData.title !== undefined) {
       this.title = updateData.title.trim();
@@ -57,12 +156,77 @@ class Task {
       this.status = updateData.status;
     }
 
-    // Update timestamp
+    // Update assignee if provided (null unassigns)
+    if (updateData.assigneeId !== undefined) {
+      this.assigneeId = updateData.assigneeId || null;
+    }
+
+    // Update scheduling fields if provided (null clears the due date and
+    // estimate, and resets priority to medium)
+    if (updateData.dueDate !== undefined) {
+      this.dueDate = TaskValidator.normalizeDueDate(updateData.dueDate);
+    }
+
+    if (updateData.priority !== undefined) {
+      this.priority = updateData.priority || 'medium';
+    }
+
+    if (updateData.estimate !== undefined) {
+      this.estimate = updateData.estimate;
+    }
+
+    // Replace checklist if provided
+    if (updateData.checklist !== undefined) {
+      this.checklist = TaskValidator.normalizeChecklist(updateData.checklist);
+    }
+
+    // Replace tags if provided
+    if (updateData.tags !== undefined) {
+      this.tags = TaskValidator.normalizeTags(updateData.tags);
+    }
+
+    // Replace recurrence if provided (null stops the task recurring)
+    if (updateData.recurrence !== undefined) {
+      this.recurrence = TaskValidator.normalizeRecurrence(updateData.recurrence);
+    }
+
+    // Update timestamp and version
+    this.updatedAt = TaskValidator.getCurrentTimestamp();
+    this.version += 1;
+
+    return this;
+  }
+
+  // Move the task to the trash
+  softDelete() {
+    this.deletedAt = TaskValidator.getCurrentTimestamp();
+    this.updatedAt = this.deletedAt;
+    this.version += 1;
+
+    return this;
+  }
+
+  // Take the task back out of the trash
+  restore() {
+    this.deletedAt = null;
     this.updatedAt = TaskValidator.getCurrentTimestamp();
+    this.version += 1;
 
     return this;
   }
 
+  // Make sure the task is at one of the expected versions before it is
+  // changed (null expects any version)
+  assertVersion(expectedVersions) {
+    if (expectedVersions && !expectedVersions.includes(this.version)) {
+      throw new PreconditionFailedError(
+        `Task with ID ${this.id} has been modified: it is at version ${this.version}`,
+        'TASK_VERSION_MISMATCH',
+        { version: this.version }
+      );
+    }
+  }
+
   // Convert task to plain object
   toJSON() {
     return {
@@ -70,6 +234,20 @@ class Task {
       title: this.title,
       description: this.description,
       status: this.status,
+      projectId: this.projectId,
+      createdBy: this.createdBy,
+      assigneeId: this.assigneeId,
+      dueDate: this.dueDate,
+      priority: this.priority,
+      estimate: this.estimate,
+      parentId: this.parentId,
+      checklist: this.checklist.map(item => ({ ...item })),
+      tags: [...this.tags],
+      recurrence: this.recurrence ? { ...this.recurrence } : null,
+      templateId: this.templateId,
+      externalId: this.externalId,
+      version: this.version,
+      deletedAt: this.deletedAt,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -77,7 +255,57 @@ class Task {
 
   // Static method to create task from data
   static create(data) {
-    return new Task(data);
+    const task = new Task(data);
+
+    if (!workflowEngine.isValidState(task.status, task.projectId)) {
+      const { name, states } = workflowEngine.getWorkflow(task.projectId);
+      throw new Error(`Invalid status: Status must be one of the "${name}" workflow states: ${states.join(', ')}`);
+    }
+
+    // A task created in a later state enters it from the workflow's initial
+    // state, so that transition and its guards apply
+    workflowEngine.assertTransition(
+      { ...task.toJSON(), status: workflowEngine.getInitialState(task.projectId) },
+      task.status,
+      task.projectId
+    );
+
+    return task;
+  }
+
+  // List the statuses this task can move to next
+  getAvailableTransitions() {
+    return workflowEngine.getAvailableTransitions(this.status, this.projectId);
+  }
+
+  // Static method to create task from database row
+  static fromDbRow(row) {
+    const task = new Task({
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      status: row.status,
+      projectId: row.project_id,
+      createdBy: row.created_by,
+      assigneeId: row.assignee_id,
+      dueDate: row.due_date ? new Date(row.due_date).toISOString() : null,
+      priority: row.priority,
+      estimate: row.estimate,
+      parentId: row.parent_id,
+      checklist: row.checklist,
+      tags: row.tags,
+      recurrence: row.recurrence,
+      templateId: row.template_id,
+      externalId: row.external_id,
+      version: row.version,
+      deletedAt: row.deleted_at ? new Date(row.deleted_at).toISOString() : null,
+      createdAt: new Date(row.created_at).toISOString()
+    });
+
+    // Keep the stored timestamp instead of the constructor's "now"
+    task.updatedAt = new Date(row.updated_at).toISOString();
+
+    return task;
   }
 
   // Static method to validate task data
@@ -101,6 +329,17 @@ class Task {
     );
   }
 
+  // Check if task is owned by or assigned to the given user
+  isVisibleTo(userId) {
+    if (!userId) return true;
+    return this.createdBy === userId || this.assigneeId === userId;
+  }
+
+  // Check if task is past its due date
+  isOverdue(now = new Date()) {
+    return Boolean(this.dueDate) && new Date(this.dueDate) <= now;
+  }
+
   // Check if task matches status filter
   hasStatus(status) {
     if (!status) return true;
@@ -0,0 +1,101 @@
+const TaskValidator = require('../utils/validators');
+
+class TaskComment {
+  constructor(data) {
+    // Generate ID if not provided
+    this.id = data.id || TaskValidator.generateId();
+
+    // Set the task the comment belongs to and, for replies, the parent comment
+    const taskValidation = TaskValidator.validateTaskReference(data.taskId);
+    if (!data.taskId || !taskValidation.isValid) {
+      throw new Error('Invalid taskId: Task ID must be a valid UUID');
+    }
+    this.taskId = data.taskId;
+
+    const parentValidation = TaskValidator.validateTaskReference(data.parentId);
+    if (!parentValidation.isValid) {
+      throw new Error('Invalid parentId: Parent comment ID must be a valid UUID');
+    }
+    this.parentId = data.parentId || null;
+
+    // Set author (null once the author's account is removed)
+    const authorValidation = TaskValidator.validateUserId(data.authorId);
+    if (!authorValidation.isValid) {
+      throw new Error(`Invalid authorId: ${authorValidation.error}`);
+    }
+    this.authorId = data.authorId || null;
+
+    // Set and validate body
+    const bodyValidation = TaskValidator.validateCommentBody(data.body);
+    if (!bodyValidation.isValid) {
+      throw new Error(`Invalid body: ${bodyValidation.error}`);
+    }
+    this.body = data.body.trim();
+
+    // IDs of the users mentioned in the current body
+    this.mentions = Array.isArray(data.mentions) ? [...data.mentions] : [];
+
+    // Previous versions of the body, oldest first
+    this.edits = Array.isArray(data.edits) ? data.edits.map(edit => ({ ...edit })) : [];
+
+    // Set timestamps
+    this.createdAt = data.createdAt || TaskValidator.getCurrentTimestamp();
+    this.updatedAt = data.updatedAt || this.createdAt;
+  }
+
+  // Replace the body, keeping the previous version in the edit history
+  edit(body, mentions, editorId = null) {
+    const bodyValidation = TaskValidator.validateCommentBody(body);
+    if (!bodyValidation.isValid) {
+      throw new Error(`Invalid body: ${bodyValidation.error}`);
+    }
+
+    const editedAt = TaskValidator.getCurrentTimestamp();
+
+    this.edits.push({
+      body: this.body,
+      mentions: this.mentions,
+      editedAt,
+      editedBy: editorId
+    });
+
+    this.body = body.trim();
+    this.mentions = [...mentions];
+    this.updatedAt = editedAt;
+
+    return this;
+  }
+
+  // Convert comment to plain object (the edit history is served separately)
+  toJSON() {
+    return {
+      id: this.id,
+      taskId: this.taskId,
+      parentId: this.parentId,
+      authorId: this.authorId,
+      body: this.body,
+      mentions: [...this.mentions],
+      edited: this.edits.length > 0,
+      editCount: this.edits.length,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Static method to create comment from database row
+  static fromDbRow(row) {
+    return new TaskComment({
+      id: row.id,
+      taskId: row.task_id,
+      parentId: row.parent_id,
+      authorId: row.author_id,
+      body: row.body,
+      mentions: row.mentions,
+      edits: row.edits,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString()
+    });
+  }
+}
+
+module.exports = TaskComment;
@@ -0,0 +1,106 @@
+const TaskValidator = require('../utils/validators');
+const { generateSecret } = require('../utils/webhookSignature');
+
+// A webhook subscription: task and profile lifecycle events are POSTed to
+// its URL, signed with its secret
+class Webhook {
+  constructor(data) {
+    const validation = TaskValidator.validateWebhookData(data);
+    if (!validation.isValid) {
+      const errorMessages = validation.errors.map(err => `${err.field}: ${err.error}`).join(', ');
+      throw new Error(`Validation failed: ${errorMessages}`);
+    }
+
+    // Generate ID and signing secret if not provided
+    this.id = data.id || TaskValidator.generateId();
+    this.secret = data.secret || generateSecret();
+
+    this.url = data.url.trim();
+    this.events = [...new Set(data.events)];
+    this.description = data.description ? data.description.trim() : '';
+
+    // Inactive webhooks keep their settings and delivery log but receive nothing
+    this.active = data.active !== undefined ? data.active : true;
+
+    // Set ownership and timestamps
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || TaskValidator.getCurrentTimestamp();
+    this.updatedAt = data.updatedAt || this.createdAt;
+  }
+
+  // Whether the webhook receives the given event
+  subscribesTo(event) {
+    return this.active && this.events.includes(event);
+  }
+
+  // Update webhook fields
+  update(updateData) {
+    const validation = Webhook.validateUpdate(updateData);
+    if (!validation.isValid) {
+      const errorMessages = validation.errors.map(err => `${err.field}: ${err.error}`).join(', ');
+      throw new Error(`Validation failed: ${errorMessages}`);
+    }
+
+    if (updateData.url !== undefined) {
+      this.url = updateData.url.trim();
+    }
+
+    if (updateData.events !== undefined) {
+      this.events = [...new Set(updateData.events)];
+    }
+
+    if (updateData.description !== undefined) {
+      this.description = updateData.description ? updateData.description.trim() : '';
+    }
+
+    if (updateData.active !== undefined) {
+      this.active = updateData.active;
+    }
+
+    this.updatedAt = TaskValidator.getCurrentTimestamp();
+
+    return this;
+  }
+
+  // Convert webhook to plain object. The secret is only shown once, when
+  // the webhook is created.
+  toJSON() {
+    return {
+      id: this.id,
+      url: this.url,
+      events: [...this.events],
+      description: this.description,
+      active: this.active,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Static method to create webhook from database row
+  static fromDbRow(row) {
+    return new Webhook({
+      id: row.id,
+      url: row.url,
+      events: row.events,
+      description: row.description,
+      active: row.active,
+      secret: row.secret,
+      createdBy: row.created_by,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString()
+    });
+  }
+
+  // Static method to validate webhook data
+  static validate(data) {
+    return TaskValidator.validateWebhookData(data);
+  }
+
+  // Static method to validate update data
+  static validateUpdate(data) {
+    return TaskValidator.validateWebhookData(data, { partial: true });
+  }
+}
+
+module.exports = Webhook;
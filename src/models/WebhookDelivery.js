@@ -0,0 +1,87 @@
+const TaskValidator = require('../utils/validators');
+
+// Delivery states: pending until an attempt succeeds (delivered) or the
+// retries run out (failed)
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// One event sent to one webhook, with the log of its delivery attempts
+class WebhookDelivery {
+  constructor(data) {
+    this.id = data.id || TaskValidator.generateId();
+    this.webhookId = data.webhookId;
+    this.event = data.event;
+
+    // The JSON body POSTed to the webhook: { id, type, createdAt, data }
+    this.payload = data.payload;
+
+    this.status = data.status || 'pending';
+    this.attempts = Array.isArray(data.attempts) ? data.attempts.map(attempt => ({ ...attempt })) : [];
+    this.error = data.error || null;
+
+    this.createdAt = data.createdAt || TaskValidator.getCurrentTimestamp();
+    this.updatedAt = data.updatedAt || this.createdAt;
+  }
+
+  // Log a delivery attempt: { attemptedAt, statusCode, error, durationMs }.
+  // A 2xx response delivers the event; failed attempts leave the delivery
+  // pending for the next retry.
+  recordAttempt(attempt) {
+    const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+
+    this.attempts.push({ ...attempt });
+    this.status = succeeded ? 'delivered' : this.status;
+    this.error = succeeded ? null : attempt.error;
+    this.updatedAt = attempt.attemptedAt;
+
+    return succeeded;
+  }
+
+  // Give up on the delivery (retries exhausted or webhook disabled)
+  fail(error) {
+    this.status = 'failed';
+    this.error = error;
+    this.updatedAt = TaskValidator.getCurrentTimestamp();
+    return this;
+  }
+
+  // Queue the delivery again; earlier attempts stay in the log
+  requeue() {
+    this.status = 'pending';
+    this.error = null;
+    this.updatedAt = TaskValidator.getCurrentTimestamp();
+    return this;
+  }
+
+  // Convert delivery to plain object
+  toJSON() {
+    return {
+      id: this.id,
+      webhookId: this.webhookId,
+      event: this.event,
+      payload: this.payload,
+      status: this.status,
+      error: this.error,
+      attempts: this.attempts.map(attempt => ({ ...attempt })),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Static method to create delivery from database row
+  static fromDbRow(row) {
+    return new WebhookDelivery({
+      id: row.id,
+      webhookId: row.webhook_id,
+      event: row.event,
+      payload: row.payload,
+      status: row.status,
+      attempts: row.attempts,
+      error: row.error,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString()
+    });
+  }
+}
+
+module.exports = WebhookDelivery;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
@@ -27,9 +27,9 @@ class AuditLog {
   }
 
   /**
-   * Generate cryptographic signature for audit log integrity
+   * Compute the cryptographic signature for the current field values
    */
-  generateSignature() {
+  computeSignature() {
     const dataString = [
       this.timestamp.toISOString(),
       this.eventType,
@@ -46,26 +46,30 @@ class AuditLog {
       JSON.stringify(this.metadata)
     ].join('|');
 
-    this.signatureHash = crypto
+    return crypto
       .createHash('sha256')
       .update(dataString)
       .digest('hex');
+  }
 
+  /**
+   * Generate cryptographic signature for audit log integrity
+   */
+  generateSignature() {
+    this.signatureHash = this.computeSignature();
     return this.signatureHash;
   }
 
   /**
    * Verify audit log integrity
+   * Does not overwrite the stored signature, so a failed check stays failed.
    */
   verifyIntegrity() {
     if (!this.signatureHash) {
       return false;
     }
 
-    const originalHash = this.signatureHash;
-    const currentHash = this.generateSignature();
-
-    return originalHash === currentHash;
+    return this.signatureHash === this.computeSignature();
   }
 
   /**
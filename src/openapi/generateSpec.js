@@ -0,0 +1,365 @@
+const { z } = require('zod');
+const { authenticate, requireReauthentication } = require('../auth/middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotency');
+const { schemas, parameters, ref } = require('./schemas');
+const { VALIDATORS, OPERATIONS } = require('./operations');
+const { version } = require('../../package.json');
+
+// Routers of the API and where app.js mounts them. `errors` is the schema of
+// the error responses the router's handlers send. The OAuth routes only
+// redirect to the providers, and src/api/security is not mounted by app.js,
+// so neither is part of the document.
+const API_ROUTERS = [
+  { path: '/health', tag: 'Health', errors: 'Error', router: () => require('../routes/health') },
+  { path: '/tasks', tag: 'Tasks', errors: 'Error', router: () => require('../routes/tasks') },
+  { path: '/projects', tag: 'Projects', errors: 'Error', router: () => require('../routes/projects') },
+  { path: '/webhooks', tag: 'Webhooks', errors: 'Error', router: () => require('../routes/webhooks') },
+  { path: '/auth', tag: 'Authentication', errors: 'AuthError', router: () => require('../auth/routes/authRoutes') },
+  { path: '/user', tag: 'Account', errors: 'AuthError', router: () => require('../auth/routes/userRoutes') },
+  { path: '/.well-known', tag: 'Discovery', errors: 'AuthError', router: () => require('../routes/wellKnown') },
+  { path: '/api/preferences', tag: 'Notification preferences', errors: 'PlainError', router: () => require('../routes/preferences') },
+  { path: '/api/profiles', tag: 'Profiles', errors: 'AuthError', router: () => require('../routes/profileRoutes') },
+  { path: '/api/upload', tag: 'Uploads', errors: 'AuthError', router: () => require('../routes/uploadRoutes') }
+];
+
+const MUTATING_METHODS = ['post', 'put', 'patch', 'delete'];
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  207: 'Some operations failed',
+  304: 'Not modified',
+  400: 'Invalid request',
+  401: 'Missing or invalid credentials',
+  403: 'Not allowed',
+  404: 'Not found',
+  409: 'Conflict with the current state',
+  412: 'Precondition failed',
+  423: 'Locked',
+  429: 'Too many requests',
+  503: 'Service unavailable'
+};
+
+// JSON Schema of a zod schema, as the client sends it
+const fromZod = schema => {
+  const { $schema, ...jsonSchema } = z.toJSONSchema(schema, { io: 'input', unrepresentable: 'any' });
+  return jsonSchema;
+};
+
+// JSON Schema of the value an express-validator chain accepts. Only the
+// validator.js checks are named in the chain; the others (isString,
+// isObject, custom) leave the value unconstrained.
+const fromValidationChain = context => {
+  const schema = {};
+
+  context.stack.forEach(({ validator, options = [] }) => {
+    const [option] = options;
+
+    switch (validator && validator.name) {
+      case 'isInt':
+        Object.assign(schema, { type: 'integer' });
+        if (option && option.min !== undefined) schema.minimum = option.min;
+        if (option && option.max !== undefined) schema.maximum = option.max;
+        break;
+      case 'isBoolean':
+        schema.type = 'boolean';
+        break;
+      case 'isIn':
+        schema.enum = option;
+        break;
+      case 'matches':
+        Object.assign(schema, { type: 'string', pattern: option instanceof RegExp ? option.source : option });
+        break;
+      case 'isEmail':
+        Object.assign(schema, { type: 'string', format: 'email' });
+        break;
+      case 'isUUID':
+        Object.assign(schema, { type: 'string', format: 'uuid' });
+        break;
+      case 'isISO8601':
+        Object.assign(schema, { type: 'string', format: 'date-time' });
+        break;
+      case 'isLength':
+        schema.type = 'string';
+        if (option && option.min !== undefined) schema.minLength = option.min;
+        if (option && option.max !== undefined) schema.maxLength = option.max;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return schema;
+};
+
+// Express path -> OpenAPI path and the names of its parameters
+const toOpenApiPath = path => {
+  const names = [];
+  const openApiPath = path.replace(/:(\w+)\??/g, (match, name) => {
+    names.push(name);
+    return `{${name}}`;
+  });
+
+  return { path: openApiPath.replace(/\/$/, '') || '/', names };
+};
+
+// Route layers of a router, each with the router-level middleware before it
+const routesOf = router => {
+  const shared = [];
+  const routes = [];
+
+  router.stack.forEach(layer => {
+    if (!layer.route) {
+      shared.push(layer.handle);
+      return;
+    }
+
+    Object.keys(layer.route.methods).forEach(method => {
+      const handlers = layer.route.stack
+        .filter(routeLayer => !routeLayer.method || routeLayer.method === method)
+        .map(routeLayer => routeLayer.handle);
+
+      routes.push({ method, path: layer.route.path, handlers: [...shared, ...handlers] });
+    });
+  });
+
+  return routes;
+};
+
+// Request parts the route's middleware validates
+const describeRequest = (method, handlers) => {
+  const request = { validated: false, body: null, query: {}, params: {}, parameters: [] };
+  const bodyProperties = {};
+  const bodyRequired = [];
+
+  handlers.forEach(handler => {
+    const documented = VALIDATORS.get(handler);
+
+    if (documented) {
+      const parts = { ...documented, ...((documented.methods || {})[method.toUpperCase()]) };
+      request.validated = true;
+      request.parameters.push(...(parts.parameters || []));
+      Object.assign(request.params, parts.params);
+
+      if (parts.body) {
+        request.body = { schema: ref(parts.body), mediaTypes: parts.mediaTypes || ['application/json'] };
+      }
+    } else if (handler.schemas) {
+      // securityMiddleware.validateInput
+      const { body, query, params } = handler.schemas;
+      request.validated = true;
+
+      if (body) {
+        request.body = { schema: fromZod(body), mediaTypes: ['application/json'] };
+      }
+
+      if (query) {
+        const { properties = {}, required = [] } = fromZod(query);
+        Object.entries(properties).forEach(([name, property]) => {
+          request.query[name] = { ...property, required: required.includes(name) };
+        });
+      }
+
+      if (params) {
+        Object.assign(request.params, fromZod(params).properties);
+      }
+    } else if (handler.builder && typeof handler.builder.build === 'function') {
+      // express-validator chain
+      const context = handler.builder.build();
+      const schema = fromValidationChain(context);
+      request.validated = true;
+
+      context.fields.forEach(field => {
+        context.locations.forEach(location => {
+          const required = context.optional === false;
+
+          if (location === 'body') {
+            bodyProperties[field] = schema;
+            if (required) bodyRequired.push(field);
+          } else if (location === 'query') {
+            request.query[field] = { ...schema, required };
+          } else if (location === 'params') {
+            request.params[field] = schema;
+          }
+        });
+      });
+    }
+  });
+
+  if (!request.body && Object.keys(bodyProperties).length > 0) {
+    request.body = {
+      schema: { type: 'object', properties: bodyProperties, ...(bodyRequired.length > 0 && { required: bodyRequired }) },
+      mediaTypes: ['application/json']
+    };
+  }
+
+  return request;
+};
+
+const describeResponse = (status, value) => {
+  const description = STATUS_DESCRIPTIONS[status] || 'Response';
+
+  if (value === null) {
+    return { description };
+  }
+
+  if (value.content) {
+    return { description, content: value.content };
+  }
+
+  return { description, content: { 'application/json': { schema: value } } };
+};
+
+// Error responses by status; a status some middleware and the handler both
+// send can have several schemas
+const describeErrors = errors => {
+  const responses = {};
+
+  errors.forEach((schemaNames, status) => {
+    const refs = [...schemaNames].map(ref);
+
+    responses[status] = {
+      description: STATUS_DESCRIPTIONS[status],
+      content: { 'application/json': { schema: refs.length === 1 ? refs[0] : { anyOf: refs } } }
+    };
+  });
+
+  return responses;
+};
+
+// operationId from the method and path, e.g. getTasksAnalyticsLeadTime
+const operationIdFor = (method, path) => method + path
+  .split(/[/{}.-]+/)
+  .filter(Boolean)
+  .map(part => part[0].toUpperCase() + part.slice(1))
+  .join('');
+
+/**
+ * Generate the OpenAPI 3.1 document of the API from its routers. Request
+ * parameters and bodies come from the validation middleware of each route
+ * (src/middleware/validation.js, the zod schemas of validateInput and
+ * express-validator chains); summaries and responses come from
+ * src/openapi/operations.js. Throws when a route isn't documented there.
+ */
+const generateOpenApiSpec = (mounts = API_ROUTERS) => {
+  const operations = [];
+
+  mounts.forEach(mount => {
+    routesOf(mount.router()).forEach(route => {
+      const { path, names } = toOpenApiPath(mount.path + route.path);
+      const key = `${route.method.toUpperCase()} ${path}`;
+      const documented = OPERATIONS[key];
+
+      if (!documented) {
+        throw new Error(`Route ${key} is not documented in src/openapi/operations.js`);
+      }
+
+      operations.push({ mount, route, path, names, key, documented });
+    });
+  });
+
+  // Handler names make the operationIds, unless two routes share a handler
+  const handlerNames = operations.map(({ route }) => route.handlers[route.handlers.length - 1].name);
+  const isUnique = name => /^[a-zA-Z_$][\w$]*$/.test(name) &&
+    handlerNames.filter(other => other === name).length === 1;
+
+  const paths = {};
+
+  operations.forEach(({ mount, route, path, names, documented }, index) => {
+    const request = describeRequest(route.method, route.handlers);
+    const authenticated = route.handlers.includes(authenticate);
+    const reauthenticated = route.handlers.includes(requireReauthentication);
+    const idempotent = MUTATING_METHODS.includes(route.method) && route.handlers.includes(idempotency);
+    const errors = new Map();
+
+    const addError = (status, schemaName) => {
+      if (!errors.has(status)) {
+        errors.set(status, new Set());
+      }
+      errors.get(status).add(schemaName);
+    };
+
+    if (request.validated || documented.requestBody) {
+      addError(400, mount.errors);
+    }
+    if (authenticated) {
+      // 403 when the account's email address still has to be verified
+      addError(401, 'AuthError');
+      addError(403, 'AuthError');
+    }
+    if (reauthenticated) {
+      // 403 without a recent X-Reauth-Token
+      addError(403, 'AuthError');
+    }
+    (documented.errors || []).forEach(error => {
+      if (typeof error === 'number') {
+        addError(error, mount.errors);
+      } else {
+        addError(error.status, error.schema);
+      }
+    });
+
+    const operationParameters = [
+      ...names.map(name => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: request.params[name] || { type: 'string' }
+      })),
+      ...Object.entries(request.query).map(([name, { required, ...schema }]) => ({ name, in: 'query', required, schema })),
+      ...(reauthenticated ? [{ $ref: '#/components/parameters/reauthToken' }] : []),
+      ...request.parameters.map(name => ({ $ref: `#/components/parameters/${name}` })),
+      ...(idempotent ? [{ $ref: '#/components/parameters/idempotencyKey' }] : [])
+    ];
+
+    const operation = {
+      tags: [mount.tag],
+      summary: documented.summary,
+      operationId: isUnique(handlerNames[index]) ? handlerNames[index] : operationIdFor(route.method, path),
+      ...(operationParameters.length > 0 && { parameters: operationParameters }),
+      ...(authenticated && { security: [{ bearerAuth: [] }] })
+    };
+
+    if (documented.requestBody) {
+      operation.requestBody = documented.requestBody;
+    } else if (request.body) {
+      const content = {};
+      request.body.mediaTypes.forEach(mediaType => {
+        content[mediaType] = { schema: request.body.schema };
+      });
+      operation.requestBody = { required: true, content };
+    }
+
+    operation.responses = {};
+    Object.entries(documented.responses).forEach(([status, value]) => {
+      operation.responses[status] = describeResponse(status, value);
+    });
+    Object.assign(operation.responses, describeErrors(errors));
+
+    paths[path] = { ...paths[path], [route.method]: operation };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Task Management API',
+      version,
+      description: 'RESTful API for tasks, projects, webhooks and user accounts'
+    },
+    tags: mounts.map(mount => ({ name: mount.tag })),
+    paths,
+    components: {
+      schemas,
+      parameters,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    }
+  };
+};
+
+module.exports = {
+  API_ROUTERS,
+  generateOpenApiSpec
+};
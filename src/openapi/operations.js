@@ -0,0 +1,328 @@
+const validation = require('../middleware/validation');
+const { ref } = require('./schemas');
+
+/**
+ * What the OpenAPI document can't read from the routers themselves: the
+ * request parts each validation middleware checks, and a summary plus the
+ * responses of every route. Routes are keyed by 'METHOD /path' with the
+ * mount path and OpenAPI-style {params}; generateSpec fails for a route
+ * without an entry, so new routes have to be documented here.
+ */
+
+const TASK_ID = { id: { type: 'string', format: 'uuid' } };
+
+// Request parts checked by the middlewares of src/middleware/validation.js.
+// `parameters` name entries of components.parameters.
+const VALIDATORS = new Map([
+  [validation.validateTaskCreation, { body: 'TaskInput' }],
+  [validation.validateTaskUpdate, { body: 'TaskUpdate', parameters: ['scope'] }],
+  [validation.validateTaskPatch, { body: 'TaskUpdate', mediaTypes: ['application/merge-patch+json', 'application/json'], parameters: ['scope'] }],
+  [validation.validateIfMatch, { parameters: ['ifMatch'] }],
+  [validation.validateTaskId, { params: TASK_ID }],
+  [validation.validateRevision, { params: { revision: { type: 'integer', minimum: 1 } } }],
+  [validation.validateDependency, { body: 'TaskDependencyInput' }],
+  [validation.validateDependencyId, { params: { dependencyId: { type: 'string', format: 'uuid' } } }],
+  [validation.validateComment, { body: 'TaskCommentInput' }],
+  [validation.validateCommentId, { params: { commentId: { type: 'string', format: 'uuid' } } }],
+  [validation.validateBulkOperations, { body: 'TaskBulkRequest' }],
+  [validation.validateTaskExport, { parameters: ['exportFormat'] }],
+  [validation.validateTaskImport, { body: 'TaskImportRequest' }],
+  [validation.validatePagination, { parameters: ['page', 'limit', 'cursor'] }],
+  [validation.validateSearchQuery, { parameters: ['q'] }],
+  [validation.validateStatusFilter, { parameters: ['status'] }],
+  [validation.validateTaskFilters, { parameters: ['priority', 'dueBefore', 'dueAfter', 'sortBy', 'sortOrder', 'filter', 'sort', 'fields'] }],
+  [validation.validateProjectFilter, { parameters: ['projectId'] }],
+  [validation.validateAnalyticsQuery, { parameters: ['from', 'to', 'analyticsFormat'] }],
+  [validation.validateProject, { body: 'ProjectInput' }],
+  [validation.validateProjectUpdate, { body: 'ProjectUpdate' }],
+  [validation.validateProjectId, { params: { projectId: { type: 'string', format: 'uuid' } } }],
+  [validation.validateProjectMember, { params: { userId: { type: 'string', format: 'uuid' } }, methods: { PUT: { body: 'ProjectMemberInput' } } }],
+  [validation.validateWebhook, { body: 'WebhookInput' }],
+  [validation.validateWebhookUpdate, { body: 'WebhookUpdate' }],
+  [validation.validateWebhookId, { params: { webhookId: { type: 'string', format: 'uuid' } } }],
+  [validation.validateDeliveryQuery, { parameters: ['deliveryStatus', 'deliveryLimit'] }]
+]);
+
+// Success envelope around `data`
+const data = schema => ({
+  allOf: [ref('Success'), { type: 'object', properties: { data: schema }, required: ['data'] }]
+});
+
+// Success envelope around a page of `schema` items
+const page = schema => ({
+  allOf: [
+    ref('Success'),
+    {
+      type: 'object',
+      properties: { data: { type: 'array', items: schema }, pagination: ref('Pagination') },
+      required: ['data', 'pagination']
+    }
+  ]
+});
+
+const list = schema => data({ type: 'array', items: schema });
+const object = { type: 'object' };
+
+const TASK = ref('Task');
+const PROJECT = ref('Project');
+const MEMBER = ref('ProjectMember');
+const WEBHOOK = ref('Webhook');
+const COMMENT = ref('TaskComment');
+const ACCOUNT = ref('Account');
+
+// A finished login, or the mfaToken of a login that still needs the second
+// factor
+const LOGIN = {
+  allOf: [ref('Success'), {
+    type: 'object',
+    properties: {
+      user: ACCOUNT,
+      tokens: ref('AuthTokens'),
+      requiresEmailVerification: { type: 'boolean' },
+      recoveryCodes: { type: 'array', items: { type: 'string' } },
+      mfaRequired: { type: 'boolean' },
+      mfaEnrollmentRequired: { type: 'boolean' },
+      mfaToken: { type: 'string' },
+      expiresIn: { type: 'string' }
+    },
+    anyOf: [{ required: ['user', 'tokens'] }, { required: ['mfaRequired', 'mfaToken'] }]
+  }]
+};
+
+// Authorization failures that the RBAC middleware reports
+const FORBIDDEN = { status: 403, schema: 'AuthError' };
+
+// JSON response that ?format=csv turns into CSV
+const withCsv = schema => ({
+  content: {
+    'application/json': { schema },
+    'text/csv': { schema: { type: 'string' } }
+  }
+});
+
+const AVATAR_UPLOAD = {
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: { type: 'object', properties: { avatar: { type: 'string', format: 'binary' } }, required: ['avatar'] }
+    }
+  }
+};
+
+const OPERATIONS = {
+  // Health
+  'GET /health': { summary: 'Check the service and its dependencies', responses: { 200: data(ref('Health')) }, errors: [503] },
+  'GET /health/ready': { summary: 'Check whether the service accepts traffic', responses: { 200: data(ref('Readiness')) }, errors: [503] },
+  'GET /health/live': { summary: 'Check whether the process is alive', responses: { 200: data(object) }, errors: [503] },
+  'GET /health/websocket': { summary: 'Check the WebSocket server', responses: { 200: data(object) }, errors: [503] },
+
+  // Tasks
+  'GET /tasks': { summary: 'List tasks', responses: { 200: page(TASK) }, errors: [404] },
+  'GET /tasks/search': { summary: 'Search tasks by text', responses: { 200: page(TASK) }, errors: [404] },
+  'GET /tasks/statistics': { summary: 'Get task statistics', responses: { 200: data(object) }, errors: [404] },
+  'GET /tasks/trash': { summary: 'List deleted tasks', responses: { 200: page(TASK) }, errors: [404] },
+  'GET /tasks/export': {
+    summary: 'Export tasks as CSV, JSON or iCalendar',
+    responses: {
+      200: {
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'application/json': { schema: { type: 'array', items: TASK } },
+          'text/calendar': { schema: { type: 'string' } }
+        }
+      }
+    },
+    errors: [404]
+  },
+  'GET /tasks/analytics/lead-time': { summary: 'Get task lead times', responses: { 200: withCsv(data(object)) }, errors: [404] },
+  'GET /tasks/analytics/cycle-time': { summary: 'Get task cycle times', responses: { 200: withCsv(data(object)) }, errors: [404] },
+  'GET /tasks/analytics/throughput': { summary: 'Get task throughput', responses: { 200: withCsv(data(object)) }, errors: [404] },
+  'GET /tasks/analytics/cumulative-flow': { summary: 'Get the cumulative flow of tasks', responses: { 200: withCsv(data(object)) }, errors: [404] },
+  'GET /tasks/analytics/burndown': { summary: 'Get the burndown of tasks', responses: { 200: withCsv(data(object)) }, errors: [404] },
+  'GET /tasks/{id}': { summary: 'Get a task', responses: { 200: data(TASK), 304: null }, errors: [404] },
+  'GET /tasks/{id}/transitions': { summary: 'List the statuses a task can move to', responses: { 200: data(object) }, errors: [404] },
+  'GET /tasks/{id}/history': { summary: 'List the revisions of a task', responses: { 200: data(object) }, errors: [404] },
+  'POST /tasks/{id}/history/{revision}/restore': { summary: 'Restore a task revision', responses: { 200: data(TASK) }, errors: [403, 404, 409] },
+  'GET /tasks/{id}/series': { summary: 'Get the recurring series of a task', responses: { 200: data(object) }, errors: [404] },
+  'POST /tasks/{id}/series/pause': { summary: 'Pause a recurring series', responses: { 200: data(object) }, errors: [403, 404] },
+  'POST /tasks/{id}/series/resume': { summary: 'Resume a recurring series', responses: { 200: data(object) }, errors: [403, 404] },
+  'POST /tasks/{id}/series/skip': { summary: 'Skip the next occurrence of a recurring series', responses: { 200: data(object) }, errors: [403, 404] },
+  'GET /tasks/{id}/subtasks': { summary: 'List the subtasks of a task', responses: { 200: data(ref('Subtasks')) }, errors: [404] },
+  'POST /tasks/{id}/subtasks': { summary: 'Create a subtask', responses: { 201: data(TASK) }, errors: [403, 404, 409] },
+  'GET /tasks/{id}/dependencies': { summary: 'List the dependencies of a task', responses: { 200: data(object) }, errors: [404] },
+  'POST /tasks/{id}/dependencies': { summary: 'Add a dependency between two tasks', responses: { 201: data(object) }, errors: [403, 404, 409] },
+  'DELETE /tasks/{id}/dependencies/{dependencyId}': { summary: 'Remove a dependency', responses: { 200: data(object) }, errors: [403, 404] },
+  'GET /tasks/{id}/comments': { summary: 'List the comment threads of a task', responses: { 200: data(ref('TaskCommentThreads')) }, errors: [404] },
+  'POST /tasks/{id}/comments': { summary: 'Comment on a task', responses: { 201: data(COMMENT) }, errors: [404] },
+  'GET /tasks/{id}/comments/{commentId}/history': { summary: 'List the edits of a comment', responses: { 200: data(object) }, errors: [404] },
+  'PUT /tasks/{id}/comments/{commentId}': { summary: 'Edit a comment', responses: { 200: data(COMMENT) }, errors: [403, 404] },
+  'DELETE /tasks/{id}/comments/{commentId}': { summary: 'Delete a comment', responses: { 200: ref('Success') }, errors: [403, 404] },
+  'POST /tasks': { summary: 'Create a task', responses: { 201: data(TASK) }, errors: [403, 404, 409] },
+  'POST /tasks/bulk': { summary: 'Run a batch of task operations', responses: { 200: data(object), 207: data(object) }, errors: [403, 404, 409] },
+  'POST /tasks/import': { summary: 'Import tasks from CSV or JSON', responses: { 200: data(object), 207: data(object) }, errors: [403, 404] },
+  'PUT /tasks/{id}': { summary: 'Update a task', responses: { 200: data(TASK) }, errors: [403, 404, 409, 412] },
+  'PATCH /tasks/{id}': { summary: 'Update a task with a JSON Merge Patch', responses: { 200: data(TASK) }, errors: [403, 404, 409, 412] },
+  'DELETE /tasks/{id}': { summary: 'Move a task to the trash', responses: { 200: ref('Success') }, errors: [403, 404, 412] },
+  'POST /tasks/{id}/restore': { summary: 'Restore a task from the trash', responses: { 200: data(TASK) }, errors: [403, 404, 409, 412] },
+
+  // Projects
+  'GET /projects': { summary: 'List projects', responses: { 200: list(PROJECT) } },
+  'POST /projects': { summary: 'Create a project', responses: { 201: data(PROJECT) } },
+  'GET /projects/{projectId}': { summary: 'Get a project', responses: { 200: data(PROJECT) }, errors: [404] },
+  'PUT /projects/{projectId}': { summary: 'Update a project', responses: { 200: data(PROJECT) }, errors: [FORBIDDEN, 404] },
+  'DELETE /projects/{projectId}': { summary: 'Delete a project', responses: { 200: ref('Success') }, errors: [FORBIDDEN, 404, 409] },
+  'GET /projects/{projectId}/board': { summary: 'Get the project board', responses: { 200: data(object) }, errors: [404] },
+  'GET /projects/{projectId}/members': { summary: 'List project members', responses: { 200: list(MEMBER) }, errors: [404] },
+  'PUT /projects/{projectId}/members/{userId}': { summary: 'Add a member or change their role', responses: { 200: list(MEMBER) }, errors: [FORBIDDEN, 404, 409] },
+  'DELETE /projects/{projectId}/members/{userId}': { summary: 'Remove a member', responses: { 200: list(MEMBER) }, errors: [403, 404, 409] },
+
+  // Webhooks (administrators only)
+  'GET /webhooks': { summary: 'List webhooks', responses: { 200: list(WEBHOOK) }, errors: [FORBIDDEN] },
+  'POST /webhooks': { summary: 'Register a webhook', responses: { 201: data(WEBHOOK) }, errors: [FORBIDDEN] },
+  'GET /webhooks/{webhookId}': { summary: 'Get a webhook', responses: { 200: data(WEBHOOK) }, errors: [FORBIDDEN, 404] },
+  'PUT /webhooks/{webhookId}': { summary: 'Update a webhook', responses: { 200: data(WEBHOOK) }, errors: [FORBIDDEN, 404] },
+  'DELETE /webhooks/{webhookId}': { summary: 'Delete a webhook', responses: { 200: ref('Success') }, errors: [FORBIDDEN, 404] },
+  'GET /webhooks/{webhookId}/deliveries': { summary: 'List the deliveries of a webhook', responses: { 200: list(ref('WebhookDelivery')) }, errors: [FORBIDDEN, 404] },
+  'POST /webhooks/{webhookId}/deliveries/{deliveryId}/redeliver': {
+    summary: 'Deliver an event again',
+    responses: { 202: data(ref('WebhookDelivery')) },
+    errors: [FORBIDDEN, 404, 409, 503]
+  },
+
+  // Authentication
+  'POST /auth/register': {
+    summary: 'Register an account',
+    responses: { 201: { allOf: [ref('Success'), { type: 'object', properties: { user: ACCOUNT }, required: ['user'] }] } },
+    errors: [409, 429]
+  },
+  'POST /auth/verify-email': { summary: 'Verify an email address', responses: { 200: ref('Success') }, errors: [400, 429] },
+  'POST /auth/resend-verification': { summary: 'Send the verification email again', responses: { 200: ref('Success') }, errors: [429] },
+  'POST /auth/login': { summary: 'Log in, or start a two-factor login', responses: { 200: LOGIN }, errors: [401, 423, 429] },
+  'POST /auth/mfa/verify': {
+    summary: 'Finish a login with a two-factor code or recovery code',
+    responses: { 200: LOGIN },
+    errors: [401, 423, 429]
+  },
+  'POST /auth/mfa/setup': {
+    summary: 'Set up two-factor authentication during a login that requires it',
+    responses: { 200: { allOf: [ref('Success'), ref('MfaEnrollment')] } },
+    errors: [401, 409, 429]
+  },
+  'POST /auth/unlock-account': { summary: 'Unlock an account with the emailed unlock link', responses: { 200: ref('Success') }, errors: [400, 429] },
+  'POST /auth/webauthn/register/options': {
+    summary: 'Start registering a passkey',
+    responses: { 200: { allOf: [ref('Success'), { type: 'object', properties: { options: ref('PasskeyRegistrationOptions') } }] } },
+    errors: [429]
+  },
+  'POST /auth/webauthn/register/verify': {
+    summary: 'Register the passkey the authenticator created',
+    responses: { 201: { allOf: [ref('Success'), { type: 'object', properties: { passkey: ref('Passkey') } }] } },
+    errors: [400, 409, 429]
+  },
+  'POST /auth/webauthn/login/options': {
+    summary: 'Start a passkey login',
+    responses: { 200: { allOf: [ref('Success'), { type: 'object', properties: { options: ref('PasskeyLoginOptions') } }] } },
+    errors: [429]
+  },
+  'POST /auth/webauthn/login/verify': { summary: 'Log in with a passkey', responses: { 200: LOGIN }, errors: [401, 429] },
+  'POST /auth/logout': { summary: 'Log out', responses: { 200: ref('Success') } },
+  'POST /auth/refresh-token': {
+    summary: 'Exchange a refresh token for new tokens',
+    responses: { 200: { allOf: [ref('Success'), { type: 'object', properties: { tokens: ref('AuthTokens') }, required: ['tokens'] }] } },
+    errors: [400, 401, 429]
+  },
+
+  // Account
+  'GET /user/profile': { summary: 'Get the account profile', responses: { 200: data({ type: 'object', properties: { user: ACCOUNT }, required: ['user'] }) }, errors: [404] },
+  'PUT /user/profile': { summary: 'Update the account profile', responses: { 200: data({ type: 'object', properties: { user: ACCOUNT }, required: ['user'] }) }, errors: [409] },
+  'POST /user/profile/avatar': {
+    summary: 'Upload an avatar image',
+    requestBody: AVATAR_UPLOAD,
+    responses: { 200: data(object) },
+    errors: [400, 429]
+  },
+  'POST /user/reauthenticate': {
+    summary: 'Confirm the password and second factor for a sensitive change',
+    responses: { 200: data({ type: 'object', properties: { reauthToken: { type: 'string' }, expiresIn: { type: 'string' } }, required: ['reauthToken', 'expiresIn'] }) },
+    errors: [423, 429]
+  },
+  'POST /user/change-password': { summary: 'Change the password', responses: { 200: ref('Success') }, errors: [429] },
+  'GET /user/mfa': { summary: 'Get the two-factor authentication status', responses: { 200: data(ref('MfaStatus')) } },
+  'POST /user/mfa/setup': {
+    summary: 'Start two-factor enrollment',
+    responses: { 200: data(ref('MfaEnrollment')) },
+    errors: [409, 429]
+  },
+  'POST /user/mfa/enable': {
+    summary: 'Confirm two-factor enrollment with a code',
+    responses: { 200: data(ref('MfaRecoveryCodes')) },
+    errors: [409, 429]
+  },
+  'DELETE /user/mfa': { summary: 'Turn two-factor authentication off', responses: { 200: ref('Success') }, errors: [429] },
+  'POST /user/mfa/recovery-codes': {
+    summary: 'Replace the recovery codes',
+    responses: { 200: data(ref('MfaRecoveryCodes')) },
+    errors: [409, 429]
+  },
+  'GET /user/passkeys': { summary: 'List the registered passkeys', responses: { 200: list(ref('Passkey')) } },
+  'DELETE /user/passkeys/{passkeyId}': { summary: 'Revoke a passkey', responses: { 200: ref('Success') }, errors: [404, 429] },
+  'POST /user/{userId}/unlock': { summary: 'Unlock an account locked after failed logins', responses: { 200: ref('Success') }, errors: [FORBIDDEN, 404] },
+  'PUT /user/{userId}/mfa-requirement': {
+    summary: 'Require two-factor authentication for an account',
+    responses: { 200: data(object) },
+    errors: [FORBIDDEN, 404]
+  },
+  'GET /user/preferences': { summary: 'Get the account preferences', responses: { 200: data(object) } },
+  'PUT /user/preferences': { summary: 'Update the account preferences', responses: { 200: data(object) } },
+  'DELETE /user/sessions/{sessionId}': { summary: 'Revoke a session', responses: { 200: ref('Success') }, errors: [404] },
+  'DELETE /user/sessions': { summary: 'Revoke every other session', responses: { 200: ref('Success') }, errors: [429] },
+  'DELETE /user/account': { summary: 'Delete the account', responses: { 200: ref('Success') }, errors: [404, 429] },
+
+  // Discovery
+  'GET /.well-known/jwks.json': { summary: 'Get the public keys that verify access tokens', responses: { 200: ref('Jwks') } },
+
+  // Notification preferences
+  'GET /api/preferences': { summary: 'Get the notification preferences', responses: { 200: data(object) } },
+  'PUT /api/preferences': { summary: 'Update the notification preferences', responses: { 200: data(object) } },
+  'POST /api/preferences/reset': { summary: 'Reset the notification preferences', responses: { 200: data(object) } },
+  'PUT /api/preferences/category/{category}': { summary: 'Update the preferences of a notification category', responses: { 200: data(object) } },
+  'PUT /api/preferences/quiet-hours': { summary: 'Update the quiet hours', responses: { 200: data(object) } },
+  'GET /api/preferences/quiet-hours/status': { summary: 'Check whether quiet hours are active', responses: { 200: data(object) } },
+  'GET /api/preferences/statistics': { summary: 'Get preference statistics', responses: { 200: data(object) }, errors: [FORBIDDEN] },
+  'POST /api/preferences/test-notification': { summary: 'Send a test notification', responses: { 200: data(object) } },
+  'GET /api/preferences/export': { summary: 'Export the notification preferences', responses: { 200: object } },
+
+  // Profiles
+  'POST /api/profiles': { summary: 'Create a profile', responses: { 201: data(object) }, errors: [409, 429] },
+  'GET /api/profiles/me': { summary: 'Get your profile', responses: { 200: data(object) }, errors: [404, 429] },
+  'GET /api/profiles/search': { summary: 'Search profiles', responses: { 200: data(object) }, errors: [429] },
+  'GET /api/profiles/{profileId}': { summary: 'Get a profile', responses: { 200: data(object) }, errors: [403, 404, 429] },
+  'PUT /api/profiles/{profileId}': { summary: 'Update a profile', responses: { 200: data(object) }, errors: [404, 429] },
+  'DELETE /api/profiles/{profileId}': { summary: 'Delete a profile', responses: { 200: ref('Success') }, errors: [404, 429] },
+  'GET /api/profiles/{profileId}/statistics': { summary: 'Get profile statistics', responses: { 200: data(object) }, errors: [404, 429] },
+  'POST /api/profiles/{profileId}/social-links': { summary: 'Add a social link', responses: { 201: data(object) }, errors: [404, 429] },
+  'DELETE /api/profiles/{profileId}/social-links/{linkId}': { summary: 'Remove a social link', responses: { 200: ref('Success') }, errors: [404, 429] },
+  'PUT /api/profiles/{profileId}/avatar': { summary: 'Change the profile avatar', responses: { 200: data(object) }, errors: [404, 429] },
+  'GET /api/profiles/health/service': { summary: 'Check the profile service', responses: { 200: data(object) }, errors: [503] },
+
+  // Uploads
+  'POST /api/upload/avatar': {
+    summary: 'Upload an avatar image',
+    requestBody: AVATAR_UPLOAD,
+    responses: { 200: data(object) },
+    errors: [400, 429]
+  },
+  'POST /api/upload/avatar/validate': {
+    summary: 'Check an avatar image without storing it',
+    requestBody: AVATAR_UPLOAD,
+    responses: { 200: data(object) },
+    errors: [400, 429]
+  },
+  'DELETE /api/upload/avatar/{fileId}': { summary: 'Delete an avatar image', responses: { 200: ref('Success') }, errors: [400, 429] },
+  'GET /api/upload/avatar/{fileId}': { summary: 'Get information about an avatar image', responses: { 200: data(object) }, errors: [400] }
+};
+
+module.exports = {
+  VALIDATORS,
+  OPERATIONS
+};
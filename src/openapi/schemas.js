@@ -0,0 +1,672 @@
+const {
+  TASK_PRIORITIES,
+  TASK_SORT_FIELDS,
+  MAX_ESTIMATE_MINUTES,
+  MAX_CHECKLIST_ITEMS,
+  MAX_CHECKLIST_TEXT_LENGTH,
+  MAX_TAGS,
+  MAX_COMMENT_LENGTH,
+  BULK_OPERATION_TYPES,
+  MAX_BULK_OPERATIONS,
+  MAX_PROJECT_LABELS,
+  MAX_BOARD_COLUMNS,
+  MAX_COLUMN_NAME_LENGTH,
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  IMPORT_FIELDS,
+  MAX_EXTERNAL_ID_LENGTH,
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOK_URL_LENGTH
+} = require('../utils/validators');
+const { DELIVERY_STATUSES } = require('../models/WebhookDelivery');
+const { PROJECT_ROLE_HIERARCHY } = require('../auth/middleware/rbacMiddleware');
+
+/**
+ * JSON Schemas (2020-12, as used by OpenAPI 3.1) of the API's resources and
+ * of the request data checked by src/middleware/validation.js. Limits come
+ * from the validator constants, so the document follows the validation.
+ */
+
+// Reference to a schema under components.schemas
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+const uuid = { type: 'string', format: 'uuid' };
+const timestamp = { type: 'string', format: 'date-time' };
+
+const TITLE = { type: 'string', minLength: 1, maxLength: 100 };
+const DESCRIPTION = { type: 'string', maxLength: 500 };
+
+// Task statuses depend on the task's workflow, so any state name is allowed
+const STATUS = { type: 'string', description: 'A state of the task\'s workflow, e.g. pending, in-progress or completed' };
+
+// Percentage of the checklist items and subtasks that are done
+const PROGRESS = { type: 'integer', minimum: 0, maximum: 100 };
+
+// TAG_REGEX without its case-insensitive flag
+const TAG = { type: 'string', pattern: '^[a-zA-Z0-9][a-zA-Z0-9_-]{0,29}$' };
+
+const CHECKLIST_ITEM = {
+  type: 'object',
+  properties: {
+    id: uuid,
+    text: { type: 'string', minLength: 1, maxLength: MAX_CHECKLIST_TEXT_LENGTH },
+    done: { type: 'boolean' }
+  },
+  required: ['text']
+};
+
+const RECURRENCE = {
+  type: 'object',
+  properties: {
+    schedule: { type: 'string', description: 'Cron expression (5 fields)' },
+    timezone: { type: 'string', description: 'IANA time zone, default UTC' },
+    paused: { type: 'boolean' },
+    nextAt: timestamp
+  },
+  required: ['schedule']
+};
+
+// Writable task fields shared by creation and updates
+const TASK_FIELDS = {
+  title: TITLE,
+  description: DESCRIPTION,
+  status: STATUS,
+  assigneeId: nullable(uuid),
+  projectId: nullable(uuid),
+  dueDate: nullable(timestamp),
+  priority: { type: 'string', enum: TASK_PRIORITIES },
+  estimate: nullable({ type: 'integer', minimum: 1, maximum: MAX_ESTIMATE_MINUTES, description: 'Minutes' }),
+  checklist: { type: 'array', maxItems: MAX_CHECKLIST_ITEMS, items: CHECKLIST_ITEM },
+  recurrence: nullable({ ...RECURRENCE, type: 'object' }),
+  externalId: nullable({ type: 'string', maxLength: MAX_EXTERNAL_ID_LENGTH })
+};
+
+const LABEL = {
+  type: 'object',
+  properties: {
+    name: TAG,
+    color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' }
+  },
+  required: ['name', 'color']
+};
+
+const COLUMN = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: MAX_COLUMN_NAME_LENGTH },
+    statuses: { type: 'array', minItems: 1, items: STATUS }
+  },
+  required: ['name', 'statuses']
+};
+
+const PROJECT_FIELDS = {
+  name: TITLE,
+  description: DESCRIPTION,
+  columns: { type: 'array', minItems: 1, maxItems: MAX_BOARD_COLUMNS, items: COLUMN },
+  labels: { type: 'array', maxItems: MAX_PROJECT_LABELS, items: LABEL }
+};
+
+const WEBHOOK_FIELDS = {
+  url: { type: 'string', format: 'uri', maxLength: MAX_WEBHOOK_URL_LENGTH, description: 'http or https URL' },
+  events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+  description: DESCRIPTION,
+  active: { type: 'boolean' }
+};
+
+const schemas = {
+  // Errors reported by the task, project and webhook APIs
+  Error: {
+    type: 'object',
+    properties: {
+      success: { const: false },
+      error: {
+        type: 'object',
+        properties: {
+          code: { type: 'string' },
+          message: { type: 'string' },
+          details: {}
+        },
+        required: ['code', 'message']
+      },
+      timestamp
+    },
+    required: ['success', 'error']
+  },
+
+  // Errors reported by the authentication middleware and the account APIs
+  AuthError: {
+    type: 'object',
+    properties: {
+      success: { const: false },
+      error: { type: 'string' },
+      message: { type: 'string' },
+      code: { type: 'string' },
+      details: {}
+    },
+    required: ['success', 'error', 'message']
+  },
+
+  // Errors reported by the preferences API; express-validator failures list
+  // the invalid fields in details
+  PlainError: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            path: { type: 'string' },
+            msg: { type: 'string' },
+            location: { type: 'string' }
+          }
+        }
+      }
+    },
+    required: ['error']
+  },
+
+  Success: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      data: {},
+      message: { type: 'string' },
+      timestamp
+    },
+    required: ['success']
+  },
+
+  Pagination: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer', minimum: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 100 },
+      total: { type: 'integer', minimum: 0 },
+      totalPages: { type: 'integer', minimum: 0 },
+      hasNext: { type: 'boolean' },
+      hasPrev: { type: 'boolean' },
+      nextCursor: { type: ['string', 'null'] }
+    },
+    required: ['limit', 'total', 'hasNext']
+  },
+
+  Task: {
+    type: 'object',
+    properties: {
+      id: uuid,
+      ...TASK_FIELDS,
+      description: { type: 'string' },
+      createdBy: nullable(uuid),
+      parentId: nullable(uuid),
+      tags: { type: 'array', maxItems: MAX_TAGS, items: { type: 'string' } },
+      templateId: nullable(uuid),
+      version: { type: 'integer', minimum: 1 },
+      deletedAt: nullable(timestamp),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    },
+    required: ['id', 'title', 'status', 'priority', 'version', 'createdAt', 'updatedAt']
+  },
+
+  TaskInput: {
+    type: 'object',
+    properties: {
+      ...TASK_FIELDS,
+      parentId: nullable(uuid)
+    },
+    required: ['title'],
+    example: { title: 'Write release notes', priority: 'high', dueDate: '2025-10-31T17:00:00.000Z' }
+  },
+
+  TaskUpdate: {
+    type: 'object',
+    properties: {
+      ...TASK_FIELDS,
+      tags: { type: 'array', maxItems: MAX_TAGS, items: TAG }
+    },
+    minProperties: 1,
+    example: { title: 'Write the release notes', status: 'in-progress' }
+  },
+
+  Subtasks: {
+    type: 'object',
+    properties: {
+      taskId: uuid,
+      progress: PROGRESS,
+      subtasks: {
+        type: 'array',
+        items: { allOf: [ref('Task'), { type: 'object', properties: { progress: PROGRESS } }] }
+      }
+    },
+    required: ['taskId', 'subtasks']
+  },
+
+  TaskComment: {
+    type: 'object',
+    properties: {
+      id: uuid,
+      taskId: uuid,
+      parentId: nullable(uuid),
+      authorId: nullable(uuid),
+      body: { type: 'string' },
+      mentions: { type: 'array', items: uuid },
+      edited: { type: 'boolean' },
+      editCount: { type: 'integer', minimum: 0 },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    },
+    required: ['id', 'taskId', 'body', 'createdAt']
+  },
+
+  // A comment with its replies
+  TaskCommentThread: {
+    allOf: [
+      ref('TaskComment'),
+      {
+        type: 'object',
+        properties: { replies: { type: 'array', items: ref('TaskCommentThread') } },
+        required: ['replies']
+      }
+    ]
+  },
+
+  TaskCommentThreads: {
+    type: 'object',
+    properties: {
+      taskId: uuid,
+      total: { type: 'integer', minimum: 0 },
+      threads: { type: 'array', items: ref('TaskCommentThread') }
+    },
+    required: ['taskId', 'total', 'threads']
+  },
+
+  TaskCommentInput: {
+    type: 'object',
+    properties: {
+      body: { type: 'string', minLength: 1, maxLength: MAX_COMMENT_LENGTH },
+      parentId: uuid
+    },
+    required: ['body'],
+    example: { body: 'Can @alice review this?' }
+  },
+
+  TaskDependencyInput: {
+    type: 'object',
+    description: 'Exactly one of blockedBy or blocks',
+    properties: {
+      blockedBy: uuid,
+      blocks: uuid
+    },
+    oneOf: [{ required: ['blockedBy'] }, { required: ['blocks'] }]
+  },
+
+  TaskBulkRequest: {
+    type: 'object',
+    properties: {
+      atomic: { type: 'boolean', default: false },
+      operations: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_BULK_OPERATIONS,
+        items: {
+          type: 'object',
+          properties: {
+            op: { type: 'string', enum: BULK_OPERATION_TYPES },
+            id: uuid,
+            data: { type: 'object' },
+            status: STATUS
+          },
+          required: ['op']
+        }
+      }
+    },
+    required: ['operations'],
+    example: { atomic: true, operations: [{ op: 'create', data: { title: 'Write release notes' } }] }
+  },
+
+  TaskImportRequest: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: IMPORT_FORMATS },
+      data: {
+        description: 'CSV text for csv imports, an array of objects for json imports',
+        anyOf: [{ type: 'string', minLength: 1 }, { type: 'array', items: { type: 'object' } }]
+      },
+      mapping: {
+        type: 'object',
+        description: 'Column name to task field, or null to skip the column',
+        additionalProperties: { type: ['string', 'null'], enum: [...IMPORT_FIELDS, null] }
+      },
+      projectId: nullable(uuid),
+      dryRun: { type: 'boolean', default: false }
+    },
+    required: ['format', 'data'],
+    example: { format: 'json', data: [{ title: 'Imported task' }], dryRun: true }
+  },
+
+  Project: {
+    type: 'object',
+    properties: {
+      id: uuid,
+      ...PROJECT_FIELDS,
+      description: { type: 'string' },
+      members: { type: 'array', items: ref('ProjectMember') },
+      createdBy: nullable(uuid),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    },
+    required: ['id', 'name', 'columns', 'labels', 'members', 'createdAt']
+  },
+
+  ProjectMember: {
+    type: 'object',
+    properties: {
+      userId: uuid,
+      role: { type: 'string', enum: Object.keys(PROJECT_ROLE_HIERARCHY) },
+      addedAt: timestamp
+    },
+    required: ['userId', 'role']
+  },
+
+  ProjectInput: {
+    type: 'object',
+    properties: PROJECT_FIELDS,
+    required: ['name'],
+    example: { name: 'Website relaunch', labels: [{ name: 'design', color: '#8e44ad' }] }
+  },
+
+  ProjectUpdate: {
+    type: 'object',
+    properties: PROJECT_FIELDS,
+    additionalProperties: false,
+    example: { description: 'Launch in November' }
+  },
+
+  ProjectMemberInput: {
+    type: 'object',
+    properties: {
+      role: { type: 'string', enum: Object.keys(PROJECT_ROLE_HIERARCHY) }
+    },
+    required: ['role'],
+    example: { role: 'member' }
+  },
+
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: uuid,
+      ...WEBHOOK_FIELDS,
+      description: { type: 'string' },
+      secret: { type: 'string', description: 'Signing secret, only returned when the webhook is created' },
+      createdBy: nullable(uuid),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    },
+    required: ['id', 'url', 'events', 'active', 'createdAt']
+  },
+
+  WebhookInput: {
+    type: 'object',
+    properties: WEBHOOK_FIELDS,
+    required: ['url', 'events'],
+    additionalProperties: false,
+    example: { url: 'https://chat.example.com/hooks/tasks', events: ['task.status_changed'] }
+  },
+
+  WebhookUpdate: {
+    type: 'object',
+    properties: WEBHOOK_FIELDS,
+    additionalProperties: false,
+    example: { active: false }
+  },
+
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: uuid,
+      webhookId: uuid,
+      event: { type: 'string', enum: WEBHOOK_EVENTS },
+      payload: { type: 'object' },
+      status: { type: 'string', enum: DELIVERY_STATUSES },
+      error: { type: ['string', 'null'] },
+      attempts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            attemptedAt: timestamp,
+            statusCode: { type: ['integer', 'null'] },
+            error: { type: ['string', 'null'] },
+            durationMs: { type: 'integer', minimum: 0 }
+          }
+        }
+      },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    },
+    required: ['id', 'webhookId', 'event', 'status', 'attempts']
+  },
+
+  HealthCheck: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['up', 'down', 'skipped'] },
+      critical: { type: 'boolean' },
+      durationMs: { type: 'integer', minimum: 0 },
+      checkedAt: timestamp,
+      details: { type: 'object' },
+      error: { type: 'string' }
+    },
+    required: ['status', 'critical', 'checkedAt']
+  },
+
+  Health: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['OK', 'DEGRADED', 'UNHEALTHY'] },
+      timestamp,
+      uptime: { type: 'number', description: 'Seconds' },
+      version: { type: 'string' },
+      environment: { type: 'string' },
+      memory: { type: 'object' },
+      dependencies: { type: 'object', additionalProperties: ref('HealthCheck') },
+      responseTime: { type: 'string' }
+    },
+    required: ['status', 'dependencies']
+  },
+
+  Readiness: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['READY', 'DEGRADED', 'NOT_READY'] },
+      checks: { type: 'object', additionalProperties: ref('HealthCheck') },
+      timestamp
+    },
+    required: ['status', 'checks']
+  },
+
+  // An account as the account endpoints return it; the password hash and
+  // two-factor secrets stay on the server
+  Account: {
+    type: 'object',
+    properties: {
+      id: uuid,
+      email: { type: 'string', format: 'email' },
+      username: { type: 'string', description: 'Unique; @mentions resolve to it' },
+      emailVerified: { type: 'boolean' },
+      name: { type: ['string', 'null'] },
+      avatarUrl: { type: ['string', 'null'] },
+      roles: { type: 'array', items: { type: 'string' } },
+      isActive: { type: 'boolean' },
+      mfaEnabled: { type: 'boolean' },
+      mfaRequired: { type: 'boolean' },
+      createdAt: { type: ['string', 'null'], format: 'date-time' },
+      updatedAt: { type: ['string', 'null'], format: 'date-time' },
+      lastLoginAt: { type: ['string', 'null'], format: 'date-time' }
+    },
+    required: ['id', 'email', 'username', 'roles']
+  },
+
+  AuthTokens: {
+    type: 'object',
+    properties: {
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string', description: 'Works once; refreshing returns the next one' },
+      expiresIn: { type: 'string', description: 'Lifetime of the access token, e.g. 15m' },
+      tokenType: { const: 'Bearer' }
+    },
+    required: ['accessToken', 'refreshToken', 'tokenType']
+  },
+
+  MfaStatus: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      required: { type: 'boolean', description: 'Set by an admin; the account has to keep two-factor authentication on' },
+      enabledAt: { type: ['string', 'null'], format: 'date-time' },
+      recoveryCodesRemaining: { type: 'integer', minimum: 0 }
+    },
+    required: ['enabled', 'required', 'enabledAt', 'recoveryCodesRemaining']
+  },
+
+  // The TOTP secret, base32, and the otpauth:// URI to show as a QR code
+  MfaEnrollment: {
+    type: 'object',
+    properties: {
+      secret: { type: 'string', pattern: '^[A-Z2-7]+$' },
+      otpauthUri: { type: 'string', pattern: '^otpauth://totp/' }
+    },
+    required: ['secret', 'otpauthUri']
+  },
+
+  // Shown once; only their hashes are stored
+  MfaRecoveryCodes: {
+    type: 'object',
+    properties: {
+      recoveryCodes: { type: 'array', items: { type: 'string', pattern: '^[A-Z2-7]{4}-[A-Z2-7]{4}$' } }
+    },
+    required: ['recoveryCodes']
+  },
+
+  // A registered passkey; the public key stays on the server
+  Passkey: {
+    type: 'object',
+    properties: {
+      id: uuid,
+      name: { type: ['string', 'null'] },
+      credentialId: { type: 'string', description: 'base64url' },
+      transports: { type: 'array', items: { type: 'string' } },
+      aaguid: { type: ['string', 'null'], description: 'Authenticator model' },
+      backedUp: { type: 'boolean', description: 'Synced to other devices' },
+      createdAt: timestamp,
+      lastUsedAt: { type: ['string', 'null'], format: 'date-time' }
+    },
+    required: ['id', 'credentialId', 'transports', 'backedUp', 'createdAt']
+  },
+
+  // PublicKeyCredentialCreationOptions with binary values base64url encoded
+  PasskeyRegistrationOptions: {
+    type: 'object',
+    properties: {
+      challenge: { type: 'string' },
+      rp: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' } } },
+      user: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, displayName: { type: 'string' } } },
+      pubKeyCredParams: { type: 'array', items: { type: 'object', properties: { type: { const: 'public-key' }, alg: { type: 'integer' } } } },
+      timeout: { type: 'integer' },
+      attestation: { type: 'string' },
+      authenticatorSelection: { type: 'object' },
+      excludeCredentials: { type: 'array', items: { type: 'object' } }
+    },
+    required: ['challenge', 'rp', 'user', 'pubKeyCredParams']
+  },
+
+  // PublicKeyCredentialRequestOptions with binary values base64url encoded
+  PasskeyLoginOptions: {
+    type: 'object',
+    properties: {
+      challenge: { type: 'string' },
+      rpId: { type: 'string' },
+      timeout: { type: 'integer' },
+      userVerification: { type: 'string' },
+      allowCredentials: { type: 'array', items: { type: 'object' } }
+    },
+    required: ['challenge', 'rpId']
+  },
+
+  // RFC 7517 JSON Web Key Set; tokens name the key that verifies them by kid.
+  // Empty while tokens are signed with HS256.
+  Jwks: {
+    type: 'object',
+    properties: {
+      keys: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            kid: { type: 'string' },
+            kty: { type: 'string', enum: ['RSA', 'EC'] },
+            alg: { type: 'string', enum: ['RS256', 'ES256'] },
+            use: { const: 'sig' },
+            n: { type: 'string' },
+            e: { type: 'string' },
+            crv: { type: 'string' },
+            x: { type: 'string' },
+            y: { type: 'string' }
+          },
+          required: ['kid', 'kty', 'alg', 'use']
+        }
+      }
+    },
+    required: ['keys']
+  }
+};
+
+// Query and header parameters checked by the middleware
+const parameters = {
+  page: { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+  limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 } },
+  cursor: { name: 'cursor', in: 'query', description: 'Cursor from pagination.nextCursor; replaces page', schema: { type: 'string', minLength: 1 } },
+  status: { name: 'status', in: 'query', schema: STATUS },
+  priority: { name: 'priority', in: 'query', schema: { type: 'string', enum: TASK_PRIORITIES } },
+  dueBefore: { name: 'dueBefore', in: 'query', schema: timestamp },
+  dueAfter: { name: 'dueAfter', in: 'query', schema: timestamp },
+  sortBy: { name: 'sortBy', in: 'query', schema: { type: 'string', enum: TASK_SORT_FIELDS } },
+  sortOrder: { name: 'sortOrder', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] } },
+  filter: { name: 'filter', in: 'query', description: 'Filter expression, e.g. priority = high and dueDate < 2025-11-01', schema: { type: 'string' } },
+  sort: { name: 'sort', in: 'query', description: 'Comma-separated fields, - for descending, e.g. -priority,dueDate', schema: { type: 'string' } },
+  fields: { name: 'fields', in: 'query', description: 'Comma-separated task fields to return', schema: { type: 'string' } },
+  q: { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 2, maxLength: 100 } },
+  projectId: { name: 'projectId', in: 'query', schema: uuid },
+  exportFormat: { name: 'format', in: 'query', required: true, schema: { type: 'string', enum: EXPORT_FORMATS } },
+  from: { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+  to: { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } },
+  analyticsFormat: { name: 'format', in: 'query', schema: { type: 'string', enum: ['json', 'csv'], default: 'json' } },
+  scope: { name: 'scope', in: 'query', description: 'series applies the change to the whole recurring series', schema: { type: 'string', enum: ['task', 'series'], default: 'task' } },
+  deliveryStatus: { name: 'status', in: 'query', schema: { type: 'string', enum: DELIVERY_STATUSES } },
+  deliveryLimit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 50 } },
+  ifMatch: { name: 'If-Match', in: 'header', description: 'ETag of the task version the change is based on, or *', schema: { type: 'string' } },
+  idempotencyKey: {
+    name: 'Idempotency-Key',
+    in: 'header',
+    description: 'Replays the stored response when the request is retried with the same key; 409 while the first request is in progress, 422 when the key was used for a different payload',
+    schema: { type: 'string', minLength: 1, maxLength: 255 }
+  },
+  reauthToken: {
+    name: 'X-Reauth-Token',
+    in: 'header',
+    required: true,
+    description: 'Token from POST /user/reauthenticate, valid for a few minutes',
+    schema: { type: 'string' }
+  }
+};
+
+module.exports = {
+  schemas,
+  parameters,
+  ref
+};
@@ -0,0 +1,72 @@
+// How often expired keys are swept out of memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// In-memory Idempotency-Key store, used when Redis isn't configured or is
+// unreachable. Keys are only shared within one process.
+class MemoryIdempotencyRepository {
+  constructor() {
+    this.records = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  // Store `record` under `key` unless the key is taken. Resolves with null
+  // when the key was reserved, or with the record already stored.
+  async reserve(key, record, ttlSeconds) {
+    this.sweep();
+
+    const existing = this.get(key);
+
+    if (existing) {
+      return existing;
+    }
+
+    this.records.set(key, { record, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    return null;
+  }
+
+  // Replace the record stored under `key`, restarting its expiry
+  async complete(key, record, ttlSeconds) {
+    this.records.set(key, { record, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  // Free `key` so the request can be made again
+  async release(key) {
+    this.records.delete(key);
+  }
+
+  // The unexpired record stored under `key`, or null
+  get(key) {
+    const entry = this.records.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    return entry.record;
+  }
+
+  // Drop expired keys, at most once per sweep interval
+  sweep() {
+    const now = Date.now();
+
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) {
+      return;
+    }
+
+    for (const [key, entry] of this.records) {
+      if (entry.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+
+    this.lastSweep = now;
+  }
+
+  // Clear all keys (for testing)
+  async clear() {
+    this.records.clear();
+  }
+}
+
+module.exports = new MemoryIdempotencyRepository();
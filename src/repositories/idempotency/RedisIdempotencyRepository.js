@@ -0,0 +1,95 @@
+const Redis = require('ioredis');
+const config = require('../../shared/config/environment');
+const memoryRepository = require('./MemoryIdempotencyRepository');
+const { logger } = require('../../utils/logger');
+
+// Redis Idempotency-Key store, shared by every API instance. While Redis is
+// unreachable the keys are kept in memory instead, so requests are never
+// failed because of the store.
+class RedisIdempotencyRepository {
+  constructor(options = config.idempotency.redis) {
+    this.options = options;
+    this.client = null;
+  }
+
+  // The connected client, or null while Redis is unreachable. The first
+  // call connects; ioredis keeps reconnecting after that.
+  getClient() {
+    if (!this.client) {
+      this.client = new Redis({
+        host: this.options.host,
+        port: this.options.port,
+        password: this.options.password,
+        keyPrefix: 'idempotency:',
+        lazyConnect: true,
+        maxRetriesPerRequest: 1,
+        // Fail commands at once while disconnected rather than queueing them
+        enableOfflineQueue: false
+      });
+
+      this.client.on('error', (error) => {
+        logger.warn('Idempotency store Redis error', { error: error.message });
+      });
+
+      this.client.connect().catch(() => {});
+    }
+
+    return this.client.status === 'ready' ? this.client : null;
+  }
+
+  // Run `command` against Redis, or `fallback` against the memory store when
+  // Redis is unreachable
+  async run(command, fallback) {
+    const client = this.getClient();
+
+    if (client) {
+      try {
+        return await command(client);
+      } catch (error) {
+        logger.warn('Idempotency store falling back to memory', { error: error.message });
+      }
+    }
+
+    return fallback(memoryRepository);
+  }
+
+  // Store `record` under `key` unless the key is taken. Resolves with null
+  // when the key was reserved, or with the record already stored.
+  async reserve(key, record, ttlSeconds) {
+    return this.run(async (client) => {
+      const reserved = await client.set(key, JSON.stringify(record), 'EX', ttlSeconds, 'NX');
+
+      if (reserved) {
+        return null;
+      }
+
+      const existing = await client.get(key);
+
+      // The key expired in between; try again
+      return existing ? JSON.parse(existing) : this.reserve(key, record, ttlSeconds);
+    }, memory => memory.reserve(key, record, ttlSeconds));
+  }
+
+  // Replace the record stored under `key`, restarting its expiry
+  async complete(key, record, ttlSeconds) {
+    return this.run(
+      client => client.set(key, JSON.stringify(record), 'EX', ttlSeconds),
+      memory => memory.complete(key, record, ttlSeconds)
+    );
+  }
+
+  // Free `key` so the request can be made again
+  async release(key) {
+    return this.run(
+      client => client.del(key),
+      memory => memory.release(key)
+    );
+  }
+
+  // Clear the keys kept in memory (for testing)
+  async clear() {
+    await memoryRepository.clear();
+  }
+}
+
+module.exports = new RedisIdempotencyRepository();
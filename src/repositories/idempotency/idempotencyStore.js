@@ -0,0 +1,14 @@
+const config = require('../../shared/config/environment');
+
+const drivers = {
+  memory: () => require('./MemoryIdempotencyRepository'),
+  redis: () => require('./RedisIdempotencyRepository')
+};
+
+const driver = drivers[config.idempotency.storeDriver];
+
+if (!driver) {
+  throw new Error(`Unknown idempotency store driver "${config.idempotency.storeDriver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+module.exports = driver();
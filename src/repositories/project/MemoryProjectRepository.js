@@ -0,0 +1,61 @@
+const Project = require('../../models/Project');
+const { logger } = require('../../utils/logger');
+
+// In-memory project store used with the memory task store driver
+class MemoryProjectRepository {
+  constructor() {
+    this.projects = new Map();
+  }
+
+  // Store a new project
+  async create(project) {
+    this.projects.set(project.id, project);
+
+    logger.info('Project created', { projectId: project.id, name: project.name });
+
+    return project;
+  }
+
+  // Get a project by ID, or null
+  async findById(id) {
+    return this.projects.get(id) || null;
+  }
+
+  // Get all projects, or only those the given user is a member of, by name
+  async findAll({ memberId } = {}) {
+    return Array.from(this.projects.values())
+      .filter(project => !memberId || project.getMemberRole(memberId))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Persist a changed project
+  async update(project) {
+    if (!this.projects.has(project.id)) {
+      throw new Error(`Project with ID ${project.id} not found`);
+    }
+
+    this.projects.set(project.id, project);
+
+    logger.info('Project updated', { projectId: project.id });
+
+    return project;
+  }
+
+  // Delete a project
+  async delete(id) {
+    const deleted = this.projects.delete(id);
+
+    if (deleted) {
+      logger.info('Project deleted', { projectId: id });
+    }
+
+    return deleted;
+  }
+
+  // Clear all projects (for testing)
+  async clear() {
+    this.projects.clear();
+  }
+}
+
+module.exports = new MemoryProjectRepository();
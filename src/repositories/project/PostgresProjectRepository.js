@@ -0,0 +1,110 @@
+const dbConnection = require('../../database/connection');
+const taskRepository = require('../task/PostgresTaskRepository');
+const Project = require('../../models/Project');
+const { logger } = require('../../utils/logger');
+
+// PostgreSQL project store. Members, board columns and labels are kept as
+// JSONB on the project row.
+class PostgresProjectRepository {
+  // Share the task repository's lazy pool initialization
+  async ensureConnected() {
+    await taskRepository.ensureConnected();
+  }
+
+  // Store a new project
+  async create(project) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(`
+      INSERT INTO projects (id, name, description, columns, labels, members, created_by, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      project.id,
+      project.name,
+      project.description,
+      project.columns ? JSON.stringify(project.columns) : null,
+      JSON.stringify(project.labels),
+      JSON.stringify(project.members),
+      project.createdBy,
+      project.createdAt,
+      project.updatedAt
+    ]);
+
+    logger.info('Project created', { projectId: project.id, name: project.name });
+
+    return Project.fromDbRow(result.rows[0]);
+  }
+
+  // Get a project by ID, or null
+  async findById(id) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query('SELECT * FROM projects WHERE id = $1', [id]);
+
+    return result.rows.length > 0 ? Project.fromDbRow(result.rows[0]) : null;
+  }
+
+  // Get all projects, or only those the given user is a member of, by name
+  async findAll({ memberId } = {}) {
+    await this.ensureConnected();
+
+    const result = memberId
+      ? await dbConnection.query(
+        'SELECT * FROM projects WHERE members @> $1::jsonb ORDER BY name ASC',
+        [JSON.stringify([{ userId: memberId }])]
+      )
+      : await dbConnection.query('SELECT * FROM projects ORDER BY name ASC');
+
+    return result.rows.map(row => Project.fromDbRow(row));
+  }
+
+  // Persist a changed project
+  async update(project) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(`
+      UPDATE projects
+      SET name = $2, description = $3, columns = $4, labels = $5, members = $6, updated_at = $7
+      WHERE id = $1
+      RETURNING *
+    `, [
+      project.id,
+      project.name,
+      project.description,
+      project.columns ? JSON.stringify(project.columns) : null,
+      JSON.stringify(project.labels),
+      JSON.stringify(project.members),
+      project.updatedAt
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Project with ID ${project.id} not found`);
+    }
+
+    logger.info('Project updated', { projectId: project.id });
+
+    return Project.fromDbRow(result.rows[0]);
+  }
+
+  // Delete a project
+  async delete(id) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query('DELETE FROM projects WHERE id = $1', [id]);
+
+    if (result.rowCount > 0) {
+      logger.info('Project deleted', { projectId: id });
+    }
+
+    return result.rowCount > 0;
+  }
+
+  // Clear all projects (for testing)
+  async clear() {
+    await this.ensureConnected();
+    await dbConnection.query('DELETE FROM projects');
+  }
+}
+
+module.exports = new PostgresProjectRepository();
@@ -0,0 +1,95 @@
+const TaskComment = require('../../models/TaskComment');
+const { logger } = require('../../utils/logger');
+
+// In-memory task comment store used with the memory task store driver
+class MemoryTaskCommentRepository {
+  constructor() {
+    this.comments = new Map();
+  }
+
+  // Store a new comment
+  async create(comment) {
+    this.comments.set(comment.id, comment);
+
+    logger.info('Task comment created', { taskId: comment.taskId, commentId: comment.id });
+
+    return comment;
+  }
+
+  // Get a comment on a task, or null
+  async findById(taskId, commentId) {
+    const comment = this.comments.get(commentId);
+    return comment && comment.taskId === taskId ? comment : null;
+  }
+
+  // Get all comments on a task, oldest first
+  async findByTaskId(taskId) {
+    return Array.from(this.comments.values())
+      .filter(comment => comment.taskId === taskId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  // Persist an edited comment
+  async update(comment) {
+    this.comments.set(comment.id, comment);
+
+    logger.info('Task comment updated', { taskId: comment.taskId, commentId: comment.id });
+
+    return comment;
+  }
+
+  // Delete a comment and every reply below it; returns the removed IDs
+  async delete(taskId, commentId) {
+    const removed = [];
+    const queue = [commentId];
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const comment = this.comments.get(id);
+
+      if (!comment || comment.taskId !== taskId) {
+        continue;
+      }
+
+      this.comments.delete(id);
+      removed.push(id);
+
+      for (const reply of this.comments.values()) {
+        if (reply.parentId === id) {
+          queue.push(reply.id);
+        }
+      }
+    }
+
+    if (removed.length > 0) {
+      logger.info('Task comment deleted', { taskId, commentId, removedCount: removed.length });
+    }
+
+    return removed;
+  }
+
+  // Drop every comment on a deleted task
+  async removeTask(taskId) {
+    for (const [id, comment] of this.comments) {
+      if (comment.taskId === taskId) {
+        this.comments.delete(id);
+      }
+    }
+  }
+
+  // Copy of the current comments, for restore() to roll back to
+  snapshot() {
+    return new Map(Array.from(this.comments, ([id, comment]) => [id, new TaskComment(comment)]));
+  }
+
+  restore(snapshot) {
+    this.comments = snapshot;
+  }
+
+  // Clear all comments (for testing)
+  async clear() {
+    this.comments.clear();
+  }
+}
+
+module.exports = new MemoryTaskCommentRepository();
@@ -0,0 +1,68 @@
+const { logger } = require('../../utils/logger');
+
+// In-memory "blocks / blocked by" edge store used with the memory task store
+// driver. An edge { blockerId, blockedId } means blockerId blocks blockedId.
+class MemoryTaskDependencyRepository {
+  constructor() {
+    this.edges = [];
+  }
+
+  // Add an edge (adding an existing edge returns it unchanged)
+  async add(blockerId, blockedId, createdBy = null) {
+    const existing = this.edges.find(edge => edge.blockerId === blockerId && edge.blockedId === blockedId);
+    if (existing) {
+      return { ...existing };
+    }
+
+    const edge = { blockerId, blockedId, createdBy, createdAt: new Date().toISOString() };
+    this.edges.push(edge);
+
+    logger.info('Task dependency added', { blockerId, blockedId });
+
+    return { ...edge };
+  }
+
+  // Remove an edge; returns whether it existed
+  async remove(blockerId, blockedId) {
+    const before = this.edges.length;
+    this.edges = this.edges.filter(edge => !(edge.blockerId === blockerId && edge.blockedId === blockedId));
+
+    const removed = this.edges.length < before;
+    if (removed) {
+      logger.info('Task dependency removed', { blockerId, blockedId });
+    }
+
+    return removed;
+  }
+
+  // Edges for the tasks blocking the given task
+  async findBlockers(taskId) {
+    return this.edges.filter(edge => edge.blockedId === taskId).map(edge => ({ ...edge }));
+  }
+
+  // Edges for the tasks the given task blocks
+  async findBlocking(taskId) {
+    return this.edges.filter(edge => edge.blockerId === taskId).map(edge => ({ ...edge }));
+  }
+
+  // Drop every edge touching a deleted task
+  async removeTask(taskId) {
+    this.edges = this.edges.filter(edge => edge.blockerId !== taskId && edge.blockedId !== taskId);
+  }
+
+  // Copy of the current edges, for restore() to roll back to
+  snapshot() {
+    return this.edges.map(edge => ({ ...edge }));
+  }
+
+  restore(snapshot) {
+    this.edges = snapshot;
+  }
+
+  // Clear all dependencies (for testing)
+  async clear() {
+    this.edges = [];
+  }
+}
+
+module.exports = new MemoryTaskDependencyRepository();
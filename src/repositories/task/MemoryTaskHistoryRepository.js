@@ -0,0 +1,66 @@
+const { logger } = require('../../utils/logger');
+
+// In-memory task revision store used with the memory task store driver
+class MemoryTaskHistoryRepository {
+  constructor() {
+    this.revisions = new Map();
+  }
+
+  // Append a revision (an AuditLog entry) to a task's history
+  async append(taskId, revision, auditLog) {
+    const history = this.revisions.get(taskId) || [];
+
+    if (history.some(entry => entry.revision === revision)) {
+      throw new Error(`Revision ${revision} already exists for task ${taskId}`);
+    }
+
+    history.push({ revision, auditLog });
+    this.revisions.set(taskId, history);
+
+    logger.info('Task revision recorded', { taskId, revision });
+
+    return { revision, auditLog };
+  }
+
+  // Get all revisions for a task, oldest first
+  async findByTaskId(taskId) {
+    return [...(this.revisions.get(taskId) || [])];
+  }
+
+  // Get the revisions of several tasks, as a Map of task ID to revisions
+  // oldest first (tasks without history are left out)
+  async findByTaskIds(taskIds) {
+    return new Map(taskIds
+      .filter(taskId => this.revisions.has(taskId))
+      .map(taskId => [taskId, [...this.revisions.get(taskId)]]));
+  }
+
+  // Get a single revision
+  async findRevision(taskId, revision) {
+    const history = this.revisions.get(taskId) || [];
+    return history.find(entry => entry.revision === revision) || null;
+  }
+
+  // Get the most recent revision
+  async findLatest(taskId) {
+    const history = this.revisions.get(taskId) || [];
+    return history.length > 0 ? history[history.length - 1] : null;
+  }
+
+  // Copy of the current histories, for restore() to roll back to. Revisions
+  // are never modified, only appended.
+  snapshot() {
+    return new Map(Array.from(this.revisions, ([taskId, history]) => [taskId, [...history]]));
+  }
+
+  restore(snapshot) {
+    this.revisions = snapshot;
+  }
+
+  // Clear all revisions (for testing)
+  async clear() {
+    this.revisions.clear();
+  }
+}
+
+module.exports = new MemoryTaskHistoryRepository();
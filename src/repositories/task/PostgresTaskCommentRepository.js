@@ -0,0 +1,126 @@
+const dbConnection = require('../../database/connection');
+const taskRepository = require('./PostgresTaskRepository');
+const TaskComment = require('../../models/TaskComment');
+const { logger } = require('../../utils/logger');
+
+// PostgreSQL task comment store. Replies reference their parent comment and
+// are removed with it; all comments are removed with their task.
+class PostgresTaskCommentRepository {
+  // Share the task repository's lazy pool initialization
+  async ensureConnected() {
+    await taskRepository.ensureConnected();
+  }
+
+  // Store a new comment
+  async create(comment) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(`
+      INSERT INTO task_comments (id, task_id, parent_id, author_id, body, mentions, edits, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      comment.id,
+      comment.taskId,
+      comment.parentId,
+      comment.authorId,
+      comment.body,
+      JSON.stringify(comment.mentions),
+      JSON.stringify(comment.edits),
+      comment.createdAt,
+      comment.updatedAt
+    ]);
+
+    logger.info('Task comment created', { taskId: comment.taskId, commentId: comment.id });
+
+    return TaskComment.fromDbRow(result.rows[0]);
+  }
+
+  // Get a comment on a task, or null
+  async findById(taskId, commentId) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      'SELECT * FROM task_comments WHERE id = $1 AND task_id = $2',
+      [commentId, taskId]
+    );
+
+    return result.rows.length > 0 ? TaskComment.fromDbRow(result.rows[0]) : null;
+  }
+
+  // Get all comments on a task, oldest first
+  async findByTaskId(taskId) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      'SELECT * FROM task_comments WHERE task_id = $1 ORDER BY created_at ASC',
+      [taskId]
+    );
+
+    return result.rows.map(row => TaskComment.fromDbRow(row));
+  }
+
+  // Persist an edited comment
+  async update(comment) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(`
+      UPDATE task_comments
+      SET body = $3, mentions = $4, edits = $5, updated_at = $6
+      WHERE id = $1 AND task_id = $2
+      RETURNING *
+    `, [
+      comment.id,
+      comment.taskId,
+      comment.body,
+      JSON.stringify(comment.mentions),
+      JSON.stringify(comment.edits),
+      comment.updatedAt
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Comment ${comment.id} on task ${comment.taskId} not found`);
+    }
+
+    logger.info('Task comment updated', { taskId: comment.taskId, commentId: comment.id });
+
+    return TaskComment.fromDbRow(result.rows[0]);
+  }
+
+  // Delete a comment and every reply below it; returns the removed IDs
+  async delete(taskId, commentId) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(`
+      WITH RECURSIVE thread AS (
+        SELECT id FROM task_comments WHERE id = $1 AND task_id = $2
+        UNION ALL
+        SELECT c.id FROM task_comments c JOIN thread t ON c.parent_id = t.id
+      )
+      DELETE FROM task_comments WHERE id IN (SELECT id FROM thread)
+      RETURNING id
+    `, [commentId, taskId]);
+
+    const removed = result.rows.map(row => row.id);
+
+    if (removed.length > 0) {
+      logger.info('Task comment deleted', { taskId, commentId, removedCount: removed.length });
+    }
+
+    return removed;
+  }
+
+  // Drop every comment on a deleted task (the foreign key cascades too)
+  async removeTask(taskId) {
+    await this.ensureConnected();
+    await dbConnection.query('DELETE FROM task_comments WHERE task_id = $1', [taskId]);
+  }
+
+  // Clear all comments (for testing)
+  async clear() {
+    await this.ensureConnected();
+    await dbConnection.query('DELETE FROM task_comments');
+  }
+}
+
+module.exports = new PostgresTaskCommentRepository();
@@ -0,0 +1,95 @@
+const dbConnection = require('../../database/connection');
+const taskRepository = require('./PostgresTaskRepository');
+const { logger } = require('../../utils/logger');
+
+// PostgreSQL "blocks / blocked by" edge store. A row (blocker_id, blocked_id)
+// means blocker_id blocks blocked_id; rows are removed with either task.
+class PostgresTaskDependencyRepository {
+  // Share the task repository's lazy pool initialization
+  async ensureConnected() {
+    await taskRepository.ensureConnected();
+  }
+
+  static toEdge(row) {
+    return {
+      blockerId: row.blocker_id,
+      blockedId: row.blocked_id,
+      createdBy: row.created_by,
+      createdAt: new Date(row.created_at).toISOString()
+    };
+  }
+
+  // Add an edge (adding an existing edge returns it unchanged)
+  async add(blockerId, blockedId, createdBy = null) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(`
+      INSERT INTO task_dependencies (blocker_id, blocked_id, created_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (blocker_id, blocked_id) DO UPDATE SET blocker_id = EXCLUDED.blocker_id
+      RETURNING *
+    `, [blockerId, blockedId, createdBy]);
+
+    logger.info('Task dependency added', { blockerId, blockedId });
+
+    return PostgresTaskDependencyRepository.toEdge(result.rows[0]);
+  }
+
+  // Remove an edge; returns whether it existed
+  async remove(blockerId, blockedId) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      'DELETE FROM task_dependencies WHERE blocker_id = $1 AND blocked_id = $2',
+      [blockerId, blockedId]
+    );
+
+    if (result.rowCount > 0) {
+      logger.info('Task dependency removed', { blockerId, blockedId });
+    }
+
+    return result.rowCount > 0;
+  }
+
+  // Edges for the tasks blocking the given task
+  async findBlockers(taskId) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      'SELECT * FROM task_dependencies WHERE blocked_id = $1 ORDER BY created_at ASC',
+      [taskId]
+    );
+
+    return result.rows.map(PostgresTaskDependencyRepository.toEdge);
+  }
+
+  // Edges for the tasks the given task blocks
+  async findBlocking(taskId) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      'SELECT * FROM task_dependencies WHERE blocker_id = $1 ORDER BY created_at ASC',
+      [taskId]
+    );
+
+    return result.rows.map(PostgresTaskDependencyRepository.toEdge);
+  }
+
+  // Drop every edge touching a deleted task (the foreign keys cascade too)
+  async removeTask(taskId) {
+    await this.ensureConnected();
+
+    await dbConnection.query(
+      'DELETE FROM task_dependencies WHERE blocker_id = $1 OR blocked_id = $1',
+      [taskId]
+    );
+  }
+
+  // Clear all dependencies (for testing)
+  async clear() {
+    await this.ensureConnected();
+    await dbConnection.query('DELETE FROM task_dependencies');
+  }
+}
+
+module.exports = new PostgresTaskDependencyRepository();
@@ -0,0 +1,124 @@
+const dbConnection = require('../../database/connection');
+const taskRepository = require('./PostgresTaskRepository');
+const AuditLog = require('../../models/security/AuditLog');
+const { logger } = require('../../utils/logger');
+
+// PostgreSQL task revision store. Rows carry the AuditLog columns so each
+// revision keeps its signature hash and can be verified on read.
+class PostgresTaskHistoryRepository {
+  // Share the task repository's lazy pool initialization
+  async ensureConnected() {
+    await taskRepository.ensureConnected();
+  }
+
+  static toEntry(row) {
+    return {
+      revision: row.revision,
+      auditLog: AuditLog.fromDbRow(row)
+    };
+  }
+
+  // Append a revision (an AuditLog entry) to a task's history
+  async append(taskId, revision, auditLog) {
+    await this.ensureConnected();
+
+    const row = auditLog.toDbRow();
+
+    const query = `
+      INSERT INTO task_revisions (
+        id, task_id, revision, timestamp, event_type, event_subtype,
+        user_id, severity, message, metadata, signature_hash, created_at
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12
+      ) RETURNING *
+    `;
+
+    const result = await dbConnection.query(query, [
+      row.id,
+      taskId,
+      revision,
+      row.timestamp,
+      row.event_type,
+      row.event_subtype,
+      row.user_id,
+      row.severity,
+      row.message,
+      row.metadata,
+      row.signature_hash,
+      row.created_at
+    ]);
+
+    logger.info('Task revision recorded', { taskId, revision });
+
+    return PostgresTaskHistoryRepository.toEntry(result.rows[0]);
+  }
+
+  // Get all revisions for a task, oldest first
+  async findByTaskId(taskId) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      'SELECT * FROM task_revisions WHERE task_id = $1 ORDER BY revision ASC',
+      [taskId]
+    );
+
+    return result.rows.map(PostgresTaskHistoryRepository.toEntry);
+  }
+
+  // Get the revisions of several tasks, as a Map of task ID to revisions
+  // oldest first (tasks without history are left out)
+  async findByTaskIds(taskIds) {
+    await this.ensureConnected();
+
+    const histories = new Map();
+
+    if (taskIds.length === 0) {
+      return histories;
+    }
+
+    const result = await dbConnection.query(
+      'SELECT * FROM task_revisions WHERE task_id = ANY($1::uuid[]) ORDER BY task_id, revision ASC',
+      [taskIds]
+    );
+
+    result.rows.forEach((row) => {
+      const history = histories.get(row.task_id) || [];
+      history.push(PostgresTaskHistoryRepository.toEntry(row));
+      histories.set(row.task_id, history);
+    });
+
+    return histories;
+  }
+
+  // Get a single revision
+  async findRevision(taskId, revision) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      'SELECT * FROM task_revisions WHERE task_id = $1 AND revision = $2',
+      [taskId, revision]
+    );
+
+    return result.rows.length > 0 ? PostgresTaskHistoryRepository.toEntry(result.rows[0]) : null;
+  }
+
+  // Get the most recent revision
+  async findLatest(taskId) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      'SELECT * FROM task_revisions WHERE task_id = $1 ORDER BY revision DESC LIMIT 1',
+      [taskId]
+    );
+
+    return result.rows.length > 0 ? PostgresTaskHistoryRepository.toEntry(result.rows[0]) : null;
+  }
+
+  // Clear all revisions (for testing)
+  async clear() {
+    await this.ensureConnected();
+    await dbConnection.query('DELETE FROM task_revisions');
+  }
+}
+
+module.exports = new PostgresTaskHistoryRepository();
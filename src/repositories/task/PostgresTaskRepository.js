@@ -0,0 +1,766 @@
+const dbConnection = require('../../database/connection');
+const Task = require('../../models/Task');
+const workflowEngine = require('../../services/workflow/WorkflowEngine');
+const { TASK_PRIORITIES } = require('../../utils/validators');
+const { FILTER_FIELDS, resolveSort, encodeCursor, decodeCursor } = require('../../utils/taskQuery');
+const { MIN_FUZZY_LENGTH } = require('../../utils/textSearch');
+const { logger } = require('../../utils/logger');
+
+// ORDER BY expressions for the supported sort fields
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  deletedAt: 'deleted_at',
+  dueDate: 'due_date',
+  priority: `CASE priority ${TASK_PRIORITIES.map((p, rank) => `WHEN '${p}' THEN ${rank}`).join(' ')} END`,
+  title: 'LOWER(title)',
+  estimate: 'estimate',
+  id: 'id'
+};
+
+// Text matched by trigram similarity for misspelled search words; must match
+// the expression of idx_tasks_search_trgm (migrations/task/009)
+const SEARCH_TEXT = "(title || ' ' || description)";
+
+// Share of the rank given to trigram similarity, next to ts_rank_cd
+const FUZZY_RANK_WEIGHT = 0.1;
+
+// Sort fields whose column may be NULL (nulls always sort last)
+const NULLABLE_SORT_FIELDS = ['dueDate', 'estimate'];
+
+// Cursor keys hold timestamps as epoch milliseconds (see SORT_VALUES in
+// src/utils/taskQuery.js); convert them back for comparison
+const CURSOR_PARAMS = {
+  createdAt: param => `to_timestamp(${param}::double precision / 1000)`,
+  updatedAt: param => `to_timestamp(${param}::double precision / 1000)`,
+  deletedAt: param => `to_timestamp(${param}::double precision / 1000)`,
+  dueDate: param => `to_timestamp(${param}::double precision / 1000)`,
+  id: param => `${param}::uuid`
+};
+
+// Columns for the filter expression fields
+const FILTER_COLUMNS = {
+  status: 'status',
+  priority: 'priority',
+  assignee: 'assignee_id',
+  createdBy: 'created_by',
+  projectId: 'project_id',
+  parentId: 'parent_id',
+  templateId: 'template_id',
+  externalId: 'external_id',
+  tags: 'tags',
+  dueDate: 'due_date',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  estimate: 'estimate'
+};
+
+// Array types for "in" lists, by filter value type
+const LIST_TYPES = { id: 'uuid[]', date: 'timestamptz[]', number: 'int[]' };
+
+// Compile a parsed filter expression into a WHERE fragment, appending its
+// parameters to `values`. Mirrors matchesFilter in src/utils/taskQuery.js,
+// including treating missing values as "not equal" to anything.
+const buildFilterClause = (node, values) => {
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (node.type === 'and' || node.type === 'or') {
+    return `(${node.clauses.map(clause => buildFilterClause(clause, values)).join(` ${node.type.toUpperCase()} `)})`;
+  }
+
+  const field = FILTER_FIELDS[node.field];
+  const column = FILTER_COLUMNS[node.field];
+
+  if (node.type === 'in') {
+    if (field.array) {
+      const overlap = `${column} && ${param(node.values)}::text[]`;
+      return node.negated ? `NOT (${overlap})` : overlap;
+    }
+
+    const match = `${column} = ANY(${param(node.values)}::${LIST_TYPES[field.type] || 'text[]'})`;
+    return node.negated ? `(${column} IS NULL OR NOT ${match})` : match;
+  }
+
+  if (field.array) {
+    const contains = `${param(node.value)} = ANY(${column})`;
+    return node.op === '=' ? contains : `NOT (${contains})`;
+  }
+
+  if (node.value === null) {
+    return `${column} IS ${node.op === '=' ? '' : 'NOT '}NULL`;
+  }
+
+  if (node.op === '!=') {
+    return `${column} IS DISTINCT FROM ${param(node.value)}`;
+  }
+
+  // Priorities order by rank, not alphabetically
+  if (field.type === 'priority' && node.op !== '=') {
+    return `${SORT_COLUMNS.priority} ${node.op} ${param(TASK_PRIORITIES.indexOf(node.value))}`;
+  }
+
+  return `${column} ${node.op} ${param(node.value)}`;
+};
+
+// ORDER BY list for a resolved sort
+const buildOrderBy = sort => sort
+  .map(({ field, order }) =>
+    `${SORT_COLUMNS[field]} ${order.toUpperCase()}${NULLABLE_SORT_FIELDS.includes(field) ? ' NULLS LAST' : ''}`)
+  .join(', ');
+
+// Keyset condition selecting the rows after a cursor key: for some sort
+// field i, every earlier field equals the key and field i comes after it
+const buildCursorClause = (sort, key, values) => {
+  const param = (field, value) => {
+    values.push(value);
+    const placeholder = `$${values.length}`;
+    return CURSOR_PARAMS[field] ? CURSOR_PARAMS[field](placeholder) : placeholder;
+  };
+
+  const branches = sort.map(({ field, order }, i) => {
+    const equalities = sort.slice(0, i).map((previous, j) => (key[j] === null
+      ? `${SORT_COLUMNS[previous.field]} IS NULL`
+      : `${SORT_COLUMNS[previous.field]} = ${param(previous.field, key[j])}`));
+
+    let after = 'FALSE'; // Nothing sorts after a null (nulls are last)
+    if (key[i] !== null) {
+      const comparison = `${SORT_COLUMNS[field]} ${order === 'asc' ? '>' : '<'} ${param(field, key[i])}`;
+      after = NULLABLE_SORT_FIELDS.includes(field)
+        ? `(${comparison} OR ${SORT_COLUMNS[field]} IS NULL)`
+        : comparison;
+    }
+
+    return `(${[...equalities, after].join(' AND ')})`;
+  });
+
+  return `(${branches.join(' OR ')})`;
+};
+
+// PostgreSQL-backed task store. Exposes the same interface as the in-memory
+// DataStore (src/utils/dataStore.js) so TaskService can use either driver.
+class PostgresTaskRepository {
+  constructor() {
+    this.connecting = null;
+  }
+
+  // Lazily initialize the shared pool on first use
+  async ensureConnected() {
+    if (dbConnection.isConnected) {
+      return;
+    }
+
+    if (!this.connecting) {
+      this.connecting = dbConnection.initialize().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    await this.connecting;
+  }
+
+  // Create a new task
+  async createTask(taskData) {
+    await this.ensureConnected();
+
+    const task = Task.create(taskData);
+
+    const query = `
+      INSERT INTO tasks (id, title, description, status, project_id, created_by, assignee_id,
+                         due_date, priority, estimate, parent_id, checklist, tags, recurrence, template_id,
+                         external_id, version, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+      RETURNING *
+    `;
+
+    const result = await dbConnection.query(query, [
+      task.id,
+      task.title,
+      task.description,
+      task.status,
+      task.projectId,
+      task.createdBy,
+      task.assigneeId,
+      task.dueDate,
+      task.priority,
+      task.estimate,
+      task.parentId,
+      JSON.stringify(task.checklist),
+      task.tags,
+      task.recurrence ? JSON.stringify(task.recurrence) : null,
+      task.templateId,
+      task.externalId,
+      task.version,
+      task.createdAt,
+      task.updatedAt
+    ]);
+
+    logger.info('Task created', {
+      taskId: task.id,
+      title: task.title
+    });
+
+    return Task.fromDbRow(result.rows[0]);
+  }
+
+  // Get all tasks with pagination, filtering, and search
+  async getAllTasks(options = {}) {
+    await this.ensureConnected();
+
+    const { conditions, values } = this.buildConditions(options);
+    const { rows, pagination } = await this.queryPage(conditions, values, options);
+
+    logger.info('Tasks retrieved', {
+      page: pagination.page,
+      limit: pagination.limit,
+      total: pagination.total
+    });
+
+    return {
+      tasks: rows.map(row => Task.fromDbRow(row).toJSON()),
+      pagination
+    };
+  }
+
+  // Full-text search over the search_vector column, with trigram similarity
+  // for misspelled words. `query` is a parsed search query (see
+  // src/utils/textSearch.js); other options filter and page the results as in
+  // getAllTasks. Results are ranked by relevance unless a sort is given.
+  async searchTasks(query, options = {}) {
+    await this.ensureConnected();
+
+    const { conditions, values } = this.buildConditions(options);
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const rankQueries = [];
+    const fuzzyWords = [];
+
+    query.terms.forEach((term) => {
+      const word = param(term.word);
+      const tsquery = `plainto_tsquery('english', ${word})`;
+      rankQueries.push(tsquery);
+
+      if (term.exact || term.word.length < MIN_FUZZY_LENGTH) {
+        conditions.push(`search_vector @@ ${tsquery}`);
+      } else {
+        fuzzyWords.push(word);
+        conditions.push(`(search_vector @@ ${tsquery} OR ${word} <% ${SEARCH_TEXT})`);
+      }
+    });
+
+    query.phrases.forEach((phrase) => {
+      const tsquery = `phraseto_tsquery('english', ${param(phrase.text)})`;
+      rankQueries.push(tsquery);
+      conditions.push(`search_vector @@ ${tsquery}`);
+    });
+
+    query.excluded.forEach((term) => {
+      conditions.push(`NOT (search_vector @@ plainto_tsquery('english', ${param(term.word)}))`);
+    });
+
+    // Misspelled words aren't in the tsquery, so their trigram similarity
+    // adds a smaller share of the rank. The rank only reuses the condition
+    // parameters, which the count query shares.
+    const rank = [
+      `ts_rank_cd(search_vector, ${rankQueries.join(' || ')})`,
+      ...(fuzzyWords.length > 0
+        ? [`${FUZZY_RANK_WEIGHT} * GREATEST(${fuzzyWords.map(word => `word_similarity(${word}, ${SEARCH_TEXT})`).join(', ')})`]
+        : [])
+    ].join(' + ');
+
+    const { rows, pagination } = await this.queryPage(conditions, values, options, rank);
+
+    logger.info('Tasks searched', {
+      page: pagination.page,
+      limit: pagination.limit,
+      total: pagination.total
+    });
+
+    return {
+      tasks: rows.map(row => Task.fromDbRow(row).toJSON()),
+      scores: Object.fromEntries(rows.map(row => [row.id, Number(row.rank)])),
+      pagination
+    };
+  }
+
+  // WHERE conditions and parameters for the ownership scope and list
+  // filters. Tasks in the trash are left out unless `deleted` asks for them
+  // instead.
+  buildConditions(options = {}) {
+    const {
+      deleted = false,
+      deletedBefore,
+      status,
+      search,
+      ownerId,
+      projectIds = [],
+      projectId,
+      priority,
+      dueBefore,
+      dueAfter,
+      filter
+    } = options;
+
+    const conditions = [deleted ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+    const values = [];
+
+    if (deletedBefore) {
+      values.push(deletedBefore);
+      conditions.push(`deleted_at < $${values.length}`);
+    }
+
+    // Tasks created by or assigned to the user, or in one of their projects
+    if (ownerId) {
+      values.push(ownerId);
+      const ownerIndex = values.length;
+
+      if (projectIds.length > 0) {
+        values.push(projectIds);
+        conditions.push(`(created_by = $${ownerIndex} OR assignee_id = $${ownerIndex} OR project_id = ANY($${values.length}))`);
+      } else {
+        conditions.push(`(created_by = $${ownerIndex} OR assignee_id = $${ownerIndex})`);
+      }
+    }
+
+    if (projectId) {
+      values.push(projectId);
+      conditions.push(`project_id = $${values.length}`);
+    }
+
+    if (status) {
+      values.push(status);
+      conditions.push(`status = $${values.length}`);
+    }
+
+    if (search) {
+      values.push(`%${search.toLowerCase()}%`);
+      conditions.push(`(LOWER(title) LIKE $${values.length} OR LOWER(description) LIKE $${values.length})`);
+    }
+
+    if (priority) {
+      values.push(priority);
+      conditions.push(`priority = $${values.length}`);
+    }
+
+    if (dueBefore) {
+      values.push(dueBefore);
+      conditions.push(`due_date <= $${values.length}`);
+    }
+
+    if (dueAfter) {
+      values.push(dueAfter);
+      conditions.push(`due_date >= $${values.length}`);
+    }
+
+    if (filter) {
+      conditions.push(buildFilterClause(filter, values));
+    }
+
+    return { conditions, values };
+  }
+
+  // Count, sort and page the tasks matching `conditions`. Given a `rank`
+  // expression and no explicit sort, tasks are ranked by it instead, which
+  // can only be paged by page number.
+  async queryPage(conditions, values, options = {}, rank = null) {
+    const {
+      page = 1,
+      limit = 10,
+      sort,
+      cursor,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = options;
+
+    if (!sort && !SORT_COLUMNS[sortBy]) throw new Error(`Cannot sort by ${sortBy}`);
+
+    // Convert page and limit to numbers
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    // Validate pagination parameters
+    if (pageNum < 1) throw new Error('Page must be greater than 0');
+    if (limitNum < 1 || limitNum > 100) throw new Error('Limit must be between 1 and 100');
+
+    const ranked = Boolean(rank) && !sort;
+    if (ranked && cursor) throw new Error('Cursors require an explicit sort when searching');
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await dbConnection.query(
+      `SELECT COUNT(*)::int AS total FROM tasks ${whereClause}`,
+      values
+    );
+    const total = countResult.rows[0].total;
+
+    // Sort, breaking ties by creation date and ID
+    const resolvedSort = resolveSort(sort || [{ field: sortBy, order: sortOrder === 'asc' ? 'asc' : 'desc' }]);
+    const orderBy = `${ranked ? 'rank DESC, ' : ''}${buildOrderBy(resolvedSort)}`;
+    const columns = rank ? `*, ${rank} AS rank` : '*';
+
+    let rows;
+
+    if (cursor) {
+      // Keyset pagination: continue after the cursor, fetching one extra
+      // row to tell whether there is a next page
+      const pageValues = [...values];
+      const cursorClause = buildCursorClause(resolvedSort, decodeCursor(cursor, resolvedSort), pageValues);
+      const rowsResult = await dbConnection.query(
+        `SELECT ${columns} FROM tasks
+         ${whereClause ? `${whereClause} AND ${cursorClause}` : `WHERE ${cursorClause}`}
+         ORDER BY ${orderBy}
+         LIMIT $${pageValues.length + 1}`,
+        [...pageValues, limitNum + 1]
+      );
+      rows = rowsResult.rows;
+    } else {
+      const offset = (pageNum - 1) * limitNum;
+      const rowsResult = await dbConnection.query(
+        `SELECT ${columns} FROM tasks ${whereClause}
+         ORDER BY ${orderBy}
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limitNum, offset]
+      );
+      rows = rowsResult.rows;
+    }
+
+    const totalPages = Math.ceil(total / limitNum);
+    const hasNext = cursor ? rows.length > limitNum : pageNum < totalPages;
+    const pageRows = rows.slice(0, limitNum);
+    const lastTask = pageRows.length > 0 ? Task.fromDbRow(pageRows[pageRows.length - 1]) : null;
+    const nextCursor = hasNext && lastTask && !ranked ? encodeCursor(lastTask, resolvedSort) : null;
+
+    return {
+      rows: pageRows,
+      pagination: cursor
+        ? { limit: limitNum, total, hasNext, nextCursor }
+        : {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages,
+          hasNext,
+          hasPrev: pageNum > 1,
+          nextCursor
+        }
+    };
+  }
+
+  // Get task by ID, or a task in the trash when `deleted` is set
+  async getTaskById(id, { deleted = false } = {}) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      `SELECT * FROM tasks WHERE id = $1 AND deleted_at IS ${deleted ? 'NOT ' : ''}NULL`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(deleted ? `Task with ID ${id} not found in trash` : `Task with ID ${id} not found`);
+    }
+
+    logger.info('Task retrieved by ID', { taskId: id });
+    return Task.fromDbRow(result.rows[0]);
+  }
+
+  // Get every task due at or before the given time, across all users
+  async getDueTasks(options = {}) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      'SELECT * FROM tasks WHERE deleted_at IS NULL AND due_date IS NOT NULL AND due_date <= $1 ORDER BY due_date ASC',
+      [options.dueBefore]
+    );
+
+    return result.rows.map(row => Task.fromDbRow(row));
+  }
+
+  // Get the direct subtasks of a task, oldest first
+  async getSubtasks(parentId) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      'SELECT * FROM tasks WHERE parent_id = $1 AND deleted_at IS NULL ORDER BY created_at ASC',
+      [parentId]
+    );
+
+    return result.rows.map(row => Task.fromDbRow(row));
+  }
+
+  // Get every recurring task (series template) whose next occurrence is at
+  // or before the given time, skipping paused series
+  async getDueRecurringTasks(options = {}) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      `SELECT * FROM tasks
+       WHERE deleted_at IS NULL
+         AND recurrence IS NOT NULL
+         AND (recurrence->>'paused')::boolean IS NOT TRUE
+         AND (recurrence->>'nextAt')::timestamptz <= $1
+       ORDER BY (recurrence->>'nextAt')::timestamptz ASC`,
+      [options.dueBefore]
+    );
+
+    return result.rows.map(row => Task.fromDbRow(row));
+  }
+
+  // Get the instances generated from a series template, oldest first
+  async getSeriesInstances(templateId) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      'SELECT * FROM tasks WHERE template_id = $1 AND deleted_at IS NULL ORDER BY created_at ASC',
+      [templateId]
+    );
+
+    return result.rows.map(row => Task.fromDbRow(row));
+  }
+
+  // Update task by ID, optionally only while it is at one of the expected
+  // versions (the row stays locked between the check and the update)
+  async updateTask(id, updateData, { expectedVersions = null } = {}) {
+    await this.ensureConnected();
+
+    const task = await dbConnection.transaction(async (client) => {
+      const existing = await client.query('SELECT * FROM tasks WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+
+      if (existing.rows.length === 0) {
+        throw new Error(`Task with ID ${id} not found`);
+      }
+
+      const current = Task.fromDbRow(existing.rows[0]);
+      current.assertVersion(expectedVersions);
+
+      // Apply the update through the model so validation stays in one place
+      const updated = current.update(updateData);
+
+      const result = await client.query(
+        `UPDATE tasks
+         SET title = $2, description = $3, status = $4, assignee_id = $5,
+             due_date = $6, priority = $7, estimate = $8, checklist = $9, tags = $10, recurrence = $11,
+             updated_at = $12, version = $13
+         WHERE id = $1
+         RETURNING *`,
+        [
+          updated.id,
+          updated.title,
+          updated.description,
+          updated.status,
+          updated.assigneeId,
+          updated.dueDate,
+          updated.priority,
+          updated.estimate,
+          JSON.stringify(updated.checklist),
+          updated.tags,
+          updated.recurrence ? JSON.stringify(updated.recurrence) : null,
+          updated.updatedAt,
+          updated.version
+        ]
+      );
+
+      return Task.fromDbRow(result.rows[0]);
+    });
+
+    logger.info('Task updated', {
+      taskId: id,
+      updatedFields: Object.keys(updateData)
+    });
+
+    return task;
+  }
+
+  // Move a task into (`deleted`) or out of the trash through the model,
+  // optionally only while it is at one of the expected versions
+  async setDeleted(id, deleted, { expectedVersions = null } = {}) {
+    await this.ensureConnected();
+
+    return dbConnection.transaction(async (client) => {
+      const existing = await client.query(
+        `SELECT * FROM tasks WHERE id = $1 AND deleted_at IS ${deleted ? '' : 'NOT '}NULL FOR UPDATE`,
+        [id]
+      );
+
+      if (existing.rows.length === 0) {
+        throw new Error(deleted ? `Task with ID ${id} not found` : `Task with ID ${id} not found in trash`);
+      }
+
+      const task = Task.fromDbRow(existing.rows[0]);
+      task.assertVersion(expectedVersions);
+
+      if (deleted) {
+        task.softDelete();
+      } else {
+        task.restore();
+      }
+
+      const result = await client.query(
+        'UPDATE tasks SET deleted_at = $2, updated_at = $3, version = $4 WHERE id = $1 RETURNING *',
+        [task.id, task.deletedAt, task.updatedAt, task.version]
+      );
+
+      return Task.fromDbRow(result.rows[0]);
+    });
+  }
+
+  // Move a task to the trash, optionally only while it is at one of the
+  // expected versions. It keeps its subtasks and series instances until
+  // it is purged.
+  async deleteTask(id, options = {}) {
+    const task = await this.setDeleted(id, true, options);
+
+    logger.info('Task moved to trash', {
+      taskId: id,
+      title: task.title
+    });
+
+    return task;
+  }
+
+  // Take a task back out of the trash, optionally only while it is at one
+  // of the expected versions
+  async restoreTask(id, options = {}) {
+    const task = await this.setDeleted(id, false, options);
+
+    logger.info('Task restored from trash', {
+      taskId: id,
+      title: task.title
+    });
+
+    return task;
+  }
+
+  // Permanently delete a task in the trash (subtasks become top-level and
+  // series instances standalone via ON DELETE SET NULL)
+  async purgeTask(id) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(
+      'DELETE FROM tasks WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Task with ID ${id} not found in trash`);
+    }
+
+    const purgedTask = Task.fromDbRow(result.rows[0]);
+
+    logger.info('Task purged', {
+      taskId: id,
+      title: purgedTask.title
+    });
+
+    return purgedTask;
+  }
+
+  // Get every task matching the ownership scope and list filters of
+  // getAllTasks, and optionally created before the given time, oldest first
+  // (unpaged, for analytics and exports)
+  async listTasks(options = {}) {
+    await this.ensureConnected();
+
+    const { createdBefore, ...filters } = options;
+    const { conditions, values } = this.buildConditions(filters);
+
+    if (createdBefore) {
+      values.push(createdBefore);
+      conditions.push(`created_at < $${values.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await dbConnection.query(`SELECT * FROM tasks ${whereClause} ORDER BY created_at ASC, id ASC`, values);
+
+    return result.rows.map(row => Task.fromDbRow(row));
+  }
+
+  // Get the tasks in an ownership scope that have one of the given external
+  // IDs (see the task import)
+  async findByExternalIds(externalIds, options = {}) {
+    await this.ensureConnected();
+
+    if (externalIds.length === 0) {
+      return [];
+    }
+
+    const { ownerId, projectIds } = options;
+    const { conditions, values } = this.buildConditions({ ownerId, projectIds });
+
+    values.push(externalIds);
+    conditions.push(`external_id = ANY($${values.length})`);
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await dbConnection.query(`SELECT * FROM tasks ${whereClause} ORDER BY created_at ASC, id ASC`, values);
+
+    return result.rows.map(row => Task.fromDbRow(row));
+  }
+
+  // Get statistics, optionally restricted to one user's tasks and one project
+  async getStatistics(options = {}) {
+    await this.ensureConnected();
+
+    const { ownerId, projectIds, projectId } = options;
+    const { conditions, values } = this.buildConditions({ ownerId, projectIds, projectId });
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await dbConnection.query(`
+      SELECT
+        status,
+        COUNT(*)::int AS count,
+        COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '24 hours')::int AS recently_created,
+        COUNT(*) FILTER (WHERE updated_at > NOW() - INTERVAL '24 hours')::int AS recently_updated
+      FROM tasks
+      ${whereClause}
+      GROUP BY status
+    `, values);
+
+    const stats = {
+      total: 0,
+      byStatus: Object.fromEntries(workflowEngine.getKnownStates().map(state => [state, 0])),
+      recentlyCreated: 0,
+      recentlyUpdated: 0
+    };
+
+    result.rows.forEach(row => {
+      stats.total += row.count;
+      stats.byStatus[row.status] = row.count;
+      stats.recentlyCreated += row.recently_created;
+      stats.recentlyUpdated += row.recently_updated;
+    });
+
+    return stats;
+  }
+
+  // Clear all tasks (for testing)
+  async clearAllTasks() {
+    await this.ensureConnected();
+
+    await dbConnection.query('DELETE FROM tasks');
+    logger.warn('All tasks cleared from data store');
+  }
+
+  // Get data store info
+  async getInfo() {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query('SELECT COUNT(*)::int AS count FROM tasks');
+
+    return {
+      type: 'PostgreSQL Data Store',
+      taskCount: result.rows[0].count,
+      pool: {
+        totalConnections: dbConnection.pool.totalCount,
+        idleConnections: dbConnection.pool.idleCount,
+        waitingConnections: dbConnection.pool.waitingCount
+      },
+      uptime: process.uptime()
+    };
+  }
+}
+
+module.exports = new PostgresTaskRepository();
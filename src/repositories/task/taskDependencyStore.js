@@ -0,0 +1,16 @@
+const config = require('../../shared/config/environment');
+
+// Dependencies reference tasks, so the dependency store follows the same
+// TASK_STORE_DRIVER setting as taskStore.js
+const drivers = {
+  memory: () => require('./MemoryTaskDependencyRepository'),
+  postgres: () => require('./PostgresTaskDependencyRepository')
+};
+
+const driver = drivers[config.tasks.storeDriver];
+
+if (!driver) {
+  throw new Error(`Unknown task store driver "${config.tasks.storeDriver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+module.exports = driver();
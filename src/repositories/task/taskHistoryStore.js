@@ -0,0 +1,16 @@
+const config = require('../../shared/config/environment');
+
+// Task revisions are kept next to the tasks themselves, so the history
+// store follows the same TASK_STORE_DRIVER setting as taskStore.js
+const drivers = {
+  memory: () => require('./MemoryTaskHistoryRepository'),
+  postgres: () => require('./PostgresTaskHistoryRepository')
+};
+
+const driver = drivers[config.tasks.storeDriver];
+
+if (!driver) {
+  throw new Error(`Unknown task store driver "${config.tasks.storeDriver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+module.exports = driver();
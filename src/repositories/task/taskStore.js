@@ -0,0 +1,22 @@
+const config = require('../../shared/config/environment');
+const { logger } = require('../../utils/logger');
+
+// Resolve the task storage driver configured via TASK_STORE_DRIVER.
+// Drivers are required lazily so the in-memory store never opens a pool.
+const drivers = {
+  memory: () => require('../../utils/dataStore'),
+  postgres: () => require('./PostgresTaskRepository')
+};
+
+const resolveTaskStore = (driverName = config.tasks.storeDriver) => {
+  const driver = drivers[driverName];
+
+  if (!driver) {
+    throw new Error(`Unknown task store driver "${driverName}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  logger.info('Task store driver selected', { driver: driverName });
+  return driver();
+};
+
+module.exports = resolveTaskStore();
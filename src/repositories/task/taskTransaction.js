@@ -0,0 +1,49 @@
+const config = require('../../shared/config/environment');
+
+// Run `callback` as a single unit of work across the task, history,
+// dependency and comment stores: if it throws, none of its changes are kept.
+// Follows the same TASK_STORE_DRIVER setting as taskStore.js.
+const drivers = {
+  // Roll back by restoring snapshots taken before the callback. Changes other
+  // requests make while the callback runs are rolled back too, which is
+  // acceptable for the single-instance development driver.
+  memory: () => {
+    const stores = [
+      require('../../utils/dataStore'),
+      require('./MemoryTaskHistoryRepository'),
+      require('./MemoryTaskDependencyRepository'),
+      require('./MemoryTaskCommentRepository')
+    ];
+
+    return async (callback) => {
+      const snapshots = stores.map(store => store.snapshot());
+
+      try {
+        return await callback();
+      } catch (error) {
+        stores.forEach((store, index) => store.restore(snapshots[index]));
+        throw error;
+      }
+    };
+  },
+
+  // A database transaction; repository queries made inside the callback
+  // join it (see DatabaseConnection.transaction)
+  postgres: () => {
+    const dbConnection = require('../../database/connection');
+    const taskRepository = require('./PostgresTaskRepository');
+
+    return async (callback) => {
+      await taskRepository.ensureConnected();
+      return dbConnection.transaction(() => callback());
+    };
+  }
+};
+
+const driver = drivers[config.tasks.storeDriver];
+
+if (!driver) {
+  throw new Error(`Unknown task store driver "${config.tasks.storeDriver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+module.exports = driver();
@@ -0,0 +1,98 @@
+const { logger } = require('../../utils/logger');
+
+// In-memory webhook and delivery store used with the memory task store driver
+class MemoryWebhookRepository {
+  constructor() {
+    this.webhooks = new Map();
+    this.deliveries = new Map();
+  }
+
+  // Store a new webhook
+  async createWebhook(webhook) {
+    this.webhooks.set(webhook.id, webhook);
+
+    logger.info('Webhook created', { webhookId: webhook.id, url: webhook.url });
+
+    return webhook;
+  }
+
+  // Get a webhook by ID, or null
+  async findWebhookById(id) {
+    return this.webhooks.get(id) || null;
+  }
+
+  // Get all webhooks, oldest first, or only the active ones subscribed to `event`
+  async findWebhooks({ event } = {}) {
+    return Array.from(this.webhooks.values())
+      .filter(webhook => !event || webhook.subscribesTo(event))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Persist a changed webhook
+  async updateWebhook(webhook) {
+    if (!this.webhooks.has(webhook.id)) {
+      throw new Error(`Webhook with ID ${webhook.id} not found`);
+    }
+
+    this.webhooks.set(webhook.id, webhook);
+
+    logger.info('Webhook updated', { webhookId: webhook.id });
+
+    return webhook;
+  }
+
+  // Delete a webhook and its delivery log
+  async deleteWebhook(id) {
+    const deleted = this.webhooks.delete(id);
+
+    if (deleted) {
+      for (const delivery of this.deliveries.values()) {
+        if (delivery.webhookId === id) {
+          this.deliveries.delete(delivery.id);
+        }
+      }
+
+      logger.info('Webhook deleted', { webhookId: id });
+    }
+
+    return deleted;
+  }
+
+  // Store a new delivery
+  async createDelivery(delivery) {
+    this.deliveries.set(delivery.id, delivery);
+    return delivery;
+  }
+
+  // Get a delivery by ID, or null
+  async findDeliveryById(id) {
+    return this.deliveries.get(id) || null;
+  }
+
+  // Get a webhook's deliveries, newest first, optionally by status
+  async findDeliveries(webhookId, { status, limit = 50 } = {}) {
+    return Array.from(this.deliveries.values())
+      .filter(delivery => delivery.webhookId === webhookId && (!status || delivery.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Persist a changed delivery
+  async updateDelivery(delivery) {
+    if (!this.deliveries.has(delivery.id)) {
+      throw new Error(`Webhook delivery with ID ${delivery.id} not found`);
+    }
+
+    this.deliveries.set(delivery.id, delivery);
+
+    return delivery;
+  }
+
+  // Clear all webhooks and deliveries (for testing)
+  async clear() {
+    this.webhooks.clear();
+    this.deliveries.clear();
+  }
+}
+
+module.exports = new MemoryWebhookRepository();
@@ -0,0 +1,183 @@
+const dbConnection = require('../../database/connection');
+const taskRepository = require('../task/PostgresTaskRepository');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { logger } = require('../../utils/logger');
+
+// PostgreSQL webhook store. Deliveries keep their payload and attempt log
+// as JSONB and are removed with their webhook.
+class PostgresWebhookRepository {
+  // Share the task repository's lazy pool initialization
+  async ensureConnected() {
+    await taskRepository.ensureConnected();
+  }
+
+  // Store a new webhook
+  async createWebhook(webhook) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(`
+      INSERT INTO webhooks (id, url, events, description, active, secret, created_by, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      webhook.id,
+      webhook.url,
+      webhook.events,
+      webhook.description,
+      webhook.active,
+      webhook.secret,
+      webhook.createdBy,
+      webhook.createdAt,
+      webhook.updatedAt
+    ]);
+
+    logger.info('Webhook created', { webhookId: webhook.id, url: webhook.url });
+
+    return Webhook.fromDbRow(result.rows[0]);
+  }
+
+  // Get a webhook by ID, or null
+  async findWebhookById(id) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query('SELECT * FROM webhooks WHERE id = $1', [id]);
+
+    return result.rows.length > 0 ? Webhook.fromDbRow(result.rows[0]) : null;
+  }
+
+  // Get all webhooks, oldest first, or only the active ones subscribed to `event`
+  async findWebhooks({ event } = {}) {
+    await this.ensureConnected();
+
+    const result = event
+      ? await dbConnection.query(
+        'SELECT * FROM webhooks WHERE active AND $1 = ANY(events) ORDER BY created_at ASC',
+        [event]
+      )
+      : await dbConnection.query('SELECT * FROM webhooks ORDER BY created_at ASC');
+
+    return result.rows.map(row => Webhook.fromDbRow(row));
+  }
+
+  // Persist a changed webhook
+  async updateWebhook(webhook) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(`
+      UPDATE webhooks
+      SET url = $2, events = $3, description = $4, active = $5, updated_at = $6
+      WHERE id = $1
+      RETURNING *
+    `, [
+      webhook.id,
+      webhook.url,
+      webhook.events,
+      webhook.description,
+      webhook.active,
+      webhook.updatedAt
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Webhook with ID ${webhook.id} not found`);
+    }
+
+    logger.info('Webhook updated', { webhookId: webhook.id });
+
+    return Webhook.fromDbRow(result.rows[0]);
+  }
+
+  // Delete a webhook; its deliveries go with it (ON DELETE CASCADE)
+  async deleteWebhook(id) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query('DELETE FROM webhooks WHERE id = $1', [id]);
+
+    if (result.rowCount > 0) {
+      logger.info('Webhook deleted', { webhookId: id });
+    }
+
+    return result.rowCount > 0;
+  }
+
+  // Store a new delivery
+  async createDelivery(delivery) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(`
+      INSERT INTO webhook_deliveries (id, webhook_id, event, payload, status, attempts, error, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      delivery.id,
+      delivery.webhookId,
+      delivery.event,
+      JSON.stringify(delivery.payload),
+      delivery.status,
+      JSON.stringify(delivery.attempts),
+      delivery.error,
+      delivery.createdAt,
+      delivery.updatedAt
+    ]);
+
+    return WebhookDelivery.fromDbRow(result.rows[0]);
+  }
+
+  // Get a delivery by ID, or null
+  async findDeliveryById(id) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+
+    return result.rows.length > 0 ? WebhookDelivery.fromDbRow(result.rows[0]) : null;
+  }
+
+  // Get a webhook's deliveries, newest first, optionally by status
+  async findDeliveries(webhookId, { status, limit = 50 } = {}) {
+    await this.ensureConnected();
+
+    const result = status
+      ? await dbConnection.query(
+        'SELECT * FROM webhook_deliveries WHERE webhook_id = $1 AND status = $2 ORDER BY created_at DESC LIMIT $3',
+        [webhookId, status, limit]
+      )
+      : await dbConnection.query(
+        'SELECT * FROM webhook_deliveries WHERE webhook_id = $1 ORDER BY created_at DESC LIMIT $2',
+        [webhookId, limit]
+      );
+
+    return result.rows.map(row => WebhookDelivery.fromDbRow(row));
+  }
+
+  // Persist a changed delivery
+  async updateDelivery(delivery) {
+    await this.ensureConnected();
+
+    const result = await dbConnection.query(`
+      UPDATE webhook_deliveries
+      SET status = $2, attempts = $3, error = $4, updated_at = $5
+      WHERE id = $1
+      RETURNING *
+    `, [
+      delivery.id,
+      delivery.status,
+      JSON.stringify(delivery.attempts),
+      delivery.error,
+      delivery.updatedAt
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Webhook delivery with ID ${delivery.id} not found`);
+    }
+
+    return WebhookDelivery.fromDbRow(result.rows[0]);
+  }
+
+  // Clear all webhooks and deliveries (for testing)
+  async clear() {
+    await this.ensureConnected();
+    await dbConnection.query('DELETE FROM webhooks');
+  }
+}
+
+module.exports = new PostgresWebhookRepository();
@@ -0,0 +1,15 @@
+const config = require('../../shared/config/environment');
+
+// Webhooks follow the same TASK_STORE_DRIVER setting as taskStore.js
+const drivers = {
+  memory: () => require('./MemoryWebhookRepository'),
+  postgres: () => require('./PostgresWebhookRepository')
+};
+
+const driver = drivers[config.tasks.storeDriver];
+
+if (!driver) {
+  throw new Error(`Unknown task store driver "${config.tasks.storeDriver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+module.exports = driver();
@@ -0,0 +1,18 @@
+const express = require('express');
+const { generateOpenApiSpec } = require('../openapi/generateSpec');
+
+const router = express.Router();
+
+// Generated on the first request, once app.js has loaded every router
+let spec = null;
+
+// GET /api/openapi.json - OpenAPI 3.1 document of the API
+router.get('/openapi.json', (req, res) => {
+  if (!spec) {
+    spec = generateOpenApiSpec();
+  }
+
+  res.status(200).json(spec);
+});
+
+module.exports = router;
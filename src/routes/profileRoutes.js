@@ -1,13 +1,17 @@
 const express = require('express');
 const profileController = require('../controllers/profileController');
-const { authenticateToken } = require('../auth/middleware/authMiddleware');
+const { authenticate } = require('../auth/middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotency');
 const securityMiddleware = require('../auth/middleware/securityMiddleware');
 const fileUploadService = require('../services/upload/FileUploadService');
 
 const router = express.Router();
 
 // Apply authentication middleware to all routes
-router.use(authenticateToken);
+router.use(authenticate);
+
+// Idempotency-Key replay for retried changes, scoped to the user
+router.use(idempotency);
 
 // Profile CRUD operations
 router.post('/',
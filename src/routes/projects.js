@@ -0,0 +1,46 @@
+const express = require('express');
+const ProjectController = require('../controllers/projectController');
+const { authenticate } = require('../auth/middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotency');
+const { requireProjectRole } = require('../auth/middleware/rbacMiddleware');
+const { validateProject, validateProjectUpdate, validateProjectId, validateProjectMember } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All project routes are scoped to the authenticated user
+router.use(authenticate);
+
+// Idempotency-Key replay for retried changes, scoped to the user
+router.use(idempotency);
+
+// Project routes load the project first; non-members get a 404
+const loadProject = [validateProjectId, ProjectController.loadProject];
+
+// GET /projects - List the user's projects
+router.get('/', ProjectController.getAllProjects);
+
+// POST /projects - Create a project (the creator becomes its owner)
+router.post('/', validateProject, ProjectController.createProject);
+
+// GET /projects/:projectId - Get a project
+router.get('/:projectId', loadProject, ProjectController.getProjectById);
+
+// PUT /projects/:projectId - Update name, description, board columns or labels
+router.put('/:projectId', loadProject, requireProjectRole('manager'), validateProjectUpdate, ProjectController.updateProject);
+
+// DELETE /projects/:projectId - Delete an empty project
+router.delete('/:projectId', loadProject, requireProjectRole('owner'), ProjectController.deleteProject);
+
+// GET /projects/:projectId/board - Get the Kanban board
+router.get('/:projectId/board', loadProject, ProjectController.getProjectBoard);
+
+// GET /projects/:projectId/members - List members and their roles
+router.get('/:projectId/members', loadProject, ProjectController.getProjectMembers);
+
+// PUT /projects/:projectId/members/:userId - Add a member or change their role
+router.put('/:projectId/members/:userId', loadProject, requireProjectRole('manager'), validateProjectMember, ProjectController.setProjectMember);
+
+// DELETE /projects/:projectId/members/:userId - Remove a member (members may remove themselves)
+router.delete('/:projectId/members/:userId', loadProject, validateProjectMember, ProjectController.removeProjectMember);
+
+module.exports = router;
@@ -1,28 +1,124 @@
 const express = require('express');
 const TaskController = require('../controllers/taskController');
-const { validatePagination, validateStatusFilter, validateSearchQuery, validateTaskId, validateTaskCreation, validateTaskUpdate } = require('../middleware/validation');
+const { authenticate } = require('../auth/middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotency');
+const { validatePagination, validateStatusFilter, validateTaskFilters, validateSearchQuery, validateTaskId, validateRevision, validateDependency, validateDependencyId, validateComment, validateCommentId, validateBulkOperations, validateTaskExport, validateTaskImport, validateProjectFilter, validateAnalyticsQuery, validateTaskCreation, validateTaskUpdate, validateTaskPatch, validateIfMatch } = require('../middleware/validation');
 
 const router = express.Router();
 
+// All task routes are scoped to the authenticated user
+router.use(authenticate);
+
+// Idempotency-Key replay for retried changes, scoped to the user
+router.use(idempotency);
+
 // GET /tasks - Get all tasks with pagination, filtering, and search
-router.get('/', validatePagination, validateStatusFilter, TaskController.getAllTasks);
+router.get('/', validatePagination, validateStatusFilter, validateTaskFilters, validateProjectFilter, TaskController.getAllTasks);
 
 // GET /tasks/search - Search tasks
-router.get('/search', validateSearchQuery, validatePagination, validateStatusFilter, TaskController.searchTasks);
+router.get('/search', validateSearchQuery, validatePagination, validateStatusFilter, validateTaskFilters, validateProjectFilter, TaskController.searchTasks);
 
 // GET /tasks/statistics - Get task statistics
-router.get('/statistics', TaskController.getStatistics);
+router.get('/statistics', validateProjectFilter, TaskController.getStatistics);
+
+// GET /tasks/trash - List deleted tasks, most recently deleted first
+router.get('/trash', validatePagination, validateProjectFilter, TaskController.getDeletedTasks);
+
+// GET /tasks/export - Download tasks as CSV, JSON or iCalendar
+router.get('/export', validateTaskExport, validateStatusFilter, validateTaskFilters, validateProjectFilter, TaskController.exportTasks);
+
+// GET /tasks/analytics/lead-time - Hours from creation to completion
+router.get('/analytics/lead-time', validateAnalyticsQuery, validateProjectFilter, TaskController.getTaskAnalytics('lead-time'));
+
+// GET /tasks/analytics/cycle-time - Hours from start to completion
+router.get('/analytics/cycle-time', validateAnalyticsQuery, validateProjectFilter, TaskController.getTaskAnalytics('cycle-time'));
+
+// GET /tasks/analytics/throughput - Tasks completed per week
+router.get('/analytics/throughput', validateAnalyticsQuery, validateProjectFilter, TaskController.getTaskAnalytics('throughput'));
+
+// GET /tasks/analytics/cumulative-flow - Tasks per status per day
+router.get('/analytics/cumulative-flow', validateAnalyticsQuery, validateProjectFilter, TaskController.getTaskAnalytics('cumulative-flow'));
+
+// GET /tasks/analytics/burndown - Daily total, completed and remaining tasks (burndown/burnup)
+router.get('/analytics/burndown', validateAnalyticsQuery, validateProjectFilter, TaskController.getTaskAnalytics('burndown'));
 
 // GET /tasks/:id - Get specific task by ID
 router.get('/:id', validateTaskId, TaskController.getTaskById);
 
+// GET /tasks/:id/transitions - Get workflow transitions available to a task
+router.get('/:id/transitions', validateTaskId, TaskController.getTaskTransitions);
+
+// GET /tasks/:id/history - Get task revision history
+router.get('/:id/history', validateTaskId, TaskController.getTaskHistory);
+
+// POST /tasks/:id/history/:revision/restore - Restore task to a prior revision
+router.post('/:id/history/:revision/restore', validateTaskId, validateRevision, TaskController.restoreTaskRevision);
+
+// GET /tasks/:id/series - Get the recurring series a task belongs to
+router.get('/:id/series', validateTaskId, TaskController.getTaskSeries);
+
+// POST /tasks/:id/series/pause - Stop generating instances of the series
+router.post('/:id/series/pause', validateTaskId, TaskController.changeTaskSeries('pause'));
+
+// POST /tasks/:id/series/resume - Generate instances again from the next occurrence
+router.post('/:id/series/resume', validateTaskId, TaskController.changeTaskSeries('resume'));
+
+// POST /tasks/:id/series/skip - Skip the series' next occurrence
+router.post('/:id/series/skip', validateTaskId, TaskController.changeTaskSeries('skip'));
+
+// GET /tasks/:id/subtasks - Get subtasks with rolled-up progress
+router.get('/:id/subtasks', validateTaskId, TaskController.getSubtasks);
+
+// POST /tasks/:id/subtasks - Create a subtask
+router.post('/:id/subtasks', validateTaskId, validateTaskCreation, TaskController.createSubtask);
+
+// GET /tasks/:id/dependencies - Get blocking and blocked tasks
+router.get('/:id/dependencies', validateTaskId, TaskController.getTaskDependencies);
+
+// POST /tasks/:id/dependencies - Add a blocks / blocked-by dependency
+router.post('/:id/dependencies', validateTaskId, validateDependency, TaskController.addTaskDependency);
+
+// DELETE /tasks/:id/dependencies/:dependencyId - Remove a dependency
+router.delete('/:id/dependencies/:dependencyId', validateTaskId, validateDependencyId, TaskController.removeTaskDependency);
+
+// GET /tasks/:id/comments - Get comment threads
+router.get('/:id/comments', validateTaskId, TaskController.getTaskComments);
+
+// POST /tasks/:id/comments - Add a comment or reply
+router.post('/:id/comments', validateTaskId, validateComment, TaskController.addTaskComment);
+
+// GET /tasks/:id/comments/:commentId/history - Get a comment's edit history
+router.get('/:id/comments/:commentId/history', validateTaskId, validateCommentId, TaskController.getTaskCommentHistory);
+
+// PUT /tasks/:id/comments/:commentId - Edit a comment
+router.put('/:id/comments/:commentId', validateTaskId, validateCommentId, validateComment, TaskController.updateTaskComment);
+
+// DELETE /tasks/:id/comments/:commentId - Delete a comment and its replies
+router.delete('/:id/comments/:commentId', validateTaskId, validateCommentId, TaskController.deleteTaskComment);
+
 // POST /tasks - Create new task
 router.post('/', validateTaskCreation, TaskController.createTask);
 
-// PUT /tasks/:id - Update existing task
-router.put('/:id', validateTaskId, validateTaskUpdate, TaskController.updateTask);
+// POST /tasks/bulk - Run a batch of create/update/status/delete operations
+// (counts once against the task rate limit)
+router.post('/bulk', validateBulkOperations, TaskController.bulkTasks);
+
+// POST /tasks/import - Create or update tasks from CSV or JSON rows
+// (dryRun previews the result without changing anything)
+router.post('/import', validateTaskImport, TaskController.importTasks);
+
+// PUT /tasks/:id - Update existing task (?scope=series updates the whole
+// recurring series)
+router.put('/:id', validateTaskId, validateTaskUpdate, validateIfMatch, TaskController.updateTask);
+
+// PATCH /tasks/:id - Apply a JSON Merge Patch (RFC 7396) to a task
+router.patch('/:id', validateTaskId, validateTaskPatch, validateIfMatch, TaskController.updateTask);
+
+// DELETE /tasks/:id - Move task to the trash (PUT, PATCH, DELETE and
+// restore honor If-Match)
+router.delete('/:id', validateTaskId, validateIfMatch, TaskController.deleteTask);
 
-// DELETE /tasks/:id - Delete task
-router.delete('/:id', validateTaskId, TaskController.deleteTask);
+// POST /tasks/:id/restore - Take a deleted task back out of the trash
+router.post('/:id/restore', validateTaskId, validateIfMatch, TaskController.restoreTask);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,8 @@
 const express = require('express');
 const fileUploadService = require('../services/upload/FileUploadService');
 const uploadController = require('../services/upload/UploadController');
-const { authenticateToken } = require('../auth/middleware/authMiddleware');
+const { authenticate } = require('../auth/middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotency');
 const securityMiddleware = require('../auth/middleware/securityMiddleware');
 
 const router = express.Router();
@@ -11,7 +12,8 @@ const upload = fileUploadService.getMulterConfig();
 
 // Upload avatar
 router.post('/avatar',
-    authenticateToken,
+    authenticate,
+    idempotency,
     securityMiddleware.createAuthLimiter({ max: 10 }), // 10 avatar uploads per 15 minutes
     upload.single('avatar'),
     uploadController.uploadAvatar
@@ -19,7 +21,7 @@ router.post('/avatar',
 
 // Validate avatar before upload
 router.post('/avatar/validate',
-    authenticateToken,
+    authenticate,
     securityMiddleware.createAuthLimiter({ max: 20 }), // 20 validations per 15 minutes
     upload.single('avatar'),
     uploadController.validateFile
@@ -27,14 +29,15 @@ router.post('/avatar/validate',
 
 // Delete avatar
 router.delete('/avatar/:fileId',
-    authenticateToken,
+    authenticate,
+    idempotency,
     securityMiddleware.createAuthLimiter({ max: 10 }), // 10 deletions per 15 minutes
     uploadController.deleteAvatar
 );
 
 // Get avatar info
 router.get('/avatar/:fileId',
-    authenticateToken,
+    authenticate,
     uploadController.getAvatarInfo
 );
 
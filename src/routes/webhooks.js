@@ -0,0 +1,34 @@
+const express = require('express');
+const WebhookController = require('../controllers/webhookController');
+const { authenticate } = require('../auth/middleware/authMiddleware');
+const { ROLE_HIERARCHY, requireMinRoleLevel } = require('../auth/middleware/rbacMiddleware');
+const { validateWebhook, validateWebhookUpdate, validateWebhookId, validateDeliveryQuery } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Webhooks receive events for every task and profile, so only admins may
+// manage them
+router.use(authenticate, requireMinRoleLevel(ROLE_HIERARCHY.admin));
+
+// GET /webhooks - List webhooks
+router.get('/', WebhookController.getAllWebhooks);
+
+// POST /webhooks - Create a webhook (the response carries its signing secret)
+router.post('/', validateWebhook, WebhookController.createWebhook);
+
+// GET /webhooks/:webhookId - Get a webhook
+router.get('/:webhookId', validateWebhookId, WebhookController.getWebhookById);
+
+// PUT /webhooks/:webhookId - Change URL, events, description or active flag
+router.put('/:webhookId', validateWebhookId, validateWebhookUpdate, WebhookController.updateWebhook);
+
+// DELETE /webhooks/:webhookId - Delete a webhook and its delivery log
+router.delete('/:webhookId', validateWebhookId, WebhookController.deleteWebhook);
+
+// GET /webhooks/:webhookId/deliveries - Delivery log, newest first
+router.get('/:webhookId/deliveries', validateWebhookId, validateDeliveryQuery, WebhookController.getWebhookDeliveries);
+
+// POST /webhooks/:webhookId/deliveries/:deliveryId/redeliver - Send a delivery again
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', validateWebhookId, WebhookController.redeliverWebhookDelivery);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const config = require('../shared/config/environment');
+const signingKeyService = require('../auth/services/signingKeyService');
+
+const router = express.Router();
+
+// GET /.well-known/jwks.json - Public keys that verify access tokens, by kid.
+// New keys are listed two check intervals before they sign, so caching the
+// set for one interval never hides a key that tokens use.
+router.get('/jwks.json', (req, res) => {
+  res.set('Cache-Control', `public, max-age=${Math.floor(config.jwtKeys.checkIntervalMs / 1000)}`);
+  res.status(200).json(signingKeyService.getJwks());
+});
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const config = require('../shared/config/environment');
+const { logger } = require('../utils/logger');
+
+/**
+ * Dependency checks. Each `run` resolves with details about the dependency
+ * or throws when it is unavailable; `enabled` says whether this deployment
+ * uses the dependency at all. Modules are loaded inside the checks because
+ * some of them connect when required.
+ */
+const DEPENDENCY_CHECKS = {
+  database: {
+    timeoutMs: 2000,
+    enabled: () => true,
+    run: async () => {
+      const dbConnection = require('../database/connection');
+      await require('../repositories/task/PostgresTaskRepository').ensureConnected();
+
+      const health = await dbConnection.healthCheck();
+
+      if (health.status !== 'healthy') {
+        throw new Error(health.error);
+      }
+
+      return {
+        totalConnections: health.totalConnections,
+        idleConnections: health.idleConnections,
+        waitingConnections: health.waitingConnections
+      };
+    }
+  },
+
+  // Used by webhook delivery and the Redis idempotency store
+  redis: {
+    timeoutMs: 1000,
+    enabled: () => config.webhooks.enabled || config.idempotency.storeDriver === 'redis',
+    run: async () => {
+      const notificationRedis = require('../notifications/redisConfig');
+      const { client } = notificationRedis;
+
+      if (!client || client.status !== 'ready') {
+        throw new Error(`Redis connection is ${client ? client.status : 'not initialized'}`);
+      }
+
+      await client.ping();
+
+      return { reconnectAttempts: notificationRedis.reconnectAttempts };
+    }
+  },
+
+  smtp: {
+    timeoutMs: 2500,
+    enabled: () => Boolean(config.email.host),
+    run: async () => {
+      const health = await require('../auth/services/emailService').healthCheck();
+
+      if (health.status !== 'healthy') {
+        throw new Error(health.reason);
+      }
+
+      return { host: config.email.host };
+    }
+  },
+
+  storage: {
+    timeoutMs: 2500,
+    enabled: () => Boolean(config.aws.accessKeyId),
+    run: async () => {
+      const cloudStorageService = require('./upload/CloudStorageService');
+
+      if (!(await cloudStorageService.testConnection())) {
+        throw new Error(`Bucket ${cloudStorageService.bucketName} is not accessible`);
+      }
+
+      return { bucket: cloudStorageService.bucketName };
+    }
+  },
+
+  // The socket.io server, when server.js starts one
+  websocket: {
+    timeoutMs: 500,
+    enabled: () => Boolean(global.wsServer),
+    run: async () => {
+      const { io } = global.wsServer;
+
+      if (!io.httpServer || !io.httpServer.listening) {
+        throw new Error('Socket.IO server is not listening');
+      }
+
+      return { connections: io.engine.clientsCount };
+    }
+  }
+};
+
+// Reject with a timeout error unless `promise` settles within `timeoutMs`
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No response within ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Health Check Service
+ * Probes the service's dependencies for the health and readiness endpoints.
+ * Each check has its own timeout, and its result is cached for
+ * HEALTH_CHECK_CACHE_MS; concurrent probes share a running check, so
+ * frequent probes don't reach the backends on every request. A critical
+ * dependency (HEALTH_CRITICAL_CHECKS) that is down makes the service
+ * unhealthy; any other dependency only degrades it.
+ */
+class HealthCheckService {
+  constructor(options = config.health, checks = DEPENDENCY_CHECKS) {
+    this.cacheTtlMs = options.cacheTtlMs;
+    this.critical = options.critical;
+    this.checks = checks;
+    this.results = new Map();
+    this.running = new Map();
+  }
+
+  /**
+   * Check every dependency. Resolves with the overall status ('healthy',
+   * 'degraded' or 'unhealthy') and the result of each check.
+   */
+  async checkAll() {
+    const names = Object.keys(this.checks);
+    const results = await Promise.all(names.map(name => this.check(name)));
+
+    const checks = {};
+    names.forEach((name, index) => {
+      checks[name] = results[index];
+    });
+
+    const down = results.filter(result => result.status === 'down');
+    let status = 'healthy';
+
+    if (down.some(result => result.critical)) {
+      status = 'unhealthy';
+    } else if (down.length > 0) {
+      status = 'degraded';
+    }
+
+    return { status, checks };
+  }
+
+  /**
+   * Result of one dependency check: { status: 'up' | 'down' | 'skipped',
+   * critical, durationMs, checkedAt, details | error }. Served from the
+   * cache while it is fresh.
+   */
+  async check(name) {
+    const cached = this.results.get(name);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.result;
+    }
+
+    if (!this.running.has(name)) {
+      this.running.set(name, this.run(name).finally(() => this.running.delete(name)));
+    }
+
+    return this.running.get(name);
+  }
+
+  /**
+   * Run a check and cache its result
+   */
+  async run(name) {
+    const check = this.checks[name];
+    const critical = this.critical.includes(name);
+    const checkedAt = new Date().toISOString();
+    const startedAt = Date.now();
+    let result;
+
+    if (!check.enabled()) {
+      result = { status: 'skipped', critical, checkedAt };
+    } else {
+      try {
+        const details = await withTimeout(Promise.resolve().then(() => check.run()), check.timeoutMs);
+        result = { status: 'up', critical, durationMs: Date.now() - startedAt, checkedAt, details };
+      } catch (error) {
+        result = { status: 'down', critical, durationMs: Date.now() - startedAt, checkedAt, error: error.message };
+
+        logger.warn('Dependency health check failed', {
+          dependency: name,
+          critical,
+          error: error.message
+        });
+      }
+    }
+
+    this.results.set(name, { result, expiresAt: Date.now() + this.cacheTtlMs });
+
+    return result;
+  }
+
+  /**
+   * Forget cached results (for testing)
+   */
+  clear() {
+    this.results.clear();
+  }
+}
+
+// Create singleton instance
+const healthCheckService = new HealthCheckService();
+
+module.exports = healthCheckService;
+module.exports.HealthCheckService = HealthCheckService;
@@ -16,7 +16,6 @@ class MessageQueueService extends EventEmitter {
     this.consumers = new Map(); // queueName -> Set of consumer callbacks
     this.processing = new Set(); // Set of currently processing message IDs
     this.deadLetterQueue = 'messages:dlq';
-    this.retryAttempts = new Map(); // messageId -> retry count
 
     // Configuration
     this.config = {
@@ -162,7 +161,7 @@ class MessageQueueService extends EventEmitter {
           enqueuedAtISO: new Date(now).toISOString(),
           priority: options.priority || 0,
           delayUntil: options.delayUntil || 0,
-          retryCount: 0,
+          retryCount: options.retryCount || 0,
           maxRetries: options.maxRetries || queueConfig.maxRetries,
           visibilityTimeout: options.visibilityTimeout || queueConfig.visibilityTimeout,
           ttl: options.ttl || queueConfig.messageTTL,
@@ -350,7 +349,7 @@ class MessageQueueService extends EventEmitter {
       const redis = redisClusterManager.getClient();
 
       // Remove from processing queue
-      await redis.zrem(`queue:${queueName}:processing`, messageId);
+      await this.removeFromProcessing(redis, queueName, messageId);
       this.processing.delete(messageId);
 
       this.metrics.messages.processed++;
@@ -360,9 +359,6 @@ class MessageQueueService extends EventEmitter {
         this.updateLatencyMetrics('processing', processingTime);
       }
 
-      // Clean up retry attempts
-      this.retryAttempts.delete(messageId);
-
       logger.debug(`Message acknowledged: ${messageId} from ${queueName}`);
       this.emit('message:acked', { queueName, messageId, processingTime });
 
@@ -381,34 +377,23 @@ class MessageQueueService extends EventEmitter {
     try {
       const redis = redisClusterManager.getClient();
 
-      // Get message from processing queue
-      const processingMessages = await redis.zrange(`queue:${queueName}:processing`, 0, -1);
-      let message = null;
-
-      for (const serializedMessage of processingMessages) {
-        const parsedMessage = JSON.parse(serializedMessage);
-        if (parsedMessage.id === messageId) {
-          message = parsedMessage;
-          break;
-        }
-      }
+      // Get message from processing queue and remove it
+      const message = await this.removeFromProcessing(redis, queueName, messageId);
 
       if (!message) {
         logger.warn(`Message ${messageId} not found in processing queue for ${queueName}`);
         return false;
       }
 
-      // Remove from processing queue
-      await redis.zrem(`queue:${queueName}:processing`, messageId);
       this.processing.delete(messageId);
 
-      // Handle retry logic
-      const retryCount = this.retryAttempts.get(messageId) || 0;
+      // Handle retry logic. Retries are enqueued as new messages, so the
+      // retry count travels in the message metadata.
+      const retryCount = message.metadata.retryCount || 0;
       const maxRetries = options.maxRetries || message.metadata.maxRetries;
 
       if (retryCount < maxRetries) {
         // Retry the message
-        this.retryAttempts.set(messageId, retryCount + 1);
         message.metadata.retryCount = retryCount + 1;
         message.metadata.lastError = error;
         message.metadata.lastRetryAt = new Date().toISOString();
@@ -421,7 +406,8 @@ class MessageQueueService extends EventEmitter {
         await this.enqueue(queueName, message.payload, {
           delayUntil: message.metadata.delayUntil,
           priority: message.metadata.priority,
-          maxRetries: maxRetries
+          maxRetries: maxRetries,
+          retryCount: retryCount + 1
         });
 
         this.metrics.messages.retried++;
@@ -435,7 +421,6 @@ class MessageQueueService extends EventEmitter {
       } else {
         // Move to dead letter queue
         await this.moveToDeadLetterQueue(queueName, message, error);
-        this.retryAttempts.delete(messageId);
       }
 
       return true;
@@ -446,6 +431,25 @@ class MessageQueueService extends EventEmitter {
     }
   }
 
+  /**
+   * Remove a message from the processing queue. Members are the serialized
+   * messages, so the message is looked up by ID first. Returns the message,
+   * or null when it isn't being processed.
+   */
+  async removeFromProcessing(redis, queueName, messageId) {
+    const processingMessages = await redis.zrange(`queue:${queueName}:processing`, 0, -1);
+
+    for (const serializedMessage of processingMessages) {
+      const message = JSON.parse(serializedMessage);
+      if (message.id === messageId) {
+        await redis.zrem(`queue:${queueName}:processing`, serializedMessage);
+        return message;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Move message to dead letter queue
    */
@@ -535,6 +539,31 @@ class MessageQueueService extends EventEmitter {
     }
   }
 
+  /**
+   * Stop a consumer registered with consume(). Messages it is processing
+   * are still acked or nacked.
+   */
+  stopConsumer(queueName, consumerId) {
+    const consumers = this.consumers.get(queueName);
+    const consumer = consumers && Array.from(consumers).find(candidate => candidate.id === consumerId);
+
+    if (!consumer) {
+      return false;
+    }
+
+    consumer.isActive = false;
+    consumers.delete(consumer);
+
+    if (consumers.size === 0) {
+      this.consumers.delete(queueName);
+      this.metrics.queues.active--;
+    }
+
+    logger.info(`Consumer stopped for queue: ${queueName}`, { consumerId });
+
+    return true;
+  }
+
   /**
    * Start consumer processing loop
    */
@@ -820,7 +849,6 @@ class MessageQueueService extends EventEmitter {
     // Clear data structures
     this.consumers.clear();
     this.processing.clear();
-    this.retryAttempts.clear();
 
     logger.info('Message queue service shutdown complete');
   }
@@ -3,6 +3,7 @@ const privacyRepository = require('../../repositories/profile/ProfilePrivacyRepo
 const socialRepository = require('../../repositories/profile/ProfileSocialRepository');
 const fileUploadService = require('../upload/FileUploadService');
 const cloudStorageService = require('../upload/CloudStorageService');
+const WebhookService = require('../webhookService');
 const logger = require('../../shared/utils/logger');
 
 class ProfileService {
@@ -46,7 +47,10 @@ class ProfileService {
                 userId
             });
 
-            return await this.getProfileById(profile.id, userId);
+            const createdProfile = await this.getProfileById(profile.id, userId);
+            await WebhookService.publish('profile.created', { profile: createdProfile.profile });
+
+            return createdProfile;
 
         } catch (error) {
             logger.error('Failed to create profile', {
@@ -171,7 +175,10 @@ class ProfileService {
                 userId
             });
 
-            return await this.getProfileById(profileId, userId);
+            const result = await this.getProfileById(profileId, userId);
+            await WebhookService.publish('profile.updated', { profile: result.profile });
+
+            return result;
 
         } catch (error) {
             logger.error('Failed to update profile', {
@@ -216,6 +223,8 @@ class ProfileService {
                 avatarUrl: avatarData.url
             });
 
+            await WebhookService.publish('profile.updated', { profile: updatedProfile.toJSON() });
+
             return updatedProfile;
 
         } catch (error) {
@@ -249,6 +258,8 @@ class ProfileService {
                 userId
             });
 
+            await WebhookService.publish('profile.deleted', { profile: existingProfile.toJSON() });
+
             return { success: true, message: 'Profile deleted successfully' };
 
         } catch (error) {
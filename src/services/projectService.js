@@ -0,0 +1,312 @@
+const projectStore = require('../repositories/project/projectStore');
+const taskStore = require('../repositories/task/taskStore');
+const Project = require('../models/Project');
+const TaskValidator = require('../utils/validators');
+const { UUID_REGEX } = TaskValidator;
+const { ROLE_HIERARCHY, hasRoleLevel, hasProjectRole } = require('../auth/middleware/rbacMiddleware');
+const { logger } = require('../utils/logger');
+
+// Most tasks a board shows (the task stores' page size limit); larger
+// projects are cut off, see `truncated`
+const MAX_BOARD_TASKS = 100;
+
+// Board cards: most urgent first, then oldest first
+const BOARD_SORT = [
+  { field: 'priority', order: 'desc' },
+  { field: 'createdAt', order: 'asc' }
+];
+
+class ProjectService {
+  // Load a project, or null when no project has the ID. Task project IDs
+  // can also be plain workflow keys from config/workflows.js, which are not
+  // projects.
+  static async findProject(id) {
+    if (!id || !UUID_REGEX.test(id)) {
+      return null;
+    }
+
+    return projectStore.findById(id);
+  }
+
+  // Load a project and make sure the user is a member. Projects the user is
+  // not in are reported as not found so their existence isn't leaked.
+  static async getAccessibleProject(id, user) {
+    const project = await ProjectService.findProject(id);
+
+    if (!project || (user && !hasProjectRole(user, project, 'viewer'))) {
+      throw new Error(`Project with ID ${id} not found`);
+    }
+
+    return project;
+  }
+
+  // Like getAccessibleProject, but IDs that aren't projects (workflow keys)
+  // give null instead of an error
+  static async findAccessibleProject(id, user) {
+    const project = await ProjectService.findProject(id);
+
+    if (project && user && !hasProjectRole(user, project, 'viewer')) {
+      throw new Error(`Project with ID ${id} not found`);
+    }
+
+    return project;
+  }
+
+  // IDs of the projects a user is a member of
+  static async getMemberProjectIds(user) {
+    const projects = await projectStore.findAll({ memberId: user.id });
+    return projects.map(project => project.id);
+  }
+
+  // Make sure tags on a project's task are labels of the project
+  static assertLabels(project, tags) {
+    const unknown = TaskValidator.normalizeTags(tags).filter(tag => !project.getLabel(tag));
+
+    if (unknown.length > 0) {
+      throw new Error(`Validation failed: tags: Not labels of project "${project.name}": ${unknown.join(', ')}`);
+    }
+  }
+
+  // List the projects the user is a member of (admins see all)
+  static async listProjects(user = null) {
+    try {
+      const seeAll = !user || hasRoleLevel(user.roles || [], ROLE_HIERARCHY.admin);
+      const projects = await projectStore.findAll(seeAll ? {} : { memberId: user.id });
+
+      logger.info('Projects retrieved', { count: projects.length });
+
+      return {
+        success: true,
+        data: projects.map(project => project.toJSON()),
+        message: 'Projects retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve projects', { error: error.message });
+
+      throw error;
+    }
+  }
+
+  // Create a project; the creator becomes its owner
+  static async createProject(projectData, user = null) {
+    try {
+      const validation = Project.validate(projectData);
+      if (!validation.isValid) {
+        const errorMessages = validation.errors.map(err => `${err.field}: ${err.error}`).join(', ');
+        throw new Error(`Validation failed: ${errorMessages}`);
+      }
+
+      const project = new Project({
+        name: projectData.name,
+        description: projectData.description,
+        columns: projectData.columns,
+        labels: projectData.labels,
+        createdBy: user ? user.id : null
+      });
+
+      if (user) {
+        project.setMember(user.id, 'owner');
+      }
+
+      const created = await projectStore.create(project);
+
+      return {
+        success: true,
+        data: created.toJSON(),
+        message: 'Project created successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to create project', {
+        error: error.message,
+        name: projectData.name
+      });
+
+      throw error;
+    }
+  }
+
+  // Update a project's name, description, board columns or labels
+  static async updateProject(project, updateData) {
+    try {
+      project.update(updateData);
+
+      const updated = await projectStore.update(project);
+
+      return {
+        success: true,
+        data: updated.toJSON(),
+        message: 'Project updated successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to update project', {
+        error: error.message,
+        projectId: project.id
+      });
+
+      throw error;
+    }
+  }
+
+  // Delete a project. Its tasks must be deleted first.
+  static async deleteProject(project) {
+    try {
+      const { pagination } = await taskStore.getAllTasks({ projectId: project.id, limit: 1 });
+
+      if (pagination.total > 0) {
+        throw new Error(`Project still has ${pagination.total} tasks; delete them first`);
+      }
+
+      await projectStore.delete(project.id);
+
+      return {
+        success: true,
+        data: project.toJSON(),
+        message: 'Project deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to delete project', {
+        error: error.message,
+        projectId: project.id
+      });
+
+      throw error;
+    }
+  }
+
+  // A project must always keep an owner
+  static assertKeepsOwner(project, userId) {
+    const owners = project.getOwners();
+
+    if (owners.length === 1 && owners[0].userId === userId) {
+      throw new Error('A project needs at least one owner');
+    }
+  }
+
+  // Add a member or change a member's role. Only owners can make owners or
+  // change another owner's role.
+  static async setMember(project, userId, role, user = null) {
+    try {
+      const currentRole = project.getMemberRole(userId);
+
+      if ((role === 'owner' || currentRole === 'owner') && user && !hasProjectRole(user, project, 'owner')) {
+        throw new Error('Access denied: only project owners can grant or change the owner role');
+      }
+
+      if (currentRole === 'owner' && role !== 'owner') {
+        ProjectService.assertKeepsOwner(project, userId);
+      }
+
+      project.setMember(userId, role);
+      const updated = await projectStore.update(project);
+
+      logger.info('Project member set', {
+        projectId: project.id,
+        userId,
+        role,
+        previousRole: currentRole
+      });
+
+      return {
+        success: true,
+        data: updated.toJSON().members,
+        message: currentRole ? 'Project member updated successfully' : 'Project member added successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to set project member', {
+        error: error.message,
+        projectId: project.id,
+        userId
+      });
+
+      throw error;
+    }
+  }
+
+  // Remove a member. Members may leave on their own; removing someone else
+  // takes a manager, and removing an owner takes an owner.
+  static async removeMember(project, userId, user = null) {
+    try {
+      const currentRole = project.getMemberRole(userId);
+
+      if (!currentRole) {
+        throw new Error(`Member ${userId} not found in project ${project.id}`);
+      }
+
+      if (user && user.id !== userId) {
+        const requiredRole = currentRole === 'owner' ? 'owner' : 'manager';
+
+        if (!hasProjectRole(user, project, requiredRole)) {
+          throw new Error(`Access denied: removing a project ${currentRole} requires the ${requiredRole} role`);
+        }
+      }
+
+      ProjectService.assertKeepsOwner(project, userId);
+
+      project.removeMember(userId);
+      const updated = await projectStore.update(project);
+
+      logger.info('Project member removed', { projectId: project.id, userId });
+
+      return {
+        success: true,
+        data: updated.toJSON().members,
+        message: 'Project member removed successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to remove project member', {
+        error: error.message,
+        projectId: project.id,
+        userId
+      });
+
+      throw error;
+    }
+  }
+
+  // Kanban board: the project's tasks grouped into its columns, with each
+  // task's labels resolved to their colors
+  static async getBoard(project) {
+    try {
+      const { tasks, pagination } = await taskStore.getAllTasks({
+        projectId: project.id,
+        limit: MAX_BOARD_TASKS,
+        sort: BOARD_SORT
+      });
+
+      const columns = project.getColumns().map(column => ({
+        ...column,
+        tasks: tasks
+          .filter(task => column.statuses.includes(task.status))
+          .map(task => ({
+            ...task,
+            labels: task.tags.map(tag => project.getLabel(tag)).filter(Boolean)
+          }))
+      }));
+
+      logger.info('Project board retrieved', {
+        projectId: project.id,
+        taskCount: tasks.length
+      });
+
+      return {
+        success: true,
+        data: {
+          projectId: project.id,
+          columns,
+          total: pagination.total,
+          truncated: pagination.total > tasks.length
+        },
+        message: 'Project board retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve project board', {
+        error: error.message,
+        projectId: project.id
+      });
+
+      throw error;
+    }
+  }
+}
+
+module.exports = ProjectService;
@@ -0,0 +1,401 @@
+const taskStore = require('../repositories/task/taskStore');
+const taskHistoryStore = require('../repositories/task/taskHistoryStore');
+const TaskService = require('./taskService');
+const ProjectService = require('./projectService');
+const workflowEngine = require('./workflow/WorkflowEngine');
+const { convertToCSV } = require('../utils/csv');
+const { logger } = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Ranges default to the last 30 days and may span at most a year
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Report builders by metric name, as used in /tasks/analytics/<metric>
+const REPORTS = {
+  'lead-time': 'leadTime',
+  'cycle-time': 'cycleTime',
+  throughput: 'throughput',
+  'cumulative-flow': 'cumulativeFlow',
+  burndown: 'burndown'
+};
+
+const round = value => Math.round(value * 100) / 100;
+const toDay = date => date.toISOString().slice(0, 10);
+
+// ISO 8601 week of a UTC date, e.g. "2030-W19". The week belongs to the
+// year its Thursday falls in.
+const isoWeek = (date) => {
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.floor((thursday - yearStart) / DAY_MS / 7) + 1;
+
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+// Count, average, median, 85th percentile and extremes of a list of hours
+const summarize = (values) => {
+  if (values.length === 0) {
+    return { count: 0, average: null, median: null, p85: null, min: null, max: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+
+  return {
+    count: sorted.length,
+    average: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    median: round(median),
+    // Nearest-rank percentile
+    p85: round(sorted[Math.ceil(sorted.length * 0.85) - 1]),
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1])
+  };
+};
+
+/**
+ * Task Analytics Service
+ * Flow metrics computed from task history: lead time (created to
+ * completed), cycle time (started to completed), weekly throughput,
+ * cumulative flow per status and burndown/burnup over a range of UTC days.
+ *
+ * Each task's status over time is rebuilt from its revisions. A task counts
+ * as started when it first enters a state other than its workflow's initial
+ * and completed states, and as completed at its last recorded move into a
+ * completed state, provided it is still completed. Deleted tasks have no
+ * history left and drop out of every metric.
+ */
+class TaskAnalyticsService {
+  // Parse a YYYY-MM-DD day into the Date of its UTC midnight
+  static parseDay(value, name) {
+    const date = new Date(`${value}T00:00:00.000Z`);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime()) || toDay(date) !== value) {
+      throw new Error(`Analytics ${name} must be a date in YYYY-MM-DD format`);
+    }
+
+    return date;
+  }
+
+  // Resolve `from` and `to` (inclusive UTC days) into the range's days and
+  // its start and exclusive end. `to` defaults to today and `from` to 30
+  // days before it.
+  static resolveRange(from, to, now = new Date()) {
+    const last = to ? TaskAnalyticsService.parseDay(to, 'to') : new Date(`${toDay(now)}T00:00:00.000Z`);
+    const first = from ? TaskAnalyticsService.parseDay(from, 'from') : new Date(last.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+    if (first > last) {
+      throw new Error('Analytics range must start on or before its end');
+    }
+
+    const dayCount = (last - first) / DAY_MS + 1;
+
+    if (dayCount > MAX_RANGE_DAYS) {
+      throw new Error(`Analytics range cannot be longer than ${MAX_RANGE_DAYS} days`);
+    }
+
+    const days = Array.from({ length: dayCount }, (_, index) => new Date(first.getTime() + index * DAY_MS));
+
+    return {
+      from: toDay(first),
+      to: toDay(last),
+      start: first,
+      end: new Date(last.getTime() + DAY_MS),
+      days
+    };
+  }
+
+  // ISO weeks overlapping the range, each with the Monday it starts on
+  static rangeWeeks(range) {
+    const weeks = new Map();
+
+    range.days.forEach((day) => {
+      const week = isoWeek(day);
+
+      if (!weeks.has(week)) {
+        const monday = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+        weeks.set(week, toDay(monday));
+      }
+    });
+
+    return [...weeks].map(([week, start]) => ({ week, start }));
+  }
+
+  // Rebuild a task's status timeline from its revisions. Tasks created
+  // before history was recorded start in their current status (or the
+  // status their first recorded change moved away from).
+  static buildTimeline(task, history = []) {
+    const createdAt = new Date(task.createdAt);
+    const events = [];
+
+    history.forEach(({ auditLog }) => {
+      const { action, snapshot, changes = [] } = auditLog.metadata;
+      const at = new Date(auditLog.timestamp);
+
+      if (action === 'created' && snapshot) {
+        events.push({ at: createdAt, status: snapshot.status, recorded: true });
+        return;
+      }
+
+      const change = changes.find(entry => entry.field === 'status');
+
+      if (change) {
+        events.push({ at, status: change.to, from: change.from, recorded: true });
+      }
+    });
+
+    if (events.length === 0 || events[0].from !== undefined) {
+      events.unshift({ at: createdAt, status: events.length > 0 ? events[0].from : task.status, recorded: false });
+    }
+
+    const initialState = workflowEngine.getInitialState(task.projectId);
+    const isCompleted = status => workflowEngine.isCompletedState(status, task.projectId);
+
+    const started = events.find(event => event.recorded && event.status !== initialState && !isCompleted(event.status));
+    let completedAt = null;
+
+    if (isCompleted(task.status)) {
+      events.forEach((event, index) => {
+        const wasCompleted = index > 0 && isCompleted(events[index - 1].status);
+
+        if (event.recorded && isCompleted(event.status) && !wasCompleted) {
+          completedAt = event.at;
+        }
+      });
+    }
+
+    return {
+      task,
+      createdAt,
+      startedAt: started ? started.at : null,
+      completedAt,
+      events
+    };
+  }
+
+  // Status of a task just before `instant`, or null if it didn't exist yet
+  static statusBefore(timeline, instant) {
+    let status = null;
+
+    for (const event of timeline.events) {
+      if (event.at >= instant) {
+        break;
+      }
+      status = event.status;
+    }
+
+    return status;
+  }
+
+  // Load the timelines of every task the user can see (in one project, if
+  // given) that existed by the end of the range
+  static async loadTimelines(range, projectId, user) {
+    const tasks = await taskStore.listTasks({
+      ...await TaskService.getOwnerScope(user),
+      projectId,
+      createdBefore: range.end.toISOString()
+    });
+
+    const histories = await taskHistoryStore.findByTaskIds(tasks.map(task => task.id));
+
+    return tasks.map(task => TaskAnalyticsService.buildTimeline(task, histories.get(task.id)));
+  }
+
+  // Timelines of the tasks completed within the range
+  static completedInRange(timelines, range) {
+    return timelines.filter(timeline => timeline.completedAt &&
+      timeline.completedAt >= range.start && timeline.completedAt < range.end);
+  }
+
+  // Hours from `startField` to completion for each task completed in the
+  // range, summarized overall and per ISO week of completion
+  static durations(timelines, range, startField) {
+    const tasks = TaskAnalyticsService.completedInRange(timelines, range)
+      .filter(timeline => timeline[startField])
+      .map(timeline => ({
+        id: timeline.task.id,
+        title: timeline.task.title,
+        [startField]: timeline[startField].toISOString(),
+        completedAt: timeline.completedAt.toISOString(),
+        week: isoWeek(timeline.completedAt),
+        hours: round((timeline.completedAt - timeline[startField]) / HOUR_MS)
+      }));
+
+    return {
+      unit: 'hours',
+      summary: summarize(tasks.map(task => task.hours)),
+      byWeek: TaskAnalyticsService.rangeWeeks(range).map(({ week, start }) => ({
+        week,
+        start,
+        ...summarize(tasks.filter(task => task.week === week).map(task => task.hours))
+      })),
+      tasks: tasks.map(({ week, ...task }) => task)
+    };
+  }
+
+  static leadTime(timelines, range) {
+    return TaskAnalyticsService.durations(timelines, range, 'createdAt');
+  }
+
+  // Tasks that went straight to completed were never started and are left
+  // out of cycle time
+  static cycleTime(timelines, range) {
+    return TaskAnalyticsService.durations(timelines, range, 'startedAt');
+  }
+
+  // Tasks completed per ISO week
+  static throughput(timelines, range) {
+    const weeks = TaskAnalyticsService.completedInRange(timelines, range)
+      .map(timeline => isoWeek(timeline.completedAt));
+
+    return {
+      total: weeks.length,
+      byWeek: TaskAnalyticsService.rangeWeeks(range).map(({ week, start }) => ({
+        week,
+        start,
+        completed: weeks.filter(completedWeek => completedWeek === week).length
+      }))
+    };
+  }
+
+  // Tasks in each status at the end of each day
+  static cumulativeFlow(timelines, range) {
+    const statuses = workflowEngine.getKnownStates();
+
+    const byDay = range.days.map((day) => {
+      const counts = Object.fromEntries(statuses.map(status => [status, 0]));
+      const endOfDay = new Date(day.getTime() + DAY_MS);
+
+      timelines.forEach((timeline) => {
+        const status = TaskAnalyticsService.statusBefore(timeline, endOfDay);
+
+        if (status) {
+          counts[status] = (counts[status] || 0) + 1;
+        }
+      });
+
+      return { date: toDay(day), counts };
+    });
+
+    return { statuses, byDay };
+  }
+
+  // Scope (tasks existing), completed and remaining tasks at the end of each
+  // day: burnup plots total against completed, burndown plots remaining
+  // against an ideal line falling from the first day's remaining to zero
+  static burndown(timelines, range) {
+    const byDay = range.days.map((day) => {
+      const endOfDay = new Date(day.getTime() + DAY_MS);
+      let total = 0;
+      let completed = 0;
+
+      timelines.forEach((timeline) => {
+        const status = TaskAnalyticsService.statusBefore(timeline, endOfDay);
+
+        if (status) {
+          total++;
+          if (workflowEngine.isCompletedState(status, timeline.task.projectId)) {
+            completed++;
+          }
+        }
+      });
+
+      return { date: toDay(day), total, completed, remaining: total - completed };
+    });
+
+    const startRemaining = byDay[0].remaining;
+    const steps = byDay.length - 1;
+
+    return {
+      byDay: byDay.map((day, index) => ({
+        ...day,
+        ideal: steps === 0 ? 0 : round(startRemaining * (1 - index / steps))
+      }))
+    };
+  }
+
+  // Compute one analytics report for the tasks the user can see
+  static async getReport(metric, options = {}, user = null) {
+    try {
+      const builder = REPORTS[metric];
+
+      if (!builder) {
+        throw new Error(`Unknown analytics metric "${metric}"`);
+      }
+
+      const range = TaskAnalyticsService.resolveRange(options.from, options.to);
+      await ProjectService.findAccessibleProject(options.projectId, user);
+
+      const timelines = await TaskAnalyticsService.loadTimelines(range, options.projectId, user);
+
+      logger.info('Task analytics computed', {
+        metric,
+        from: range.from,
+        to: range.to,
+        projectId: options.projectId,
+        taskCount: timelines.length
+      });
+
+      return {
+        success: true,
+        data: {
+          metric,
+          from: range.from,
+          to: range.to,
+          projectId: options.projectId || null,
+          ...TaskAnalyticsService[builder](timelines, range)
+        },
+        message: 'Task analytics retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to compute task analytics', {
+        error: error.message,
+        metric
+      });
+
+      throw error;
+    }
+  }
+
+  // Flatten a report into the category/metric table of the metrics CSV
+  // export: one category per week or day
+  static toCSV(report) {
+    const table = {};
+
+    switch (report.metric) {
+      case 'lead-time':
+      case 'cycle-time':
+        table.summary = report.summary;
+        report.byWeek.forEach(({ week, start, ...stats }) => {
+          table[week] = stats;
+        });
+        break;
+      case 'throughput':
+        report.byWeek.forEach(({ week, completed }) => {
+          table[week] = { completed };
+        });
+        break;
+      case 'cumulative-flow':
+        report.byDay.forEach(({ date, counts }) => {
+          table[date] = counts;
+        });
+        break;
+      case 'burndown':
+        report.byDay.forEach(({ date, ...counts }) => {
+          table[date] = counts;
+        });
+        break;
+      default:
+        throw new Error(`Unknown analytics metric "${report.metric}"`);
+    }
+
+    return convertToCSV(table);
+  }
+}
+
+module.exports = TaskAnalyticsService;
@@ -0,0 +1,137 @@
+const TaskService = require('./taskService');
+const WebhookService = require('./webhookService');
+const taskTransaction = require('../repositories/task/taskTransaction');
+const { logger } = require('../utils/logger');
+
+// Fields a bulk create may set, as in POST /tasks
+const CREATE_FIELDS = [
+  'title', 'description', 'status', 'assigneeId', 'projectId', 'dueDate',
+  'priority', 'estimate', 'parentId', 'checklist', 'tags', 'recurrence', 'externalId'
+];
+
+// Thrown inside an atomic batch to roll it back after an operation failed
+class BulkAbortError extends Error {
+  constructor(results) {
+    super('Bulk operation failed');
+    this.results = results;
+  }
+}
+
+class TaskBulkService {
+  // Pick the fields a create operation may set
+  static createData(data) {
+    return CREATE_FIELDS.reduce((picked, field) => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  // Run one operation through the same service method as its single-task
+  // endpoint, so access checks, workflow rules and history all apply
+  static async runOperation(operation, user = null) {
+    switch (operation.op) {
+      case 'create':
+        return TaskService.createTask(TaskBulkService.createData(operation.data), user);
+      case 'update':
+        return TaskService.updateTask(operation.id, operation.data, user);
+      case 'status':
+        return TaskService.updateTask(operation.id, { status: operation.status.trim() }, user);
+      case 'delete':
+        return TaskService.deleteTask(operation.id, user);
+      default:
+        throw new Error(`Unknown bulk operation "${operation.op}"`);
+    }
+  }
+
+  // Run operations in order, recording each outcome. Stops at the first
+  // failure when `stopOnFailure` is set.
+  static async runAll(operations, user, stopOnFailure) {
+    const results = [];
+
+    for (const [index, operation] of operations.entries()) {
+      try {
+        const { data } = await TaskBulkService.runOperation(operation, user);
+        results.push({ index, op: operation.op, id: data.id, outcome: 'succeeded', data });
+      } catch (error) {
+        results.push({ index, op: operation.op, id: operation.id || null, outcome: 'failed', error });
+
+        if (stopOnFailure) {
+          break;
+        }
+      }
+    }
+
+    return results;
+  }
+
+  // Run a batch of create / update / status / delete operations. By default
+  // each operation succeeds or fails on its own; an atomic batch keeps all
+  // of its changes or, once any operation fails, none of them.
+  static async execute(operations, { atomic = false } = {}, user = null) {
+    let results;
+    let committed = true;
+
+    if (!atomic) {
+      results = await TaskBulkService.runAll(operations, user, false);
+    } else {
+      try {
+        // Webhook events wait for the commit
+        results = await WebhookService.deferEvents(() => taskTransaction(async () => {
+          const attempted = await TaskBulkService.runAll(operations, user, true);
+
+          if (attempted.some(result => result.outcome === 'failed')) {
+            throw new BulkAbortError(attempted);
+          }
+
+          return attempted;
+        }));
+      } catch (error) {
+        if (!(error instanceof BulkAbortError)) {
+          throw error;
+        }
+
+        committed = false;
+
+        // Operations before the failure were undone; later ones never ran
+        results = operations.map((operation, index) => {
+          const attempted = error.results[index];
+
+          if (!attempted) {
+            return { index, op: operation.op, id: operation.id || null, outcome: 'skipped' };
+          }
+
+          return attempted.outcome === 'succeeded'
+            ? { index, op: operation.op, id: operation.id || null, outcome: 'rolled_back' }
+            : attempted;
+        });
+      }
+    }
+
+    const succeeded = results.filter(result => result.outcome === 'succeeded').length;
+    const failedResult = results.find(result => result.outcome === 'failed');
+
+    logger.info('Bulk task operations completed', {
+      userId: user ? user.id : null,
+      atomic,
+      committed,
+      total: operations.length,
+      succeeded,
+      failedIndex: failedResult ? failedResult.index : null
+    });
+
+    return {
+      atomic,
+      committed,
+      summary: {
+        total: operations.length,
+        succeeded,
+        failed: operations.length - succeeded
+      },
+      results
+    };
+  }
+}
+
+module.exports = TaskBulkService;
@@ -0,0 +1,208 @@
+const taskCommentStore = require('../repositories/task/taskCommentStore');
+const TaskComment = require('../models/TaskComment');
+const authService = require('../auth/services/authService');
+const { NOTIFICATION_TYPES } = require('../notifications/models');
+const { logger } = require('../utils/logger');
+
+// "@username" not preceded by a username character, so email addresses
+// in comment text are not treated as mentions
+const MENTION_PATTERN = /(^|[^a-zA-Z0-9_.@-])@([a-zA-Z0-9_][a-zA-Z0-9_.-]*)/g;
+
+// Cap on distinct usernames resolved per comment
+const MAX_MENTIONS = 20;
+
+class TaskCommentService {
+  // Extract the distinct, lower-cased usernames mentioned in a comment body
+  static parseMentions(body) {
+    const usernames = new Set();
+
+    for (const match of body.matchAll(MENTION_PATTERN)) {
+      // Drop trailing punctuation, e.g. "thanks @alice."
+      usernames.add(match[2].replace(/[.-]+$/, '').toLowerCase());
+    }
+
+    return Array.from(usernames).filter(Boolean).slice(0, MAX_MENTIONS);
+  }
+
+  // Mentioned users are only notified if they can see the task, so a
+  // mention never discloses a task to someone outside its scope.
+  // TaskService loads this module, so it is required on use.
+  static canSeeTask(task, user) {
+    return require('./taskService').canViewTask(task, user);
+  }
+
+  // Resolve the users mentioned in a body, excluding the author. Lookup
+  // failures are logged rather than failing the comment.
+  static async resolveMentions(task, body, author = null) {
+    const usernames = TaskCommentService.parseMentions(body);
+
+    if (usernames.length === 0) {
+      return [];
+    }
+
+    try {
+      const users = await authService.getUsersByUsernames(usernames);
+
+      const candidates = users.filter(user => !author || user.id !== author.id);
+      const visible = await Promise.all(candidates.map(user => TaskCommentService.canSeeTask(task, user)));
+
+      return candidates.filter((user, index) => visible[index]);
+    } catch (error) {
+      logger.warn('Failed to resolve comment mentions', {
+        taskId: task.id,
+        usernames,
+        error: error.message
+      });
+
+      return [];
+    }
+  }
+
+  // Notify mentioned users; one failed delivery doesn't stop the rest
+  static async notifyMentions(task, comment, userIds, author = null) {
+    if (userIds.length === 0) {
+      return 0;
+    }
+
+    // Loaded on first use: the notification service connects to Redis when
+    // required, and the factory requires it
+    const NotificationFactory = require('../notifications/notificationFactory');
+    const notificationService = require('../notifications/notificationService');
+    let sent = 0;
+
+    for (const userId of userIds) {
+      try {
+        const notification = NotificationFactory.createSocialNotification(NOTIFICATION_TYPES.MENTION, userId, {
+          mentionerId: author ? author.id : null,
+          mentionerName: author ? author.name || author.email : 'Someone',
+          context: `a comment on "${task.title}"`,
+          mentionUrl: `/tasks/${task.id}#comment-${comment.id}`,
+          taskId: task.id,
+          commentId: comment.id
+        });
+
+        await notificationService.sendToUser(userId, notification);
+        sent++;
+      } catch (error) {
+        logger.error('Failed to send mention notification', {
+          taskId: task.id,
+          commentId: comment.id,
+          userId,
+          error: error.message
+        });
+      }
+    }
+
+    return sent;
+  }
+
+  // Nest replies under their parent comments, oldest first at every level
+  static buildThreads(comments) {
+    const nodes = new Map(comments.map(comment => [comment.id, { ...comment.toJSON(), replies: [] }]));
+    const threads = [];
+
+    for (const comment of comments) {
+      const node = nodes.get(comment.id);
+      const parent = comment.parentId ? nodes.get(comment.parentId) : null;
+
+      if (parent) {
+        parent.replies.push(node);
+      } else {
+        threads.push(node);
+      }
+    }
+
+    return threads;
+  }
+
+  // Get a comment on a task, throwing if it doesn't exist
+  static async getComment(taskId, commentId) {
+    const comment = await taskCommentStore.findById(taskId, commentId);
+
+    if (!comment) {
+      throw new Error(`Comment ${commentId} on task ${taskId} not found`);
+    }
+
+    return comment;
+  }
+
+  // Get a task's comments as threads
+  static async listComments(taskId) {
+    const comments = await taskCommentStore.findByTaskId(taskId);
+
+    return {
+      taskId,
+      total: comments.length,
+      threads: TaskCommentService.buildThreads(comments)
+    };
+  }
+
+  // Add a comment (or a reply, when parentId is given) and notify mentions
+  static async addComment(task, { body, parentId = null }, user = null) {
+    if (parentId) {
+      await TaskCommentService.getComment(task.id, parentId);
+    }
+
+    const mentioned = await TaskCommentService.resolveMentions(task, body, user);
+
+    const comment = await taskCommentStore.create(new TaskComment({
+      taskId: task.id,
+      parentId,
+      authorId: user ? user.id : null,
+      body,
+      mentions: mentioned.map(mentionedUser => mentionedUser.id)
+    }));
+
+    await TaskCommentService.notifyMentions(task, comment, comment.mentions, user);
+
+    return comment;
+  }
+
+  // Edit a comment's body, keeping the previous version. Only users who
+  // weren't already mentioned are notified.
+  static async editComment(task, comment, body, user = null) {
+    const mentioned = await TaskCommentService.resolveMentions(task, body, user);
+    const previousMentions = new Set(comment.mentions);
+
+    comment.edit(body, mentioned.map(mentionedUser => mentionedUser.id), user ? user.id : null);
+
+    const updated = await taskCommentStore.update(comment);
+
+    await TaskCommentService.notifyMentions(
+      task,
+      updated,
+      updated.mentions.filter(userId => !previousMentions.has(userId)),
+      user
+    );
+
+    return updated;
+  }
+
+  // Delete a comment together with its replies
+  static async deleteComment(task, comment) {
+    return taskCommentStore.delete(task.id, comment.id);
+  }
+
+  // Get a comment's edit history, oldest version first
+  static async getCommentHistory(taskId, commentId) {
+    const comment = await TaskCommentService.getComment(taskId, commentId);
+
+    return {
+      commentId: comment.id,
+      taskId: comment.taskId,
+      current: {
+        body: comment.body,
+        mentions: [...comment.mentions],
+        updatedAt: comment.updatedAt
+      },
+      edits: comment.edits.map(edit => ({ ...edit }))
+    };
+  }
+
+  // Drop all comments of a deleted task
+  static async removeTask(taskId) {
+    await taskCommentStore.removeTask(taskId);
+  }
+}
+
+module.exports = TaskCommentService;
@@ -0,0 +1,158 @@
+const taskStore = require('../repositories/task/taskStore');
+const taskDependencyStore = require('../repositories/task/taskDependencyStore');
+const workflowEngine = require('./workflow/WorkflowEngine');
+const { WorkflowTransitionError, TaskDependencyError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+class TaskDependencyService {
+  // Short form of a related task used in dependency listings and errors
+  static summarize(task) {
+    return {
+      id: task.id,
+      title: task.title,
+      status: task.status,
+      open: !workflowEngine.isCompletedState(task.status, task.projectId)
+    };
+  }
+
+  // Load the tasks on the far side of a list of edges, skipping any that
+  // no longer exist
+  static async loadTasks(ids) {
+    const tasks = [];
+
+    for (const id of ids) {
+      try {
+        tasks.push(await taskStore.getTaskById(id));
+      } catch (error) {
+        if (!error.message.includes('not found')) {
+          throw error;
+        }
+      }
+    }
+
+    return tasks;
+  }
+
+  // Find the existing chain that would close a cycle if blockerId started
+  // blocking blockedId, i.e. a path on which blockedId already (transitively)
+  // blocks blockerId. Returns the cycle as a list of task IDs, or null.
+  static async findCycle(blockerId, blockedId) {
+    if (blockerId === blockedId) {
+      return [blockerId, blockedId];
+    }
+
+    // Breadth-first walk up the "blocked by" edges from the new blocker
+    const previous = new Map([[blockerId, null]]);
+    const queue = [blockerId];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      const edges = await taskDependencyStore.findBlockers(current);
+
+      for (const { blockerId: upstream } of edges) {
+        if (previous.has(upstream)) {
+          continue;
+        }
+
+        previous.set(upstream, current);
+
+        if (upstream === blockedId) {
+          // blockedId -> ... -> blockerId -> blockedId
+          const cycle = [];
+          for (let id = upstream; id !== null; id = previous.get(id)) {
+            cycle.push(id);
+          }
+          return [...cycle, blockedId];
+        }
+
+        queue.push(upstream);
+      }
+    }
+
+    return null;
+  }
+
+  // Record that blockerId blocks blockedId, rejecting cycles
+  static async addDependency(blockerId, blockedId, user = null) {
+    const cycle = await TaskDependencyService.findCycle(blockerId, blockedId);
+
+    if (cycle) {
+      throw new TaskDependencyError(
+        blockerId === blockedId
+          ? 'A task cannot block itself'
+          : `Adding this dependency would create a cycle: ${cycle.join(' -> ')}`,
+        'TASK_DEPENDENCY_CYCLE',
+        { blockerId, blockedId, cycle }
+      );
+    }
+
+    return taskDependencyStore.add(blockerId, blockedId, user ? user.id : null);
+  }
+
+  // Remove the dependency between two tasks, whichever direction it runs
+  static async removeDependency(taskId, otherTaskId) {
+    const removedBlocker = await taskDependencyStore.remove(otherTaskId, taskId);
+    const removedBlocked = await taskDependencyStore.remove(taskId, otherTaskId);
+
+    if (!removedBlocker && !removedBlocked) {
+      throw new Error(`Dependency between tasks ${taskId} and ${otherTaskId} not found`);
+    }
+  }
+
+  // Drop all dependencies of a deleted task
+  static async removeTask(taskId) {
+    await taskDependencyStore.removeTask(taskId);
+  }
+
+  // Get the tasks that block and are blocked by a task
+  static async getDependencies(taskId) {
+    const blockerEdges = await taskDependencyStore.findBlockers(taskId);
+    const blockingEdges = await taskDependencyStore.findBlocking(taskId);
+
+    const blockedBy = (await TaskDependencyService.loadTasks(blockerEdges.map(edge => edge.blockerId)))
+      .map(TaskDependencyService.summarize);
+    const blocks = (await TaskDependencyService.loadTasks(blockingEdges.map(edge => edge.blockedId)))
+      .map(TaskDependencyService.summarize);
+
+    return {
+      taskId,
+      blocked: blockedBy.some(task => task.open),
+      blockedBy,
+      blocks
+    };
+  }
+
+  // Blockers of a task that are not yet in a completed state
+  static async getOpenBlockers(taskId) {
+    const edges = await taskDependencyStore.findBlockers(taskId);
+    const blockers = await TaskDependencyService.loadTasks(edges.map(edge => edge.blockerId));
+
+    return blockers.filter(blocker => !workflowEngine.isCompletedState(blocker.status, blocker.projectId));
+  }
+
+  // Throw unless `task` may move to `toStatus`: a task cannot enter a
+  // completed state while any of its blockers is still open
+  static async assertCanComplete(task, toStatus) {
+    if (toStatus === undefined || toStatus === task.status ||
+        !workflowEngine.isCompletedState(toStatus, task.projectId)) {
+      return;
+    }
+
+    const openBlockers = await TaskDependencyService.getOpenBlockers(task.id);
+
+    if (openBlockers.length > 0) {
+      logger.warn('Task completion blocked by open dependencies', {
+        taskId: task.id,
+        blockedBy: openBlockers.map(blocker => blocker.id)
+      });
+
+      throw new WorkflowTransitionError(
+        `Task cannot be completed while blocked by ${openBlockers.length} open task(s)`,
+        'TASK_BLOCKED',
+        { blockedBy: openBlockers.map(TaskDependencyService.summarize) }
+      );
+    }
+  }
+}
+
+module.exports = TaskDependencyService;
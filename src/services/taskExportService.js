@@ -0,0 +1,118 @@
+const taskStore = require('../repositories/task/taskStore');
+const TaskService = require('./taskService');
+const ProjectService = require('./projectService');
+const workflowEngine = require('./workflow/WorkflowEngine');
+const { formatCSV } = require('../utils/csv');
+const { escapeText, formatDateTime, formatCalendar } = require('../utils/icalendar');
+const { logger } = require('../utils/logger');
+
+// CSV columns, in order. Tags are joined with commas; checklists and
+// recurrence rules are only part of the JSON export.
+const CSV_COLUMNS = [
+  'id', 'externalId', 'title', 'description', 'status', 'priority', 'assigneeId',
+  'projectId', 'parentId', 'dueDate', 'estimate', 'tags', 'createdBy', 'createdAt', 'updatedAt'
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+  ics: 'text/calendar'
+};
+
+const CALENDAR_PRODUCT_ID = '-//simple-express-api//Tasks//EN';
+
+// iCalendar priorities: 1 is the highest, 9 the lowest
+const TODO_PRIORITIES = { critical: 1, high: 3, medium: 5, low: 9 };
+
+/**
+ * Task Export Service
+ * Writes the tasks a user can see as CSV, JSON or iCalendar (one VTODO per
+ * task). The JSON export can be imported again as is.
+ */
+class TaskExportService {
+  static toCSV(tasks) {
+    return formatCSV(CSV_COLUMNS, tasks.map(task => ({ ...task, tags: task.tags.join(',') })));
+  }
+
+  static toJSON(tasks) {
+    return JSON.stringify(tasks, null, 2);
+  }
+
+  // VTODO status of a task's workflow state: its initial state still needs
+  // action, completed states are completed and anything else is in process
+  static todoStatus(task) {
+    if (workflowEngine.isCompletedState(task.status, task.projectId)) {
+      return 'COMPLETED';
+    }
+
+    return task.status === workflowEngine.getInitialState(task.projectId) ? 'NEEDS-ACTION' : 'IN-PROCESS';
+  }
+
+  static toICS(tasks, now = new Date()) {
+    return formatCalendar({
+      prodId: CALENDAR_PRODUCT_ID,
+      components: tasks.map(task => ({
+        name: 'VTODO',
+        properties: [
+          ['UID', task.id],
+          ['DTSTAMP', formatDateTime(now)],
+          ['CREATED', formatDateTime(task.createdAt)],
+          ['LAST-MODIFIED', formatDateTime(task.updatedAt)],
+          ['SUMMARY', escapeText(task.title)],
+          ['DESCRIPTION', task.description ? escapeText(task.description) : null],
+          ['DUE', task.dueDate ? formatDateTime(task.dueDate) : null],
+          ['STATUS', TaskExportService.todoStatus(task)],
+          ['PRIORITY', TODO_PRIORITIES[task.priority]],
+          ['CATEGORIES', task.tags.length > 0 ? task.tags.map(escapeText).join(',') : null],
+          ['RELATED-TO;RELTYPE=PARENT', task.parentId]
+        ]
+      }))
+    });
+  }
+
+  // Export every task the user can see that matches the list filters of
+  // GET /tasks, oldest first
+  static async exportTasks(format, options = {}, user = null) {
+    try {
+      const writers = {
+        csv: TaskExportService.toCSV,
+        json: TaskExportService.toJSON,
+        ics: TaskExportService.toICS
+      };
+
+      if (!writers[format]) {
+        throw new Error(`Unknown export format "${format}"`);
+      }
+
+      await ProjectService.findAccessibleProject(options.projectId, user);
+
+      const tasks = await taskStore.listTasks({
+        ...options,
+        ...await TaskService.getOwnerScope(user)
+      });
+
+      logger.info('Tasks exported', {
+        format,
+        count: tasks.length,
+        projectId: options.projectId
+      });
+
+      return {
+        format,
+        count: tasks.length,
+        contentType: CONTENT_TYPES[format],
+        filename: `tasks-${new Date().toISOString().slice(0, 10)}.${format}`,
+        body: writers[format](tasks.map(task => task.toJSON()))
+      };
+    } catch (error) {
+      logger.error('Failed to export tasks', {
+        error: error.message,
+        format
+      });
+
+      throw error;
+    }
+  }
+}
+
+module.exports = TaskExportService;
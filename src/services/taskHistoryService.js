@@ -0,0 +1,144 @@
+const taskHistoryStore = require('../repositories/task/taskHistoryStore');
+const taskTransaction = require('../repositories/task/taskTransaction');
+const AuditLog = require('../models/security/AuditLog');
+const { logger } = require('../utils/logger');
+
+// Fields that are tracked in field-level diffs. Timestamps are excluded
+// because every revision changes them.
+const TRACKED_FIELDS = [
+  'title', 'description', 'status', 'projectId', 'createdBy', 'assigneeId',
+  'dueDate', 'priority', 'estimate', 'parentId', 'checklist', 'tags', 'recurrence', 'templateId'
+];
+
+// Fields a restore writes back; ownership, project and parent are never rewound
+const RESTORABLE_FIELDS = [
+  'title', 'description', 'status', 'assigneeId', 'dueDate', 'priority', 'estimate', 'checklist', 'tags'
+];
+
+class TaskHistoryService {
+  // Compute field-level changes between two task snapshots. Values are
+  // compared as JSON so checklist and tag arrays compare by content.
+  static diff(before, after) {
+    return TRACKED_FIELDS
+      .filter(field => JSON.stringify(before ? before[field] : undefined) !== JSON.stringify(after[field]))
+      .map(field => ({
+        field,
+        from: before && before[field] !== undefined ? before[field] : null,
+        to: after[field] !== undefined ? after[field] : null
+      }));
+  }
+
+  // Record a revision for a task. `action` is one of created, updated,
+  // restored (to a prior revision), deleted (moved to the trash), undeleted
+  // or purged; `before` is null for newly created tasks.
+  static async recordRevision(action, before, after, user = null, extra = {}) {
+    const taskId = after.id;
+    const changes = TaskHistoryService.diff(before, after);
+
+    if (action === 'updated' && changes.length === 0) {
+      return null;
+    }
+
+    const latest = await taskHistoryStore.findLatest(taskId);
+    const revision = latest ? latest.revision + 1 : 1;
+
+    // Each revision is an AuditLog entry, signed with the same scheme as
+    // security audit logs. Chaining the previous signature makes removed
+    // or reordered revisions detectable as well as edited ones.
+    const auditLog = AuditLog.fromEvent({
+      type: 'data',
+      subtype: `task_${action}`,
+      userId: user ? user.id : null,
+      severity: 'info',
+      message: `Task ${taskId} ${action} (revision ${revision})`,
+      metadata: {
+        taskId,
+        revision,
+        action,
+        changes,
+        snapshot: after,
+        previousSignature: latest ? latest.auditLog.signatureHash : null,
+        ...extra
+      }
+    });
+
+    return taskHistoryStore.append(taskId, revision, auditLog);
+  }
+
+  // Make a task change with `write` and record its revision as one unit of
+  // work, so no change is kept without its revision. The write locks the
+  // task's row until the unit commits, so concurrent changes to a task take
+  // their revision numbers one after another.
+  static async recordChange(action, before, write, user = null, extra = {}) {
+    return taskTransaction(async () => {
+      const task = await write();
+      await TaskHistoryService.recordRevision(action, before, task.toJSON(), user, extra);
+      return task;
+    });
+  }
+
+  // Shape a stored revision for API responses
+  static formatRevision({ revision, auditLog }) {
+    const { metadata } = auditLog;
+
+    return {
+      id: auditLog.id,
+      revision,
+      action: metadata.action,
+      actorId: auditLog.userId,
+      timestamp: auditLog.timestamp.toISOString(),
+      changes: metadata.changes,
+      snapshot: metadata.snapshot,
+      ...(metadata.restoredFrom !== undefined && { restoredFrom: metadata.restoredFrom }),
+      integrityVerified: auditLog.verifyIntegrity()
+    };
+  }
+
+  // Get a task's full revision history, oldest first
+  static async getHistory(taskId) {
+    const entries = await taskHistoryStore.findByTaskId(taskId);
+
+    // Every revision must be intact and point at its predecessor's signature
+    let chainVerified = true;
+    entries.forEach((entry, index) => {
+      const expectedPrevious = index > 0 ? entries[index - 1].auditLog.signatureHash : null;
+      if (entry.revision !== index + 1 ||
+          entry.auditLog.metadata.previousSignature !== expectedPrevious ||
+          !entry.auditLog.verifyIntegrity()) {
+        chainVerified = false;
+      }
+    });
+
+    if (!chainVerified) {
+      logger.warn('Task history integrity check failed', { taskId });
+    }
+
+    return {
+      taskId,
+      revisions: entries.map(TaskHistoryService.formatRevision),
+      chainVerified
+    };
+  }
+
+  // Get the field values a restore to `revision` should write back
+  static async getRestoreData(taskId, revision) {
+    const entry = await taskHistoryStore.findRevision(taskId, revision);
+
+    if (!entry) {
+      throw new Error(`Revision ${revision} for task ${taskId} not found`);
+    }
+
+    if (!entry.auditLog.verifyIntegrity()) {
+      throw new Error(`Revision ${revision} failed integrity verification and cannot be restored`);
+    }
+
+    const { snapshot } = entry.auditLog.metadata;
+
+    return RESTORABLE_FIELDS.reduce((data, field) => {
+      data[field] = snapshot[field] !== undefined ? snapshot[field] : null;
+      return data;
+    }, {});
+  }
+}
+
+module.exports = TaskHistoryService;
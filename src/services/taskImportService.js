@@ -0,0 +1,275 @@
+const taskStore = require('../repositories/task/taskStore');
+const Task = require('../models/Task');
+const TaskService = require('./taskService');
+const TaskBulkService = require('./taskBulkService');
+const TaskDependencyService = require('./taskDependencyService');
+const TaskValidator = require('../utils/validators');
+const { MAX_IMPORT_ROWS, IMPORT_FIELDS } = TaskValidator;
+const { parseCSV } = require('../utils/csv');
+const { logger } = require('../utils/logger');
+
+// Fields an import changes on the tasks it matches by external ID. The
+// project and parent only apply to new tasks.
+const UPDATE_FIELDS = [
+  'title', 'description', 'status', 'priority', 'assigneeId', 'dueDate', 'estimate', 'tags', 'checklist'
+];
+
+// Compare imported values with a task's current ones in their stored form
+const COMPARE_VALUES = {
+  title: value => value.trim(),
+  description: value => (value ? value.trim() : ''),
+  assigneeId: value => value || null,
+  dueDate: value => TaskValidator.normalizeDueDate(value),
+  priority: value => value || 'medium',
+  tags: value => TaskValidator.normalizeTags(value),
+  checklist: value => (value || []).map(item => ({ text: item.text.trim(), done: Boolean(item.done) }))
+};
+
+const comparable = (field, value) => JSON.stringify(COMPARE_VALUES[field] ? COMPARE_VALUES[field](value) : value);
+
+/**
+ * Task Import Service
+ * Creates and updates tasks from CSV or JSON rows. Each row is mapped onto
+ * task fields, validated like POST /tasks and then either creates a task or,
+ * when a task the user can see already has the row's external ID, updates
+ * it. Importing the same rows again changes nothing, so imports can be
+ * repeated safely. A dry run reports what would happen without writing.
+ */
+class TaskImportService {
+  // Read the import data into rows keyed by column name. CSV data needs a
+  // header row; JSON data is an array of objects.
+  static readRows(format, data) {
+    let rows;
+
+    if (format === 'csv') {
+      const [header, ...records] = parseCSV(data);
+
+      if (!header) {
+        throw new Error('CSV import needs a header row');
+      }
+
+      const columns = header.map(column => column.trim());
+      rows = records.map(values => Object.fromEntries(columns.map((column, index) => [column, values[index] || ''])));
+    } else {
+      rows = data;
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`An import can have at most ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    return rows;
+  }
+
+  // Column to field mapping: columns named like an import field map to it
+  // unless `mapping` says otherwise; mapping a column to null ignores it
+  static resolveMapping(rows, mapping = {}) {
+    const columns = new Set(rows.flatMap(row => Object.keys(row)));
+    const resolved = {};
+
+    columns.forEach((column) => {
+      if (IMPORT_FIELDS.includes(column)) {
+        resolved[column] = column;
+      }
+    });
+
+    Object.entries(mapping).forEach(([column, field]) => {
+      if (field === null) {
+        delete resolved[column];
+      } else {
+        resolved[column] = field;
+      }
+    });
+
+    return resolved;
+  }
+
+  // CSV fields are text: empty fields are left unset, estimates are numbers
+  // and tags a comma or semicolon separated list
+  static parseCSVValue(field, value) {
+    const text = value.trim();
+
+    if (text === '') {
+      return undefined;
+    }
+
+    if (field === 'estimate' && /^\d+$/.test(text)) {
+      return Number(text);
+    }
+
+    if (field === 'tags') {
+      return text.split(/[,;]/).map(tag => tag.trim()).filter(Boolean);
+    }
+
+    return text;
+  }
+
+  // Build the task data of one row
+  static mapRow(row, mapping, format, projectId) {
+    const data = {};
+
+    Object.entries(mapping).forEach(([column, field]) => {
+      const value = format === 'csv' && typeof row[column] === 'string'
+        ? TaskImportService.parseCSVValue(field, row[column])
+        : row[column];
+
+      if (value !== undefined) {
+        data[field] = value;
+      }
+    });
+
+    if (Array.isArray(data.checklist)) {
+      data.checklist = data.checklist.map(item => (item && typeof item === 'object'
+        ? { text: item.text, done: item.done }
+        : item));
+    }
+
+    if (data.projectId === undefined && projectId) {
+      data.projectId = projectId;
+    }
+
+    return data;
+  }
+
+  // Work out what each row does: create a task, update the task with its
+  // external ID, leave that task unchanged, or nothing because it's invalid
+  static async planRows(rows, mapping, format, projectId, user) {
+    const allData = rows.map(row => TaskImportService.mapRow(row, mapping, format, projectId));
+    const externalIds = [...new Set(allData.map(data => data.externalId).filter(id => typeof id === 'string'))];
+
+    const existing = new Map();
+    (await taskStore.findByExternalIds(externalIds, await TaskService.getOwnerScope(user))).forEach((task) => {
+      if (!existing.has(task.externalId)) {
+        existing.set(task.externalId, task);
+      }
+    });
+
+    const seen = new Set();
+
+    return allData.map((data, index) => {
+      const externalId = data.externalId !== undefined ? data.externalId : null;
+      const errors = TaskValidator.validateTaskData(data).errors.map(({ field, error }) => ({ field, message: error }));
+
+      if (externalId !== null && seen.has(externalId)) {
+        errors.push({ field: 'externalId', message: 'External ID appears in more than one row' });
+      }
+      seen.add(externalId);
+
+      if (errors.length > 0) {
+        return { index, externalId, outcome: 'invalid', errors };
+      }
+
+      const task = existing.get(externalId);
+
+      if (!task) {
+        return { index, externalId, outcome: 'created', op: { op: 'create', data } };
+      }
+
+      const changes = {};
+      UPDATE_FIELDS.forEach((field) => {
+        if (data[field] !== undefined && comparable(field, data[field]) !== comparable(field, task[field])) {
+          changes[field] = data[field];
+        }
+      });
+
+      if (Object.keys(changes).length === 0) {
+        return { index, externalId, outcome: 'unchanged', id: task.id };
+      }
+
+      return { index, externalId, outcome: 'updated', id: task.id, task, op: { op: 'update', id: task.id, data: changes } };
+    });
+  }
+
+  // The checks a create or update would run, without writing anything
+  static async checkOperation(plan, user) {
+    const { op, data } = plan.op;
+
+    if (op === 'create') {
+      let { projectId } = data;
+      if (data.parentId) {
+        const parent = await TaskService.getAccessibleTask(data.parentId, user);
+        projectId = projectId || parent.projectId;
+      }
+
+      await TaskService.assertCanAddToProject(projectId, data.tags, user);
+      await TaskService.assertAssignee(data.assigneeId);
+      Task.create({ ...data, projectId });
+      return;
+    }
+
+    await TaskService.assertCanModify(plan.task, user);
+    await TaskDependencyService.assertCanComplete(plan.task, data.status);
+    if (data.assigneeId !== plan.task.assigneeId) {
+      await TaskService.assertAssignee(data.assigneeId);
+    }
+    new Task(plan.task.toJSON()).update(data);
+  }
+
+  // Import rows from CSV text or an array of JSON objects. `mapping` maps
+  // column names to task fields, `projectId` is the project of rows without
+  // one. Each row's outcome is reported; rows that fail don't stop the rest.
+  static async importTasks({ format, data, mapping = {}, projectId = null, dryRun = false }, user = null) {
+    try {
+      const rows = TaskImportService.readRows(format, data);
+      const resolvedMapping = TaskImportService.resolveMapping(rows, mapping);
+
+      if (!Object.values(resolvedMapping).includes('title')) {
+        throw new Error('No column is mapped to title');
+      }
+
+      await TaskService.assertCanAddToProject(projectId, undefined, user);
+
+      const plans = await TaskImportService.planRows(rows, resolvedMapping, format, projectId, user);
+      const results = [];
+
+      for (const plan of plans) {
+        const { index, externalId, outcome } = plan;
+
+        if (!plan.op) {
+          results.push(plan);
+          continue;
+        }
+
+        try {
+          if (dryRun) {
+            await TaskImportService.checkOperation(plan, user);
+            results.push({ index, externalId, outcome, op: plan.op.op, id: plan.id || null });
+          } else {
+            const result = await TaskBulkService.runOperation(plan.op, user);
+            results.push({ index, externalId, outcome, op: plan.op.op, id: result.data.id });
+          }
+        } catch (error) {
+          results.push({ index, externalId, outcome: 'failed', op: plan.op.op, id: plan.id || null, error });
+        }
+      }
+
+      const count = name => results.filter(result => result.outcome === name).length;
+      const summary = {
+        total: results.length,
+        created: count('created'),
+        updated: count('updated'),
+        unchanged: count('unchanged'),
+        invalid: count('invalid'),
+        failed: count('failed')
+      };
+
+      logger.info(dryRun ? 'Task import previewed' : 'Tasks imported', {
+        userId: user ? user.id : null,
+        format,
+        ...summary
+      });
+
+      return { dryRun, summary, results };
+    } catch (error) {
+      logger.error('Failed to import tasks', {
+        error: error.message,
+        format,
+        dryRun
+      });
+
+      throw error;
+    }
+  }
+}
+
+module.exports = TaskImportService;
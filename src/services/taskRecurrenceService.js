@@ -0,0 +1,273 @@
+const cron = require('node-cron');
+const config = require('../shared/config/environment');
+const taskStore = require('../repositories/task/taskStore');
+const taskTransaction = require('../repositories/task/taskTransaction');
+const TaskHistoryService = require('./taskHistoryService');
+const WebhookService = require('./webhookService');
+const workflowEngine = require('./workflow/WorkflowEngine');
+const { nextOccurrence, upcomingOccurrences } = require('../utils/cronSchedule');
+const { logger } = require('../utils/logger');
+
+// How many upcoming occurrences a series description lists
+const UPCOMING_OCCURRENCES = 5;
+
+const toIso = date => (date ? date.toISOString() : null);
+
+/**
+ * Task Recurrence Service
+ * A task with a recurrence rule is the template of a series. Each occurrence
+ * of its cron schedule becomes a new instance (a copy of the template due at
+ * that time, linked back through `templateId`). Instances are generated when
+ * their scheduled time arrives, by a periodic job, or earlier when the last
+ * open instance of the series is completed.
+ */
+class TaskRecurrenceService {
+  constructor(options = config.tasks.recurrence) {
+    this.schedule = options.schedule;
+    this.job = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the cron job (no-op if already started)
+   */
+  start() {
+    if (this.job) {
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      throw new Error(`Invalid task recurrence schedule: ${this.schedule}`);
+    }
+
+    this.job = cron.schedule(this.schedule, () => {
+      this.runOnce().catch(error => {
+        logger.error('Task recurrence run failed', { error: error.message });
+      });
+    });
+
+    logger.info('Task recurrence job started', { schedule: this.schedule });
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+      logger.info('Task recurrence job stopped');
+    }
+  }
+
+  /**
+   * Generate an instance for every series whose next occurrence has arrived
+   */
+  async runOnce(now = new Date()) {
+    const summary = { checked: 0, generated: 0, failed: 0 };
+
+    // Skip this tick if the previous run is still going
+    if (this.running) {
+      return summary;
+    }
+
+    this.running = true;
+
+    try {
+      const templates = await taskStore.getDueRecurringTasks({ dueBefore: now.toISOString() });
+
+      for (const template of templates) {
+        summary.checked++;
+
+        try {
+          if (await this.generateNext(template, now)) {
+            summary.generated++;
+          }
+        } catch (error) {
+          // Failed series stay due and are retried on the next run
+          summary.failed++;
+          logger.error('Failed to generate recurring task instance', {
+            templateId: template.id,
+            error: error.message
+          });
+        }
+      }
+
+      logger.info('Task recurrence run completed', summary);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Build the stored rule for a schedule set by a client. The pause state is
+   * kept from the current rule, and so is the next occurrence unless the
+   * schedule or time zone changed.
+   */
+  buildRecurrence(input, current = null, now = new Date()) {
+    if (!input) {
+      return null;
+    }
+
+    const schedule = input.schedule.trim().replace(/\s+/g, ' ');
+    const timezone = input.timezone || 'UTC';
+
+    if (current && current.schedule === schedule && current.timezone === timezone) {
+      return { ...current };
+    }
+
+    const paused = current ? current.paused : false;
+
+    return {
+      schedule,
+      timezone,
+      paused,
+      nextAt: paused ? null : toIso(nextOccurrence(schedule, now, timezone))
+    };
+  }
+
+  /**
+   * The template of the series a task belongs to: the task itself when it
+   * recurs, its template when it is an instance, otherwise null
+   */
+  async getTemplate(task) {
+    if (task.recurrence) {
+      return task;
+    }
+
+    if (!task.templateId) {
+      return null;
+    }
+
+    const template = await taskStore.getTaskById(task.templateId);
+    return template.recurrence ? template : null;
+  }
+
+  /**
+   * Create the instance for the template's next occurrence and move the
+   * series on. Occurrences missed while nothing ran are not made up: the
+   * next one is the first after `now`. Returns the instance, or null when
+   * the series is paused or has no occurrences left.
+   */
+  async generateNext(template, now = new Date()) {
+    const { recurrence } = template;
+
+    if (!recurrence || recurrence.paused || !recurrence.nextAt) {
+      return null;
+    }
+
+    const after = new Date(Math.max(new Date(recurrence.nextAt).getTime(), now.getTime()));
+    const nextAt = toIso(nextOccurrence(recurrence.schedule, after, recurrence.timezone));
+
+    const instance = await taskTransaction(async () => {
+      const created = await taskStore.createTask({
+        title: template.title,
+        description: template.description,
+        projectId: template.projectId,
+        createdBy: template.createdBy,
+        assigneeId: template.assigneeId,
+        dueDate: recurrence.nextAt,
+        priority: template.priority,
+        estimate: template.estimate,
+        parentId: template.parentId,
+        checklist: template.checklist.map(item => ({ text: item.text })),
+        tags: template.tags,
+        templateId: template.id
+      });
+
+      await TaskHistoryService.recordRevision('created', null, created.toJSON(), null);
+      await taskStore.updateTask(template.id, { recurrence: { ...recurrence, nextAt } });
+
+      return created;
+    });
+
+    await WebhookService.publish('task.created', { task: instance.toJSON() });
+
+    logger.info('Recurring task instance generated', {
+      templateId: template.id,
+      taskId: instance.id,
+      dueDate: instance.dueDate,
+      nextAt
+    });
+
+    return instance;
+  }
+
+  /**
+   * Called when a task is completed. Completing the last open instance of a
+   * series (or the template itself) brings the next instance forward
+   * instead of waiting for its scheduled time. Returns the new instance, if
+   * any.
+   */
+  async handleCompleted(task, now = new Date()) {
+    const template = await this.getTemplate(task);
+
+    if (!template || template.recurrence.paused) {
+      return null;
+    }
+
+    const instances = await taskStore.getSeriesInstances(template.id);
+    const stillOpen = instances.some(instance => instance.id !== task.id &&
+      !workflowEngine.isCompletedState(instance.status, instance.projectId));
+
+    return stillOpen ? null : this.generateNext(template, now);
+  }
+
+  /**
+   * Stop generating instances until the series is resumed
+   */
+  pause(template) {
+    return { ...template.recurrence, paused: true, nextAt: null };
+  }
+
+  /**
+   * Start generating instances again, from the first occurrence after now
+   */
+  resume(template, now = new Date()) {
+    const { schedule, timezone } = template.recurrence;
+    return { ...template.recurrence, paused: false, nextAt: toIso(nextOccurrence(schedule, now, timezone)) };
+  }
+
+  /**
+   * Skip the next occurrence: no instance is generated for it
+   */
+  skip(template) {
+    const { schedule, timezone, paused, nextAt } = template.recurrence;
+
+    if (paused) {
+      throw new Error('Task series is paused; resume it before skipping occurrences');
+    }
+
+    if (!nextAt) {
+      throw new Error('Task series has no upcoming occurrence to skip');
+    }
+
+    return { ...template.recurrence, nextAt: toIso(nextOccurrence(schedule, nextAt, timezone)) };
+  }
+
+  /**
+   * Describe a series: its rule, upcoming occurrences and instances so far
+   */
+  async describe(template) {
+    const { schedule, timezone, nextAt } = template.recurrence;
+    const instances = await taskStore.getSeriesInstances(template.id);
+
+    const upcoming = nextAt
+      ? [nextAt, ...upcomingOccurrences(schedule, nextAt, UPCOMING_OCCURRENCES - 1, timezone).map(toIso)]
+      : [];
+
+    return {
+      templateId: template.id,
+      recurrence: { ...template.recurrence },
+      upcoming,
+      instances: instances.map(instance => instance.toJSON())
+    };
+  }
+}
+
+// Create singleton instance
+const taskRecurrenceService = new TaskRecurrenceService();
+
+module.exports = taskRecurrenceService;
+module.exports.TaskRecurrenceService = TaskRecurrenceService;
@@ -0,0 +1,166 @@
+const cron = require('node-cron');
+const config = require('../shared/config/environment');
+const taskStore = require('../repositories/task/taskStore');
+const workflowEngine = require('./workflow/WorkflowEngine');
+const userPreferencesService = require('./userPreferencesService');
+const NotificationFactory = require('../notifications/notificationFactory');
+const notificationService = require('../notifications/notificationService');
+const { NOTIFICATION_TYPES } = require('../notifications/models');
+const { logger } = require('../utils/logger');
+
+/**
+ * Task Reminder Service
+ * Periodically sends "due soon" and "overdue" notifications to the person
+ * responsible for each open task (the assignee, or the creator if unassigned).
+ */
+class TaskReminderService {
+  constructor(options = config.tasks.reminders) {
+    this.schedule = options.schedule;
+    this.dueSoonWindowMs = options.dueSoonHours * 60 * 60 * 1000;
+    this.job = null;
+    this.running = false;
+
+    // "taskId:type" -> due date the reminder was sent for. Changing the due
+    // date makes the task eligible for a fresh reminder.
+    this.sentReminders = new Map();
+  }
+
+  /**
+   * Start the cron job (no-op if already started)
+   */
+  start() {
+    if (this.job) {
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      throw new Error(`Invalid task reminder schedule: ${this.schedule}`);
+    }
+
+    this.job = cron.schedule(this.schedule, () => {
+      this.runOnce().catch(error => {
+        logger.error('Task reminder run failed', { error: error.message });
+      });
+    });
+
+    logger.info('Task reminder job started', { schedule: this.schedule });
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+      logger.info('Task reminder job stopped');
+    }
+  }
+
+  /**
+   * Check all tasks due within the reminder window and notify their owners
+   */
+  async runOnce(now = new Date()) {
+    const summary = { checked: 0, sent: 0, deferred: 0, skipped: 0, failed: 0 };
+
+    // Skip this tick if the previous run is still going
+    if (this.running) {
+      return summary;
+    }
+
+    this.running = true;
+
+    try {
+      const dueBefore = new Date(now.getTime() + this.dueSoonWindowMs).toISOString();
+      const tasks = await taskStore.getDueTasks({ dueBefore });
+      const activeKeys = new Set();
+
+      for (const task of tasks) {
+        if (workflowEngine.isCompletedState(task.status, task.projectId)) {
+          continue;
+        }
+
+        const recipientId = task.assigneeId || task.createdBy;
+        if (!recipientId) {
+          continue;
+        }
+
+        summary.checked++;
+
+        const type = task.isOverdue(now) ? NOTIFICATION_TYPES.TASK_OVERDUE : NOTIFICATION_TYPES.TASK_DUE_SOON;
+        const key = `${task.id}:${type}`;
+        activeKeys.add(key);
+
+        if (this.sentReminders.get(key) === task.dueDate) {
+          continue;
+        }
+
+        try {
+          const outcome = await this.sendReminder(task, type, recipientId);
+          summary[outcome]++;
+
+          // Deferred reminders are retried on the next run
+          if (outcome !== 'deferred') {
+            this.sentReminders.set(key, task.dueDate);
+          }
+        } catch (error) {
+          // Failed reminders are retried on the next run as well
+          summary.failed++;
+          logger.error('Failed to send task reminder', {
+            taskId: task.id,
+            type,
+            error: error.message
+          });
+        }
+      }
+
+      // Forget reminders for tasks that were completed, deleted or rescheduled
+      for (const key of this.sentReminders.keys()) {
+        if (!activeKeys.has(key)) {
+          this.sentReminders.delete(key);
+        }
+      }
+
+      logger.info('Task reminder run completed', summary);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Send a single reminder unless the recipient's preferences hold it back.
+   * Returns 'sent', 'deferred' (quiet hours) or 'skipped' (task notifications off).
+   */
+  async sendReminder(task, type, recipientId) {
+    const preferences = await userPreferencesService.getUserPreferences(recipientId);
+    const taskPreference = preferences.categoryPreferences && preferences.categoryPreferences.task;
+
+    if (taskPreference && !taskPreference.enabled) {
+      return 'skipped';
+    }
+
+    if (preferences.quietHoursEnabled && userPreferencesService.isQuietHours(preferences)) {
+      logger.info('Task reminder deferred for quiet hours', { taskId: task.id, userId: recipientId, type });
+      return 'deferred';
+    }
+
+    const notification = NotificationFactory.createTaskNotification(type, recipientId, {
+      taskId: task.id,
+      taskTitle: task.title,
+      dueDate: task.dueDate,
+      priority: task.priority
+    });
+
+    await notificationService.sendToUser(recipientId, notification);
+
+    logger.info('Task reminder sent', { taskId: task.id, userId: recipientId, type });
+    return 'sent';
+  }
+}
+
+// Create singleton instance
+const taskReminderService = new TaskReminderService();
+
+module.exports = taskReminderService;
+module.exports.TaskReminderService = TaskReminderService;
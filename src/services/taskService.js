@@ -1,10 +1,164 @@
-const dataStore = require('../utils/dataStore');
+const taskStore = require('../repositories/task/taskStore');
 const Task = require('../models/Task');
+const TaskHistoryService = require('./taskHistoryService');
+const TaskDependencyService = require('./taskDependencyService');
+const TaskCommentService = require('./taskCommentService');
+const ProjectService = require('./projectService');
+const taskRecurrenceService = require('./taskRecurrenceService');
+const taskTrashService = require('./taskTrashService');
+const WebhookService = require('./webhookService');
+const workflowEngine = require('./workflow/WorkflowEngine');
+const authService = require('../auth/services/authService');
+const { ROLE_HIERARCHY, hasRoleLevel, hasProjectRole } = require('../auth/middleware/rbacMiddleware');
+const { pickFields } = require('../utils/taskQuery');
+const { applyMergePatch } = require('../utils/mergePatch');
+const { parseSearchQuery, highlightTask } = require('../utils/textSearch');
 const { logger } = require('../utils/logger');
 
+// Fields an update with the "series" scope copies to the rest of a recurring
+// series; status and due date always stay per instance
+const SERIES_FIELDS = ['title', 'description', 'assigneeId', 'priority', 'estimate', 'checklist', 'tags'];
+
+// Success messages for the series actions
+const RECURRENCE_ACTION_MESSAGES = {
+  pause: 'paused',
+  resume: 'resumed',
+  skip: 'skipped its next occurrence'
+};
+
 class TaskService {
-  // Create a new task
-  static async createTask(taskData) {
+  // Admins and above see every task; everyone else is scoped to their own
+  static canViewAllTasks(user) {
+    return Boolean(user) && hasRoleLevel(user.roles || [], ROLE_HIERARCHY.admin);
+  }
+
+  // Build the ownership filter passed to the task store: the user's own
+  // tasks plus every task in their projects
+  static async getOwnerScope(user) {
+    if (!user || TaskService.canViewAllTasks(user)) {
+      return {};
+    }
+    return { ownerId: user.id, projectIds: await ProjectService.getMemberProjectIds(user) };
+  }
+
+  // Load a task and make sure the user may see it. Tasks outside the
+  // user's scope are reported as not found so their existence isn't leaked.
+  // With `deleted`, the task is looked up in the trash instead.
+  static async getAccessibleTask(id, user, { deleted = false } = {}) {
+    const task = await taskStore.getTaskById(id, { deleted });
+
+    if (user && !(await TaskService.canViewTask(task, user))) {
+      throw new Error(deleted ? `Task with ID ${id} not found in trash` : `Task with ID ${id} not found`);
+    }
+
+    return task;
+  }
+
+  // Whether a user may see a task: admins, its creator and assignee, and
+  // viewers and above of its project
+  static async canViewTask(task, user) {
+    if (TaskService.canViewAllTasks(user) || task.isVisibleTo(user.id)) {
+      return true;
+    }
+
+    const project = await ProjectService.findProject(task.projectId);
+    return hasProjectRole(user, project, 'viewer');
+  }
+
+  // Project viewers can see the project's tasks but not change them
+  static async assertCanModify(task, user) {
+    if (!user || TaskService.canViewAllTasks(user) || task.isVisibleTo(user.id)) {
+      return;
+    }
+
+    const project = await ProjectService.findProject(task.projectId);
+
+    if (!hasProjectRole(user, project, 'member')) {
+      throw new Error('Access denied: project viewers cannot modify tasks');
+    }
+  }
+
+  // Only the creator (or an admin, or a manager of the task's project) may
+  // delete a task
+  static async assertCanDelete(task, user) {
+    if (!user || TaskService.canViewAllTasks(user) || task.createdBy === user.id) {
+      return;
+    }
+
+    const project = await ProjectService.findProject(task.projectId);
+
+    if (!project) {
+      throw new Error('Access denied: only the task creator can delete this task');
+    }
+
+    if (!hasProjectRole(user, project, 'manager')) {
+      throw new Error('Access denied: only the task creator or a project manager can delete this task');
+    }
+  }
+
+  // Tasks are added to a project by its members (not viewers) and may only
+  // be tagged with the project's labels
+  static async assertCanAddToProject(projectId, tags, user) {
+    const project = await ProjectService.findAccessibleProject(projectId, user);
+
+    if (!project) {
+      return;
+    }
+
+    if (user && !hasProjectRole(user, project, 'member')) {
+      throw new Error('Access denied: project viewers cannot add tasks');
+    }
+
+    ProjectService.assertLabels(project, tags);
+  }
+
+  // Tasks may only be assigned to existing, active users
+  static async assertAssignee(assigneeId) {
+    if (!assigneeId) {
+      return;
+    }
+
+    if (!await authService.getUserById(assigneeId)) {
+      throw new Error(`Validation failed: assigneeId: No active user with ID ${assigneeId}`);
+    }
+  }
+
+  // Apply a sparse fieldset to a task list (all fields when none is given)
+  static selectFields(tasks, fields) {
+    return fields ? tasks.map(task => pickFields(task, fields)) : tasks;
+  }
+
+  // Only the author (or an admin) may edit or delete a comment
+  static assertCanModifyComment(comment, user) {
+    if (user && !TaskService.canViewAllTasks(user) && comment.authorId !== user.id) {
+      throw new Error('Access denied: only the comment author can modify this comment');
+    }
+  }
+
+  // Roll up a task's progress (0-100). Completed tasks are at 100%;
+  // otherwise progress is the average over the task's checklist items
+  // (0 or 100 each) and subtasks (their own rolled-up progress).
+  static async calculateProgress(task) {
+    if (workflowEngine.isCompletedState(task.status, task.projectId)) {
+      return 100;
+    }
+
+    const subtasks = await taskStore.getSubtasks(task.id);
+    const itemProgress = task.checklist.map(item => (item.done ? 100 : 0));
+
+    for (const subtask of subtasks) {
+      itemProgress.push(await TaskService.calculateProgress(subtask));
+    }
+
+    if (itemProgress.length === 0) {
+      return 0;
+    }
+
+    return Math.round(itemProgress.reduce((sum, value) => sum + value, 0) / itemProgress.length);
+  }
+
+  // Create a new task owned by the given user
+  static async createTask(taskData, user = null) {
     try {
       // Validate task data
       const validation = Task.validate(taskData);
@@ -13,13 +167,30 @@ class TaskService {
         throw new Error(`Validation failed: ${errorMessages}`);
       }
 
-      // Create task
-      const task = dataStore.createTask(taskData);
+      // Subtasks need an accessible parent and default to its project
+      let projectId = taskData.projectId;
+      if (taskData.parentId) {
+        const parent = await TaskService.getAccessibleTask(taskData.parentId, user);
+        projectId = projectId || parent.projectId;
+      }
+
+      await TaskService.assertCanAddToProject(projectId, taskData.tags, user);
+      await TaskService.assertAssignee(taskData.assigneeId);
+
+      // Create task (a recurrence rule makes it the template of a series)
+      const task = await TaskHistoryService.recordChange('created', null, () => taskStore.createTask({
+        ...taskData,
+        projectId,
+        recurrence: taskRecurrenceService.buildRecurrence(taskData.recurrence),
+        createdBy: user ? user.id : null
+      }), user);
+      await WebhookService.publish('task.created', { task: task.toJSON() });
 
       logger.info('Task created successfully', {
         taskId: task.id,
         title: task.title,
-        status: task.status
+        status: task.status,
+        createdBy: task.createdBy
       });
 
       return {
@@ -38,20 +209,38 @@ class TaskService {
   }
 
   // Get all tasks with pagination, filtering, and search
-  static async getAllTasks(options = {}) {
+  static async getAllTasks(options = {}, user = null) {
     try {
-      const result = dataStore.getAllTasks(options);
+      const { fields, ...query } = options;
+
+      // Scoping to a project the user isn't in reports it as not found
+      await ProjectService.findAccessibleProject(query.projectId, user);
+
+      const result = await taskStore.getAllTasks({
+        ...query,
+        ...await TaskService.getOwnerScope(user)
+      });
 
       logger.info('Tasks retrieved successfully', {
         page: result.pagination.page,
         limit: result.pagination.limit,
         total: result.pagination.total,
-        filters: { status: options.status, search: options.search }
+        filters: {
+          status: query.status,
+          search: query.search,
+          projectId: query.projectId,
+          priority: query.priority,
+          dueBefore: query.dueBefore,
+          dueAfter: query.dueAfter,
+          expression: Boolean(query.filter)
+        },
+        sort: query.sort || { sortBy: query.sortBy, sortOrder: query.sortOrder },
+        cursor: Boolean(query.cursor)
       });
 
       return {
         success: true,
-        data: result.tasks,
+        data: TaskService.selectFields(result.tasks, fields),
         pagination: result.pagination,
         message: 'Tasks retrieved successfully'
       };
@@ -66,9 +255,10 @@ class TaskService {
   }
 
   // Get task by ID
-  static async getTaskById(id) {
+  static async getTaskById(id, user = null) {
     try {
-      const task = dataStore.getTaskById(id);
+      const task = await TaskService.getAccessibleTask(id, user);
+      const progress = await TaskService.calculateProgress(task);
 
       logger.info('Task retrieved by ID successfully', {
         taskId: id,
@@ -77,7 +267,7 @@ class TaskService {
 
       return {
         success: true,
-        data: task.toJSON(),
+        data: { ...task.toJSON(), progress },
         message: 'Task retrieved successfully'
       };
     } catch (error) {
@@ -90,8 +280,11 @@ class TaskService {
     }
   }
 
-  // Update task by ID
-  static async updateTask(id, updateData) {
+  // Update task by ID. With the "series" scope, changes to the fields in
+  // SERIES_FIELDS also go to the series template and its open instances.
+  // With expectedVersions, the task is only updated while it is at one of
+  // those versions (see If-Match).
+  static async updateTask(id, updateData, user = null, { scope = 'task', expectedVersions = null } = {}) {
     try {
       // Validate update data
       const validation = Task.validateUpdate(updateData);
@@ -100,18 +293,61 @@ class TaskService {
         throw new Error(`Validation failed: ${errorMessages}`);
       }
 
-      const task = dataStore.updateTask(id, updateData);
+      const current = await TaskService.getAccessibleTask(id, user);
+      const before = current.toJSON();
+
+      await TaskService.assertCanModify(current, user);
+
+      const project = await ProjectService.findProject(current.projectId);
+      if (project && updateData.tags) {
+        ProjectService.assertLabels(project, updateData.tags);
+      }
+
+      await TaskDependencyService.assertCanComplete(current, updateData.status);
+
+      if (updateData.assigneeId !== current.assigneeId) {
+        await TaskService.assertAssignee(updateData.assigneeId);
+      }
+
+      const changes = { ...updateData };
+      if (updateData.recurrence !== undefined) {
+        if (current.templateId) {
+          throw new Error('Validation failed: recurrence: Instances of a series cannot recur themselves; change the template task instead');
+        }
+
+        changes.recurrence = taskRecurrenceService.buildRecurrence(updateData.recurrence, current.recurrence);
+      }
+
+      const template = scope === 'series' ? await TaskService.getSeriesTemplate(current, user) : null;
+
+      const task = await TaskHistoryService.recordChange('updated', before,
+        () => taskStore.updateTask(id, changes, { expectedVersions }), user);
+      await WebhookService.publishTaskUpdate(before, task.toJSON());
+
+      const seriesTaskIds = template ? await TaskService.updateSeries(template, task, updateData, user) : [];
+
+      // Completing the last open task of a series brings its next instance forward
+      let nextInstance = null;
+      if (!workflowEngine.isCompletedState(before.status, before.projectId) &&
+          workflowEngine.isCompletedState(task.status, task.projectId)) {
+        nextInstance = await taskRecurrenceService.handleCompleted(task);
+      }
 
       logger.info('Task updated successfully', {
         taskId: id,
         updatedFields: Object.keys(updateData),
-        newStatus: task.status
+        newStatus: task.status,
+        scope,
+        seriesTaskCount: seriesTaskIds.length,
+        nextInstanceId: nextInstance ? nextInstance.id : null
       });
 
       return {
         success: true,
         data: task.toJSON(),
-        message: 'Task updated successfully'
+        ...(template && { series: { templateId: template.id, updatedTaskIds: seriesTaskIds } }),
+        ...(nextInstance && { nextInstance: nextInstance.toJSON() }),
+        message: template ? 'Task series updated successfully' : 'Task updated successfully'
       };
     } catch (error) {
       logger.error('Failed to update task', {
@@ -124,10 +360,535 @@ class TaskService {
     }
   }
 
-  // Delete task by ID
-  static async deleteTask(id) {
+  // Apply a JSON Merge Patch (RFC 7396) to a task as a regular update:
+  // fields set to null are cleared, the recurrence rule is merged into the
+  // current one and any other value replaces the field
+  static async patchTask(id, patch, user = null, options = {}) {
+    try {
+      const current = await TaskService.getAccessibleTask(id, user);
+      const merged = applyMergePatch(current.toJSON(), patch);
+
+      const updateData = Object.keys(patch).reduce((data, field) => {
+        data[field] = merged[field] === undefined ? null : merged[field];
+        return data;
+      }, {});
+
+      return await TaskService.updateTask(id, updateData, user, options);
+    } catch (error) {
+      logger.error('Failed to patch task', {
+        error: error.message,
+        taskId: id,
+        patch
+      });
+
+      throw error;
+    }
+  }
+
+  // Load the template of the series a task belongs to, for changes to the
+  // whole series. Whoever may change the template may change the series.
+  static async getSeriesTemplate(task, user = null) {
+    const template = await taskRecurrenceService.getTemplate(task);
+
+    if (!template) {
+      throw new Error(`Validation failed: scope: Task ${task.id} is not part of a recurring series`);
+    }
+
+    if (template.id !== task.id) {
+      await TaskService.assertCanModify(template, user);
+    }
+
+    return template;
+  }
+
+  // Copy the series fields of an update from one task of a series to its
+  // template and its other open instances. Returns the IDs of those tasks.
+  static async updateSeries(template, updatedTask, updateData, user = null) {
+    const seriesData = SERIES_FIELDS.reduce((data, field) => {
+      if (updateData[field] !== undefined) {
+        data[field] = updateData[field];
+      }
+      return data;
+    }, {});
+
+    if (Object.keys(seriesData).length === 0) {
+      return [];
+    }
+
+    const instances = await taskStore.getSeriesInstances(template.id);
+    const targets = [template, ...instances.filter(instance =>
+      !workflowEngine.isCompletedState(instance.status, instance.projectId))]
+      .filter(task => task.id !== updatedTask.id);
+
+    for (const target of targets) {
+      const before = target.toJSON();
+      const updated = await TaskHistoryService.recordChange('updated', before,
+        () => taskStore.updateTask(target.id, seriesData), user);
+      await WebhookService.publishTaskUpdate(before, updated.toJSON());
+    }
+
+    return targets.map(target => target.id);
+  }
+
+  // Describe the recurring series a task belongs to (the task may be the
+  // template or one of its instances)
+  static async getTaskSeries(id, user = null) {
+    try {
+      const task = await TaskService.getAccessibleTask(id, user);
+      const template = await taskRecurrenceService.getTemplate(task);
+
+      if (!template) {
+        throw new Error(`Task ${id} is not part of a recurring series`);
+      }
+
+      const series = await taskRecurrenceService.describe(template);
+
+      logger.info('Task series retrieved', {
+        taskId: id,
+        templateId: template.id,
+        instanceCount: series.instances.length
+      });
+
+      return {
+        success: true,
+        data: series,
+        message: 'Task series retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve task series', {
+        error: error.message,
+        taskId: id
+      });
+
+      throw error;
+    }
+  }
+
+  // Pause, resume or skip the next occurrence of the series a task belongs to
+  static async changeTaskSeries(id, action, user = null) {
+    try {
+      if (!RECURRENCE_ACTION_MESSAGES[action]) {
+        throw new Error(`Unknown series action "${action}"`);
+      }
+
+      const task = await TaskService.getAccessibleTask(id, user);
+      const template = await taskRecurrenceService.getTemplate(task);
+
+      if (!template) {
+        throw new Error(`Task ${id} is not part of a recurring series`);
+      }
+
+      await TaskService.assertCanModify(template, user);
+
+      const before = template.toJSON();
+      const recurrence = taskRecurrenceService[action](template);
+      const updated = await TaskHistoryService.recordChange('updated', before,
+        () => taskStore.updateTask(template.id, { recurrence }), user);
+      await WebhookService.publishTaskUpdate(before, updated.toJSON());
+
+      logger.info('Task series changed', {
+        taskId: id,
+        templateId: template.id,
+        action,
+        nextAt: recurrence.nextAt
+      });
+
+      return {
+        success: true,
+        data: await taskRecurrenceService.describe(updated),
+        message: `Task series ${RECURRENCE_ACTION_MESSAGES[action]}`
+      };
+    } catch (error) {
+      logger.error('Failed to change task series', {
+        error: error.message,
+        taskId: id,
+        action
+      });
+
+      throw error;
+    }
+  }
+
+  // Get the revision history of a task
+  static async getTaskHistory(id, user = null) {
+    try {
+      await TaskService.getAccessibleTask(id, user);
+
+      const history = await TaskHistoryService.getHistory(id);
+
+      logger.info('Task history retrieved', {
+        taskId: id,
+        revisionCount: history.revisions.length,
+        chainVerified: history.chainVerified
+      });
+
+      return {
+        success: true,
+        data: history,
+        message: 'Task history retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve task history', {
+        error: error.message,
+        taskId: id
+      });
+
+      throw error;
+    }
+  }
+
+  // Restore a task to the field values of a prior revision. The restore is
+  // applied as a regular update, so workflow transition rules still apply.
+  static async restoreTaskRevision(id, revision, user = null) {
+    try {
+      const current = await TaskService.getAccessibleTask(id, user);
+      const before = current.toJSON();
+      await TaskService.assertCanModify(current, user);
+
+      const restoreData = await TaskHistoryService.getRestoreData(id, revision);
+
+      await TaskDependencyService.assertCanComplete(current, restoreData.status);
+
+      const task = await TaskHistoryService.recordChange('restored', before,
+        () => taskStore.updateTask(id, restoreData), user, { restoredFrom: revision });
+      await WebhookService.publishTaskUpdate(before, task.toJSON());
+
+      logger.info('Task revision restored', {
+        taskId: id,
+        restoredFrom: revision
+      });
+
+      return {
+        success: true,
+        data: task.toJSON(),
+        message: `Task restored to revision ${revision}`
+      };
+    } catch (error) {
+      logger.error('Failed to restore task revision', {
+        error: error.message,
+        taskId: id,
+        revision
+      });
+
+      throw error;
+    }
+  }
+
+  // Get the workflow transitions available to a task
+  static async getTaskTransitions(id, user = null) {
+    try {
+      const task = await TaskService.getAccessibleTask(id, user);
+      const transitions = task.getAvailableTransitions();
+
+      logger.info('Task transitions retrieved', {
+        taskId: id,
+        status: task.status,
+        transitionCount: transitions.length
+      });
+
+      return {
+        success: true,
+        data: {
+          taskId: task.id,
+          status: task.status,
+          transitions
+        },
+        message: 'Task transitions retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve task transitions', {
+        error: error.message,
+        taskId: id
+      });
+
+      throw error;
+    }
+  }
+
+  // Get a task's direct subtasks with rolled-up progress. Anyone who can
+  // see the parent sees all of its subtasks.
+  static async getSubtasks(id, user = null) {
+    try {
+      const parent = await TaskService.getAccessibleTask(id, user);
+      const subtasks = await taskStore.getSubtasks(id);
+
+      const data = [];
+      for (const subtask of subtasks) {
+        data.push({ ...subtask.toJSON(), progress: await TaskService.calculateProgress(subtask) });
+      }
+
+      logger.info('Subtasks retrieved', {
+        taskId: id,
+        subtaskCount: data.length
+      });
+
+      return {
+        success: true,
+        data: {
+          taskId: parent.id,
+          progress: await TaskService.calculateProgress(parent),
+          subtasks: data
+        },
+        message: 'Subtasks retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve subtasks', {
+        error: error.message,
+        taskId: id
+      });
+
+      throw error;
+    }
+  }
+
+  // Create a subtask under the given task
+  static async createSubtask(id, taskData, user = null) {
+    const result = await TaskService.createTask({ ...taskData, parentId: id }, user);
+
+    return {
+      ...result,
+      message: 'Subtask created successfully'
+    };
+  }
+
+  // Get the tasks blocking and blocked by a task
+  static async getTaskDependencies(id, user = null) {
+    try {
+      await TaskService.getAccessibleTask(id, user);
+
+      const dependencies = await TaskDependencyService.getDependencies(id);
+
+      logger.info('Task dependencies retrieved', {
+        taskId: id,
+        blockedByCount: dependencies.blockedBy.length,
+        blocksCount: dependencies.blocks.length
+      });
+
+      return {
+        success: true,
+        data: dependencies,
+        message: 'Task dependencies retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve task dependencies', {
+        error: error.message,
+        taskId: id
+      });
+
+      throw error;
+    }
+  }
+
+  // Add a dependency. `dependency` is { blockedBy: otherId } when the other
+  // task blocks this one, or { blocks: otherId } when this task blocks it.
+  static async addTaskDependency(id, dependency, user = null) {
+    try {
+      const otherId = dependency.blockedBy || dependency.blocks;
+
+      await TaskService.assertCanModify(await TaskService.getAccessibleTask(id, user), user);
+      await TaskService.getAccessibleTask(otherId, user);
+
+      const [blockerId, blockedId] = dependency.blockedBy ? [otherId, id] : [id, otherId];
+      const edge = await TaskDependencyService.addDependency(blockerId, blockedId, user);
+
+      logger.info('Task dependency added successfully', { blockerId, blockedId });
+
+      return {
+        success: true,
+        data: edge,
+        message: 'Task dependency added successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to add task dependency', {
+        error: error.message,
+        taskId: id,
+        dependency
+      });
+
+      throw error;
+    }
+  }
+
+  // Remove the dependency between a task and another task
+  static async removeTaskDependency(id, otherId, user = null) {
+    try {
+      await TaskService.assertCanModify(await TaskService.getAccessibleTask(id, user), user);
+
+      await TaskDependencyService.removeDependency(id, otherId);
+
+      logger.info('Task dependency removed successfully', { taskId: id, otherTaskId: otherId });
+
+      return {
+        success: true,
+        message: 'Task dependency removed successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to remove task dependency', {
+        error: error.message,
+        taskId: id,
+        otherTaskId: otherId
+      });
+
+      throw error;
+    }
+  }
+
+  // Get a task's comments as threads
+  static async getTaskComments(id, user = null) {
+    try {
+      await TaskService.getAccessibleTask(id, user);
+
+      const comments = await TaskCommentService.listComments(id);
+
+      logger.info('Task comments retrieved', { taskId: id, count: comments.total });
+
+      return {
+        success: true,
+        data: comments,
+        message: 'Task comments retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve task comments', {
+        error: error.message,
+        taskId: id
+      });
+
+      throw error;
+    }
+  }
+
+  // Add a comment or reply to a task
+  static async addTaskComment(id, commentData, user = null) {
+    try {
+      const task = await TaskService.getAccessibleTask(id, user);
+
+      const comment = await TaskCommentService.addComment(task, commentData, user);
+
+      logger.info('Task comment added successfully', {
+        taskId: id,
+        commentId: comment.id,
+        parentId: comment.parentId,
+        mentionCount: comment.mentions.length
+      });
+
+      return {
+        success: true,
+        data: comment.toJSON(),
+        message: 'Comment added successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to add task comment', {
+        error: error.message,
+        taskId: id
+      });
+
+      throw error;
+    }
+  }
+
+  // Edit a comment, keeping its previous version in the edit history
+  static async updateTaskComment(id, commentId, body, user = null) {
+    try {
+      const task = await TaskService.getAccessibleTask(id, user);
+      const comment = await TaskCommentService.getComment(id, commentId);
+      TaskService.assertCanModifyComment(comment, user);
+
+      const updated = await TaskCommentService.editComment(task, comment, body, user);
+
+      logger.info('Task comment updated successfully', {
+        taskId: id,
+        commentId,
+        editCount: updated.edits.length
+      });
+
+      return {
+        success: true,
+        data: updated.toJSON(),
+        message: 'Comment updated successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to update task comment', {
+        error: error.message,
+        taskId: id,
+        commentId
+      });
+
+      throw error;
+    }
+  }
+
+  // Delete a comment together with its replies
+  static async deleteTaskComment(id, commentId, user = null) {
     try {
-      const deletedTask = dataStore.deleteTask(id);
+      const task = await TaskService.getAccessibleTask(id, user);
+      const comment = await TaskCommentService.getComment(id, commentId);
+      TaskService.assertCanModifyComment(comment, user);
+
+      const removedIds = await TaskCommentService.deleteComment(task, comment);
+
+      logger.info('Task comment deleted successfully', {
+        taskId: id,
+        commentId,
+        removedCount: removedIds.length
+      });
+
+      return {
+        success: true,
+        data: { commentId, removedIds },
+        message: 'Comment deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to delete task comment', {
+        error: error.message,
+        taskId: id,
+        commentId
+      });
+
+      throw error;
+    }
+  }
+
+  // Get a comment's edit history
+  static async getTaskCommentHistory(id, commentId, user = null) {
+    try {
+      await TaskService.getAccessibleTask(id, user);
+
+      const history = await TaskCommentService.getCommentHistory(id, commentId);
+
+      logger.info('Task comment history retrieved', {
+        taskId: id,
+        commentId,
+        editCount: history.edits.length
+      });
+
+      return {
+        success: true,
+        data: history,
+        message: 'Comment history retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve task comment history', {
+        error: error.message,
+        taskId: id,
+        commentId
+      });
+
+      throw error;
+    }
+  }
+
+  // Move a task to the trash, optionally only while it is at one of the
+  // expected versions. Its dependencies and comments are kept until the
+  // trash is purged (see taskTrashService).
+  static async deleteTask(id, user = null, { expectedVersions = null } = {}) {
+    try {
+      const task = await TaskService.getAccessibleTask(id, user);
+      await TaskService.assertCanDelete(task, user);
+
+      const before = task.toJSON();
+      const deletedTask = await TaskHistoryService.recordChange('deleted', before,
+        () => taskStore.deleteTask(id, { expectedVersions }), user);
+      await WebhookService.publish('task.deleted', { task: deletedTask.toJSON() });
 
       logger.info('Task deleted successfully', {
         taskId: id,
@@ -136,8 +897,11 @@ class TaskService {
 
       return {
         success: true,
-        data: deletedTask.toJSON(),
-        message: 'Task deleted successfully'
+        data: {
+          ...deletedTask.toJSON(),
+          purgeAt: taskTrashService.getPurgeTime(deletedTask.deletedAt)
+        },
+        message: 'Task moved to trash'
       };
     } catch (error) {
       logger.error('Failed to delete task', {
@@ -149,12 +913,87 @@ class TaskService {
     }
   }
 
-  // Get task statistics
-  static async getStatistics() {
+  // List the deleted tasks the user can see, most recently deleted first.
+  // Each one carries the time it will be purged.
+  static async getDeletedTasks(options = {}, user = null) {
     try {
-      const stats = dataStore.getStatistics();
+      await ProjectService.findAccessibleProject(options.projectId, user);
+
+      const result = await taskStore.getAllTasks({
+        ...options,
+        ...await TaskService.getOwnerScope(user),
+        deleted: true,
+        sortBy: 'deletedAt',
+        sortOrder: 'desc'
+      });
+
+      logger.info('Deleted tasks retrieved', {
+        page: result.pagination.page,
+        limit: result.pagination.limit,
+        total: result.pagination.total,
+        projectId: options.projectId
+      });
+
+      return {
+        success: true,
+        data: result.tasks.map(task => ({ ...task, purgeAt: taskTrashService.getPurgeTime(task.deletedAt) })),
+        pagination: result.pagination,
+        message: 'Deleted tasks retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve deleted tasks', {
+        error: error.message,
+        options
+      });
+
+      throw error;
+    }
+  }
+
+  // Take a task back out of the trash, optionally only while it is at one
+  // of the expected versions. Whoever may delete a task may restore it.
+  static async restoreTask(id, user = null, { expectedVersions = null } = {}) {
+    try {
+      const task = await TaskService.getAccessibleTask(id, user, { deleted: true });
+      await TaskService.assertCanDelete(task, user);
+
+      const before = task.toJSON();
+      const restoredTask = await TaskHistoryService.recordChange('undeleted', before,
+        () => taskStore.restoreTask(id, { expectedVersions }), user);
+      await WebhookService.publish('task.restored', { task: restoredTask.toJSON() });
+
+      logger.info('Task restored from trash', {
+        taskId: id,
+        title: restoredTask.title
+      });
+
+      return {
+        success: true,
+        data: restoredTask.toJSON(),
+        message: 'Task restored from trash'
+      };
+    } catch (error) {
+      logger.error('Failed to restore deleted task', {
+        error: error.message,
+        taskId: id
+      });
+
+      throw error;
+    }
+  }
+
+  // Get task statistics, optionally for one project
+  static async getStatistics(user = null, options = {}) {
+    try {
+      await ProjectService.findAccessibleProject(options.projectId, user);
+
+      const stats = await taskStore.getStatistics({
+        ...await TaskService.getOwnerScope(user),
+        projectId: options.projectId
+      });
 
       logger.info('Task statistics retrieved', {
+        projectId: options.projectId,
         total: stats.total,
         byStatus: stats.byStatus
       });
@@ -176,7 +1015,7 @@ class TaskService {
   // Get data store information
   static async getDataStoreInfo() {
     try {
-      const info = dataStore.getInfo();
+      const info = await taskStore.getInfo();
 
       logger.info('Data store info retrieved', {
         type: info.type,
@@ -197,25 +1036,42 @@ class TaskService {
     }
   }
 
-  // Search tasks
-  static async searchTasks(searchTerm, options = {}) {
+  // Full-text search ranked by relevance (see src/utils/textSearch.js for the
+  // query syntax). Each result carries its score and highlighted snippets.
+  static async searchTasks(searchTerm, options = {}, user = null) {
     try {
-      const searchOptions = {
-        ...options,
-        search: searchTerm
-      };
+      const query = parseSearchQuery(searchTerm);
+
+      if (!query) {
+        throw new Error('Search query must contain at least one searchable word');
+      }
 
-      const result = dataStore.getAllTasks(searchOptions);
+      const { fields, ...rest } = options;
+      await ProjectService.findAccessibleProject(rest.projectId, user);
+
+      const result = await taskStore.searchTasks(query, {
+        ...rest,
+        ...await TaskService.getOwnerScope(user)
+      });
 
       logger.info('Task search completed', {
         searchTerm,
         resultsCount: result.tasks.length,
-        page: result.pagination.page
+        page: result.pagination.page,
+        sort: rest.sort || 'relevance'
       });
 
+      const data = TaskService.selectFields(result.tasks, fields).map((task, index) => ({
+        ...task,
+        search: {
+          score: Math.round(result.scores[task.id] * 10000) / 10000,
+          highlights: highlightTask(result.tasks[index], query)
+        }
+      }));
+
       return {
         success: true,
-        data: result.tasks,
+        data,
         pagination: result.pagination,
         message: `Found ${result.pagination.total} tasks matching "${searchTerm}"`
       };
@@ -231,14 +1087,15 @@ class TaskService {
   }
 
   // Filter tasks by status
-  static async filterTasksByStatus(status, options = {}) {
+  static async filterTasksByStatus(status, options = {}, user = null) {
     try {
       const filterOptions = {
         ...options,
+        ...await TaskService.getOwnerScope(user),
         status
       };
 
-      const result = dataStore.getAllTasks(filterOptions);
+      const result = await taskStore.getAllTasks(filterOptions);
 
       logger.info('Task filtering completed', {
         status,
@@ -0,0 +1,137 @@
+const cron = require('node-cron');
+const config = require('../shared/config/environment');
+const taskStore = require('../repositories/task/taskStore');
+const taskTransaction = require('../repositories/task/taskTransaction');
+const TaskHistoryService = require('./taskHistoryService');
+const TaskDependencyService = require('./taskDependencyService');
+const TaskCommentService = require('./taskCommentService');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Task Trash Service
+ * Deleted tasks stay in the trash, where they can be restored, for the
+ * retention period. A periodic job then purges them: the task, its
+ * dependencies and its comments are removed for good. The revision history
+ * is kept as the audit trail of the task.
+ */
+class TaskTrashService {
+  constructor(options = config.tasks.trash) {
+    this.schedule = options.schedule;
+    this.retentionDays = options.retentionDays;
+    this.job = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the cron job (no-op if already started)
+   */
+  start() {
+    if (this.job) {
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      throw new Error(`Invalid task trash purge schedule: ${this.schedule}`);
+    }
+
+    this.job = cron.schedule(this.schedule, () => {
+      this.runOnce().catch(error => {
+        logger.error('Task trash purge run failed', { error: error.message });
+      });
+    });
+
+    logger.info('Task trash purge job started', {
+      schedule: this.schedule,
+      retentionDays: this.retentionDays
+    });
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+      logger.info('Task trash purge job stopped');
+    }
+  }
+
+  /**
+   * When a task deleted at `deletedAt` is due to be purged
+   */
+  getPurgeTime(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + this.retentionDays * DAY_MS).toISOString();
+  }
+
+  /**
+   * Purge every task that has been in the trash for the retention period
+   */
+  async runOnce(now = new Date()) {
+    const summary = { checked: 0, purged: 0, failed: 0 };
+
+    // Skip this tick if the previous run is still going
+    if (this.running) {
+      return summary;
+    }
+
+    this.running = true;
+
+    try {
+      const cutoff = new Date(now.getTime() - this.retentionDays * DAY_MS);
+      const tasks = await taskStore.listTasks({ deleted: true, deletedBefore: cutoff.toISOString() });
+
+      for (const task of tasks) {
+        summary.checked++;
+
+        try {
+          await this.purgeTask(task.id);
+          summary.purged++;
+        } catch (error) {
+          // Failed tasks stay in the trash and are retried on the next run
+          summary.failed++;
+          logger.error('Failed to purge deleted task', {
+            taskId: task.id,
+            error: error.message
+          });
+        }
+      }
+
+      logger.info('Task trash purge run completed', summary);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Permanently remove a task in the trash with its dependencies and
+   * comments
+   */
+  async purgeTask(id) {
+    const task = await taskTransaction(async () => {
+      const purged = await taskStore.purgeTask(id);
+      await TaskDependencyService.removeTask(id);
+      await TaskCommentService.removeTask(id);
+
+      await TaskHistoryService.recordRevision('purged', purged.toJSON(), purged.toJSON(), null);
+
+      return purged;
+    });
+
+    logger.info('Deleted task purged', {
+      taskId: id,
+      deletedAt: task.deletedAt
+    });
+
+    return task;
+  }
+}
+
+// Create singleton instance
+const taskTrashService = new TaskTrashService();
+
+module.exports = taskTrashService;
+module.exports.TaskTrashService = TaskTrashService;
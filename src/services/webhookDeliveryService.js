@@ -0,0 +1,213 @@
+const http = require('http');
+const https = require('https');
+const config = require('../shared/config/environment');
+const webhookStore = require('../repositories/webhook/webhookStore');
+const { signPayload } = require('../utils/webhookSignature');
+const { logger } = require('../utils/logger');
+
+// Message queue the deliveries go through
+const QUEUE_NAME = 'webhooks';
+
+/**
+ * Webhook Delivery Service
+ * Sends webhook deliveries through the message queue. Each attempt POSTs
+ * the signed payload to the webhook URL and is recorded in the delivery
+ * log. A failed attempt nacks the queue message, so the queue retries it
+ * with exponential backoff; once the retries run out the message moves to
+ * the dead-letter queue and the delivery is marked failed.
+ */
+class WebhookDeliveryService {
+  constructor(options = config.webhooks) {
+    this.timeoutMs = options.timeoutMs;
+    this.maxRetries = options.maxRetries;
+    this.queue = null;
+    this.consumerId = null;
+    this.handleDeadLettered = this.handleDeadLettered.bind(this);
+  }
+
+  /**
+   * Whether deliveries are being sent (events published while stopped are
+   * dropped)
+   */
+  isRunning() {
+    return Boolean(this.queue);
+  }
+
+  /**
+   * Start consuming the delivery queue (no-op if already started)
+   */
+  async start() {
+    if (this.queue) {
+      return;
+    }
+
+    // Loaded here because the message queue connects to Redis when required
+    const queue = require('./messageQueueService');
+
+    await queue.createQueue(QUEUE_NAME, { maxRetries: this.maxRetries });
+    queue.on('message:dead_lettered', this.handleDeadLettered);
+    this.consumerId = await queue.consume(QUEUE_NAME, message => this.deliver(message.payload.deliveryId));
+    this.queue = queue;
+
+    logger.info('Webhook delivery started', {
+      timeoutMs: this.timeoutMs,
+      maxRetries: this.maxRetries
+    });
+  }
+
+  /**
+   * Stop consuming the delivery queue. Queued deliveries are sent when
+   * delivery starts again.
+   */
+  stop() {
+    if (this.queue) {
+      this.queue.stopConsumer(QUEUE_NAME, this.consumerId);
+      this.queue.removeListener('message:dead_lettered', this.handleDeadLettered);
+      this.queue = null;
+      this.consumerId = null;
+      logger.info('Webhook delivery stopped');
+    }
+  }
+
+  /**
+   * Queue a pending delivery for sending
+   */
+  async enqueue(delivery) {
+    if (!this.queue) {
+      throw new Error('Webhook delivery is not running');
+    }
+
+    await this.queue.enqueue(QUEUE_NAME, { deliveryId: delivery.id }, {
+      correlationId: delivery.payload.id
+    });
+  }
+
+  /**
+   * Make one delivery attempt and record it. Throws when the attempt
+   * failed, so the queue retries the message.
+   */
+  async deliver(deliveryId) {
+    const delivery = await webhookStore.findDeliveryById(deliveryId);
+
+    // Deleted with its webhook, or already settled
+    if (!delivery || delivery.status !== 'pending') {
+      return delivery;
+    }
+
+    const webhook = await webhookStore.findWebhookById(delivery.webhookId);
+
+    if (!webhook) {
+      return null;
+    }
+
+    if (!webhook.active) {
+      delivery.fail('Webhook is inactive');
+      return webhookStore.updateDelivery(delivery);
+    }
+
+    const attempt = await this.send(webhook, delivery);
+    const delivered = delivery.recordAttempt(attempt);
+    await webhookStore.updateDelivery(delivery);
+
+    logger.info('Webhook delivery attempted', {
+      webhookId: webhook.id,
+      deliveryId,
+      event: delivery.event,
+      attempt: delivery.attempts.length,
+      statusCode: attempt.statusCode,
+      delivered
+    });
+
+    if (!delivered) {
+      throw new Error(`Webhook delivery ${deliveryId} failed: ${attempt.error}`);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * POST a delivery's payload to its webhook. Resolves with the attempt
+   * record { attemptedAt, statusCode, error, durationMs }; network errors
+   * and timeouts are recorded rather than thrown.
+   */
+  send(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const url = new URL(webhook.url);
+    const client = url.protocol === 'https:' ? https : http;
+
+    const attemptedAt = new Date().toISOString();
+    const startedAt = Date.now();
+
+    return new Promise((resolve) => {
+      const finish = (statusCode, error) => resolve({
+        attemptedAt,
+        statusCode,
+        error,
+        durationMs: Date.now() - startedAt
+      });
+
+      const request = client.request(url, {
+        method: 'POST',
+        timeout: this.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'simple-express-api-webhooks',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+        }
+      }, (response) => {
+        const { statusCode } = response;
+        const error = statusCode >= 200 && statusCode < 300 ? null : `Receiver responded with status ${statusCode}`;
+
+        // The response body is not used
+        response.resume();
+        response.on('end', () => finish(statusCode, error));
+        response.on('error', responseError => finish(statusCode, responseError.message));
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`No response within ${this.timeoutMs}ms`)));
+      request.on('error', requestError => finish(null, requestError.message));
+      request.end(body);
+    });
+  }
+
+  /**
+   * Fail the delivery of a message the queue gave up on
+   */
+  async handleDeadLettered({ queueName, message }) {
+    if (queueName !== QUEUE_NAME) {
+      return;
+    }
+
+    try {
+      const delivery = await webhookStore.findDeliveryById(message.payload.deliveryId);
+
+      if (delivery && delivery.status === 'pending') {
+        delivery.fail(`Gave up after ${delivery.attempts.length} attempts: ${delivery.error}`);
+        await webhookStore.updateDelivery(delivery);
+
+        logger.warn('Webhook delivery failed', {
+          webhookId: delivery.webhookId,
+          deliveryId: delivery.id,
+          attempts: delivery.attempts.length
+        });
+      }
+    } catch (storeError) {
+      logger.error('Failed to record dead-lettered webhook delivery', {
+        messageId: message.id,
+        error: storeError.message
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const webhookDeliveryService = new WebhookDeliveryService();
+
+module.exports = webhookDeliveryService;
+module.exports.WebhookDeliveryService = WebhookDeliveryService;
@@ -0,0 +1,311 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const webhookStore = require('../repositories/webhook/webhookStore');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const TaskHistoryService = require('./taskHistoryService');
+const webhookDeliveryService = require('./webhookDeliveryService');
+const TaskValidator = require('../utils/validators');
+const { logger } = require('../utils/logger');
+
+// Events published inside deferEvents(), held until its callback succeeds
+const deferredEvents = new AsyncLocalStorage();
+
+class WebhookService {
+  // Load a webhook, or throw when no webhook has the ID
+  static async getWebhook(id) {
+    const webhook = await webhookStore.findWebhookById(id);
+
+    if (!webhook) {
+      throw new Error(`Webhook with ID ${id} not found`);
+    }
+
+    return webhook;
+  }
+
+  // List all webhooks
+  static async listWebhooks() {
+    try {
+      const webhooks = await webhookStore.findWebhooks();
+
+      logger.info('Webhooks retrieved', { count: webhooks.length });
+
+      return {
+        success: true,
+        data: webhooks.map(webhook => webhook.toJSON()),
+        message: 'Webhooks retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve webhooks', { error: error.message });
+
+      throw error;
+    }
+  }
+
+  // Create a webhook. The response is the only time its signing secret is
+  // shown.
+  static async createWebhook(webhookData, user = null) {
+    try {
+      const webhook = await webhookStore.createWebhook(new Webhook({
+        url: webhookData.url,
+        events: webhookData.events,
+        description: webhookData.description,
+        active: webhookData.active,
+        createdBy: user ? user.id : null
+      }));
+
+      return {
+        success: true,
+        data: { ...webhook.toJSON(), secret: webhook.secret },
+        message: 'Webhook created successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to create webhook', {
+        error: error.message,
+        url: webhookData.url
+      });
+
+      throw error;
+    }
+  }
+
+  // Get a webhook
+  static async getWebhookById(id) {
+    try {
+      const webhook = await WebhookService.getWebhook(id);
+
+      return {
+        success: true,
+        data: webhook.toJSON(),
+        message: 'Webhook retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve webhook', {
+        error: error.message,
+        webhookId: id
+      });
+
+      throw error;
+    }
+  }
+
+  // Change a webhook's URL, events, description or active flag
+  static async updateWebhook(id, updateData) {
+    try {
+      const webhook = await WebhookService.getWebhook(id);
+      const updated = await webhookStore.updateWebhook(webhook.update(updateData));
+
+      return {
+        success: true,
+        data: updated.toJSON(),
+        message: 'Webhook updated successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to update webhook', {
+        error: error.message,
+        webhookId: id,
+        updateData
+      });
+
+      throw error;
+    }
+  }
+
+  // Delete a webhook with its delivery log
+  static async deleteWebhook(id) {
+    try {
+      const webhook = await WebhookService.getWebhook(id);
+      await webhookStore.deleteWebhook(id);
+
+      return {
+        success: true,
+        data: webhook.toJSON(),
+        message: 'Webhook deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to delete webhook', {
+        error: error.message,
+        webhookId: id
+      });
+
+      throw error;
+    }
+  }
+
+  // List a webhook's deliveries with their attempts, newest first
+  static async getDeliveries(id, { status, limit } = {}) {
+    try {
+      await WebhookService.getWebhook(id);
+
+      const deliveries = await webhookStore.findDeliveries(id, { status, limit });
+
+      logger.info('Webhook deliveries retrieved', {
+        webhookId: id,
+        count: deliveries.length,
+        status
+      });
+
+      return {
+        success: true,
+        data: deliveries.map(delivery => delivery.toJSON()),
+        message: 'Webhook deliveries retrieved successfully'
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve webhook deliveries', {
+        error: error.message,
+        webhookId: id
+      });
+
+      throw error;
+    }
+  }
+
+  // Send a delivered or failed delivery again, with the same payload. The
+  // new attempts are added to its log.
+  static async redeliver(id, deliveryId) {
+    try {
+      const webhook = await WebhookService.getWebhook(id);
+      const delivery = await webhookStore.findDeliveryById(deliveryId);
+
+      if (!delivery || delivery.webhookId !== webhook.id) {
+        throw new Error(`Webhook delivery with ID ${deliveryId} not found`);
+      }
+
+      if (delivery.status === 'pending') {
+        throw new Error(`Webhook delivery ${deliveryId} is still pending`);
+      }
+
+      if (!webhook.active) {
+        throw new Error(`Webhook ${id} is inactive`);
+      }
+
+      if (!webhookDeliveryService.isRunning()) {
+        throw new Error('Webhook delivery is not running');
+      }
+
+      const requeued = await webhookStore.updateDelivery(delivery.requeue());
+      await webhookDeliveryService.enqueue(requeued);
+
+      logger.info('Webhook delivery requeued', {
+        webhookId: id,
+        deliveryId,
+        previousAttempts: requeued.attempts.length
+      });
+
+      return {
+        success: true,
+        data: requeued.toJSON(),
+        message: 'Webhook delivery queued for redelivery'
+      };
+    } catch (error) {
+      logger.error('Failed to redeliver webhook delivery', {
+        error: error.message,
+        webhookId: id,
+        deliveryId
+      });
+
+      throw error;
+    }
+  }
+
+  // Send an event to every active webhook subscribed to it. The body of
+  // each delivery is { id, type, createdAt, data }; the event ID is the
+  // same for every webhook. Publishing never throws, so a webhook problem
+  // can't fail the change that triggered it, and does nothing while
+  // webhook delivery isn't running.
+  static async publish(event, data) {
+    const deferred = deferredEvents.getStore();
+    if (deferred) {
+      deferred.push({ event, data });
+      return;
+    }
+
+    if (!webhookDeliveryService.isRunning()) {
+      return;
+    }
+
+    try {
+      const webhooks = await webhookStore.findWebhooks({ event });
+
+      if (webhooks.length === 0) {
+        return;
+      }
+
+      const payload = {
+        id: TaskValidator.generateId(),
+        type: event,
+        createdAt: TaskValidator.getCurrentTimestamp(),
+        data
+      };
+
+      for (const webhook of webhooks) {
+        const delivery = await webhookStore.createDelivery(new WebhookDelivery({
+          webhookId: webhook.id,
+          event,
+          payload
+        }));
+
+        try {
+          await webhookDeliveryService.enqueue(delivery);
+        } catch (error) {
+          // Failed deliveries can be sent again with redeliver()
+          logger.error('Failed to queue webhook delivery', {
+            webhookId: webhook.id,
+            deliveryId: delivery.id,
+            event,
+            error: error.message
+          });
+
+          await webhookStore.updateDelivery(delivery.fail(`Could not be queued: ${error.message}`));
+        }
+      }
+
+      logger.info('Webhook event published', {
+        event,
+        eventId: payload.id,
+        webhookCount: webhooks.length
+      });
+    } catch (error) {
+      logger.error('Failed to publish webhook event', {
+        event,
+        error: error.message
+      });
+    }
+  }
+
+  // Publish task.updated for a changed task, and task.status_changed too
+  // when its status changed. `before` and `after` are task snapshots;
+  // updates that changed no tracked field publish nothing.
+  static async publishTaskUpdate(before, after) {
+    const changes = TaskHistoryService.diff(before, after);
+
+    if (changes.length === 0) {
+      return;
+    }
+
+    await WebhookService.publish('task.updated', { task: after, changes });
+
+    if (before.status !== after.status) {
+      await WebhookService.publish('task.status_changed', {
+        task: after,
+        from: before.status,
+        to: after.status
+      });
+    }
+  }
+
+  // Run `callback`, holding back the events it publishes until it succeeds;
+  // if it throws they are dropped. Used around transactions so rolled-back
+  // changes are never announced.
+  static async deferEvents(callback) {
+    const events = [];
+    const result = await deferredEvents.run(events, callback);
+
+    for (const { event, data } of events) {
+      await WebhookService.publish(event, data);
+    }
+
+    return result;
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,216 @@
+const workflowConfig = require('../../config/workflows');
+const { WorkflowTransitionError } = require('../../middleware/errorHandler');
+
+/**
+ * Task Workflow Engine
+ * Holds named workflow definitions (states, allowed transitions and guard
+ * conditions) and decides whether a task may move between two states.
+ */
+class WorkflowEngine {
+  constructor(config = workflowConfig) {
+    this.guards = new Map();
+    this.projectWorkflows = new Map();
+    this.defaultWorkflow = null;
+
+    this.registerBuiltInGuards();
+    this.setDefaultWorkflow(config.default);
+
+    Object.entries(config.projects || {}).forEach(([projectId, definition]) => {
+      this.registerProjectWorkflow(projectId, definition);
+    });
+  }
+
+  /**
+   * Register the guards that workflow definitions can reference by name
+   */
+  registerBuiltInGuards() {
+    this.registerGuard(
+      'descriptionRequired',
+      task => Boolean(task.description && task.description.trim()),
+      'A description is required before entering this state'
+    );
+
+    this.registerGuard(
+      'assigneeRequired',
+      task => Boolean(task.assigneeId),
+      'The task must be assigned before entering this state'
+    );
+  }
+
+  /**
+   * Register a named guard. `check(task)` receives the task as it would look
+   * after the update and must return true to allow the transition.
+   */
+  registerGuard(name, check, message) {
+    if (typeof check !== 'function') {
+      throw new Error(`Guard "${name}" must be a function`);
+    }
+
+    this.guards.set(name, { name, check, message: message || `Guard "${name}" failed` });
+  }
+
+  /**
+   * Validate a workflow definition and index its transitions
+   */
+  compileWorkflow(definition) {
+    if (!definition || !Array.isArray(definition.states) || definition.states.length === 0) {
+      throw new Error('Workflow definition must declare at least one state');
+    }
+
+    const states = [...definition.states];
+    const initialState = definition.initialState || states[0];
+
+    if (!states.includes(initialState)) {
+      throw new Error(`Initial state "${initialState}" is not a declared state`);
+    }
+
+    const completedStates = [...(definition.completedStates || [])];
+    completedStates.forEach(state => {
+      if (!states.includes(state)) {
+        throw new Error(`Completed state "${state}" is not a declared state`);
+      }
+    });
+
+    const transitions = new Map(states.map(state => [state, new Map()]));
+
+    (definition.transitions || []).forEach(({ from, to, guards = [] }) => {
+      if (!transitions.has(from) || !transitions.has(to)) {
+        throw new Error(`Transition ${from} -> ${to} references an undeclared state`);
+      }
+
+      guards.forEach(guardName => {
+        if (!this.guards.has(guardName)) {
+          throw new Error(`Transition ${from} -> ${to} references unknown guard "${guardName}"`);
+        }
+      });
+
+      transitions.get(from).set(to, guards);
+    });
+
+    return {
+      name: definition.name || 'custom',
+      initialState,
+      states,
+      completedStates,
+      transitions
+    };
+  }
+
+  setDefaultWorkflow(definition) {
+    this.defaultWorkflow = this.compileWorkflow(definition);
+  }
+
+  registerProjectWorkflow(projectId, definition) {
+    this.projectWorkflows.set(projectId, this.compileWorkflow(definition));
+  }
+
+  removeProjectWorkflow(projectId) {
+    this.projectWorkflows.delete(projectId);
+  }
+
+  /**
+   * Resolve the workflow for a project, falling back to the default
+   */
+  getWorkflow(projectId = null) {
+    if (projectId && this.projectWorkflows.has(projectId)) {
+      return this.projectWorkflows.get(projectId);
+    }
+    return this.defaultWorkflow;
+  }
+
+  getInitialState(projectId = null) {
+    return this.getWorkflow(projectId).initialState;
+  }
+
+  isValidState(state, projectId = null) {
+    return this.getWorkflow(projectId).states.includes(state);
+  }
+
+  isCompletedState(state, projectId = null) {
+    return this.getWorkflow(projectId).completedStates.includes(state);
+  }
+
+  /**
+   * All states across every registered workflow (used for query filters)
+   */
+  getKnownStates() {
+    const states = new Set(this.defaultWorkflow.states);
+    this.projectWorkflows.forEach(workflow => {
+      workflow.states.forEach(state => states.add(state));
+    });
+    return [...states];
+  }
+
+  /**
+   * States reachable from `fromState` in one transition
+   */
+  getAvailableTransitions(fromState, projectId = null) {
+    const workflow = this.getWorkflow(projectId);
+    const targets = workflow.transitions.get(fromState);
+
+    if (!targets) {
+      return [];
+    }
+
+    return [...targets.entries()].map(([to, guards]) => ({ from: fromState, to, guards }));
+  }
+
+  /**
+   * Throw a WorkflowTransitionError unless `task` may move to `toState`.
+   * `task` should reflect any other fields changed in the same update so
+   * guards see the final values.
+   */
+  assertTransition(task, toState, projectId = task.projectId) {
+    const workflow = this.getWorkflow(projectId);
+    const fromState = task.status;
+
+    if (!workflow.states.includes(toState)) {
+      throw new WorkflowTransitionError(
+        `Status "${toState}" is not part of the "${workflow.name}" workflow`,
+        'UNKNOWN_WORKFLOW_STATE',
+        { workflow: workflow.name, status: toState, allowedStates: workflow.states }
+      );
+    }
+
+    if (fromState === toState) {
+      return;
+    }
+
+    const targets = workflow.transitions.get(fromState);
+    if (!targets || !targets.has(toState)) {
+      throw new WorkflowTransitionError(
+        `Transition from "${fromState}" to "${toState}" is not allowed`,
+        'INVALID_STATUS_TRANSITION',
+        {
+          workflow: workflow.name,
+          from: fromState,
+          to: toState,
+          allowedTransitions: targets ? [...targets.keys()] : []
+        }
+      );
+    }
+
+    const failedGuards = targets.get(toState)
+      .map(guardName => this.guards.get(guardName))
+      .filter(guard => !guard.check(task));
+
+    if (failedGuards.length > 0) {
+      throw new WorkflowTransitionError(
+        `Transition from "${fromState}" to "${toState}" blocked: ${failedGuards.map(guard => guard.message).join('; ')}`,
+        'TRANSITION_GUARD_FAILED',
+        {
+          workflow: workflow.name,
+          from: fromState,
+          to: toState,
+          failedGuards: failedGuards.map(guard => guard.name)
+        }
+      );
+    }
+  }
+}
+
+// Create singleton instance
+const workflowEngine = new WorkflowEngine();
+
+module.exports = workflowEngine;
+module.exports.WorkflowEngine = WorkflowEngine;
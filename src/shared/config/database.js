@@ -0,0 +1,11 @@
+const dbConnection = require('../../database/connection');
+
+// The application's connection pool, for the repositories that query it
+// directly (src/repositories/profile). Queries share dbConnection's pool and
+// join its transactions.
+const pool = {
+  query: (text, params) => dbConnection.query(text, params),
+  connect: () => dbConnection.getClient()
+};
+
+module.exports = { pool };
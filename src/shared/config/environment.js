@@ -20,6 +20,17 @@ const validateEnvironment = () => {
     console.error('\nPlease check your .env file and ensure all required variables are set.');
     process.exit(1);
   }
+
+  // Private keys of key pairs are encrypted with a key of their own
+  if (process.env.JWT_ALGORITHM && process.env.JWT_ALGORITHM !== 'HS256' && !process.env.JWT_KEY_ENCRYPTION_KEY) {
+    console.error(`JWT_KEY_ENCRYPTION_KEY is required with JWT_ALGORITHM=${process.env.JWT_ALGORITHM}`);
+    process.exit(1);
+  }
+
+  if (process.env.JWT_ACCEPT_LEGACY_UNTIL && Number.isNaN(Date.parse(process.env.JWT_ACCEPT_LEGACY_UNTIL))) {
+    console.error('JWT_ACCEPT_LEGACY_UNTIL has to be a date, e.g. 2030-05-06T09:00:00Z');
+    process.exit(1);
+  }
 };
 
 const config = {
@@ -97,6 +108,129 @@ const config = {
 
   frontend: {
     url: process.env.FRONTEND_URL || 'http://localhost:3000'
+  },
+
+  tasks: {
+    // 'postgres' for persistent storage, 'memory' for tests and local development
+    storeDriver: process.env.TASK_STORE_DRIVER ||
+      (process.env.NODE_ENV === 'production' ? 'postgres' : 'memory'),
+
+    // Scheduled "due soon" / "overdue" notifications
+    reminders: {
+      enabled: process.env.TASK_REMINDERS_ENABLED === 'true',
+      schedule: process.env.TASK_REMINDER_SCHEDULE || '*/5 * * * *',
+      dueSoonHours: parseInt(process.env.TASK_DUE_SOON_HOURS) || 24
+    },
+
+    // Generation of recurring task instances whose scheduled time arrived
+    recurrence: {
+      enabled: process.env.TASK_RECURRENCE_ENABLED === 'true',
+      schedule: process.env.TASK_RECURRENCE_SCHEDULE || '* * * * *'
+    },
+
+    // Purging of deleted tasks that have been in the trash longer than the
+    // retention period
+    trash: {
+      enabled: process.env.TASK_TRASH_PURGE_ENABLED === 'true',
+      schedule: process.env.TASK_TRASH_PURGE_SCHEDULE || '0 3 * * *',
+      retentionDays: parseInt(process.env.TASK_TRASH_RETENTION_DAYS) || 30
+    }
+  },
+
+  // Outbound webhooks for task and profile lifecycle events. Deliveries go
+  // through the Redis message queue, which retries failed attempts with
+  // exponential backoff before dead-lettering them.
+  webhooks: {
+    enabled: process.env.WEBHOOKS_ENABLED === 'true',
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    maxRetries: parseInt(process.env.WEBHOOK_MAX_RETRIES) || 5
+  },
+
+  // Replay of POST/PUT/PATCH/DELETE responses for retried requests that
+  // carry an Idempotency-Key header. The 'redis' driver shares keys between
+  // instances and keeps them in memory while Redis is unreachable.
+  idempotency: {
+    storeDriver: process.env.IDEMPOTENCY_STORE_DRIVER ||
+      (process.env.REDIS_HOST ? 'redis' : 'memory'),
+    ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+    redis: {
+      host: process.env.REDIS_HOST || 'localhost',
+      port: parseInt(process.env.REDIS_PORT) || 6379,
+      password: process.env.REDIS_PASSWORD
+    }
+  },
+
+  // Dependency checks behind /health and /health/ready. A critical
+  // dependency that is down fails readiness; the others only report the
+  // service as degraded.
+  health: {
+    cacheTtlMs: parseInt(process.env.HEALTH_CHECK_CACHE_MS) || 10000,
+    critical: (process.env.HEALTH_CRITICAL_CHECKS || 'database')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean)
+  },
+
+  // TOTP two-factor authentication. Secrets are stored encrypted with
+  // MFA_ENCRYPTION_KEY (the access token secret when unset). The pending
+  // token links the password and code steps of a login; the
+  // re-authentication token unlocks password changes, account deletion and
+  // turning two-factor authentication off for a few minutes.
+  mfa: {
+    issuer: process.env.MFA_ISSUER || 'SpecPulse',
+    encryptionKey: process.env.MFA_ENCRYPTION_KEY || process.env.JWT_ACCESS_SECRET,
+    pendingTokenExpiresIn: process.env.MFA_PENDING_TOKEN_EXPIRES_IN || '5m',
+    reauthTokenExpiresIn: process.env.MFA_REAUTH_TOKEN_EXPIRES_IN || '5m',
+    recoveryCodeCount: parseInt(process.env.MFA_RECOVERY_CODE_COUNT) || 10
+  },
+
+  // Passkey (WebAuthn) registration and login. Passkeys are bound to the
+  // relying party ID, a registrable domain of the frontend, and ceremonies
+  // are only accepted from the listed origins.
+  webauthn: {
+    rpId: process.env.WEBAUTHN_RP_ID ||
+      new URL(process.env.FRONTEND_URL || 'http://localhost:3000').hostname,
+    rpName: process.env.WEBAUTHN_RP_NAME || 'SpecPulse',
+    origins: (process.env.WEBAUTHN_ORIGINS || process.env.FRONTEND_URL || 'http://localhost:3000')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean),
+    challengeTimeoutMs: parseInt(process.env.WEBAUTHN_CHALLENGE_TIMEOUT_MS) || 5 * 60 * 1000
+  },
+
+  // Per-account login throttling, whichever IP the attempts come from.
+  // From `throttleAfter` consecutive failed logins on, each failure doubles
+  // the wait before the next attempt; `maxFailedAttempts` failures lock the
+  // account until the lock expires, the emailed unlock link is used or an
+  // admin unlocks it. Failures older than `resetAfterMinutes` are forgotten.
+  lockout: {
+    throttleAfter: parseInt(process.env.LOCKOUT_THROTTLE_AFTER) || 3,
+    baseDelaySeconds: parseInt(process.env.LOCKOUT_BASE_DELAY_SECONDS) || 1,
+    maxDelaySeconds: parseInt(process.env.LOCKOUT_MAX_DELAY_SECONDS) || 60,
+    maxFailedAttempts: parseInt(process.env.LOCKOUT_MAX_FAILED_ATTEMPTS) || 10,
+    durationMinutes: parseInt(process.env.LOCKOUT_DURATION_MINUTES) || 30,
+    resetAfterMinutes: parseInt(process.env.LOCKOUT_RESET_AFTER_MINUTES) || 60,
+    unlockTokenExpiresMinutes: parseInt(process.env.LOCKOUT_UNLOCK_TOKEN_EXPIRES_MINUTES) || 60
+  },
+
+  // Signing of access and other short-lived tokens. HS256 signs with
+  // JWT_ACCESS_SECRET. RS256 and ES256 sign with key pairs kept in the
+  // database (private keys encrypted with JWT_KEY_ENCRYPTION_KEY, which they
+  // require) and published at /.well-known/jwks.json, so other services
+  // verify tokens by their kid without the secret. Every `rotationDays` a
+  // new key is published, and starts signing two check intervals later, once
+  // every instance has loaded it; the old key keeps verifying for
+  // `gracePeriodHours`, which has to outlast its tokens. Tokens signed with
+  // the secret before the switch, which have no kid, only verify until
+  // JWT_ACCEPT_LEGACY_UNTIL.
+  // Refresh tokens are only read by this service and keep their secret.
+  jwtKeys: {
+    algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    encryptionKey: process.env.JWT_KEY_ENCRYPTION_KEY || null,
+    acceptLegacyUntil: process.env.JWT_ACCEPT_LEGACY_UNTIL ? Date.parse(process.env.JWT_ACCEPT_LEGACY_UNTIL) : null,
+    rotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30,
+    gracePeriodHours: parseInt(process.env.JWT_KEY_GRACE_PERIOD_HOURS) || 24,
+    checkIntervalMs: parseInt(process.env.JWT_KEY_CHECK_INTERVAL_MS) || 5 * 60 * 1000
   }
 };
 
@@ -116,5 +250,6 @@ Object.freeze(config.security);
 Object.freeze(config.rateLimit);
 Object.freeze(config.upload);
 Object.freeze(config.frontend);
+Object.freeze(config.tasks);
 
 module.exports = config;
\ No newline at end of file
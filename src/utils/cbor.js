@@ -0,0 +1,165 @@
+/**
+ * The subset of CBOR (RFC 8949) WebAuthn uses: unsigned and negative
+ * integers, byte and text strings, arrays, maps, booleans and null, all with
+ * definite lengths. Attestation objects and COSE public keys are encoded
+ * with it. Maps decode to Map so that COSE's integer keys stay integers.
+ */
+
+const MAJOR_UNSIGNED = 0;
+const MAJOR_NEGATIVE = 1;
+const MAJOR_BYTES = 2;
+const MAJOR_TEXT = 3;
+const MAJOR_ARRAY = 4;
+const MAJOR_MAP = 5;
+const MAJOR_SIMPLE = 7;
+
+const SIMPLE_VALUES = { 20: false, 21: true, 22: null };
+
+const readUnsigned = (buffer, position, size) => {
+  if (size === 8) {
+    const value = buffer.readBigUInt64BE(position);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error('CBOR integer is too large');
+    }
+    return Number(value);
+  }
+  return buffer.readUIntBE(position, size);
+};
+
+// The value at `offset` and the offset right after it
+const decodeItem = (buffer, offset) => {
+  if (offset >= buffer.length) {
+    throw new Error('Unexpected end of CBOR data');
+  }
+
+  const initial = buffer[offset];
+  const major = initial >> 5;
+  const additional = initial & 0x1f;
+  let position = offset + 1;
+
+  if (major === MAJOR_SIMPLE) {
+    if (!(additional in SIMPLE_VALUES)) {
+      throw new Error(`Unsupported CBOR simple value ${additional}`);
+    }
+    return { value: SIMPLE_VALUES[additional], end: position };
+  }
+
+  let argument;
+  if (additional < 24) {
+    argument = additional;
+  } else if (additional <= 27) {
+    const size = 2 ** (additional - 24);
+    if (position + size > buffer.length) {
+      throw new Error('Unexpected end of CBOR data');
+    }
+    argument = readUnsigned(buffer, position, size);
+    position += size;
+  } else {
+    throw new Error('Indefinite-length CBOR items are not supported');
+  }
+
+  switch (major) {
+    case MAJOR_UNSIGNED:
+      return { value: argument, end: position };
+    case MAJOR_NEGATIVE:
+      return { value: -1 - argument, end: position };
+    case MAJOR_BYTES:
+    case MAJOR_TEXT: {
+      if (position + argument > buffer.length) {
+        throw new Error('Unexpected end of CBOR data');
+      }
+      const bytes = buffer.subarray(position, position + argument);
+      return { value: major === MAJOR_TEXT ? bytes.toString('utf8') : Buffer.from(bytes), end: position + argument };
+    }
+    case MAJOR_ARRAY: {
+      const items = [];
+      for (let index = 0; index < argument; index++) {
+        const item = decodeItem(buffer, position);
+        items.push(item.value);
+        position = item.end;
+      }
+      return { value: items, end: position };
+    }
+    case MAJOR_MAP: {
+      const map = new Map();
+      for (let index = 0; index < argument; index++) {
+        const key = decodeItem(buffer, position);
+        const value = decodeItem(buffer, key.end);
+        map.set(key.value, value.value);
+        position = value.end;
+      }
+      return { value: map, end: position };
+    }
+    default:
+      throw new Error(`Unsupported CBOR major type ${major}`);
+  }
+};
+
+// The first CBOR item of `buffer` and how many bytes it took; authenticator
+// data follows the credential public key with more data
+const decodeFirst = buffer => {
+  const { value, end } = decodeItem(Buffer.from(buffer), 0);
+  return { value, length: end };
+};
+
+// A buffer that holds exactly one CBOR item
+const decode = buffer => {
+  const { value, length } = decodeFirst(buffer);
+  if (length !== buffer.length) {
+    throw new Error('Unexpected data after the CBOR item');
+  }
+  return value;
+};
+
+const encodeHead = (major, argument) => {
+  if (argument < 24) {
+    return Buffer.from([(major << 5) | argument]);
+  }
+
+  const size = argument < 0x100 ? 1 : argument < 0x10000 ? 2 : argument < 0x100000000 ? 4 : 8;
+  const head = Buffer.alloc(1 + size);
+  head[0] = (major << 5) | (24 + Math.log2(size));
+
+  if (size === 8) {
+    head.writeBigUInt64BE(BigInt(argument), 1);
+  } else {
+    head.writeUIntBE(argument, 1, size);
+  }
+  return head;
+};
+
+// Encode a value; Map keeps integer keys, plain objects get text keys
+const encode = value => {
+  if (value === false || value === true || value === null) {
+    const simple = Object.keys(SIMPLE_VALUES).find(key => SIMPLE_VALUES[key] === value);
+    return Buffer.from([(MAJOR_SIMPLE << 5) | Number(simple)]);
+  }
+  if (Number.isInteger(value)) {
+    return value >= 0 ? encodeHead(MAJOR_UNSIGNED, value) : encodeHead(MAJOR_NEGATIVE, -1 - value);
+  }
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return Buffer.concat([encodeHead(MAJOR_BYTES, value.length), Buffer.from(value)]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeHead(MAJOR_TEXT, bytes.length), bytes]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([encodeHead(MAJOR_ARRAY, value.length), ...value.map(encode)]);
+  }
+  if (value instanceof Map || (value && typeof value === 'object')) {
+    const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+    return Buffer.concat([
+      encodeHead(MAJOR_MAP, entries.length),
+      ...entries.flatMap(([key, item]) => [encode(key), encode(item)])
+    ]);
+  }
+
+  throw new Error(`Cannot encode ${typeof value} as CBOR`);
+};
+
+module.exports = {
+  decode,
+  decodeFirst,
+  encode
+};
@@ -0,0 +1,151 @@
+/**
+ * Next-occurrence math for the cron schedules of recurring tasks. node-cron
+ * only fires jobs, so this expands expressions with its own parser and walks
+ * the calendar day by day to find when a schedule fires next.
+ *
+ * Schedules are 5-field expressions (minute hour day-of-month month
+ * day-of-week) evaluated on the wall clock of an IANA time zone. As in
+ * node-cron, a day matches only when both day fields match.
+ */
+const cron = require('node-cron');
+const convertExpression = require('node-cron/src/convert-expression');
+
+// How far ahead to look for an occurrence; covers schedules that only fire
+// on February 29th
+const MAX_SEARCH_DAYS = 366 * 5;
+
+const wallClockFormats = new Map();
+
+// Check a time zone name against the runtime's zone database
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone.length === 0) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Check that an expression is a valid 5-field cron expression
+const isValidSchedule = expression =>
+  typeof expression === 'string' &&
+  expression.trim().split(/\s+/).length === 5 &&
+  cron.validate(expression);
+
+// Expand an expression into the sorted values of each field:
+// "0 9 * * mon-fri" -> { minutes: [0], hours: [9], ..., weekDays: [1, 2, 3, 4, 5] }
+const parseSchedule = (expression) => {
+  if (!isValidSchedule(expression)) {
+    throw new Error(`Invalid cron schedule "${expression}"`);
+  }
+
+  const values = field => [...new Set(field.split(',').map(Number))].sort((a, b) => a - b);
+  const [, minutes, hours, days, months, weekDays] = convertExpression(expression).split(' ');
+
+  return {
+    minutes: values(minutes),
+    hours: values(hours),
+    days: values(days),
+    months: values(months),
+    // 7 is another name for Sunday
+    weekDays: values(weekDays).map(day => day % 7)
+  };
+};
+
+// Wall clock time in a zone, as a Date whose UTC fields hold it
+const toWallClock = (date, timezone) => {
+  if (!wallClockFormats.has(timezone)) {
+    wallClockFormats.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    wallClockFormats.get(timezone).formatToParts(date).map(part => [part.type, Number(part.value)])
+  );
+
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second));
+};
+
+// Instant at which a zone's clocks show the given wall clock time. Times
+// skipped by a daylight saving change resolve to about an hour later.
+const fromWallClock = (wall, timezone) => {
+  const offset = toWallClock(wall, timezone) - wall;
+  const instant = new Date(wall.getTime() - offset);
+  const correctedOffset = toWallClock(instant, timezone) - instant;
+
+  return correctedOffset === offset ? instant : new Date(wall.getTime() - correctedOffset);
+};
+
+// First time after `after` at which the schedule fires, or null when it
+// doesn't fire within MAX_SEARCH_DAYS (e.g. "0 0 30 2 *")
+const nextOccurrence = (expression, after, timezone = 'UTC') => {
+  const schedule = parseSchedule(expression);
+  const from = new Date(after);
+
+  // Occurrences are whole minutes, starting with the minute after `from`
+  const start = toWallClock(from, timezone);
+  start.setUTCSeconds(0, 0);
+  start.setUTCMinutes(start.getUTCMinutes() + 1);
+
+  const day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++, day.setUTCDate(day.getUTCDate() + 1)) {
+    if (!schedule.months.includes(day.getUTCMonth() + 1) ||
+        !schedule.days.includes(day.getUTCDate()) ||
+        !schedule.weekDays.includes(day.getUTCDay())) {
+      continue;
+    }
+
+    for (const hour of schedule.hours) {
+      for (const minute of schedule.minutes) {
+        const wall = new Date(day.getTime());
+        wall.setUTCHours(hour, minute);
+
+        if (wall < start) {
+          continue;
+        }
+
+        // Wall times repeated when clocks go back may map before `from`
+        const occurrence = fromWallClock(wall, timezone);
+        if (occurrence > from) {
+          return occurrence;
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+// The next `count` times the schedule fires after `after`
+const upcomingOccurrences = (expression, after, count, timezone = 'UTC') => {
+  const occurrences = [];
+  let occurrence = nextOccurrence(expression, after, timezone);
+
+  while (occurrence && occurrences.length < count) {
+    occurrences.push(occurrence);
+    occurrence = nextOccurrence(expression, occurrence, timezone);
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  isValidTimezone,
+  isValidSchedule,
+  parseSchedule,
+  nextOccurrence,
+  upcomingOccurrences
+};
@@ -0,0 +1,113 @@
+/**
+ * CSV reading and writing (RFC 4180: comma separated, fields quoted with
+ * double quotes when needed, "" inside quotes for a literal quote).
+ */
+
+// Quote a field when it contains a separator, quote or line break
+const escapeField = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write rows of objects as CSV with a header line. Missing and null values
+// become empty fields.
+const formatCSV = (columns, rows) => {
+  const line = values => values.map(escapeField).join(',');
+
+  return [
+    line(columns),
+    ...rows.map(row => line(columns.map(column => (row[column] === null || row[column] === undefined ? '' : row[column]))))
+  ].map(text => `${text}\r\n`).join('');
+};
+
+// Parse CSV text into an array of records, each an array of field strings.
+// Quoted fields may span lines; blank lines are skipped.
+const parseCSV = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+  };
+
+  // A byte order mark from spreadsheet exports is not part of the first field
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      endRecord();
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+// Metric tables in the Category,Metric,Value,Unit,Timestamp layout of the
+// security metrics export. `data` maps each category to an object of
+// metrics; only numeric metrics are written.
+const convertToCSV = (data, timestamp = new Date().toISOString()) => {
+  let csv = 'Category,Metric,Value,Unit,Timestamp\n';
+
+  Object.entries(data).forEach(([category, categoryData]) => {
+    if (typeof categoryData === 'object' && categoryData !== null) {
+      Object.entries(categoryData).forEach(([metric, value]) => {
+        if (typeof value === 'number') {
+          csv += `${[category, metric, value, 'number', timestamp].map(escapeField).join(',')}\n`;
+        }
+      });
+    }
+  });
+
+  return csv;
+};
+
+module.exports = {
+  formatCSV,
+  parseCSV,
+  convertToCSV
+};
@@ -1,9 +1,16 @@
 const { logger } = require('./logger');
+const workflowEngine = require('../services/workflow/WorkflowEngine');
+const { matchesFilter, resolveSort, sortKey, compareKeys, encodeCursor, decodeCursor, SORT_VALUES } = require('./taskQuery');
+const SearchIndex = require('./searchIndex');
+
+// Relative weight of each searchable field in search scores
+const SEARCH_FIELDS = { title: 2, description: 1 };
 
 class DataStore {
   constructor() {
     this.tasks = [];
     this.nextId = 1;
+    this.searchIndex = new SearchIndex(SEARCH_FIELDS);
     this.initializeSampleData();
   }
 
@@ -41,6 +48,7 @@ class DataStore {
     const Task = require('../models/Task');
     const task = Task.create(taskData);
     this.tasks.push(task);
+    this.searchIndex.add(task.id, task);
 
     logger.info('Task created', {
       taskId: task.id,
@@ -52,23 +60,76 @@ class DataStore {
 
   // Get all tasks with pagination, filtering, and search
   getAllTasks(options = {}) {
+    const { tasks, pagination } = this.pageTasks(this.filterTasks(options), options);
+
+    logger.info('Tasks retrieved', {
+      page: pagination.page,
+      limit: pagination.limit,
+      total: pagination.total
+    });
+
+    return {
+      tasks: tasks.map(task => task.toJSON()),
+      pagination
+    };
+  }
+
+  // Full-text search over titles and descriptions. `query` is a parsed search
+  // query (see src/utils/textSearch.js); other options filter and page the
+  // results as in getAllTasks. Results are ranked by relevance unless a sort
+  // is given.
+  searchTasks(query, options = {}) {
+    const scores = this.searchIndex.search(query);
+    const matches = this.filterTasks(options).filter(task => scores.has(task.id));
+    const { tasks, pagination } = this.pageTasks(matches, options, scores);
+
+    logger.info('Tasks searched', {
+      page: pagination.page,
+      limit: pagination.limit,
+      total: pagination.total
+    });
+
+    return {
+      tasks: tasks.map(task => task.toJSON()),
+      scores: Object.fromEntries(tasks.map(task => [task.id, scores.get(task.id)])),
+      pagination
+    };
+  }
+
+  // Apply the ownership scope and list filters of getAllTasks. Tasks in the
+  // trash are left out unless `deleted` asks for them instead.
+  filterTasks(options = {}) {
     const {
-      page = 1,
-      limit = 10,
+      deleted = false,
+      deletedBefore,
       status,
-      search
+      search,
+      ownerId,
+      projectIds = [],
+      projectId,
+      priority,
+      dueBefore,
+      dueAfter,
+      filter
     } = options;
 
-    // Convert page and limit to numbers
-    const pageNum = parseInt(page, 10);
-    const limitNum = parseInt(limit, 10);
+    let filteredTasks = this.tasks.filter(task => Boolean(task.deletedAt) === deleted);
 
-    // Validate pagination parameters
-    if (pageNum < 1) throw new Error('Page must be greater than 0');
-    if (limitNum < 1 || limitNum > 100) throw new Error('Limit must be between 1 and 100');
+    // Filter by deletion time (tasks in the trash only)
+    if (deletedBefore) {
+      filteredTasks = filteredTasks.filter(task => task.deletedAt && new Date(task.deletedAt) < new Date(deletedBefore));
+    }
 
-    // Filter tasks
-    let filteredTasks = this.tasks;
+    // Restrict to tasks created by or assigned to the user, or in one of
+    // their projects
+    if (ownerId) {
+      filteredTasks = filteredTasks.filter(task => task.isVisibleTo(ownerId) || projectIds.includes(task.projectId));
+    }
+
+    // Filter by project
+    if (projectId) {
+      filteredTasks = filteredTasks.filter(task => task.projectId === projectId);
+    }
 
     // Filter by status
     if (status) {
@@ -80,59 +141,147 @@ class DataStore {
       filteredTasks = filteredTasks.filter(task => task.matches(search));
     }
 
-    // Sort by creation date (newest first)
-    filteredTasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    // Filter by priority
+    if (priority) {
+      filteredTasks = filteredTasks.filter(task => task.priority === priority);
+    }
+
+    // Filter by due date range (tasks without a due date never match)
+    if (dueBefore) {
+      filteredTasks = filteredTasks.filter(task => task.dueDate && new Date(task.dueDate) <= new Date(dueBefore));
+    }
+
+    if (dueAfter) {
+      filteredTasks = filteredTasks.filter(task => task.dueDate && new Date(task.dueDate) >= new Date(dueAfter));
+    }
+
+    // Filter expression (see src/utils/taskQuery.js)
+    if (filter) {
+      filteredTasks = filteredTasks.filter(task => matchesFilter(task, filter));
+    }
+
+    return filteredTasks;
+  }
+
+  // Sort and page a filtered task list. Given relevance `scores` and no
+  // explicit sort, tasks are ranked by score instead, which can only be
+  // paged by page number.
+  pageTasks(tasks, options = {}, scores = null) {
+    const {
+      page = 1,
+      limit = 10,
+      sort,
+      cursor,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = options;
 
-    // Pagination
-    const total = filteredTasks.length;
+    if (!sort && !SORT_VALUES[sortBy]) throw new Error(`Cannot sort by ${sortBy}`);
+
+    // Convert page and limit to numbers
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    // Validate pagination parameters
+    if (pageNum < 1) throw new Error('Page must be greater than 0');
+    if (limitNum < 1 || limitNum > 100) throw new Error('Limit must be between 1 and 100');
+
+    const ranked = Boolean(scores) && !sort;
+    if (ranked && cursor) throw new Error('Cursors require an explicit sort when searching');
+
+    // Sort (newest first by default), breaking ties by creation date and ID
+    const resolvedSort = resolveSort(sort || [{ field: sortBy, order: sortOrder === 'asc' ? 'asc' : 'desc' }]);
+    const entries = tasks
+      .map(task => ({ task, key: sortKey(task, resolvedSort) }))
+      .sort((a, b) => (ranked ? scores.get(b.task.id) - scores.get(a.task.id) : 0) ||
+        compareKeys(a.key, b.key, resolvedSort));
+
+    // Pagination: a cursor continues after the task it points at, otherwise
+    // page/limit select an offset
+    const total = entries.length;
     const totalPages = Math.ceil(total / limitNum);
-    const offset = (pageNum - 1) * limitNum;
-    const paginatedTasks = filteredTasks.slice(offset, offset + limitNum);
-
-    const result = {
-      tasks: paginatedTasks.map(task => task.toJSON()),
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total,
-        totalPages,
-        hasNext: pageNum < totalPages,
-        hasPrev: pageNum > 1
-      }
-    };
+    let offset = (pageNum - 1) * limitNum;
 
-    logger.info('Tasks retrieved', {
-      page: pageNum,
-      limit: limitNum,
-      total,
-      filtered: filteredTasks.length
-    });
+    if (cursor) {
+      const after = decodeCursor(cursor, resolvedSort);
+      const index = entries.findIndex(entry => compareKeys(entry.key, after, resolvedSort) > 0);
+      offset = index === -1 ? total : index;
+    }
+
+    const paginatedTasks = entries.slice(offset, offset + limitNum).map(entry => entry.task);
+    const hasNext = offset + limitNum < total;
+    const nextCursor = hasNext && !ranked ? encodeCursor(paginatedTasks[paginatedTasks.length - 1], resolvedSort) : null;
 
-    return result;
+    return {
+      tasks: paginatedTasks,
+      pagination: cursor
+        ? { limit: limitNum, total, hasNext, nextCursor }
+        : {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages,
+          hasNext: pageNum < totalPages,
+          hasPrev: pageNum > 1,
+          nextCursor
+        }
+    };
   }
 
-  // Get task by ID
-  getTaskById(id) {
-    const task = this.tasks.find(t => t.id === id);
+  // Get task by ID, or a task in the trash when `deleted` is set
+  getTaskById(id, { deleted = false } = {}) {
+    const task = this.tasks.find(t => t.id === id && Boolean(t.deletedAt) === deleted);
 
     if (!task) {
-      throw new Error(`Task with ID ${id} not found`);
+      throw new Error(deleted ? `Task with ID ${id} not found in trash` : `Task with ID ${id} not found`);
     }
 
     logger.info('Task retrieved by ID', { taskId: id });
     return task;
   }
 
-  // Update task by ID
-  updateTask(id, updateData) {
-    const taskIndex = this.tasks.findIndex(t => t.id === id);
+  // Get every task due at or before the given time, across all users
+  getDueTasks(options = {}) {
+    const { dueBefore } = options;
+    const cutoff = new Date(dueBefore);
 
-    if (taskIndex === -1) {
-      throw new Error(`Task with ID ${id} not found`);
-    }
+    return this.tasks
+      .filter(task => !task.deletedAt && task.dueDate && new Date(task.dueDate) <= cutoff)
+      .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+  }
+
+  // Get the direct subtasks of a task, oldest first
+  getSubtasks(parentId) {
+    return this.tasks
+      .filter(task => !task.deletedAt && task.parentId === parentId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  // Get every recurring task (series template) whose next occurrence is at
+  // or before the given time, skipping paused series
+  getDueRecurringTasks(options = {}) {
+    const cutoff = new Date(options.dueBefore);
+
+    return this.tasks
+      .filter(task => !task.deletedAt && task.recurrence && !task.recurrence.paused &&
+        task.recurrence.nextAt && new Date(task.recurrence.nextAt) <= cutoff)
+      .sort((a, b) => new Date(a.recurrence.nextAt) - new Date(b.recurrence.nextAt));
+  }
 
-    const task = this.tasks[taskIndex];
+  // Get the instances generated from a series template, oldest first
+  getSeriesInstances(templateId) {
+    return this.tasks
+      .filter(task => !task.deletedAt && task.templateId === templateId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  // Update task by ID, optionally only while it is at one of the expected
+  // versions
+  updateTask(id, updateData, { expectedVersions = null } = {}) {
+    const task = this.getTaskById(id);
+    task.assertVersion(expectedVersions);
     task.update(updateData);
+    this.searchIndex.add(task.id, task);
 
     logger.info('Task updated', {
       taskId: id,
@@ -142,33 +291,99 @@ class DataStore {
     return task;
   }
 
-  // Delete task by ID
-  deleteTask(id) {
-    const taskIndex = this.tasks.findIndex(t => t.id === id);
+  // Move a task to the trash, optionally only while it is at one of the
+  // expected versions. It keeps its subtasks and series instances until
+  // it is purged.
+  deleteTask(id, { expectedVersions = null } = {}) {
+    const task = this.getTaskById(id);
+    task.assertVersion(expectedVersions);
+    task.softDelete();
+    this.searchIndex.remove(id);
+
+    logger.info('Task moved to trash', {
+      taskId: id,
+      title: task.title
+    });
+
+    return task;
+  }
+
+  // Take a task back out of the trash, optionally only while it is at one
+  // of the expected versions
+  restoreTask(id, { expectedVersions = null } = {}) {
+    const task = this.getTaskById(id, { deleted: true });
+    task.assertVersion(expectedVersions);
+    task.restore();
+    this.searchIndex.add(task.id, task);
+
+    logger.info('Task restored from trash', {
+      taskId: id,
+      title: task.title
+    });
+
+    return task;
+  }
+
+  // Permanently delete a task in the trash
+  purgeTask(id) {
+    const taskIndex = this.tasks.findIndex(t => t.id === id && t.deletedAt);
 
     if (taskIndex === -1) {
-      throw new Error(`Task with ID ${id} not found`);
+      throw new Error(`Task with ID ${id} not found in trash`);
     }
 
-    const deletedTask = this.tasks.splice(taskIndex, 1)[0];
+    const purgedTask = this.tasks.splice(taskIndex, 1)[0];
+
+    // Subtasks of a purged task become top-level tasks, and instances of a
+    // purged series template become standalone tasks
+    this.tasks.forEach(task => {
+      if (task.parentId === id) {
+        task.parentId = null;
+      }
+      if (task.templateId === id) {
+        task.templateId = null;
+      }
+    });
 
-    logger.info('Task deleted', {
+    logger.info('Task purged', {
       taskId: id,
-      title: deletedTask.title
+      title: purgedTask.title
     });
 
-    return deletedTask;
+    return purgedTask;
   }
 
-  // Get statistics
-  getStatistics() {
+  // Get every task matching the ownership scope and list filters of
+  // getAllTasks, and optionally created before the given time, oldest first
+  // (unpaged, for analytics and exports)
+  listTasks(options = {}) {
+    const { createdBefore, ...filters } = options;
+    const cutoff = createdBefore ? new Date(createdBefore) : null;
+
+    return this.filterTasks(filters)
+      .filter(task => !cutoff || new Date(task.createdAt) < cutoff)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  // Get the tasks in an ownership scope that have one of the given external
+  // IDs (see the task import)
+  findByExternalIds(externalIds, options = {}) {
+    const { ownerId, projectIds } = options;
+    const wanted = new Set(externalIds);
+
+    return this.filterTasks({ ownerId, projectIds })
+      .filter(task => task.externalId && wanted.has(task.externalId))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  // Get statistics, optionally restricted to one user's tasks and one project
+  getStatistics(options = {}) {
+    const { ownerId, projectIds, projectId } = options;
+    const tasks = this.filterTasks({ ownerId, projectIds, projectId });
+
     const stats = {
-      total: this.tasks.length,
-      byStatus: {
-        pending: 0,
-        'in-progress': 0,
-        completed: 0
-      },
+      total: tasks.length,
+      byStatus: Object.fromEntries(workflowEngine.getKnownStates().map(state => [state, 0])),
       recentlyCreated: 0,
       recentlyUpdated: 0
     };
@@ -176,9 +391,9 @@ class DataStore {
     const now = new Date();
     const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
 
-    this.tasks.forEach(task => {
+    tasks.forEach(task => {
       // Count by status
-      stats.byStatus[task.status]++;
+      stats.byStatus[task.status] = (stats.byStatus[task.status] || 0) + 1;
 
       // Count recently created (last 24 hours)
       if (new Date(task.createdAt) > oneDayAgo) {
@@ -194,9 +409,32 @@ class DataStore {
     return stats;
   }
 
+  // Copy of the current tasks, for restore() to roll back to
+  snapshot() {
+    const Task = require('../models/Task');
+
+    return this.tasks.map((task) => {
+      const copy = new Task(task.toJSON());
+      copy.updatedAt = task.updatedAt;
+      return copy;
+    });
+  }
+
+  // Replace all tasks with a snapshot() and rebuild the search index
+  restore(snapshot) {
+    this.tasks = snapshot;
+    this.searchIndex.clear();
+    this.tasks
+      .filter(task => !task.deletedAt)
+      .forEach(task => this.searchIndex.add(task.id, task));
+
+    logger.warn('Data store restored from snapshot', { taskCount: this.tasks.length });
+  }
+
   // Clear all tasks (for testing)
   clearAllTasks() {
     this.tasks = [];
+    this.searchIndex.clear();
     logger.warn('All tasks cleared from data store');
   }
 
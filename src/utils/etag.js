@@ -0,0 +1,57 @@
+/**
+ * Entity tags (RFC 9110) for versioned resources. A resource's ETag is its
+ * version number in quotes, e.g. "3". If-Match compares tags strongly (weak
+ * tags never match), If-None-Match weakly.
+ */
+
+// One entity tag: an optional W/ weakness prefix and a quoted value
+const ENTITY_TAG_REGEX = /^(W\/)?"([\x21\x23-\x7e]*)"$/;
+
+const formatETag = version => `"${version}"`;
+
+// Parse an If-Match or If-None-Match header: "*", or a comma-separated
+// list of entity tags. Returns '*', a list of { weak, value } or null when
+// the header is malformed.
+const parseETags = (header) => {
+  if (header.trim() === '*') {
+    return '*';
+  }
+
+  const tags = header.split(',').map(tag => tag.trim()).filter(Boolean);
+  const parsed = tags.map(tag => ENTITY_TAG_REGEX.exec(tag));
+
+  if (parsed.length === 0 || parsed.some(match => !match)) {
+    return null;
+  }
+
+  return parsed.map(([, weak, value]) => ({ weak: Boolean(weak), value }));
+};
+
+// Check whether parsed tags match a version. Weak comparison also accepts
+// weak tags; '*' matches any version.
+const matchesETag = (tags, version, { weak = false } = {}) => {
+  if (tags === '*') {
+    return true;
+  }
+
+  return tags.some(tag => (weak || !tag.weak) && tag.value === String(version));
+};
+
+// The versions an If-Match header accepts, or null when it accepts any
+// (no header or "*"). Tags that aren't strong version numbers match none.
+const expectedVersions = (tags) => {
+  if (!tags || tags === '*') {
+    return null;
+  }
+
+  return tags
+    .filter(tag => !tag.weak && /^\d+$/.test(tag.value))
+    .map(tag => Number(tag.value));
+};
+
+module.exports = {
+  formatETag,
+  parseETags,
+  matchesETag,
+  expectedVersions
+};
@@ -0,0 +1,67 @@
+/**
+ * iCalendar (RFC 5545) writing: a VCALENDAR object holding components such
+ * as VTODO. Property values are passed in already formatted; use escapeText
+ * for TEXT values and formatDateTime for UTC DATE-TIME values.
+ */
+
+// Lines longer than this many octets are folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+
+// Escape a TEXT value: backslashes, semicolons, commas and line breaks
+const escapeText = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC DATE-TIME value: 2030-05-06T09:00:00.000Z -> 20300506T090000Z
+const formatDateTime = value => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Fold a content line into lines of at most 75 octets; continuation lines
+// start with a space. Multi-byte characters are never split.
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+
+    current += char;
+    octets += size;
+  }
+
+  lines.push(current);
+  return lines.join('\r\n ');
+};
+
+// Write a calendar. Each component is { name, properties }, with properties
+// as [name, value] pairs; pairs with a null or undefined value are left out.
+const formatCalendar = ({ prodId, components }) => {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${prodId}`, 'CALSCALE:GREGORIAN'];
+
+  components.forEach(({ name, properties }) => {
+    lines.push(`BEGIN:${name}`);
+    properties
+      .filter(([, value]) => value !== null && value !== undefined)
+      .forEach(([property, value]) => lines.push(`${property}:${value}`));
+    lines.push(`END:${name}`);
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(line => `${foldLine(line)}\r\n`).join('');
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  formatCalendar
+};
@@ -0,0 +1,32 @@
+/**
+ * JSON Merge Patch (RFC 7396): a patch object lists the members to change.
+ * null removes a member, objects are merged recursively and any other
+ * value (arrays included) replaces the member.
+ */
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Apply a merge patch to a target value, returning the result. The target
+// is not modified.
+const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) {
+    return patch;
+  }
+
+  const result = isObject(target) ? { ...target } : {};
+
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+
+  return result;
+};
+
+module.exports = {
+  isObject,
+  applyMergePatch
+};
@@ -0,0 +1,158 @@
+const { tokenize, matchWeight, allowedEdits } = require('./textSearch');
+
+// Extra score per phrase matched, relative to its words' own scores
+const PHRASE_BOOST = 1.5;
+
+/**
+ * In-memory inverted index over weighted text fields. Documents are added,
+ * replaced and removed one at a time, so the index stays current as tasks
+ * change. Queries come from parseSearchQuery in src/utils/textSearch.js.
+ */
+class SearchIndex {
+  // `fields` maps each indexed field to its weight, e.g. { title: 2, description: 1 }
+  constructor(fields) {
+    this.fields = fields;
+    this.documents = new Map(); // id -> { field: [stem, ...] }
+    this.postings = new Map(); // stem -> Map(id -> weighted term frequency)
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  // Index a document, replacing any previous version
+  add(id, values) {
+    this.remove(id);
+
+    const document = {};
+
+    Object.entries(this.fields).forEach(([field, weight]) => {
+      document[field] = tokenize(values[field]).map(token => token.stem);
+
+      document[field].forEach((term) => {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+
+        const posting = this.postings.get(term);
+        posting.set(id, (posting.get(id) || 0) + weight);
+      });
+    });
+
+    this.documents.set(id, document);
+  }
+
+  // Drop a document from the index
+  remove(id) {
+    const document = this.documents.get(id);
+
+    if (!document) {
+      return false;
+    }
+
+    Object.values(document).forEach((terms) => {
+      terms.forEach((term) => {
+        const posting = this.postings.get(term);
+
+        if (posting) {
+          posting.delete(id);
+          if (posting.size === 0) {
+            this.postings.delete(term);
+          }
+        }
+      });
+    });
+
+    this.documents.delete(id);
+    return true;
+  }
+
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+  }
+
+  // Rarer terms count for more
+  idf(term) {
+    const posting = this.postings.get(term);
+    return posting ? Math.log(1 + this.documents.size / posting.size) : 0;
+  }
+
+  // Indexed terms a query term matches, with their match weights. Typos are
+  // matched against every indexed term of a similar length.
+  expand(term) {
+    if (term.exact || allowedEdits(term.stem) === 0) {
+      return this.postings.has(term.stem) ? [[term.stem, 1]] : [];
+    }
+
+    const matches = [];
+
+    this.postings.forEach((_, candidate) => {
+      const weight = matchWeight(term.stem, candidate);
+      if (weight > 0) {
+        matches.push([candidate, weight]);
+      }
+    });
+
+    return matches;
+  }
+
+  // Whether a document contains the stems of a phrase as consecutive words
+  containsPhrase(id, stems) {
+    const document = this.documents.get(id);
+
+    return Object.values(document).some(terms =>
+      terms.some((_, start) => stems.every((term, offset) => terms[start + offset] === term))
+    );
+  }
+
+  // Score documents matching every term and phrase of the query and none of
+  // its excluded terms. Returns a Map of document ID to score.
+  search(query) {
+    let scores = null;
+
+    // Each required term keeps only the documents it matches, scoring each by
+    // its best matching indexed term
+    query.terms.forEach((term) => {
+      const termScores = new Map();
+
+      this.expand(term).forEach(([candidate, weight]) => {
+        const idf = this.idf(candidate);
+
+        this.postings.get(candidate).forEach((frequency, id) => {
+          if (scores && !scores.has(id)) return;
+
+          const score = weight * idf * (1 + Math.log(frequency));
+          if (score > (termScores.get(id) || 0)) {
+            termScores.set(id, score);
+          }
+        });
+      });
+
+      scores = new Map(Array.from(termScores, ([id, score]) => [id, score + (scores ? scores.get(id) : 0)]));
+    });
+
+    query.phrases.forEach(({ stems }) => {
+      const candidates = scores ? Array.from(scores.keys()) : Array.from(this.postings.get(stems[0])?.keys() || []);
+      const phraseScore = stems.reduce((sum, term) => sum + this.idf(term), 0) * PHRASE_BOOST;
+      const next = new Map();
+
+      candidates
+        .filter(id => this.containsPhrase(id, stems))
+        .forEach(id => next.set(id, (scores ? scores.get(id) : 0) + phraseScore));
+
+      scores = next;
+    });
+
+    query.excluded.forEach(({ stem }) => {
+      const posting = this.postings.get(stem);
+      if (posting) {
+        posting.forEach((_, id) => scores.delete(id));
+      }
+    });
+
+    return scores || new Map();
+  }
+}
+
+module.exports = SearchIndex;
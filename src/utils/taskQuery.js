@@ -0,0 +1,542 @@
+const { TASK_PRIORITIES, TASK_SORT_FIELDS, TAG_REGEX, UUID_REGEX } = require('./validators');
+
+/**
+ * Task list query language: filter expressions, multi-field sorting, sparse
+ * fieldsets and cursors. Parsing happens once in the validation middleware;
+ * both task store drivers consume the parsed forms.
+ *
+ * Filter grammar (keywords are case-insensitive):
+ *
+ *   expression := term ( OR term )*
+ *   term       := factor ( AND factor )*
+ *   factor     := '(' expression ')' | field op value | field [NOT] IN '(' value ( ',' value )* ')'
+ *   op         := = | != | < | <= | > | >=
+ *   value      := 'quoted string' | "quoted string" | bare-word | null
+ *
+ * e.g. status in (pending, in-progress) and (dueDate < 2030-01-01 or priority >= high)
+ */
+
+// Bounds that keep a single request's filter cheap to evaluate
+const MAX_FILTER_LENGTH = 1000;
+const MAX_FILTER_CONDITIONS = 20;
+const MAX_IN_VALUES = 50;
+const MAX_SORT_FIELDS = 4;
+
+const EQUALITY_OPS = ['=', '!='];
+const ORDERING_OPS = ['=', '!=', '<', '<=', '>', '>='];
+
+// Filterable fields: the task property they read, the value type and the
+// operators they support. `in` / `not in` work on every field.
+const FILTER_FIELDS = {
+  status: { property: 'status', type: 'string', ops: EQUALITY_OPS },
+  priority: { property: 'priority', type: 'priority', ops: ORDERING_OPS },
+  assignee: { property: 'assigneeId', type: 'id', ops: EQUALITY_OPS, nullable: true },
+  createdBy: { property: 'createdBy', type: 'id', ops: EQUALITY_OPS, nullable: true },
+  projectId: { property: 'projectId', type: 'string', ops: EQUALITY_OPS, nullable: true },
+  parentId: { property: 'parentId', type: 'id', ops: EQUALITY_OPS, nullable: true },
+  templateId: { property: 'templateId', type: 'id', ops: EQUALITY_OPS, nullable: true },
+  externalId: { property: 'externalId', type: 'string', ops: EQUALITY_OPS, nullable: true },
+  tags: { property: 'tags', type: 'tag', ops: EQUALITY_OPS, array: true },
+  dueDate: { property: 'dueDate', type: 'date', ops: ORDERING_OPS, nullable: true },
+  createdAt: { property: 'createdAt', type: 'date', ops: ORDERING_OPS },
+  updatedAt: { property: 'updatedAt', type: 'date', ops: ORDERING_OPS },
+  estimate: { property: 'estimate', type: 'number', ops: ORDERING_OPS, nullable: true }
+};
+
+// `assigneeId` reads naturally as well, since that's the JSON property name
+const FILTER_FIELD_ALIASES = { assigneeId: 'assignee' };
+
+// Task properties a sparse fieldset may select (`id` is always included)
+const TASK_FIELDS = [
+  'id', 'title', 'description', 'status', 'projectId', 'createdBy', 'assigneeId',
+  'dueDate', 'priority', 'estimate', 'parentId', 'checklist', 'tags', 'recurrence', 'templateId',
+  'externalId', 'version', 'createdAt', 'updatedAt'
+];
+
+// Sort keys for task lists; null values always sort last. `id` is the final
+// tie-breaker so every task has a unique position for cursors.
+const SORT_VALUES = {
+  createdAt: task => new Date(task.createdAt).getTime(),
+  updatedAt: task => new Date(task.updatedAt).getTime(),
+  deletedAt: task => (task.deletedAt ? new Date(task.deletedAt).getTime() : null),
+  dueDate: task => (task.dueDate ? new Date(task.dueDate).getTime() : null),
+  priority: task => TASK_PRIORITIES.indexOf(task.priority),
+  title: task => task.title.toLowerCase(),
+  estimate: task => (task.estimate !== null && task.estimate !== undefined ? task.estimate : null),
+  id: task => task.id
+};
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'null'];
+
+class TaskQueryError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} at position ${position + 1}`);
+    this.name = 'TaskQueryError';
+    this.position = position;
+  }
+}
+
+// Split a filter expression into tokens: punctuation, operators, quoted
+// strings and bare words (which cover dates, UUIDs and keywords)
+const tokenize = (expression) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < expression.length) {
+    const char = expression[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, position: index });
+      index++;
+      continue;
+    }
+
+    const operator = ['!=', '<=', '>=', '=', '<', '>'].find(op => expression.startsWith(op, index));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator, position: index });
+      index += operator.length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let end = index + 1;
+
+      while (end < expression.length && expression[end] !== char) {
+        if (expression[end] === '\\' && end + 1 < expression.length) {
+          end++;
+        }
+        value += expression[end];
+        end++;
+      }
+
+      if (end >= expression.length) {
+        throw new TaskQueryError('Unterminated string', index);
+      }
+
+      tokens.push({ type: 'string', value, position: index });
+      index = end + 1;
+      continue;
+    }
+
+    const word = expression.slice(index).match(/^[^\s(),=!<>'"]+/);
+    if (!word) {
+      throw new TaskQueryError(`Unexpected character "${char}"`, index);
+    }
+
+    const lower = word[0].toLowerCase();
+    tokens.push(KEYWORDS.includes(lower)
+      ? { type: lower, position: index }
+      : { type: 'word', value: word[0], position: index });
+    index += word[0].length;
+  }
+
+  return tokens;
+};
+
+// Convert a literal to the field's type, rejecting values that can never match
+const coerceValue = (fieldName, field, token) => {
+  if (token.type === 'null') {
+    if (!field.nullable) {
+      throw new TaskQueryError(`${fieldName} cannot be null`, token.position);
+    }
+    return null;
+  }
+
+  if (token.type !== 'word' && token.type !== 'string') {
+    throw new TaskQueryError(`Expected a value for ${fieldName}`, token.position);
+  }
+
+  const raw = token.value;
+
+  switch (field.type) {
+    case 'priority':
+      if (!TASK_PRIORITIES.includes(raw)) {
+        throw new TaskQueryError(`priority must be one of: ${TASK_PRIORITIES.join(', ')}`, token.position);
+      }
+      return raw;
+    case 'id':
+      if (!UUID_REGEX.test(raw)) {
+        throw new TaskQueryError(`${fieldName} must be a UUID`, token.position);
+      }
+      return raw.toLowerCase();
+    case 'tag':
+      if (!TAG_REGEX.test(raw)) {
+        throw new TaskQueryError(`"${raw}" is not a valid tag`, token.position);
+      }
+      return raw.toLowerCase();
+    case 'date': {
+      const date = new Date(raw);
+      if (isNaN(date.getTime())) {
+        throw new TaskQueryError(`${fieldName} must be an ISO 8601 date`, token.position);
+      }
+      return date.toISOString();
+    }
+    case 'number':
+      if (!/^\d+$/.test(raw)) {
+        throw new TaskQueryError(`${fieldName} must be a non-negative integer`, token.position);
+      }
+      return parseInt(raw, 10);
+    default:
+      return raw;
+  }
+};
+
+// Recursive-descent parser over the token list
+class FilterParser {
+  constructor(expression) {
+    this.tokens = tokenize(expression);
+    this.index = 0;
+    this.conditions = 0;
+    this.length = expression.length;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  expect(type, description) {
+    const token = this.next();
+    if (!token || token.type !== type) {
+      throw new TaskQueryError(`Expected ${description}`, token ? token.position : this.length);
+    }
+    return token;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new TaskQueryError('Filter expression is empty');
+    }
+
+    const node = this.parseOr();
+
+    const trailing = this.peek();
+    if (trailing) {
+      throw new TaskQueryError('Unexpected input', trailing.position);
+    }
+
+    return node;
+  }
+
+  parseOr() {
+    const clauses = [this.parseAnd()];
+    while (this.peek() && this.peek().type === 'or') {
+      this.next();
+      clauses.push(this.parseAnd());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'or', clauses };
+  }
+
+  parseAnd() {
+    const clauses = [this.parseFactor()];
+    while (this.peek() && this.peek().type === 'and') {
+      this.next();
+      clauses.push(this.parseFactor());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'and', clauses };
+  }
+
+  parseFactor() {
+    const token = this.peek();
+
+    if (token && token.type === '(') {
+      this.next();
+      const node = this.parseOr();
+      this.expect(')', '")"');
+      return node;
+    }
+
+    return this.parseCondition();
+  }
+
+  parseCondition() {
+    const fieldToken = this.expect('word', 'a field name');
+    const fieldName = FILTER_FIELD_ALIASES[fieldToken.value] || fieldToken.value;
+    const field = FILTER_FIELDS[fieldName];
+
+    if (!field) {
+      throw new TaskQueryError(
+        `Unknown filter field "${fieldToken.value}". Expected one of: ${Object.keys(FILTER_FIELDS).join(', ')}`,
+        fieldToken.position
+      );
+    }
+
+    this.conditions++;
+    if (this.conditions > MAX_FILTER_CONDITIONS) {
+      throw new TaskQueryError(`Filter can have at most ${MAX_FILTER_CONDITIONS} conditions`, fieldToken.position);
+    }
+
+    const token = this.next();
+
+    if (token && (token.type === 'in' || token.type === 'not')) {
+      const negated = token.type === 'not';
+      if (negated) {
+        this.expect('in', '"in" after "not"');
+      }
+      return { type: 'in', field: fieldName, negated, values: this.parseList(fieldName, field) };
+    }
+
+    if (!token || token.type !== 'op') {
+      throw new TaskQueryError(`Expected an operator after ${fieldName}`, token ? token.position : this.length);
+    }
+
+    if (!field.ops.includes(token.value)) {
+      throw new TaskQueryError(
+        `${fieldName} supports ${field.ops.join(', ')}, in and not in`,
+        token.position
+      );
+    }
+
+    const valueToken = this.next();
+    if (!valueToken) {
+      throw new TaskQueryError(`Expected a value for ${fieldName}`, this.length);
+    }
+
+    const value = coerceValue(fieldName, field, valueToken);
+    if (value === null && !EQUALITY_OPS.includes(token.value)) {
+      throw new TaskQueryError(`null can only be compared with = or !=`, valueToken.position);
+    }
+
+    return { type: 'compare', field: fieldName, op: token.value, value };
+  }
+
+  parseList(fieldName, field) {
+    this.expect('(', '"(" to start a list');
+
+    const values = [];
+    do {
+      const token = this.next();
+      if (!token) {
+        throw new TaskQueryError('Unterminated list', this.length);
+      }
+      if (token.type === 'null') {
+        throw new TaskQueryError(`null is not allowed in lists; use ${fieldName} = null`, token.position);
+      }
+      values.push(coerceValue(fieldName, field, token));
+    } while (this.peek() && this.peek().type === ',' && this.next());
+
+    this.expect(')', '")" to end the list');
+
+    if (values.length > MAX_IN_VALUES) {
+      throw new TaskQueryError(`Lists can have at most ${MAX_IN_VALUES} values`);
+    }
+
+    return [...new Set(values)];
+  }
+}
+
+// Parse a filter expression into a condition tree of
+// { type: 'and' | 'or', clauses }, { type: 'compare', field, op, value }
+// and { type: 'in', field, negated, values } nodes
+const parseFilter = (expression) => {
+  if (typeof expression !== 'string') {
+    throw new TaskQueryError('Filter must be a string');
+  }
+
+  if (expression.length > MAX_FILTER_LENGTH) {
+    throw new TaskQueryError(`Filter must be ${MAX_FILTER_LENGTH} characters or less`);
+  }
+
+  return new FilterParser(expression).parse();
+};
+
+// Comparable form of a field value (priorities by rank, dates by time)
+const comparable = (type, value) => {
+  if (value === null || value === undefined) return null;
+  if (type === 'priority') return TASK_PRIORITIES.indexOf(value);
+  if (type === 'date') return new Date(value).getTime();
+  return value;
+};
+
+const compareValues = (op, actual, expected) => {
+  switch (op) {
+    case '=': return actual === expected;
+    case '!=': return actual !== expected;
+    // Ordering comparisons never match missing values
+    case '<': return actual !== null && actual < expected;
+    case '<=': return actual !== null && actual <= expected;
+    case '>': return actual !== null && actual > expected;
+    case '>=': return actual !== null && actual >= expected;
+    default: return false;
+  }
+};
+
+// Evaluate a parsed filter against a task (or its JSON form)
+const matchesFilter = (task, node) => {
+  switch (node.type) {
+    case 'and':
+      return node.clauses.every(clause => matchesFilter(task, clause));
+    case 'or':
+      return node.clauses.some(clause => matchesFilter(task, clause));
+    case 'in': {
+      const field = FILTER_FIELDS[node.field];
+      const value = task[field.property];
+      const found = field.array
+        ? value.some(item => node.values.includes(item))
+        : node.values.includes(value);
+      return node.negated ? !found : found;
+    }
+    case 'compare': {
+      const field = FILTER_FIELDS[node.field];
+      const value = task[field.property];
+
+      if (field.array) {
+        const contains = value.includes(node.value);
+        return node.op === '=' ? contains : !contains;
+      }
+
+      return compareValues(
+        node.op,
+        comparable(field.type, value),
+        comparable(field.type, node.value)
+      );
+    }
+    default:
+      return false;
+  }
+};
+
+// Parse a sort parameter such as "-priority,dueDate" (a leading "-" sorts
+// descending) into [{ field, order }]
+const parseSort = (sort) => {
+  if (typeof sort !== 'string' || sort.trim() === '') {
+    throw new TaskQueryError('sort must be a comma-separated list of fields');
+  }
+
+  const entries = sort.split(',').map(part => part.trim());
+
+  if (entries.length > MAX_SORT_FIELDS) {
+    throw new TaskQueryError(`sort can have at most ${MAX_SORT_FIELDS} fields`);
+  }
+
+  const seen = new Set();
+
+  return entries.map(entry => {
+    const descending = entry.startsWith('-');
+    const field = descending ? entry.slice(1) : entry;
+
+    if (!TASK_SORT_FIELDS.includes(field)) {
+      throw new TaskQueryError(`Cannot sort by "${field}". Expected one of: ${TASK_SORT_FIELDS.join(', ')}`);
+    }
+
+    if (seen.has(field)) {
+      throw new TaskQueryError(`"${field}" appears more than once in sort`);
+    }
+    seen.add(field);
+
+    return { field, order: descending ? 'desc' : 'asc' };
+  });
+};
+
+// Complete a sort with the default tie-breakers: newest first, then by ID
+const resolveSort = (sort = []) => {
+  const fields = sort.map(entry => entry.field);
+
+  return [
+    ...sort,
+    ...(fields.includes('createdAt') ? [] : [{ field: 'createdAt', order: 'desc' }]),
+    { field: 'id', order: 'asc' }
+  ];
+};
+
+// Sort key of a task under a resolved sort
+const sortKey = (task, sort) => sort.map(({ field }) => SORT_VALUES[field](task));
+
+// Compare two sort keys; nulls sort last in either direction
+const compareKeys = (keyA, keyB, sort) => {
+  for (let i = 0; i < sort.length; i++) {
+    const a = keyA[i];
+    const b = keyB[i];
+
+    if (a === b) continue;
+    if (a === null) return 1;
+    if (b === null) return -1;
+
+    return (a < b ? -1 : 1) * (sort[i].order === 'asc' ? 1 : -1);
+  }
+
+  return 0;
+};
+
+const sortSignature = sort => sort.map(({ field, order }) => `${order === 'desc' ? '-' : ''}${field}`).join(',');
+
+// Opaque cursor pointing just after `task` in a list ordered by `sort`
+const encodeCursor = (task, sort) =>
+  Buffer.from(JSON.stringify({ s: sortSignature(sort), k: sortKey(task, sort) })).toString('base64url');
+
+// Decode a cursor into the sort key it points after. Cursors only work with
+// the sort they were issued for.
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+
+  if (typeof cursor !== 'string') {
+    throw new TaskQueryError('Invalid cursor');
+  }
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new TaskQueryError('Invalid cursor');
+  }
+
+  if (!decoded || !Array.isArray(decoded.k) || decoded.k.length !== sort.length ||
+      !decoded.k.every(value => value === null || ['string', 'number'].includes(typeof value))) {
+    throw new TaskQueryError('Invalid cursor');
+  }
+
+  if (decoded.s !== sortSignature(sort)) {
+    throw new TaskQueryError('Cursor does not match the requested sort');
+  }
+
+  return decoded.k;
+};
+
+// Parse a sparse fieldset such as "title,status" (id is always included)
+const parseFields = (fields) => {
+  if (typeof fields !== 'string' || fields.trim() === '') {
+    throw new TaskQueryError('fields must be a comma-separated list of task fields');
+  }
+
+  const selected = fields.split(',').map(field => field.trim());
+  const unknown = selected.filter(field => !TASK_FIELDS.includes(field));
+
+  if (unknown.length > 0) {
+    throw new TaskQueryError(`Unknown fields: ${unknown.join(', ')}. Expected any of: ${TASK_FIELDS.join(', ')}`);
+  }
+
+  return ['id', ...new Set(selected.filter(field => field !== 'id'))];
+};
+
+// Project a task's JSON onto a sparse fieldset
+const pickFields = (task, fields) => fields.reduce((picked, field) => {
+  if (task[field] !== undefined) {
+    picked[field] = task[field];
+  }
+  return picked;
+}, {});
+
+module.exports = {
+  FILTER_FIELDS,
+  TASK_FIELDS,
+  SORT_VALUES,
+  TaskQueryError,
+  parseFilter,
+  matchesFilter,
+  parseSort,
+  resolveSort,
+  sortKey,
+  compareKeys,
+  encodeCursor,
+  decodeCursor,
+  parseFields,
+  pickFields
+};
@@ -0,0 +1,237 @@
+/**
+ * Text analysis for task search: tokenizing, stemming, query parsing, fuzzy
+ * term matching and highlighted snippets. The in-memory index
+ * (src/utils/searchIndex.js) is built on it, and both task store drivers use
+ * it to highlight results, so snippets look the same whichever driver runs.
+ *
+ * Query syntax: words must all match (typos are tolerated), "quoted phrases"
+ * must match word for word, and -word excludes tasks containing the word.
+ */
+
+const porter2 = require('wink-porter2-stemmer');
+
+// Common English words that are neither indexed nor searched (a subset of
+// PostgreSQL's english stop word list)
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+  'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these',
+  'they', 'this', 'to', 'was', 'will', 'with'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Bounds on a parsed query
+const MAX_QUERY_TERMS = 10;
+
+// Words shorter than this only match exactly
+const MIN_FUZZY_LENGTH = 4;
+
+// Stems of this length or longer tolerate two edits instead of one
+const TWO_EDIT_LENGTH = 8;
+
+// Snippet length for long fields such as the description
+const SNIPPET_LENGTH = 160;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = text => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Snowball English (Porter2) stemmer, the algorithm behind PostgreSQL's
+// english text search configuration, so both drivers reduce a word to the same
+// stem: "deployment" / "deploying" -> "deploy", "stories" -> "stori". Words
+// with digits, such as version numbers, are kept as they are.
+const stem = (word) => {
+  const result = word.toLowerCase();
+
+  return /\d/.test(result) ? result : porter2(result);
+};
+
+// Split text into searchable words with their stems and character offsets.
+// Stop words are dropped, so positions count searchable words only.
+const tokenize = (text) => {
+  const tokens = [];
+
+  for (const match of (text || '').matchAll(WORD_PATTERN)) {
+    const word = match[0].toLowerCase();
+
+    if (!STOP_WORDS.has(word)) {
+      tokens.push({ word, stem: stem(word), start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  return tokens;
+};
+
+// Edit distance (with transpositions) between two strings, or Infinity once
+// it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return Infinity;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) {
+      return Infinity;
+    }
+
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length] <= max ? row[b.length] : Infinity;
+};
+
+// How many edits a query term tolerates
+const allowedEdits = (queryStem) => {
+  if (queryStem.length < MIN_FUZZY_LENGTH) return 0;
+  return queryStem.length >= TWO_EDIT_LENGTH ? 2 : 1;
+};
+
+// Weight of a match between a query term and an indexed stem: 1 for an exact
+// match, less for each edit, 0 when they don't match
+const matchWeight = (queryStem, candidate) => {
+  if (queryStem === candidate) {
+    return 1;
+  }
+
+  const distance = editDistance(queryStem, candidate, allowedEdits(queryStem));
+  return distance === Infinity ? 0 : 1 / (2 ** distance);
+};
+
+// Parse a search query into required terms, phrases and excluded terms.
+// Returns null when nothing searchable is left (e.g. only stop words).
+const parseSearchQuery = (query) => {
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+  const seen = new Set();
+
+  for (const match of query.matchAll(/(-?)"([^"]*)"?|(-?)([^\s"]+)/g)) {
+    if (match[2] !== undefined) {
+      const tokens = tokenize(match[2]);
+
+      if (match[1]) {
+        excluded.push(...tokens.map(({ word, stem: s }) => ({ word, stem: s })));
+      } else if (tokens.length === 1) {
+        // A one-word phrase is just a word, but matched exactly
+        terms.push({ word: tokens[0].word, stem: tokens[0].stem, exact: true });
+      } else if (tokens.length > 1) {
+        phrases.push({ text: tokens.map(token => token.word).join(' '), stems: tokens.map(token => token.stem) });
+      }
+      continue;
+    }
+
+    const target = match[3] ? excluded : terms;
+
+    tokenize(match[4]).forEach(({ word, stem: s }) => {
+      const key = `${match[3]}${s}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        target.push(match[3] ? { word, stem: s } : { word, stem: s, exact: false });
+      }
+    });
+  }
+
+  if (terms.length === 0 && phrases.length === 0) {
+    return null;
+  }
+
+  return {
+    terms: terms.slice(0, MAX_QUERY_TERMS),
+    phrases: phrases.slice(0, MAX_QUERY_TERMS),
+    excluded: excluded.slice(0, MAX_QUERY_TERMS)
+  };
+};
+
+// Whether a word of the text should be highlighted for the query
+const isHighlighted = (token, query) =>
+  query.terms.some(term => (term.exact ? term.stem === token.stem : matchWeight(term.stem, token.stem) > 0)) ||
+  query.phrases.some(phrase => phrase.stems.includes(token.stem));
+
+// Wrap matching words of `text` in <mark> tags, HTML-escaping the rest.
+// Long text is cut to a window around the first match. Returns null when
+// nothing in the text matches.
+const highlight = (text, query, maxLength = SNIPPET_LENGTH) => {
+  const matches = tokenize(text).filter(token => isHighlighted(token, query));
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  let start = 0;
+  let end = text.length;
+
+  if (text.length > maxLength) {
+    // Start a little before the first match, on a word boundary
+    start = Math.max(0, matches[0].start - Math.floor(maxLength / 4));
+    end = Math.min(text.length, start + maxLength);
+
+    if (start > 0) {
+      const boundary = text.indexOf(' ', start);
+      start = boundary !== -1 && boundary < matches[0].start ? boundary + 1 : matches[0].start;
+    }
+
+    if (end < text.length) {
+      const boundary = text.lastIndexOf(' ', end);
+      end = boundary > start ? boundary : end;
+    }
+  }
+
+  let snippet = '';
+  let cursor = start;
+
+  matches
+    .filter(token => token.start >= start && token.end <= end)
+    .forEach((token) => {
+      snippet += `${escapeHtml(text.slice(cursor, token.start))}<mark>${escapeHtml(text.slice(token.start, token.end))}</mark>`;
+      cursor = token.end;
+    });
+
+  snippet += escapeHtml(text.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+// Highlighted snippets for the searchable fields of a task that match
+const highlightTask = (task, query) => {
+  const highlights = {};
+
+  const title = highlight(task.title, query, Infinity);
+  if (title) highlights.title = title;
+
+  const description = highlight(task.description, query);
+  if (description) highlights.description = description;
+
+  return highlights;
+};
+
+module.exports = {
+  STOP_WORDS,
+  MIN_FUZZY_LENGTH,
+  stem,
+  tokenize,
+  editDistance,
+  allowedEdits,
+  matchWeight,
+  parseSearchQuery,
+  highlight,
+  highlightTask
+};
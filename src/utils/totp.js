@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) as authenticator apps generate
+ * them: HMAC-SHA1 over the number of 30-second steps since the Unix epoch,
+ * truncated to 6 digits (RFC 4226). Secrets travel base32-encoded (RFC 4648,
+ * no padding), which is what provisioning URIs and manual entry use.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Steps before and after the current one that still verify, for clock drift
+const DEFAULT_WINDOW = 1;
+
+const base32Encode = buffer => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let encoded = '';
+  for (let index = 0; index < bits.length; index += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(index, index + 5).padEnd(5, '0'), 2)];
+  }
+
+  return encoded;
+};
+
+// Decode a base32 secret; spaces, padding and lower case are accepted
+const base32Decode = encoded => {
+  const characters = String(encoded).toUpperCase().replace(/[\s=]/g, '');
+  let bits = '';
+
+  for (const character of characters) {
+    const value = BASE32_ALPHABET.indexOf(character);
+    if (value === -1) {
+      throw new Error(`Invalid base32 character "${character}"`);
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let index = 0; index + 8 <= bits.length; index += 8) {
+    bytes.push(parseInt(bits.slice(index, index + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+};
+
+// A new random secret; 20 bytes is the HMAC-SHA1 key length RFC 4226 recommends
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+// The time step a moment falls in
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// The code of a secret for a time step
+const generateCodeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+const generateCode = (secret, time = Date.now()) => generateCodeForStep(secret, stepAt(time));
+
+// The time step a code was generated for, within `window` steps of `time`,
+// or null when it doesn't match. Callers that remember the step can refuse
+// a code that was already used.
+const verifyCode = (secret, code, { window = DEFAULT_WINDOW, time = Date.now() } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) {
+    return null;
+  }
+
+  const current = stepAt(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCodeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// The otpauth:// URI authenticator apps scan from a QR code
+const buildProvisioningUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${query}`;
+};
+
+module.exports = {
+  STEP_SECONDS,
+  DIGITS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri
+};
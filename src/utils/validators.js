@@ -1,4 +1,62 @@
 const { v4: uuidv4 } = require('uuid');
+const workflowEngine = require('../services/workflow/WorkflowEngine');
+const { PROJECT_ROLE_HIERARCHY } = require('../auth/middleware/rbacMiddleware');
+const { isValidSchedule, isValidTimezone } = require('./cronSchedule');
+
+// Task priorities, lowest first (matches the notification priority levels)
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Fields task lists can be sorted by
+const TASK_SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'priority', 'title', 'estimate'];
+
+// Upper bound for estimates, in minutes
+const MAX_ESTIMATE_MINUTES = 100000;
+
+// Checklist limits
+const MAX_CHECKLIST_ITEMS = 50;
+const MAX_CHECKLIST_TEXT_LENGTH = 200;
+
+// Tag limits. Tags are stored lower-cased.
+const MAX_TAGS = 20;
+const TAG_REGEX = /^[a-z0-9][a-z0-9_-]{0,29}$/i;
+
+// Maximum comment length, in characters
+const MAX_COMMENT_LENGTH = 5000;
+
+// Bulk requests: operation types and the maximum batch size
+const BULK_OPERATION_TYPES = ['create', 'update', 'status', 'delete'];
+const MAX_BULK_OPERATIONS = 100;
+
+// Project limits. Label names follow the tag rules; colors are #rrggbb.
+const MAX_PROJECT_LABELS = 50;
+const MAX_BOARD_COLUMNS = 20;
+const MAX_COLUMN_NAME_LENGTH = 50;
+const LABEL_COLOR_REGEX = /^#[0-9a-f]{6}$/i;
+
+// Import/export: formats, the task fields import columns can be mapped to
+// and the maximum rows per import. External IDs are the IDs tasks have in
+// the tool they were imported from.
+const EXPORT_FORMATS = ['csv', 'json', 'ics'];
+const IMPORT_FORMATS = ['csv', 'json'];
+const IMPORT_FIELDS = [
+  'externalId', 'title', 'description', 'status', 'priority', 'assigneeId',
+  'projectId', 'parentId', 'dueDate', 'estimate', 'tags', 'checklist'
+];
+const MAX_IMPORT_ROWS = 1000;
+const MAX_EXTERNAL_ID_LENGTH = 255;
+
+// Properties of a task's recurrence rule. `paused` and `nextAt` are kept
+// by the recurrence service; clients set the schedule and time zone.
+const RECURRENCE_FIELDS = ['schedule', 'timezone', 'paused', 'nextAt'];
+
+// Webhooks: the events subscriptions can choose from and URL limits
+const WEBHOOK_EVENTS = [
+  'task.created', 'task.updated', 'task.status_changed', 'task.deleted', 'task.restored',
+  'profile.created', 'profile.updated', 'profile.deleted'
+];
+const MAX_WEBHOOK_URL_LENGTH = 2048;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
 class TaskValidator {
   static validateTitle(title) {
@@ -49,7 +107,9 @@ class TaskValidator {
   }
 
   static validateStatus(status) {
-    const validStatuses = ['pending', 'in-progress', 'completed'];
+    // Any state declared by a registered workflow; per-workflow membership
+    // and transitions are enforced by the workflow engine
+    const validStatuses = workflowEngine.getKnownStates();
 
     if (status === null || status === undefined) {
       return { isValid: true }; // Status is optional for validation
@@ -72,6 +132,552 @@ class TaskValidator {
     return { isValid: true };
   }
 
+  static validateUserId(userId) {
+    if (userId === null || userId === undefined) {
+      return { isValid: true }; // Ownership fields are optional
+    }
+
+    if (typeof userId !== 'string') {
+      return {
+        isValid: false,
+        error: 'User ID must be a string'
+      };
+    }
+
+    if (!UUID_REGEX.test(userId)) {
+      return {
+        isValid: false,
+        error: 'User ID must be a valid UUID'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  static validateTaskReference(taskId) {
+    if (taskId === null || taskId === undefined) {
+      return { isValid: true }; // References to other tasks are optional
+    }
+
+    if (typeof taskId !== 'string' || !UUID_REGEX.test(taskId)) {
+      return {
+        isValid: false,
+        error: 'Task ID must be a valid UUID'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  static validateChecklist(checklist) {
+    if (checklist === null || checklist === undefined) {
+      return { isValid: true }; // Checklist is optional
+    }
+
+    if (!Array.isArray(checklist)) {
+      return {
+        isValid: false,
+        error: 'Checklist must be an array'
+      };
+    }
+
+    if (checklist.length > MAX_CHECKLIST_ITEMS) {
+      return {
+        isValid: false,
+        error: `Checklist can have at most ${MAX_CHECKLIST_ITEMS} items`
+      };
+    }
+
+    for (const [index, item] of checklist.entries()) {
+      if (!item || typeof item !== 'object') {
+        return { isValid: false, error: `Checklist item ${index} must be an object` };
+      }
+
+      if (typeof item.text !== 'string' || item.text.trim().length === 0 ||
+          item.text.length > MAX_CHECKLIST_TEXT_LENGTH) {
+        return {
+          isValid: false,
+          error: `Checklist item ${index} text must be 1-${MAX_CHECKLIST_TEXT_LENGTH} characters`
+        };
+      }
+
+      if (item.done !== undefined && typeof item.done !== 'boolean') {
+        return { isValid: false, error: `Checklist item ${index} done must be a boolean` };
+      }
+
+      if (item.id !== undefined && (typeof item.id !== 'string' || !UUID_REGEX.test(item.id))) {
+        return { isValid: false, error: `Checklist item ${index} id must be a valid UUID` };
+      }
+    }
+
+    return { isValid: true };
+  }
+
+  static validateTags(tags) {
+    if (tags === null || tags === undefined) {
+      return { isValid: true }; // Tags are optional
+    }
+
+    if (!Array.isArray(tags)) {
+      return {
+        isValid: false,
+        error: 'Tags must be an array'
+      };
+    }
+
+    if (tags.length > MAX_TAGS) {
+      return {
+        isValid: false,
+        error: `A task can have at most ${MAX_TAGS} tags`
+      };
+    }
+
+    const invalidTag = tags.find(tag => typeof tag !== 'string' || !TAG_REGEX.test(tag));
+    if (invalidTag !== undefined) {
+      return {
+        isValid: false,
+        error: 'Tags must be 1-30 letters, digits, hyphens or underscores, starting with a letter or digit'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  static validateCommentBody(body) {
+    if (!body || typeof body !== 'string') {
+      return {
+        isValid: false,
+        error: 'Comment body is required and must be a string'
+      };
+    }
+
+    if (body.trim().length === 0) {
+      return {
+        isValid: false,
+        error: 'Comment body cannot be empty'
+      };
+    }
+
+    if (body.length > MAX_COMMENT_LENGTH) {
+      return {
+        isValid: false,
+        error: `Comment body must be ${MAX_COMMENT_LENGTH} characters or less`
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  // Check the shape of one bulk operation; the task data itself is validated
+  // when the operation runs, so it can fail on its own
+  static validateBulkOperation(operation) {
+    if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+      return { isValid: false, error: 'Operation must be an object' };
+    }
+
+    const { op, id, data, status } = operation;
+
+    if (!BULK_OPERATION_TYPES.includes(op)) {
+      return { isValid: false, error: `op must be one of: ${BULK_OPERATION_TYPES.join(', ')}` };
+    }
+
+    if (op === 'create') {
+      if (id !== undefined) {
+        return { isValid: false, error: 'create operations cannot set an id' };
+      }
+    } else if (typeof id !== 'string' || !UUID_REGEX.test(id)) {
+      return { isValid: false, error: `${op} operations need a valid task id` };
+    }
+
+    if ((op === 'create' || op === 'update') &&
+        (!data || typeof data !== 'object' || Array.isArray(data) || Object.keys(data).length === 0)) {
+      return { isValid: false, error: `${op} operations need a non-empty data object` };
+    }
+
+    if (op === 'status' && (typeof status !== 'string' || status.trim() === '')) {
+      return { isValid: false, error: 'status operations need a status' };
+    }
+
+    return { isValid: true };
+  }
+
+  static validateProjectId(projectId) {
+    if (projectId === null || projectId === undefined) {
+      return { isValid: true }; // Tasks without a project use the default workflow
+    }
+
+    if (typeof projectId !== 'string' || projectId.trim().length === 0) {
+      return {
+        isValid: false,
+        error: 'Project ID must be a non-empty string'
+      };
+    }
+
+    if (projectId.length > 100) {
+      return {
+        isValid: false,
+        error: 'Project ID must be 100 characters or less'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  static validateProjectName(name) {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return {
+        isValid: false,
+        error: 'Project name is required and must be a non-empty string'
+      };
+    }
+
+    if (name.length > 100) {
+      return {
+        isValid: false,
+        error: 'Project name must be 100 characters or less'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  static validateProjectRole(role) {
+    if (!Object.keys(PROJECT_ROLE_HIERARCHY).includes(role)) {
+      return {
+        isValid: false,
+        error: `Role must be one of: ${Object.keys(PROJECT_ROLE_HIERARCHY).join(', ')}`
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  static validateLabels(labels) {
+    if (labels === null || labels === undefined) {
+      return { isValid: true }; // Labels are optional
+    }
+
+    if (!Array.isArray(labels)) {
+      return { isValid: false, error: 'Labels must be an array' };
+    }
+
+    if (labels.length > MAX_PROJECT_LABELS) {
+      return { isValid: false, error: `A project can have at most ${MAX_PROJECT_LABELS} labels` };
+    }
+
+    const names = new Set();
+
+    for (const label of labels) {
+      if (!label || typeof label.name !== 'string' || !TAG_REGEX.test(label.name)) {
+        return {
+          isValid: false,
+          error: 'Label names must be 1-30 letters, digits, hyphens or underscores, starting with a letter or digit'
+        };
+      }
+
+      if (typeof label.color !== 'string' || !LABEL_COLOR_REGEX.test(label.color)) {
+        return { isValid: false, error: `Label "${label.name}" needs a color in #rrggbb format` };
+      }
+
+      if (names.has(label.name.toLowerCase())) {
+        return { isValid: false, error: `Label "${label.name}" is defined more than once` };
+      }
+      names.add(label.name.toLowerCase());
+    }
+
+    return { isValid: true };
+  }
+
+  // Board columns group the states of the project's workflow; every state
+  // must appear in exactly one column so every task has a place on the board
+  static validateBoardColumns(columns, projectId = null) {
+    if (columns === null || columns === undefined) {
+      return { isValid: true }; // One column per workflow state by default
+    }
+
+    if (!Array.isArray(columns) || columns.length === 0) {
+      return { isValid: false, error: 'Columns must be a non-empty array' };
+    }
+
+    if (columns.length > MAX_BOARD_COLUMNS) {
+      return { isValid: false, error: `A board can have at most ${MAX_BOARD_COLUMNS} columns` };
+    }
+
+    const { states } = workflowEngine.getWorkflow(projectId);
+    const mapped = new Set();
+
+    for (const column of columns) {
+      if (!column || typeof column.name !== 'string' || column.name.trim().length === 0 ||
+          column.name.length > MAX_COLUMN_NAME_LENGTH) {
+        return { isValid: false, error: `Column names must be 1-${MAX_COLUMN_NAME_LENGTH} characters` };
+      }
+
+      if (!Array.isArray(column.statuses) || column.statuses.length === 0) {
+        return { isValid: false, error: `Column "${column.name}" must list at least one status` };
+      }
+
+      for (const status of column.statuses) {
+        if (!states.includes(status)) {
+          return { isValid: false, error: `Column "${column.name}" maps unknown status "${status}"` };
+        }
+
+        if (mapped.has(status)) {
+          return { isValid: false, error: `Status "${status}" is mapped to more than one column` };
+        }
+        mapped.add(status);
+      }
+    }
+
+    const unmapped = states.filter(state => !mapped.has(state));
+    if (unmapped.length > 0) {
+      return { isValid: false, error: `Every status needs a column; unmapped: ${unmapped.join(', ')}` };
+    }
+
+    return { isValid: true };
+  }
+
+  // Validate project fields. With `partial`, only the fields present are
+  // checked (for updates).
+  static validateProjectData(data, { partial = false, projectId = null } = {}) {
+    const errors = [];
+
+    if (partial) {
+      const allowedFields = ['name', 'description', 'columns', 'labels'];
+      const invalidFields = Object.keys(data).filter(field => !allowedFields.includes(field));
+      if (invalidFields.length > 0) {
+        errors.push({ field: 'invalid_fields', error: `Invalid fields: ${invalidFields.join(', ')}` });
+      }
+    }
+
+    if (!partial || data.name !== undefined) {
+      const nameValidation = this.validateProjectName(data.name);
+      if (!nameValidation.isValid) {
+        errors.push({ field: 'name', error: nameValidation.error });
+      }
+    }
+
+    const descriptionValidation = this.validateDescription(data.description);
+    if (!descriptionValidation.isValid) {
+      errors.push({ field: 'description', error: descriptionValidation.error });
+    }
+
+    const columnsValidation = this.validateBoardColumns(data.columns, projectId);
+    if (!columnsValidation.isValid) {
+      errors.push({ field: 'columns', error: columnsValidation.error });
+    }
+
+    const labelsValidation = this.validateLabels(data.labels);
+    if (!labelsValidation.isValid) {
+      errors.push({ field: 'labels', error: labelsValidation.error });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Webhook URLs receive the deliveries; only http and https are allowed
+  static validateWebhookUrl(url) {
+    if (!url || typeof url !== 'string' || url.trim().length === 0) {
+      return { isValid: false, error: 'URL is required and must be a non-empty string' };
+    }
+
+    if (url.length > MAX_WEBHOOK_URL_LENGTH) {
+      return { isValid: false, error: `URL must be ${MAX_WEBHOOK_URL_LENGTH} characters or less` };
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url.trim());
+    } catch (error) {
+      return { isValid: false, error: 'URL must be a valid absolute URL' };
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return { isValid: false, error: 'URL must use http or https' };
+    }
+
+    return { isValid: true };
+  }
+
+  static validateWebhookEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return { isValid: false, error: 'Events must be a non-empty array' };
+    }
+
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return {
+        isValid: false,
+        error: `Unknown events: ${unknown.join(', ')}. Expected any of: ${WEBHOOK_EVENTS.join(', ')}`
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  // Validate webhook subscription fields. With `partial`, only the fields
+  // present are checked (for updates).
+  static validateWebhookData(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (partial) {
+      const allowedFields = ['url', 'events', 'description', 'active'];
+      const invalidFields = Object.keys(data).filter(field => !allowedFields.includes(field));
+      if (invalidFields.length > 0) {
+        errors.push({ field: 'invalid_fields', error: `Invalid fields: ${invalidFields.join(', ')}` });
+      }
+    }
+
+    if (!partial || data.url !== undefined) {
+      const urlValidation = this.validateWebhookUrl(data.url);
+      if (!urlValidation.isValid) {
+        errors.push({ field: 'url', error: urlValidation.error });
+      }
+    }
+
+    if (!partial || data.events !== undefined) {
+      const eventsValidation = this.validateWebhookEvents(data.events);
+      if (!eventsValidation.isValid) {
+        errors.push({ field: 'events', error: eventsValidation.error });
+      }
+    }
+
+    const descriptionValidation = this.validateDescription(data.description);
+    if (!descriptionValidation.isValid) {
+      errors.push({ field: 'description', error: descriptionValidation.error });
+    }
+
+    if (data.active !== undefined && typeof data.active !== 'boolean') {
+      errors.push({ field: 'active', error: 'Active must be a boolean' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Recurrence rule: a 5-field cron schedule evaluated in an IANA time zone
+  static validateRecurrence(recurrence) {
+    if (recurrence === null || recurrence === undefined) {
+      return { isValid: true }; // Recurrence is optional
+    }
+
+    if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+      return {
+        isValid: false,
+        error: 'Recurrence must be an object with a schedule'
+      };
+    }
+
+    const unknown = Object.keys(recurrence).filter(field => !RECURRENCE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return {
+        isValid: false,
+        error: `Unknown recurrence fields: ${unknown.join(', ')}`
+      };
+    }
+
+    if (!isValidSchedule(recurrence.schedule)) {
+      return {
+        isValid: false,
+        error: 'Recurrence schedule must be a 5-field cron expression (minute hour day month weekday)'
+      };
+    }
+
+    if (recurrence.timezone !== undefined && recurrence.timezone !== null && !isValidTimezone(recurrence.timezone)) {
+      return {
+        isValid: false,
+        error: 'Recurrence timezone must be an IANA time zone name such as Europe/Berlin'
+      };
+    }
+
+    if (recurrence.paused !== undefined && typeof recurrence.paused !== 'boolean') {
+      return {
+        isValid: false,
+        error: 'Recurrence paused must be a boolean'
+      };
+    }
+
+    if (recurrence.nextAt && isNaN(new Date(recurrence.nextAt).getTime())) {
+      return {
+        isValid: false,
+        error: 'Recurrence nextAt must be a valid date'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  static validateDueDate(dueDate) {
+    if (dueDate === null || dueDate === undefined) {
+      return { isValid: true }; // Due date is optional
+    }
+
+    if (typeof dueDate !== 'string' || Number.isNaN(Date.parse(dueDate))) {
+      return {
+        isValid: false,
+        error: 'Due date must be a valid ISO 8601 date string'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  static validatePriority(priority) {
+    if (priority === null || priority === undefined) {
+      return { isValid: true }; // Defaults to medium
+    }
+
+    if (!TASK_PRIORITIES.includes(priority)) {
+      return {
+        isValid: false,
+        error: `Priority must be one of: ${TASK_PRIORITIES.join(', ')}`
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  static validateExternalId(externalId) {
+    if (externalId === null || externalId === undefined) {
+      return { isValid: true }; // Only imported tasks have an external ID
+    }
+
+    if (typeof externalId !== 'string' || externalId.trim().length === 0) {
+      return {
+        isValid: false,
+        error: 'External ID must be a non-empty string'
+      };
+    }
+
+    if (externalId.length > MAX_EXTERNAL_ID_LENGTH) {
+      return {
+        isValid: false,
+        error: `External ID must be ${MAX_EXTERNAL_ID_LENGTH} characters or less`
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  static validateEstimate(estimate) {
+    if (estimate === null || estimate === undefined) {
+      return { isValid: true }; // Estimate is optional
+    }
+
+    if (!Number.isInteger(estimate) || estimate < 0 || estimate > MAX_ESTIMATE_MINUTES) {
+      return {
+        isValid: false,
+        error: `Estimate must be a whole number of minutes between 0 and ${MAX_ESTIMATE_MINUTES}`
+      };
+    }
+
+    return { isValid: true };
+  }
+
   static validateTaskData(data) {
     const errors = [];
 
@@ -93,6 +699,63 @@ class TaskValidator {
       errors.push({ field: 'status', error: statusValidation.error });
     }
 
+    // Validate assignee
+    const assigneeValidation = this.validateUserId(data.assigneeId);
+    if (!assigneeValidation.isValid) {
+      errors.push({ field: 'assigneeId', error: assigneeValidation.error });
+    }
+
+    // Validate project
+    const projectValidation = this.validateProjectId(data.projectId);
+    if (!projectValidation.isValid) {
+      errors.push({ field: 'projectId', error: projectValidation.error });
+    }
+
+    // Validate scheduling fields
+    const dueDateValidation = this.validateDueDate(data.dueDate);
+    if (!dueDateValidation.isValid) {
+      errors.push({ field: 'dueDate', error: dueDateValidation.error });
+    }
+
+    const priorityValidation = this.validatePriority(data.priority);
+    if (!priorityValidation.isValid) {
+      errors.push({ field: 'priority', error: priorityValidation.error });
+    }
+
+    const estimateValidation = this.validateEstimate(data.estimate);
+    if (!estimateValidation.isValid) {
+      errors.push({ field: 'estimate', error: estimateValidation.error });
+    }
+
+    // Validate structure fields
+    const parentValidation = this.validateTaskReference(data.parentId);
+    if (!parentValidation.isValid) {
+      errors.push({ field: 'parentId', error: parentValidation.error });
+    }
+
+    const checklistValidation = this.validateChecklist(data.checklist);
+    if (!checklistValidation.isValid) {
+      errors.push({ field: 'checklist', error: checklistValidation.error });
+    }
+
+    // Validate tags
+    const tagsValidation = this.validateTags(data.tags);
+    if (!tagsValidation.isValid) {
+      errors.push({ field: 'tags', error: tagsValidation.error });
+    }
+
+    // Validate recurrence
+    const recurrenceValidation = this.validateRecurrence(data.recurrence);
+    if (!recurrenceValidation.isValid) {
+      errors.push({ field: 'recurrence', error: recurrenceValidation.error });
+    }
+
+    // Validate external ID
+    const externalIdValidation = this.validateExternalId(data.externalId);
+    if (!externalIdValidation.isValid) {
+      errors.push({ field: 'externalId', error: externalIdValidation.error });
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -101,7 +764,7 @@ class TaskValidator {
 
   static validateUpdateData(data) {
     const errors = [];
-    const allowedFields = ['title', 'description', 'status'];
+    const allowedFields = ['title', 'description', 'status', 'assigneeId', 'dueDate', 'priority', 'estimate', 'checklist', 'tags', 'recurrence'];
 
     // Check for invalid fields
     const invalidFields = Object.keys(data).filter(field => !allowedFields.includes(field));
@@ -136,6 +799,62 @@ class TaskValidator {
       }
     }
 
+    // Validate assignee if provided
+    if (data.assigneeId !== undefined) {
+      const assigneeValidation = this.validateUserId(data.assigneeId);
+      if (!assigneeValidation.isValid) {
+        errors.push({ field: 'assigneeId', error: assigneeValidation.error });
+      }
+    }
+
+    // Validate due date if provided (null clears it)
+    if (data.dueDate !== undefined) {
+      const dueDateValidation = this.validateDueDate(data.dueDate);
+      if (!dueDateValidation.isValid) {
+        errors.push({ field: 'dueDate', error: dueDateValidation.error });
+      }
+    }
+
+    // Validate priority if provided (null resets it to medium)
+    if (data.priority !== undefined) {
+      const priorityValidation = this.validatePriority(data.priority);
+      if (!priorityValidation.isValid) {
+        errors.push({ field: 'priority', error: priorityValidation.error });
+      }
+    }
+
+    // Validate estimate if provided (null clears it)
+    if (data.estimate !== undefined) {
+      const estimateValidation = this.validateEstimate(data.estimate);
+      if (!estimateValidation.isValid) {
+        errors.push({ field: 'estimate', error: estimateValidation.error });
+      }
+    }
+
+    // Validate checklist if provided (replaces the whole list; null clears it)
+    if (data.checklist !== undefined) {
+      const checklistValidation = this.validateChecklist(data.checklist);
+      if (!checklistValidation.isValid) {
+        errors.push({ field: 'checklist', error: checklistValidation.error });
+      }
+    }
+
+    // Validate tags if provided (replaces the whole list; null clears it)
+    if (data.tags !== undefined) {
+      const tagsValidation = this.validateTags(data.tags);
+      if (!tagsValidation.isValid) {
+        errors.push({ field: 'tags', error: tagsValidation.error });
+      }
+    }
+
+    // Validate recurrence if provided (null stops the task recurring)
+    if (data.recurrence !== undefined) {
+      const recurrenceValidation = this.validateRecurrence(data.recurrence);
+      if (!recurrenceValidation.isValid) {
+        errors.push({ field: 'recurrence', error: recurrenceValidation.error });
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -150,16 +869,81 @@ class TaskValidator {
     return new Date().toISOString();
   }
 
+  // Normalize a due date to a full ISO timestamp (null when unset)
+  static normalizeDueDate(dueDate) {
+    return dueDate ? new Date(dueDate).toISOString() : null;
+  }
+
+  // Normalize checklist items, assigning IDs to new ones
+  static normalizeChecklist(checklist) {
+    return (checklist || []).map(item => ({
+      id: item.id || this.generateId(),
+      text: item.text.trim(),
+      done: Boolean(item.done)
+    }));
+  }
+
+  // Normalize tags to a lower-cased list without duplicates
+  static normalizeTags(tags) {
+    return [...new Set((tags || []).map(tag => tag.toLowerCase()))];
+  }
+
+  // Normalize a recurrence rule (null when the task doesn't recur)
+  static normalizeRecurrence(recurrence) {
+    if (!recurrence) {
+      return null;
+    }
+
+    return {
+      schedule: recurrence.schedule.trim().replace(/\s+/g, ' '),
+      timezone: recurrence.timezone || 'UTC',
+      paused: Boolean(recurrence.paused),
+      nextAt: recurrence.nextAt ? new Date(recurrence.nextAt).toISOString() : null
+    };
+  }
+
   static sanitizeTaskData(data) {
     return {
       id: data.id || this.generateId(),
       title: data.title ? data.title.trim() : '',
       description: data.description ? data.description.trim() : '',
-      status: data.status || 'pending',
+      status: data.status || workflowEngine.getInitialState(data.projectId),
+      projectId: data.projectId || null,
+      createdBy: data.createdBy || null,
+      assigneeId: data.assigneeId || null,
+      dueDate: this.normalizeDueDate(data.dueDate),
+      priority: data.priority || 'medium',
+      estimate: data.estimate !== undefined ? data.estimate : null,
+      parentId: data.parentId || null,
+      checklist: this.normalizeChecklist(data.checklist),
+      tags: this.normalizeTags(data.tags),
+      recurrence: this.normalizeRecurrence(data.recurrence),
+      externalId: data.externalId ? data.externalId.trim() : null,
       createdAt: data.createdAt || this.getCurrentTimestamp(),
       updatedAt: this.getCurrentTimestamp()
     };
   }
 }
 
-module.exports = TaskValidator;
\ No newline at end of file
+module.exports = TaskValidator;
+module.exports.TASK_PRIORITIES = TASK_PRIORITIES;
+module.exports.TASK_SORT_FIELDS = TASK_SORT_FIELDS;
+module.exports.TAG_REGEX = TAG_REGEX;
+module.exports.UUID_REGEX = UUID_REGEX;
+module.exports.BULK_OPERATION_TYPES = BULK_OPERATION_TYPES;
+module.exports.MAX_BULK_OPERATIONS = MAX_BULK_OPERATIONS;
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
+module.exports.IMPORT_FORMATS = IMPORT_FORMATS;
+module.exports.IMPORT_FIELDS = IMPORT_FIELDS;
+module.exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.MAX_ESTIMATE_MINUTES = MAX_ESTIMATE_MINUTES;
+module.exports.MAX_CHECKLIST_ITEMS = MAX_CHECKLIST_ITEMS;
+module.exports.MAX_CHECKLIST_TEXT_LENGTH = MAX_CHECKLIST_TEXT_LENGTH;
+module.exports.MAX_TAGS = MAX_TAGS;
+module.exports.MAX_COMMENT_LENGTH = MAX_COMMENT_LENGTH;
+module.exports.MAX_PROJECT_LABELS = MAX_PROJECT_LABELS;
+module.exports.MAX_BOARD_COLUMNS = MAX_BOARD_COLUMNS;
+module.exports.MAX_COLUMN_NAME_LENGTH = MAX_COLUMN_NAME_LENGTH;
+module.exports.MAX_EXTERNAL_ID_LENGTH = MAX_EXTERNAL_ID_LENGTH;
+module.exports.MAX_WEBHOOK_URL_LENGTH = MAX_WEBHOOK_URL_LENGTH;
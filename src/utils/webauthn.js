@@ -0,0 +1,174 @@
+/**
+ * Parsing and signature checks of the WebAuthn Level 2 data structures:
+ * client data, authenticator data and COSE public keys. The ceremonies
+ * themselves (challenges, stored credentials) live in webauthnService.
+ */
+
+const crypto = require('crypto');
+const cbor = require('./cbor');
+
+// COSE algorithm identifiers the server accepts, in order of preference
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257
+};
+
+// Authenticator data flags
+const FLAGS = {
+  USER_PRESENT: 0x01,
+  USER_VERIFIED: 0x04,
+  BACKUP_ELIGIBLE: 0x08,
+  BACKED_UP: 0x10,
+  ATTESTED_CREDENTIAL_DATA: 0x40,
+  EXTENSION_DATA: 0x80
+};
+
+// COSE key parameters (RFC 9053)
+const COSE_KEY = {
+  KTY: 1,
+  ALG: 3,
+  CRV: -1,
+  X: -2,
+  Y: -3,
+  N: -1,
+  E: -2
+};
+const COSE_KTY = { OKP: 1, EC2: 2, RSA: 3 };
+const COSE_CURVES = { 1: 'P-256', 6: 'Ed25519' };
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+const toBase64Url = buffer => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = value => Buffer.from(value, 'base64url');
+
+// The JSON the browser signed over, with the challenge and origin
+const parseClientData = clientDataJSON => {
+  let clientData;
+  try {
+    clientData = JSON.parse(fromBase64Url(clientDataJSON).toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid client data');
+  }
+
+  if (!clientData || typeof clientData !== 'object') {
+    throw new Error('Invalid client data');
+  }
+  return clientData;
+};
+
+// rpIdHash (32) | flags (1) | signCount (4) | [attested credential data] | [extensions]
+const parseAuthenticatorData = authenticatorData => {
+  const data = Buffer.from(authenticatorData);
+  if (data.length < 37) {
+    throw new Error('Authenticator data is too short');
+  }
+
+  const flags = data[32];
+  const parsed = {
+    rpIdHash: data.subarray(0, 32),
+    flags: {
+      userPresent: (flags & FLAGS.USER_PRESENT) !== 0,
+      userVerified: (flags & FLAGS.USER_VERIFIED) !== 0,
+      backupEligible: (flags & FLAGS.BACKUP_ELIGIBLE) !== 0,
+      backedUp: (flags & FLAGS.BACKED_UP) !== 0,
+      attestedCredentialData: (flags & FLAGS.ATTESTED_CREDENTIAL_DATA) !== 0,
+      extensionData: (flags & FLAGS.EXTENSION_DATA) !== 0
+    },
+    signCount: data.readUInt32BE(33)
+  };
+
+  if (parsed.flags.attestedCredentialData) {
+    // aaguid (16) | credentialIdLength (2) | credentialId | credentialPublicKey
+    if (data.length < 55) {
+      throw new Error('Authenticator data is too short');
+    }
+
+    const credentialIdLength = data.readUInt16BE(53);
+    const keyOffset = 55 + credentialIdLength;
+    if (keyOffset > data.length) {
+      throw new Error('Authenticator data is too short');
+    }
+
+    let key;
+    try {
+      key = cbor.decodeFirst(data.subarray(keyOffset));
+    } catch (error) {
+      throw new Error('Invalid credential public key');
+    }
+
+    const aaguid = data.subarray(37, 53).toString('hex');
+
+    parsed.aaguid = [
+      aaguid.slice(0, 8), aaguid.slice(8, 12), aaguid.slice(12, 16), aaguid.slice(16, 20), aaguid.slice(20)
+    ].join('-');
+    parsed.credentialId = data.subarray(55, keyOffset);
+    parsed.credentialPublicKey = key.value;
+
+    if (!parsed.flags.extensionData && keyOffset + key.length !== data.length) {
+      throw new Error('Unexpected data after the credential public key');
+    }
+  }
+
+  return parsed;
+};
+
+// The SPKI PEM and algorithm of a COSE_Key
+const coseKeyToPublicKey = coseKey => {
+  if (!(coseKey instanceof Map)) {
+    throw new Error('Invalid credential public key');
+  }
+
+  const kty = coseKey.get(COSE_KEY.KTY);
+  const algorithm = coseKey.get(COSE_KEY.ALG);
+  let jwk;
+
+  if (kty === COSE_KTY.EC2 && algorithm === COSE_ALGORITHMS.ES256 && COSE_CURVES[coseKey.get(COSE_KEY.CRV)] === 'P-256') {
+    jwk = { kty: 'EC', crv: 'P-256', x: toBase64Url(coseKey.get(COSE_KEY.X)), y: toBase64Url(coseKey.get(COSE_KEY.Y)) };
+  } else if (kty === COSE_KTY.OKP && algorithm === COSE_ALGORITHMS.EdDSA && COSE_CURVES[coseKey.get(COSE_KEY.CRV)] === 'Ed25519') {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: toBase64Url(coseKey.get(COSE_KEY.X)) };
+  } else if (kty === COSE_KTY.RSA && algorithm === COSE_ALGORITHMS.RS256) {
+    jwk = { kty: 'RSA', n: toBase64Url(coseKey.get(COSE_KEY.N)), e: toBase64Url(coseKey.get(COSE_KEY.E)) };
+  } else {
+    throw new Error('Unsupported credential public key algorithm');
+  }
+
+  try {
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    return { publicKey: publicKey.export({ type: 'spki', format: 'pem' }), algorithm };
+  } catch (error) {
+    throw new Error('Invalid credential public key');
+  }
+};
+
+// Assertion signatures cover the authenticator data followed by the
+// SHA-256 of the client data JSON
+const verifyAssertionSignature = ({ publicKey, algorithm, authenticatorData, clientDataJSON, signature }) => {
+  const signedData = Buffer.concat([Buffer.from(authenticatorData), sha256(Buffer.from(clientDataJSON))]);
+
+  try {
+    switch (algorithm) {
+      case COSE_ALGORITHMS.ES256:
+        return crypto.verify('sha256', signedData, { key: publicKey, dsaEncoding: 'der' }, signature);
+      case COSE_ALGORITHMS.RS256:
+        return crypto.verify('sha256', signedData, publicKey, signature);
+      case COSE_ALGORITHMS.EdDSA:
+        return crypto.verify(null, signedData, publicKey, signature);
+      default:
+        return false;
+    }
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  COSE_ALGORITHMS,
+  sha256,
+  toBase64Url,
+  fromBase64Url,
+  parseClientData,
+  parseAuthenticatorData,
+  coseKeyToPublicKey,
+  verifyAssertionSignature
+};
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+/**
+ * Webhook signatures. Each delivery carries an X-Webhook-Timestamp header
+ * (Unix seconds) and an X-Webhook-Signature header, "sha256=" followed by
+ * the hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the webhook's
+ * secret. Receivers recompute it and reject old timestamps to stop replays.
+ */
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+// How far a delivery's timestamp may be from the receiver's clock by default
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// A new random signing secret
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// The X-Webhook-Signature value for a body sent at `timestamp`
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `${SIGNATURE_PREFIX}${digest}`;
+};
+
+// Check a received signature, in constant time. Timestamps further than
+// `toleranceSeconds` from `now` fail even when the signature matches.
+const verifySignature = (secret, timestamp, body, signature, {
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Date.now()
+} = {}) => {
+  const sentAt = Number(timestamp);
+
+  if (!Number.isInteger(sentAt) || Math.abs(now / 1000 - sentAt) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  verifySignature
+};
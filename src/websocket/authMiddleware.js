@@ -24,7 +24,7 @@ class WebSocketAuthMiddleware {
         return next(new Error('Authentication token is required'));
       }
 
-      // Verify the token
+      // Verify the token with the signing key its kid names
       const decoded = tokenService.verifyToken(token, 'access');
 
       // Get user information from database
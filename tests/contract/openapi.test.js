@@ -0,0 +1,380 @@
+// The account routes run on a users table of the mocked database; profiles
+// and uploads also need the storage services, so they are only documented
+jest.mock('../../src/database/connection', () => ({
+  isConnected: true,
+  query: jest.fn(),
+  getClient: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../src/auth/services/emailService', () => ({
+  sendVerificationEmail: jest.fn(),
+  sendSecurityAlert: jest.fn()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'contract-test-secret';
+// The profile lists the account's OAuth providers, whose strategies only
+// load with client credentials
+['GOOGLE', 'GITHUB'].forEach(provider => {
+  process.env[`${provider}_CLIENT_ID`] = process.env[`${provider}_CLIENT_ID`] || 'contract-test-client';
+  process.env[`${provider}_CLIENT_SECRET`] = process.env[`${provider}_CLIENT_SECRET`] || 'contract-test-secret';
+});
+
+const crypto = require('crypto');
+const express = require('express');
+const session = require('express-session');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const dbConnection = require('../../src/database/connection');
+const tokenService = require('../../src/auth/services/tokenService');
+const { API_ROUTERS, generateOpenApiSpec } = require('../../src/openapi/generateSpec');
+const { OPERATIONS } = require('../../src/openapi/operations');
+const openapiRoutes = require('../../src/routes/openapi');
+const dataStore = require('../../src/utils/dataStore');
+const projectStore = require('../../src/repositories/project/projectStore');
+const webhookStore = require('../../src/repositories/webhook/webhookStore');
+
+describe('OpenAPI contract', () => {
+  const alice = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', roles: ['user'] };
+  const bob = { id: '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b', roles: ['user'] };
+  const admin = { id: '0d4f6c1e-2b3a-4c5d-8e9f-0a1b2c3d4e5f', roles: ['admin'] };
+  const missingId = '5b7d9f1a-3c5e-4a7b-9d1f-2a4c6e8b0d2f';
+
+  // Every router of the API is documented; the app serves those that run
+  // without the storage services
+  const spec = generateOpenApiSpec();
+  const mounts = API_ROUTERS.filter(mount => ['/health', '/tasks', '/projects', '/webhooks', '/auth', '/user'].includes(mount.path));
+  let app;
+  let users;
+  let refreshTokens;
+
+  const userRow = (user, overrides = {}) => ({
+    id: user.id,
+    email: `${user.id.slice(0, 8)}@example.com`,
+    username: `user${user.id.slice(0, 8)}`,
+    email_verified: true,
+    password_hash: null,
+    name: 'Contract User',
+    avatar_url: null,
+    roles: user.roles,
+    is_active: true,
+    mfa_enabled: false,
+    mfa_required: false,
+    last_login_at: null,
+    created_at: new Date('2024-01-01T10:00:00.000Z'),
+    updated_at: new Date('2024-01-01T10:00:00.000Z'),
+    ...overrides
+  });
+
+  // The users, login_failures and refresh_tokens tables behind the queries
+  // of the account services
+  const fakeQuery = async (sql, params = []) => {
+    if (/^\s*(BEGIN|COMMIT|ROLLBACK)/.test(sql)) {
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO users')) {
+      const [email, emailVerified, passwordHash, name, roles, isActive] = params;
+      const row = userRow({ id: crypto.randomUUID(), roles: JSON.parse(roles) }, {
+        email, email_verified: emailVerified, password_hash: passwordHash, name, is_active: isActive, username: email.split('@')[0]
+      });
+      users.push(row);
+      return { rows: [row], rowCount: 1 };
+    }
+    if (sql.includes('FROM users') && sql.includes('WHERE email = $1')) {
+      return { rows: users.filter(row => row.email === params[0]) };
+    }
+    if (sql.includes('FROM users') && sql.includes('WHERE id = $1')) {
+      return { rows: users.filter(row => row.id === params[0]) };
+    }
+    if (sql.includes('INSERT INTO login_failures')) {
+      return { rows: [{ failed_attempts: 1 }] };
+    }
+    if (sql.includes('login_failures')) {
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE users') && sql.includes('RETURNING id, email')) {
+      const row = users.find(candidate => candidate.id === params[params.length - 1]);
+      if (row && sql.includes('name = $1')) row.name = params[0];
+      return { rows: row ? [row] : [] };
+    }
+    if (sql.includes('UPDATE users')) {
+      return { rows: [], rowCount: 0 };
+    }
+    if (sql.includes('FROM oauth_providers')) {
+      return { rows: [] };
+    }
+    if (sql.includes('FROM refresh_tokens') && sql.includes('WHERE user_id = $1')) {
+      return { rows: refreshTokens.filter(row => row.user_id === params[0] && !row.revoked_at) };
+    }
+    if (sql.includes('INSERT INTO refresh_tokens')) {
+      const row = { id: crypto.randomUUID(), user_id: params[0], token: params[1], is_active: params[5], expires_at: params[7], family_id: params[9], used_at: null, revoked_at: null };
+      refreshTokens.push(row);
+      return { rows: [row], rowCount: 1 };
+    }
+    if (sql.includes('FROM refresh_tokens') && sql.includes('WHERE token = $1')) {
+      return { rows: refreshTokens.filter(row => row.token === params[0]).map(row => ({ ...row })) };
+    }
+    if (sql.includes('used_at = CURRENT_TIMESTAMP')) {
+      const consumed = refreshTokens.filter(row => row.id === params[0] && !row.used_at && !row.revoked_at);
+      consumed.forEach(row => Object.assign(row, { is_active: false, used_at: new Date(), revoked_at: new Date() }));
+      return { rows: consumed, rowCount: consumed.length };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  const tokenFor = user => `Bearer ${jwt.sign({ sub: user.id }, process.env.JWT_SECRET, {
+    issuer: 'specpulse-auth',
+    audience: 'specpulse-users'
+  })}`;
+
+  // Errors of `value` against a JSON Schema of the document
+  const validate = (schema, value, at = '$') => {
+    if (schema.$ref) {
+      return validate(spec.components.schemas[schema.$ref.split('/').pop()], value, at);
+    }
+
+    const errors = [];
+    const types = [].concat(schema.type || []);
+    const typeOf = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+    if (types.length > 0 && !types.some(type => type === typeOf || (type === 'integer' && Number.isInteger(value)))) {
+      return [`${at} should be ${types.join(' or ')}`];
+    }
+    if ('const' in schema && value !== schema.const) errors.push(`${at} should be ${schema.const}`);
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} should be one of ${schema.enum.join(', ')}`);
+    if (typeof value === 'string') {
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} is too long`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} should match ${schema.pattern}`);
+      if (schema.format === 'date-time' && isNaN(Date.parse(value))) errors.push(`${at} should be a date-time`);
+    }
+    if (typeOf === 'object') {
+      (schema.required || []).filter(name => !(name in value)).forEach(name => errors.push(`${at}.${name} is required`));
+      Object.entries(value).forEach(([name, property]) => {
+        const propertySchema = (schema.properties || {})[name] || schema.additionalProperties;
+        if (propertySchema === false) errors.push(`${at}.${name} is not allowed`);
+        else if (propertySchema) errors.push(...validate(propertySchema, property, `${at}.${name}`));
+      });
+    }
+    if (typeOf === 'array' && schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${at}[${index}]`)));
+    }
+    (schema.allOf || []).forEach(part => errors.push(...validate(part, value, at)));
+    if (schema.anyOf && !schema.anyOf.some(part => validate(part, value, at).length === 0)) errors.push(`${at} matches no anyOf schema`);
+    if (schema.oneOf && schema.oneOf.filter(part => validate(part, value, at).length === 0).length !== 1) errors.push(`${at} should match exactly one oneOf schema`);
+
+    return errors;
+  };
+
+  // Send a request and check that the operation documents its status and
+  // that the body matches the documented schema
+  const call = async (method, path, { user, body, headers = {}, template } = {}) => {
+    let pending = request(app)[method](path).set(headers);
+    if (user) pending = pending.set('Authorization', tokenFor(user));
+    if (body !== undefined) pending = pending.send(body);
+
+    const response = await pending;
+    const pathTemplate = template || path.split('?')[0];
+    const operation = (spec.paths[pathTemplate] || {})[method];
+    const key = `${method.toUpperCase()} ${pathTemplate} ${response.status}`;
+
+    expect(operation).toBeDefined();
+    expect({ [key]: Object.keys(operation.responses) })
+      .toEqual({ [key]: expect.arrayContaining([String(response.status)]) });
+
+    const content = (operation.responses[response.status].content || {})['application/json'];
+    if (content && response.type === 'application/json') {
+      expect({ [key]: validate(content.schema, response.body) }).toEqual({ [key]: [] });
+    }
+
+    return response;
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
+    app.use(session({ secret: 'contract-test-secret', resave: false, saveUninitialized: false }));
+    mounts.forEach(mount => app.use(mount.path, mount.router()));
+    app.use('/api', openapiRoutes);
+  });
+
+  beforeEach(async () => {
+    dataStore.clearAllTasks();
+    await projectStore.clear();
+    await webhookStore.clear();
+
+    users = [alice, bob, admin].map(user => userRow(user));
+    refreshTokens = [];
+    dbConnection.query.mockImplementation(fakeQuery);
+    dbConnection.getClient.mockImplementation(async () => ({ query: fakeQuery, release: jest.fn() }));
+    dbConnection.transaction.mockImplementation(callback => callback());
+  });
+
+  test('should serve the document at /api/openapi.json', async () => {
+    const response = await request(app).get('/api/openapi.json');
+
+    expect(response.status).toBe(200);
+    expect(response.body.openapi).toBe('3.1.0');
+    expect(response.body.paths['/tasks/{id}'].patch.requestBody.content).toHaveProperty('application/merge-patch+json');
+    expect(response.body.paths['/tasks'].get.security).toEqual([{ bearerAuth: [] }]);
+  });
+
+  test('should document every route, and only existing routes', () => {
+    const documented = [];
+    Object.entries(spec.paths).forEach(([path, operations]) => {
+      Object.entries(operations).forEach(([method, operation]) => {
+        expect(operation.summary).toEqual(expect.any(String));
+        documented.push(`${method.toUpperCase()} ${path}`);
+      });
+    });
+
+    expect(documented.sort()).toEqual(Object.keys(OPERATIONS).sort());
+    expect(spec.tags.map(tag => tag.name)).toEqual(API_ROUTERS.map(mount => mount.tag));
+  });
+
+  test('should take request parameters and bodies from the validation middleware', () => {
+    const listTasks = spec.paths['/tasks'].get;
+    const createTask = spec.paths['/tasks'].post;
+
+    expect(listTasks.parameters).toEqual(expect.arrayContaining([
+      { $ref: '#/components/parameters/limit' },
+      { $ref: '#/components/parameters/cursor' }
+    ]));
+    expect(createTask.requestBody.content['application/json'].schema).toEqual({ $ref: '#/components/schemas/TaskInput' });
+    expect(spec.paths['/tasks/{id}'].get.parameters[0]).toEqual({ name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } });
+    expect(spec.paths['/health'].get.security).toBeUndefined();
+
+    // Only routes that replay retries take an Idempotency-Key; credentials are never stored
+    const idempotencyKey = { $ref: '#/components/parameters/idempotencyKey' };
+    expect(createTask.parameters).toContainEqual(idempotencyKey);
+    expect(spec.paths['/auth/login'].post.parameters || []).not.toContainEqual(idempotencyKey);
+    expect(spec.paths['/webhooks'].post.parameters || []).not.toContainEqual(idempotencyKey);
+  });
+
+  test('should match the task API', async () => {
+    expect((await call('get', '/tasks')).status).toBe(401);
+    expect((await call('get', '/tasks', { user: alice })).status).toBe(200);
+    expect((await call('get', '/tasks?limit=0', { user: alice })).status).toBe(400);
+
+    const created = await call('post', '/tasks', { user: alice, body: { title: 'Write release notes', priority: 'high' } });
+    expect(created.status).toBe(201);
+    const { id } = created.body.data;
+    const template = '/tasks/{id}';
+
+    expect((await call('get', `/tasks/${id}`, { user: alice, template })).status).toBe(200);
+    expect((await call('get', `/tasks/${missingId}`, { user: alice, template })).status).toBe(404);
+    expect((await call('get', '/tasks/not-a-uuid', { user: alice, template })).status).toBe(400);
+
+    const patched = await call('patch', `/tasks/${id}`, {
+      user: alice,
+      template,
+      headers: { 'Content-Type': 'application/merge-patch+json' },
+      body: JSON.stringify({ description: 'For the November release' })
+    });
+    expect(patched.status).toBe(200);
+
+    expect((await call('put', `/tasks/${id}`, { user: alice, template, headers: { 'If-Match': '"99"' }, body: { title: 'Stale' } })).status).toBe(412);
+
+    const comment = await call('post', `/tasks/${id}/comments`, { user: alice, template: '/tasks/{id}/comments', body: { body: 'Draft is ready' } });
+    expect(comment.status).toBe(201);
+    expect((await call('get', `/tasks/${id}/comments`, { user: alice, template: '/tasks/{id}/comments' })).status).toBe(200);
+    expect((await call('get', `/tasks/${id}/subtasks`, { user: alice, template: '/tasks/{id}/subtasks' })).status).toBe(200);
+
+    expect((await call('delete', `/tasks/${id}`, { user: alice, template })).status).toBe(200);
+    expect((await call('get', '/tasks/trash', { user: alice })).status).toBe(200);
+    expect((await call('post', `/tasks/${id}/restore`, { user: alice, template: '/tasks/{id}/restore' })).status).toBe(200);
+  });
+
+  test('should match the project API', async () => {
+    const created = await call('post', '/projects', { user: alice, body: { name: 'Website relaunch' } });
+    expect(created.status).toBe(201);
+    const template = '/projects/{projectId}';
+    const { id } = created.body.data;
+
+    expect((await call('get', '/projects', { user: alice })).status).toBe(200);
+    expect((await call('get', `/projects/${id}`, { user: alice, template })).status).toBe(200);
+    expect((await call('get', `/projects/${id}`, { user: bob, template })).status).toBe(404);
+
+    const member = await call('put', `/projects/${id}/members/${bob.id}`, {
+      user: alice,
+      template: '/projects/{projectId}/members/{userId}',
+      body: { role: 'member' }
+    });
+    expect(member.status).toBe(200);
+    expect((await call('put', `/projects/${id}`, { user: bob, template, body: { description: 'Mine now' } })).status).toBe(403);
+    expect((await call('get', `/projects/${id}/members`, { user: bob, template: '/projects/{projectId}/members' })).status).toBe(200);
+  });
+
+  test('should match the webhook API', async () => {
+    const body = { url: 'https://chat.example.com/hooks/tasks', events: ['task.created'] };
+
+    expect((await call('post', '/webhooks', { user: alice, body })).status).toBe(403);
+
+    const created = await call('post', '/webhooks', { user: admin, body });
+    expect(created.status).toBe(201);
+
+    expect((await call('get', '/webhooks', { user: admin })).status).toBe(200);
+    expect((await call('get', `/webhooks/${created.body.data.id}/deliveries`, {
+      user: admin,
+      template: '/webhooks/{webhookId}/deliveries'
+    })).status).toBe(200);
+  });
+
+  test('should match the account API', async () => {
+    const credentials = { email: 'carol@example.com', password: 'Correct-Horse-42!' };
+
+    const registered = await call('post', '/auth/register', {
+      body: { ...credentials, confirmPassword: credentials.password, name: 'Carol' }
+    });
+    expect(registered.status).toBe(201);
+    expect(registered.body.user).toMatchObject({ email: credentials.email, username: 'carol' });
+    expect(registered.body.user).not.toHaveProperty('passwordHash');
+
+    expect((await call('post', '/auth/login', { body: { ...credentials, password: 'Wrong-Horse-42!' } })).status).toBe(401);
+
+    const login = await call('post', '/auth/login', { body: credentials });
+    expect(login.status).toBe(200);
+    expect(login.body.user).toMatchObject({ email: credentials.email, username: 'carol' });
+
+    const refreshed = await call('post', '/auth/refresh-token', { body: { refreshToken: login.body.tokens.refreshToken } });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.tokens.refreshToken).not.toBe(login.body.tokens.refreshToken);
+    expect((await call('post', '/auth/refresh-token', { body: { refreshToken: 'not-a-token' } })).status).toBe(401);
+
+    expect((await call('get', '/user/profile')).status).toBe(401);
+    const profile = await call('get', '/user/profile', { user: alice });
+    expect(profile.status).toBe(200);
+    expect(profile.body.data.user).toMatchObject({ id: alice.id, username: users[0].username });
+
+    const updated = await call('put', '/user/profile', { user: alice, body: { name: 'Alice Liddell' } });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.user).toMatchObject({ id: alice.id, name: 'Alice Liddell' });
+  });
+
+  test('should reject documented request bodies that miss required fields', async () => {
+    const task = await call('post', '/tasks', { user: alice, body: { title: 'Parent' } });
+    const project = await call('post', '/projects', { user: alice, body: { name: 'Board' } });
+    const ids = { id: task.body.data.id, commentId: missingId, projectId: project.body.data.id, userId: bob.id };
+
+    const served = Object.entries(spec.paths).filter(([template]) =>
+      mounts.some(mount => template === mount.path || template.startsWith(`${mount.path}/`)));
+
+    for (const [template, operations] of served) {
+      for (const [method, operation] of Object.entries(operations)) {
+        const content = operation.requestBody && operation.requestBody.content['application/json'];
+        const schema = content && (content.schema.$ref ? spec.components.schemas[content.schema.$ref.split('/').pop()] : content.schema);
+
+        if (schema && (schema.required || schema.oneOf || schema.minProperties)) {
+          const path = template.replace(/\{(\w+)\}/g, (match, name) => ids[name]);
+          const user = /^\/(webhooks|user\/\{userId\})/.test(template) ? admin : alice;
+          const headers = (operation.parameters || []).some(parameter => parameter.$ref === '#/components/parameters/reauthToken')
+            ? { 'X-Reauth-Token': tokenService.createReauthToken(user) }
+            : {};
+
+          expect({ [`${method} ${template}`]: (await call(method, path, { user, template, headers, body: {} })).status })
+            .toEqual({ [`${method} ${template}`]: 400 });
+        }
+      }
+    }
+  });
+});
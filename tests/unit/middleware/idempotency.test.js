@@ -0,0 +1,147 @@
+const express = require('express');
+const request = require('supertest');
+const { idempotency } = require('../../../src/middleware/idempotency');
+const idempotencyStore = require('../../../src/repositories/idempotency/idempotencyStore');
+
+describe('idempotency middleware', () => {
+  let app;
+  let created;
+  let release;
+  let statuses;
+
+  beforeEach(async () => {
+    await idempotencyStore.clear();
+    created = [];
+    release = null;
+    statuses = [];
+
+    app = express();
+    app.use(express.json());
+    // Stands in for authenticate, which the routers mount before idempotency
+    app.use((req, res, next) => {
+      const [, userId] = (req.get('Authorization') || '').match(/^Bearer (\w+)-/) || [];
+      req.user = userId ? { id: userId } : undefined;
+      next();
+    });
+    app.use(idempotency);
+
+    app.post('/tasks', (req, res) => {
+      created.push(req.body);
+      res.status(201).set('ETag', `"${created.length}"`).json({ success: true, data: { id: created.length, ...req.body } });
+    });
+
+    // Responds once the test calls release()
+    app.post('/slow', (req, res) => {
+      release = () => res.status(201).json({ success: true });
+    });
+
+    // Answers with the next of `statuses`
+    app.put('/limited', (req, res) => {
+      const status = statuses.shift();
+      created.push(status);
+      res.status(status).json({ success: status < 300 });
+    });
+
+    app.delete('/broken', (req, res) => {
+      created.push('attempt');
+      res.status(500).json({ success: false });
+    });
+  });
+
+  test('should replay the first response when a request is retried', async () => {
+    const first = await request(app).post('/tasks').set('Idempotency-Key', 'key-1').send({ title: 'Once' });
+    const retry = await request(app).post('/tasks').set('Idempotency-Key', 'key-1').send({ title: 'Once' });
+
+    expect(created).toHaveLength(1);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers.etag).toBe('"1"');
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('should handle requests without a key, or with another key, normally', async () => {
+    await request(app).post('/tasks').send({ title: 'Twice' });
+    await request(app).post('/tasks').send({ title: 'Twice' });
+    await request(app).post('/tasks').set('Idempotency-Key', 'key-2').send({ title: 'Twice' });
+
+    expect(created).toHaveLength(3);
+  });
+
+  test('should reject a key reused with a different payload', async () => {
+    await request(app).post('/tasks').set('Idempotency-Key', 'key-1').send({ title: 'First' });
+    const response = await request(app).post('/tasks').set('Idempotency-Key', 'key-1').send({ title: 'Second' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(created).toHaveLength(1);
+  });
+
+  test('should keep keys separate for different users', async () => {
+    await request(app).post('/tasks').set('Authorization', 'Bearer alice-token').set('Idempotency-Key', 'key-1').send({ title: 'Mine' });
+    const response = await request(app).post('/tasks').set('Authorization', 'Bearer bob-token').set('Idempotency-Key', 'key-1').send({ title: 'Mine' });
+
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+    expect(created).toHaveLength(2);
+  });
+
+  test('should replay for the same user after the access token was refreshed', async () => {
+    await request(app).post('/tasks').set('Authorization', 'Bearer alice-first').set('Idempotency-Key', 'key-1').send({ title: 'Once' });
+    const retry = await request(app).post('/tasks').set('Authorization', 'Bearer alice-refreshed').set('Idempotency-Key', 'key-1').send({ title: 'Once' });
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(created).toHaveLength(1);
+  });
+
+  test('should answer 409 while the first request is still being processed', async () => {
+    const first = request(app).post('/slow').set('Idempotency-Key', 'key-1').send({});
+    const pending = first.then(response => response);
+
+    while (!release) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const retry = await request(app).post('/slow').set('Idempotency-Key', 'key-1').send({});
+    expect(retry.status).toBe(409);
+    expect(retry.body.error.code).toBe('IDEMPOTENCY_KEY_IN_PROGRESS');
+    expect(retry.headers['retry-after']).toBe('1');
+
+    release();
+    expect((await pending).status).toBe(201);
+  });
+
+  test('should not store server errors', async () => {
+    await request(app).delete('/broken').set('Idempotency-Key', 'key-1');
+    const retry = await request(app).delete('/broken').set('Idempotency-Key', 'key-1');
+
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(created).toEqual(['attempt', 'attempt']);
+  });
+
+  test('should not store timeouts, conflicts and rate limits, but other client errors', async () => {
+    statuses = [429, 409, 408, 200, 404];
+    const send = key => request(app).put('/limited').set('Idempotency-Key', key).send({ title: 'Retried' });
+
+    for (const status of [429, 409, 408, 200]) {
+      expect((await send('key-1')).status).toBe(status);
+    }
+
+    const replayed = await send('key-1');
+    expect(replayed.status).toBe(200);
+    expect(replayed.headers['idempotent-replayed']).toBe('true');
+
+    await send('key-2');
+    const notFound = await send('key-2');
+    expect(notFound.status).toBe(404);
+    expect(notFound.headers['idempotent-replayed']).toBe('true');
+    expect(created).toEqual([429, 409, 408, 200, 404]);
+  });
+
+  test('should reject malformed keys', async () => {
+    const response = await request(app).post('/tasks').set('Idempotency-Key', 'x'.repeat(256)).send({ title: 'Long' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    expect(created).toHaveLength(0);
+  });
+});
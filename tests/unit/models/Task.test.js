@@ -225,6 +225,38 @@ describe('Task Model', () => {
         task.update(updateData);
       }).toThrow('Validation failed: invalid_fields: Invalid fields: invalidField');
     });
+
+    test('should start at version 1 and count up with every update', () => {
+      const task = Task.create({ title: 'Versioned Task', status: 'pending' });
+
+      expect(task.version).toBe(1);
+
+      task.update({ title: 'Renamed Task' });
+      expect(task.version).toBe(2);
+
+      expect(() => task.update({ title: '' })).toThrow();
+      expect(task.version).toBe(2);
+    });
+
+    test('should reject changes expected at another version', () => {
+      const task = Task.create({ title: 'Versioned Task', status: 'pending', version: 4 });
+
+      expect(() => task.assertVersion(null)).not.toThrow();
+      expect(() => task.assertVersion([3, 4])).not.toThrow();
+      expect(() => task.assertVersion([3])).toThrow(`Task with ID ${task.id} has been modified: it is at version 4`);
+    });
+
+    test('should move to the trash and back as new versions', () => {
+      const task = Task.create({ title: 'Trashed Task', status: 'pending' });
+
+      task.softDelete();
+      expect(task.deletedAt).toBe(task.updatedAt);
+      expect(task.version).toBe(2);
+
+      task.restore();
+      expect(task.deletedAt).toBeNull();
+      expect(task.version).toBe(3);
+    });
   });
 
   describe('Task Serialization', () => {
@@ -243,6 +275,20 @@ describe('Task Model', () => {
         title: 'Test Task',
         description: 'Test Description',
         status: 'pending',
+        projectId: null,
+        createdBy: null,
+        assigneeId: null,
+        dueDate: null,
+        priority: 'medium',
+        estimate: null,
+        parentId: null,
+        checklist: [],
+        tags: [],
+        recurrence: null,
+        templateId: null,
+        externalId: null,
+        version: 1,
+        deletedAt: null,
         createdAt: task.createdAt,
         updatedAt: task.updatedAt
       });
@@ -263,6 +309,171 @@ describe('Task Model', () => {
     });
   });
 
+  describe('Task Ownership', () => {
+    const ownerId = '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f';
+    const assigneeId = '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b';
+
+    test('should store creator and assignee', () => {
+      const task = Task.create({ title: 'Owned Task', status: 'pending', createdBy: ownerId, assigneeId });
+
+      expect(task.createdBy).toBe(ownerId);
+      expect(task.assigneeId).toBe(assigneeId);
+    });
+
+    test('should be visible to creator and assignee only', () => {
+      const task = Task.create({ title: 'Owned Task', status: 'pending', createdBy: ownerId, assigneeId });
+
+      expect(task.isVisibleTo(ownerId)).toBe(true);
+      expect(task.isVisibleTo(assigneeId)).toBe(true);
+      expect(task.isVisibleTo('0d4f6c1e-2b3a-4c5d-8e9f-0a1b2c3d4e5f')).toBe(false);
+    });
+
+    test('should reassign and unassign through update', () => {
+      const task = Task.create({ title: 'Owned Task', status: 'pending', createdBy: ownerId });
+
+      task.update({ assigneeId });
+      expect(task.assigneeId).toBe(assigneeId);
+
+      task.update({ assigneeId: null });
+      expect(task.assigneeId).toBeNull();
+    });
+
+    test('should reject invalid assignee IDs', () => {
+      expect(() => {
+        Task.create({ title: 'Owned Task', status: 'pending', assigneeId: 'not-a-uuid' });
+      }).toThrow('Invalid assigneeId');
+    });
+
+    test('should not allow createdBy to be changed through update', () => {
+      const task = Task.create({ title: 'Owned Task', status: 'pending', createdBy: ownerId });
+
+      expect(() => {
+        task.update({ createdBy: assigneeId });
+      }).toThrow('Invalid fields: createdBy');
+    });
+  });
+
+  describe('Task Workflow', () => {
+    test('should default to the workflow initial state', () => {
+      const task = Task.create({ title: 'Workflow Task' });
+
+      expect(task.status).toBe('pending');
+    });
+
+    test('should reject illegal status transitions', () => {
+      const task = Task.create({ title: 'Workflow Task', status: 'completed' });
+
+      expect(() => {
+        task.update({ status: 'pending' });
+      }).toThrow(expect.objectContaining({ code: 'INVALID_STATUS_TRANSITION' }));
+      expect(task.status).toBe('completed');
+    });
+
+    test('should enforce transition guards', () => {
+      const task = Task.create({ title: 'Workflow Task', status: 'pending' });
+
+      expect(() => {
+        task.update({ status: 'in-progress' });
+      }).toThrow(expect.objectContaining({ code: 'TRANSITION_GUARD_FAILED' }));
+    });
+
+    test('should enter a later initial status through the guarded transition', () => {
+      expect(() => {
+        Task.create({ title: 'Workflow Task', status: 'in-progress' });
+      }).toThrow(expect.objectContaining({ code: 'TRANSITION_GUARD_FAILED' }));
+
+      const task = Task.create({ title: 'Workflow Task', description: 'Described', status: 'in-progress' });
+      expect(task.status).toBe('in-progress');
+    });
+
+    test('should evaluate guards against fields changed in the same update', () => {
+      const task = Task.create({ title: 'Workflow Task', status: 'pending' });
+
+      task.update({ status: 'in-progress', description: 'Now described' });
+
+      expect(task.status).toBe('in-progress');
+    });
+
+    test('should list available transitions', () => {
+      const task = Task.create({ title: 'Workflow Task', status: 'completed' });
+
+      expect(task.getAvailableTransitions().map(t => t.to)).toEqual(['in-progress']);
+    });
+  });
+
+  describe('Task Scheduling', () => {
+    test('should default priority to medium and leave due date and estimate unset', () => {
+      const task = Task.create({ title: 'Scheduled Task' });
+
+      expect(task.priority).toBe('medium');
+      expect(task.dueDate).toBeNull();
+      expect(task.estimate).toBeNull();
+    });
+
+    test('should normalize due dates to ISO timestamps', () => {
+      const task = Task.create({ title: 'Scheduled Task', dueDate: '2030-05-01', priority: 'high', estimate: 90 });
+
+      expect(task.dueDate).toBe('2030-05-01T00:00:00.000Z');
+      expect(task.priority).toBe('high');
+      expect(task.estimate).toBe(90);
+    });
+
+    test('should reject invalid scheduling fields', () => {
+      expect(() => Task.create({ title: 'Task', dueDate: 'next tuesday' })).toThrow('Invalid dueDate');
+      expect(() => Task.create({ title: 'Task', priority: 'urgent' })).toThrow('Invalid priority');
+      expect(() => Task.create({ title: 'Task', estimate: 1.5 })).toThrow('Invalid estimate');
+      expect(() => Task.create({ title: 'Task', estimate: -10 })).toThrow('Invalid estimate');
+    });
+
+    test('should update and clear scheduling fields', () => {
+      const task = Task.create({ title: 'Scheduled Task', dueDate: '2030-05-01', priority: 'low', estimate: 30 });
+
+      task.update({ dueDate: null, priority: 'critical', estimate: null });
+
+      expect(task.dueDate).toBeNull();
+      expect(task.priority).toBe('critical');
+      expect(task.estimate).toBeNull();
+    });
+
+    test('should report overdue tasks', () => {
+      const now = new Date('2030-05-02T00:00:00.000Z');
+
+      expect(Task.create({ title: 'Late', dueDate: '2030-05-01' }).isOverdue(now)).toBe(true);
+      expect(Task.create({ title: 'Upcoming', dueDate: '2030-05-03' }).isOverdue(now)).toBe(false);
+      expect(Task.create({ title: 'Undated' }).isOverdue(now)).toBe(false);
+    });
+  });
+
+  describe('Task Checklist', () => {
+    test('should assign IDs to checklist items and default done to false', () => {
+      const task = Task.create({ title: 'Checklist Task', checklist: [{ text: ' Write tests ' }] });
+
+      expect(task.checklist).toEqual([{ id: expect.any(String), text: 'Write tests', done: false }]);
+    });
+
+    test('should replace the checklist through update, keeping existing item IDs', () => {
+      const task = Task.create({ title: 'Checklist Task', checklist: [{ text: 'Write tests' }] });
+      const [item] = task.checklist;
+
+      task.update({ checklist: [{ ...item, done: true }, { text: 'Ship it' }] });
+
+      expect(task.checklist[0]).toEqual({ id: item.id, text: 'Write tests', done: true });
+      expect(task.checklist[1].text).toBe('Ship it');
+    });
+
+    test('should reject invalid checklist items', () => {
+      expect(() => Task.create({ title: 'Task', checklist: 'todo' })).toThrow('Checklist must be an array');
+      expect(() => Task.create({ title: 'Task', checklist: [{ text: '' }] })).toThrow('Invalid checklist');
+      expect(() => Task.create({ title: 'Task', checklist: [{ text: 'x', done: 'yes' }] })).toThrow('done must be a boolean');
+    });
+
+    test('should not allow parentId to be changed through update', () => {
+      const task = Task.create({ title: 'Subtask', parentId: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f' });
+
+      expect(() => task.update({ parentId: null })).toThrow('Invalid fields: parentId');
+    });
+  });
+
   describe('Task Search and Filtering', () => {
     test('should match search terms in title', () => {
       const taskData = {
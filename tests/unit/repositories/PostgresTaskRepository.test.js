@@ -0,0 +1,512 @@
+jest.mock('../../../src/database/connection', () => ({
+  isConnected: true,
+  initialize: jest.fn(),
+  query: jest.fn(),
+  transaction: jest.fn(),
+  pool: { totalCount: 1, idleCount: 1, waitingCount: 0 }
+}));
+
+const dbConnection = require('../../../src/database/connection');
+const taskRepository = require('../../../src/repositories/task/PostgresTaskRepository');
+const { parseFilter, parseSort, resolveSort, encodeCursor } = require('../../../src/utils/taskQuery');
+const { parseSearchQuery } = require('../../../src/utils/textSearch');
+
+const buildRow = (overrides = {}) => ({
+  id: '0b7c7a5e-5f4a-4c1e-9a57-3f1f4f6d2a10',
+  title: 'Persisted Task',
+  description: 'Stored in PostgreSQL',
+  status: 'pending',
+  project_id: null,
+  created_by: null,
+  assignee_id: null,
+  due_date: null,
+  priority: 'medium',
+  estimate: null,
+  parent_id: null,
+  checklist: [],
+  tags: [],
+  created_at: new Date('2024-01-01T10:00:00.000Z'),
+  updated_at: new Date('2024-01-02T10:00:00.000Z'),
+  ...overrides
+});
+
+describe('PostgresTaskRepository', () => {
+  beforeEach(() => {
+    dbConnection.isConnected = true;
+  });
+
+  describe('createTask', () => {
+    test('should insert the task and return a Task instance', async () => {
+      dbConnection.query.mockResolvedValue({ rows: [buildRow()] });
+
+      const task = await taskRepository.createTask({ title: 'Persisted Task', status: 'pending' });
+
+      expect(dbConnection.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO tasks'),
+        expect.arrayContaining(['Persisted Task', 'pending'])
+      );
+      expect(task.toJSON()).toEqual({
+        id: '0b7c7a5e-5f4a-4c1e-9a57-3f1f4f6d2a10',
+        title: 'Persisted Task',
+        description: 'Stored in PostgreSQL',
+        status: 'pending',
+        projectId: null,
+        createdBy: null,
+        assigneeId: null,
+        dueDate: null,
+        priority: 'medium',
+        estimate: null,
+        parentId: null,
+        checklist: [],
+        tags: [],
+        recurrence: null,
+        templateId: null,
+        externalId: null,
+        version: 1,
+        deletedAt: null,
+        createdAt: '2024-01-01T10:00:00.000Z',
+        updatedAt: '2024-01-02T10:00:00.000Z'
+      });
+    });
+
+    test('should reject invalid task data before querying', async () => {
+      await expect(taskRepository.createTask({ title: '' })).rejects.toThrow('Invalid title');
+      expect(dbConnection.query).not.toHaveBeenCalled();
+    });
+
+    test('should initialize the connection when not yet connected', async () => {
+      dbConnection.isConnected = false;
+      dbConnection.initialize.mockResolvedValue({});
+      dbConnection.query.mockResolvedValue({ rows: [buildRow()] });
+
+      await taskRepository.createTask({ title: 'Persisted Task' });
+
+      expect(dbConnection.initialize).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getAllTasks', () => {
+    test('should apply status and search filters and paginate', async () => {
+      dbConnection.query
+        .mockResolvedValueOnce({ rows: [{ total: 11 }] })
+        .mockResolvedValueOnce({ rows: [buildRow()] });
+
+      const result = await taskRepository.getAllTasks({
+        page: 2,
+        limit: 5,
+        status: 'pending',
+        search: 'Stored'
+      });
+
+      const [countQuery, countValues] = dbConnection.query.mock.calls[0];
+      expect(countQuery).toContain('WHERE deleted_at IS NULL AND status = $1 AND');
+      expect(countValues).toEqual(['pending', '%stored%']);
+
+      const [selectQuery, selectValues] = dbConnection.query.mock.calls[1];
+      expect(selectQuery).toContain('ORDER BY created_at DESC');
+      expect(selectValues).toEqual(['pending', '%stored%', 5, 5]);
+
+      expect(result.tasks).toHaveLength(1);
+      expect(result.pagination).toEqual({
+        page: 2,
+        limit: 5,
+        total: 11,
+        totalPages: 3,
+        hasNext: true,
+        hasPrev: true,
+        nextCursor: expect.any(String)
+      });
+    });
+
+    test('should restrict results to the owner or assignee', async () => {
+      const ownerId = '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f';
+      dbConnection.query
+        .mockResolvedValueOnce({ rows: [{ total: 0 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await taskRepository.getAllTasks({ ownerId });
+
+      const [countQuery, countValues] = dbConnection.query.mock.calls[0];
+      expect(countQuery).toContain('(created_by = $1 OR assignee_id = $1)');
+      expect(countValues).toEqual([ownerId]);
+    });
+
+    test('should include tasks of the user\'s projects and scope by project', async () => {
+      const ownerId = '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f';
+      const projectId = '5b7d9f1a-3c5e-4a7b-9d1f-2a4c6e8b0d2f';
+      dbConnection.query
+        .mockResolvedValueOnce({ rows: [{ total: 0 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await taskRepository.getAllTasks({ ownerId, projectIds: [projectId], projectId });
+
+      const [countQuery, countValues] = dbConnection.query.mock.calls[0];
+      expect(countQuery).toContain('(created_by = $1 OR assignee_id = $1 OR project_id = ANY($2)) AND project_id = $3');
+      expect(countValues).toEqual([ownerId, [projectId], projectId]);
+    });
+
+    test('should filter by priority and due date and sort with nulls last', async () => {
+      dbConnection.query
+        .mockResolvedValueOnce({ rows: [{ total: 0 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await taskRepository.getAllTasks({
+        priority: 'high',
+        dueBefore: '2030-05-01T00:00:00.000Z',
+        sortBy: 'dueDate',
+        sortOrder: 'asc'
+      });
+
+      const [countQuery, countValues] = dbConnection.query.mock.calls[0];
+      expect(countQuery).toContain('WHERE deleted_at IS NULL AND priority = $1 AND due_date <= $2');
+      expect(countValues).toEqual(['high', '2030-05-01T00:00:00.000Z']);
+
+      const [selectQuery] = dbConnection.query.mock.calls[1];
+      expect(selectQuery).toContain('ORDER BY due_date ASC NULLS LAST, created_at DESC');
+    });
+
+    test('should compile filter expressions into parameterized conditions', async () => {
+      dbConnection.query
+        .mockResolvedValueOnce({ rows: [{ total: 0 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await taskRepository.getAllTasks({
+        filter: parseFilter('(priority >= high or tags in (docs, ops)) and assignee != null and status not in (done)')
+      });
+
+      const [countQuery, countValues] = dbConnection.query.mock.calls[0];
+      expect(countQuery).toContain(
+        "WHEN 'critical' THEN 3 END >= $1 OR tags && $2::text[]) " +
+        'AND assignee_id IS NOT NULL AND (status IS NULL OR NOT status = ANY($3::text[])))'
+      );
+      expect(countValues).toEqual([2, ['docs', 'ops'], ['done']]);
+    });
+
+    test('should sort by several fields with ID as the final tie-breaker', async () => {
+      dbConnection.query
+        .mockResolvedValueOnce({ rows: [{ total: 0 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await taskRepository.getAllTasks({ sort: parseSort('-priority,dueDate') });
+
+      const [selectQuery] = dbConnection.query.mock.calls[1];
+      expect(selectQuery).toContain('DESC, due_date ASC NULLS LAST, created_at DESC, id ASC');
+    });
+
+    test('should continue after a cursor using a keyset condition', async () => {
+      const sort = resolveSort(parseSort('dueDate'));
+      const last = { id: '0b7c7a5e-5f4a-4c1e-9a57-3f1f4f6d2a10', dueDate: null, createdAt: '2024-01-01T10:00:00.000Z' };
+      const rows = [
+        buildRow({ id: '1c8d8b6f-6a5b-4d2f-8b68-4a2a5a7e3b21' }),
+        buildRow({ id: '2d9e9c7a-7b6c-4e3a-9c79-5b3b6b8f4c32' })
+      ];
+      dbConnection.query
+        .mockResolvedValueOnce({ rows: [{ total: 5 }] })
+        .mockResolvedValueOnce({ rows });
+
+      const result = await taskRepository.getAllTasks({ sort: parseSort('dueDate'), cursor: encodeCursor(last, sort), limit: 1 });
+
+      const [selectQuery, selectValues] = dbConnection.query.mock.calls[1];
+      expect(selectQuery).toContain(
+        'WHERE deleted_at IS NULL AND ((FALSE) OR (due_date IS NULL AND created_at < to_timestamp($1::double precision / 1000)) ' +
+        'OR (due_date IS NULL AND created_at = to_timestamp($2::double precision / 1000) AND id > $3::uuid))'
+      );
+      expect(selectValues).toEqual([1704103200000, 1704103200000, last.id, 2]);
+
+      expect(result.tasks.map(task => task.id)).toEqual([rows[0].id]);
+      expect(result.pagination).toEqual({
+        limit: 1,
+        total: 5,
+        hasNext: true,
+        nextCursor: encodeCursor({ ...last, id: rows[0].id }, sort)
+      });
+    });
+
+    test('should reject unknown sort fields', async () => {
+      await expect(taskRepository.getAllTasks({ sortBy: 'id; DROP TABLE tasks' })).rejects.toThrow('Cannot sort by');
+      expect(dbConnection.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject out-of-range limits', async () => {
+      await expect(taskRepository.getAllTasks({ limit: 101 })).rejects.toThrow('Limit must be between 1 and 100');
+    });
+  });
+
+  describe('searchTasks', () => {
+    test('should match words, typos, phrases and exclusions and rank by relevance', async () => {
+      dbConnection.query
+        .mockResolvedValueOnce({ rows: [{ total: 1 }] })
+        .mockResolvedValueOnce({ rows: [buildRow({ rank: '0.35' })] });
+
+      const result = await taskRepository.searchTasks(parseSearchQuery('deploy "release notes" -staging'), {
+        status: 'pending'
+      });
+
+      const [countQuery, countValues] = dbConnection.query.mock.calls[0];
+      expect(countQuery).toContain(
+        "WHERE deleted_at IS NULL AND status = $1 AND (search_vector @@ plainto_tsquery('english', $2) OR $2 <% (title || ' ' || description)) " +
+        "AND search_vector @@ phraseto_tsquery('english', $3) " +
+        "AND NOT (search_vector @@ plainto_tsquery('english', $4))"
+      );
+      expect(countValues).toEqual(['pending', 'deploy', 'release notes', 'staging']);
+
+      const [selectQuery, selectValues] = dbConnection.query.mock.calls[1];
+      expect(selectQuery).toContain(
+        "ts_rank_cd(search_vector, plainto_tsquery('english', $2) || phraseto_tsquery('english', $3)) + " +
+        "0.1 * GREATEST(word_similarity($2, (title || ' ' || description))) AS rank"
+      );
+      expect(selectQuery).toContain('ORDER BY rank DESC, created_at DESC, id ASC');
+      expect(selectValues).toEqual(['pending', 'deploy', 'release notes', 'staging', 10, 0]);
+
+      expect(result.scores).toEqual({ '0b7c7a5e-5f4a-4c1e-9a57-3f1f4f6d2a10': 0.35 });
+      expect(result.pagination.nextCursor).toBeNull();
+    });
+
+    test('should only match short words exactly', async () => {
+      dbConnection.query
+        .mockResolvedValueOnce({ rows: [{ total: 0 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await taskRepository.searchTasks(parseSearchQuery('bug'));
+
+      const [countQuery] = dbConnection.query.mock.calls[0];
+      expect(countQuery).toContain("WHERE deleted_at IS NULL AND search_vector @@ plainto_tsquery('english', $1)");
+      expect(countQuery).not.toContain('<%');
+    });
+
+    test('should order by an explicit sort instead of the rank', async () => {
+      dbConnection.query
+        .mockResolvedValueOnce({ rows: [{ total: 0 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await taskRepository.searchTasks(parseSearchQuery('deploy'), { sort: parseSort('title') });
+
+      const [selectQuery] = dbConnection.query.mock.calls[1];
+      expect(selectQuery).toContain('ORDER BY LOWER(title) ASC, created_at DESC, id ASC');
+    });
+
+    test('should reject cursors for relevance ranking', async () => {
+      await expect(taskRepository.searchTasks(parseSearchQuery('deploy'), { cursor: 'abc' }))
+        .rejects.toThrow('Cursors require an explicit sort when searching');
+      expect(dbConnection.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDueTasks', () => {
+    test('should select tasks due before the cutoff', async () => {
+      dbConnection.query.mockResolvedValue({ rows: [buildRow({ due_date: new Date('2030-05-01T00:00:00.000Z') })] });
+
+      const tasks = await taskRepository.getDueTasks({ dueBefore: '2030-05-02T00:00:00.000Z' });
+
+      expect(dbConnection.query).toHaveBeenCalledWith(
+        expect.stringContaining('due_date <= $1'),
+        ['2030-05-02T00:00:00.000Z']
+      );
+      expect(tasks[0].dueDate).toBe('2030-05-01T00:00:00.000Z');
+    });
+  });
+
+  describe('getDueRecurringTasks', () => {
+    test('should select unpaused series whose next occurrence has arrived', async () => {
+      const recurrence = { schedule: '0 9 * * 1', timezone: 'UTC', paused: false, nextAt: '2030-05-06T09:00:00.000Z' };
+      dbConnection.query.mockResolvedValue({ rows: [buildRow({ recurrence })] });
+
+      const tasks = await taskRepository.getDueRecurringTasks({ dueBefore: '2030-05-06T09:00:30.000Z' });
+
+      expect(dbConnection.query).toHaveBeenCalledWith(
+        expect.stringContaining("(recurrence->>'nextAt')::timestamptz <= $1"),
+        ['2030-05-06T09:00:30.000Z']
+      );
+      expect(tasks[0].recurrence).toEqual(recurrence);
+    });
+  });
+
+  describe('listTasks', () => {
+    test('should scope tasks to the owner and creation cutoff without paging', async () => {
+      const ownerId = '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f';
+      dbConnection.query.mockResolvedValue({ rows: [buildRow()] });
+
+      const tasks = await taskRepository.listTasks({ ownerId, createdBefore: '2030-05-15T00:00:00.000Z' });
+
+      const [sql, values] = dbConnection.query.mock.calls[0];
+      expect(sql).toContain('(created_by = $1 OR assignee_id = $1) AND created_at < $2');
+      expect(sql).not.toContain('LIMIT');
+      expect(values).toEqual([ownerId, '2030-05-15T00:00:00.000Z']);
+      expect(tasks).toHaveLength(1);
+    });
+
+    test('should select deleted tasks by deletion time', async () => {
+      dbConnection.query.mockResolvedValue({ rows: [] });
+
+      await taskRepository.listTasks({ deleted: true, deletedBefore: '2024-01-01T00:00:00.000Z' });
+
+      expect(dbConnection.query).toHaveBeenCalledWith(
+        expect.stringContaining('WHERE deleted_at IS NOT NULL AND deleted_at < $1'),
+        ['2024-01-01T00:00:00.000Z']
+      );
+    });
+  });
+
+  describe('getSubtasks', () => {
+    test('should select tasks by parent ID', async () => {
+      const parentId = buildRow().id;
+      dbConnection.query.mockResolvedValue({
+        rows: [buildRow({ id: '5d2e8f3a-1b4c-4d6e-9f0a-2b3c4d5e6f7a', parent_id: parentId })]
+      });
+
+      const subtasks = await taskRepository.getSubtasks(parentId);
+
+      expect(dbConnection.query).toHaveBeenCalledWith(expect.stringContaining('WHERE parent_id = $1'), [parentId]);
+      expect(subtasks[0].parentId).toBe(parentId);
+    });
+  });
+
+  describe('getTaskById', () => {
+    test('should throw a not found error for unknown IDs', async () => {
+      dbConnection.query.mockResolvedValue({ rows: [] });
+
+      await expect(taskRepository.getTaskById('missing')).rejects.toThrow('Task with ID missing not found');
+    });
+  });
+
+  describe('updateTask', () => {
+    test('should validate through the model and persist the changes', async () => {
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [buildRow()] })
+          .mockResolvedValueOnce({ rows: [buildRow({ status: 'completed' })] })
+      };
+      dbConnection.transaction.mockImplementation(callback => callback(client));
+
+      const task = await taskRepository.updateTask(buildRow().id, { status: 'completed' });
+
+      expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(client.query.mock.calls[1][1]).toEqual(expect.arrayContaining(['completed']));
+      expect(task.status).toBe('completed');
+    });
+
+    test('should reject invalid update data', async () => {
+      const client = {
+        query: jest.fn().mockResolvedValueOnce({ rows: [buildRow()] })
+      };
+      dbConnection.transaction.mockImplementation(callback => callback(client));
+
+      await expect(taskRepository.updateTask(buildRow().id, { status: 'archived' }))
+        .rejects.toThrow('Validation failed');
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should increment the version and check the expected one under the row lock', async () => {
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [buildRow({ version: 3 })] })
+          .mockResolvedValueOnce({ rows: [buildRow({ version: 4, title: 'Renamed' })] })
+      };
+      dbConnection.transaction.mockImplementation(callback => callback(client));
+
+      const task = await taskRepository.updateTask(buildRow().id, { title: 'Renamed' }, { expectedVersions: [3] });
+
+      expect(client.query.mock.calls[1][0]).toContain('version = $13');
+      expect(client.query.mock.calls[1][1][12]).toBe(4);
+      expect(task.version).toBe(4);
+    });
+
+    test('should reject updates of a task at another version', async () => {
+      const client = {
+        query: jest.fn().mockResolvedValueOnce({ rows: [buildRow({ version: 5 })] })
+      };
+      dbConnection.transaction.mockImplementation(callback => callback(client));
+
+      await expect(taskRepository.updateTask(buildRow().id, { title: 'Renamed' }, { expectedVersions: [3] }))
+        .rejects.toThrow('it is at version 5');
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('deleteTask', () => {
+    test('should move the task to the trash', async () => {
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [buildRow()] })
+          .mockResolvedValueOnce({ rows: [buildRow({ version: 2, deleted_at: new Date('2024-01-03T10:00:00.000Z') })] })
+      };
+      dbConnection.transaction.mockImplementation(callback => callback(client));
+
+      const task = await taskRepository.deleteTask(buildRow().id);
+
+      expect(client.query.mock.calls[0][0]).toContain('deleted_at IS NULL FOR UPDATE');
+      expect(client.query.mock.calls[1][0]).toContain('SET deleted_at = $2');
+      expect(client.query.mock.calls[1][1][3]).toBe(2);
+      expect(task.deletedAt).toBe('2024-01-03T10:00:00.000Z');
+    });
+
+    test('should throw a not found error for missing and deleted tasks', async () => {
+      const client = { query: jest.fn().mockResolvedValueOnce({ rows: [] }) };
+      dbConnection.transaction.mockImplementation(callback => callback(client));
+
+      await expect(taskRepository.deleteTask('missing')).rejects.toThrow('not found');
+    });
+
+    test('should only delete a task at an expected version', async () => {
+      const client = { query: jest.fn().mockResolvedValueOnce({ rows: [buildRow({ version: 2 })] }) };
+      dbConnection.transaction.mockImplementation(callback => callback(client));
+
+      await expect(taskRepository.deleteTask(buildRow().id, { expectedVersions: [1] }))
+        .rejects.toThrow('it is at version 2');
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('restoreTask', () => {
+    test('should take the task out of the trash', async () => {
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [buildRow({ version: 2, deleted_at: new Date('2024-01-03T10:00:00.000Z') })] })
+          .mockResolvedValueOnce({ rows: [buildRow({ version: 3 })] })
+      };
+      dbConnection.transaction.mockImplementation(callback => callback(client));
+
+      const task = await taskRepository.restoreTask(buildRow().id);
+
+      expect(client.query.mock.calls[0][0]).toContain('deleted_at IS NOT NULL FOR UPDATE');
+      expect(client.query.mock.calls[1][1].slice(0, 2)).toEqual([buildRow().id, null]);
+      expect(task.deletedAt).toBeNull();
+    });
+
+    test('should report tasks that aren\'t in the trash as not found', async () => {
+      const client = { query: jest.fn().mockResolvedValueOnce({ rows: [] }) };
+      dbConnection.transaction.mockImplementation(callback => callback(client));
+
+      await expect(taskRepository.restoreTask(buildRow().id)).rejects.toThrow('not found in trash');
+    });
+  });
+
+  describe('purgeTask', () => {
+    test('should only delete tasks in the trash', async () => {
+      dbConnection.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(taskRepository.purgeTask(buildRow().id)).rejects.toThrow('not found in trash');
+      expect(dbConnection.query.mock.calls[0][0]).toContain('deleted_at IS NOT NULL');
+    });
+  });
+
+  describe('getStatistics', () => {
+    test('should aggregate per-status counts', async () => {
+      dbConnection.query.mockResolvedValue({
+        rows: [
+          { status: 'pending', count: 2, recently_created: 1, recently_updated: 2 },
+          { status: 'completed', count: 3, recently_created: 0, recently_updated: 1 }
+        ]
+      });
+
+      const stats = await taskRepository.getStatistics();
+
+      expect(stats).toEqual({
+        total: 5,
+        byStatus: { pending: 2, 'in-progress': 0, completed: 3 },
+        recentlyCreated: 1,
+        recentlyUpdated: 3
+      });
+    });
+  });
+});
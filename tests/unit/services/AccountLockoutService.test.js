@@ -0,0 +1,276 @@
+jest.mock('../../../src/database/connection', () => ({
+  isConnected: true,
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/auth/services/emailService', () => ({
+  sendSecurityAlert: jest.fn()
+}));
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const dbConnection = require('../../../src/database/connection');
+const emailService = require('../../../src/auth/services/emailService');
+const tokenService = require('../../../src/auth/services/tokenService');
+const accountLockoutService = require('../../../src/auth/services/accountLockoutService');
+const authService = require('../../../src/auth/services/authService');
+
+describe('AccountLockoutService', () => {
+  const userId = '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f';
+  const passwordHash = bcrypt.hashSync('correct horse battery staple', 4);
+  let now;
+  let account;
+  let failures;
+
+  const unlocked = () => ({
+    unlock_token_hash: null,
+    unlock_token_expires_at: null
+  });
+
+  // The users row of one account and the login_failures table behind the
+  // queries the services send
+  const fakeQuery = async (sql, params = []) => {
+    const updated = { rows: [{ id: userId }] };
+
+    if (sql.includes('FROM users') && sql.includes('WHERE email = $1')) {
+      return {
+        rows: params[0] === account.email
+          ? [{ id: userId, email: account.email, name: 'Alice', password_hash: passwordHash, roles: ['user'], is_active: true, email_verified: true }]
+          : []
+      };
+    }
+    if (sql.includes('FROM users') && sql.includes('WHERE id = $1')) {
+      return {
+        rows: params[0] === userId
+          ? [{ id: userId, email: account.email, name: 'Alice', password_hash: passwordHash, mfa_enabled: false, mfa_required: false }]
+          : []
+      };
+    }
+    if (sql.includes('WITH unlocked AS')) {
+      const matches = sql.includes('unlock_token_hash = $1')
+        ? account.unlock_token_hash === params[0] && account.unlock_token_expires_at > params[1]
+        : params[0] === userId;
+      if (!matches) return { rows: [] };
+      Object.assign(account, unlocked());
+      failures.delete(account.email);
+      return updated;
+    }
+    if (sql.includes('SELECT locked_until, throttled_until')) {
+      return { rows: failures.has(params[0]) ? [{ ...failures.get(params[0]) }] : [] };
+    }
+    if (sql.includes('DELETE FROM login_failures') && sql.includes('last_failed_at < $1')) {
+      const [resetBefore, current] = params;
+      failures.forEach((row, email) => {
+        if (row.last_failed_at < resetBefore && !(row.locked_until > current)) failures.delete(email);
+      });
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO login_failures')) {
+      const [failedAt, resetBefore, email] = params;
+      const row = failures.get(email);
+      const failedAttempts = !row || row.last_failed_at < resetBefore ? 1 : row.failed_attempts + 1;
+      failures.set(email, { throttled_until: null, locked_until: null, ...row, failed_attempts: failedAttempts, last_failed_at: failedAt });
+      return { rows: [{ failed_attempts: failedAttempts }] };
+    }
+    if (sql.includes('locked_until = $1')) {
+      const row = failures.get(params[1]);
+      if (row.locked_until && row.locked_until > params[2]) return { rows: [] };
+      Object.assign(row, { failed_attempts: 0, throttled_until: null, locked_until: params[0] });
+      return { rows: [{ email: params[1] }] };
+    }
+    if (sql.includes('SET throttled_until = $1')) {
+      failures.get(params[1]).throttled_until = params[0];
+      return { rows: [] };
+    }
+    if (sql.includes('SET unlock_token_hash = $1')) {
+      Object.assign(account, { unlock_token_hash: params[0], unlock_token_expires_at: params[1] });
+      return updated;
+    }
+    if (sql.includes('DELETE FROM login_failures')) {
+      failures.delete(params[0]);
+      return { rows: [] };
+    }
+    if (sql.includes('unlock_token_hash IS NOT NULL')) {
+      Object.assign(account, unlocked());
+      return { rows: [] };
+    }
+    if (sql.includes('SET last_login_at = CURRENT_TIMESTAMP')) {
+      return { rows: [] };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  const advance = seconds => {
+    now += seconds * 1000;
+    Date.now.mockReturnValue(now);
+  };
+
+  const failLogin = () => authService.login(account.email, 'wrong password', { ipAddress: '203.0.113.7' });
+
+  beforeEach(() => {
+    now = new Date('2030-05-06T09:00:00.000Z').getTime();
+    account = { email: 'alice@example.com', ...unlocked() };
+    failures = new Map();
+    dbConnection.query.mockImplementation(fakeQuery);
+    emailService.sendSecurityAlert.mockResolvedValue({ success: true });
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    jest.spyOn(tokenService, 'generateTokenPair').mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+  });
+
+  test('should double the delay between attempts after the throttle threshold', () => {
+    expect([1, 2, 3, 4, 5, 6, 9, 12].map(attempts => accountLockoutService.getThrottleDelay(attempts)))
+      .toEqual([0, 0, 1, 2, 4, 8, 60, 60]);
+  });
+
+  test('should throttle attempts before checking the password', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await expect(failLogin()).rejects.toThrow('Invalid email or password');
+    }
+
+    // The right password has to wait as well
+    await expect(authService.login(account.email, 'correct horse battery staple'))
+      .rejects.toMatchObject({ message: 'Too many failed login attempts', retryAfter: 1 });
+    expect(failures.get(account.email).failed_attempts).toBe(3);
+
+    advance(1);
+    await expect(failLogin()).rejects.toThrow('Invalid email or password');
+    await expect(failLogin()).rejects.toMatchObject({ retryAfter: 2 });
+  });
+
+  test('should forget failed logins after a successful one or after a while', async () => {
+    await expect(failLogin()).rejects.toThrow('Invalid email or password');
+    await expect(failLogin()).rejects.toThrow('Invalid email or password');
+
+    await expect(authService.login(account.email, 'correct horse battery staple')).resolves.toMatchObject({ success: true });
+    expect(failures.has(account.email)).toBe(false);
+
+    await expect(failLogin()).rejects.toThrow('Invalid email or password');
+    advance(61 * 60);
+    await accountLockoutService.recordFailedLogin(account.email, userId);
+    expect(failures.get(account.email).failed_attempts).toBe(1);
+  });
+
+  test('should lock the account, email an unlock link and emit accountLocked', async () => {
+    const lockEvents = [];
+    const listener = event => lockEvents.push(event);
+    authService.on('accountLocked', listener);
+
+    try {
+      for (let attempt = 0; attempt < 10; attempt++) {
+        await expect(failLogin()).rejects.toThrow('Invalid email or password');
+        advance(60);
+      }
+    } finally {
+      authService.off('accountLocked', listener);
+    }
+
+    expect(lockEvents).toEqual([{
+      userId,
+      reason: 'too_many_failed_logins',
+      failedAttempts: 10,
+      lockedUntil: new Date(now - 60 * 1000 + 30 * 60 * 1000),
+      ipAddress: '203.0.113.7',
+      timestamp: now - 60 * 1000
+    }]);
+
+    const [user, alertType, { unlockUrl }] = emailService.sendSecurityAlert.mock.calls[0];
+    expect(user.email).toBe(account.email);
+    expect(alertType).toBe('ACCOUNT_LOCKED');
+    expect(unlockUrl).toMatch(/^http:\/\/localhost:3000\/auth\/unlock-account\?token=[0-9a-f]{64}$/);
+
+    const token = new URL(unlockUrl).searchParams.get('token');
+    expect(account.unlock_token_hash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+
+    await expect(authService.login(account.email, 'correct horse battery staple'))
+      .rejects.toMatchObject({ message: 'Account is temporarily locked', retryAfter: 29 * 60 });
+
+    // The link works once
+    await expect(authService.unlockAccount(token)).resolves.toBe(userId);
+    await expect(authService.unlockAccount(token)).rejects.toThrow('Invalid or expired unlock token');
+    await expect(authService.login(account.email, 'correct horse battery staple')).resolves.toMatchObject({ success: true });
+  });
+
+  test('should expire the lock and the unlock link', async () => {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      await accountLockoutService.recordFailedLogin(account.email, userId);
+      advance(60);
+    }
+    const token = 'not-the-emailed-token';
+
+    await expect(accountLockoutService.unlockWithToken(token)).rejects.toThrow('Invalid or expired unlock token');
+
+    advance(30 * 60);
+    await expect(accountLockoutService.assertLoginAllowed(account.email)).resolves.toBeUndefined();
+
+    // Locking started the count over
+    const result = await accountLockoutService.recordFailedLogin(account.email, userId);
+    expect(result).toEqual({ failedAttempts: 1, locked: false, retryAfter: 0 });
+  });
+
+  test('should let admins unlock accounts', async () => {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      await accountLockoutService.recordFailedLogin(account.email, userId);
+    }
+    await expect(accountLockoutService.assertLoginAllowed(account.email)).rejects.toThrow('Account is temporarily locked');
+
+    await accountLockoutService.unlock(userId);
+
+    expect(account).toMatchObject(unlocked());
+    expect(failures.has(account.email)).toBe(false);
+    await expect(accountLockoutService.assertLoginAllowed(account.email)).resolves.toBeUndefined();
+    await expect(accountLockoutService.unlock('5b7d9f1a-3c5e-4a7b-9d1f-2a4c6e8b0d2f')).rejects.toThrow('User not found');
+  });
+
+  test('should count wrong passwords at re-authentication toward the lockout', async () => {
+    const reauthenticate = password => authService.reauthenticate(userId, { password }, { ipAddress: '203.0.113.7' });
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      await expect(reauthenticate('wrong password')).rejects.toThrow('Password is incorrect');
+      advance(60);
+    }
+
+    expect(emailService.sendSecurityAlert).toHaveBeenCalledWith(expect.objectContaining({ email: account.email }), 'ACCOUNT_LOCKED', expect.anything());
+    await expect(reauthenticate('correct horse battery staple'))
+      .rejects.toMatchObject({ message: 'Account is temporarily locked', retryAfter: 29 * 60 });
+    await expect(authService.login(account.email, 'correct horse battery staple')).rejects.toThrow('Account is temporarily locked');
+  });
+
+  test('should throttle and lock unknown addresses the same way as accounts', async () => {
+    const lockEvents = [];
+    const listener = event => lockEvents.push(event);
+    authService.on('accountLocked', listener);
+
+    // What each attempt answers, for an account and for an address nobody has
+    const attempts = async email => {
+      const answers = [];
+      for (let attempt = 0; attempt < 20; attempt++) {
+        const error = await authService.login(email, 'wrong password').catch(caught => caught);
+        answers.push([error.message, error.retryAfter]);
+        if (error.message === 'Too many failed login attempts') {
+          advance(error.retryAfter);
+        }
+      }
+      return answers;
+    };
+
+    try {
+      const known = await attempts(account.email);
+      now = new Date('2030-05-06T09:00:00.000Z').getTime();
+      Date.now.mockReturnValue(now);
+      const unknown = await attempts('Mallory@Example.com');
+
+      expect(unknown).toEqual(known);
+      expect(known).toContainEqual(['Too many failed login attempts', 1]);
+      expect(known.slice(-1)).toEqual([['Account is temporarily locked', 30 * 60]]);
+    } finally {
+      authService.off('accountLocked', listener);
+    }
+
+    // Only the account is emailed an unlock link
+    expect(failures.get('mallory@example.com').locked_until).toEqual(expect.any(Date));
+    expect(lockEvents).toEqual([expect.objectContaining({ userId })]);
+    expect(emailService.sendSecurityAlert).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,85 @@
+const { HealthCheckService } = require('../../../src/services/healthCheckService');
+
+describe('HealthCheckService', () => {
+  let calls;
+
+  // A check that counts its runs and answers with `outcome` after `delay` ms
+  const fakeCheck = ({ outcome = 'up', delay = 0, timeoutMs = 100, enabled = true } = {}) => ({
+    timeoutMs,
+    enabled: () => enabled,
+    run: async () => {
+      calls += 1;
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      if (outcome !== 'up') {
+        throw new Error(outcome);
+      }
+
+      return { ok: true };
+    }
+  });
+
+  const createService = (checks, critical = ['database']) =>
+    new HealthCheckService({ cacheTtlMs: 1000, critical }, checks);
+
+  beforeEach(() => {
+    calls = 0;
+  });
+
+  test('should be healthy when every dependency is up', async () => {
+    const service = createService({ database: fakeCheck(), smtp: fakeCheck() });
+
+    const { status, checks } = await service.checkAll();
+
+    expect(status).toBe('healthy');
+    expect(checks.database).toMatchObject({ status: 'up', critical: true, details: { ok: true } });
+    expect(checks.smtp).toMatchObject({ status: 'up', critical: false });
+  });
+
+  test('should only be degraded when a non-critical dependency is down', async () => {
+    const service = createService({ database: fakeCheck(), smtp: fakeCheck({ outcome: 'Connection refused' }) });
+
+    const { status, checks } = await service.checkAll();
+
+    expect(status).toBe('degraded');
+    expect(checks.smtp).toMatchObject({ status: 'down', error: 'Connection refused' });
+  });
+
+  test('should be unhealthy when a critical dependency is down', async () => {
+    const service = createService({ database: fakeCheck({ outcome: 'Database not connected' }), smtp: fakeCheck() });
+
+    expect((await service.checkAll()).status).toBe('unhealthy');
+  });
+
+  test('should fail checks that exceed their timeout', async () => {
+    const service = createService({ database: fakeCheck(), storage: fakeCheck({ delay: 200, timeoutMs: 20 }) });
+
+    const { status, checks } = await service.checkAll();
+
+    expect(status).toBe('degraded');
+    expect(checks.storage).toMatchObject({ status: 'down', error: 'No response within 20ms' });
+    expect(checks.storage.durationMs).toBeLessThan(200);
+  });
+
+  test('should skip dependencies the deployment does not use', async () => {
+    const service = createService({ database: fakeCheck(), redis: fakeCheck({ enabled: false }) });
+
+    const { status, checks } = await service.checkAll();
+
+    expect(status).toBe('healthy');
+    expect(checks.redis).toEqual({ status: 'skipped', critical: false, checkedAt: expect.any(String) });
+    expect(calls).toBe(1);
+  });
+
+  test('should cache results and share running checks between probes', async () => {
+    const service = createService({ database: fakeCheck({ delay: 20 }) });
+
+    await Promise.all([service.checkAll(), service.checkAll(), service.checkAll()]);
+    await service.checkAll();
+    expect(calls).toBe(1);
+
+    service.clear();
+    await service.checkAll();
+    expect(calls).toBe(2);
+  });
+});
@@ -0,0 +1,192 @@
+jest.mock('../../../src/database/connection', () => ({
+  isConnected: true,
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'mfa-test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const dbConnection = require('../../../src/database/connection');
+const mfaService = require('../../../src/auth/services/mfaService');
+const authService = require('../../../src/auth/services/authService');
+const tokenService = require('../../../src/auth/services/tokenService');
+const userRoutes = require('../../../src/auth/routes/userRoutes');
+const { generateCode } = require('../../../src/utils/totp');
+
+describe('MfaService', () => {
+  const user = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', email: 'alice@example.com' };
+  const now = new Date('2030-05-06T09:00:10.000Z').getTime();
+  let account;
+  let recoveryCodes;
+
+  // The users row and recovery codes of one account, behind the queries
+  // the service sends
+  const fakeQuery = async (sql, params = []) => {
+    const updated = () => ({ rows: [{ id: user.id, mfa_enabled: account.mfa_enabled, mfa_required: account.mfa_required }] });
+    const none = { rows: [] };
+
+    if (sql.includes('LEFT JOIN user_mfa_recovery_codes')) {
+      return { rows: [{ ...account, recovery_codes_remaining: String(recoveryCodes.filter(code => !code.used_at).length) }] };
+    }
+    if (sql.includes('SELECT mfa_enabled, mfa_secret')) {
+      return { rows: [account] };
+    }
+    if (sql.includes('SET mfa_secret = $1')) {
+      if (account.mfa_enabled) return none;
+      Object.assign(account, { mfa_secret: params[0], mfa_last_used_step: null });
+      return updated();
+    }
+    if (sql.includes('SET mfa_last_used_step = $1')) {
+      if (account.mfa_last_used_step !== null && account.mfa_last_used_step >= params[0]) return none;
+      account.mfa_last_used_step = params[0];
+      return updated();
+    }
+    if (sql.includes('SET mfa_enabled = true')) {
+      Object.assign(account, { mfa_enabled: true, mfa_enabled_at: new Date() });
+      return updated();
+    }
+    if (sql.includes('SET mfa_enabled = false')) {
+      if (account.mfa_required) return none;
+      Object.assign(account, { mfa_enabled: false, mfa_secret: null, mfa_enabled_at: null, mfa_last_used_step: null });
+      return updated();
+    }
+    if (sql.includes('SET mfa_required = $1')) {
+      account.mfa_required = params[0];
+      return updated();
+    }
+    if (sql.includes('DELETE FROM user_mfa_recovery_codes')) {
+      recoveryCodes = [];
+      return none;
+    }
+    if (sql.includes('INSERT INTO user_mfa_recovery_codes')) {
+      recoveryCodes = params[1].map(codeHash => ({ code_hash: codeHash, used_at: null }));
+      return none;
+    }
+    if (sql.includes('UPDATE user_mfa_recovery_codes')) {
+      const code = recoveryCodes.find(candidate => candidate.code_hash === params[1] && !candidate.used_at);
+      if (!code) return none;
+      code.used_at = new Date();
+      return { rows: [{ id: 'code' }] };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  const enroll = async () => {
+    const { secret } = await mfaService.beginEnrollment(user);
+    const result = await mfaService.confirmEnrollment(user.id, generateCode(secret));
+    return { secret, ...result };
+  };
+
+  beforeEach(() => {
+    account = { mfa_enabled: false, mfa_required: false, mfa_secret: null, mfa_enabled_at: null, mfa_last_used_step: null };
+    recoveryCodes = [];
+    dbConnection.query.mockImplementation(fakeQuery);
+    dbConnection.transaction.mockImplementation(callback => callback());
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  test('should enroll with a provisioning URI and store the secret encrypted', async () => {
+    const { secret, otpauthUri } = await mfaService.beginEnrollment(user);
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(otpauthUri).toBe(`otpauth://totp/SpecPulse%3Aalice%40example.com?secret=${secret}&issuer=SpecPulse&algorithm=SHA1&digits=6&period=30`);
+    expect(account.mfa_secret).not.toContain(secret);
+    expect((await mfaService.getStatus(user.id)).enabled).toBe(false);
+
+    await expect(mfaService.confirmEnrollment(user.id, '000000')).rejects.toThrow('Invalid two-factor code');
+
+    const { recoveryCodes: codes } = await mfaService.confirmEnrollment(user.id, generateCode(secret));
+
+    expect(codes).toHaveLength(10);
+    codes.forEach(code => expect(code).toMatch(/^[A-Z2-7]{4}-[A-Z2-7]{4}$/));
+    expect(recoveryCodes.map(code => code.code_hash)).not.toContain(codes[0]);
+    expect(await mfaService.getStatus(user.id)).toEqual({
+      enabled: true,
+      required: false,
+      enabledAt: expect.any(Date),
+      recoveryCodesRemaining: 10
+    });
+    await expect(mfaService.beginEnrollment(user)).rejects.toThrow('already enabled');
+  });
+
+  test('should refuse to confirm an enrollment that was never started', async () => {
+    await expect(mfaService.confirmEnrollment(user.id, '123456')).rejects.toThrow('has not been set up');
+  });
+
+  test('should accept each TOTP code only once', async () => {
+    const { secret } = await enroll();
+
+    // The enrollment used the current code
+    await expect(mfaService.verify(user.id, { code: generateCode(secret) })).rejects.toThrow('Invalid two-factor code');
+
+    const nextCode = generateCode(secret, now + 30 * 1000);
+    await expect(mfaService.verify(user.id, { code: nextCode })).resolves.toEqual({ method: 'totp' });
+    await expect(mfaService.verify(user.id, { code: nextCode })).rejects.toThrow('Invalid two-factor code');
+  });
+
+  test('should use up recovery codes', async () => {
+    const { recoveryCodes: codes } = await enroll();
+
+    await expect(mfaService.verify(user.id, { recoveryCode: codes[0].toLowerCase().replace('-', '') }))
+      .resolves.toEqual({ method: 'recovery_code' });
+    await expect(mfaService.verify(user.id, { recoveryCode: codes[0] })).rejects.toThrow('Invalid two-factor code');
+    expect((await mfaService.getStatus(user.id)).recoveryCodesRemaining).toBe(9);
+
+    const { recoveryCodes: replaced } = await mfaService.regenerateRecoveryCodes(user.id);
+
+    await expect(mfaService.verify(user.id, { recoveryCode: codes[1] })).rejects.toThrow('Invalid two-factor code');
+    await expect(mfaService.verify(user.id, { recoveryCode: replaced[0] })).resolves.toEqual({ method: 'recovery_code' });
+  });
+
+  test('should only turn two-factor authentication off when it is not required', async () => {
+    await enroll();
+    await mfaService.setRequired(user.id, true);
+
+    await expect(mfaService.disable(user.id)).rejects.toThrow('required for this account');
+
+    await mfaService.setRequired(user.id, false);
+    await mfaService.disable(user.id);
+
+    expect(await mfaService.getStatus(user.id)).toMatchObject({ enabled: false, recoveryCodesRemaining: 0 });
+    expect(recoveryCodes).toEqual([]);
+    await expect(mfaService.verify(user.id, { code: '123456' })).rejects.toThrow('not enabled');
+  });
+
+  test('should only set two-factor authentication up after a recent re-authentication', async () => {
+    jest.spyOn(authService, 'getUserById').mockResolvedValue({ ...user, isActive: true, toJSON: () => user });
+    const app = express();
+    app.use(express.json());
+    app.use('/user', userRoutes);
+
+    const accessToken = `Bearer ${jwt.sign({ sub: user.id, type: 'access' }, process.env.JWT_SECRET, {
+      issuer: 'specpulse-auth',
+      audience: 'specpulse-users'
+    })}`;
+    const post = (path, reauthToken) => {
+      const pending = request(app).post(path).set('Authorization', accessToken);
+      return reauthToken ? pending.set('X-Reauth-Token', reauthToken) : pending;
+    };
+
+    // A stolen access token alone can't enroll an authenticator
+    const refused = await post('/user/mfa/setup');
+    expect(refused.status).toBe(403);
+    expect(refused.body.code).toBe('REAUTHENTICATION_REQUIRED');
+    expect(account.mfa_secret).toBeNull();
+
+    const reauthToken = tokenService.createReauthToken(user);
+    const setup = await post('/user/mfa/setup', reauthToken);
+    expect(setup.status).toBe(200);
+    const code = generateCode(setup.body.data.secret);
+
+    expect((await post('/user/mfa/enable').send({ code })).status).toBe(403);
+    expect(account.mfa_enabled).toBe(false);
+
+    const enabled = await post('/user/mfa/enable', reauthToken).send({ code });
+    expect(enabled.status).toBe(200);
+    expect(account.mfa_enabled).toBe(true);
+  });
+});
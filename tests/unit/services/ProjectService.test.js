@@ -0,0 +1,193 @@
+const ProjectService = require('../../../src/services/projectService');
+const TaskService = require('../../../src/services/taskService');
+const projectStore = require('../../../src/repositories/project/projectStore');
+const dataStore = require('../../../src/utils/dataStore');
+const { hasProjectRole } = require('../../../src/auth/middleware/rbacMiddleware');
+
+describe('ProjectService', () => {
+  const alice = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', roles: ['user'] };
+  const bob = { id: '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b', roles: ['user'] };
+  const carol = { id: '5b7d9f1a-3c5e-4a7b-9d1f-2a4c6e8b0d2f', roles: ['user'] };
+  const admin = { id: '0d4f6c1e-2b3a-4c5d-8e9f-0a1b2c3d4e5f', roles: ['user', 'admin'] };
+
+  let project;
+
+  const loadProject = () => projectStore.findById(project.id);
+
+  beforeEach(async () => {
+    dataStore.clearAllTasks();
+    await projectStore.clear();
+
+    project = (await ProjectService.createProject({
+      name: 'Apollo',
+      labels: [{ name: 'bug', color: '#D73A4A' }, { name: 'docs', color: '#0075ca' }]
+    }, alice)).data;
+
+    await ProjectService.setMember(await loadProject(), bob.id, 'member', alice);
+    await ProjectService.setMember(await loadProject(), carol.id, 'viewer', alice);
+  });
+
+  describe('membership', () => {
+    test('should make the creator the owner', () => {
+      expect(project.members).toEqual([
+        expect.objectContaining({ userId: alice.id, role: 'owner' })
+      ]);
+    });
+
+    test('should list only the projects the user is a member of', async () => {
+      await ProjectService.createProject({ name: 'Hermes' }, bob);
+
+      expect((await ProjectService.listProjects(carol)).data.map(p => p.name)).toEqual(['Apollo']);
+      expect((await ProjectService.listProjects(bob)).data.map(p => p.name)).toEqual(['Apollo', 'Hermes']);
+      expect((await ProjectService.listProjects(admin)).data).toHaveLength(2);
+    });
+
+    test('should check project roles through the rbac helpers', async () => {
+      const stored = await loadProject();
+
+      expect(hasProjectRole(bob, stored, 'member')).toBe(true);
+      expect(hasProjectRole(bob, stored, 'manager')).toBe(false);
+      expect(hasProjectRole(carol, stored, 'member')).toBe(false);
+      expect(hasProjectRole(admin, stored, 'owner')).toBe(true);
+    });
+
+    test('should report projects of other users as not found', async () => {
+      const other = (await ProjectService.createProject({ name: 'Hermes' }, bob)).data;
+
+      await expect(ProjectService.getAccessibleProject(other.id, carol)).rejects.toThrow('not found');
+      await expect(ProjectService.getAccessibleProject(other.id, admin)).resolves.toBeTruthy();
+    });
+
+    test('should only let owners grant the owner role', async () => {
+      const stored = await loadProject();
+      stored.setMember(bob.id, 'manager');
+
+      await expect(ProjectService.setMember(stored, carol.id, 'owner', bob)).rejects.toThrow('Access denied');
+      await expect(ProjectService.setMember(stored, carol.id, 'member', bob)).resolves.toBeTruthy();
+    });
+
+    test('should always keep an owner', async () => {
+      await expect(ProjectService.setMember(await loadProject(), alice.id, 'member', alice))
+        .rejects.toThrow('at least one owner');
+      await expect(ProjectService.removeMember(await loadProject(), alice.id, alice))
+        .rejects.toThrow('at least one owner');
+    });
+
+    test('should let members leave but not remove others', async () => {
+      await expect(ProjectService.removeMember(await loadProject(), bob.id, carol)).rejects.toThrow('Access denied');
+
+      const result = await ProjectService.removeMember(await loadProject(), carol.id, carol);
+      expect(result.data.map(member => member.userId)).toEqual([alice.id, bob.id]);
+    });
+  });
+
+  describe('project tasks', () => {
+    let task;
+
+    beforeEach(async () => {
+      task = (await TaskService.createTask({ title: 'Fix login', projectId: project.id, tags: ['bug'] }, alice)).data;
+    });
+
+    test('should show project tasks to every member', async () => {
+      const result = await TaskService.getAllTasks({ page: 1, limit: 10 }, carol);
+
+      expect(result.data.map(t => t.id)).toEqual([task.id]);
+      await expect(TaskService.getTaskById(task.id, carol)).resolves.toBeTruthy();
+    });
+
+    test('should keep tasks of other projects hidden', async () => {
+      const other = (await ProjectService.createProject({ name: 'Hermes' }, bob)).data;
+      const hidden = (await TaskService.createTask({ title: 'Secret', projectId: other.id }, bob)).data;
+
+      await expect(TaskService.getTaskById(hidden.id, carol)).rejects.toThrow('not found');
+    });
+
+    test('should let members but not viewers change tasks', async () => {
+      await expect(TaskService.updateTask(task.id, { title: 'Renamed' }, bob)).resolves.toBeTruthy();
+      await expect(TaskService.updateTask(task.id, { title: 'Nope' }, carol)).rejects.toThrow('Access denied');
+      await expect(TaskService.createTask({ title: 'Nope', projectId: project.id }, carol)).rejects.toThrow('Access denied');
+    });
+
+    test('should keep non-members from adding tasks', async () => {
+      const outsider = { id: '9c8b7a6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d', roles: ['user'] };
+
+      await expect(TaskService.createTask({ title: 'Nope', projectId: project.id }, outsider)).rejects.toThrow('not found');
+    });
+
+    test('should let managers delete any task in the project', async () => {
+      await expect(TaskService.deleteTask(task.id, bob)).rejects.toThrow('project manager');
+
+      await ProjectService.setMember(await loadProject(), bob.id, 'manager', alice);
+      await expect(TaskService.deleteTask(task.id, bob)).resolves.toBeTruthy();
+    });
+
+    test('should only accept project labels as tags', async () => {
+      await expect(TaskService.createTask({ title: 'Tagged', projectId: project.id, tags: ['feature'] }, alice))
+        .rejects.toThrow('Not labels of project "Apollo": feature');
+      await expect(TaskService.updateTask(task.id, { tags: ['Docs'] }, alice)).resolves.toBeTruthy();
+    });
+
+    test('should scope lists, search and statistics by project', async () => {
+      await TaskService.createTask({ title: 'Fix logout' }, alice);
+
+      const list = await TaskService.getAllTasks({ page: 1, limit: 10, projectId: project.id }, alice);
+      const search = await TaskService.searchTasks('fix', { page: 1, limit: 10, projectId: project.id }, alice);
+      const stats = await TaskService.getStatistics(alice, { projectId: project.id });
+
+      expect(list.data.map(t => t.id)).toEqual([task.id]);
+      expect(search.data.map(t => t.id)).toEqual([task.id]);
+      expect(stats.data.total).toBe(1);
+    });
+
+    test('should report a project scope the user is not in as not found', async () => {
+      const other = (await ProjectService.createProject({ name: 'Hermes' }, bob)).data;
+
+      await expect(TaskService.getAllTasks({ page: 1, limit: 10, projectId: other.id }, carol)).rejects.toThrow('not found');
+      await expect(TaskService.getStatistics(carol, { projectId: other.id })).rejects.toThrow('not found');
+    });
+
+    test('should refuse to delete a project that still has tasks', async () => {
+      await expect(ProjectService.deleteProject(await loadProject())).rejects.toThrow('still has 1 tasks');
+
+      await TaskService.deleteTask(task.id, alice);
+      await expect(ProjectService.deleteProject(await loadProject())).resolves.toBeTruthy();
+    });
+  });
+
+  describe('board', () => {
+    test('should group tasks into one column per workflow state by default', async () => {
+      await TaskService.createTask({ title: 'Write docs', projectId: project.id, status: 'completed', tags: ['docs'] }, alice);
+      await TaskService.createTask({ title: 'Fix login', projectId: project.id, tags: ['bug'] }, alice);
+
+      const { data } = await ProjectService.getBoard(await loadProject());
+
+      expect(data.columns.map(column => [column.name, column.tasks.map(t => t.title)])).toEqual([
+        ['pending', ['Fix login']],
+        ['in-progress', []],
+        ['completed', ['Write docs']]
+      ]);
+      expect(data.columns[0].tasks[0].labels).toEqual([{ name: 'bug', color: '#d73a4a' }]);
+      expect(data.truncated).toBe(false);
+    });
+
+    test('should use custom columns mapped to workflow statuses', async () => {
+      await ProjectService.updateProject(await loadProject(), {
+        columns: [
+          { name: 'To do', statuses: ['pending'] },
+          { name: 'Doing', statuses: ['in-progress', 'completed'] }
+        ]
+      });
+      await TaskService.createTask({ title: 'Done', projectId: project.id, status: 'completed' }, alice);
+
+      const { data } = await ProjectService.getBoard(await loadProject());
+
+      expect(data.columns.map(column => [column.name, column.tasks.length])).toEqual([['To do', 0], ['Doing', 1]]);
+    });
+
+    test('should reject columns that leave a status unmapped', async () => {
+      await expect(ProjectService.updateProject(await loadProject(), {
+        columns: [{ name: 'To do', statuses: ['pending'] }]
+      })).rejects.toThrow('unmapped: in-progress, completed');
+    });
+  });
+});
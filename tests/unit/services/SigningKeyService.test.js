@@ -0,0 +1,250 @@
+jest.mock('../../../src/database/connection', () => ({
+  isConnected: true,
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dbConnection = require('../../../src/database/connection');
+const config = require('../../../src/shared/config/environment');
+const tokenService = require('../../../src/auth/services/tokenService');
+const authService = require('../../../src/auth/services/authService');
+const signingKeyService = require('../../../src/auth/services/signingKeyService');
+const wsAuthMiddleware = require('../../../src/websocket/authMiddleware');
+
+describe('SigningKeyService', () => {
+  const user = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', email: 'alice@example.com', roles: ['user'] };
+  const DAY = 24 * 60 * 60 * 1000;
+  const { algorithm: configuredAlgorithm, encryptionKey: configuredEncryptionKey, acceptLegacyUntil: configuredCutoff } = config.jwtKeys;
+  let now;
+  let rows;
+
+  // The jwt_signing_keys table behind the queries the service sends
+  const fakeQuery = async (sql, params = []) => {
+    if (sql.includes('pg_advisory_xact_lock')) {
+      return { rows: [] };
+    }
+    if (sql.includes('DELETE FROM jwt_signing_keys')) {
+      rows = rows.filter(row => !(row.expires_at && row.expires_at <= params[0]));
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE jwt_signing_keys')) {
+      rows.filter(row => !row.expires_at).forEach(row => { row.expires_at = params[0]; });
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO jwt_signing_keys')) {
+      const [kid, algorithm, publicKey, privateKey, createdAt, activatesAt] = params;
+      rows.push({ kid, algorithm, public_key: publicKey, private_key: privateKey, created_at: createdAt, activates_at: activatesAt, expires_at: null });
+      return { rows: [] };
+    }
+    if (sql.includes('FROM jwt_signing_keys')) {
+      return {
+        rows: rows
+          .filter(row => !row.expires_at || row.expires_at > params[0])
+          .sort((a, b) => a.activates_at - b.activates_at)
+          .map(row => ({ ...row }))
+      };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  const advance = ms => {
+    now += ms;
+    Date.now.mockReturnValue(now);
+  };
+
+  const kidOf = token => jwt.decode(token, { complete: true }).header.kid;
+
+  // What another service does with nothing but the published key set
+  const verifyWithJwks = (token, jwks) => {
+    const jwk = jwks.keys.find(key => key.kid === kidOf(token));
+    if (!jwk) {
+      throw new Error('No key for the token');
+    }
+
+    return jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+      algorithms: [jwk.alg],
+      issuer: 'specpulse-auth',
+      audience: 'specpulse-client'
+    });
+  };
+
+  beforeEach(() => {
+    now = new Date('2030-05-06T09:00:00.000Z').getTime();
+    rows = [];
+    config.jwtKeys.algorithm = 'RS256';
+    config.jwtKeys.encryptionKey = 'test-key-encryption-key';
+    config.jwtKeys.acceptLegacyUntil = null;
+    signingKeyService.keys = new Map();
+    dbConnection.query.mockImplementation(fakeQuery);
+    dbConnection.transaction.mockImplementation(callback => callback());
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    signingKeyService.stop();
+    Object.assign(config.jwtKeys, {
+      algorithm: configuredAlgorithm,
+      encryptionKey: configuredEncryptionKey,
+      acceptLegacyUntil: configuredCutoff
+    });
+  });
+
+  test('should keep signing with the access token secret under HS256', async () => {
+    config.jwtKeys.algorithm = 'HS256';
+    await signingKeyService.initialize();
+
+    const token = tokenService.generateAccessToken(user);
+
+    expect(jwt.decode(token, { complete: true }).header).toEqual({ alg: 'HS256', typ: 'JWT' });
+    expect(jwt.verify(token, config.jwt.accessSecret).sub).toBe(user.id);
+    expect(signingKeyService.getJwks()).toEqual({ keys: [] });
+    expect(dbConnection.query).not.toHaveBeenCalled();
+  });
+
+  test('should sign with a key pair that the published key set verifies', async () => {
+    await signingKeyService.initialize();
+
+    const token = tokenService.generateAccessToken(user);
+    const jwks = signingKeyService.getJwks();
+
+    expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'RS256', kid: rows[0].kid });
+    expect(jwks.keys).toEqual([expect.objectContaining({ kty: 'RSA', kid: rows[0].kid, alg: 'RS256', use: 'sig' })]);
+    expect(jwks.keys[0]).not.toHaveProperty('d');
+    expect(verifyWithJwks(token, jwks)).toMatchObject({ sub: user.id, type: 'access' });
+    expect(tokenService.verifyToken(token, 'access')).toMatchObject({ sub: user.id });
+
+    // The kid is the RFC 7638 thumbprint, and the private key is stored encrypted
+    const { e, kty, n } = jwks.keys[0];
+    expect(rows[0].kid).toBe(crypto.createHash('sha256').update(JSON.stringify({ e, kty, n })).digest('base64url'));
+    expect(rows[0].private_key).not.toContain('PRIVATE KEY');
+    expect(rows[0].activates_at).toEqual(new Date(now));
+  });
+
+  test('should give special-purpose tokens an audience of their own', async () => {
+    await signingKeyService.initialize();
+    const jwks = signingKeyService.getJwks();
+    const tokens = {
+      mfa_pending: tokenService.createMfaPendingToken(user),
+      reauth: tokenService.createReauthToken(user),
+      email_verification: tokenService.createEmailVerificationToken(user),
+      password_reset: tokenService.createPasswordResetToken(user)
+    };
+
+    Object.entries(tokens).forEach(([type, token]) => {
+      expect(jwt.decode(token).aud).toBe(`specpulse-client:${type}`);
+      expect(() => verifyWithJwks(token, jwks)).toThrow('jwt audience invalid');
+      expect(() => tokenService.verifyToken(token, 'access')).toThrow('Invalid token');
+      expect(tokenService.verifySpecialToken(token, type)).toMatchObject({ sub: user.id, type });
+    });
+
+    expect(() => tokenService.verifyToken(tokens.reauth, 'mfa_pending')).toThrow('Invalid token');
+  });
+
+  test('should publish the next key before it signs and honor the grace period of the old one', async () => {
+    await signingKeyService.initialize();
+    const oldKid = rows[0].kid;
+
+    // Not due yet
+    advance(29 * DAY);
+    await signingKeyService.rotateIfDue();
+    expect(rows).toHaveLength(1);
+
+    advance(DAY);
+    await signingKeyService.rotateIfDue();
+    expect(rows).toHaveLength(2);
+    const newKid = rows[1].kid;
+
+    // Listed right away, but the old key signs until every instance has loaded the new one
+    expect(signingKeyService.getJwks().keys.map(key => key.kid)).toEqual([oldKid, newKid]);
+    const oldToken = tokenService.createShortLivedToken(user, 'access', '3d');
+    expect(kidOf(oldToken)).toBe(oldKid);
+
+    advance(2 * config.jwtKeys.checkIntervalMs);
+    const newToken = tokenService.generateAccessToken(user);
+    expect(kidOf(newToken)).toBe(newKid);
+    expect(tokenService.verifyToken(newToken, 'access').sub).toBe(user.id);
+    expect(tokenService.verifyToken(oldToken, 'access').sub).toBe(user.id);
+
+    advance(config.jwtKeys.gracePeriodHours * 60 * 60 * 1000);
+    expect(() => tokenService.verifyToken(oldToken, 'access')).toThrow('Invalid token');
+    expect(signingKeyService.getJwks().keys.map(key => key.kid)).toEqual([newKid]);
+
+    await signingKeyService.rotateIfDue();
+    expect(rows.map(row => row.kid)).toEqual([newKid]);
+  });
+
+  test('should switch to a key of a newly configured algorithm', async () => {
+    await signingKeyService.initialize();
+    signingKeyService.stop();
+
+    config.jwtKeys.algorithm = 'ES256';
+    await signingKeyService.rotateIfDue();
+    advance(2 * config.jwtKeys.checkIntervalMs);
+
+    const token = tokenService.generateAccessToken(user);
+    const jwks = signingKeyService.getJwks();
+
+    expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'ES256', kid: rows[1].kid });
+    expect(jwks.keys.map(key => [key.kty, key.alg])).toEqual([['RSA', 'RS256'], ['EC', 'ES256']]);
+    expect(verifyWithJwks(token, jwks).sub).toBe(user.id);
+  });
+
+  test('should only verify tokens of known keys, and secret-signed tokens without a kid until the cutoff', async () => {
+    await signingKeyService.initialize();
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const payload = { sub: user.id, type: 'access' };
+    const options = { issuer: 'specpulse-auth', audience: 'specpulse-client', expiresIn: '1h' };
+
+    const foreign = jwt.sign(payload, privateKey, { ...options, algorithm: 'ES256', keyid: rows[0].kid });
+    const unknownKid = jwt.sign(payload, privateKey, { ...options, algorithm: 'ES256', keyid: 'unknown' });
+    const legacy = jwt.sign(payload, config.jwt.accessSecret, { ...options, algorithm: 'HS256' });
+
+    expect(() => tokenService.verifyToken(foreign, 'access')).toThrow('Invalid token');
+    expect(() => tokenService.verifyToken(unknownKid, 'access')).toThrow('Invalid token');
+
+    // Without a cutoff, nothing signed with the secret verifies any longer
+    expect(() => tokenService.verifyToken(legacy, 'access')).toThrow('Invalid token');
+
+    config.jwtKeys.acceptLegacyUntil = now + 30 * 60 * 1000;
+    expect(tokenService.verifyToken(legacy, 'access').sub).toBe(user.id);
+
+    advance(30 * 60 * 1000);
+    expect(() => tokenService.verifyToken(legacy, 'access')).toThrow('Invalid token');
+  });
+
+  test('should require a key encryption key of its own for key pairs', async () => {
+    config.jwtKeys.encryptionKey = null;
+
+    await expect(signingKeyService.initialize()).rejects.toThrow('JWT_KEY_ENCRYPTION_KEY is required with RS256');
+    expect(dbConnection.query).not.toHaveBeenCalled();
+  });
+
+  test('should authenticate websocket connections by the kid of their token', async () => {
+    await signingKeyService.initialize();
+    jest.spyOn(authService, 'getUserById').mockResolvedValue({
+      ...user,
+      isActive: true,
+      toJSON: () => user
+    });
+
+    const connect = async token => {
+      const socket = { id: `socket-${token.length}`, handshake: { headers: {}, auth: { token } } };
+      const next = jest.fn();
+      await wsAuthMiddleware.authenticate(socket, next);
+      return { socket, error: next.mock.calls[0][0] };
+    };
+
+    const { socket, error } = await connect(tokenService.generateAccessToken(user));
+    expect(error).toBeUndefined();
+    expect(socket.token).toMatchObject({ sub: user.id });
+    wsAuthMiddleware.untrackSocket(socket);
+
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const forged = jwt.sign({ sub: user.id, type: 'access' }, privateKey, { algorithm: 'RS256', keyid: 'unknown' });
+    const rejected = await connect(forged);
+    expect(rejected.error.message).toBe('Invalid or expired access token');
+  });
+});
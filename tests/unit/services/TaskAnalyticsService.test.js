@@ -0,0 +1,184 @@
+const TaskService = require('../../../src/services/taskService');
+const TaskAnalyticsService = require('../../../src/services/taskAnalyticsService');
+const taskHistoryStore = require('../../../src/repositories/task/taskHistoryStore');
+const dataStore = require('../../../src/utils/dataStore');
+
+describe('TaskAnalyticsService', () => {
+  const alice = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', roles: ['user'] };
+  const bob = { id: '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b', roles: ['user'] };
+
+  // Monday of ISO week 2030-W19 through Tuesday of the next week
+  const range = { from: '2030-05-06', to: '2030-05-14' };
+
+  const at = time => jest.setSystemTime(new Date(time));
+  const create = async (title, time) => {
+    at(time);
+    return (await TaskService.createTask({ title, description: `${title} details` }, alice)).data;
+  };
+  const move = async (task, status, time) => {
+    at(time);
+    await TaskService.updateTask(task.id, { status }, alice);
+  };
+  const report = async (metric, options = range, user = alice) =>
+    (await TaskAnalyticsService.getReport(metric, options, user)).data;
+
+  let tasks;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+
+    dataStore.clearAllTasks();
+    await taskHistoryStore.clear();
+
+    // Started after 3 hours, completed after a day
+    tasks = { started: await create('Write report', '2030-05-06T09:00:00.000Z') };
+    await move(tasks.started, 'in-progress', '2030-05-06T12:00:00.000Z');
+    await move(tasks.started, 'completed', '2030-05-07T09:00:00.000Z');
+
+    // Completed straight from pending after two days
+    tasks.direct = await create('Book flights', '2030-05-06T09:00:00.000Z');
+    await move(tasks.direct, 'completed', '2030-05-08T09:00:00.000Z');
+
+    // Still in progress
+    tasks.open = await create('Review budget', '2030-05-07T09:00:00.000Z');
+    await move(tasks.open, 'in-progress', '2030-05-08T09:00:00.000Z');
+
+    // Completed in the following week after 6 hours
+    tasks.later = await create('Send invoice', '2030-05-13T09:00:00.000Z');
+    await move(tasks.later, 'completed', '2030-05-13T15:00:00.000Z');
+
+    at('2030-05-20T00:00:00.000Z');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('lead and cycle time', () => {
+    test('should measure hours from creation to completion', async () => {
+      const data = await report('lead-time');
+
+      expect(data).toMatchObject({ metric: 'lead-time', from: '2030-05-06', to: '2030-05-14', unit: 'hours' });
+      expect(data.summary).toEqual({ count: 3, average: 26, median: 24, p85: 48, min: 6, max: 48 });
+      expect(data.byWeek).toEqual([
+        { week: '2030-W19', start: '2030-05-06', count: 2, average: 36, median: 36, p85: 48, min: 24, max: 48 },
+        { week: '2030-W20', start: '2030-05-13', count: 1, average: 6, median: 6, p85: 6, min: 6, max: 6 }
+      ]);
+      expect(data.tasks[0]).toEqual({
+        id: tasks.started.id,
+        title: 'Write report',
+        createdAt: '2030-05-06T09:00:00.000Z',
+        completedAt: '2030-05-07T09:00:00.000Z',
+        hours: 24
+      });
+    });
+
+    test('should measure cycle time only for tasks that were started', async () => {
+      const data = await report('cycle-time');
+
+      expect(data.summary).toMatchObject({ count: 1, average: 21 });
+      expect(data.tasks.map(task => task.id)).toEqual([tasks.started.id]);
+      expect(data.tasks[0].startedAt).toBe('2030-05-06T12:00:00.000Z');
+    });
+
+    test('should count a reopened task from its last completion', async () => {
+      await move(tasks.started, 'in-progress', '2030-05-09T09:00:00.000Z');
+      await move(tasks.started, 'completed', '2030-05-10T09:00:00.000Z');
+      await move(tasks.direct, 'in-progress', '2030-05-10T09:00:00.000Z');
+
+      const data = await report('lead-time');
+
+      expect(data.tasks.map(task => [task.title, task.hours])).toEqual([
+        ['Write report', 96],
+        ['Send invoice', 6]
+      ]);
+    });
+
+    test('should only include completions within the range', async () => {
+      const data = await report('lead-time', { from: '2030-05-08', to: '2030-05-12' });
+
+      expect(data.tasks.map(task => task.title)).toEqual(['Book flights']);
+      expect(data.byWeek.map(week => week.week)).toEqual(['2030-W19']);
+    });
+  });
+
+  describe('throughput', () => {
+    test('should count completions per ISO week', async () => {
+      const data = await report('throughput');
+
+      expect(data.total).toBe(3);
+      expect(data.byWeek).toEqual([
+        { week: '2030-W19', start: '2030-05-06', completed: 2 },
+        { week: '2030-W20', start: '2030-05-13', completed: 1 }
+      ]);
+    });
+  });
+
+  describe('cumulative flow', () => {
+    test('should count tasks per status at the end of each day', async () => {
+      const data = await report('cumulative-flow');
+
+      expect(data.statuses).toEqual(expect.arrayContaining(['pending', 'in-progress', 'completed']));
+      expect(data.byDay).toHaveLength(9);
+      expect(data.byDay.slice(0, 3)).toEqual([
+        { date: '2030-05-06', counts: expect.objectContaining({ pending: 1, 'in-progress': 1, completed: 0 }) },
+        { date: '2030-05-07', counts: expect.objectContaining({ pending: 2, 'in-progress': 0, completed: 1 }) },
+        { date: '2030-05-08', counts: expect.objectContaining({ pending: 0, 'in-progress': 1, completed: 2 }) }
+      ]);
+      expect(data.byDay[8].counts).toMatchObject({ pending: 0, 'in-progress': 1, completed: 3 });
+    });
+  });
+
+  describe('burndown', () => {
+    test('should track scope, completed and remaining tasks against an ideal line', async () => {
+      const data = await report('burndown');
+
+      expect(data.byDay[0]).toEqual({ date: '2030-05-06', total: 2, completed: 0, remaining: 2, ideal: 2 });
+      expect(data.byDay[2]).toEqual({ date: '2030-05-08', total: 3, completed: 2, remaining: 1, ideal: 1.5 });
+      expect(data.byDay[8]).toEqual({ date: '2030-05-14', total: 4, completed: 3, remaining: 1, ideal: 0 });
+    });
+  });
+
+  describe('scope and range', () => {
+    test('should only include tasks the user can see', async () => {
+      const data = await report('throughput', range, bob);
+
+      expect(data.total).toBe(0);
+    });
+
+    test('should default to the last 30 days', async () => {
+      const data = await report('burndown', {});
+
+      expect(data).toMatchObject({ from: '2030-04-21', to: '2030-05-20' });
+      expect(data.byDay).toHaveLength(30);
+    });
+
+    test('should reject invalid ranges', async () => {
+      await expect(report('throughput', { from: '2030-05-14', to: '2030-05-06' }))
+        .rejects.toThrow('Analytics range must start on or before its end');
+      await expect(report('throughput', { from: '2029-01-01', to: '2030-05-06' }))
+        .rejects.toThrow('Analytics range cannot be longer than 366 days');
+      await expect(report('throughput', { from: '2030-02-30' }))
+        .rejects.toThrow('Analytics from must be a date in YYYY-MM-DD format');
+    });
+
+    test('should restrict the report to one project', async () => {
+      const data = await report('throughput', { ...range, projectId: 'marketing' });
+
+      expect(data).toMatchObject({ projectId: 'marketing', total: 0 });
+    });
+  });
+
+  describe('CSV export', () => {
+    test('should write one row per metric and week or day', async () => {
+      const throughput = TaskAnalyticsService.toCSV(await report('throughput')).split('\n');
+
+      expect(throughput[0]).toBe('Category,Metric,Value,Unit,Timestamp');
+      expect(throughput[1]).toBe('2030-W19,completed,2,number,2030-05-20T00:00:00.000Z');
+
+      const leadTime = TaskAnalyticsService.toCSV(await report('lead-time'));
+      expect(leadTime).toContain('summary,p85,48,number');
+      expect(leadTime).toContain('2030-W20,average,6,number');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const authService = require('../../../src/auth/services/authService');
+const express = require('express');
+const request = require('supertest');
+const TaskService = require('../../../src/services/taskService');
+const TaskBulkService = require('../../../src/services/taskBulkService');
+const TaskController = require('../../../src/controllers/taskController');
+const taskHistoryStore = require('../../../src/repositories/task/taskHistoryStore');
+const dataStore = require('../../../src/utils/dataStore');
+const Validators = require('../../../src/utils/validators');
+
+describe('TaskBulkService', () => {
+  const alice = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', roles: ['user'] };
+  const bob = { id: '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b', roles: ['user'] };
+  const missingId = '5b7d9f1a-3c5e-4a7b-9d1f-2a4c6e8b0d2f';
+
+  let aliceTask;
+  let bobTask;
+
+  beforeEach(async () => {
+    dataStore.clearAllTasks();
+    jest.spyOn(authService, 'getUserById').mockImplementation(async id => ({ id }));
+    await taskHistoryStore.clear();
+
+    aliceTask = (await TaskService.createTask({ title: 'Alice task', description: 'Ready to start', status: 'pending' }, alice)).data;
+    bobTask = (await TaskService.createTask({ title: 'Bob task', status: 'pending', assigneeId: alice.id }, bob)).data;
+  });
+
+  describe('partial failure', () => {
+    test('should apply each operation on its own and report every outcome', async () => {
+      const result = await TaskBulkService.execute([
+        { op: 'create', data: { title: 'New task' } },
+        { op: 'update', id: missingId, data: { title: 'Nope' } },
+        { op: 'status', id: aliceTask.id, status: 'in-progress' }
+      ], {}, alice);
+
+      expect(result.committed).toBe(true);
+      expect(result.summary).toEqual({ total: 3, succeeded: 2, failed: 1 });
+      expect(result.results.map(item => item.outcome)).toEqual(['succeeded', 'failed', 'succeeded']);
+      expect(result.results[0].data.createdBy).toBe(alice.id);
+      expect((await TaskService.getTaskById(aliceTask.id, alice)).data.status).toBe('in-progress');
+    });
+
+    test('should apply the same access checks as single-task endpoints', async () => {
+      const result = await TaskBulkService.execute([
+        { op: 'delete', id: bobTask.id }
+      ], {}, alice);
+
+      expect(result.results[0].outcome).toBe('failed');
+      expect(TaskController.bulkError('delete', result.results[0].error)).toMatchObject({
+        status: 403,
+        code: 'TASK_ACCESS_DENIED'
+      });
+    });
+
+    test('should only create whitelisted fields', async () => {
+      const result = await TaskBulkService.execute([
+        { op: 'create', data: { title: 'Sneaky', createdBy: bob.id } }
+      ], {}, alice);
+
+      expect(result.results[0].data.createdBy).toBe(alice.id);
+    });
+  });
+
+  describe('workflow guards on create', () => {
+    test('should not let POST /tasks skip the guards of the created status', async () => {
+      const app = express();
+      app.use(express.json());
+      app.post('/tasks', (req, res, next) => {
+        req.user = alice;
+        next();
+      }, TaskController.createTask);
+
+      const blocked = await request(app).post('/tasks').send({ title: 'Started', status: 'in-progress' });
+      expect(blocked.status).toBe(409);
+      expect(blocked.body.error).toMatchObject({
+        code: 'TRANSITION_GUARD_FAILED',
+        details: { from: 'pending', to: 'in-progress', failedGuards: ['descriptionRequired'] }
+      });
+
+      const created = await request(app).post('/tasks').send({ title: 'Started', description: 'Plan', status: 'in-progress' });
+      expect(created.status).toBe(201);
+      expect(created.body.data.status).toBe('in-progress');
+    });
+
+    test('should not let bulk creates skip the guards of the created status', async () => {
+      const result = await TaskBulkService.execute([
+        { op: 'create', data: { title: 'Started', status: 'in-progress' } },
+        { op: 'create', data: { title: 'Done', status: 'completed' } }
+      ], {}, alice);
+
+      expect(result.results.map(item => item.outcome)).toEqual(['failed', 'succeeded']);
+      expect(TaskController.bulkError('create', result.results[0].error)).toMatchObject({
+        status: 409,
+        code: 'TRANSITION_GUARD_FAILED'
+      });
+    });
+  });
+
+  describe('atomic mode', () => {
+    test('should keep every change when all operations succeed', async () => {
+      const result = await TaskBulkService.execute([
+        { op: 'create', data: { title: 'New task' } },
+        { op: 'delete', id: aliceTask.id }
+      ], { atomic: true }, alice);
+
+      expect(result.committed).toBe(true);
+      expect(result.summary.failed).toBe(0);
+      expect(dataStore.listTasks()).toHaveLength(2);
+    });
+
+    test('should roll back earlier operations and skip later ones after a failure', async () => {
+      const result = await TaskBulkService.execute([
+        { op: 'update', id: aliceTask.id, data: { title: 'Renamed' } },
+        { op: 'delete', id: missingId },
+        { op: 'create', data: { title: 'Never created' } }
+      ], { atomic: true }, alice);
+
+      expect(result.committed).toBe(false);
+      expect(result.summary).toEqual({ total: 3, succeeded: 0, failed: 3 });
+      expect(result.results.map(item => item.outcome)).toEqual(['rolled_back', 'failed', 'skipped']);
+
+      expect((await TaskService.getTaskById(aliceTask.id, alice)).data.title).toBe('Alice task');
+      expect(dataStore.tasks).toHaveLength(2);
+
+      const { data } = await TaskService.getTaskHistory(aliceTask.id, alice);
+      expect(data.revisions).toHaveLength(1);
+    });
+
+    test('should restore deleted tasks and keep them searchable', async () => {
+      await TaskBulkService.execute([
+        { op: 'delete', id: aliceTask.id },
+        { op: 'status', id: missingId, status: 'completed' }
+      ], { atomic: true }, alice);
+
+      const result = await TaskService.searchTasks('alice', { page: 1, limit: 10 }, alice);
+      expect(result.data.map(task => task.id)).toEqual([aliceTask.id]);
+    });
+  });
+
+  describe('error codes', () => {
+    test.each([
+      ['create', new Error('Validation failed: title: Title is required'), 400, 'TASK_CREATION_FAILED'],
+      ['update', new Error('Task not found'), 404, 'TASK_NOT_FOUND'],
+      ['status', new Error('Validation failed: status: Invalid status'), 400, 'TASK_UPDATE_FAILED'],
+      ['delete', new Error('Task not found'), 404, 'TASK_NOT_FOUND'],
+      ['delete', new Error('Cannot delete task'), 400, 'TASK_DELETION_FAILED']
+    ])('%s failure "%s" -> %i %s', (op, error, status, code) => {
+      expect(TaskController.bulkError(op, error)).toMatchObject({ status, code });
+    });
+  });
+
+  describe('validateBulkOperation', () => {
+    test('should accept well-formed operations', () => {
+      expect(Validators.validateBulkOperation({ op: 'create', data: { title: 'A' } }).isValid).toBe(true);
+      expect(Validators.validateBulkOperation({ op: 'status', id: aliceTask.id, status: 'completed' }).isValid).toBe(true);
+    });
+
+    test.each([
+      [{ op: 'archive', id: missingId }],
+      [{ op: 'create', id: missingId, data: { title: 'A' } }],
+      [{ op: 'update', id: 'not-a-uuid', data: { title: 'A' } }],
+      [{ op: 'update', id: missingId, data: {} }],
+      [{ op: 'status', id: missingId }]
+    ])('should reject %j', (operation) => {
+      expect(Validators.validateBulkOperation(operation).isValid).toBe(false);
+    });
+  });
+});
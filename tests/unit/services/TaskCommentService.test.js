@@ -0,0 +1,191 @@
+jest.mock('../../../src/auth/services/authService', () => ({
+  getUserById: jest.fn(),
+  getUsersByUsernames: jest.fn()
+}));
+jest.mock('../../../src/notifications/notificationFactory', () => ({
+  createSocialNotification: jest.fn()
+}));
+jest.mock('../../../src/notifications/notificationService', () => ({
+  sendToUser: jest.fn()
+}));
+
+const authService = require('../../../src/auth/services/authService');
+const NotificationFactory = require('../../../src/notifications/notificationFactory');
+const notificationService = require('../../../src/notifications/notificationService');
+const TaskService = require('../../../src/services/taskService');
+const TaskCommentService = require('../../../src/services/taskCommentService');
+const ProjectService = require('../../../src/services/projectService');
+const taskCommentStore = require('../../../src/repositories/task/taskCommentStore');
+const projectStore = require('../../../src/repositories/project/projectStore');
+const taskTrashService = require('../../../src/services/taskTrashService');
+const dataStore = require('../../../src/utils/dataStore');
+
+describe('TaskCommentService', () => {
+  const alice = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', name: 'Alice', email: 'alice@example.com', username: 'alice', roles: ['user'] };
+  const bob = { id: '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b', name: 'Bob', email: 'bob@example.com', username: 'bob', roles: ['user'] };
+  const carol = { id: 'c4a1f7e2-5b6d-4e8f-9a0b-1c2d3e4f5a6b', name: 'Carol', email: 'carol@example.com', username: 'carol', roles: ['user'] };
+  const admin = { id: 'e5f6a7b8-c9d0-4e1f-8a2b-3c4d5e6f7a8b', name: 'Admin', email: 'admin@example.com', username: 'admin', roles: ['admin'] };
+  // Same email local part as Bob, so the next free username was assigned
+  const otherBob = { id: '9d8c7b6a-5f4e-4d3c-8b2a-1f0e9d8c7b6a', name: 'Other Bob', email: 'bob@other.example', username: 'bob2', roles: ['admin'] };
+
+  const users = [alice, bob, carol, admin, otherBob];
+
+  let task;
+
+  beforeEach(async () => {
+    dataStore.clearAllTasks();
+    await taskCommentStore.clear();
+    await projectStore.clear();
+
+    authService.getUserById.mockImplementation(async id => users.find(user => user.id === id) || null);
+    authService.getUsersByUsernames.mockImplementation(async usernames =>
+      users.filter(user => usernames.includes(user.username))
+    );
+    NotificationFactory.createSocialNotification.mockImplementation((type, userId, data) => ({ type, userId, data }));
+    notificationService.sendToUser.mockResolvedValue({ success: true });
+
+    task = (await TaskService.createTask({ title: 'Launch plan', assigneeId: bob.id }, alice)).data;
+  });
+
+  describe('parseMentions', () => {
+    test('should extract distinct usernames and ignore email addresses', () => {
+      expect(TaskCommentService.parseMentions('@Bob please ask @carol. Cc @bob, not ops@example.com'))
+        .toEqual(['bob', 'carol']);
+    });
+  });
+
+  describe('comments', () => {
+    test('should nest replies under their parent comment', async () => {
+      const { data: root } = await TaskService.addTaskComment(task.id, { body: 'First' }, alice);
+      const { data: reply } = await TaskService.addTaskComment(task.id, { body: 'Reply', parentId: root.id }, bob);
+      await TaskService.addTaskComment(task.id, { body: 'Second' }, alice);
+
+      const { data } = await TaskService.getTaskComments(task.id, bob);
+
+      expect(data.total).toBe(3);
+      expect(data.threads.map(thread => thread.body)).toEqual(['First', 'Second']);
+      expect(data.threads[0].replies.map(node => node.id)).toEqual([reply.id]);
+    });
+
+    test('should reject replies to comments on other tasks', async () => {
+      const other = (await TaskService.createTask({ title: 'Other' }, alice)).data;
+      const { data: comment } = await TaskService.addTaskComment(other.id, { body: 'Elsewhere' }, alice);
+
+      await expect(TaskService.addTaskComment(task.id, { body: 'Reply', parentId: comment.id }, alice))
+        .rejects.toThrow(`Comment ${comment.id} on task ${task.id} not found`);
+    });
+
+    test('should hide comments on tasks outside the user scope', async () => {
+      await expect(TaskService.getTaskComments(task.id, carol)).rejects.toThrow('not found');
+      await expect(TaskService.addTaskComment(task.id, { body: 'Hi' }, carol)).rejects.toThrow('not found');
+    });
+
+    test('should delete a comment together with its replies', async () => {
+      const { data: root } = await TaskService.addTaskComment(task.id, { body: 'Root' }, alice);
+      const { data: reply } = await TaskService.addTaskComment(task.id, { body: 'Reply', parentId: root.id }, bob);
+      await TaskService.addTaskComment(task.id, { body: 'Nested', parentId: reply.id }, alice);
+
+      const { data } = await TaskService.deleteTaskComment(task.id, root.id, alice);
+
+      expect(data.removedIds).toHaveLength(3);
+      expect(await taskCommentStore.findByTaskId(task.id)).toHaveLength(0);
+    });
+
+    test('should only let the author or an admin modify a comment', async () => {
+      const { data: comment } = await TaskService.addTaskComment(task.id, { body: 'Mine' }, alice);
+
+      await expect(TaskService.updateTaskComment(task.id, comment.id, 'Theirs', bob)).rejects.toThrow('Access denied');
+      await expect(TaskService.deleteTaskComment(task.id, comment.id, bob)).rejects.toThrow('Access denied');
+      await expect(TaskService.deleteTaskComment(task.id, comment.id, admin)).resolves.toEqual(
+        expect.objectContaining({ success: true })
+      );
+    });
+
+    test('should drop comments when the deleted task is purged', async () => {
+      await TaskService.addTaskComment(task.id, { body: 'Gone soon' }, alice);
+
+      await TaskService.deleteTask(task.id, alice);
+      expect(await taskCommentStore.findByTaskId(task.id)).toHaveLength(1);
+
+      await taskTrashService.purgeTask(task.id);
+      expect(await taskCommentStore.findByTaskId(task.id)).toHaveLength(0);
+    });
+  });
+
+  describe('edit history', () => {
+    test('should keep previous versions of edited comments', async () => {
+      const { data: comment } = await TaskService.addTaskComment(task.id, { body: 'Draft' }, alice);
+
+      await TaskService.updateTaskComment(task.id, comment.id, 'Second draft', alice);
+      const { data: updated } = await TaskService.updateTaskComment(task.id, comment.id, 'Final', alice);
+
+      expect(updated).toEqual(expect.objectContaining({ body: 'Final', edited: true, editCount: 2 }));
+
+      const { data: history } = await TaskService.getTaskCommentHistory(task.id, comment.id, bob);
+
+      expect(history.current.body).toBe('Final');
+      expect(history.edits.map(edit => [edit.body, edit.editedBy])).toEqual([
+        ['Draft', alice.id],
+        ['Second draft', alice.id]
+      ]);
+    });
+  });
+
+  describe('mentions', () => {
+    test('should notify mentioned users who can see the task', async () => {
+      const { data: comment } = await TaskService.addTaskComment(
+        task.id, { body: '@bob @carol @admin @alice have a look' }, alice
+      );
+
+      // Carol can't see the task and Alice is the author
+      expect(comment.mentions).toEqual([bob.id, admin.id]);
+      expect(notificationService.sendToUser).toHaveBeenCalledTimes(2);
+      expect(NotificationFactory.createSocialNotification).toHaveBeenCalledWith('mention', bob.id, expect.objectContaining({
+        mentionerId: alice.id,
+        mentionerName: 'Alice',
+        taskId: task.id,
+        commentId: comment.id,
+        mentionUrl: `/tasks/${task.id}#comment-${comment.id}`
+      }));
+    });
+
+    test('should notify members of the task project', async () => {
+      const project = (await ProjectService.createProject({ name: 'Apollo' }, alice)).data;
+      await ProjectService.setMember(await projectStore.findById(project.id), carol.id, 'viewer', alice);
+      const projectTask = (await TaskService.createTask({ title: 'Roadmap', projectId: project.id }, alice)).data;
+
+      const { data: comment } = await TaskService.addTaskComment(projectTask.id, { body: '@carol @bob' }, alice);
+
+      // Carol can read the task through the project; Bob is not a member
+      expect(comment.mentions).toEqual([carol.id]);
+      expect(notificationService.sendToUser).toHaveBeenCalledWith(carol.id, expect.anything());
+    });
+
+    test('should resolve mentions by username rather than email address', async () => {
+      const { data: comment } = await TaskService.addTaskComment(task.id, { body: 'Thanks @Bob' }, alice);
+
+      expect(authService.getUsersByUsernames).toHaveBeenCalledWith(['bob']);
+      expect(comment.mentions).toEqual([bob.id]);
+      expect(notificationService.sendToUser).toHaveBeenCalledTimes(1);
+    });
+
+    test('should only notify newly mentioned users on edit', async () => {
+      const { data: comment } = await TaskService.addTaskComment(task.id, { body: 'Ping @bob' }, alice);
+      notificationService.sendToUser.mockClear();
+
+      await TaskService.updateTaskComment(task.id, comment.id, 'Ping @bob and @admin', alice);
+
+      expect(notificationService.sendToUser).toHaveBeenCalledTimes(1);
+      expect(notificationService.sendToUser).toHaveBeenCalledWith(admin.id, expect.anything());
+    });
+
+    test('should save the comment when mention delivery fails', async () => {
+      authService.getUsersByUsernames.mockRejectedValue(new Error('Database unavailable'));
+
+      const { data: comment } = await TaskService.addTaskComment(task.id, { body: 'Hey @bob' }, alice);
+
+      expect(comment.mentions).toEqual([]);
+      expect(await taskCommentStore.findById(task.id, comment.id)).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const TaskService = require('../../../src/services/taskService');
+const TaskDependencyService = require('../../../src/services/taskDependencyService');
+const taskDependencyStore = require('../../../src/repositories/task/taskDependencyStore');
+const taskTrashService = require('../../../src/services/taskTrashService');
+const dataStore = require('../../../src/utils/dataStore');
+
+describe('TaskDependencyService', () => {
+  const alice = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', roles: ['user'] };
+  const bob = { id: '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b', roles: ['user'] };
+
+  const createTask = async (title, extra = {}, user = alice) =>
+    (await TaskService.createTask({ title, ...extra }, user)).data;
+
+  beforeEach(async () => {
+    dataStore.clearAllTasks();
+    await taskDependencyStore.clear();
+  });
+
+  describe('dependencies', () => {
+    test('should record blocks and blocked-by relations from either side', async () => {
+      const design = await createTask('Design');
+      const build = await createTask('Build');
+      const ship = await createTask('Ship');
+
+      await TaskService.addTaskDependency(build.id, { blockedBy: design.id }, alice);
+      await TaskService.addTaskDependency(build.id, { blocks: ship.id }, alice);
+
+      const { data } = await TaskService.getTaskDependencies(build.id, alice);
+
+      expect(data.blocked).toBe(true);
+      expect(data.blockedBy).toEqual([{ id: design.id, title: 'Design', status: 'pending', open: true }]);
+      expect(data.blocks.map(task => task.id)).toEqual([ship.id]);
+    });
+
+    test('should reject self-dependencies', async () => {
+      const task = await createTask('Solo');
+
+      await expect(TaskService.addTaskDependency(task.id, { blocks: task.id }, alice))
+        .rejects.toThrow(expect.objectContaining({ code: 'TASK_DEPENDENCY_CYCLE' }));
+    });
+
+    test('should reject dependencies that would create a cycle', async () => {
+      const a = await createTask('A');
+      const b = await createTask('B');
+      const c = await createTask('C');
+
+      await TaskService.addTaskDependency(a.id, { blocks: b.id }, alice);
+      await TaskService.addTaskDependency(b.id, { blocks: c.id }, alice);
+
+      const error = await TaskService.addTaskDependency(c.id, { blocks: a.id }, alice).catch(err => err);
+
+      expect(error.code).toBe('TASK_DEPENDENCY_CYCLE');
+      expect(error.details.cycle).toEqual([a.id, b.id, c.id, a.id]);
+    });
+
+    test('should treat adding an existing dependency as a no-op', async () => {
+      const a = await createTask('A');
+      const b = await createTask('B');
+
+      await TaskService.addTaskDependency(a.id, { blocks: b.id }, alice);
+      await TaskService.addTaskDependency(b.id, { blockedBy: a.id }, alice);
+
+      expect(await taskDependencyStore.findBlockers(b.id)).toHaveLength(1);
+    });
+
+    test('should only link tasks the user can access', async () => {
+      const mine = await createTask('Mine');
+      const theirs = await createTask('Theirs', {}, bob);
+
+      await expect(TaskService.addTaskDependency(mine.id, { blocks: theirs.id }, alice)).rejects.toThrow('not found');
+    });
+
+    test('should remove dependencies in either direction', async () => {
+      const a = await createTask('A');
+      const b = await createTask('B');
+      await TaskService.addTaskDependency(a.id, { blocks: b.id }, alice);
+
+      await TaskService.removeTaskDependency(b.id, a.id, alice);
+
+      expect(await taskDependencyStore.findBlockers(b.id)).toHaveLength(0);
+      await expect(TaskService.removeTaskDependency(b.id, a.id, alice)).rejects.toThrow('Dependency between');
+    });
+
+    test('should ignore deleted tasks and drop their dependencies when they are purged', async () => {
+      const a = await createTask('A');
+      const b = await createTask('B');
+      await TaskService.addTaskDependency(a.id, { blocks: b.id }, alice);
+
+      await TaskService.deleteTask(a.id, alice);
+      expect((await TaskService.getTaskDependencies(b.id, alice)).data.blockedBy).toHaveLength(0);
+
+      await TaskService.restoreTask(a.id, alice);
+      expect((await TaskService.getTaskDependencies(b.id, alice)).data.blockedBy).toHaveLength(1);
+
+      await TaskService.deleteTask(a.id, alice);
+      await taskTrashService.purgeTask(a.id);
+      expect(await taskDependencyStore.findBlockers(b.id)).toHaveLength(0);
+    });
+  });
+
+  describe('completion', () => {
+    test('should not complete a task while a blocker is open', async () => {
+      const blocker = await createTask('Blocker');
+      const blocked = await createTask('Blocked');
+      await TaskService.addTaskDependency(blocked.id, { blockedBy: blocker.id }, alice);
+
+      const error = await TaskService.updateTask(blocked.id, { status: 'completed' }, alice).catch(err => err);
+
+      expect(error.code).toBe('TASK_BLOCKED');
+      expect(error.statusCode).toBe(409);
+      expect(error.details.blockedBy.map(task => task.id)).toEqual([blocker.id]);
+    });
+
+    test('should allow completion once every blocker is completed', async () => {
+      const blocker = await createTask('Blocker');
+      const blocked = await createTask('Blocked');
+      await TaskService.addTaskDependency(blocked.id, { blockedBy: blocker.id }, alice);
+
+      await TaskService.updateTask(blocker.id, { status: 'completed' }, alice);
+      const result = await TaskService.updateTask(blocked.id, { status: 'completed' }, alice);
+
+      expect(result.data.status).toBe('completed');
+    });
+
+    test('should not block other transitions', async () => {
+      const blocker = await createTask('Blocker');
+      const blocked = await createTask('Blocked', { description: 'Has a description' });
+      await TaskService.addTaskDependency(blocked.id, { blockedBy: blocker.id }, alice);
+
+      await expect(TaskDependencyService.assertCanComplete(
+        dataStore.getTaskById(blocked.id), 'in-progress'
+      )).resolves.toBeUndefined();
+    });
+  });
+
+  describe('subtasks', () => {
+    test('should create subtasks that inherit the parent project', async () => {
+      const parent = await createTask('Parent', { projectId: 'apollo' });
+
+      const { data: subtask } = await TaskService.createSubtask(parent.id, { title: 'Child' }, alice);
+
+      expect(subtask.parentId).toBe(parent.id);
+      expect(subtask.projectId).toBe('apollo');
+    });
+
+    test('should reject subtasks of inaccessible tasks', async () => {
+      const parent = await createTask('Parent', {}, bob);
+
+      await expect(TaskService.createSubtask(parent.id, { title: 'Child' }, alice)).rejects.toThrow('not found');
+    });
+
+    test('should roll up progress from subtasks and checklist items', async () => {
+      const parent = await createTask('Parent', {
+        checklist: [{ text: 'Kickoff', done: true }, { text: 'Retro' }]
+      });
+      const done = (await TaskService.createSubtask(parent.id, { title: 'Done child' }, alice)).data;
+      const half = (await TaskService.createSubtask(parent.id, {
+        title: 'Half child',
+        checklist: [{ text: 'One', done: true }, { text: 'Two' }]
+      }, alice)).data;
+
+      await TaskService.updateTask(done.id, { status: 'completed' }, alice);
+
+      const { data } = await TaskService.getSubtasks(parent.id, alice);
+
+      // Items: 100 (kickoff), 0 (retro), 100 (done child), 50 (half child)
+      expect(data.progress).toBe(63);
+      expect(data.subtasks.map(subtask => [subtask.id, subtask.progress])).toEqual([
+        [done.id, 100],
+        [half.id, 50]
+      ]);
+    });
+
+    test('should report progress on task details', async () => {
+      const task = await createTask('Checklist', { checklist: [{ text: 'One', done: true }] });
+
+      const { data } = await TaskService.getTaskById(task.id, alice);
+
+      expect(data.progress).toBe(100);
+    });
+
+    test('should detach subtasks when the parent is purged', async () => {
+      const parent = await createTask('Parent');
+      const { data: subtask } = await TaskService.createSubtask(parent.id, { title: 'Child' }, alice);
+
+      await TaskService.deleteTask(parent.id, alice);
+      expect(dataStore.getTaskById(subtask.id).parentId).toBe(parent.id);
+
+      await taskTrashService.purgeTask(parent.id);
+
+      expect(dataStore.getTaskById(subtask.id).parentId).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const TaskService = require('../../../src/services/taskService');
+const TaskExportService = require('../../../src/services/taskExportService');
+const taskHistoryStore = require('../../../src/repositories/task/taskHistoryStore');
+const dataStore = require('../../../src/utils/dataStore');
+const { parseCSV } = require('../../../src/utils/csv');
+const { parseFilter } = require('../../../src/utils/taskQuery');
+
+describe('TaskExportService', () => {
+  const alice = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', roles: ['user'] };
+  const bob = { id: '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b', roles: ['user'] };
+
+  let report;
+  let chore;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: new Date('2030-05-06T09:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+    dataStore.clearAllTasks();
+    await taskHistoryStore.clear();
+
+    report = (await TaskService.createTask({
+      title: 'Write report, part 1',
+      description: 'Sections: intro; results\nand "summary"',
+      status: 'in-progress',
+      priority: 'high',
+      dueDate: '2030-05-10T17:00:00.000Z',
+      estimate: 90,
+      tags: ['writing', 'q2'],
+      externalId: 'JIRA-12'
+    }, alice)).data;
+
+    jest.setSystemTime(new Date('2030-05-07T09:00:00.000Z'));
+    chore = (await TaskService.createTask({ title: 'Water plants', status: 'completed' }, alice)).data;
+    await TaskService.createTask({ title: 'Someone else\'s task' }, bob);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should export the user\'s tasks as CSV, oldest first', async () => {
+    const result = await TaskExportService.exportTasks('csv', {}, alice);
+
+    expect(result).toMatchObject({ format: 'csv', count: 2, contentType: 'text/csv', filename: 'tasks-2030-05-07.csv' });
+
+    const [header, first, second] = parseCSV(result.body);
+    expect(header.slice(0, 4)).toEqual(['id', 'externalId', 'title', 'description']);
+
+    const row = Object.fromEntries(header.map((column, index) => [column, first[index]]));
+    expect(row).toMatchObject({
+      id: report.id,
+      externalId: 'JIRA-12',
+      title: 'Write report, part 1',
+      description: 'Sections: intro; results\nand "summary"',
+      status: 'in-progress',
+      dueDate: '2030-05-10T17:00:00.000Z',
+      estimate: '90',
+      tags: 'writing,q2',
+      assigneeId: ''
+    });
+    expect(second[0]).toBe(chore.id);
+  });
+
+  test('should export JSON that lists full task objects', async () => {
+    const result = await TaskExportService.exportTasks('json', { status: 'completed' }, alice);
+
+    expect(result.contentType).toBe('application/json');
+    expect(JSON.parse(result.body)).toEqual([chore]);
+  });
+
+  test('should export VTODO entries with due dates', async () => {
+    const result = await TaskExportService.exportTasks('ics', {}, alice);
+    const lines = result.body.split('\r\n');
+
+    expect(result.contentType).toBe('text/calendar');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines.filter(line => line === 'BEGIN:VTODO')).toHaveLength(2);
+    expect(lines).toEqual(expect.arrayContaining([
+      `UID:${report.id}`,
+      'DTSTAMP:20300507T090000Z',
+      'SUMMARY:Write report\\, part 1',
+      'DESCRIPTION:Sections: intro\\; results\\nand "summary"',
+      'DUE:20300510T170000Z',
+      'STATUS:IN-PROCESS',
+      'PRIORITY:3',
+      'CATEGORIES:writing,q2',
+      'STATUS:COMPLETED'
+    ]));
+  });
+
+  test('should apply list filters', async () => {
+    const result = await TaskExportService.exportTasks('json', { filter: parseFilter('externalId = "JIRA-12"') }, alice);
+
+    expect(JSON.parse(result.body).map(task => task.id)).toEqual([report.id]);
+  });
+});
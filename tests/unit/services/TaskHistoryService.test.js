@@ -0,0 +1,139 @@
+const authService = require('../../../src/auth/services/authService');
+const TaskService = require('../../../src/services/taskService');
+const TaskHistoryService = require('../../../src/services/taskHistoryService');
+const taskHistoryStore = require('../../../src/repositories/task/taskHistoryStore');
+const dataStore = require('../../../src/utils/dataStore');
+
+describe('TaskHistoryService', () => {
+  const alice = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', roles: ['user'] };
+  const bob = { id: '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b', roles: ['user'] };
+
+  let taskId;
+
+  beforeEach(async () => {
+    dataStore.clearAllTasks();
+    jest.spyOn(authService, 'getUserById').mockImplementation(async id => ({ id }));
+    await taskHistoryStore.clear();
+
+    const created = await TaskService.createTask({
+      title: 'Tracked task',
+      description: 'First draft',
+      status: 'pending',
+      assigneeId: bob.id
+    }, alice);
+    taskId = created.data.id;
+  });
+
+  describe('diff', () => {
+    test('should report only changed tracked fields', () => {
+      const changes = TaskHistoryService.diff(
+        { title: 'A', description: '', status: 'pending', updatedAt: '1' },
+        { title: 'B', description: '', status: 'pending', updatedAt: '2' }
+      );
+
+      expect(changes).toEqual([{ field: 'title', from: 'A', to: 'B' }]);
+    });
+  });
+
+  describe('recording revisions', () => {
+    test('should record creation with actor and snapshot', async () => {
+      const { data } = await TaskService.getTaskHistory(taskId, alice);
+
+      expect(data.revisions).toHaveLength(1);
+      expect(data.revisions[0]).toEqual(expect.objectContaining({
+        revision: 1,
+        action: 'created',
+        actorId: alice.id,
+        integrityVerified: true
+      }));
+      expect(data.revisions[0].snapshot.title).toBe('Tracked task');
+    });
+
+    test('should record field-level diffs for updates', async () => {
+      await TaskService.updateTask(taskId, { title: 'Renamed task', status: 'in-progress' }, bob);
+
+      const { data } = await TaskService.getTaskHistory(taskId, alice);
+      const update = data.revisions[1];
+
+      expect(update.action).toBe('updated');
+      expect(update.actorId).toBe(bob.id);
+      expect(update.changes).toEqual([
+        { field: 'title', from: 'Tracked task', to: 'Renamed task' },
+        { field: 'status', from: 'pending', to: 'in-progress' }
+      ]);
+      expect(data.chainVerified).toBe(true);
+    });
+
+    test('should not keep a change whose revision cannot be recorded', async () => {
+      jest.spyOn(taskHistoryStore, 'append').mockRejectedValueOnce(new Error('duplicate key value'));
+
+      await expect(TaskService.updateTask(taskId, { title: 'Lost update' }, alice)).rejects.toThrow('duplicate key value');
+
+      const { data: task } = await TaskService.getTaskById(taskId, alice);
+      const { data } = await TaskService.getTaskHistory(taskId, alice);
+      expect(task).toMatchObject({ title: 'Tracked task', version: 1 });
+      expect(data.revisions).toHaveLength(1);
+      expect(data.chainVerified).toBe(true);
+    });
+
+    test('should skip updates that change nothing', async () => {
+      await TaskService.updateTask(taskId, { title: 'Tracked task' }, alice);
+
+      const { data } = await TaskService.getTaskHistory(taskId, alice);
+
+      expect(data.revisions).toHaveLength(1);
+    });
+  });
+
+  describe('integrity', () => {
+    test('should detect tampered revisions', async () => {
+      await TaskService.updateTask(taskId, { title: 'Renamed task' }, alice);
+
+      const [, entry] = await taskHistoryStore.findByTaskId(taskId);
+      entry.auditLog.metadata.changes[0].to = 'Forged title';
+
+      const { data } = await TaskService.getTaskHistory(taskId, alice);
+
+      expect(data.revisions[1].integrityVerified).toBe(false);
+      expect(data.chainVerified).toBe(false);
+    });
+
+    test('should refuse to restore a tampered revision', async () => {
+      const [entry] = await taskHistoryStore.findByTaskId(taskId);
+      entry.auditLog.metadata.snapshot.title = 'Forged title';
+
+      await expect(TaskService.restoreTaskRevision(taskId, 1, alice))
+        .rejects.toThrow('failed integrity verification');
+    });
+  });
+
+  describe('restoring revisions', () => {
+    test('should restore prior field values and record the restore', async () => {
+      await TaskService.updateTask(taskId, { title: 'Renamed task', description: 'Second draft' }, alice);
+
+      const result = await TaskService.restoreTaskRevision(taskId, 1, alice);
+
+      expect(result.data.title).toBe('Tracked task');
+      expect(result.data.description).toBe('First draft');
+
+      const { data } = await TaskService.getTaskHistory(taskId, alice);
+      const restore = data.revisions[2];
+
+      expect(restore.action).toBe('restored');
+      expect(restore.restoredFrom).toBe(1);
+      expect(data.chainVerified).toBe(true);
+    });
+
+    test('should apply workflow rules when restoring status', async () => {
+      await TaskService.updateTask(taskId, { status: 'completed' }, alice);
+
+      await expect(TaskService.restoreTaskRevision(taskId, 1, alice))
+        .rejects.toThrow(expect.objectContaining({ code: 'INVALID_STATUS_TRANSITION' }));
+    });
+
+    test('should reject unknown revisions', async () => {
+      await expect(TaskService.restoreTaskRevision(taskId, 42, alice))
+        .rejects.toThrow('Revision 42');
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const TaskService = require('../../../src/services/taskService');
+const TaskImportService = require('../../../src/services/taskImportService');
+const TaskExportService = require('../../../src/services/taskExportService');
+const taskHistoryStore = require('../../../src/repositories/task/taskHistoryStore');
+const dataStore = require('../../../src/utils/dataStore');
+
+describe('TaskImportService', () => {
+  const alice = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', roles: ['user'] };
+  const bob = { id: '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b', roles: ['user'] };
+
+  // A tracker export with its own column names
+  const csv = [
+    'Key,Summary,Details,Priority,Labels,Due',
+    'OPS-1,Rotate certificates,"Staging, then production",high,ops;security,2030-05-10',
+    'OPS-2,Renew domain,,low,,',
+    'OPS-3,,Missing summary,medium,,'
+  ].join('\r\n');
+
+  const mapping = { Key: 'externalId', Summary: 'title', Details: 'description', Priority: 'priority', Labels: 'tags', Due: 'dueDate' };
+
+  const importCSV = (options = {}, user = alice) =>
+    TaskImportService.importTasks({ format: 'csv', data: csv, mapping, ...options }, user);
+
+  const tasksOf = () => dataStore.tasks.map(task => task.toJSON());
+
+  beforeEach(async () => {
+    dataStore.clearAllTasks();
+    await taskHistoryStore.clear();
+  });
+
+  test('should create tasks from mapped CSV columns and report invalid rows', async () => {
+    const result = await importCSV();
+
+    expect(result.summary).toEqual({ total: 3, created: 2, updated: 0, unchanged: 0, invalid: 1, failed: 0 });
+    expect(result.results[2]).toEqual({
+      index: 2,
+      externalId: 'OPS-3',
+      outcome: 'invalid',
+      errors: [{ field: 'title', message: 'Title is required and must be a string' }]
+    });
+
+    expect(tasksOf()[0]).toMatchObject({
+      externalId: 'OPS-1',
+      title: 'Rotate certificates',
+      description: 'Staging, then production',
+      priority: 'high',
+      tags: ['ops', 'security'],
+      dueDate: '2030-05-10T00:00:00.000Z',
+      createdBy: alice.id
+    });
+  });
+
+  test('should preview an import without changing anything', async () => {
+    const result = await importCSV({ dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.summary).toMatchObject({ created: 2, invalid: 1 });
+    expect(result.results[0]).toEqual({ index: 0, externalId: 'OPS-1', outcome: 'created', op: 'create', id: null });
+    expect(tasksOf()).toHaveLength(0);
+  });
+
+  test('should update tasks by external ID and leave unchanged ones alone', async () => {
+    await importCSV();
+    const [first, second] = tasksOf();
+
+    const result = await TaskImportService.importTasks({
+      format: 'csv',
+      data: 'Key,Summary,Priority\r\nOPS-1,Rotate certificates,critical\r\nOPS-2,Renew domain,low\r\n',
+      mapping: { Key: 'externalId', Summary: 'title', Priority: 'priority' }
+    }, alice);
+
+    expect(result.results.map(row => [row.outcome, row.id])).toEqual([
+      ['updated', first.id],
+      ['unchanged', second.id]
+    ]);
+    expect(dataStore.getTaskById(first.id)).toMatchObject({ priority: 'critical', tags: ['ops', 'security'] });
+
+    const history = await TaskService.getTaskHistory(first.id, alice);
+    expect(history.data.revisions.map(revision => revision.action)).toEqual(['created', 'updated']);
+  });
+
+  test('should be idempotent', async () => {
+    await importCSV();
+    const result = await importCSV();
+
+    expect(result.summary).toMatchObject({ created: 0, updated: 0, unchanged: 2, invalid: 1 });
+    expect(tasksOf()).toHaveLength(2);
+  });
+
+  test('should only match external IDs of tasks the user can see', async () => {
+    await importCSV();
+    const result = await importCSV({}, bob);
+
+    expect(result.summary.created).toBe(2);
+    expect(tasksOf()).toHaveLength(4);
+  });
+
+  test('should report rows whose operation fails', async () => {
+    await TaskImportService.importTasks({ format: 'json', data: [{ title: 'Draft', externalId: 'X-2' }] }, alice);
+    const failed = await TaskImportService.importTasks({
+      format: 'json',
+      data: [{ title: 'Draft', externalId: 'X-2', status: 'in-progress' }]
+    }, alice);
+
+    expect(failed.results[0]).toMatchObject({ outcome: 'failed', op: 'update' });
+    expect(failed.results[0].error.message).toMatch(/description/i);
+  });
+
+  test('should preview workflow failures of updates', async () => {
+    await TaskImportService.importTasks({ format: 'json', data: [{ title: 'Draft', externalId: 'X-2' }] }, alice);
+
+    const preview = await TaskImportService.importTasks({
+      format: 'json',
+      data: [{ title: 'Draft', externalId: 'X-2', status: 'in-progress' }],
+      dryRun: true
+    }, alice);
+
+    expect(preview.results[0]).toMatchObject({ outcome: 'failed', op: 'update' });
+  });
+
+  test('should reject duplicate external IDs within one import', async () => {
+    const result = await TaskImportService.importTasks({
+      format: 'json',
+      data: [{ title: 'One', externalId: 'D-1' }, { title: 'Two', externalId: 'D-1' }]
+    }, alice);
+
+    expect(result.results[1]).toMatchObject({
+      outcome: 'invalid',
+      errors: [{ field: 'externalId', message: 'External ID appears in more than one row' }]
+    });
+  });
+
+  test('should re-import its own JSON export', async () => {
+    await importCSV();
+    const exported = JSON.parse((await TaskExportService.exportTasks('json', {}, alice)).body);
+
+    const result = await TaskImportService.importTasks({ format: 'json', data: exported }, alice);
+
+    expect(result.summary).toMatchObject({ unchanged: 2 });
+  });
+
+  test('should need a title column and stay within the row limit', async () => {
+    await expect(TaskImportService.importTasks({ format: 'csv', data: 'Name\r\nx\r\n' }, alice))
+      .rejects.toThrow('No column is mapped to title');
+
+    const rows = Array.from({ length: 1001 }, (_, index) => ({ title: `Task ${index}` }));
+    await expect(TaskImportService.importTasks({ format: 'json', data: rows }, alice))
+      .rejects.toThrow('at most 1000 rows');
+  });
+});
@@ -0,0 +1,242 @@
+const TaskService = require('../../../src/services/taskService');
+const { TaskRecurrenceService } = require('../../../src/services/taskRecurrenceService');
+const taskHistoryStore = require('../../../src/repositories/task/taskHistoryStore');
+const taskTrashService = require('../../../src/services/taskTrashService');
+const dataStore = require('../../../src/utils/dataStore');
+
+describe('TaskRecurrenceService', () => {
+  const alice = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', roles: ['user'] };
+  const bob = { id: '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b', roles: ['user'] };
+
+  // Monday 10:00 UTC; the chore is due every Monday at 09:00
+  const now = new Date('2030-05-06T10:00:00.000Z');
+  const weekly = { schedule: '0 9  * * mon' };
+
+  let service;
+  let template;
+
+  const instancesOf = id => dataStore.getSeriesInstances(id).map(task => task.toJSON());
+  const nextAtOf = id => dataStore.getTaskById(id).recurrence.nextAt;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now, doNotFake: ['nextTick', 'setImmediate'] });
+
+    dataStore.clearAllTasks();
+    await taskHistoryStore.clear();
+    service = new TaskRecurrenceService({ schedule: '* * * * *' });
+
+    template = (await TaskService.createTask({
+      title: 'Take out the trash',
+      checklist: [{ text: 'Kitchen', done: true }, { text: 'Bathroom' }],
+      tags: ['chores'],
+      recurrence: weekly
+    }, alice)).data;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('recurrence rules', () => {
+    test('should store the normalized rule with its next occurrence', () => {
+      expect(template.recurrence).toEqual({
+        schedule: '0 9 * * mon',
+        timezone: 'UTC',
+        paused: false,
+        nextAt: '2030-05-13T09:00:00.000Z'
+      });
+      expect(template.templateId).toBeNull();
+    });
+
+    test('should evaluate the schedule in the given time zone', async () => {
+      const task = (await TaskService.createTask({
+        title: 'Stand-up notes',
+        recurrence: { schedule: '0 9 * * *', timezone: 'America/New_York' }
+      }, alice)).data;
+
+      expect(task.recurrence.nextAt).toBe('2030-05-06T13:00:00.000Z');
+    });
+
+    test('should reject invalid schedules', async () => {
+      await expect(TaskService.createTask({ title: 'Nope', recurrence: { schedule: 'weekly' } }, alice))
+        .rejects.toThrow('recurrence: Recurrence schedule must be a 5-field cron expression');
+      await expect(TaskService.createTask({ title: 'Nope', recurrence: { cron: '0 9 * * 1' } }, alice))
+        .rejects.toThrow('Unknown recurrence fields: cron');
+    });
+
+    test('should keep the next occurrence when the schedule is unchanged', async () => {
+      await service.generateNext(dataStore.getTaskById(template.id), now);
+
+      await TaskService.updateTask(template.id, { recurrence: weekly }, alice);
+      expect(nextAtOf(template.id)).toBe('2030-05-20T09:00:00.000Z');
+
+      await TaskService.updateTask(template.id, { recurrence: { schedule: '0 9 * * fri' } }, alice);
+      expect(nextAtOf(template.id)).toBe('2030-05-10T09:00:00.000Z');
+    });
+
+    test('should stop recurring when the rule is removed', async () => {
+      await TaskService.updateTask(template.id, { recurrence: null }, alice);
+
+      const summary = await service.runOnce(new Date('2030-05-13T09:00:00.000Z'));
+      expect(summary.checked).toBe(0);
+    });
+  });
+
+  describe('scheduled generation', () => {
+    test('should generate an instance when its scheduled time arrives', async () => {
+      expect(await service.runOnce(now)).toEqual({ checked: 0, generated: 0, failed: 0 });
+
+      const summary = await service.runOnce(new Date('2030-05-13T09:00:30.000Z'));
+
+      expect(summary).toEqual({ checked: 1, generated: 1, failed: 0 });
+      expect(instancesOf(template.id)).toEqual([expect.objectContaining({
+        title: 'Take out the trash',
+        status: 'pending',
+        dueDate: '2030-05-13T09:00:00.000Z',
+        createdBy: alice.id,
+        tags: ['chores'],
+        recurrence: null,
+        templateId: template.id,
+        checklist: [
+          expect.objectContaining({ text: 'Kitchen', done: false }),
+          expect.objectContaining({ text: 'Bathroom', done: false })
+        ]
+      })]);
+      expect(nextAtOf(template.id)).toBe('2030-05-20T09:00:00.000Z');
+    });
+
+    test('should not make up occurrences missed while nothing ran', async () => {
+      await service.runOnce(new Date('2030-06-01T00:00:00.000Z'));
+
+      expect(instancesOf(template.id)).toHaveLength(1);
+      expect(nextAtOf(template.id)).toBe('2030-06-03T09:00:00.000Z');
+    });
+
+    test('should record generated instances in the task history', async () => {
+      await service.runOnce(new Date('2030-05-13T09:00:00.000Z'));
+      const [instance] = instancesOf(template.id);
+
+      const history = await TaskService.getTaskHistory(instance.id, alice);
+      expect(history.data.revisions.map(revision => revision.action)).toEqual(['created']);
+    });
+  });
+
+  describe('completion', () => {
+    test('should bring the next instance forward when the last open task is completed', async () => {
+      const result = await TaskService.updateTask(template.id, { status: 'completed' }, alice);
+
+      expect(result.nextInstance).toMatchObject({ templateId: template.id, dueDate: '2030-05-13T09:00:00.000Z' });
+      expect(nextAtOf(template.id)).toBe('2030-05-20T09:00:00.000Z');
+
+      // The scheduled run no longer creates a duplicate for that occurrence
+      await service.runOnce(new Date('2030-05-13T09:00:00.000Z'));
+      expect(instancesOf(template.id)).toHaveLength(1);
+    });
+
+    test('should wait while another instance of the series is open', async () => {
+      await service.runOnce(new Date('2030-05-13T09:00:00.000Z'));
+      await service.runOnce(new Date('2030-05-20T09:00:00.000Z'));
+      const [first] = instancesOf(template.id);
+
+      const result = await TaskService.updateTask(first.id, { status: 'completed' }, alice);
+
+      expect(result.nextInstance).toBeUndefined();
+      expect(instancesOf(template.id)).toHaveLength(2);
+    });
+  });
+
+  describe('series actions', () => {
+    test('should pause and resume a series', async () => {
+      let result = await TaskService.changeTaskSeries(template.id, 'pause', alice);
+      expect(result.data.recurrence).toMatchObject({ paused: true, nextAt: null });
+      expect(result.data.upcoming).toEqual([]);
+
+      await service.runOnce(new Date('2030-05-13T09:00:00.000Z'));
+      await TaskService.updateTask(template.id, { status: 'completed' }, alice);
+      expect(instancesOf(template.id)).toHaveLength(0);
+
+      jest.setSystemTime(new Date('2030-05-15T00:00:00.000Z'));
+      result = await TaskService.changeTaskSeries(template.id, 'resume', alice);
+      expect(result.data.recurrence).toMatchObject({ paused: false, nextAt: '2030-05-20T09:00:00.000Z' });
+    });
+
+    test('should skip the next occurrence', async () => {
+      const result = await TaskService.changeTaskSeries(template.id, 'skip', alice);
+
+      expect(result.data.recurrence.nextAt).toBe('2030-05-20T09:00:00.000Z');
+      expect(result.data.upcoming.slice(0, 2)).toEqual(['2030-05-20T09:00:00.000Z', '2030-05-27T09:00:00.000Z']);
+
+      await TaskService.changeTaskSeries(template.id, 'pause', alice);
+      await expect(TaskService.changeTaskSeries(template.id, 'skip', alice)).rejects.toThrow('resume it');
+    });
+
+    test('should resolve instances to their series', async () => {
+      await service.runOnce(new Date('2030-05-13T09:00:00.000Z'));
+      const [instance] = instancesOf(template.id);
+
+      const result = await TaskService.getTaskSeries(instance.id, alice);
+
+      expect(result.data.templateId).toBe(template.id);
+      expect(result.data.upcoming).toHaveLength(5);
+      expect(result.data.instances.map(task => task.id)).toEqual([instance.id]);
+    });
+
+    test('should keep series of other users hidden', async () => {
+      await expect(TaskService.getTaskSeries(template.id, bob)).rejects.toThrow('not found');
+      await expect(TaskService.changeTaskSeries(template.id, 'pause', bob)).rejects.toThrow('not found');
+    });
+
+    test('should reject tasks that are not part of a series', async () => {
+      const plain = (await TaskService.createTask({ title: 'One-off' }, alice)).data;
+
+      await expect(TaskService.getTaskSeries(plain.id, alice)).rejects.toThrow('not part of a recurring series');
+    });
+  });
+
+  describe('editing a series', () => {
+    let instances;
+
+    beforeEach(async () => {
+      await service.runOnce(new Date('2030-05-13T09:00:00.000Z'));
+      await service.runOnce(new Date('2030-05-20T09:00:00.000Z'));
+      await TaskService.updateTask(instancesOf(template.id)[0].id, { status: 'completed' }, alice);
+      instances = instancesOf(template.id);
+    });
+
+    test('should copy series fields to the template and open instances', async () => {
+      const result = await TaskService.updateTask(instances[1].id, {
+        title: 'Take out the recycling',
+        status: 'completed'
+      }, alice, { scope: 'series' });
+
+      expect(result.series).toEqual({ templateId: template.id, updatedTaskIds: [template.id] });
+      expect(dataStore.getTaskById(template.id)).toMatchObject({ title: 'Take out the recycling', status: 'pending' });
+      expect(dataStore.getTaskById(instances[0].id).title).toBe('Take out the trash');
+    });
+
+    test('should only change the task itself by default', async () => {
+      await TaskService.updateTask(instances[1].id, { title: 'Just this once' }, alice);
+
+      expect(dataStore.getTaskById(template.id).title).toBe('Take out the trash');
+    });
+
+    test('should not let instances recur on their own', async () => {
+      await expect(TaskService.updateTask(instances[1].id, { recurrence: weekly }, alice))
+        .rejects.toThrow('change the template task instead');
+    });
+
+    test('should reject the series scope for one-off tasks', async () => {
+      const plain = (await TaskService.createTask({ title: 'One-off' }, alice)).data;
+
+      await expect(TaskService.updateTask(plain.id, { title: 'Renamed' }, alice, { scope: 'series' }))
+        .rejects.toThrow('not part of a recurring series');
+    });
+
+    test('should turn instances into standalone tasks when the template is purged', async () => {
+      await TaskService.deleteTask(template.id, alice);
+      await taskTrashService.purgeTask(template.id);
+
+      expect(dataStore.getTaskById(instances[1].id).templateId).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('node-cron', () => ({
+  validate: jest.fn(),
+  schedule: jest.fn()
+}));
+jest.mock('../../../src/notifications/notificationFactory', () => ({
+  createTaskNotification: jest.fn()
+}));
+jest.mock('../../../src/notifications/notificationService', () => ({
+  sendToUser: jest.fn()
+}));
+jest.mock('../../../src/services/userPreferencesService', () => ({
+  getUserPreferences: jest.fn(),
+  isQuietHours: jest.fn()
+}));
+
+const cron = require('node-cron');
+const NotificationFactory = require('../../../src/notifications/notificationFactory');
+const notificationService = require('../../../src/notifications/notificationService');
+const userPreferencesService = require('../../../src/services/userPreferencesService');
+const { TaskReminderService } = require('../../../src/services/taskReminderService');
+const dataStore = require('../../../src/utils/dataStore');
+
+describe('TaskReminderService', () => {
+  const alice = '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f';
+  const bob = '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b';
+  const now = new Date('2030-05-01T12:00:00.000Z');
+
+  let service;
+
+  beforeEach(() => {
+    dataStore.clearAllTasks();
+    service = new TaskReminderService({ schedule: '*/5 * * * *', dueSoonHours: 24 });
+
+    NotificationFactory.createTaskNotification.mockImplementation((type, userId, data) => ({ type, userId, data }));
+    notificationService.sendToUser.mockResolvedValue({ success: true });
+    userPreferencesService.getUserPreferences.mockResolvedValue({ quietHoursEnabled: false });
+  });
+
+  test('should send overdue and due soon reminders to the assignee or creator', async () => {
+    dataStore.createTask({ title: 'Late', dueDate: '2030-04-30T12:00:00.000Z', createdBy: alice, assigneeId: bob });
+    dataStore.createTask({ title: 'Soon', dueDate: '2030-05-02T06:00:00.000Z', createdBy: alice });
+    dataStore.createTask({ title: 'Later', dueDate: '2030-05-10T00:00:00.000Z', createdBy: alice });
+
+    const summary = await service.runOnce(now);
+
+    expect(summary).toEqual({ checked: 2, sent: 2, deferred: 0, skipped: 0, failed: 0 });
+    expect(NotificationFactory.createTaskNotification).toHaveBeenCalledWith(
+      'task_overdue', bob, expect.objectContaining({ taskTitle: 'Late' })
+    );
+    expect(NotificationFactory.createTaskNotification).toHaveBeenCalledWith(
+      'task_due_soon', alice, expect.objectContaining({ taskTitle: 'Soon' })
+    );
+    expect(notificationService.sendToUser).toHaveBeenCalledTimes(2);
+  });
+
+  test('should skip completed and unowned tasks', async () => {
+    dataStore.createTask({ title: 'Done', status: 'completed', dueDate: '2030-04-30T12:00:00.000Z', createdBy: alice });
+    dataStore.createTask({ title: 'Nobody', dueDate: '2030-04-30T12:00:00.000Z' });
+
+    const summary = await service.runOnce(now);
+
+    expect(summary.checked).toBe(0);
+    expect(notificationService.sendToUser).not.toHaveBeenCalled();
+  });
+
+  test('should send each reminder once per due date', async () => {
+    const task = dataStore.createTask({ title: 'Late', dueDate: '2030-04-30T12:00:00.000Z', createdBy: alice });
+
+    await service.runOnce(now);
+    await service.runOnce(now);
+    expect(notificationService.sendToUser).toHaveBeenCalledTimes(1);
+
+    // Rescheduling makes the task eligible again
+    task.update({ dueDate: '2030-05-01T06:00:00.000Z' });
+    await service.runOnce(now);
+    expect(notificationService.sendToUser).toHaveBeenCalledTimes(2);
+  });
+
+  test('should defer reminders during quiet hours and retry on the next run', async () => {
+    dataStore.createTask({ title: 'Late', dueDate: '2030-04-30T12:00:00.000Z', createdBy: alice });
+    userPreferencesService.getUserPreferences.mockResolvedValue({ quietHoursEnabled: true });
+    userPreferencesService.isQuietHours.mockReturnValue(true);
+
+    const deferred = await service.runOnce(now);
+    expect(deferred.deferred).toBe(1);
+    expect(notificationService.sendToUser).not.toHaveBeenCalled();
+
+    userPreferencesService.isQuietHours.mockReturnValue(false);
+
+    const sent = await service.runOnce(now);
+    expect(sent.sent).toBe(1);
+    expect(notificationService.sendToUser).toHaveBeenCalledTimes(1);
+  });
+
+  test('should skip users who disabled task notifications', async () => {
+    dataStore.createTask({ title: 'Late', dueDate: '2030-04-30T12:00:00.000Z', createdBy: alice });
+    userPreferencesService.getUserPreferences.mockResolvedValue({
+      quietHoursEnabled: false,
+      categoryPreferences: { task: { enabled: false } }
+    });
+
+    const summary = await service.runOnce(now);
+
+    expect(summary.skipped).toBe(1);
+    expect(notificationService.sendToUser).not.toHaveBeenCalled();
+  });
+
+  test('should keep going and retry later when a send fails', async () => {
+    dataStore.createTask({ title: 'Late', dueDate: '2030-04-30T12:00:00.000Z', createdBy: alice });
+    dataStore.createTask({ title: 'Soon', dueDate: '2030-05-02T06:00:00.000Z', createdBy: alice });
+    notificationService.sendToUser
+      .mockRejectedValueOnce(new Error('Redis unavailable'))
+      .mockResolvedValue({ success: true });
+
+    const first = await service.runOnce(now);
+    expect(first).toEqual(expect.objectContaining({ sent: 1, failed: 1 }));
+
+    const second = await service.runOnce(now);
+    expect(second).toEqual(expect.objectContaining({ sent: 1, failed: 0 }));
+  });
+
+  test('should schedule and stop the cron job', () => {
+    const job = { stop: jest.fn() };
+    cron.validate.mockReturnValue(true);
+    cron.schedule.mockReturnValue(job);
+
+    service.start();
+    service.start();
+    expect(cron.schedule).toHaveBeenCalledTimes(1);
+    expect(cron.schedule).toHaveBeenCalledWith('*/5 * * * *', expect.any(Function));
+
+    service.stop();
+    expect(job.stop).toHaveBeenCalled();
+  });
+
+  test('should reject invalid schedules', () => {
+    cron.validate.mockReturnValue(false);
+
+    expect(() => service.start()).toThrow('Invalid task reminder schedule');
+  });
+});
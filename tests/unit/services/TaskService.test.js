@@ -0,0 +1,356 @@
+const authService = require('../../../src/auth/services/authService');
+const TaskService = require('../../../src/services/taskService');
+const dataStore = require('../../../src/utils/dataStore');
+const { parseFilter, parseSort, parseFields } = require('../../../src/utils/taskQuery');
+
+describe('TaskService', () => {
+  const alice = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', roles: ['user'] };
+  const bob = { id: '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b', roles: ['user'] };
+  const admin = { id: '0d4f6c1e-2b3a-4c5d-8e9f-0a1b2c3d4e5f', roles: ['user', 'admin'] };
+
+  const users = [alice, bob, admin];
+
+  let aliceTask;
+  let bobTask;
+
+  beforeEach(async () => {
+    dataStore.clearAllTasks();
+    jest.spyOn(authService, 'getUserById').mockImplementation(async id => users.find(user => user.id === id) || null);
+
+    aliceTask = (await TaskService.createTask({ title: 'Alice task', status: 'pending' }, alice)).data;
+    bobTask = (await TaskService.createTask({
+      title: 'Bob task',
+      description: 'Started by Bob',
+      status: 'in-progress',
+      assigneeId: alice.id
+    }, bob)).data;
+    await TaskService.createTask({ title: 'Bob private task', status: 'pending' }, bob);
+  });
+
+  describe('Ownership scoping', () => {
+    test('should record the creating user', () => {
+      expect(aliceTask.createdBy).toBe(alice.id);
+      expect(bobTask.createdBy).toBe(bob.id);
+    });
+
+    test('should list only tasks created by or assigned to the user', async () => {
+      const result = await TaskService.getAllTasks({ page: 1, limit: 10 }, alice);
+
+      expect(result.data.map(task => task.title).sort()).toEqual(['Alice task', 'Bob task']);
+      expect(result.pagination.total).toBe(2);
+    });
+
+    test('should let admins see all tasks', async () => {
+      const result = await TaskService.getAllTasks({ page: 1, limit: 10 }, admin);
+
+      expect(result.pagination.total).toBe(3);
+    });
+
+    test('should scope search results', async () => {
+      const result = await TaskService.searchTasks('private', { page: 1, limit: 10 }, alice);
+
+      expect(result.data).toHaveLength(0);
+    });
+
+    test('should scope statistics', async () => {
+      const result = await TaskService.getStatistics(alice);
+
+      expect(result.data.total).toBe(2);
+      expect(result.data.byStatus).toEqual({ pending: 1, 'in-progress': 1, completed: 0 });
+    });
+
+    test('should report tasks outside the scope as not found', async () => {
+      const result = await TaskService.getAllTasks({ page: 1, limit: 10, search: 'private' }, bob);
+      const privateTaskId = result.data[0].id;
+
+      await expect(TaskService.getTaskById(privateTaskId, alice)).rejects.toThrow('not found');
+      await expect(TaskService.updateTask(privateTaskId, { status: 'completed' }, alice)).rejects.toThrow('not found');
+    });
+
+    test('should allow assignees to update but not delete', async () => {
+      const updated = await TaskService.updateTask(bobTask.id, { status: 'completed' }, alice);
+      expect(updated.data.status).toBe('completed');
+
+      await expect(TaskService.deleteTask(bobTask.id, alice)).rejects.toThrow('Access denied');
+    });
+
+    test('should allow creators and admins to delete', async () => {
+      await expect(TaskService.deleteTask(aliceTask.id, alice)).resolves.toHaveProperty('success', true);
+      await expect(TaskService.deleteTask(bobTask.id, admin)).resolves.toHaveProperty('success', true);
+    });
+
+    test('should only assign tasks to existing, active users', async () => {
+      const unknownId = '5b7d9f1a-3c5e-4a7b-9d1f-2a4c6e8b0d2f';
+
+      await expect(TaskService.createTask({ title: 'Orphan', assigneeId: unknownId }, alice))
+        .rejects.toThrow(`Validation failed: assigneeId: No active user with ID ${unknownId}`);
+      await expect(TaskService.updateTask(aliceTask.id, { assigneeId: unknownId }, alice))
+        .rejects.toThrow('Validation failed: assigneeId');
+
+      const reassigned = await TaskService.updateTask(aliceTask.id, { assigneeId: bob.id }, alice);
+      expect(reassigned.data.assigneeId).toBe(bob.id);
+      expect(authService.getUserById).toHaveBeenLastCalledWith(bob.id);
+
+      // Unassigning needs no lookup
+      const unassigned = await TaskService.updateTask(aliceTask.id, { assigneeId: null }, alice);
+      expect(unassigned.data.assigneeId).toBeNull();
+    });
+  });
+
+  describe('Filtering and sorting', () => {
+    beforeEach(async () => {
+      await TaskService.updateTask(aliceTask.id, { priority: 'high', dueDate: '2030-05-03T00:00:00.000Z' }, alice);
+      await TaskService.updateTask(bobTask.id, { priority: 'low', dueDate: '2030-05-01T00:00:00.000Z' }, alice);
+    });
+
+    test('should filter by priority', async () => {
+      const result = await TaskService.getAllTasks({ page: 1, limit: 10, priority: 'high' }, admin);
+
+      expect(result.data.map(task => task.title)).toEqual(['Alice task']);
+    });
+
+    test('should filter by due date range', async () => {
+      const result = await TaskService.getAllTasks({
+        page: 1,
+        limit: 10,
+        dueAfter: '2030-05-02T00:00:00.000Z'
+      }, admin);
+
+      expect(result.data.map(task => task.title)).toEqual(['Alice task']);
+    });
+
+    test('should sort by due date with undated tasks last', async () => {
+      const result = await TaskService.getAllTasks({ page: 1, limit: 10, sortBy: 'dueDate', sortOrder: 'asc' }, admin);
+
+      expect(result.data.map(task => task.title)).toEqual(['Bob task', 'Alice task', 'Bob private task']);
+    });
+
+    test('should sort by priority rank', async () => {
+      const result = await TaskService.getAllTasks({ page: 1, limit: 10, sortBy: 'priority', sortOrder: 'desc' }, admin);
+
+      expect(result.data.map(task => task.priority)).toEqual(['high', 'medium', 'low']);
+    });
+  });
+
+  describe('Query language', () => {
+    beforeEach(async () => {
+      await TaskService.updateTask(aliceTask.id, { priority: 'high', tags: ['Docs', 'backend'] }, alice);
+      await TaskService.updateTask(bobTask.id, { priority: 'low', tags: ['ops'] }, alice);
+    });
+
+    test('should filter with boolean expressions over tags and assignee', async () => {
+      const result = await TaskService.getAllTasks({
+        limit: 10,
+        filter: parseFilter(`tags in (docs, ops) and (assignee = null or priority < medium)`)
+      }, admin);
+
+      expect(result.data.map(task => task.title).sort()).toEqual(['Alice task', 'Bob task']);
+      expect(result.data.find(task => task.id === aliceTask.id).tags).toEqual(['docs', 'backend']);
+    });
+
+    test('should keep the ownership scope when filtering', async () => {
+      const result = await TaskService.getAllTasks({ limit: 10, filter: parseFilter('status = pending') }, alice);
+
+      expect(result.data.map(task => task.title)).toEqual(['Alice task']);
+    });
+
+    test('should sort by several fields', async () => {
+      await TaskService.updateTask(bobTask.id, { dueDate: '2030-05-01T00:00:00.000Z' }, alice);
+
+      // Undated tasks tie on dueDate and fall back to priority
+      const result = await TaskService.getAllTasks({ limit: 10, sort: parseSort('dueDate,-priority') }, admin);
+
+      expect(result.data.map(task => task.title)).toEqual(['Bob task', 'Alice task', 'Bob private task']);
+    });
+
+    test('should return only the requested fields', async () => {
+      const result = await TaskService.getAllTasks({ limit: 10, fields: parseFields('title') }, alice);
+
+      expect(result.data).toEqual(expect.arrayContaining([{ id: aliceTask.id, title: 'Alice task' }]));
+    });
+
+    test('should page through every task with cursors', async () => {
+      const sort = parseSort('-priority');
+      const seen = [];
+      let cursor;
+
+      do {
+        const result = await TaskService.getAllTasks({ limit: 2, sort, cursor }, admin);
+        seen.push(...result.data.map(task => task.title));
+        cursor = result.pagination.nextCursor;
+      } while (cursor);
+
+      expect(seen).toEqual(['Alice task', 'Bob private task', 'Bob task']);
+    });
+  });
+
+  describe('Full-text search', () => {
+    let notesTask;
+
+    beforeEach(async () => {
+      notesTask = (await TaskService.createTask({
+        title: 'Write release notes',
+        description: 'Summarize the changes shipped in this release'
+      }, alice)).data;
+      await TaskService.createTask({
+        title: 'Deploy to staging',
+        description: 'Verify the release candidate before shipping'
+      }, alice);
+    });
+
+    const titles = result => result.data.map(task => task.title);
+
+    test('should rank title matches above description matches', async () => {
+      const result = await TaskService.searchTasks('release', {}, alice);
+
+      expect(titles(result)).toEqual(['Write release notes', 'Deploy to staging']);
+      expect(result.data[0].search.score).toBeGreaterThan(result.data[1].search.score);
+      expect(result.data[0].search.highlights).toEqual({
+        title: 'Write <mark>release</mark> notes',
+        description: 'Summarize the changes shipped in this <mark>release</mark>'
+      });
+    });
+
+    test('should match word forms and tolerate typos', async () => {
+      expect(titles(await TaskService.searchTasks('shipping', {}, alice))).toHaveLength(2);
+      expect(titles(await TaskService.searchTasks('relaese notse', {}, alice))).toEqual(['Write release notes']);
+    });
+
+    test('should support phrases and excluded words', async () => {
+      expect(titles(await TaskService.searchTasks('"release candidate"', {}, alice))).toEqual(['Deploy to staging']);
+      expect(titles(await TaskService.searchTasks('release -staging', {}, alice))).toEqual(['Write release notes']);
+    });
+
+    test('should keep the index current as tasks change', async () => {
+      await TaskService.updateTask(notesTask.id, { title: 'Write changelog', description: '' }, alice);
+      expect(titles(await TaskService.searchTasks('changelog', {}, alice))).toEqual(['Write changelog']);
+      expect(titles(await TaskService.searchTasks('notes', {}, alice))).toEqual([]);
+
+      await TaskService.deleteTask(notesTask.id, alice);
+      expect(titles(await TaskService.searchTasks('changelog', {}, alice))).toEqual([]);
+    });
+
+    test('should only search tasks in the user scope', async () => {
+      expect(titles(await TaskService.searchTasks('release', {}, bob))).toEqual([]);
+      expect(titles(await TaskService.searchTasks('release', {}, admin))).toHaveLength(2);
+    });
+
+    test('should combine search with filters, sorting and sparse fields', async () => {
+      const result = await TaskService.searchTasks('release', {
+        filter: parseFilter('status = pending'),
+        sort: parseSort('title'),
+        fields: parseFields('title')
+      }, alice);
+
+      expect(result.data.map(task => Object.keys(task))).toEqual([
+        ['id', 'title', 'search'],
+        ['id', 'title', 'search']
+      ]);
+      expect(titles(result)).toEqual(['Deploy to staging', 'Write release notes']);
+    });
+
+    test('should reject queries with nothing to search for', async () => {
+      await expect(TaskService.searchTasks('the and', {}, alice))
+        .rejects.toThrow('Search query must contain at least one searchable word');
+    });
+  });
+
+  describe('Versions and merge patches', () => {
+    test('should only update a task at an expected version', async () => {
+      const updated = await TaskService.updateTask(aliceTask.id, { title: 'First edit' }, alice, { expectedVersions: [1] });
+      expect(updated.data.version).toBe(2);
+
+      // A second client still holding version 1
+      await expect(TaskService.updateTask(aliceTask.id, { title: 'Second edit' }, alice, { expectedVersions: [1] }))
+        .rejects.toMatchObject({ statusCode: 412, details: { version: 2 } });
+
+      expect(dataStore.getTaskById(aliceTask.id).title).toBe('First edit');
+    });
+
+    test('should only delete a task at an expected version', async () => {
+      await TaskService.updateTask(aliceTask.id, { priority: 'high' }, alice);
+
+      await expect(TaskService.deleteTask(aliceTask.id, alice, { expectedVersions: [1] }))
+        .rejects.toThrow('it is at version 2');
+
+      const deleted = await TaskService.deleteTask(aliceTask.id, alice, { expectedVersions: [2] });
+      expect(deleted.data.id).toBe(aliceTask.id);
+    });
+
+    test('should apply a merge patch', async () => {
+      await TaskService.updateTask(aliceTask.id, {
+        estimate: 30,
+        tags: ['ops'],
+        recurrence: { schedule: '0 9 * * mon', timezone: 'UTC' }
+      }, alice);
+
+      const result = await TaskService.patchTask(aliceTask.id, {
+        estimate: null,
+        tags: ['ops', 'release'],
+        recurrence: { timezone: 'Europe/Berlin' }
+      }, alice);
+
+      expect(result.data).toMatchObject({
+        title: 'Alice task',
+        estimate: null,
+        tags: ['ops', 'release'],
+        recurrence: { schedule: '0 9 * * mon', timezone: 'Europe/Berlin' },
+        version: 3
+      });
+    });
+
+    test('should validate the patched fields like an update', async () => {
+      await expect(TaskService.patchTask(aliceTask.id, { title: null }, alice))
+        .rejects.toThrow('Validation failed: title');
+      await expect(TaskService.patchTask(aliceTask.id, { createdBy: bob.id }, alice))
+        .rejects.toThrow('Invalid fields: createdBy');
+    });
+  });
+
+  describe('Trash', () => {
+    test('should leave deleted tasks out of lists, search and statistics', async () => {
+      const deleted = await TaskService.deleteTask(aliceTask.id, alice);
+
+      expect(deleted.message).toBe('Task moved to trash');
+      expect(deleted.data.version).toBe(2);
+
+      const list = await TaskService.getAllTasks({ page: 1, limit: 10 }, alice);
+      expect(list.data.map(task => task.id)).toEqual([bobTask.id]);
+      expect((await TaskService.searchTasks('alice', {}, alice)).data).toHaveLength(0);
+      expect((await TaskService.getStatistics(alice)).data.total).toBe(1);
+      await expect(TaskService.getTaskById(aliceTask.id, alice)).rejects.toThrow('not found');
+    });
+
+    test('should list deleted tasks with the time they are purged', async () => {
+      const { data: deleted } = await TaskService.deleteTask(aliceTask.id, alice);
+
+      const trash = await TaskService.getDeletedTasks({ page: 1, limit: 10 }, alice);
+
+      expect(trash.data).toHaveLength(1);
+      expect(trash.data[0]).toMatchObject({ id: aliceTask.id, deletedAt: deleted.deletedAt });
+      expect(new Date(trash.data[0].purgeAt) - new Date(deleted.deletedAt)).toBe(30 * 24 * 60 * 60 * 1000);
+      expect((await TaskService.getDeletedTasks({ page: 1, limit: 10 }, bob)).data).toHaveLength(0);
+    });
+
+    test('should restore deleted tasks and record both in the history', async () => {
+      await TaskService.deleteTask(aliceTask.id, alice);
+
+      const restored = await TaskService.restoreTask(aliceTask.id, alice);
+
+      expect(restored.data).toMatchObject({ id: aliceTask.id, deletedAt: null, version: 3 });
+      expect((await TaskService.searchTasks('alice', {}, alice)).data).toHaveLength(1);
+
+      const history = await TaskService.getTaskHistory(aliceTask.id, alice);
+      expect(history.data.revisions.map(revision => revision.action)).toEqual(['created', 'deleted', 'undeleted']);
+
+      await expect(TaskService.restoreTask(aliceTask.id, alice)).rejects.toThrow('not found in trash');
+    });
+
+    test('should only let users who may delete a task restore it', async () => {
+      await TaskService.deleteTask(bobTask.id, bob);
+
+      await expect(TaskService.restoreTask(bobTask.id, alice)).rejects.toThrow('Access denied');
+      await expect(TaskService.restoreTask(bobTask.id, admin)).resolves.toMatchObject({ success: true });
+    });
+  });
+});
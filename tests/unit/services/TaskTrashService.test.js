@@ -0,0 +1,91 @@
+jest.mock('node-cron', () => ({
+  validate: jest.fn(),
+  schedule: jest.fn()
+}));
+
+const cron = require('node-cron');
+const TaskService = require('../../../src/services/taskService');
+const TaskHistoryService = require('../../../src/services/taskHistoryService');
+const { TaskTrashService } = require('../../../src/services/taskTrashService');
+const taskDependencyStore = require('../../../src/repositories/task/taskDependencyStore');
+const taskHistoryStore = require('../../../src/repositories/task/taskHistoryStore');
+const dataStore = require('../../../src/utils/dataStore');
+
+describe('TaskTrashService', () => {
+  const alice = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', roles: ['user'] };
+  const now = new Date('2030-05-06T09:00:00.000Z');
+
+  let service;
+  let oldTask;
+  let recentTask;
+
+  const createTask = async title => (await TaskService.createTask({ title }, alice)).data;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: new Date('2030-04-01T09:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+    dataStore.clearAllTasks();
+    await taskDependencyStore.clear();
+    await taskHistoryStore.clear();
+    service = new TaskTrashService({ schedule: '0 3 * * *', retentionDays: 30 });
+
+    oldTask = await createTask('Deleted long ago');
+    recentTask = await createTask('Deleted yesterday');
+    await TaskService.deleteTask(oldTask.id, alice);
+
+    jest.setSystemTime(new Date('2030-05-05T09:00:00.000Z'));
+    await TaskService.deleteTask(recentTask.id, alice);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should purge tasks kept in the trash past the retention period', async () => {
+    const summary = await service.runOnce(now);
+
+    expect(summary).toEqual({ checked: 1, purged: 1, failed: 0 });
+    expect(dataStore.tasks.map(task => task.id)).toEqual([recentTask.id]);
+    expect(service.getPurgeTime('2030-04-01T09:00:00.000Z')).toBe('2030-05-01T09:00:00.000Z');
+  });
+
+  test('should drop dependencies of purged tasks but keep their history', async () => {
+    const blocked = await createTask('Blocked');
+    await TaskService.restoreTask(oldTask.id, alice);
+    await TaskService.addTaskDependency(oldTask.id, { blocks: blocked.id }, alice);
+    await TaskService.deleteTask(oldTask.id, alice);
+
+    await service.purgeTask(oldTask.id);
+
+    expect(await taskDependencyStore.findBlockers(blocked.id)).toHaveLength(0);
+
+    const { revisions } = await TaskHistoryService.getHistory(oldTask.id);
+    expect(revisions.map(revision => revision.action)).toEqual(['created', 'deleted', 'undeleted', 'deleted', 'purged']);
+  });
+
+  test('should only purge tasks in the trash', async () => {
+    const live = await createTask('Still here');
+
+    await expect(service.purgeTask(live.id)).rejects.toThrow('not found in trash');
+  });
+
+  test('should schedule and stop the cron job', () => {
+    const job = { stop: jest.fn() };
+    cron.validate.mockReturnValue(true);
+    cron.schedule.mockReturnValue(job);
+
+    service.start();
+    service.start();
+    expect(cron.schedule).toHaveBeenCalledTimes(1);
+    expect(cron.schedule).toHaveBeenCalledWith('0 3 * * *', expect.any(Function));
+
+    service.stop();
+    expect(job.stop).toHaveBeenCalled();
+  });
+
+  test('should reject invalid schedules', () => {
+    cron.validate.mockReturnValue(false);
+
+    expect(() => service.start()).toThrow('Invalid task trash purge schedule');
+  });
+});
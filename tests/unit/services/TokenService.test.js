@@ -0,0 +1,170 @@
+jest.mock('../../../src/database/connection', () => ({
+  isConnected: true,
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/auth/services/emailService', () => ({
+  sendSecurityAlert: jest.fn()
+}));
+
+const crypto = require('crypto');
+const dbConnection = require('../../../src/database/connection');
+const emailService = require('../../../src/auth/services/emailService');
+const tokenService = require('../../../src/auth/services/tokenService');
+const authService = require('../../../src/auth/services/authService');
+const AuthEventMonitor = require('../../../src/integration/auth/AuthEventMonitor');
+
+describe('TokenService refresh token rotation', () => {
+  const user = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', email: 'alice@example.com', name: 'Alice', roles: ['user'] };
+  const metadata = { ipAddress: '203.0.113.7', userAgent: 'curl/8.0' };
+  let rows;
+
+  // The refresh_tokens table behind the queries the service sends
+  const fakeQuery = async (sql, params = []) => {
+    if (sql.includes('INSERT INTO refresh_tokens')) {
+      const row = {
+        id: crypto.randomUUID(),
+        user_id: params[0],
+        token: params[1],
+        is_active: params[5],
+        created_at: params[6],
+        expires_at: params[7],
+        last_used_at: params[8],
+        family_id: params[9],
+        used_at: null,
+        revoked_at: null,
+        revoked_reason: null
+      };
+      rows.push(row);
+      return { rows: [row], rowCount: 1 };
+    }
+    if (sql.includes('WHERE token = $1')) {
+      return { rows: rows.filter(row => row.token === params[0]).map(row => ({ ...row })) };
+    }
+    if (sql.includes('used_at = CURRENT_TIMESTAMP')) {
+      const consumed = rows.filter(row => row.id === params[0] && !row.used_at && !row.revoked_at);
+      consumed.forEach(row => Object.assign(row, { is_active: false, used_at: new Date(), revoked_at: new Date(), revoked_reason: 'Token rotation' }));
+      return { rows: consumed, rowCount: consumed.length };
+    }
+    if (sql.includes('WHERE family_id = $2')) {
+      const revoked = rows.filter(row => row.family_id === params[1] && !row.revoked_at);
+      revoked.forEach(row => Object.assign(row, { is_active: false, revoked_at: new Date(), revoked_reason: params[0] }));
+      return { rows: revoked, rowCount: revoked.length };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  const login = async () => (await tokenService.generateTokenPair(user, metadata)).refreshToken;
+  const rowOf = token => rows.find(row => row.token === token);
+
+  beforeEach(() => {
+    rows = [];
+    dbConnection.query.mockImplementation(fakeQuery);
+    emailService.sendSecurityAlert.mockResolvedValue({ success: true });
+    jest.spyOn(authService, 'getUserById').mockResolvedValue({ ...user, toJSON: () => user });
+  });
+
+  test('should rotate refresh tokens within their family', async () => {
+    const first = await login();
+    const { refreshToken: second, accessToken } = await authService.refreshTokens(first, metadata);
+    const { refreshToken: third } = await authService.refreshTokens(second, metadata);
+
+    expect(tokenService.verifyToken(accessToken, 'access').sub).toBe(user.id);
+    expect(rows).toHaveLength(3);
+    expect(new Set(rows.map(row => row.family_id)).size).toBe(1);
+    expect(rowOf(first)).toMatchObject({ used_at: expect.any(Date), revoked_reason: 'Token rotation' });
+    expect(rowOf(third)).toMatchObject({ used_at: null, revoked_at: null });
+
+    // Another login starts a family of its own
+    await login();
+    expect(new Set(rows.map(row => row.family_id)).size).toBe(2);
+  });
+
+  test('should revoke the whole family when a consumed token is presented again', async () => {
+    const otherSession = await login();
+    const stolen = await login();
+    const { refreshToken: current } = await authService.refreshTokens(stolen, metadata);
+
+    const reuseEvents = [];
+    const listener = event => reuseEvents.push(event);
+    authService.on('refreshTokenReused', listener);
+
+    try {
+      await expect(authService.refreshTokens(stolen, { ipAddress: '198.51.100.9', userAgent: 'evil' }))
+        .rejects.toThrow('Refresh token reuse detected');
+    } finally {
+      authService.off('refreshTokenReused', listener);
+    }
+
+    expect(rowOf(current)).toMatchObject({ is_active: false, revoked_reason: 'Refresh token reuse detected' });
+    await expect(authService.refreshTokens(current, metadata)).rejects.toThrow('Invalid or expired refresh token');
+
+    // Other logins of the user keep working
+    await expect(authService.refreshTokens(otherSession, metadata)).resolves.toHaveProperty('refreshToken');
+
+    expect(reuseEvents).toEqual([{
+      userId: user.id,
+      familyId: rowOf(stolen).family_id,
+      revokedSessions: 1,
+      ipAddress: '198.51.100.9',
+      userAgent: 'evil',
+      timestamp: expect.any(Number)
+    }]);
+    expect(emailService.sendSecurityAlert).toHaveBeenCalledTimes(1);
+    expect(emailService.sendSecurityAlert).toHaveBeenCalledWith(
+      expect.objectContaining({ email: user.email }),
+      'REFRESH_TOKEN_REUSE',
+      { ipAddress: '198.51.100.9', userAgent: 'evil' }
+    );
+
+    // Replaying again finds nothing left to revoke, and emails nobody
+    await expect(authService.refreshTokens(stolen, metadata)).rejects.toThrow('Refresh token reuse detected');
+    expect(emailService.sendSecurityAlert).toHaveBeenCalledTimes(1);
+  });
+
+  test('should let only one of two concurrent refreshes with the same token through', async () => {
+    const token = await login();
+
+    const results = await Promise.allSettled([
+      authService.refreshTokens(token, metadata),
+      authService.refreshTokens(token, metadata)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toBe('Refresh token reuse detected');
+    expect(rows.every(row => row.revoked_at)).toBe(true);
+  });
+
+  test('should report reuse to the auth event monitor', async () => {
+    const monitor = new AuthEventMonitor();
+    await monitor.initialize(authService);
+    const terminated = [];
+    monitor.on('terminateSessions', event => terminated.push(event));
+
+    try {
+      const token = await login();
+      await authService.refreshTokens(token, metadata);
+
+      const processed = new Promise(resolve => monitor.once('authEventProcessed', resolve));
+      await expect(authService.refreshTokens(token, metadata)).rejects.toThrow('Refresh token reuse detected');
+      await processed;
+
+      expect(monitor.getStatistics().refreshTokenReuses).toBe(1);
+      expect(monitor.getRecentEvents(10, 'refresh_token_reused')).toEqual([
+        expect.objectContaining({ userId: user.id, familyId: rows[0].family_id, ipAddress: metadata.ipAddress })
+      ]);
+      expect(monitor.getSecurityAlerts(10)).toContainEqual(expect.objectContaining({
+        monitorId: 'refresh_token_reuse_detection',
+        severity: 'critical',
+        details: expect.objectContaining({ userId: user.id, revokedSessions: 1 })
+      }));
+      expect(terminated).toEqual([expect.objectContaining({ userId: user.id, reason: 'security_detection' })]);
+    } finally {
+      await monitor.cleanup();
+    }
+
+    expect(authService.listenerCount('refreshTokenReused')).toBe(0);
+  });
+});
@@ -0,0 +1,345 @@
+jest.mock('../../../src/database/connection', () => ({
+  isConnected: true,
+  query: jest.fn()
+}));
+
+jest.mock('../../../src/auth/services/emailService', () => ({
+  sendSecurityAlert: jest.fn()
+}));
+
+const crypto = require('crypto');
+const dbConnection = require('../../../src/database/connection');
+const emailService = require('../../../src/auth/services/emailService');
+const webauthnService = require('../../../src/auth/services/webauthnService');
+const cbor = require('../../../src/utils/cbor');
+const config = require('../../../src/shared/config/environment');
+
+const RP_ID = 'localhost';
+const ORIGIN = 'http://localhost:3000';
+
+// User present and user verified
+const VERIFIED = 0x05;
+const ATTESTED = 0x40;
+
+const b64 = buffer => Buffer.from(buffer).toString('base64url');
+
+// A software authenticator: a P-256 key pair for one credential
+const createAuthenticator = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+
+  return {
+    credentialId: crypto.randomBytes(16),
+    privateKey,
+    coseKey: new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')]
+    ]),
+    signCount: 0
+  };
+};
+
+const clientDataJSON = (type, challenge, origin = ORIGIN) =>
+  Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+
+const authenticatorData = (authenticator, { flags = VERIFIED, rpId = RP_ID, attested = false } = {}) => {
+  const header = Buffer.alloc(37);
+  crypto.createHash('sha256').update(rpId).digest().copy(header, 0);
+  header[32] = flags | (attested ? ATTESTED : 0);
+  header.writeUInt32BE(authenticator.signCount, 33);
+
+  if (!attested) {
+    return header;
+  }
+
+  const idLength = Buffer.alloc(2);
+  idLength.writeUInt16BE(authenticator.credentialId.length);
+  return Buffer.concat([header, Buffer.alloc(16), idLength, authenticator.credentialId, cbor.encode(authenticator.coseKey)]);
+};
+
+// navigator.credentials.create()
+const createCredential = (authenticator, options, { origin, flags, rpId } = {}) => ({
+  id: b64(authenticator.credentialId),
+  rawId: b64(authenticator.credentialId),
+  type: 'public-key',
+  response: {
+    clientDataJSON: b64(clientDataJSON('webauthn.create', options.challenge, origin)),
+    attestationObject: b64(cbor.encode({
+      fmt: 'none',
+      attStmt: {},
+      authData: authenticatorData(authenticator, { flags, rpId, attested: true })
+    })),
+    transports: ['internal']
+  }
+});
+
+// navigator.credentials.get()
+const getAssertion = (authenticator, options, { signCount, signingKey = authenticator.privateKey } = {}) => {
+  authenticator.signCount = signCount !== undefined ? signCount : authenticator.signCount + 1;
+
+  const authData = authenticatorData(authenticator);
+  const clientData = clientDataJSON('webauthn.get', options.challenge);
+  const signedData = Buffer.concat([authData, crypto.createHash('sha256').update(clientData).digest()]);
+
+  return {
+    id: b64(authenticator.credentialId),
+    type: 'public-key',
+    response: {
+      clientDataJSON: b64(clientData),
+      authenticatorData: b64(authData),
+      signature: b64(crypto.sign('sha256', signedData, signingKey)),
+      userHandle: authenticator.userId ? b64(authenticator.userId) : null
+    }
+  };
+};
+
+describe('WebAuthnService', () => {
+  const user = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', email: 'alice@example.com', name: 'Alice' };
+  let credentials;
+  let challenges;
+
+  // The webauthn_credentials and webauthn_challenges rows behind the
+  // queries the service sends
+  const fakeQuery = async (sql, params = []) => {
+    const active = credential => !credential.revoked_at;
+
+    if (sql.includes('INSERT INTO webauthn_challenges')) {
+      const [challenge, type, userId, expiresAt] = params;
+      challenges.push({ challenge, type, user_id: userId, expires_at: expiresAt });
+      return { rows: [] };
+    }
+    if (sql.includes('DELETE FROM webauthn_challenges') && sql.includes('WHERE challenge = $1')) {
+      const [challenge, type, userId, now] = params;
+      const index = challenges.findIndex(row =>
+        row.challenge === challenge && row.type === type && row.user_id === userId && row.expires_at > now);
+      return { rows: index === -1 ? [] : challenges.splice(index, 1).map(row => ({ challenge: row.challenge })) };
+    }
+    if (sql.includes('DELETE FROM webauthn_challenges')) {
+      challenges = challenges.filter(row => row.expires_at > params[0]);
+      return { rows: [] };
+    }
+
+    if (sql.includes('INSERT INTO webauthn_credentials')) {
+      if (credentials.some(credential => credential.credential_id === params[1])) return { rows: [] };
+      const [userId, credentialId, publicKey, algorithm, signCount, transports, name, aaguid, backupEligible, backedUp] = params;
+      const row = {
+        id: crypto.randomUUID(),
+        user_id: userId,
+        credential_id: credentialId,
+        public_key: publicKey,
+        algorithm,
+        sign_count: String(signCount),
+        transports,
+        name,
+        aaguid,
+        backup_eligible: backupEligible,
+        backed_up: backedUp,
+        created_at: new Date(),
+        last_used_at: null,
+        revoked_at: null,
+        revoked_reason: null
+      };
+      credentials.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('WHERE u.email = $1')) {
+      return { rows: params[0] === user.email ? credentials.filter(active) : [] };
+    }
+    if (sql.includes('WHERE c.credential_id = $1')) {
+      const row = credentials.find(credential => active(credential) && credential.credential_id === params[0]);
+      return { rows: row ? [{ ...row, email: user.email, user_name: user.name }] : [] };
+    }
+    if (sql.includes('WHERE user_id = $1')) {
+      return { rows: credentials.filter(credential => active(credential) && credential.user_id === params[0]) };
+    }
+    if (sql.includes('SET sign_count = $1')) {
+      const row = credentials.find(credential => active(credential) && credential.id === params[2]);
+      if (!row || !(parseInt(row.sign_count) < params[0] || params[0] === 0)) return { rows: [] };
+      Object.assign(row, { sign_count: String(params[0]), backed_up: params[1], last_used_at: new Date() });
+      return { rows: [{ id: row.id }] };
+    }
+    if (sql.includes('SET revoked_at = CURRENT_TIMESTAMP')) {
+      const row = credentials.find(credential => active(credential) && credential.id === params[1] && credential.user_id === params[2]);
+      if (!row) return { rows: [] };
+      Object.assign(row, { revoked_at: new Date(), revoked_reason: params[0] });
+      return { rows: [{ id: row.id }] };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  const register = async authenticator => {
+    const options = await webauthnService.generateRegistrationOptions(user);
+    authenticator.userId = Buffer.from(options.user.id, 'base64url');
+    return webauthnService.verifyRegistration(user, createCredential(authenticator, options), { name: 'Laptop' });
+  };
+
+  const login = async (authenticator, assertionOptions) => {
+    const options = await webauthnService.generateAuthenticationOptions();
+    return webauthnService.verifyAuthentication(getAssertion(authenticator, options, assertionOptions));
+  };
+
+  beforeEach(() => {
+    credentials = [];
+    challenges = [];
+    dbConnection.query.mockImplementation(fakeQuery);
+    emailService.sendSecurityAlert.mockResolvedValue({ success: true });
+  });
+
+  test('should register a passkey and exclude it from later registrations', async () => {
+    const authenticator = createAuthenticator();
+    const options = await webauthnService.generateRegistrationOptions(user);
+
+    expect(options).toMatchObject({
+      rp: { id: RP_ID, name: 'SpecPulse' },
+      user: { id: b64(user.id), name: user.email, displayName: 'Alice' },
+      attestation: 'none',
+      authenticatorSelection: { userVerification: 'required' },
+      excludeCredentials: []
+    });
+    expect(options.pubKeyCredParams.map(param => param.alg)).toEqual([-7, -8, -257]);
+
+    const credential = createCredential(authenticator, options);
+    const passkey = await webauthnService.verifyRegistration(user, credential, { name: 'Laptop' });
+
+    expect(passkey.toJSON()).toMatchObject({ name: 'Laptop', credentialId: b64(authenticator.credentialId), transports: ['internal'] });
+    expect(credentials[0].public_key).toMatch(/^-----BEGIN PUBLIC KEY-----/);
+    expect(credentials[0].algorithm).toBe(-7);
+
+    // The challenge works once
+    await expect(webauthnService.verifyRegistration(user, credential)).rejects.toThrow('Invalid or expired passkey challenge');
+
+    const nextOptions = await webauthnService.generateRegistrationOptions(user);
+    expect(nextOptions.excludeCredentials).toEqual([{ type: 'public-key', id: b64(authenticator.credentialId), transports: ['internal'] }]);
+    await expect(webauthnService.verifyRegistration(user, createCredential(authenticator, nextOptions)))
+      .rejects.toThrow('Passkey is already registered');
+  });
+
+  test('should reject registrations from another origin, relying party or without user verification', async () => {
+    const authenticator = createAuthenticator();
+
+    let options = await webauthnService.generateRegistrationOptions(user);
+    await expect(webauthnService.verifyRegistration(user, createCredential(authenticator, options, { origin: 'https://evil.example' })))
+      .rejects.toThrow('unexpected origin');
+
+    options = await webauthnService.generateRegistrationOptions(user);
+    await expect(webauthnService.verifyRegistration(user, createCredential(authenticator, options, { rpId: 'evil.example' })))
+      .rejects.toThrow('another relying party');
+
+    options = await webauthnService.generateRegistrationOptions(user);
+    await expect(webauthnService.verifyRegistration(user, createCredential(authenticator, options, { flags: 0x01 })))
+      .rejects.toThrow('User verification is required');
+
+    // Another user's challenge
+    options = await webauthnService.generateRegistrationOptions({ ...user, id: '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b' });
+    await expect(webauthnService.verifyRegistration(user, createCredential(authenticator, options)))
+      .rejects.toThrow('Invalid or expired passkey challenge');
+
+    expect(credentials).toEqual([]);
+  });
+
+  test('should verify assertions and advance the sign counter', async () => {
+    const authenticator = createAuthenticator();
+    await register(authenticator);
+
+    const options = await webauthnService.generateAuthenticationOptions({ email: 'Alice@example.com' });
+    expect(options).toMatchObject({
+      rpId: RP_ID,
+      userVerification: 'required',
+      allowCredentials: [{ type: 'public-key', id: b64(authenticator.credentialId), transports: ['internal'] }]
+    });
+
+    const assertion = getAssertion(authenticator, options);
+    await expect(webauthnService.verifyAuthentication(assertion)).resolves.toMatchObject({ userId: user.id });
+    expect(credentials[0]).toMatchObject({ sign_count: '1', last_used_at: expect.any(Date) });
+
+    // A replayed assertion reuses a challenge
+    await expect(webauthnService.verifyAuthentication(assertion)).rejects.toThrow('Invalid or expired passkey challenge');
+
+    await expect(login(authenticator)).resolves.toMatchObject({ userId: user.id });
+    expect(credentials[0].sign_count).toBe('2');
+  });
+
+  test('should keep challenges in the database until they are used or expire', async () => {
+    const authenticator = createAuthenticator();
+    await register(authenticator);
+    expect(challenges).toEqual([]);
+
+    // Any instance can finish the ceremony, but only one request gets the challenge
+    const options = await webauthnService.generateAuthenticationOptions();
+    expect(challenges).toEqual([expect.objectContaining({ challenge: options.challenge, type: 'authentication', user_id: null })]);
+
+    const assertion = getAssertion(authenticator, options);
+    const results = await Promise.allSettled([
+      webauthnService.verifyAuthentication(assertion),
+      webauthnService.verifyAuthentication(assertion)
+    ]);
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toBe('Invalid or expired passkey challenge');
+
+    // Past the ceremony timeout the challenge no longer works, and the next
+    // ceremony deletes it
+    const expired = await webauthnService.generateAuthenticationOptions();
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + config.webauthn.challengeTimeoutMs + 1000);
+    await expect(webauthnService.verifyAuthentication(getAssertion(authenticator, expired)))
+      .rejects.toThrow('Invalid or expired passkey challenge');
+
+    const next = await webauthnService.generateAuthenticationOptions();
+    expect(challenges.map(row => row.challenge)).toEqual([next.challenge]);
+  });
+
+  test('should accept authenticators without a sign counter', async () => {
+    const authenticator = createAuthenticator();
+    await register(authenticator);
+
+    await expect(login(authenticator, { signCount: 0 })).resolves.toMatchObject({ userId: user.id });
+    await expect(login(authenticator, { signCount: 0 })).resolves.toMatchObject({ userId: user.id });
+  });
+
+  test('should reject signatures from another key and unknown passkeys', async () => {
+    const authenticator = createAuthenticator();
+    await register(authenticator);
+
+    await expect(login(authenticator, { signingKey: createAuthenticator().privateKey }))
+      .rejects.toThrow('Invalid passkey signature');
+    await expect(login(createAuthenticator())).rejects.toThrow('Passkey is not registered');
+  });
+
+  test('should revoke a cloned passkey and alert the user', async () => {
+    const authenticator = createAuthenticator();
+    await register(authenticator);
+    await login(authenticator, { signCount: 5 });
+
+    // A copy of the key that has signed fewer times
+    await expect(login(authenticator, { signCount: 3 })).rejects.toThrow('Passkey sign counter did not increase');
+
+    expect(credentials[0]).toMatchObject({ revoked_at: expect.any(Date), revoked_reason: 'Sign counter did not increase' });
+    expect(emailService.sendSecurityAlert).toHaveBeenCalledWith(
+      { email: user.email, name: user.name },
+      'PASSKEY_CLONE_DETECTED',
+      { passkey: 'Laptop' }
+    );
+    await expect(login(authenticator, { signCount: 10 })).rejects.toThrow('Passkey is not registered');
+  });
+
+  test('should list and revoke passkeys', async () => {
+    const laptop = createAuthenticator();
+    const phone = createAuthenticator();
+    const laptopPasskey = await register(laptop);
+    await register(phone);
+
+    expect(await webauthnService.listCredentials(user.id)).toHaveLength(2);
+
+    await expect(webauthnService.revokeCredential('7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b', laptopPasskey.id))
+      .rejects.toThrow('Passkey not found');
+    await webauthnService.revokeCredential(user.id, laptopPasskey.id);
+
+    const remaining = await webauthnService.listCredentials(user.id);
+    expect(remaining.map(passkey => passkey.credentialId)).toEqual([b64(phone.credentialId)]);
+    await expect(login(laptop)).rejects.toThrow('Passkey is not registered');
+    await expect(login(phone)).resolves.toMatchObject({ userId: user.id });
+  });
+});
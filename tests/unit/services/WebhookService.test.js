@@ -0,0 +1,260 @@
+// The message queue needs Redis; this stand-in keeps the queued messages so
+// tests can deliver them one at a time
+jest.mock('../../../src/services/messageQueueService', () => {
+  const EventEmitter = require('events');
+  const queue = new EventEmitter();
+
+  queue.messages = [];
+  queue.createQueue = async () => {};
+  queue.consume = async () => 'consumer-1';
+  queue.stopConsumer = () => true;
+  queue.enqueue = async (queueName, payload) => {
+    queue.messages.push(payload);
+    return `message-${queue.messages.length}`;
+  };
+
+  return queue;
+});
+
+const http = require('http');
+const messageQueueService = require('../../../src/services/messageQueueService');
+const WebhookService = require('../../../src/services/webhookService');
+const webhookDeliveryService = require('../../../src/services/webhookDeliveryService');
+const { WebhookDeliveryService } = require('../../../src/services/webhookDeliveryService');
+const TaskService = require('../../../src/services/taskService');
+const TaskBulkService = require('../../../src/services/taskBulkService');
+const Webhook = require('../../../src/models/Webhook');
+const webhookStore = require('../../../src/repositories/webhook/webhookStore');
+const taskHistoryStore = require('../../../src/repositories/task/taskHistoryStore');
+const dataStore = require('../../../src/utils/dataStore');
+const { verifySignature } = require('../../../src/utils/webhookSignature');
+
+describe('WebhookService', () => {
+  const admin = { id: '0d4f6c1e-2b3a-4c5d-8e9f-0a1b2c3d4e5f', roles: ['admin'] };
+  const alice = { id: '3f1c2a44-8b1e-4c6f-9d2a-1a2b3c4d5e6f', roles: ['user'] };
+
+  // Local receiver: records each request and answers with `status` after
+  // `delay` milliseconds
+  let receiver;
+  let received;
+  let status;
+  let delay;
+  let url;
+
+  // Deliver every queued message, collecting the delivery errors
+  const deliverQueued = async () => {
+    const errors = [];
+    const messages = messageQueueService.messages.splice(0);
+
+    for (const message of messages) {
+      await webhookDeliveryService.deliver(message.deliveryId).catch(error => errors.push(error.message));
+    }
+
+    return errors;
+  };
+
+  const createWebhook = async (events, data = {}) =>
+    (await WebhookService.createWebhook({ url, events, ...data }, admin)).data;
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, headers: req.headers, body });
+        setTimeout(() => {
+          res.statusCode = status;
+          res.end();
+        }, delay);
+      });
+    });
+
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(async () => {
+    dataStore.clearAllTasks();
+    await taskHistoryStore.clear();
+    await webhookStore.clear();
+    messageQueueService.messages = [];
+    received = [];
+    status = 200;
+    delay = 0;
+
+    await webhookDeliveryService.start();
+  });
+
+  afterEach(() => {
+    webhookDeliveryService.stop();
+  });
+
+  describe('subscriptions', () => {
+    test('should show the signing secret only when the webhook is created', async () => {
+      const webhook = await createWebhook(['task.created'], { description: 'CI' });
+
+      expect(webhook.secret).toMatch(/^whsec_/);
+      expect(webhook).toMatchObject({ url, events: ['task.created'], description: 'CI', active: true, createdBy: admin.id });
+
+      const { data } = await WebhookService.getWebhookById(webhook.id);
+      expect(data.secret).toBeUndefined();
+      expect((await WebhookService.listWebhooks()).data).toHaveLength(1);
+    });
+
+    test('should reject unknown events and non-http URLs', async () => {
+      await expect(WebhookService.createWebhook({ url, events: ['task.exploded'] }, admin))
+        .rejects.toThrow('Unknown events: task.exploded');
+      await expect(WebhookService.createWebhook({ url: 'ftp://example.com/hooks', events: ['task.created'] }, admin))
+        .rejects.toThrow('URL must use http or https');
+    });
+
+    test('should update and delete webhooks with their delivery log', async () => {
+      const webhook = await createWebhook(['task.created']);
+      await TaskService.createTask({ title: 'Logged' }, alice);
+
+      const { data } = await WebhookService.updateWebhook(webhook.id, { events: ['task.deleted'], active: false });
+      expect(data).toMatchObject({ events: ['task.deleted'], active: false });
+
+      await WebhookService.deleteWebhook(webhook.id);
+      await expect(WebhookService.getDeliveries(webhook.id)).rejects.toThrow('not found');
+      expect(await deliverQueued()).toEqual([]);
+    });
+  });
+
+  describe('delivery', () => {
+    test('should POST signed events to subscribed webhooks', async () => {
+      const webhook = await createWebhook(['task.created']);
+      await createWebhook(['task.deleted']);
+
+      const task = (await TaskService.createTask({ title: 'Ship it' }, alice)).data;
+      expect(await deliverQueued()).toEqual([]);
+
+      expect(received).toHaveLength(1);
+      const [{ method, headers, body }] = received;
+      const payload = JSON.parse(body);
+
+      expect(method).toBe('POST');
+      expect(headers['x-webhook-event']).toBe('task.created');
+      expect(headers['x-webhook-id']).toBe(webhook.id);
+      expect(verifySignature(webhook.secret, headers['x-webhook-timestamp'], body, headers['x-webhook-signature'])).toBe(true);
+      expect(payload).toMatchObject({ type: 'task.created', data: { task: { id: task.id, title: 'Ship it' } } });
+
+      const { data: deliveries } = await WebhookService.getDeliveries(webhook.id);
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0]).toMatchObject({ id: headers['x-webhook-delivery'], status: 'delivered', error: null });
+      expect(deliveries[0].attempts).toEqual([
+        expect.objectContaining({ statusCode: 200, error: null, durationMs: expect.any(Number) })
+      ]);
+    });
+
+    test('should publish status changes with the previous and new status', async () => {
+      const webhook = await createWebhook(['task.status_changed', 'task.updated']);
+      const task = (await TaskService.createTask({ title: 'Ship it', description: 'Release 2.0', status: 'pending' }, alice)).data;
+
+      await TaskService.updateTask(task.id, { title: 'Ship it today' }, alice);
+      await TaskService.updateTask(task.id, { status: 'in-progress' }, alice);
+      await deliverQueued();
+
+      const events = received.map(request => JSON.parse(request.body));
+      expect(events.map(event => event.type)).toEqual(['task.updated', 'task.updated', 'task.status_changed']);
+      expect(events[0].data.changes).toEqual([{ field: 'title', from: 'Ship it', to: 'Ship it today' }]);
+      expect(events[2].data).toMatchObject({ from: 'pending', to: 'in-progress', task: { id: task.id } });
+
+      const { data: deliveries } = await WebhookService.getDeliveries(webhook.id, { limit: 2 });
+      expect(deliveries).toHaveLength(2);
+    });
+
+    test('should not send events to inactive webhooks', async () => {
+      await createWebhook(['task.created'], { active: false });
+
+      await TaskService.createTask({ title: 'Quiet' }, alice);
+
+      expect(messageQueueService.messages).toHaveLength(0);
+    });
+
+    test('should not publish while delivery is stopped', async () => {
+      await createWebhook(['task.created']);
+      webhookDeliveryService.stop();
+
+      await TaskService.createTask({ title: 'Unheard' }, alice);
+
+      expect(messageQueueService.messages).toHaveLength(0);
+    });
+
+    test('should only publish the changes of committed atomic batches', async () => {
+      await createWebhook(['task.created']);
+
+      await TaskBulkService.execute([
+        { op: 'create', data: { title: 'Rolled back' } },
+        { op: 'status', id: '5b7d9f1a-3c5e-4a7b-9d1f-2a4c6e8b0d2f', status: 'completed' }
+      ], { atomic: true }, alice);
+      expect(messageQueueService.messages).toHaveLength(0);
+
+      await TaskBulkService.execute([{ op: 'create', data: { title: 'Kept' } }], { atomic: true }, alice);
+      await deliverQueued();
+
+      expect(received.map(request => JSON.parse(request.body).data.task.title)).toEqual(['Kept']);
+    });
+  });
+
+  describe('retries and redelivery', () => {
+    test('should log failed attempts and fail the delivery once it is dead-lettered', async () => {
+      const webhook = await createWebhook(['task.deleted']);
+      const task = (await TaskService.createTask({ title: 'Doomed' }, alice)).data;
+      await TaskService.deleteTask(task.id, alice);
+      status = 500;
+
+      const [message] = messageQueueService.messages;
+      expect(await deliverQueued()).toEqual([expect.stringContaining('Receiver responded with status 500')]);
+
+      let [delivery] = (await WebhookService.getDeliveries(webhook.id)).data;
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts).toEqual([expect.objectContaining({ statusCode: 500 })]);
+
+      await webhookDeliveryService.handleDeadLettered({ queueName: 'webhooks', message: { id: 'message-1', payload: message } });
+
+      [delivery] = (await WebhookService.getDeliveries(webhook.id, { status: 'failed' })).data;
+      expect(delivery.error).toBe('Gave up after 1 attempts: Receiver responded with status 500');
+    });
+
+    test('should redeliver the same payload and keep earlier attempts', async () => {
+      const webhook = await createWebhook(['task.created']);
+      await TaskService.createTask({ title: 'Again' }, alice);
+      status = 503;
+      await deliverQueued();
+
+      const [failed] = (await WebhookService.getDeliveries(webhook.id)).data;
+      await expect(WebhookService.redeliver(webhook.id, failed.id)).rejects.toThrow('still pending');
+
+      await webhookDeliveryService.handleDeadLettered({ queueName: 'webhooks', message: { payload: { deliveryId: failed.id } } });
+      status = 204;
+
+      const { data } = await WebhookService.redeliver(webhook.id, failed.id);
+      expect(data.status).toBe('pending');
+      await deliverQueued();
+
+      const [delivery] = (await WebhookService.getDeliveries(webhook.id)).data;
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([503, 204]);
+      expect(JSON.parse(received[1].body).id).toBe(JSON.parse(received[0].body).id);
+    });
+
+    test('should record timeouts and unreachable receivers as failed attempts', async () => {
+      const webhook = new Webhook({ url, events: ['task.created'] });
+      const sender = new WebhookDeliveryService({ timeoutMs: 50, maxRetries: 1 });
+      const delivery = { id: 'delivery-1', event: 'task.created', payload: { id: 'event-1' } };
+
+      delay = 200;
+      const attempt = await sender.send(webhook, delivery);
+
+      expect(attempt).toMatchObject({ statusCode: null, error: 'No response within 50ms' });
+
+      webhook.url = 'http://127.0.0.1:1/unreachable';
+      expect((await sender.send(webhook, delivery)).error).toMatch(/ECONNREFUSED/);
+    });
+  });
+});
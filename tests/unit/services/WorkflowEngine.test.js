@@ -0,0 +1,153 @@
+const { WorkflowEngine } = require('../../../src/services/workflow/WorkflowEngine');
+const { WorkflowTransitionError } = require('../../../src/middleware/errorHandler');
+
+describe('WorkflowEngine', () => {
+  const reviewWorkflow = {
+    name: 'review',
+    initialState: 'todo',
+    states: ['todo', 'doing', 'review', 'done'],
+    transitions: [
+      { from: 'todo', to: 'doing', guards: ['assigneeRequired'] },
+      { from: 'doing', to: 'review' },
+      { from: 'review', to: 'doing' },
+      { from: 'review', to: 'done' }
+    ]
+  };
+
+  let engine;
+
+  beforeEach(() => {
+    engine = new WorkflowEngine();
+  });
+
+  describe('default workflow', () => {
+    test('should expose the configured states and initial state', () => {
+      expect(engine.getInitialState()).toBe('pending');
+      expect(engine.getKnownStates()).toEqual(['pending', 'in-progress', 'completed']);
+    });
+
+    test('should allow declared transitions', () => {
+      expect(() => {
+        engine.assertTransition({ status: 'in-progress', description: '' }, 'completed');
+      }).not.toThrow();
+    });
+
+    test('should treat same-state updates as no-ops', () => {
+      expect(() => {
+        engine.assertTransition({ status: 'completed' }, 'completed');
+      }).not.toThrow();
+    });
+
+    test('should reject undeclared transitions with details', () => {
+      try {
+        engine.assertTransition({ status: 'completed' }, 'pending');
+        throw new Error('expected transition to be rejected');
+      } catch (error) {
+        expect(error).toBeInstanceOf(WorkflowTransitionError);
+        expect(error.code).toBe('INVALID_STATUS_TRANSITION');
+        expect(error.statusCode).toBe(409);
+        expect(error.details.allowedTransitions).toEqual(['in-progress']);
+      }
+    });
+
+    test('should reject failed guards', () => {
+      expect(() => {
+        engine.assertTransition({ status: 'pending', description: '   ' }, 'in-progress');
+      }).toThrow(expect.objectContaining({
+        code: 'TRANSITION_GUARD_FAILED',
+        details: expect.objectContaining({ failedGuards: ['descriptionRequired'] })
+      }));
+    });
+  });
+
+  describe('project workflows', () => {
+    const projectId = 'project-review';
+
+    beforeEach(() => {
+      engine.registerProjectWorkflow(projectId, reviewWorkflow);
+    });
+
+    test('should resolve the project workflow and fall back to the default', () => {
+      expect(engine.getWorkflow(projectId).name).toBe('review');
+      expect(engine.getWorkflow('other-project').name).toBe('default');
+      expect(engine.getInitialState(projectId)).toBe('todo');
+    });
+
+    test('should include project states in the known states', () => {
+      expect(engine.getKnownStates()).toEqual(expect.arrayContaining(['todo', 'review', 'done']));
+    });
+
+    test('should reject states outside the project workflow', () => {
+      expect(() => {
+        engine.assertTransition({ status: 'todo' }, 'completed', projectId);
+      }).toThrow(expect.objectContaining({ code: 'UNKNOWN_WORKFLOW_STATE' }));
+    });
+
+    test('should apply project guards', () => {
+      expect(() => {
+        engine.assertTransition({ status: 'todo', assigneeId: null }, 'doing', projectId);
+      }).toThrow(expect.objectContaining({ code: 'TRANSITION_GUARD_FAILED' }));
+
+      expect(() => {
+        engine.assertTransition({ status: 'todo', assigneeId: 'user-1' }, 'doing', projectId);
+      }).not.toThrow();
+    });
+
+    test('should list available transitions', () => {
+      expect(engine.getAvailableTransitions('review', projectId)).toEqual([
+        { from: 'review', to: 'doing', guards: [] },
+        { from: 'review', to: 'done', guards: [] }
+      ]);
+    });
+  });
+
+  describe('definition validation', () => {
+    test('should reject transitions to undeclared states', () => {
+      expect(() => {
+        engine.registerProjectWorkflow('broken', {
+          states: ['a', 'b'],
+          transitions: [{ from: 'a', to: 'c' }]
+        });
+      }).toThrow('undeclared state');
+    });
+
+    test('should reject undeclared completed states', () => {
+      expect(() => {
+        engine.registerProjectWorkflow('broken', {
+          states: ['a', 'b'],
+          completedStates: ['done']
+        });
+      }).toThrow('Completed state "done" is not a declared state');
+    });
+
+    test('should report completed states per workflow', () => {
+      engine.registerProjectWorkflow('review', { ...reviewWorkflow, completedStates: ['done'] });
+
+      expect(engine.isCompletedState('completed')).toBe(true);
+      expect(engine.isCompletedState('pending')).toBe(false);
+      expect(engine.isCompletedState('done', 'review')).toBe(true);
+      expect(engine.isCompletedState('completed', 'review')).toBe(false);
+    });
+
+    test('should reject unknown guards', () => {
+      expect(() => {
+        engine.registerProjectWorkflow('broken', {
+          states: ['a', 'b'],
+          transitions: [{ from: 'a', to: 'b', guards: ['missingGuard'] }]
+        });
+      }).toThrow('unknown guard "missingGuard"');
+    });
+
+    test('should support custom guards', () => {
+      engine.registerGuard('titlePrefixed', task => task.title.startsWith('[x]'), 'Title must be prefixed');
+      engine.registerProjectWorkflow('custom', {
+        states: ['open', 'closed'],
+        transitions: [{ from: 'open', to: 'closed', guards: ['titlePrefixed'] }]
+      });
+
+      expect(() => {
+        engine.assertTransition({ status: 'open', title: 'task' }, 'closed', 'custom');
+      }).toThrow('Title must be prefixed');
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { decode, decodeFirst, encode } = require('../../../src/utils/cbor');
+
+describe('cbor', () => {
+  test('should encode the RFC 8949 examples', () => {
+    expect(encode(0).toString('hex')).toBe('00');
+    expect(encode(23).toString('hex')).toBe('17');
+    expect(encode(24).toString('hex')).toBe('1818');
+    expect(encode(1000).toString('hex')).toBe('1903e8');
+    expect(encode(1000000).toString('hex')).toBe('1a000f4240');
+    expect(encode(1000000000000).toString('hex')).toBe('1b000000e8d4a51000');
+    expect(encode(-1).toString('hex')).toBe('20');
+    expect(encode(-1000).toString('hex')).toBe('3903e7');
+    expect(encode(false).toString('hex')).toBe('f4');
+    expect(encode(true).toString('hex')).toBe('f5');
+    expect(encode(null).toString('hex')).toBe('f6');
+    expect(encode('IETF').toString('hex')).toBe('6449455446');
+    expect(encode(Buffer.from('01020304', 'hex')).toString('hex')).toBe('4401020304');
+    expect(encode([1, [2, 3], [4, 5]]).toString('hex')).toBe('8301820203820405');
+    expect(encode({ a: 1, b: [2, 3] }).toString('hex')).toBe('a26161016162820203');
+  });
+
+  test('should decode maps with integer keys, as in COSE keys', () => {
+    const coseKey = new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.alloc(32, 1)]]);
+    const decoded = decode(encode(coseKey));
+
+    expect(decoded).toBeInstanceOf(Map);
+    expect([...decoded.keys()]).toEqual([1, 3, -1, -2]);
+    expect(decoded.get(3)).toBe(-7);
+    expect(decoded.get(-2).equals(Buffer.alloc(32, 1))).toBe(true);
+  });
+
+  test('should round-trip attestation objects', () => {
+    const authData = Buffer.alloc(40, 7);
+    const decoded = decode(encode({ fmt: 'none', attStmt: {}, authData }));
+
+    expect(decoded.get('fmt')).toBe('none');
+    expect(decoded.get('attStmt')).toEqual(new Map());
+    expect(decoded.get('authData').equals(authData)).toBe(true);
+  });
+
+  test('should decode the first item and report its length', () => {
+    const data = Buffer.concat([encode(new Map([[1, 2]])), Buffer.from('trailing')]);
+
+    expect(decodeFirst(data)).toEqual({ value: new Map([[1, 2]]), length: 3 });
+    expect(() => decode(data)).toThrow('Unexpected data after the CBOR item');
+  });
+
+  test('should reject truncated and unsupported data', () => {
+    expect(() => decode(Buffer.from('1903', 'hex'))).toThrow('Unexpected end of CBOR data');
+    expect(() => decode(Buffer.from('4401', 'hex'))).toThrow('Unexpected end of CBOR data');
+    expect(() => decode(Buffer.from('9f01ff', 'hex'))).toThrow('Indefinite-length CBOR items are not supported');
+    expect(() => decode(Buffer.from('c11a514b67b0', 'hex'))).toThrow('Unsupported CBOR major type 6');
+    expect(() => decode(Buffer.from('f97c00', 'hex'))).toThrow('Unsupported CBOR simple value 25');
+    expect(() => encode(1.5)).toThrow('Cannot encode number as CBOR');
+  });
+});
@@ -0,0 +1,68 @@
+const { isValidSchedule, isValidTimezone, parseSchedule, nextOccurrence, upcomingOccurrences } = require('../../../src/utils/cronSchedule');
+
+describe('cronSchedule', () => {
+  describe('parseSchedule', () => {
+    test('should expand ranges, steps and names', () => {
+      expect(parseSchedule('*/20 9-11 1,15 jan,jul mon-fri')).toEqual({
+        minutes: [0, 20, 40],
+        hours: [9, 10, 11],
+        days: [1, 15],
+        months: [1, 7],
+        weekDays: [1, 2, 3, 4, 5]
+      });
+    });
+
+    test('should treat 7 as Sunday', () => {
+      expect(parseSchedule('0 0 * * 7').weekDays).toEqual([0]);
+    });
+
+    test('should only accept 5-field expressions', () => {
+      expect(isValidSchedule('0 9 * * 1')).toBe(true);
+      expect(isValidSchedule('0 0 9 * * 1')).toBe(false);
+      expect(isValidSchedule('61 * * * *')).toBe(false);
+      expect(isValidSchedule(42)).toBe(false);
+      expect(() => parseSchedule('every monday')).toThrow('Invalid cron schedule "every monday"');
+    });
+
+    test('should check time zone names', () => {
+      expect(isValidTimezone('Europe/Berlin')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+    });
+  });
+
+  describe('nextOccurrence', () => {
+    test('should find the next matching minute after the given time', () => {
+      expect(nextOccurrence('0 9 * * 1', '2030-05-06T08:59:30.000Z').toISOString()).toBe('2030-05-06T09:00:00.000Z');
+      expect(nextOccurrence('0 9 * * 1', '2030-05-06T09:00:00.000Z').toISOString()).toBe('2030-05-13T09:00:00.000Z');
+      expect(nextOccurrence('*/15 * * * *', '2030-05-06T09:50:00.000Z').toISOString()).toBe('2030-05-06T10:00:00.000Z');
+    });
+
+    test('should require both day fields to match', () => {
+      // The 13th that is a Friday
+      expect(nextOccurrence('0 0 13 * 5', '2030-01-01T00:00:00.000Z').toISOString()).toBe('2030-09-13T00:00:00.000Z');
+    });
+
+    test('should evaluate schedules on the wall clock of the time zone', () => {
+      expect(nextOccurrence('0 9 * * *', '2030-01-10T12:00:00.000Z', 'America/New_York').toISOString())
+        .toBe('2030-01-10T14:00:00.000Z');
+      expect(nextOccurrence('0 9 * * *', '2030-07-10T12:00:00.000Z', 'America/New_York').toISOString())
+        .toBe('2030-07-10T13:00:00.000Z');
+    });
+
+    test('should keep the local time across daylight saving changes', () => {
+      const occurrences = upcomingOccurrences('30 8 * * *', '2030-10-26T00:00:00.000Z', 2, 'Europe/Berlin');
+
+      expect(occurrences.map(date => date.toISOString())).toEqual([
+        '2030-10-26T06:30:00.000Z',
+        '2030-10-27T07:30:00.000Z'
+      ]);
+    });
+
+    test('should find rare dates and give up on impossible ones', () => {
+      expect(nextOccurrence('0 0 29 2 *', '2030-05-06T00:00:00.000Z').toISOString()).toBe('2032-02-29T00:00:00.000Z');
+      expect(nextOccurrence('0 0 30 2 *', '2030-05-06T00:00:00.000Z')).toBeNull();
+      expect(upcomingOccurrences('0 0 30 2 *', '2030-05-06T00:00:00.000Z', 3)).toEqual([]);
+    });
+  });
+});
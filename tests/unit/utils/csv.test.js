@@ -0,0 +1,58 @@
+const { formatCSV, parseCSV, convertToCSV } = require('../../../src/utils/csv');
+
+describe('csv', () => {
+  describe('formatCSV', () => {
+    test('should write a header and one quoted-as-needed line per row', () => {
+      expect(formatCSV(['title', 'tags', 'estimate'], [
+        { title: 'Plan "Q3"', tags: 'a,b', estimate: 30 },
+        { title: 'Second', tags: '', estimate: null }
+      ])).toBe('title,tags,estimate\r\n"Plan ""Q3""","a,b",30\r\nSecond,,\r\n');
+    });
+  });
+
+  describe('parseCSV', () => {
+    test('should read quoted fields with separators, quotes and line breaks', () => {
+      expect(parseCSV('title,notes\r\n"Plan ""Q3""","line one\nline two"\r\nSecond,\r\n\r\n')).toEqual([
+        ['title', 'notes'],
+        ['Plan "Q3"', 'line one\nline two'],
+        ['Second', '']
+      ]);
+    });
+
+    test('should skip a byte order mark and accept a missing final line break', () => {
+      expect(parseCSV('\ufeffa,b\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    test('should read what formatCSV writes', () => {
+      const text = formatCSV(['a', 'b'], [{ a: 'x, "y"', b: 'multi\nline' }]);
+      expect(parseCSV(text)).toEqual([['a', 'b'], ['x, "y"', 'multi\nline']]);
+    });
+
+    test('should reject unterminated quotes', () => {
+      expect(() => parseCSV('a\n"open')).toThrow('unterminated quoted field');
+    });
+  });
+
+  describe('convertToCSV', () => {
+    const timestamp = '2030-05-06T09:00:00.000Z';
+
+    test('should write a row per numeric metric', () => {
+      expect(convertToCSV({
+        summary: { count: 3, average: 26.5, median: null },
+        '2030-W19': { completed: 2 },
+        note: 'skipped'
+      }, timestamp)).toBe([
+        'Category,Metric,Value,Unit,Timestamp',
+        `summary,count,3,number,${timestamp}`,
+        `summary,average,26.5,number,${timestamp}`,
+        `2030-W19,completed,2,number,${timestamp}`,
+        ''
+      ].join('\n'));
+    });
+
+    test('should quote fields containing separators or quotes', () => {
+      expect(convertToCSV({ 'Review, "draft"': { done: 1 } }, timestamp))
+        .toContain(`"Review, ""draft""",done,1,number,${timestamp}`);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { formatETag, parseETags, matchesETag, expectedVersions } = require('../../../src/utils/etag');
+
+describe('etag', () => {
+  test('should quote the version', () => {
+    expect(formatETag(3)).toBe('"3"');
+  });
+
+  test('should parse wildcards and lists of strong and weak tags', () => {
+    expect(parseETags(' * ')).toBe('*');
+    expect(parseETags('"3", W/"4"')).toEqual([
+      { weak: false, value: '3' },
+      { weak: true, value: '4' }
+    ]);
+  });
+
+  test('should reject malformed headers', () => {
+    expect(parseETags('3')).toBeNull();
+    expect(parseETags('"3", abc')).toBeNull();
+    expect(parseETags(' , ')).toBeNull();
+  });
+
+  test('should compare strongly unless asked to compare weakly', () => {
+    const tags = parseETags('W/"3"');
+
+    expect(matchesETag(tags, 3)).toBe(false);
+    expect(matchesETag(tags, 3, { weak: true })).toBe(true);
+    expect(matchesETag(parseETags('"2", "3"'), 3)).toBe(true);
+    expect(matchesETag('*', 7)).toBe(true);
+  });
+
+  test('should list the versions an If-Match header expects', () => {
+    expect(expectedVersions(null)).toBeNull();
+    expect(expectedVersions('*')).toBeNull();
+    expect(expectedVersions(parseETags('"3", W/"4", "abc"'))).toEqual([3]);
+  });
+});
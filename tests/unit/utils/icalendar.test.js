@@ -0,0 +1,44 @@
+const { escapeText, formatDateTime, formatCalendar } = require('../../../src/utils/icalendar');
+
+describe('icalendar', () => {
+  test('should escape text values', () => {
+    expect(escapeText('a\\b; c, d\nnext')).toBe('a\\\\b\\; c\\, d\\nnext');
+  });
+
+  test('should format UTC date-times', () => {
+    expect(formatDateTime('2030-05-06T09:00:00.000Z')).toBe('20300506T090000Z');
+  });
+
+  test('should write components and leave out empty properties', () => {
+    const calendar = formatCalendar({
+      prodId: '-//test//EN',
+      components: [{ name: 'VTODO', properties: [['UID', 'task-1'], ['DUE', null], ['SUMMARY', 'Hello']] }]
+    });
+
+    expect(calendar.split('\r\n')).toEqual([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//test//EN',
+      'CALSCALE:GREGORIAN',
+      'BEGIN:VTODO',
+      'UID:task-1',
+      'SUMMARY:Hello',
+      'END:VTODO',
+      'END:VCALENDAR',
+      ''
+    ]);
+  });
+
+  test('should fold long lines at 75 octets without splitting characters', () => {
+    const calendar = formatCalendar({
+      prodId: '-//test//EN',
+      components: [{ name: 'VTODO', properties: [['SUMMARY', 'ü'.repeat(80)]] }]
+    });
+    const lines = calendar.split('\r\n').slice(5, -3);
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+    expect(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join('')).toBe(`SUMMARY:${'ü'.repeat(80)}`);
+  });
+});
@@ -0,0 +1,28 @@
+const { applyMergePatch } = require('../../../src/utils/mergePatch');
+
+describe('applyMergePatch', () => {
+  test('should set, replace and remove members', () => {
+    expect(applyMergePatch(
+      { title: 'Old', tags: ['a', 'b'], estimate: 30 },
+      { title: 'New', tags: ['c'], estimate: null }
+    )).toEqual({ title: 'New', tags: ['c'] });
+  });
+
+  test('should merge nested objects recursively', () => {
+    expect(applyMergePatch(
+      { recurrence: { schedule: '0 9 * * mon', timezone: 'UTC' } },
+      { recurrence: { timezone: 'Europe/Berlin' } }
+    )).toEqual({ recurrence: { schedule: '0 9 * * mon', timezone: 'Europe/Berlin' } });
+
+    expect(applyMergePatch({ recurrence: null }, { recurrence: { schedule: '0 9 * * *', timezone: null } }))
+      .toEqual({ recurrence: { schedule: '0 9 * * *' } });
+  });
+
+  test('should not modify the target', () => {
+    const target = { a: { b: 1 } };
+
+    applyMergePatch(target, { a: { b: null } });
+
+    expect(target).toEqual({ a: { b: 1 } });
+  });
+});
@@ -0,0 +1,93 @@
+const { testPool } = require('../../setup');
+const SearchIndex = require('../../../src/utils/searchIndex');
+const { stem, parseSearchQuery } = require('../../../src/utils/textSearch');
+
+// Both task store drivers must find the same tasks for a query. Misspelled
+// words are left out: the memory driver tolerates typos by edit distance and
+// PostgreSQL by trigram similarity, so only exact matching is compared.
+describe('search parity between the memory and PostgreSQL drivers', () => {
+  const tasks = [
+    { id: '1', title: 'Deployment checklist', description: 'Steps for deploying the API to production' },
+    { id: '2', title: 'Organize release notes', description: 'Collect the notes of every shipped story' },
+    { id: '3', title: 'Fix connection leaks', description: 'Connections stay open after requests fail' },
+    { id: '4', title: 'Stories for the next sprint', description: 'Happily running retrospectives' },
+    { id: '5', title: 'Staging environment', description: 'Deploy the staged build to the staging servers' }
+  ];
+  let client;
+
+  beforeAll(async () => {
+    // The search document of the tasks table (migrations/task/009_add_task_search.sql)
+    client = await testPool.connect();
+    await client.query(`
+      CREATE TEMP TABLE search_parity (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL,
+        search_vector tsvector GENERATED ALWAYS AS (
+          setweight(to_tsvector('english', title), 'A') ||
+          setweight(to_tsvector('english', description), 'B')
+        ) STORED
+      )
+    `);
+
+    for (const task of tasks) {
+      await client.query('INSERT INTO search_parity (id, title, description) VALUES ($1, $2, $3)', [task.id, task.title, task.description]);
+    }
+  });
+
+  afterAll(async () => {
+    await client.query('DROP TABLE IF EXISTS search_parity');
+    client.release();
+  });
+
+  // The conditions PostgresTaskRepository.searchTasks builds for exact words,
+  // phrases and excluded words
+  const searchPostgres = async (query) => {
+    const values = [];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const conditions = [
+      ...query.terms.map(term => `search_vector @@ plainto_tsquery('english', ${param(term.word)})`),
+      ...query.phrases.map(phrase => `search_vector @@ phraseto_tsquery('english', ${param(phrase.text)})`),
+      ...query.excluded.map(term => `NOT (search_vector @@ plainto_tsquery('english', ${param(term.word)}))`)
+    ];
+
+    const result = await client.query(`SELECT id FROM search_parity WHERE ${conditions.join(' AND ')} ORDER BY id`, values);
+    return result.rows.map(row => row.id);
+  };
+
+  const searchMemory = (query) => {
+    const index = new SearchIndex({ title: 2, description: 1 });
+    tasks.forEach(task => index.add(task.id, task));
+
+    return [...index.search(query).keys()].sort();
+  };
+
+  test.each([
+    'deployment', 'deploying', 'organization', 'organize', 'connections', 'stories',
+    'happily', 'running', 'staged', 'shipped', 'generously', 'releases'
+  ])('should stem %s to the lexeme of the english configuration', async (word) => {
+    const result = await client.query("SELECT lexeme FROM unnest(to_tsvector('english', $1))", [word]);
+
+    expect(stem(word)).toBe(result.rows[0].lexeme);
+  });
+
+  test.each([
+    ['"deploy"', ['1', '5']],
+    ['"organization"', ['2']],
+    ['"connected"', ['3']],
+    ['"story"', ['2', '4']],
+    ['"runs"', ['4']],
+    ['"happy"', []],
+    ['"release notes"', ['2']],
+    ['"deploy" -staging', ['1']]
+  ])('should find the same tasks for %s', async (text, expected) => {
+    const query = parseSearchQuery(text);
+
+    expect(searchMemory(query)).toEqual(expected);
+    expect(await searchPostgres(query)).toEqual(expected);
+  });
+});
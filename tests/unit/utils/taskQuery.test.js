@@ -0,0 +1,163 @@
+const {
+  parseFilter,
+  matchesFilter,
+  parseSort,
+  resolveSort,
+  encodeCursor,
+  decodeCursor,
+  parseFields,
+  pickFields
+} = require('../../../src/utils/taskQuery');
+
+describe('taskQuery', () => {
+  const bob = '7a9e0b12-4c3d-4e5f-8a6b-9c0d1e2f3a4b';
+
+  const task = {
+    id: '0b7c7a5e-5f4a-4c1e-9a57-3f1f4f6d2a10',
+    title: 'Write docs',
+    status: 'in-progress',
+    priority: 'high',
+    assigneeId: bob,
+    projectId: null,
+    tags: ['docs', 'backend'],
+    dueDate: '2030-05-01T00:00:00.000Z',
+    estimate: 90,
+    createdAt: '2030-04-01T00:00:00.000Z',
+    updatedAt: '2030-04-02T00:00:00.000Z'
+  };
+
+  describe('parseFilter', () => {
+    test('should give AND precedence over OR', () => {
+      expect(parseFilter('status = pending or priority = high and estimate > 60')).toEqual({
+        type: 'or',
+        clauses: [
+          { type: 'compare', field: 'status', op: '=', value: 'pending' },
+          {
+            type: 'and',
+            clauses: [
+              { type: 'compare', field: 'priority', op: '=', value: 'high' },
+              { type: 'compare', field: 'estimate', op: '>', value: 60 }
+            ]
+          }
+        ]
+      });
+    });
+
+    test('should parse in lists, negation, quoting and null', () => {
+      expect(parseFilter(`tags NOT IN (Docs, "ops") AND (assignee = null OR assigneeId in ('${bob}'))`)).toEqual({
+        type: 'and',
+        clauses: [
+          { type: 'in', field: 'tags', negated: true, values: ['docs', 'ops'] },
+          {
+            type: 'or',
+            clauses: [
+              { type: 'compare', field: 'assignee', op: '=', value: null },
+              { type: 'in', field: 'assignee', negated: false, values: [bob] }
+            ]
+          }
+        ]
+      });
+    });
+
+    test('should normalize dates to ISO timestamps', () => {
+      expect(parseFilter('dueDate <= 2030-05-01')).toEqual(
+        { type: 'compare', field: 'dueDate', op: '<=', value: '2030-05-01T00:00:00.000Z' }
+      );
+    });
+
+    test.each([
+      ['', 'Filter expression is empty'],
+      ['owner = me', 'Unknown filter field "owner"'],
+      ['status > pending', 'status supports =, !=, in and not in'],
+      ['priority = urgent', 'priority must be one of'],
+      ['dueDate < yesterday', 'dueDate must be an ISO 8601 date'],
+      ['dueDate < null', 'null can only be compared with = or !='],
+      ['status = null', 'status cannot be null'],
+      ['status in (pending', 'Expected ")" to end the list'],
+      ['(status = pending', 'Expected ")"'],
+      ['status = pending pending', 'Unexpected input at position 18'],
+      ['title = "unterminated', 'Unterminated string']
+    ])('should reject %j', (expression, message) => {
+      expect(() => parseFilter(expression)).toThrow(message);
+    });
+
+    test('should cap the number of conditions', () => {
+      const expression = Array.from({ length: 21 }, () => 'status = pending').join(' or ');
+
+      expect(() => parseFilter(expression)).toThrow('at most 20 conditions');
+    });
+  });
+
+  describe('matchesFilter', () => {
+    test.each([
+      ['status in (pending, in-progress)', true],
+      ['status not in (pending, in-progress)', false],
+      ['priority >= high', true],
+      ['priority > high', false],
+      ['tags = docs', true],
+      ['tags != docs', false],
+      ['tags in (ops, backend)', true],
+      ['tags not in (ops, frontend)', true],
+      [`assignee = ${bob}`, true],
+      ['assignee = null', false],
+      ['projectId = null', true],
+      ['projectId != apollo', true],
+      ['dueDate < 2030-06-01 and estimate <= 90', true],
+      ['dueDate > 2030-06-01 or createdAt >= 2030-04-01', true],
+      ['estimate < 60', false]
+    ])('%s -> %s', (expression, expected) => {
+      expect(matchesFilter(task, parseFilter(expression))).toBe(expected);
+    });
+
+    test('should not match ordering comparisons on missing values', () => {
+      const undated = { ...task, dueDate: null };
+
+      expect(matchesFilter(undated, parseFilter('dueDate < 2100-01-01'))).toBe(false);
+      expect(matchesFilter(undated, parseFilter('dueDate != 2030-05-01'))).toBe(true);
+    });
+  });
+
+  describe('sorting and cursors', () => {
+    test('should parse multi-field sorts', () => {
+      expect(parseSort('-priority, dueDate')).toEqual([
+        { field: 'priority', order: 'desc' },
+        { field: 'dueDate', order: 'asc' }
+      ]);
+    });
+
+    test('should reject unknown and repeated sort fields', () => {
+      expect(() => parseSort('owner')).toThrow('Cannot sort by "owner"');
+      expect(() => parseSort('title,-title')).toThrow('"title" appears more than once');
+    });
+
+    test('should add creation date and ID tie-breakers', () => {
+      expect(resolveSort([{ field: 'title', order: 'asc' }])).toEqual([
+        { field: 'title', order: 'asc' },
+        { field: 'createdAt', order: 'desc' },
+        { field: 'id', order: 'asc' }
+      ]);
+    });
+
+    test('should round-trip cursors for the sort they were issued for', () => {
+      const sort = resolveSort(parseSort('-priority'));
+      const cursor = encodeCursor(task, sort);
+
+      expect(decodeCursor(cursor, sort)).toEqual([2, new Date(task.createdAt).getTime(), task.id]);
+      expect(() => decodeCursor(cursor, resolveSort(parseSort('priority')))).toThrow('Cursor does not match the requested sort');
+      expect(() => decodeCursor('not-a-cursor', sort)).toThrow('Invalid cursor');
+    });
+  });
+
+  describe('sparse fieldsets', () => {
+    test('should always include the ID', () => {
+      const fields = parseFields('title,status');
+
+      expect(fields).toEqual(['id', 'title', 'status']);
+      expect(pickFields(task, fields)).toEqual({ id: task.id, title: 'Write docs', status: 'in-progress' });
+    });
+
+    test('should reject unknown fields', () => {
+      expect(() => parseFields('title,secret')).toThrow('Unknown fields: secret');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const {
+  stem,
+  editDistance,
+  matchWeight,
+  parseSearchQuery,
+  highlight
+} = require('../../../src/utils/textSearch');
+
+describe('textSearch', () => {
+  describe('stem', () => {
+    test.each([
+      ['tasks', 'task'],
+      ['stories', 'stori'],
+      ['patches', 'patch'],
+      ['deploying', 'deploy'],
+      ['deployed', 'deploy'],
+      ['deployment', 'deploy'],
+      ['organization', 'organ'],
+      ['happily', 'happili'],
+      ['running', 'run'],
+      ['created', 'creat'],
+      ['create', 'creat'],
+      ['status', 'status'],
+      ['bug', 'bug'],
+      ['v2024s', 'v2024s']
+    ])('%s -> %s', (word, expected) => {
+      expect(stem(word)).toBe(expected);
+    });
+  });
+
+  describe('fuzzy matching', () => {
+    test('should count substitutions, insertions, deletions and transpositions', () => {
+      expect(editDistance('release', 'relase', 2)).toBe(1);
+      expect(editDistance('deploy', 'dpeloy', 2)).toBe(1);
+      expect(editDistance('deploy', 'deplyo', 2)).toBe(1);
+      expect(editDistance('staging', 'stagin', 2)).toBe(1);
+      expect(editDistance('release', 'pipeline', 2)).toBe(Infinity);
+    });
+
+    test('should tolerate more edits in longer words', () => {
+      expect(matchWeight('deploy', 'deploy')).toBe(1);
+      expect(matchWeight('deploy', 'deplyo')).toBe(0.5);
+      expect(matchWeight('deploy', 'dpelyo')).toBe(0);
+      expect(matchWeight('migration', 'migartoin')).toBe(0.25);
+      expect(matchWeight('bug', 'bag')).toBe(0);
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    test('should split words, phrases and exclusions', () => {
+      expect(parseSearchQuery('Deploying the "release notes" -staging tasks')).toEqual({
+        terms: [
+          { word: 'deploying', stem: 'deploy', exact: false },
+          { word: 'tasks', stem: 'task', exact: false }
+        ],
+        phrases: [{ text: 'release notes', stems: ['releas', 'note'] }],
+        excluded: [{ word: 'staging', stem: 'stage' }]
+      });
+    });
+
+    test('should match one-word phrases exactly', () => {
+      expect(parseSearchQuery('"deploy"').terms).toEqual([{ word: 'deploy', stem: 'deploy', exact: true }]);
+    });
+
+    test('should return null when nothing is searchable', () => {
+      expect(parseSearchQuery('the and -release')).toBeNull();
+    });
+  });
+
+  describe('highlight', () => {
+    const query = parseSearchQuery('relase');
+
+    test('should mark matching words and escape HTML', () => {
+      expect(highlight('Ship <b>release</b> & releases', query))
+        .toBe('Ship &lt;b&gt;<mark>release</mark>&lt;/b&gt; &amp; <mark>releases</mark>');
+    });
+
+    test('should cut long text to a window around the first match', () => {
+      const text = `${'lorem ipsum '.repeat(20)}the release is ready ${'dolor sit '.repeat(20)}`;
+      const snippet = highlight(text, query, 60);
+
+      expect(snippet).toMatch(/^…/);
+      expect(snippet).toMatch(/…$/);
+      expect(snippet).toContain('<mark>release</mark> is ready');
+      expect(snippet.replace(/<\/?mark>|…/g, '').length).toBeLessThanOrEqual(60);
+    });
+
+    test('should return null without a match', () => {
+      expect(highlight('Nothing to see', query)).toBeNull();
+    });
+  });
+});
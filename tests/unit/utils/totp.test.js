@@ -0,0 +1,66 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri
+} = require('../../../src/utils/totp');
+
+describe('totp', () => {
+  // The SHA1 seed of the RFC 6238 test vectors, "12345678901234567890"
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+  test('should encode and decode base32 secrets', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+    expect(() => base32Decode('GEZD1')).toThrow('Invalid base32 character "1"');
+  });
+
+  test('should generate the RFC 6238 codes', () => {
+    expect(generateCode(secret, 59 * 1000)).toBe('287082');
+    expect(generateCode(secret, 1111111109 * 1000)).toBe('081804');
+    expect(generateCode(secret, 1234567890 * 1000)).toBe('005924');
+    expect(generateCode(secret, 2000000000 * 1000)).toBe('279037');
+  });
+
+  test('should verify codes of the neighbouring time steps and return their step', () => {
+    const time = 1234567890 * 1000;
+    const step = Math.floor(1234567890 / 30);
+
+    expect(verifyCode(secret, '005924', { time })).toBe(step);
+    expect(verifyCode(secret, generateCode(secret, time - 30 * 1000), { time })).toBe(step - 1);
+    expect(verifyCode(secret, generateCode(secret, time + 30 * 1000), { time })).toBe(step + 1);
+    expect(verifyCode(secret, generateCode(secret, time - 60 * 1000), { time })).toBeNull();
+    expect(verifyCode(secret, generateCode(secret, time - 60 * 1000), { time, window: 2 })).toBe(step - 2);
+  });
+
+  test('should reject malformed codes', () => {
+    const time = 1234567890 * 1000;
+
+    expect(verifyCode(secret, '005 924', { time })).not.toBeNull();
+    expect(verifyCode(secret, '5924', { time })).toBeNull();
+    expect(verifyCode(secret, 'abcdef', { time })).toBeNull();
+    expect(verifyCode(secret, undefined, { time })).toBeNull();
+  });
+
+  test('should generate distinct base32 secrets', () => {
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(generateSecret());
+  });
+
+  test('should build otpauth provisioning URIs', () => {
+    const uri = buildProvisioningUri({ secret, accountName: 'alice@example.com', issuer: 'SpecPulse' });
+    const url = new URL(uri);
+
+    expect(uri.startsWith('otpauth://totp/SpecPulse%3Aalice%40example.com?')).toBe(true);
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      secret,
+      issuer: 'SpecPulse',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
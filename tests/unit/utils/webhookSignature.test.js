@@ -0,0 +1,40 @@
+const { generateSecret, signPayload, verifySignature } = require('../../../src/utils/webhookSignature');
+
+describe('webhookSignature', () => {
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ id: 'evt_1', type: 'task.created' });
+  const now = new Date('2030-05-06T09:00:00.000Z').getTime();
+  const timestamp = now / 1000;
+
+  test('should sign the timestamp and body with HMAC-SHA256', () => {
+    const signature = signPayload(secret, timestamp, body);
+
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(signPayload(secret, timestamp, body)).toBe(signature);
+    expect(signPayload(secret, timestamp + 1, body)).not.toBe(signature);
+    expect(signPayload('whsec_other', timestamp, body)).not.toBe(signature);
+  });
+
+  test('should verify signatures made with the same secret', () => {
+    const signature = signPayload(secret, timestamp, body);
+
+    expect(verifySignature(secret, String(timestamp), body, signature, { now })).toBe(true);
+    expect(verifySignature('whsec_other', String(timestamp), body, signature, { now })).toBe(false);
+    expect(verifySignature(secret, String(timestamp), `${body} `, signature, { now })).toBe(false);
+    expect(verifySignature(secret, String(timestamp), body, undefined, { now })).toBe(false);
+  });
+
+  test('should reject timestamps outside the tolerance', () => {
+    const signature = signPayload(secret, timestamp, body);
+    const later = now + 301 * 1000;
+
+    expect(verifySignature(secret, String(timestamp), body, signature, { now: later })).toBe(false);
+    expect(verifySignature(secret, String(timestamp), body, signature, { now: later, toleranceSeconds: 600 })).toBe(true);
+    expect(verifySignature(secret, 'yesterday', body, signature, { now })).toBe(false);
+  });
+
+  test('should generate distinct secrets', () => {
+    expect(generateSecret()).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(generateSecret()).not.toBe(generateSecret());
+  });
+});